@@ -151,6 +151,23 @@ const defaultScheduledTaskOptions = {
   }
 };
 
+// Webhook deliveries: retried over roughly an hour (30s, 1m, 2m, 4m, 8m, 16m, 32m)
+// so a receiver that is briefly down or redeploying still gets every event
+const defaultWebhookOptions = {
+  attempts: 8,
+  backoff: {
+    type: 'exponential',
+    delay: 30000
+  },
+  removeOnComplete: {
+    age: 24 * 3600, // Outcome is kept in webhook_deliveries, not the queue
+    count: 1000
+  },
+  removeOnFail: {
+    age: 7 * 24 * 3600
+  }
+};
+
 // Create dummy queue object for when Redis is not available
 function createDummyQueue() {
   return {
@@ -301,6 +318,19 @@ if (connection) {
   supplierDocumentQueue = createDummyQueue();
 }
 
+// Webhook delivery queue
+let webhookQueue = null;
+if (connection) {
+  webhookQueue = new Queue('webhook', {
+    connection,
+    defaultJobOptions: defaultWebhookOptions
+  });
+  console.log('✅ Webhook queue initialized');
+} else {
+  console.log('ℹ️  Webhook queue: Not initialized (Redis not configured)');
+  webhookQueue = createDummyQueue();
+}
+
 // Graceful shutdown - close all queues
 async function closeAllQueues() {
   console.log('🔄 Closing all queues...');
@@ -330,6 +360,9 @@ async function closeAllQueues() {
   if (supplierDocumentQueue && supplierDocumentQueue.close) {
     closePromises.push(supplierDocumentQueue.close().catch(err => console.error('Error closing supplierDocumentQueue:', err.message)));
   }
+  if (webhookQueue && webhookQueue.close) {
+    closePromises.push(webhookQueue.close().catch(err => console.error('Error closing webhookQueue:', err.message)));
+  }
   if (connection && connection.quit) {
     closePromises.push(connection.quit().catch(err => console.error('Error closing Redis connection:', err.message)));
   }
@@ -355,6 +388,7 @@ module.exports = {
   scheduledTasksQueue,
   nestedSetQueue,
   supplierDocumentQueue,
+  webhookQueue,
   connection,
   closeAllQueues,
   // Export default options for workers to use
@@ -365,6 +399,7 @@ module.exports = {
   defaultEmailOptions,
   defaultScheduledTaskOptions,
   defaultNestedSetOptions,
+  defaultWebhookOptions,
   // Export email rate limiting config for worker
   EMAIL_RATE_MAX,
   EMAIL_RATE_DURATION_MS,
@@ -41,6 +41,9 @@ const PROCESSED_CREDITNOTES = path.join(PROCESSED_BASE, 'creditnotes');
 const PROCESSED_STATEMENTS = path.join(PROCESSED_BASE, 'statements');
 const PROCESSED_SUPPLIER_DOCUMENTS = path.join(PROCESSED_BASE, 'supplier-documents');
 
+// Files attached to document query messages (one folder per query)
+const QUERY_ATTACHMENTS = path.join(DATA_DRIVE, 'query-attachments');
+
 // Legacy storage base (for templates, avatars, branding - stays in backend/uploads)
 // These do NOT go on the data drive - they stay local to the application
 const STORAGE_BASE = path.join(__dirname, '..', 'uploads');
@@ -73,6 +76,9 @@ const STORAGE_PATHS = {
     supplierDocuments: PROCESSED_SUPPLIER_DOCUMENTS
   },
   
+  // Document query attachments
+  queryAttachments: QUERY_ATTACHMENTS,
+  
   // Unprocessed supplier folders
   unprocessedSupplier: {
     failed: UNPROCESSED_SUPPLIER_FAILED
@@ -245,6 +251,7 @@ function ensureStorageDirs() {
     PROCESSED_CREDITNOTES,
     PROCESSED_STATEMENTS,
     PROCESSED_SUPPLIER_DOCUMENTS,
+    QUERY_ATTACHMENTS,
     STORAGE_DIRS.templates,
     STORAGE_DIRS.avatars,
     STORAGE_DIRS.temp
@@ -327,6 +334,7 @@ module.exports = {
   PROCESSED_CREDITNOTES,
   PROCESSED_STATEMENTS,
   PROCESSED_SUPPLIER_DOCUMENTS,
+  QUERY_ATTACHMENTS,
   
   // Legacy exports for backward compatibility
   STORAGE_BASE,
@@ -1,12 +1,114 @@
 /**
  * Bulk Parsing Test Job Processor
- * Processes individual PDF files for bulk testing
+ * Processes individual PDF files for bulk testing, and the pinned samples of
+ * template regression runs (job.data.regression)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { Template } = require('../models');
+const { Template, TemplateVersion } = require('../models');
 const { extractTextFromPDF } = require('../utils/pdfExtractor');
+const { buildTemplateForVersion, compareExtractedFields } = require('../utils/templateVersioning');
+
+/**
+ * Regression run for one pinned sample: parse it with the live template and
+ * with the candidate version, and report the fields that come out different
+ * @param {Object} job - Bull job object
+ * @returns {Promise<Object>} Bulk test result with a regression section
+ */
+async function processRegressionSample(job) {
+  const { filePath, fileName, testId, regression } = job.data;
+  const { templateId, candidateVersion } = regression;
+  const startTime = Date.now();
+  
+  try {
+    const template = await Template.findByPk(templateId);
+    if (!template) {
+      throw new Error('Template no longer exists');
+    }
+    const version = await TemplateVersion.findOne({ where: { templateId, version: candidateVersion } });
+    if (!version) {
+      throw new Error(`Template version ${candidateVersion} no longer exists`);
+    }
+    
+    const pdfBuffer = fs.readFileSync(filePath);
+    await job.updateProgress(20);
+    
+    const activeData = await Template.extractFieldsFromCoordinates(pdfBuffer, template);
+    await job.updateProgress(55);
+    
+    const candidateTemplate = buildTemplateForVersion(template, version.snapshot);
+    const parsedData = await Template.extractFieldsFromCoordinates(pdfBuffer, candidateTemplate);
+    await job.updateProgress(90);
+    
+    const differences = compareExtractedFields(activeData, parsedData);
+    console.log(`🔁 [Regression ${testId}] ${fileName}: ${differences.length} field(s) differ between v${template.activeVersion || '-'} and v${candidateVersion}`);
+    
+    const processingMethod = `local_coordinates_${template.code}`;
+    const fullText = parsedData.fullText || '';
+    const { calculateConfidence } = require('../utils/confidenceCalculator');
+    const confidenceScore = calculateConfidence({
+      parsedData,
+      template: candidateTemplate,
+      ocrConfidence: parsedData.ocrConfidence || null,
+      fullText,
+      processingMethod
+    });
+    
+    const extractedFields = {};
+    Object.keys(parsedData).forEach(key => {
+      if (key !== 'fullText' && key !== 'fieldLabels') {
+        extractedFields[key] = parsedData[key];
+      }
+    });
+    
+    await job.updateProgress(100);
+    
+    return {
+      success: true,
+      fileName,
+      filePath,
+      processingMethod,
+      confidence: confidenceScore,
+      parsedData,
+      fullText: fullText || 'No text extracted',
+      extractedFields,
+      fieldLabels: parsedData.fieldLabels || {},
+      textLength: fullText.length,
+      wordCount: fullText.split(/\s+/).filter(word => word.length > 0).length,
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      regression: {
+        activeVersion: template.activeVersion || null,
+        candidateVersion,
+        changed: differences.length > 0,
+        differences
+      }
+    };
+  } catch (error) {
+    console.error(`❌ [Regression ${testId}] Error processing ${fileName}:`, error.message);
+    
+    return {
+      success: false,
+      fileName,
+      filePath,
+      error: error.message || 'Unknown error',
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      confidence: 0,
+      extractedFields: {},
+      fieldLabels: {},
+      fullText: '',
+      textLength: 0,
+      wordCount: 0,
+      regression: {
+        candidateVersion,
+        changed: null,
+        differences: []
+      }
+    };
+  }
+}
 
 /**
  * Process a single PDF file for bulk testing
@@ -14,6 +116,10 @@ const { extractTextFromPDF } = require('../utils/pdfExtractor');
  * @returns {Promise<Object>} Parsing results
  */
 async function processBulkParsingTest(job) {
+  if (job.data.regression) {
+    return processRegressionSample(job);
+  }
+  
   const { filePath, fileName, parser, testId } = job.data;
   const startTime = Date.now();
   
@@ -2,7 +2,10 @@ const { downloadFile, calculateFileHash, listFiles, moveFile } = require('../uti
 const { File, Settings, User, Template, Company, Invoice, CreditNote, Statement } = require('../models');
 const { extractInvoiceData, extractTextFromPDF } = require('../utils/pdfExtractor');
 const { findCorpCompanyByAccountNumber, findOrCreateStatement } = require('../utils/statementImport');
+const { findCompanyByAlias } = require('../utils/companyAliases');
+const { linkCreditNoteOnImport, linkCreditNotesToInvoice } = require('../utils/creditNoteLinking');
 const { parseDate: sharedParseDate } = require('../utils/parseDate');
+const { extractStructuredInvoice } = require('../services/eInvoice/ingest');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
@@ -225,6 +228,17 @@ async function processFileImport(job) {
     const fileExtLower = fileExt.toLowerCase();
     const isExcel = ['.xlsx', '.xls'].includes(fileExtLower);
     
+    // Structured e-invoices (UBL/CII XML, or a Factur-X/ZUGFeRD PDF carrying
+    // one) map straight to our fields, bypassing text extraction and templates
+    let structuredInvoice = null;
+    if (['.pdf', '.xml'].includes(fileExtLower)) {
+      try {
+        structuredInvoice = await extractStructuredInvoice(localPath);
+      } catch (structuredError) {
+        console.warn(`⚠️  Could not check ${fileName} for a structured e-invoice: ${structuredError.message}`);
+      }
+    }
+    
     // Handle Excel files
     if (isExcel) {
       console.log(`📊 Processing Excel file: ${fileName}`);
@@ -284,93 +298,111 @@ async function processFileImport(job) {
     let processingMethod = 'local_coordinates';
     let supplierTemplate = null;
     
-    try {
-      // Read PDF buffer
-      const pdfBuffer = fs.readFileSync(localPath);
+    if (structuredInvoice) {
+      // Alias the standard names to the ones this job reads below
+      parsedData = {
+        ...structuredInvoice.parsedData,
+        date: structuredInvoice.parsedData.invoiceDate,
+        amount: structuredInvoice.parsedData.totalAmount
+      };
+      processingMethod = `einvoice_${structuredInvoice.format}`;
+      fileType = parsedData.documentType;
+      console.log(`🧾 Structured e-invoice detected (${structuredInvoice.format}) - skipping template parsing`);
+      console.log(`   ${fileType === 'credit_note' ? 'Credit' : 'Invoice'} #: ${parsedData.invoiceNumber || parsedData.creditNumber}, Account #: ${parsedData.accountNumber || 'Not found'}`);
+    } else {
+      try {
+        // Read PDF buffer
+        const pdfBuffer = fs.readFileSync(localPath);
       
-      // Try to detect document type from content first
-      const { extractTextFromPDF } = require('../utils/pdfExtractor');
-      const extractedText = await extractTextFromPDF(localPath);
-      console.log(`✅ Extracted ${extractedText.text.length} characters of text locally`);
+        // Try to detect document type from content first
+        const { extractTextFromPDF } = require('../utils/pdfExtractor');
+        const extractedText = await extractTextFromPDF(localPath);
+        console.log(`✅ Extracted ${extractedText.text.length} characters of text locally`);
       
-      // Detect document type from content
-      const detectedType = detectDocumentTypeFromContent(extractedText.text);
-      console.log(`📄 Detected document type: ${detectedType}`);
+        // Detect document type from content
+        const detectedType = detectDocumentTypeFromContent(extractedText.text);
+        console.log(`📄 Detected document type: ${detectedType}`);
       
-      // ALWAYS use the default template for the detected document type
-      // CRITICAL: Never use a template of a different type - this causes field mismatches!
-      let template = await Template.findDefaultTemplate('pdf', detectedType);
+        // ALWAYS use the default template for the detected document type
+        // CRITICAL: Never use a template of a different type - this causes field mismatches!
+        let template = await Template.findDefaultTemplate('pdf', detectedType);
       
-      if (template) {
-        // Validate that template type matches detected type
-        if (template.templateType !== detectedType) {
-          console.error(`❌ TEMPLATE TYPE MISMATCH! Detected: ${detectedType}, Template: ${template.templateType}`);
-          console.error(`   This will cause field extraction errors! Rejecting this template.`);
-          template = null; // Reject mismatched template
-        } else {
-          console.log(`✅ Using DEFAULT template: ${template.name} (${template.templateType}, ID: ${template.id}, isDefault: ${template.isDefault})`);
+        if (template) {
+          // Validate that template type matches detected type
+          if (template.templateType !== detectedType) {
+            console.error(`❌ TEMPLATE TYPE MISMATCH! Detected: ${detectedType}, Template: ${template.templateType}`);
+            console.error(`   This will cause field extraction errors! Rejecting this template.`);
+            template = null; // Reject mismatched template
+          } else {
+            console.log(`✅ Using DEFAULT template: ${template.name} (${template.templateType}, ID: ${template.id}, isDefault: ${template.isDefault})`);
+          }
         }
-      }
       
-      // If no matching template found, try to find any template of the correct type (even if not default)
-      if (!template && detectedType) {
-        template = await Template.findTemplateByFileType('pdf', detectedType);
-        if (template) {
-          console.log(`⚠️  Using non-default template for ${detectedType}: ${template.name} (ID: ${template.id}, templateType: ${template.templateType})`);
+        // If no matching template found, try to find any template of the correct type (even if not default)
+        if (!template && detectedType) {
+          template = await Template.findTemplateByFileType('pdf', detectedType);
+          if (template) {
+            console.log(`⚠️  Using non-default template for ${detectedType}: ${template.name} (ID: ${template.id}, templateType: ${template.templateType})`);
+          }
         }
-      }
       
-      if (template) {
-        // Use coordinate-based extraction
-        parsedData = await Template.extractFieldsFromCoordinates(pdfBuffer, template);
-        processingMethod = `local_coordinates_${template.code}`;
-        console.log(`✅ Extracted fields using coordinate template`);
+        if (template) {
+          // Use coordinate-based extraction
+          parsedData = await Template.extractFieldsFromCoordinates(pdfBuffer, template);
+          processingMethod = `local_coordinates_${template.code}`;
+          console.log(`✅ Extracted fields using coordinate template`);
         
-        // Validate template type matches (double-check)
-        if (template.templateType !== detectedType) {
-          console.error(`❌ CRITICAL MISMATCH: Detected document type: ${detectedType}, but using template type: ${template.templateType}`);
-          if (!parsedData.metadata) parsedData.metadata = {};
-          parsedData.metadata.templateTypeMismatch = {
-            detected: detectedType,
-            templateUsed: template.templateType,
-            templateName: template.name,
-            warning: `Document detected as ${detectedType} but parsed with ${template.templateType} template`
-          };
+          // Validate template type matches (double-check)
+          if (template.templateType !== detectedType) {
+            console.error(`❌ CRITICAL MISMATCH: Detected document type: ${detectedType}, but using template type: ${template.templateType}`);
+            if (!parsedData.metadata) parsedData.metadata = {};
+            parsedData.metadata.templateTypeMismatch = {
+              detected: detectedType,
+              templateUsed: template.templateType,
+              templateName: template.name,
+              warning: `Document detected as ${detectedType} but parsed with ${template.templateType} template`
+            };
+          } else {
+            console.log(`✅ Template type validation passed: Detected ${detectedType}, Template ${template.templateType}`);
+          }
         } else {
-          console.log(`✅ Template type validation passed: Detected ${detectedType}, Template ${template.templateType}`);
+          console.error(`❌ CRITICAL: No PDF template found for detected type: ${detectedType}`);
+          console.error(`   This document cannot be processed correctly. Please create a default template for ${detectedType}.`);
+          // Fallback to basic extraction (no template)
+          parsedData = await extractInvoiceData(localPath);
+          processingMethod = 'local_basic';
+        }
+        
+        // Scanned PDF read by the OCR provider
+        if (parsedData?.ocr) {
+          processingMethod = processingMethod.replace(/^local_/, 'local_ocr_');
         }
-      } else {
-        console.error(`❌ CRITICAL: No PDF template found for detected type: ${detectedType}`);
-        console.error(`   This document cannot be processed correctly. Please create a default template for ${detectedType}.`);
-        // Fallback to basic extraction (no template)
-        parsedData = await extractInvoiceData(localPath);
-        processingMethod = 'local_basic';
-      }
       
-      if (parsedData && parsedData.fullText) {
-        const textLength = parsedData.fullText.length;
-        console.log(`✅ Successfully parsed locally`);
-        console.log(`   Extracted ${textLength} characters of text`);
-        console.log(`   Invoice #: ${parsedData.invoiceNumber || 'Not found'}`);
-        console.log(`   Account #: ${parsedData.accountNumber || 'Not found'}`);
-        console.log(`   Date: ${parsedData.date || 'Not found'}`);
-        console.log(`   Amount: ${parsedData.amount || 'Not found'}`);
+        if (parsedData && parsedData.fullText) {
+          const textLength = parsedData.fullText.length;
+          console.log(`✅ Successfully parsed locally`);
+          console.log(`   Extracted ${textLength} characters of text`);
+          console.log(`   Invoice #: ${parsedData.invoiceNumber || 'Not found'}`);
+          console.log(`   Account #: ${parsedData.accountNumber || 'Not found'}`);
+          console.log(`   Date: ${parsedData.date || 'Not found'}`);
+          console.log(`   Amount: ${parsedData.amount || 'Not found'}`);
         
-        // Use detected type or parsed document type
-        if (parsedData.documentType) {
-          fileType = parsedData.documentType;
+          // Use detected type or parsed document type
+          if (parsedData.documentType) {
+            fileType = parsedData.documentType;
+          } else {
+            fileType = detectedType;
+          }
+          console.log(`📄 Document type: ${fileType}`);
         } else {
-          fileType = detectedType;
+          console.log(`⚠️  Local extraction returned no data`);
         }
-        console.log(`📄 Document type: ${fileType}`);
-      } else {
-        console.log(`⚠️  Local extraction returned no data`);
+      } catch (localError) {
+        console.error(`❌ Local PDF extraction failed: ${localError.message}`);
+        console.error(`   Error stack:`, localError.stack);
+        // No fallback - local extraction is primary method
+        parsedData = null;
       }
-    } catch (localError) {
-      console.error(`❌ Local PDF extraction failed: ${localError.message}`);
-      console.error(`   Error stack:`, localError.stack);
-      // No fallback - local extraction is primary method
-      parsedData = null;
     }
     
     // Update file with parsing results
@@ -396,12 +428,12 @@ async function processFileImport(job) {
       // so downstream notification dispatch can skip the duplicate email.
       let statementSecondFormatPairing = false;
       
+      // For statements, only match CORP companies - branches and subsidiaries
+      // never receive statements (the user's hard requirement). For invoices and
+      // credit notes keep the original behaviour: any company-type matches.
+      const isStatementImport = fileType === 'statement' || parsedData.documentType?.toLowerCase() === 'statement';
+      let company = null;
       if (parsedData.accountNumber) {
-        // For statements, only match CORP companies - branches and subsidiaries
-        // never receive statements (the user's hard requirement). For invoices and
-        // credit notes keep the original behaviour: any company-type matches.
-        const isStatementImport = fileType === 'statement' || parsedData.documentType?.toLowerCase() === 'statement';
-        let company;
         if (isStatementImport) {
           company = await findCorpCompanyByAccountNumber(parsedData.accountNumber);
         } else {
@@ -411,116 +443,133 @@ async function processFileImport(job) {
             }
           });
         }
+      }
 
-        if (company) {
-          matchedCompanyId = company.id;
-          console.log(`✅ Matched company: ${company.name} (Account: ${company.referenceNo}, Type: ${company.type || 'n/a'})`);
-          
-          // Create invoice/credit note/statement based on document type
-          // Only create for INVOICE or CREDIT_NOTE document types
-          if (fileType === 'invoice' || parsedData.documentType?.toLowerCase() === 'invoice') {
-            try {
-              const issueDate = parsedData.date ? new Date(parsedData.date) : new Date();
-              
-              document = await Invoice.create({
-                companyId: matchedCompanyId,
-                invoiceNumber: parsedData.invoiceNumber || `INV-${Date.now()}-${file.id.substring(0, 8)}`,
-                issueDate: issueDate,
-                amount: parsedData.amount || 0,
-                taxAmount: parsedData.vatAmount || 0,
-                status: 'draft',
-                fileUrl: file.filePath,
-                metadata: {
-                  source: 'ftp_import',
-                  fileId: file.id,
-                  fileName: fileName,
-                  parsedData: parsedData,
-                  processingMethod: processingMethod
-                }
-              });
-              
-              console.log(`✅ Created invoice: ${document.invoiceNumber} for company: ${company.name}`);
-            } catch (invoiceError) {
-              console.error(`⚠️  Failed to create invoice:`, invoiceError.message);
-              // Continue processing even if invoice creation fails
-            }
-          } else if (fileType === 'credit_note' || parsedData.documentType?.toLowerCase() === 'credit_note') {
-            try {
-              const issueDate = parsedData.date ? new Date(parsedData.date) : new Date();
-              
-              document = await CreditNote.create({
-                companyId: matchedCompanyId,
-                creditNoteNumber: parsedData.invoiceNumber || parsedData.creditNumber || `CN-${Date.now()}-${file.id.substring(0, 8)}`,
-                issueDate: issueDate,
-                amount: parsedData.amount || 0,
-                status: 'draft',
-                fileUrl: file.filePath, // Will be updated after file is moved
-                metadata: {
-                  source: 'ftp_import',
-                  fileId: file.id,
-                  fileName: fileName,
-                  parsedData: parsedData,
-                  processingMethod: processingMethod
-                }
-              });
-              
-              console.log(`✅ Created credit note: ${document.creditNoteNumber} for company: ${company.name}`);
-            } catch (creditNoteError) {
-              console.error(`⚠️  Failed to create credit note:`, creditNoteError.message);
-            }
-          } else if (fileType === 'statement' || parsedData.documentType?.toLowerCase() === 'statement') {
-            // Statement creation goes through the centralised helper so dedupe
-            // (companyId, periodEnd) and dual file slotting are handled in one place.
-            try {
-              // Day-first parse so dd.mm.yyyy / dd/mm/yyyy land on the same UTC
-              // midnight as YYYYMMDD from the ACR11P CSV - otherwise corrections
-              // can silently dedupe wrong (or miss) for any statement dated <= 12th.
-              const statementDate = sharedParseDate(parsedData.statementDate)
-                || sharedParseDate(parsedData.date)
-                || new Date();
+      // Not matched by account number - try the aliases learned when similar
+      // documents were allocated by hand (utils/companyAliases.js)
+      if (!company) {
+        const aliasMatch = await findCompanyByAlias(parsedData, { corpOnly: isStatementImport });
+        if (aliasMatch) {
+          company = aliasMatch.company;
+          console.log(`🔍 Matched company by ${aliasMatch.alias.type.replace('_', ' ')} alias "${aliasMatch.alias.value}"`);
+        }
+      }
 
-              const result = await findOrCreateStatement({
-                matchedCompanyId,
-                statementDate,
-                parsedData,
-                filePath: file.filePath,
-                fileMeta: {
-                  source: 'ftp_import',
-                  fileId: file.id,
-                  fileName,
-                  processingMethod
-                },
-                settings,
-                source: 'manual_upload',
-                fileHash: file.fileHash
-              });
-              document = result.statement;
+      if (company) {
+        matchedCompanyId = company.id;
+        console.log(`✅ Matched company: ${company.name} (Account: ${company.referenceNo}, Type: ${company.type || 'n/a'})`);
+        
+        // Create invoice/credit note/statement based on document type
+        // Only create for INVOICE or CREDIT_NOTE document types
+        if (fileType === 'invoice' || parsedData.documentType?.toLowerCase() === 'invoice') {
+          try {
+            const issueDate = parsedData.date ? new Date(parsedData.date) : new Date();
+            
+            document = await Invoice.create({
+              companyId: matchedCompanyId,
+              invoiceNumber: parsedData.invoiceNumber || `INV-${Date.now()}-${file.id.substring(0, 8)}`,
+              issueDate: issueDate,
+              amount: parsedData.amount || 0,
+              items: parsedData.items || [],
+              taxAmount: parsedData.vatAmount || 0,
+              status: 'draft',
+              fileUrl: file.filePath,
+              metadata: {
+                source: 'ftp_import',
+                fileId: file.id,
+                fileName: fileName,
+                parsedData: parsedData,
+                processingMethod: processingMethod
+              }
+            });
+            
+            console.log(`✅ Created invoice: ${document.invoiceNumber} for company: ${company.name}`);
 
-              if (result.isNew) {
-                console.log(`✅ Created statement: ${document.statementNumber} for company: ${company.name} (closingBalance=${document.closingBalance}, slot=${result.fileSlot})`);
-              } else if (result.replaced) {
-                console.log(`✏️  Statement corrected: ${document.statementNumber} for company: ${company.name} (slot=${result.fileSlot}); will re-notify.`);
-                // Correction -> re-fire the notification.
-                statementSecondFormatPairing = false;
-              } else {
-                console.log(`🔁 Updated existing statement ${document.statementNumber} for company: ${company.name} (slot=${result.fileSlot}); not re-notifying.`);
-                // Suppress notification on byte-identical re-upload or second-format pairing.
-                statementSecondFormatPairing = true;
+            // Credit notes imported before this invoice that refer to it
+            await linkCreditNotesToInvoice(document, parsedData);
+          } catch (invoiceError) {
+            console.error(`⚠️  Failed to create invoice:`, invoiceError.message);
+            // Continue processing even if invoice creation fails
+          }
+        } else if (fileType === 'credit_note' || parsedData.documentType?.toLowerCase() === 'credit_note') {
+          try {
+            const issueDate = parsedData.date ? new Date(parsedData.date) : new Date();
+            
+            document = await CreditNote.create({
+              companyId: matchedCompanyId,
+              creditNoteNumber: parsedData.invoiceNumber || parsedData.creditNumber || `CN-${Date.now()}-${file.id.substring(0, 8)}`,
+              issueDate: issueDate,
+              amount: parsedData.amount || 0,
+              items: parsedData.items || [],
+              status: 'draft',
+              fileUrl: file.filePath, // Will be updated after file is moved
+              metadata: {
+                source: 'ftp_import',
+                fileId: file.id,
+                fileName: fileName,
+                parsedData: parsedData,
+                processingMethod: processingMethod
               }
-            } catch (statementError) {
-              console.error(`⚠️  Failed to create/update statement:`, statementError.message);
-            }
+            });
+            
+            console.log(`✅ Created credit note: ${document.creditNoteNumber} for company: ${company.name}`);
+
+            // Link to the invoice it credits (invoice number in its fields or text)
+            await linkCreditNoteOnImport(document, parsedData);
+          } catch (creditNoteError) {
+            console.error(`⚠️  Failed to create credit note:`, creditNoteError.message);
           }
-        } else {
-          if (isStatementImport) {
-            console.log(`⚠️  No CORP company found with account number: ${parsedData.accountNumber} - statement will not be created (statements only route to corporate accounts).`);
-          } else {
-            console.log(`⚠️  No company found with account number: ${parsedData.accountNumber}`);
+        } else if (fileType === 'statement' || parsedData.documentType?.toLowerCase() === 'statement') {
+          // Statement creation goes through the centralised helper so dedupe
+          // (companyId, periodEnd) and dual file slotting are handled in one place.
+          try {
+            // Day-first parse so dd.mm.yyyy / dd/mm/yyyy land on the same UTC
+            // midnight as YYYYMMDD from the ACR11P CSV - otherwise corrections
+            // can silently dedupe wrong (or miss) for any statement dated <= 12th.
+            const statementDate = sharedParseDate(parsedData.statementDate)
+              || sharedParseDate(parsedData.date)
+              || new Date();
+
+            const result = await findOrCreateStatement({
+              matchedCompanyId,
+              statementDate,
+              parsedData,
+              filePath: file.filePath,
+              fileMeta: {
+                source: 'ftp_import',
+                fileId: file.id,
+                fileName,
+                processingMethod
+              },
+              settings,
+              source: 'manual_upload',
+              fileHash: file.fileHash
+            });
+            document = result.statement;
+
+            if (result.isNew) {
+              console.log(`✅ Created statement: ${document.statementNumber} for company: ${company.name} (closingBalance=${document.closingBalance}, slot=${result.fileSlot})`);
+            } else if (result.replaced) {
+              console.log(`✏️  Statement corrected: ${document.statementNumber} for company: ${company.name} (slot=${result.fileSlot}); will re-notify.`);
+              // Correction -> re-fire the notification.
+              statementSecondFormatPairing = false;
+            } else {
+              console.log(`🔁 Updated existing statement ${document.statementNumber} for company: ${company.name} (slot=${result.fileSlot}); not re-notifying.`);
+              // Suppress notification on byte-identical re-upload or second-format pairing.
+              statementSecondFormatPairing = true;
+            }
+          } catch (statementError) {
+            console.error(`⚠️  Failed to create/update statement:`, statementError.message);
           }
-          console.log(`   File will be marked as unallocated`);
         }
       } else {
-        console.log(`⚠️  No account number found in parsed data`);
+        if (!parsedData.accountNumber) {
+          console.log(`⚠️  No account number found in parsed data`);
+        } else if (isStatementImport) {
+          console.log(`⚠️  No CORP company found with account number: ${parsedData.accountNumber} - statement will not be created (statements only route to corporate accounts).`);
+        } else {
+          console.log(`⚠️  No company found with account number: ${parsedData.accountNumber}`);
+        }
         console.log(`   File will be marked as unallocated`);
       }
       
@@ -550,6 +599,7 @@ async function processFileImport(job) {
                 invoiceNumber: parsedData.invoiceNumber || `INV-${Date.now()}-${file.id.substring(0, 8)}`,
                 issueDate: issueDate,
                 amount: parsedData.amount || 0,
+                items: parsedData.items || [],
                 taxAmount: parsedData.vatAmount || 0,
                 status: 'draft',
                 fileUrl: file.filePath,
@@ -577,6 +627,7 @@ async function processFileImport(job) {
                 creditNoteNumber: parsedData.creditNumber || parsedData.invoiceNumber || `CN-${Date.now()}-${file.id.substring(0, 8)}`,
                 issueDate: issueDate,
                 amount: parsedData.amount || 0,
+                items: parsedData.items || [],
                 status: 'draft',
                 fileUrl: file.filePath,
                 metadata: {
@@ -641,6 +692,7 @@ async function processFileImport(job) {
                 invoiceNumber: parsedData.invoiceNumber || `INV-${Date.now()}-${file.id.substring(0, 8)}`,
                 issueDate: issueDate,
                 amount: parsedData.amount || 0,
+                items: parsedData.items || [],
                 taxAmount: parsedData.vatAmount || 0,
                 status: 'draft',
                 fileUrl: file.filePath,
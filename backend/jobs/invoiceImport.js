@@ -1,6 +1,6 @@
 /**
  * Invoice Import Job Processor
- * Processes individual PDF/Excel files for invoice import
+ * Processes individual PDF/Excel/XML files for invoice import
  * Parses files, matches to companies, and creates invoices
  */
 
@@ -25,7 +25,10 @@ const {
 const { logActivity, ActivityType } = require('../services/activityLogger');
 const { calculateDocumentRetentionDates } = require('../utils/documentRetention');
 const { findOrCreateStatement } = require('../utils/statementImport');
+const { findCompanyByAlias } = require('../utils/companyAliases');
+const { linkCreditNoteOnImport, linkCreditNotesToInvoice } = require('../utils/creditNoteLinking');
 const { isEmailEnabled } = require('../utils/emailService');
+const { extractStructuredInvoice } = require('../services/eInvoice/ingest');
 
 /**
  * Process a single file for invoice import
@@ -334,12 +337,42 @@ async function processInvoiceImport(job) {
     const fileExt = path.extname(fileName).toLowerCase();
     const isExcel = ['.xlsx', '.xls', '.csv'].includes(fileExt);
     const isPDF = fileExt === '.pdf';
+    const isXML = fileExt === '.xml';
     
-    if (!isPDF && !isExcel) {
+    if (!isPDF && !isExcel && !isXML) {
       const errorResult = {
         success: false,
         fileName: originalName || fileName,
-        error: 'Unsupported file type. Only PDF and Excel files are supported.',
+        error: 'Unsupported file type. Only PDF, Excel and XML e-invoice files are supported.',
+        processingTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+      if (importId) {
+        const importStore = require('../utils/importStore');
+        await importStore.addResult(importId, errorResult);
+      }
+      return errorResult;
+    }
+    
+    // Structured e-invoices (UBL/CII XML, or a Factur-X/ZUGFeRD PDF carrying
+    // one) map straight to our fields - no text extraction or template needed
+    let structuredInvoice = null;
+    if (isPDF || isXML) {
+      try {
+        structuredInvoice = await extractStructuredInvoice(filePath);
+        if (structuredInvoice) {
+          console.log(`🧾 [Import ${importId}] Structured e-invoice detected (${structuredInvoice.format}${structuredInvoice.attachmentName ? `, ${structuredInvoice.attachmentName}` : ''}) - skipping template parsing`);
+        }
+      } catch (structuredError) {
+        console.warn(`⚠️  [Import ${importId}] Could not check for structured e-invoice: ${structuredError.message}`);
+      }
+    }
+    
+    if (isXML && !structuredInvoice) {
+      const errorResult = {
+        success: false,
+        fileName: originalName || fileName,
+        error: 'XML file is not a UBL or CII invoice/credit note.',
         processingTime: Date.now() - startTime,
         timestamp: new Date().toISOString()
       };
@@ -355,7 +388,9 @@ async function processInvoiceImport(job) {
     let quickDetectedDocType = null;
     
     try {
-      if (isPDF) {
+      if (structuredInvoice) {
+        quickDetectedDocType = structuredInvoice.parsedData.documentType;
+      } else if (isPDF) {
         // Improved document type detection using basic text extraction
         // Priority: Check for specific document type keywords in order of specificity
         try {
@@ -493,7 +528,10 @@ async function processInvoiceImport(job) {
     
     // Parse file using template
     try {
-      if (template) {
+      if (structuredInvoice) {
+        parsedData = structuredInvoice.parsedData;
+        processingMethod = `einvoice_${structuredInvoice.format}`;
+      } else if (template) {
         if (isPDF) {
           console.log(`📄 [Import ${importId}] Extracting from PDF using template: ${template.name} (${template.templateType})`);
           parsedData = await Template.extractFieldsFromCoordinates(fileBuffer, template);
@@ -577,6 +615,11 @@ async function processInvoiceImport(job) {
       throw new Error(`Failed to parse file: ${parseError.message}`);
     }
     
+    // Scanned PDF read by the OCR provider (local_basic -> local_ocr_basic, ...)
+    if (parsedData?.ocr && processingMethod.startsWith('local_')) {
+      processingMethod = processingMethod.replace(/^local_/, 'local_ocr_');
+    }
+    
     await job.updateProgress(60);
     
     // Determine file storage structure based on document type
@@ -792,6 +835,20 @@ async function processInvoiceImport(job) {
       console.log(`   Parsed data keys: ${Object.keys(parsedData).filter(k => k !== 'templateId' && k !== 'templateName' && k !== 'fieldLabels').join(', ')}`);
     }
     
+    // Not matched by account number - try the account numbers, customer names and
+    // PO prefixes learned when similar documents were allocated by hand
+    if (!matchedCompanyId) {
+      const lookedLikeStatement =
+        parsedData.documentType?.toLowerCase() === 'statement' ||
+        (parsedData.fileName || '').toLowerCase().includes('statement') ||
+        job.data.forceDocumentType === 'statement';
+      const aliasMatch = await findCompanyByAlias(parsedData, { corpOnly: lookedLikeStatement });
+      if (aliasMatch) {
+        matchedCompanyId = aliasMatch.company.id;
+        console.log(`✅ [Import ${importId}] Matched company by ${aliasMatch.alias.type.replace('_', ' ')} alias "${aliasMatch.alias.value}": ${aliasMatch.company.name} (Account: ${aliasMatch.company.referenceNo}, ID: ${aliasMatch.company.id})`);
+      }
+    }
+    
     await job.updateProgress(80);
     
     // Determine specific failure reasons by checking what's missing
@@ -847,7 +904,8 @@ async function processInvoiceImport(job) {
         const fieldDef = STANDARD_FIELDS.vatAmount;
         missingFields.push(fieldDef ? fieldDef.displayName : 'VAT Amount');
       }
-      if (!customerPO || customerPO.toString().trim() === '') {
+      // Structured e-invoices are authoritative - no PO means the buyer gave none
+      if (!structuredInvoice && (!customerPO || customerPO.toString().trim() === '')) {
         const fieldDef = STANDARD_FIELDS.customerPO;
         missingFields.push(fieldDef ? fieldDef.displayName : 'PO Number');
       }
@@ -1213,8 +1271,10 @@ async function processInvoiceImport(job) {
             companyId: matchedCompanyId,
             invoiceNumber: finalInvoiceNumber,
             issueDate: issueDate,
+            dueDate: structuredInvoice?.parsedData.dueDate ? parseDate(structuredInvoice.parsedData.dueDate) : null,
             amount: amount,
             taxAmount: taxAmount,
+            items: Array.isArray(parsedData.items) ? parsedData.items : [],
             status: invoiceStatus,
             documentStatus: documentStatus,
             fileUrl: actualFilePath, // Use actual path after status folder move
@@ -1230,6 +1290,9 @@ async function processInvoiceImport(job) {
           });
           documentType = 'invoice';
           console.log(`✅ [Import ${importId}] Created invoice: ${document.invoiceNumber} for company: ${matchedCompanyId}`);
+
+          // Credit notes imported before this invoice that refer to it
+          await linkCreditNotesToInvoice(document, parsedData);
         } else if (isCreditNote) {
           // Clean and convert amount values to numbers (with decimal support)
           const amountValue = getParsedValue(parsedData, 'totalAmount') || getParsedValue(parsedData, 'amount') || parsedData.amount || parsedData.totalAmount;
@@ -1265,6 +1328,7 @@ async function processInvoiceImport(job) {
             issueDate: issueDate,
             amount: amount,
             taxAmount: taxAmount,
+            items: Array.isArray(parsedData.items) ? parsedData.items : [],
             status: creditNoteStatus,
             documentStatus: documentStatus,
             fileUrl: actualFilePath, // Use actual path after status folder move
@@ -1280,6 +1344,9 @@ async function processInvoiceImport(job) {
           });
           documentType = 'credit_note';
           console.log(`✅ [Import ${importId}] Created credit note: ${document.creditNoteNumber} for company: ${matchedCompanyId}`);
+
+          // Link to the invoice it credits (invoice number in its fields or text)
+          await linkCreditNoteOnImport(document, parsedData);
         } else if (isStatement) {
           // ----- Statement creation via centralised helper -----
           // Phase 1: aging buckets persist in metadata.aging.
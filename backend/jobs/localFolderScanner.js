@@ -30,7 +30,7 @@ const {
 } = require('../config/storage');
 
 // Supported file extensions
-const SUPPORTED_EXTENSIONS = ['.pdf', '.xlsx', '.xls'];
+const SUPPORTED_EXTENSIONS = ['.pdf', '.xlsx', '.xls', '.xml'];
 
 /**
  * Calculate file hash (SHA-256) for duplicate detection
@@ -41,6 +41,7 @@ const { buildExcel } = require('../services/statementGenerator/excel');
 const { buildPdf } = require('../services/statementGenerator/pdf');
 const { isoDate } = require('../services/statementGenerator/parse');
 const { computeStatementContentHash } = require('../services/statementGenerator/contentHash');
+const { recordAgingSnapshot } = require('../utils/agingReport');
 
 // Unoserver pool wiring. The Python sidecar calls `unoconvert`, which talks to
 // a running `unoserver` listener (single-threaded LibreOffice behind the
@@ -277,6 +278,24 @@ async function processStatementGenerate(job) {
       isNew: false
     });
 
+    // Persist the account-level aging buckets for the aged-debt report.
+    // Best effort: reporting data must never fail a statement run.
+    const persistAging = async (statementId) => {
+      if (!matched || !stmtDateIso || !customer.aging) return;
+      try {
+        await recordAgingSnapshot({
+          companyId: company.id,
+          statementDate: stmtDateIso,
+          aging: customer.aging,
+          accountNumber: custNo,
+          statementId,
+          importId
+        });
+      } catch (agingError) {
+        console.warn(`⚠️  [StmtGen ${importId}] custNo=${custNo} failed to record aging snapshot:`, agingError.message);
+      }
+    };
+
     const recordShortCircuit = async (result) => {
       await job.updateProgress(100);
       const importStoreSC = require('../utils/importStore');
@@ -303,6 +322,7 @@ async function processStatementGenerate(job) {
             `skipping regeneration and notification.`
           );
           const result = buildShortCircuitResult(existingStatement, 'unchanged');
+          await persistAging(existingStatement.id);
           await recordShortCircuit(result);
           return result;
         }
@@ -319,6 +339,7 @@ async function processStatementGenerate(job) {
             `no regeneration, existing files preserved, no notification.`
           );
           const result = buildShortCircuitResult(existingStatement, 'baseline');
+          await persistAging(existingStatement.id);
           await recordShortCircuit(result);
           return result;
         }
@@ -540,6 +561,8 @@ async function processStatementGenerate(job) {
       await pdfFile.update({
         metadata: { ...(pdfFile.metadata || {}), documentId: statement.id, documentType: 'statement' }
       });
+
+      await persistAging(statement.id);
     }
 
     // Suppress the per-statement notification unless something materially changed:
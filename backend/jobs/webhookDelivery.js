@@ -0,0 +1,106 @@
+/**
+ * Webhook Delivery Job Processor
+ * Sends one WebhookDelivery to its endpoint:
+ * - Signed POST (see services/webhooks.js for the signature format)
+ * - 2xx is success; other 4xx (except 408/429) are permanent failures
+ * - Timeouts, network errors and 5xx are retried with backoff by BullMQ
+ * - Outcome of every attempt is stored on the delivery row
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { WebhookDelivery, WebhookEndpoint } = require('../models');
+const { signPayload } = require('../services/webhooks');
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+const RETRYABLE_CLIENT_STATUSES = [408, 429];
+
+/**
+ * Process a webhook delivery job
+ * @param {Object} job - BullMQ job with data.deliveryId
+ * @returns {Promise<Object>} Delivery outcome
+ */
+async function processWebhookDelivery(job) {
+  const { deliveryId } = job.data;
+  const delivery = await WebhookDelivery.findByPk(deliveryId, {
+    include: [{ model: WebhookEndpoint, as: 'endpoint' }]
+  });
+
+  if (!delivery || !delivery.endpoint) {
+    // Endpoint (and its deliveries) deleted while the job was waiting
+    return { skipped: true, reason: 'Delivery no longer exists' };
+  }
+  if (delivery.status === 'succeeded') {
+    return { skipped: true, reason: 'Already delivered' };
+  }
+
+  const { endpoint } = delivery;
+  const attempt = (job.attemptsMade || 0) + 1;
+  const maxAttempts = job.opts?.attempts || 1;
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'InvoicePortal-Webhooks/1.0',
+        'X-Webhook-Id': delivery.payload.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': signPayload(endpoint.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text().catch(() => '')).substring(0, MAX_RESPONSE_BODY_LENGTH);
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.name === 'TimeoutError'
+      ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`
+      : requestError.cause?.message || requestError.message;
+  }
+
+  const succeeded = !error;
+  const permanent = !succeeded && responseStatus >= 400 && responseStatus < 500 &&
+    !RETRYABLE_CLIENT_STATUSES.includes(responseStatus);
+  const finalAttempt = succeeded || permanent || attempt >= maxAttempts;
+  const status = succeeded ? 'succeeded' : (finalAttempt ? 'failed' : 'retrying');
+  const now = new Date();
+
+  await delivery.update({
+    status,
+    attempts: attempt,
+    responseStatus,
+    responseBody,
+    error,
+    durationMs: Date.now() - startedAt,
+    lastAttemptAt: now,
+    deliveredAt: succeeded ? now : null
+  });
+  if (finalAttempt) {
+    await endpoint.update({ lastDeliveryAt: now, lastDeliveryStatus: status });
+  }
+
+  if (permanent) {
+    throw new UnrecoverableError(`Permanent failure (${responseStatus}) delivering to ${endpoint.url}`);
+  }
+  if (!succeeded) {
+    throw new Error(`Webhook delivery to ${endpoint.url} failed: ${error}`);
+  }
+
+  return { deliveryId, endpointId: endpoint.id, event: delivery.event, status: responseStatus, attempts: attempt };
+}
+
+module.exports = {
+  processWebhookDelivery
+};
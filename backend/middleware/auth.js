@@ -1,14 +1,38 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/authSessions');
+const { PUBLIC_API_PATH, isApiKey, authenticateApiKey } = require('../utils/apiKeys');
+const { refreshRoles } = require('../utils/roleRegistry');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const token = req.header('Authorization')?.replace('Bearer ', '') || req.header('X-API-Key');
     
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Pick up role/permission changes made in Settings (cheap when nothing changed)
+    await refreshRoles();
+
+    // Personal API keys: read-only, and only on the public API
+    if (isApiKey(token)) {
+      if (req.baseUrl !== PUBLIC_API_PATH) {
+        return res.status(401).json({ message: `API keys can only be used with the public API (${PUBLIC_API_PATH})` });
+      }
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(403).json({ message: 'API keys are read-only' });
+      }
+      try {
+        req.user = await authenticateApiKey(token, req);
+      } catch (error) {
+        if (error.name === 'ApiKeyError') {
+          return res.status(401).json({ message: error.message });
+        }
+        throw error;
+      }
+      return next();
+    }
+
+    const decoded = await verifyAccessToken(token, req);
     req.user = decoded;
     next();
   } catch (error) {
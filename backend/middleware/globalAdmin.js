@@ -1,7 +1,7 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/authSessions');
 
 // Middleware to check if user is Global Admin
-const globalAdmin = (req, res, next) => {
+const globalAdmin = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -9,7 +9,7 @@ const globalAdmin = (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token, req);
     
     // Check if user is global admin
     if (decoded.role !== 'global_admin') {
@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+const { runWithRequestContext } = require('../utils/requestContext');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+
+// The only change an impersonation session may make is ending itself
+const WRITE_PATHS = ['/api/impersonation/stop'];
+// Requests not worth an activity log entry each
+const UNLOGGED_PATHS = ['/api/impersonation', '/api/auth/me', '/api/roles'];
+
+/**
+ * Impersonation ("view as user") guard - mounted in front of every API route
+ * so it applies whichever auth middleware a route uses.
+ *
+ * Requests made with an impersonation token (see createImpersonationSession
+ * in utils/authSessions.js) are read-only, each one is logged against the
+ * admin once the response is sent, and they run inside a request context so
+ * activity the route itself logs (document views etc.) is attributed to the
+ * admin too (see services/activityLogger.js). The token's session is still
+ * checked by the route's auth middleware as usual.
+ */
+const impersonationGuard = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return next();
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    // Invalid/expired - left for the auth middleware to reject
+    return next();
+  }
+  if (!decoded.imp) {
+    return next();
+  }
+
+  const impersonation = { ...decoded.imp, userId: decoded.userId, sessionId: decoded.sid };
+  const path = req.originalUrl.split('?')[0].replace(/\/$/, '');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD' && !WRITE_PATHS.includes(path)) {
+    return res.status(403).json({
+      message: 'Read-only while viewing as another user. Stop viewing as them to make changes.',
+      impersonation: true
+    });
+  }
+
+  if (!UNLOGGED_PATHS.some(prefix => path.startsWith(prefix))) {
+    res.on('finish', () => {
+      logActivity({
+        type: ActivityType.IMPERSONATION_REQUEST,
+        userId: impersonation.impersonatorId,
+        userEmail: impersonation.impersonatorEmail,
+        userRole: impersonation.impersonatorRole,
+        action: `Viewed as ${impersonation.targetEmail}: ${req.method} ${path} (${res.statusCode})`,
+        details: {
+          impersonatedUserId: impersonation.userId,
+          impersonatedUserEmail: impersonation.targetEmail,
+          impersonationSessionId: impersonation.sessionId,
+          method: req.method,
+          path,
+          query: req.query,
+          statusCode: res.statusCode
+        },
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      }).catch(error => console.error('Error logging impersonated request:', error));
+    });
+  }
+
+  req.impersonation = impersonation;
+  runWithRequestContext({ impersonation }, next);
+};
+
+module.exports = impersonationGuard;
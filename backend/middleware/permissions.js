@@ -2,18 +2,20 @@
  * Permission Middleware
  * 
  * Middleware functions to check user permissions on routes.
- * Uses the centralized permission definitions from utils/permissions.js
+ * Uses the centralized permission definitions from utils/permissions.js,
+ * with role permission sets from the roles table (utils/roleRegistry.js)
  */
 
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/authSessions');
 const { hasPermission, hasAnyPermission, isStaffRole } = require('../utils/permissions');
+const { refreshRoles } = require('../utils/roleRegistry');
 
 /**
  * Middleware to require a specific permission
  * @param {string} permission - Permission required (e.g., 'INVOICES_DELETE')
  */
 const requirePermission = (permission) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       // Check if user is authenticated
       if (!req.user) {
@@ -22,9 +24,10 @@ const requirePermission = (permission) => {
         if (!token) {
           return res.status(401).json({ message: 'Authentication required' });
         }
-        req.user = jwt.verify(token, process.env.JWT_SECRET);
+        req.user = await verifyAccessToken(token, req);
       }
 
+      await refreshRoles();
       const userRole = req.user.role;
 
       if (!hasPermission(userRole, permission)) {
@@ -34,9 +37,17 @@ const requirePermission = (permission) => {
         });
       }
 
+      // API keys are further limited to the scopes chosen when they were created
+      if (req.user.apiKeyId && !req.user.scopes.includes(permission)) {
+        return res.status(403).json({ 
+          message: 'This API key does not have the scope needed for this request.',
+          requiredPermission: permission
+        });
+      }
+
       next();
     } catch (error) {
-      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      if (['JsonWebTokenError', 'TokenExpiredError', 'SessionRevokedError'].includes(error.name)) {
         return res.status(401).json({ message: 'Invalid or expired token' });
       }
       console.error('Permission middleware error:', error);
@@ -50,16 +61,17 @@ const requirePermission = (permission) => {
  * @param {string[]} permissions - Array of permissions (user needs at least one)
  */
 const requireAnyPermission = (permissions) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
         const token = req.header('Authorization')?.replace('Bearer ', '');
         if (!token) {
           return res.status(401).json({ message: 'Authentication required' });
         }
-        req.user = jwt.verify(token, process.env.JWT_SECRET);
+        req.user = await verifyAccessToken(token, req);
       }
 
+      await refreshRoles();
       const userRole = req.user.role;
 
       if (!hasAnyPermission(userRole, permissions)) {
@@ -69,9 +81,16 @@ const requireAnyPermission = (permissions) => {
         });
       }
 
+      if (req.user.apiKeyId && !permissions.some(permission => req.user.scopes.includes(permission))) {
+        return res.status(403).json({ 
+          message: 'This API key does not have the scope needed for this request.',
+          requiredPermissions: permissions
+        });
+      }
+
       next();
     } catch (error) {
-      if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      if (['JsonWebTokenError', 'TokenExpiredError', 'SessionRevokedError'].includes(error.name)) {
         return res.status(401).json({ message: 'Invalid or expired token' });
       }
       console.error('Permission middleware error:', error);
@@ -83,16 +102,17 @@ const requireAnyPermission = (permissions) => {
 /**
  * Middleware to require staff role (internal users only)
  */
-const requireStaff = (req, res, next) => {
+const requireStaff = async (req, res, next) => {
   try {
     if (!req.user) {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (!token) {
         return res.status(401).json({ message: 'Authentication required' });
       }
-      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await verifyAccessToken(token, req);
     }
 
+    await refreshRoles();
     if (!isStaffRole(req.user.role)) {
       return res.status(403).json({ 
         message: 'Access denied. Staff access required.'
@@ -101,7 +121,7 @@ const requireStaff = (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    if (['JsonWebTokenError', 'TokenExpiredError', 'SessionRevokedError'].includes(error.name)) {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
     console.error('Permission middleware error:', error);
@@ -112,14 +132,14 @@ const requireStaff = (req, res, next) => {
 /**
  * Middleware to require Global Admin only
  */
-const requireGlobalAdmin = (req, res, next) => {
+const requireGlobalAdmin = async (req, res, next) => {
   try {
     if (!req.user) {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (!token) {
         return res.status(401).json({ message: 'Authentication required' });
       }
-      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await verifyAccessToken(token, req);
     }
 
     if (req.user.role !== 'global_admin') {
@@ -130,7 +150,7 @@ const requireGlobalAdmin = (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    if (['JsonWebTokenError', 'TokenExpiredError', 'SessionRevokedError'].includes(error.name)) {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
     console.error('Permission middleware error:', error);
@@ -141,14 +161,14 @@ const requireGlobalAdmin = (req, res, next) => {
 /**
  * Middleware to require Admin or higher (GA + Admin)
  */
-const requireAdmin = (req, res, next) => {
+const requireAdmin = async (req, res, next) => {
   try {
     if (!req.user) {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (!token) {
         return res.status(401).json({ message: 'Authentication required' });
       }
-      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await verifyAccessToken(token, req);
     }
 
     if (!['global_admin', 'administrator'].includes(req.user.role)) {
@@ -159,7 +179,7 @@ const requireAdmin = (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    if (['JsonWebTokenError', 'TokenExpiredError', 'SessionRevokedError'].includes(error.name)) {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
     console.error('Permission middleware error:', error);
@@ -170,14 +190,14 @@ const requireAdmin = (req, res, next) => {
 /**
  * Middleware to require Manager or higher (GA + Admin + Manager)
  */
-const requireManager = (req, res, next) => {
+const requireManager = async (req, res, next) => {
   try {
     if (!req.user) {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       if (!token) {
         return res.status(401).json({ message: 'Authentication required' });
       }
-      req.user = jwt.verify(token, process.env.JWT_SECRET);
+      req.user = await verifyAccessToken(token, req);
     }
 
     if (!['global_admin', 'administrator', 'manager'].includes(req.user.role)) {
@@ -188,7 +208,7 @@ const requireManager = (req, res, next) => {
 
     next();
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+    if (['JsonWebTokenError', 'TokenExpiredError', 'SessionRevokedError'].includes(error.name)) {
       return res.status(401).json({ message: 'Invalid or expired token' });
     }
     console.error('Permission middleware error:', error);
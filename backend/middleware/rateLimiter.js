@@ -187,6 +187,18 @@ const rateLimiters = {
     },
   }),
 
+  // Rate limiter for the public API, per API key rather than per IP so one
+  // customer's integration can't use up another's allowance behind a shared proxy
+  apiKey: createRateLimiter({
+    prefix: 'apikey',
+    windowMs: 1 * 60 * 1000, // 1 minute
+    max: 60, // 60 requests per key per minute (the per-IP 'api' limiter still applies too)
+    message: 'API key rate limit exceeded, please slow down.',
+    keyGenerator: (req) => {
+      return req.user?.apiKeyId || req.ip || 'unknown';
+    },
+  }),
+
   // Rate limiter for file uploads
   upload: createRateLimiter({
     prefix: 'upload',
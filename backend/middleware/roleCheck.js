@@ -1,10 +1,10 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../utils/authSessions');
 const { canManageRole, canAddUsers } = require('../utils/roleHierarchy');
 
 /**
  * Middleware to check if user can manage users
  */
-const canManageUsers = (req, res, next) => {
+const canManageUsers = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
@@ -12,7 +12,7 @@ const canManageUsers = (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await verifyAccessToken(token, req);
     
     if (!canAddUsers(decoded.role)) {
       return res.status(403).json({ 
@@ -31,7 +31,7 @@ const canManageUsers = (req, res, next) => {
  * Middleware to check if user can manage a specific role
  */
 const canManageRoleMiddleware = (targetRole) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       const token = req.header('Authorization')?.replace('Bearer ', '');
       
@@ -39,7 +39,7 @@ const canManageRoleMiddleware = (targetRole) => {
         return res.status(401).json({ message: 'No token, authorization denied' });
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = await verifyAccessToken(token, req);
       
       if (!canManageRole(decoded.role, targetRole)) {
         return res.status(403).json({ 
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * AgingSnapshot Model
+ * Aged-debt buckets for one company as at one statement date, captured from
+ * the ACR11P export when statements are generated. One row per
+ * (companyId, statementDate); re-running the same export overwrites it.
+ *
+ * Only the company's own balance is stored - hierarchy roll-ups are computed
+ * at report time from the nested-set columns so they follow re-parenting.
+ */
+module.exports = (sequelize) => {
+  const AgingSnapshot = sequelize.define('AgingSnapshot', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    statementDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      comment: 'Statement date from the export (aging is as at this date)'
+    },
+    accountNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Customer number as it appeared in the export'
+    },
+    currentAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    overdue1To30: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    overdue31To60: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    overdue61To90: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    overdue91Plus: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    totalBalance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    statementId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Statement row generated from the same export line (if any)'
+    },
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'statement_generate',
+      comment: 'Where the figures came from: statement_generate | backfill'
+    },
+    importId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Statement generation import session that wrote this row'
+    }
+  }, {
+    tableName: 'aging_snapshots',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['companyId', 'statementDate']
+      },
+      {
+        fields: ['statementDate']
+      }
+    ]
+  });
+
+  return AgingSnapshot;
+};
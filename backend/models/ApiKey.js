@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * ApiKey Model
+ * Personal API key for the read-only public API (/api/v1). Keys act as the
+ * user who created them, limited to the scopes chosen at creation and to the
+ * companies the user can see. Only a hash of the secret is stored; the full
+ * key is shown once, when it is created.
+ */
+module.exports = (sequelize) => {
+  const ApiKey = sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'What the key is for, e.g. "SAP invoice sync"'
+    },
+    prefix: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      comment: 'Public start of the key, used to look it up and to recognise it in lists and logs'
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'SHA-256 of the full key (hex)'
+    },
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Permission names from utils/permissions.js (API_KEY_SCOPES only)'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['prefix']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return ApiKey;
+};
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * AuditCheckpoint Model
+ * Written each time retention removes the oldest audit entries: the id and
+ * hash of the last entry removed. The first remaining entry must chain from
+ * that hash, so verification still covers the start of the trail after
+ * pruning.
+ */
+module.exports = (sequelize) => {
+  const AuditCheckpoint = sequelize.define('AuditCheckpoint', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    throughEntryId: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      comment: 'Last audit entry removed'
+    },
+    throughHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      comment: 'Hash of that entry - the next entry\'s previousHash'
+    },
+    entriesRemoved: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    cutoff: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Entries before this time were removed'
+    },
+    retentionDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    }
+  }, {
+    tableName: 'audit_checkpoints',
+    timestamps: true,
+    updatedAt: false
+  });
+
+  return AuditCheckpoint;
+};
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * AuditEntry Model
+ * Append-only copy of every activity log entry, kept for audits. Each entry
+ * carries the hash of the one before it (previousHash) and its own hash over
+ * its content and previousHash, so changing or removing an entry breaks the
+ * chain (see services/auditTrail.js). The migration adds a trigger that
+ * refuses updates and deletes other than retention pruning.
+ */
+module.exports = (sequelize) => {
+  const AuditEntry = sequelize.define('AuditEntry', {
+    id: {
+      type: DataTypes.BIGINT,
+      autoIncrement: true,
+      primaryKey: true,
+      comment: 'Chain order'
+    },
+    logId: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Activity log id (Redis) this entry was written with'
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Not a foreign key - entries outlive users, and "system" is used for jobs'
+    },
+    userEmail: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    userRole: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    action: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    companyId: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    companyName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    previousHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    hashAlgorithm: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'sha256',
+      comment: 'hmac-sha256 when AUDIT_CHAIN_SECRET is set, otherwise sha256'
+    }
+  }, {
+    tableName: 'audit_entries',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['occurredAt']
+      },
+      {
+        fields: ['type']
+      },
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['companyId']
+      }
+    ]
+  });
+
+  return AuditEntry;
+};
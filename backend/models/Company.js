@@ -73,6 +73,11 @@ module.exports = (sequelize) => {
       defaultValue: false,
       comment: 'Include PDF attachment in invoice/credit note notifications'
     },
+    sendFacturXAttachment: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Attach invoice/credit note PDFs as Factur-X (PDF/A-3 with embedded CII XML)'
+    },
     sendStatementEmail: {
       type: DataTypes.BOOLEAN,
       defaultValue: false,
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * CompanyAlias Model
+ * Another way a company shows up on its documents - an old or mistyped
+ * account number, the customer name as printed, or the prefix of its PO
+ * numbers. Learned when a user allocates an unallocated file by hand and
+ * checked by the import jobs before a file is left unallocated
+ * (utils/companyAliases.js). Reviewed and pruned under Unallocated > Aliases.
+ */
+module.exports = (sequelize) => {
+  const CompanyAlias = sequelize.define('CompanyAlias', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('account_number', 'customer_name', 'po_prefix'),
+      allowNull: false
+    },
+    value: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Value as it appeared on the document (or was entered)'
+    },
+    normalizedValue: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      comment: 'Lookup key - see normalizeAliasValue() in utils/companyAliases.js'
+    },
+    source: {
+      type: DataTypes.ENUM('allocation', 'manual'),
+      allowNull: false,
+      defaultValue: 'allocation',
+      comment: 'allocation = learned from a manual allocation, manual = added on the aliases screen'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    sourceFileId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Unallocated file the alias was learned from'
+    },
+    matchCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Documents matched to the company through this alias'
+    },
+    lastMatchedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'company_aliases',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['type', 'normalizedValue']
+      },
+      {
+        fields: ['companyId']
+      }
+    ]
+  });
+
+  return CompanyAlias;
+};
@@ -0,0 +1,94 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * CompanySamlConfig Model
+ * SAML 2.0 identity provider for a CORP customer. External users whose email
+ * domain is listed in emailDomains sign in through the customer's own IdP and
+ * are assigned to the CORP company and everything below it.
+ *
+ * The IdP details are usually filled from the metadata XML the customer
+ * supplies; entity ID, SSO URL and certificates can also be entered by hand.
+ */
+module.exports = (sequelize) => {
+  const CompanySamlConfig = sequelize.define('CompanySamlConfig', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      comment: 'CORP company this identity provider signs users in for'
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    emailDomains: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Lower-case email domains redirected to this identity provider'
+    },
+    idpEntityId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Identity provider entity ID (expected assertion Issuer)'
+    },
+    idpSsoUrl: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Identity provider SingleSignOnService URL (HTTP-Redirect binding)'
+    },
+    idpCertificates: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Identity provider signing certificates (base64 DER) - more than one during rotation'
+    },
+    metadataXml: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Identity provider metadata as last uploaded'
+    },
+    emailAttribute: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Assertion attribute holding the email address (default: common email attributes, then NameID)'
+    },
+    autoProvision: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Create external users on their first sign-in'
+    },
+    allowPasswordLogin: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Let users in these domains keep signing in with a portal password'
+    },
+    updatedById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'company_saml_configs',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['companyId']
+      },
+      {
+        fields: ['emailDomains'],
+        using: 'gin'
+      }
+    ]
+  });
+
+  return CompanySamlConfig;
+};
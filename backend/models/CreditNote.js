@@ -23,6 +23,11 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'Related invoice if this credit note is for a specific invoice'
     },
+    invoiceReference: {
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      comment: 'Invoice number the credit note refers to, as read from the document (see utils/creditNoteLinking.js)'
+    },
     issueDate: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -140,6 +145,12 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true,
       comment: 'Timestamp of the most recent notification email that included this credit note.'
+    },
+    amountApplied: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'How much of this credit note has been taken against invoices via payment allocations'
     }
   }, {
     tableName: 'credit_notes',
@@ -151,6 +162,9 @@ module.exports = (sequelize) => {
       {
         fields: ['invoiceId']
       },
+      {
+        fields: ['companyId', 'invoiceReference']
+      },
       {
         fields: ['creditNoteNumber'],
         unique: true
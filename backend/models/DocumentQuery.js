@@ -30,7 +30,7 @@ module.exports = (sequelize) => {
     messages: {
       type: DataTypes.JSONB,
       defaultValue: [],
-      comment: 'Array of messages in the query thread. Each message has: { id, userId, userName, userEmail, userRole, message, createdAt, isCustomer, replyTo (optional message id for threading) }'
+      comment: 'Array of messages in the query thread. Each message has: { id, userId, userName, userEmail, userRole, message, createdAt, isCustomer, replyTo (optional message id for threading), internal (staff-only note), attachments ([{ id, fileName, mimeType, size }]) }'
     },
     status: {
       type: DataTypes.ENUM('open', 'resolved', 'closed'),
@@ -62,6 +62,40 @@ module.exports = (sequelize) => {
       allowNull: true,
       comment: 'User ID who sent the last message'
     },
+    category: {
+      type: DataTypes.ENUM('pricing', 'delivery', 'duplicate', 'short_shipment', 'other'),
+      allowNull: true,
+      comment: 'Dispute category - sets the SLA (Settings.querySla)'
+    },
+    assignedTo: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Staff user (credit controller) handling the query'
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    slaDueAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the query should be resolved by (created + the category SLA)'
+    },
+    firstResponseAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'First staff reply after the customer raised the query'
+    },
+    escalationLevel: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: '0 = not escalated; 1 = SLA breached; 2 = overdue by a further SLA period'
+    },
+    escalatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     metadata: {
       type: DataTypes.JSONB,
       defaultValue: {},
@@ -82,6 +116,12 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['lastMessageAt']
+      },
+      {
+        fields: ['assignedTo']
+      },
+      {
+        fields: ['status', 'slaDueAt']
       }
     ]
   });
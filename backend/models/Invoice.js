@@ -154,6 +154,17 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: true,
       comment: 'Timestamp of the most recent notification email that included this invoice (set when the email job hits status=SENT).'
+    },
+    amountPaid: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Sum of payment allocations against this invoice (maintained by utils/paymentAllocation.js)'
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Date the invoice became fully settled (latest payment date once outstanding reached zero)'
     }
   }, {
     tableName: 'invoices',
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Payment Model
+ * A single receipt of money (or a contra settlement) from a customer.
+ * How the money is spread across invoices and credit notes lives in
+ * PaymentAllocation; a payment with no allocations is "on account".
+ */
+module.exports = (sequelize) => {
+  const Payment = sequelize.define('Payment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Company (customer account) the payment was received from'
+    },
+    paymentDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'Date the payment was received / value date on the bank or cash file'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Cash amount received (0 for pure credit note contra settlements)'
+    },
+    method: {
+      type: DataTypes.ENUM('bank_transfer', 'cheque', 'card', 'direct_debit', 'cash', 'credit_note', 'other'),
+      allowNull: false,
+      defaultValue: 'bank_transfer',
+      comment: 'How the payment was made (credit_note = settled by applying a credit note, no cash)'
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Remittance / bank reference as supplied by the customer or bank'
+    },
+    source: {
+      type: DataTypes.ENUM('manual', 'remittance_import'),
+      allowNull: false,
+      defaultValue: 'manual',
+      comment: 'Whether the payment was keyed in manually or created by a remittance import'
+    },
+    importBatchId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Remittance import batch this payment came from (groups rows from one file)'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Additional flexible data (e.g. original remittance row, source file name)'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'User who recorded or imported this payment'
+    }
+  }, {
+    tableName: 'payments',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['companyId']
+      },
+      {
+        fields: ['paymentDate']
+      },
+      {
+        fields: ['importBatchId']
+      },
+      {
+        fields: ['reference']
+      }
+    ]
+  });
+
+  return Payment;
+};
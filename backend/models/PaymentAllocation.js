@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * PaymentAllocation Model
+ * Links part (or all) of a Payment to exactly one document.
+ *
+ * Sign convention:
+ * - invoiceId set:    positive amount settles that much of the invoice
+ * - creditNoteId set: negative amount consumes that much of the credit note
+ *
+ * So for a remittance that pays INV1 (500) and takes CN1 (100) the payment
+ * amount is 400 and its allocations are +500 / -100.
+ */
+module.exports = (sequelize) => {
+  const PaymentAllocation = sequelize.define('PaymentAllocation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    paymentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'payments',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    invoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Invoice this allocation settles (mutually exclusive with creditNoteId)'
+    },
+    creditNoteId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Credit note this allocation consumes (mutually exclusive with invoiceId)'
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      comment: 'Allocated amount (positive for invoices, negative for credit notes)'
+    }
+  }, {
+    tableName: 'payment_allocations',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['paymentId']
+      },
+      {
+        fields: ['invoiceId']
+      },
+      {
+        fields: ['creditNoteId']
+      }
+    ],
+    validate: {
+      exactlyOneDocument() {
+        if (!!this.invoiceId === !!this.creditNoteId) {
+          throw new Error('An allocation must reference exactly one invoice or credit note');
+        }
+      }
+    }
+  });
+
+  return PaymentAllocation;
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * QueryReplyToken Model
+ * Reply-by-email address for one recipient of a query's notifications. The
+ * token is the "+tag" of the reply address (e.g. queries+<token>@example.com),
+ * so an inbound email can be matched to its query thread. One token per query
+ * and user, reused for every notification and extended each time it is sent.
+ */
+module.exports = (sequelize) => {
+  const QueryReplyToken = sequelize.define('QueryReplyToken', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    token: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true
+    },
+    queryId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Recipient the address was sent to'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'query_reply_tokens',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['token']
+      },
+      {
+        unique: true,
+        fields: ['queryId', 'userId']
+      }
+    ]
+  });
+
+  return QueryReplyToken;
+};
@@ -43,10 +43,38 @@ module.exports = (sequelize) => {
     tags: {
       type: DataTypes.ARRAY(DataTypes.STRING),
       defaultValue: []
+    },
+    schedule: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Email delivery schedule: { enabled, frequency, hour, dayOfWeek, dayOfMonth, format, recipientUserIds }'
+    },
+    nextRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the scheduled delivery is next due (null = not scheduled)'
+    },
+    lastRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastRunStatus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Outcome of the last scheduled delivery: sent | partial | failed'
+    },
+    lastRunError: {
+      type: DataTypes.TEXT,
+      allowNull: true
     }
   }, {
     tableName: 'reports',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['nextRunAt']
+      }
+    ]
   });
 
   return Report;
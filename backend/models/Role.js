@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Role Model
+ * A user role and its permission set. users.role holds the role's key.
+ * The built-in roles (isSystem) are seeded from utils/permissions.js and
+ * can't be deleted; their key, level and staff/portal flags are fixed
+ * because code still checks them by name. Custom roles are created in
+ * Settings > Roles & Permissions.
+ *
+ * permissions maps permission names to true/false. A permission that isn't
+ * in the map (e.g. one added in a later release) falls back to the code
+ * default for built-in roles and is denied for custom roles.
+ */
+module.exports = (sequelize) => {
+  const Role = sequelize.define('Role', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    key: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      comment: 'Value stored in users.role, e.g. "credit_controller"'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Rank for user management (higher manages lower), 1-7 as in utils/roleHierarchy.js'
+    },
+    isStaff: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Internal staff rather than a customer'
+    },
+    hasPortalAccess: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: 'Can sign in (false = email notifications only)'
+    },
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    permissions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Permission name -> granted, e.g. {"INVOICES_VIEW": true}'
+    }
+  }, {
+    tableName: 'roles',
+    timestamps: true
+  });
+
+  return Role;
+};
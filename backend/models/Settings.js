@@ -73,7 +73,8 @@ module.exports = (sequelize) => {
         enabled: false,
         required: false,
         issuer: 'Makita EDI Portal',
-        allowedMethods: ['authenticator', 'email']
+        allowedMethods: ['authenticator', 'email'],
+        passkeyLogin: false
       }
     },
     emailProvider: {
@@ -246,7 +247,12 @@ module.exports = (sequelize) => {
       type: DataTypes.JSONB,
       defaultValue: {
         enabled: false,
-        provider: 'documentai', // 'documentai' or 'local'
+        provider: 'documentai', // 'documentai', 'local' or 'local-ocr' (Tesseract for scanned PDFs, see services/ocr)
+        localOcr: {
+          language: 'eng', // Tesseract language code(s), e.g. 'eng' or 'eng+deu'
+          langPath: '', // Directory with <language>.traineddata; empty uses the bundled English data
+          dpi: 300 // Rasterisation resolution for OCR
+        },
         documentai: {
           enabled: false,
           credentialsPath: '', // Path to service account JSON (stored in env, this is just for reference)
@@ -296,6 +302,20 @@ module.exports = (sequelize) => {
       defaultValue: true,
       comment: 'Enable/disable the document queries feature system-wide. When disabled, all query features are hidden.'
     },
+    querySla: {
+      type: DataTypes.JSONB,
+      defaultValue: {
+        hours: { // Hours to resolve a query, by category
+          pricing: 48,
+          delivery: 72,
+          duplicate: 24,
+          short_shipment: 48,
+          other: 72
+        },
+        escalationEmails: [] // Also emailed when a query breaches its SLA (global admins when empty and unassigned)
+      },
+      comment: 'Document query SLAs and escalation recipients'
+    },
     suppliersEnabled: {
       type: DataTypes.BOOLEAN,
       defaultValue: true,
@@ -358,6 +378,63 @@ module.exports = (sequelize) => {
         { value: null, label: 'Indefinite (admin unlock only)' }
       ],
       comment: 'Predefined lockout duration options for UI dropdown'
+    },
+    eInvoicing: {
+      type: DataTypes.JSONB,
+      defaultValue: {
+        sellerName: null,
+        street: null,
+        additionalStreet: null,
+        city: null,
+        postcode: null,
+        countryCode: 'GB',
+        vatNumber: null,
+        companyNumber: null,
+        endpointId: null,
+        endpointScheme: null, // Peppol EAS code, e.g. 0088 (GLN), 9932 (UK VAT)
+        contactEmail: null,
+        currency: 'GBP',
+        iban: null,
+        accountName: null,
+        paymentTerms: null
+      },
+      comment: 'Seller details for UBL / Peppol BIS 3.0 e-invoice exports'
+    },
+    sso: {
+      type: DataTypes.JSONB,
+      defaultValue: {
+        oidc: {
+          enabled: false,
+          displayName: 'Sign in with SSO',
+          issuer: '',
+          clientId: '',
+          clientSecret: '',
+          scopes: 'openid profile email',
+          roleClaim: 'roles',
+          roleMappings: [], // [{ value: 'Portal.Managers', role: 'manager' }]
+          defaultRole: '', // Role when no mapping matches ('' = refuse sign-in)
+          companyClaim: '',
+          companyMappings: [], // [{ value: 'Branch-North', companyId: '<uuid>' | '*' }]
+          matchCompanyReferenceNo: false, // Claim values that are company reference numbers assign that company
+          autoProvision: true // Create staff users on first sign-in
+        },
+        passwordLoginDisabledRoles: [] // Roles that must use single sign-on while it is enabled
+      },
+      comment: 'Single sign-on (OpenID Connect) configuration'
+    },
+    loginPolicy: {
+      type: DataTypes.JSONB,
+      defaultValue: {
+        roleAllowlists: {}, // { administrator: ['203.0.113.0/24'] } - roles that may only sign in from these IPs/ranges
+        companyAllowlists: {}, // { '<companyId>': ['198.51.100.7'] } - external users of the company, from these only
+        stepUp: {
+          enabled: false, // Ask for a verification code from a previously unseen IP or device
+          newIp: true,
+          newDevice: true,
+          roles: [] // Roles it applies to ([] = all)
+        }
+      },
+      comment: 'Login policies: IP allowlists and step-up verification'
     }
   }, {
     tableName: 'settings',
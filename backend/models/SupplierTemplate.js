@@ -123,6 +123,39 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.JSONB,
       defaultValue: {},
       comment: 'Custom field definitions with displayName, showInTable, showInFilter, dataType, etc.'
+    },
+    // Line-item table (PDF templates) - rows are stored in Invoice/CreditNote items
+    lineItemTable: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      defaultValue: null,
+      comment: 'Line-item table region and column boundaries (normalized 0-1)'
+      // Example:
+      // {
+      //   page: 1,
+      //   normalized: { left: 0.05, top: 0.35, right: 0.95, bottom: 0.75 },
+      //   continuation: { top: 0.15, bottom: 0.75 }, // region on following pages (optional)
+      //   multiPage: true,
+      //   columns: [
+      //     { field: 'description', left: 0.05, right: 0.5 },
+      //     { field: 'quantity', left: 0.5, right: 0.6 },
+      //     { field: 'unitPrice', left: 0.6, right: 0.75 },
+      //     { field: 'lineTotal', left: 0.75, right: 0.95 }
+      //   ]
+      // }
+    },
+    // Version history lives in template_versions (models/TemplateVersion.js)
+    activeVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'TemplateVersion.version the parsing configuration currently matches'
+    },
+    regressionSamples: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Sample PDFs pinned for regression runs before activating a version'
+      // Example:
+      // [{ id: 'uuid', fileName: 'INV-1001.pdf', filePath: '/abs/path', pinnedAt: '...', pinnedBy: 'admin@example.com' }]
     }
   }, {
     tableName: 'templates',
@@ -240,6 +273,50 @@ module.exports = (sequelize, DataTypes) => {
     return await this.findTemplateByFileType('excel', templateType);
   };
   
+  /**
+   * Parsing configuration captured in each TemplateVersion snapshot.
+   * Identity (name, code, fileType) never changes after creation, and
+   * enabled/isDefault are operational switches rather than parsing rules.
+   */
+  Template.VERSIONED_FIELDS = [
+    'templateType',
+    'coordinates',
+    'patterns',
+    'markers',
+    'excelCells',
+    'transformations',
+    'customFields',
+    'lineItemTable',
+    'priority',
+    'samplePdfPath',
+    'sampleExcelPath'
+  ];
+
+  /**
+   * Snapshot of the versioned fields (current, possibly unsaved, values)
+   * @returns {Object}
+   */
+  Template.prototype.toVersionSnapshot = function() {
+    const snapshot = {};
+    for (const field of Template.VERSIONED_FIELDS) {
+      const value = this.get(field);
+      snapshot[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+    return snapshot;
+  };
+
+  /**
+   * Apply a version snapshot to this template (does not save)
+   * @param {Object} snapshot - TemplateVersion.snapshot
+   */
+  Template.prototype.applyVersionSnapshot = function(snapshot) {
+    for (const field of Template.VERSIONED_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(snapshot, field)) {
+        this.set(field, snapshot[field]);
+      }
+    }
+  };
+
   /**
    * Set template as default (unset others of same type)
    */
@@ -769,6 +846,22 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
       
+      // Line-item table rows (stored in Invoice/CreditNote items)
+      if (template.lineItemTable) {
+        const { extractLineItems } = require('../utils/lineItemExtractor');
+        try {
+          extracted.items = await extractLineItems(pdf, template.lineItemTable);
+        } catch (error) {
+          console.error('   ❌ Error extracting line items:', error.message);
+        }
+      }
+      
+      // Scans read by OCR are flagged so imports can record it as the processing method
+      const { usedOcr } = require('../utils/pdfCoordinates');
+      if (usedOcr(pdf)) {
+        extracted.ocr = true;
+      }
+      
     } catch (error) {
       console.error('Error extracting fields from coordinates:', error);
       throw error;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * TemplateVersion Model
+ * Immutable snapshot of a template's parsing configuration. Every save in the
+ * template builder writes a new version; templates.activeVersion says which
+ * one the live template row currently matches. Rolling back is activating an
+ * older version, which copies its snapshot onto the template again.
+ *
+ * Versions are never updated - the hooks below reject it - so the history
+ * stays a faithful record of what parsed which documents.
+ */
+module.exports = (sequelize) => {
+  const TemplateVersion = sequelize.define('TemplateVersion', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    templateId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Version number, 1-based and sequential per template'
+    },
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Parsing configuration at this version (see Template.VERSIONED_FIELDS)'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'saved',
+      comment: 'saved = went live when saved, candidate = saved for testing without activating'
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Optional change note entered when saving'
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    createdByEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Kept alongside createdById so history survives user deletion'
+    }
+  }, {
+    tableName: 'template_versions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        unique: true,
+        fields: ['templateId', 'version']
+      }
+    ],
+    hooks: {
+      beforeUpdate: () => {
+        throw new Error('Template versions are immutable');
+      },
+      beforeBulkUpdate: () => {
+        throw new Error('Template versions are immutable');
+      }
+    }
+  });
+
+  return TemplateVersion;
+};
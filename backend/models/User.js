@@ -62,8 +62,9 @@ module.exports = (sequelize) => {
       comment: 'Flag to force password change on first login or after admin reset'
     },
     role: {
-      type: DataTypes.ENUM('global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller', 'external_user', 'notification_contact'),
-      defaultValue: 'external_user'
+      type: DataTypes.STRING(50),
+      defaultValue: 'external_user',
+      comment: 'Role key (roles table)'
     },
     addedById: {
       type: DataTypes.UUID,
@@ -118,10 +119,10 @@ module.exports = (sequelize) => {
       defaultValue: false
     },
     twoFactorMethod: {
-      type: DataTypes.ENUM('authenticator', 'email'),
+      type: DataTypes.ENUM('authenticator', 'email', 'webauthn'),
       allowNull: true,
       defaultValue: null,
-      comment: 'The 2FA method chosen by user: authenticator app or email'
+      comment: 'The 2FA method chosen by user: authenticator app, email or security key/passkey'
     },
     emailTwoFactorCode: {
       type: DataTypes.STRING(6),
@@ -201,6 +202,16 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true,
       comment: 'Reason for lockout (e.g., "brute_force", "manual")'
+    },
+    ssoProvider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Single sign-on provider the account is linked to (e.g. "oidc")'
+    },
+    ssoSubject: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Subject identifier from the single sign-on provider'
     }
   }, {
     tableName: 'users',
@@ -227,6 +238,10 @@ module.exports = (sequelize) => {
       },
       {
         fields: ['failedLoginAttempts']
+      },
+      {
+        fields: ['ssoProvider', 'ssoSubject'],
+        unique: true
       }
     ],
     hooks: {
@@ -235,8 +250,8 @@ module.exports = (sequelize) => {
           user.password = await bcrypt.hash(user.password, 10);
         }
         // If password is null or not provided, set mustChangePassword to true
-        // Exception: notification_contact users never need a password
-        if (!user.password && user.role !== 'notification_contact') {
+        // Exceptions: notification_contact users and single sign-on users never need a password
+        if (!user.password && user.role !== 'notification_contact' && !user.ssoSubject) {
           user.mustChangePassword = true;
         }
       },
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * WebAuthnCredential Model
+ * A security key or passkey registered by a user for the 'webauthn'
+ * two-factor method. Users can register several and name each one; passkeys
+ * (discoverable credentials) can also be used to sign in without a password
+ * when that is allowed in the 2FA settings.
+ */
+module.exports = (sequelize) => {
+  const WebAuthnCredential = sequelize.define('WebAuthnCredential', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Name the user gave the authenticator, e.g. "YubiKey" or "Work laptop"'
+    },
+    credentialId: {
+      type: DataTypes.STRING(1024),
+      allowNull: false,
+      unique: true,
+      comment: 'Credential ID from the authenticator (base64url)'
+    },
+    publicKey: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'COSE public key (base64url)'
+    },
+    counter: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Signature counter, used to spot cloned authenticators'
+    },
+    transports: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'How the browser can reach the authenticator (usb, nfc, ble, internal, hybrid)'
+    },
+    deviceType: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'singleDevice (security key) or multiDevice (synced passkey)'
+    },
+    backedUp: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    discoverable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Stored on the authenticator, so usable for passwordless sign-in'
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webauthn_credentials',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['credentialId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return WebAuthnCredential;
+};
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * WebhookDelivery Model
+ * One event sent (or being sent) to one webhook endpoint, with the outcome
+ * of the latest attempt. Redelivering creates a new row with the same
+ * payload so the original attempt stays in the log.
+ */
+module.exports = (sequelize) => {
+  const WebhookDelivery = sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    endpointId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'retrying', 'succeeded', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    responseBody: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Start of the response body from the latest attempt'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    durationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    redeliveryOfId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Delivery this one was manually resent from'
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['endpointId', 'createdAt']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return WebhookDelivery;
+};
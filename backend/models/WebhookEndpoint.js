@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * WebhookEndpoint Model
+ * A URL that receives signed JSON POSTs for document lifecycle events. A
+ * global endpoint (no companyId) receives events for every company; a
+ * company endpoint only receives events for that company and the companies
+ * below it.
+ */
+module.exports = (sequelize) => {
+  const WebhookEndpoint = sequelize.define('WebhookEndpoint', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false
+    },
+    secret: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Shared secret for the HMAC-SHA256 signature header'
+    },
+    companyId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Only send events for this company and its descendants (null = all companies)'
+    },
+    events: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Subscribed event names, e.g. ["invoice.created", "invoice.downloaded"]'
+    },
+    enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    lastDeliveryAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastDeliveryStatus: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'succeeded or failed'
+    }
+  }, {
+    tableName: 'webhook_endpoints',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['companyId']
+      }
+    ]
+  });
+
+  return WebhookEndpoint;
+};
@@ -23,6 +23,20 @@ const Supplier = require('./Supplier')(sequelize);
 const SupplierTemplate = require('./SupplierTemplateSupplier')(sequelize);
 const SupplierDocument = require('./SupplierDocument')(sequelize);
 const SupplierFile = require('./SupplierFile')(sequelize);
+const Payment = require('./Payment')(sequelize, Sequelize.DataTypes);
+const PaymentAllocation = require('./PaymentAllocation')(sequelize, Sequelize.DataTypes);
+const AgingSnapshot = require('./AgingSnapshot')(sequelize, Sequelize.DataTypes);
+const TemplateVersion = require('./TemplateVersion')(sequelize, Sequelize.DataTypes);
+const CompanySamlConfig = require('./CompanySamlConfig')(sequelize, Sequelize.DataTypes);
+const WebAuthnCredential = require('./WebAuthnCredential')(sequelize, Sequelize.DataTypes);
+const ApiKey = require('./ApiKey')(sequelize, Sequelize.DataTypes);
+const WebhookEndpoint = require('./WebhookEndpoint')(sequelize, Sequelize.DataTypes);
+const WebhookDelivery = require('./WebhookDelivery')(sequelize, Sequelize.DataTypes);
+const Role = require('./Role')(sequelize, Sequelize.DataTypes);
+const AuditEntry = require('./AuditEntry')(sequelize, Sequelize.DataTypes);
+const AuditCheckpoint = require('./AuditCheckpoint')(sequelize, Sequelize.DataTypes);
+const QueryReplyToken = require('./QueryReplyToken')(sequelize, Sequelize.DataTypes);
+const CompanyAlias = require('./CompanyAlias')(sequelize, Sequelize.DataTypes);
 
 // Define associations
 // User associations
@@ -125,6 +139,16 @@ DocumentQuery.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
 
 User.hasMany(DocumentQuery, { foreignKey: 'lastMessageBy', as: 'queries' });
 DocumentQuery.belongsTo(User, { foreignKey: 'lastMessageBy', as: 'lastMessageByUser' });
+User.hasMany(DocumentQuery, { foreignKey: 'assignedTo', as: 'assignedQueries' });
+DocumentQuery.belongsTo(User, { foreignKey: 'assignedTo', as: 'assignee' });
+DocumentQuery.hasMany(QueryReplyToken, { foreignKey: 'queryId', as: 'replyTokens', onDelete: 'CASCADE' });
+QueryReplyToken.belongsTo(DocumentQuery, { foreignKey: 'queryId', as: 'query' });
+QueryReplyToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Company aliases (account numbers, names and PO prefixes learned from manual allocation)
+Company.hasMany(CompanyAlias, { foreignKey: 'companyId', as: 'aliases', onDelete: 'CASCADE' });
+CompanyAlias.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+CompanyAlias.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
 
 // Pending Registration associations
 User.hasMany(PendingRegistration, { foreignKey: 'reviewedById', as: 'reviewedRegistrations' });
@@ -176,6 +200,55 @@ SupplierFile.belongsTo(SupplierTemplate, { foreignKey: 'templateId', as: 'templa
 SupplierDocument.hasOne(SupplierFile, { foreignKey: 'supplierDocumentId', as: 'file' });
 SupplierFile.belongsTo(SupplierDocument, { foreignKey: 'supplierDocumentId', as: 'supplierDocument' });
 
+// Payment associations
+Company.hasMany(Payment, { foreignKey: 'companyId', as: 'payments' });
+Payment.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+
+User.hasMany(Payment, { foreignKey: 'createdById', as: 'recordedPayments' });
+Payment.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+Payment.hasMany(PaymentAllocation, { foreignKey: 'paymentId', as: 'allocations', onDelete: 'CASCADE' });
+PaymentAllocation.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+Invoice.hasMany(PaymentAllocation, { foreignKey: 'invoiceId', as: 'paymentAllocations' });
+PaymentAllocation.belongsTo(Invoice, { foreignKey: 'invoiceId', as: 'invoice' });
+
+CreditNote.hasMany(PaymentAllocation, { foreignKey: 'creditNoteId', as: 'paymentAllocations' });
+PaymentAllocation.belongsTo(CreditNote, { foreignKey: 'creditNoteId', as: 'creditNote' });
+
+// Aging snapshot associations
+Company.hasMany(AgingSnapshot, { foreignKey: 'companyId', as: 'agingSnapshots' });
+AgingSnapshot.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+
+Statement.hasMany(AgingSnapshot, { foreignKey: 'statementId', as: 'agingSnapshots' });
+AgingSnapshot.belongsTo(Statement, { foreignKey: 'statementId', as: 'statement' });
+
+// Template version history
+Template.hasMany(TemplateVersion, { foreignKey: 'templateId', as: 'versions', onDelete: 'CASCADE' });
+TemplateVersion.belongsTo(Template, { foreignKey: 'templateId', as: 'template' });
+
+User.hasMany(TemplateVersion, { foreignKey: 'createdById', as: 'templateVersions' });
+TemplateVersion.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+
+// SAML single sign-on for CORP customers
+Company.hasOne(CompanySamlConfig, { foreignKey: 'companyId', as: 'samlConfig', onDelete: 'CASCADE' });
+CompanySamlConfig.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+
+// Security keys and passkeys for WebAuthn two-factor
+User.hasMany(WebAuthnCredential, { foreignKey: 'userId', as: 'webauthnCredentials', onDelete: 'CASCADE' });
+WebAuthnCredential.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Personal API keys for the public API
+User.hasMany(ApiKey, { foreignKey: 'userId', as: 'apiKeys', onDelete: 'CASCADE' });
+ApiKey.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Outbound webhooks
+Company.hasMany(WebhookEndpoint, { foreignKey: 'companyId', as: 'webhookEndpoints', onDelete: 'CASCADE' });
+WebhookEndpoint.belongsTo(Company, { foreignKey: 'companyId', as: 'company' });
+WebhookEndpoint.belongsTo(User, { foreignKey: 'createdById', as: 'createdBy' });
+WebhookEndpoint.hasMany(WebhookDelivery, { foreignKey: 'endpointId', as: 'deliveries', onDelete: 'CASCADE' });
+WebhookDelivery.belongsTo(WebhookEndpoint, { foreignKey: 'endpointId', as: 'endpoint' });
+
 
 module.exports = {
   sequelize,
@@ -201,6 +274,20 @@ module.exports = {
   Supplier,
   SupplierTemplateSupplier: SupplierTemplate, // Supplier templates (different from customer Template)
   SupplierDocument,
-  SupplierFile
+  SupplierFile,
+  Payment,
+  PaymentAllocation,
+  AgingSnapshot,
+  TemplateVersion,
+  CompanySamlConfig,
+  WebAuthnCredential,
+  ApiKey,
+  WebhookEndpoint,
+  WebhookDelivery,
+  Role,
+  AuditEntry,
+  AuditCheckpoint,
+  QueryReplyToken,
+  CompanyAlias
 };
 
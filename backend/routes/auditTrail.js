@@ -0,0 +1,181 @@
+/**
+ * Audit Trail Routes
+ * The append-only, hash-chained audit trail in Postgres (services/auditTrail.js):
+ * browse it, verify the chain and export it for auditors. There are no
+ * routes that change or delete entries - retention is applied by the
+ * scheduled 'audit-trail-retention' job.
+ */
+
+const express = require('express');
+const Papa = require('papaparse');
+const { AuditEntry, User } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const {
+  HASHED_FIELDS,
+  buildAuditWhere,
+  iterateAuditEntries,
+  verifyAuditChain,
+  getAuditTrailSummary
+} = require('../services/auditTrail');
+const router = express.Router();
+
+router.use(auth);
+router.use(requirePermission('AUDIT_TRAIL_VIEW'));
+
+const EXPORT_COLUMNS = ['id', ...HASHED_FIELDS, 'previousHash', 'hash', 'hashAlgorithm'];
+
+const getFilters = (query) => ({
+  startDate: query.startDate,
+  endDate: query.endDate,
+  type: query.type,
+  userId: query.userId,
+  companyId: query.companyId,
+  search: query.search
+});
+
+async function logAuditTrailActivity(req, type, action, details) {
+  const user = await User.findByPk(req.user.userId, { attributes: ['email'] });
+  await logActivity({
+    type,
+    userId: req.user.userId,
+    userEmail: user?.email,
+    userRole: req.user.role,
+    action,
+    details,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent')
+  });
+}
+
+// List entries, newest first
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const { rows, count } = await AuditEntry.findAndCountAll({
+      where: buildAuditWhere(getFilters(req.query)),
+      order: [['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      entries: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching audit trail:', error);
+    res.status(500).json({ message: 'Error fetching audit trail' });
+  }
+});
+
+// Size, span, retention policy and retention checkpoints
+router.get('/summary', async (req, res) => {
+  try {
+    res.json(await getAuditTrailSummary());
+  } catch (error) {
+    console.error('Error fetching audit trail summary:', error);
+    res.status(500).json({ message: 'Error fetching audit trail summary' });
+  }
+});
+
+// Check every entry's hash and link to the one before it
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    await logAuditTrailActivity(
+      req,
+      ActivityType.AUDIT_TRAIL_VERIFIED,
+      result.valid
+        ? `Verified audit trail: ${result.checked} entries intact`
+        : `Verified audit trail: ${result.problemCount} problem(s) found in ${result.checked} entries`,
+      {
+        valid: result.valid,
+        checked: result.checked,
+        problemCount: result.problemCount,
+        lastEntryId: result.lastEntryId,
+        headHash: result.headHash
+      }
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error verifying audit trail:', error);
+    res.status(500).json({ message: 'Error verifying audit trail' });
+  }
+});
+
+// Export entries (oldest first, with their hashes) as CSV or JSON
+router.get('/export', async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const filters = getFilters(req.query);
+
+  try {
+    const summary = await getAuditTrailSummary();
+
+    await logAuditTrailActivity(req, ActivityType.AUDIT_TRAIL_EXPORTED, `Exported audit trail (${format.toUpperCase()})`, {
+      format,
+      filters,
+      headEntryId: summary.headEntryId
+    });
+
+    const filename = `audit-trail-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    const toRow = (entry) => ({
+      ...entry,
+      occurredAt: new Date(entry.occurredAt).toISOString()
+    });
+
+    if (format === 'json') {
+      const latestCheckpoint = summary.checkpoints[0];
+      res.write(`{"exportedAt":${JSON.stringify(new Date().toISOString())},`);
+      res.write(`"filters":${JSON.stringify(filters)},`);
+      res.write(`"hashedFields":${JSON.stringify(HASHED_FIELDS)},`);
+      res.write(`"headEntryId":${JSON.stringify(summary.headEntryId)},"headHash":${JSON.stringify(summary.headHash)},`);
+      res.write(`"checkpoint":${JSON.stringify(latestCheckpoint || null)},"entries":[`);
+      let first = true;
+      for await (const entry of iterateAuditEntries(buildAuditWhere(filters))) {
+        res.write(`${first ? '' : ','}\n${JSON.stringify(toRow(entry))}`);
+        first = false;
+      }
+      res.end('\n]}\n');
+      return;
+    }
+
+    res.write(Papa.unparse({ fields: EXPORT_COLUMNS, data: [] })); // Header row
+    let batch = [];
+    const flush = () => {
+      if (batch.length === 0) return;
+      res.write(`${Papa.unparse(batch.map(entry => EXPORT_COLUMNS.map(column =>
+        column === 'details' ? JSON.stringify(entry.details) : entry[column]
+      )))}\r\n`);
+      batch = [];
+    };
+    for await (const entry of iterateAuditEntries(buildAuditWhere(filters))) {
+      batch.push(toRow(entry));
+      if (batch.length >= 1000) flush();
+    }
+    flush();
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit trail:', error);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      res.status(500).json({ message: 'Error exporting audit trail' });
+    }
+  }
+});
+
+module.exports = router;
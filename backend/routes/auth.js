@@ -1,5 +1,4 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { User, Settings, Sequelize } = require('../models');
 const { Op } = Sequelize;
@@ -7,6 +6,10 @@ const auth = require('../middleware/auth');
 const { logActivity, ActivityType } = require('../services/activityLogger');
 const recaptchaMiddleware = require('../middleware/recaptcha');
 const { rateLimiters } = require('../middleware/rateLimiter');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../utils/authSessions');
+const { assertLoginAllowed, needsStepUp, markStepUpPending, clearStepUpPending } = require('../services/loginPolicy');
+const { hasPortalAccess } = require('../utils/permissions');
+const { refreshRoles } = require('../utils/roleRegistry');
 const router = express.Router();
 
 // Register
@@ -28,16 +31,13 @@ router.post('/register', async (req, res) => {
       role: 'external_user'
     });
 
-    // Generate token (expiration configurable via environment)
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session (access token lifetime configurable via environment)
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         name: user.name,
@@ -46,7 +46,7 @@ router.post('/register', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    res.status(error.name === 'LoginPolicyError' ? 403 : 500).json({ message: error.message });
   }
 });
 
@@ -75,9 +75,10 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Block notification_contact users from logging in
+    // Block notification_contact users (and custom roles without portal access) from logging in
     // They are email-only recipients and do not have portal access
-    if (user.role === 'notification_contact') {
+    await refreshRoles();
+    if (!hasPortalAccess(user.role)) {
       await logActivity({
         type: ActivityType.LOGIN_FAILED,
         userId: user.id,
@@ -93,6 +94,46 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
       });
     }
 
+    // Roles switched to single sign-on can't use a portal password
+    const { isPasswordLoginDisabled } = require('../services/sso/provisioning');
+    const ssoSettings = await Settings.getSettings();
+    if (isPasswordLoginDisabled(ssoSettings, user.role)) {
+      await logActivity({
+        type: ActivityType.LOGIN_FAILED,
+        userId: user.id,
+        userEmail: user.email,
+        userRole: user.role,
+        action: 'Failed login attempt - password login disabled',
+        details: { reason: 'Role must use single sign-on' },
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+      return res.status(403).json({
+        message: `Please use "${ssoSettings.sso.oidc.displayName || 'Sign in with SSO'}" to log in.`,
+        ssoRequired: true
+      });
+    }
+
+    // Customers whose organisation signs in through its own SAML identity provider
+    const { requiresSamlLogin } = require('../services/sso/saml');
+    if (await requiresSamlLogin(user)) {
+      await logActivity({
+        type: ActivityType.LOGIN_FAILED,
+        userId: user.id,
+        userEmail: user.email,
+        userRole: user.role,
+        action: 'Failed login attempt - password login disabled',
+        details: { reason: 'Organisation signs in with SAML single sign-on' },
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+      return res.status(403).json({
+        message: 'Your organisation signs in through its own identity provider. Continue without a password to sign in.',
+        ssoRequired: true,
+        samlRequired: true
+      });
+    }
+
     // Check account lockout status BEFORE password verification
     const { checkAccountLockout, incrementFailedAttempts, resetFailedAttempts } = require('../utils/accountLockout');
     const lockoutStatus = await checkAccountLockout(user);
@@ -209,6 +250,10 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
 
     // Get settings for password expiry check
     const settings = await Settings.getSettings();
+
+    // Refuse sign-ins from outside the user's IP allowlists before any 2FA
+    // code is sent (createSession checks again)
+    await assertLoginAllowed(user, req, settings);
     
     // Check password expiry
     if (settings.passwordExpiryDays && settings.passwordExpiryDays > 0 && user.passwordExpiryDate) {
@@ -221,16 +266,22 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
       }
     }
 
-    // Check 2FA requirements
-    const requires2FA = settings.twoFactorAuth.enabled && settings.twoFactorAuth.required;
+    // Check 2FA requirements - always when the settings require it, otherwise
+    // as step-up verification from an IP or device the user hasn't used before
+    const twoFactorRequired = settings.twoFactorAuth.enabled && settings.twoFactorAuth.required;
+    const stepUp = twoFactorRequired ? { required: false, reasons: [] } : await needsStepUp(user, req, settings);
+    const requires2FA = twoFactorRequired || stepUp.required;
     const allowedMethods = settings.twoFactorAuth.allowedMethods || ['authenticator', 'email'];
+    const hasTwoFactor = user.twoFactorEnabled && user.twoFactorVerified;
+    // Step-up for users without 2FA of their own uses a code sent by email
+    const twoFactorMethod = stepUp.required && !hasTwoFactor ? 'email' : (user.twoFactorMethod || 'authenticator');
 
     if (requires2FA) {
       // Check if user has 2FA enabled and verified
-      if (!user.twoFactorEnabled || !user.twoFactorVerified) {
+      if (!hasTwoFactor && !stepUp.required) {
         // Generate temporary session token for 2FA setup (avoids passing password)
-        const { generateSessionToken } = require('../utils/sessionToken');
-        const sessionToken = await generateSessionToken(user.id, user.email);
+        const { generateSessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+        const sessionToken = await generateSessionToken(user.id, user.email, SESSION_TOKEN_PURPOSES.TWO_FACTOR_SETUP);
         
         // User needs to setup 2FA first - redirect to method selection
         return res.status(200).json({
@@ -246,13 +297,29 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
         });
       }
 
-      // User has 2FA enabled - check if code was provided
-      if (!req.body.twoFactorCode) {
-        // Generate temporary session token for 2FA verification (avoids passing password)
-        const { generateSessionToken } = require('../utils/sessionToken');
-        const sessionToken = await generateSessionToken(user.id, user.email);
-        
-        const twoFactorMethod = user.twoFactorMethod || 'authenticator';
+      // User has 2FA enabled - check if code (or security key response) was provided
+      if (!req.body.twoFactorCode && !req.body.webauthn) {
+        // Generate temporary session token for 2FA verification (avoids passing password).
+        // It can resend a code or fetch a security key challenge, but not set up 2FA -
+        // that would sign in without answering this challenge (or step-up).
+        const { generateSessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+        const sessionToken = await generateSessionToken(user.id, user.email, SESSION_TOKEN_PURPOSES.TWO_FACTOR_VERIFY);
+
+        if (stepUp.required) {
+          if (twoFactorMethod === 'email') {
+            await markStepUpPending(user.id);
+          }
+          await logActivity({
+            type: ActivityType.STEP_UP_REQUIRED,
+            userId: user.id,
+            userEmail: user.email,
+            userRole: user.role,
+            action: `Verification required for sign-in from ${stepUp.reasons.includes('new_ip') ? 'a new IP address' : 'a new device'}`,
+            details: { reasons: stepUp.reasons, twoFactorMethod },
+            ipAddress: req.ip || req.connection.remoteAddress,
+            userAgent: req.get('user-agent')
+          });
+        }
         
         // For email method, auto-send a code
         let emailSendFailed = false;
@@ -296,14 +363,27 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
             }
           }
         }
+
+        // For security keys, hand the browser a challenge to sign
+        let webauthnOptions;
+        if (twoFactorMethod === 'webauthn') {
+          const { WebAuthnCredential } = require('../models');
+          const { createAuthenticationOptions } = require('../services/webauthn');
+          const credentials = await WebAuthnCredential.findAll({ where: { userId: user.id } });
+          webauthnOptions = await createAuthenticationOptions({ userId: user.id, credentials });
+        }
         
         return res.status(200).json({
           requires2FA: true,
           message: twoFactorMethod === 'email'
             ? (emailSendFailed ? 'Failed to send verification code. Please use the resend button.' : 'Verification code sent to your email')
-            : '2FA verification code required',
+            : twoFactorMethod === 'webauthn'
+              ? 'Security key verification required'
+              : '2FA verification code required',
           emailSendFailed: emailSendFailed,
           twoFactorMethod: twoFactorMethod,
+          stepUp: stepUp.required ? stepUp.reasons : undefined,
+          webauthn: webauthnOptions,
           sessionToken: sessionToken,
           user: {
             id: user.id,
@@ -316,7 +396,6 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
 
       // Verify 2FA code based on method
       const speakeasy = require('speakeasy');
-      const twoFactorMethod = user.twoFactorMethod || 'authenticator';
       let verified = false;
       
       if (twoFactorMethod === 'email') {
@@ -336,6 +415,15 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
           user.emailTwoFactorCode = null;
           user.emailTwoFactorExpires = null;
         }
+      } else if (twoFactorMethod === 'webauthn') {
+        // Verify security key / passkey assertion
+        const { verifyAuthentication } = require('../services/webauthn');
+        try {
+          await verifyAuthentication(req.body.webauthn?.challengeKey, req.body.webauthn?.response, { userId: user.id });
+          verified = true;
+        } catch (webauthnError) {
+          return res.status(401).json({ message: webauthnError.message });
+        }
       } else {
         // Verify authenticator TOTP code
         if (!user.twoFactorSecret) {
@@ -353,12 +441,16 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
       if (!verified) {
         return res.status(401).json({ message: 'Invalid 2FA code' });
       }
+
+      if (stepUp.required) {
+        await clearStepUpPending(user.id);
+      }
     }
 
     // Check if user must change password — placed here so 2FA is always satisfied first
     if (user.mustChangePassword) {
-      const { generateSessionToken } = require('../utils/sessionToken');
-      const sessionToken = await generateSessionToken(user.id, user.email);
+      const { generateSessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+      const sessionToken = await generateSessionToken(user.id, user.email, SESSION_TOKEN_PURPOSES.PASSWORD_CHANGE);
       return res.status(200).json({
         mustChangePassword: true,
         message: 'You must change your password before continuing.',
@@ -375,12 +467,8 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token (expiration configurable via environment)
-    const token = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session (access token lifetime configurable via environment)
+    const { token, refreshToken } = await createSession(user, req);
 
     // SECURITY: Never expose sensitive data in responses
     const userObj = user.toSafeObject ? user.toSafeObject() : user.toJSON();
@@ -404,8 +492,176 @@ router.post('/login', recaptchaMiddleware({ minScore: 0.3 }), async (req, res) =
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
+      user: userObj
+    });
+  } catch (error) {
+    res.status(error.name === 'LoginPolicyError' ? 403 : 500).json({ message: error.message });
+  }
+});
+
+// Passwordless sign-in with a passkey - step 1: challenge for any passkey the
+// browser holds for this site (when allowed in the 2FA settings)
+router.post('/passkey/options', async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const allowedMethods = settings.twoFactorAuth?.allowedMethods || ['authenticator', 'email'];
+    if (!settings.twoFactorAuth?.enabled || !settings.twoFactorAuth?.passkeyLogin || !allowedMethods.includes('webauthn')) {
+      return res.status(400).json({ message: 'Passkey sign-in is not enabled' });
+    }
+
+    const { createAuthenticationOptions } = require('../services/webauthn');
+    res.json(await createAuthenticationOptions({ userId: null }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Passwordless sign-in with a passkey - step 2: verify the signed challenge.
+// The passkey stands in for both password and second factor because it
+// requires user verification (PIN or biometric) on the device.
+router.post('/passkey/login', async (req, res) => {
+  try {
+    const { challengeKey, response } = req.body;
+    if (!challengeKey || !response) {
+      return res.status(400).json({ message: 'Passkey response is required' });
+    }
+
+    const settings = await Settings.getSettings();
+    const allowedMethods = settings.twoFactorAuth?.allowedMethods || ['authenticator', 'email'];
+    if (!settings.twoFactorAuth?.enabled || !settings.twoFactorAuth?.passkeyLogin || !allowedMethods.includes('webauthn')) {
+      return res.status(400).json({ message: 'Passkey sign-in is not enabled' });
+    }
+
+    const { verifyAuthentication } = require('../services/webauthn');
+    let credential;
+    try {
+      credential = await verifyAuthentication(challengeKey, response);
+    } catch (webauthnError) {
+      await logActivity({
+        type: ActivityType.LOGIN_FAILED,
+        action: 'Failed passkey sign-in',
+        details: { reason: webauthnError.message },
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+      return res.status(401).json({ message: webauthnError.message });
+    }
+
+    const user = await User.findByPk(credential.userId);
+    await refreshRoles();
+    if (!user || !user.isActive || !hasPortalAccess(user.role)) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Users whose sign-in is managed by single sign-on keep using it
+    const { isPasswordLoginDisabled } = require('../services/sso/provisioning');
+    const { requiresSamlLogin } = require('../services/sso/saml');
+    if (isPasswordLoginDisabled(settings, user.role) || await requiresSamlLogin(user)) {
+      return res.status(403).json({
+        message: 'Your account signs in with single sign-on. Please use that instead.',
+        ssoRequired: true
+      });
+    }
+
+    const { checkAccountLockout } = require('../utils/accountLockout');
+    const lockoutStatus = await checkAccountLockout(user);
+    if (lockoutStatus.isLocked) {
+      const remainingMinutes = Math.ceil((lockoutStatus.lockedUntil - new Date()) / (1000 * 60));
+      return res.status(423).json({
+        message: `Account is locked. Please try again in ${remainingMinutes} minute(s) or contact an administrator.`,
+        accountLocked: true,
+        lockedUntil: lockoutStatus.lockedUntil.toISOString(),
+        remainingMinutes: remainingMinutes
+      });
+    }
+
+    if (user.mustChangePassword) {
+      const { generateSessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+      const sessionToken = await generateSessionToken(user.id, user.email, SESSION_TOKEN_PURPOSES.PASSWORD_CHANGE);
+      return res.status(200).json({
+        mustChangePassword: true,
+        message: 'You must change your password before continuing.',
+        sessionToken: sessionToken,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name
+        }
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    const userObj = user.toSafeObject ? user.toSafeObject() : user.toJSON();
+    delete userObj.resetPasswordToken;
+    delete userObj.resetPasswordExpires;
+
+    await logActivity({
+      type: ActivityType.LOGIN,
+      userId: user.id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'User logged in with a passkey',
+      details: { method: 'passkey', credentialName: credential.name },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
       user: userObj
     });
+  } catch (error) {
+    res.status(error.name === 'LoginPolicyError' ? 403 : 500).json({ message: error.message });
+  }
+});
+
+// Refresh - exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const session = await refreshSession(refreshToken, req);
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Logout - end the current session so its tokens stop working
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user.userId, req.user.sid);
+
+    const user = await User.findByPk(req.user.userId);
+    await logActivity({
+      type: ActivityType.LOGOUT,
+      userId: req.user.userId,
+      userEmail: user?.email,
+      userRole: req.user.role,
+      action: 'User logged out',
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: 'Logged out' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -420,6 +676,20 @@ router.get('/me', auth, async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+    // An admin viewing as this user - the frontend shows a banner
+    const { impersonation } = req.user;
+    if (impersonation) {
+      return res.json({
+        ...user.toJSON(),
+        impersonation: {
+          impersonatorId: impersonation.impersonatorId,
+          impersonatorName: impersonation.impersonatorName,
+          impersonatorEmail: impersonation.impersonatorEmail,
+          startedAt: impersonation.startedAt,
+          expiresAt: impersonation.expiresAt
+        }
+      });
+    }
     res.json(user);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -438,9 +708,16 @@ router.post('/forgot-password', recaptchaMiddleware({ minScore: 0.3 }), async (r
     // Find user
     const user = await User.findOne({ where: { email: email.toLowerCase().trim() } });
     
+    // Roles switched to single sign-on have no portal password to reset
+    const { isPasswordLoginDisabled } = require('../services/sso/provisioning');
+    const { requiresSamlLogin } = require('../services/sso/saml');
+    const passwordLoginDisabled = user && (
+      isPasswordLoginDisabled(await Settings.getSettings(), user.role) || await requiresSamlLogin(user)
+    );
+    
     // Always return success to prevent email enumeration
     // But only send email if user exists
-    if (user && user.isActive) {
+    if (user && user.isActive && !passwordLoginDisabled) {
       // Generate reset token
       const resetToken = crypto.randomBytes(32).toString('hex');
       const resetTokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
@@ -633,6 +910,9 @@ router.post('/reset-password', rateLimiters.passwordResetSubmit, async (req, res
     user.mustChangePassword = false; // Clear the flag since user is setting their own password
     await user.save();
 
+    // Anyone signed in with the old password is signed out
+    await revokeAllSessions(user.id, { reason: 'password reset' });
+
     // Log password reset
     await logActivity({
       type: ActivityType.PASSWORD_RESET,
@@ -674,8 +954,8 @@ router.post('/change-password', async (req, res) => {
     }
 
     // Verify session token
-    const { verifySessionToken } = require('../utils/sessionToken');
-    const tokenData = await verifySessionToken(sessionToken, true);
+    const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+    const tokenData = await verifySessionToken(sessionToken, true, SESSION_TOKEN_PURPOSES.PASSWORD_CHANGE);
     
     if (!tokenData || !tokenData.userId) {
       return res.status(401).json({ message: 'Invalid or expired session token' });
@@ -707,6 +987,9 @@ router.post('/change-password', async (req, res) => {
     user.mustChangePassword = false; // Clear the flag after password change
     await user.save();
 
+    // Anyone signed in with the old password is signed out
+    await revokeAllSessions(user.id, { reason: 'password changed' });
+
     // Send password changed email notification
     try {
       const Settings = require('../models/Settings');
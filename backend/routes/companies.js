@@ -665,6 +665,7 @@ router.post('/', requirePermission('COMPANIES_CREATE'), async (req, res) => {
       primaryContactId,
       sendInvoiceEmail,
       sendInvoiceAttachment,
+      sendFacturXAttachment,
       sendStatementEmail,
       sendStatementAttachment,
       sendStatementPdfAttachment: bodyPdfAttach,
@@ -743,6 +744,7 @@ router.post('/', requirePermission('COMPANIES_CREATE'), async (req, res) => {
       primaryContactId: primaryContactId || null,
       sendInvoiceEmail: sendInvoiceEmail !== undefined ? sendInvoiceEmail : false,
       sendInvoiceAttachment: sendInvoiceAttachment !== undefined ? sendInvoiceAttachment : false,
+      sendFacturXAttachment: sendFacturXAttachment !== undefined ? sendFacturXAttachment : false,
       sendStatementEmail: sendStatementEmail !== undefined ? sendStatementEmail : false,
       sendStatementPdfAttachment: sendStatementPdfAttachment !== undefined ? sendStatementPdfAttachment : false,
       sendStatementXlsAttachment: sendStatementXlsAttachment !== undefined ? sendStatementXlsAttachment : false,
@@ -813,6 +815,7 @@ router.put('/bulk-update-all', auth, globalAdmin, async (req, res) => {
       'edi',
       'sendInvoiceEmail',
       'sendInvoiceAttachment',
+      'sendFacturXAttachment',
       'sendStatementEmail',
       'sendStatementPdfAttachment',
       'sendStatementXlsAttachment'
@@ -924,6 +927,7 @@ router.put('/:id', requirePermission('COMPANIES_EDIT'), async (req, res) => {
       primaryContactId,
       sendInvoiceEmail,
       sendInvoiceAttachment,
+      sendFacturXAttachment,
       sendStatementEmail,
       sendStatementAttachment,
       sendStatementPdfAttachment: bodyPdfAttach,
@@ -1014,6 +1018,7 @@ router.put('/:id', requirePermission('COMPANIES_EDIT'), async (req, res) => {
     if (primaryContactId !== undefined) company.primaryContactId = primaryContactId;
     if (sendInvoiceEmail !== undefined) company.sendInvoiceEmail = sendInvoiceEmail;
     if (sendInvoiceAttachment !== undefined) company.sendInvoiceAttachment = sendInvoiceAttachment;
+    if (sendFacturXAttachment !== undefined) company.sendFacturXAttachment = sendFacturXAttachment;
     if (sendStatementEmail !== undefined) company.sendStatementEmail = sendStatementEmail;
     if (sendStatementPdfAttachment !== undefined) company.sendStatementPdfAttachment = sendStatementPdfAttachment;
     if (sendStatementXlsAttachment !== undefined) company.sendStatementXlsAttachment = sendStatementXlsAttachment;
@@ -1328,6 +1333,7 @@ router.get('/:id/relationships', auth, async (req, res) => {
         primaryContactId: company.primaryContactId,
         sendInvoiceEmail: company.sendInvoiceEmail,
         sendInvoiceAttachment: company.sendInvoiceAttachment,
+        sendFacturXAttachment: company.sendFacturXAttachment,
         sendStatementEmail: company.sendStatementEmail,
         sendStatementPdfAttachment: company.sendStatementPdfAttachment,
         sendStatementXlsAttachment: company.sendStatementXlsAttachment,
@@ -0,0 +1,240 @@
+/**
+ * Company Alias Routes
+ * Review and prune the account numbers, customer names and PO prefixes that
+ * were learned from manual allocations (Unallocated > Aliases), or add one by
+ * hand. Matching is done by utils/companyAliases.js.
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const { CompanyAlias, Company, User, sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const { ALIAS_TYPES, normalizeAliasValue } = require('../utils/companyAliases');
+const router = express.Router();
+
+router.use(auth);
+router.use(requirePermission('UNALLOCATED_ALIASES_MANAGE'));
+
+const aliasInclude = [
+  { model: Company, as: 'company', attributes: ['id', 'name', 'referenceNo', 'type', 'isActive'] },
+  { model: User, as: 'createdBy', attributes: ['id', 'name', 'email'], required: false }
+];
+
+async function logAliasActivity(req, type, action, aliases, extraDetails = {}) {
+  const first = aliases[0];
+  await logActivity({
+    type,
+    userId: req.user.userId,
+    userEmail: req.user.email,
+    userRole: req.user.role,
+    action,
+    details: {
+      aliases: aliases.map(alias => ({
+        id: alias.id,
+        type: alias.type,
+        value: alias.value,
+        companyId: alias.companyId
+      })),
+      ...extraDetails
+    },
+    companyId: aliases.length === 1 ? first.companyId : null,
+    companyName: aliases.length === 1 ? first.company?.name || null : null,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent')
+  });
+}
+
+/**
+ * Aliases not used to match a document in the last `days` days (and at
+ * least that old, so new aliases aren't pruned before they get a chance)
+ */
+function unusedWhere(days) {
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  return {
+    createdAt: { [Op.lt]: cutoff },
+    [Op.or]: [
+      { lastMatchedAt: null },
+      { lastMatchedAt: { [Op.lt]: cutoff } }
+    ]
+  };
+}
+
+// List aliases
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '', type, source, companyId, unusedForDays } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const where = {};
+    if (type && ALIAS_TYPES.includes(type)) {
+      where.type = type;
+    }
+    if (source && ['allocation', 'manual'].includes(source)) {
+      where.source = source;
+    }
+    if (companyId) {
+      where.companyId = companyId;
+    }
+    if (parseInt(unusedForDays) > 0) {
+      Object.assign(where, unusedWhere(parseInt(unusedForDays)));
+    }
+    if (search.trim()) {
+      where[Op.and] = [{
+        [Op.or]: [
+          { value: { [Op.iLike]: `%${search.trim()}%` } },
+          { '$company.name$': { [Op.iLike]: `%${search.trim()}%` } },
+          sequelize.where(sequelize.cast(sequelize.col('company.referenceNo'), 'TEXT'), { [Op.iLike]: `%${search.trim()}%` })
+        ]
+      }];
+    }
+
+    const { count, rows } = await CompanyAlias.findAndCountAll({
+      where,
+      include: aliasInclude,
+      order: [['createdAt', 'DESC']],
+      limit: limitNum,
+      offset: (pageNum - 1) * limitNum,
+      distinct: true
+    });
+
+    const totals = await CompanyAlias.findAll({
+      attributes: ['type', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['type'],
+      raw: true
+    });
+
+    res.json({
+      data: rows,
+      summary: Object.fromEntries(ALIAS_TYPES.map(aliasType => [
+        aliasType,
+        parseInt(totals.find(row => row.type === aliasType)?.count || 0)
+      ])),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total: count,
+        pages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching company aliases:', error);
+    res.status(500).json({ message: 'Error fetching company aliases' });
+  }
+});
+
+// Add an alias by hand
+router.post('/', async (req, res) => {
+  try {
+    const { companyId, type, value } = req.body;
+
+    if (!ALIAS_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Type must be one of: ${ALIAS_TYPES.join(', ')}` });
+    }
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    const normalizedValue = normalizeAliasValue(type, trimmed);
+    if (!normalizedValue || trimmed.length > 255) {
+      return res.status(400).json({ message: 'Enter a more specific value (generic PO prefixes such as "PO" and names under 3 characters are not allowed)' });
+    }
+
+    const company = companyId ? await Company.findByPk(companyId, { attributes: ['id', 'name'] }) : null;
+    if (!company) {
+      return res.status(400).json({ message: 'Company not found' });
+    }
+
+    const existing = await CompanyAlias.findOne({
+      where: { type, normalizedValue },
+      include: aliasInclude
+    });
+    if (existing) {
+      return res.status(409).json({
+        message: existing.companyId === company.id
+          ? 'This alias already exists for this company'
+          : `This alias already belongs to ${existing.company?.name || 'another company'} - delete it there first`
+      });
+    }
+
+    const alias = await CompanyAlias.create({
+      companyId: company.id,
+      type,
+      value: trimmed,
+      normalizedValue,
+      source: 'manual',
+      createdById: req.user.userId
+    });
+    await alias.reload({ include: aliasInclude });
+
+    await logAliasActivity(req, ActivityType.COMPANY_ALIAS_CREATED, `Added ${type.replace('_', ' ')} alias "${alias.value}" for ${company.name}`, [alias]);
+
+    res.status(201).json(alias);
+  } catch (error) {
+    console.error('Error creating company alias:', error);
+    res.status(500).json({ message: 'Error creating company alias' });
+  }
+});
+
+// Prune aliases - by id, or everything (of a type/source) unused for a number of days
+// IMPORTANT: This route must be defined BEFORE /:id to avoid route conflicts
+router.delete('/bulk', async (req, res) => {
+  try {
+    const { ids, unusedForDays, type, source } = req.body;
+
+    let where;
+    if (Array.isArray(ids) && ids.length > 0) {
+      where = { id: { [Op.in]: ids } };
+    } else if (parseInt(unusedForDays) > 0) {
+      where = unusedWhere(parseInt(unusedForDays));
+      if (type && ALIAS_TYPES.includes(type)) {
+        where.type = type;
+      }
+      if (source && ['allocation', 'manual'].includes(source)) {
+        where.source = source;
+      }
+    } else {
+      return res.status(400).json({ message: 'ids array or unusedForDays is required' });
+    }
+
+    const aliases = await CompanyAlias.findAll({ where, include: aliasInclude });
+    if (aliases.length === 0) {
+      return res.json({ message: 'No aliases to delete', deleted: 0 });
+    }
+
+    await CompanyAlias.destroy({ where: { id: { [Op.in]: aliases.map(alias => alias.id) } } });
+
+    await logAliasActivity(
+      req,
+      ActivityType.COMPANY_ALIAS_DELETED,
+      `Deleted ${aliases.length} company alias(es)`,
+      aliases,
+      unusedForDays ? { unusedForDays: parseInt(unusedForDays) } : {}
+    );
+
+    res.json({ message: `Deleted ${aliases.length} alias(es)`, deleted: aliases.length });
+  } catch (error) {
+    console.error('Error deleting company aliases:', error);
+    res.status(500).json({ message: 'Error deleting company aliases' });
+  }
+});
+
+// Delete one alias
+router.delete('/:id', async (req, res) => {
+  try {
+    const alias = await CompanyAlias.findByPk(req.params.id, { include: aliasInclude });
+    if (!alias) {
+      return res.status(404).json({ message: 'Alias not found' });
+    }
+
+    await alias.destroy();
+
+    await logAliasActivity(req, ActivityType.COMPANY_ALIAS_DELETED, `Deleted ${alias.type.replace('_', ' ')} alias "${alias.value}" for ${alias.company?.name || 'unknown company'}`, [alias]);
+
+    res.json({ message: 'Alias deleted' });
+  } catch (error) {
+    console.error('Error deleting company alias:', error);
+    res.status(500).json({ message: 'Error deleting company alias' });
+  }
+});
+
+module.exports = router;
@@ -11,10 +11,15 @@ const { checkDocumentAccess, buildCompanyFilter } = require('../middleware/docum
 const { requirePermission } = require('../middleware/permissions');
 const { getDescendantCompanyIds } = require('../utils/companyHierarchy');
 const { logActivity, ActivityType } = require('../services/activityLogger');
+const { emitDocumentCreated } = require('../services/webhooks');
 const { calculateDocumentRetentionDates } = require('../utils/documentRetention');
 const { invoiceImportQueue } = require('../config/queue');
 const { ensureStorageDirs, getStorageDir } = require('../config/storage');
 const { testConnection, listFiles, downloadFile } = require('../utils/ftp');
+const { generateUbl } = require('../services/eInvoice/ubl');
+const { generateFacturX } = require('../services/eInvoice/facturX');
+const { getInvoiceReferences } = require('../utils/creditNoteLinking');
+const { roundMoney, getOutstandingAmount, getRemainingCredit } = require('../utils/paymentAllocation');
 const router = express.Router();
 
 // Storage configuration for credit note imports
@@ -41,15 +46,26 @@ const importUpload = multer({
   },
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExts = ['.pdf', '.xlsx', '.xls'];
+    const allowedExts = ['.pdf', '.xlsx', '.xls', '.xml'];
     if (allowedExts.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and Excel files (.pdf, .xlsx, .xls) are allowed!'), false);
+      cb(new Error('Only PDF, Excel and XML files (.pdf, .xlsx, .xls, .xml) are allowed!'), false);
     }
   }
 });
 
+// Buyer fields needed to build a UBL / Peppol e-invoice
+const UBL_COMPANY_ATTRIBUTES = ['id', 'name', 'referenceNo', 'email', 'phone', 'address', 'vatNumber'];
+
+// Credited invoice, written as the UBL BillingReference
+const UBL_INVOICE_INCLUDE = {
+  model: Invoice,
+  as: 'invoice',
+  attributes: ['id', 'invoiceNumber', 'issueDate'],
+  required: false
+};
+
 // Apply auth and document access check to all routes
 router.use(auth);
 router.use(checkDocumentAccess);
@@ -260,7 +276,7 @@ router.get('/:id', async (req, res) => {
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
     const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Skip auto-mark-as-viewed for admins/GA (they can manually set status)
     const isAdmin = req.user.role === 'global_admin' || req.user.role === 'administrator';
@@ -414,6 +430,11 @@ router.post('/', requirePermission('CREDIT_NOTES_EDIT'), async (req, res) => {
       ]
     });
     
+    emitDocumentCreated('credit_note', creditNote, {
+      source: 'manual',
+      user: { id: req.user.userId, email: req.user.email || null, role: req.user.role }
+    });
+    
     res.status(201).json(creditNote);
   } catch (error) {
     console.error('Error creating credit note:', error);
@@ -600,6 +621,282 @@ router.put('/:id', requirePermission('CREDIT_NOTES_EDIT'), async (req, res) => {
   }
 });
 
+// Invoice this credit note credits, and the references read from it
+router.get('/:id/invoice-link', async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findByPk(req.params.id, {
+      include: [{
+        model: Invoice,
+        as: 'invoice',
+        attributes: ['id', 'invoiceNumber', 'issueDate', 'dueDate', 'amount', 'amountPaid', 'status', 'deletedAt'],
+        required: false
+      }]
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (req.accessibleCompanyIds !== null &&
+        !req.accessibleCompanyIds.includes(creditNote.companyId)) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have access to this credit note.'
+      });
+    }
+
+    const invoice = creditNote.invoice;
+    res.json({
+      creditNoteId: creditNote.id,
+      invoiceReference: creditNote.invoiceReference,
+      references: getInvoiceReferences(creditNote.metadata?.parsedData, { exclude: [creditNote.creditNoteNumber] }),
+      link: creditNote.invoiceId ? (creditNote.metadata?.invoiceLink || null) : null,
+      invoice: invoice ? {
+        id: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        issueDate: invoice.issueDate,
+        dueDate: invoice.dueDate,
+        amount: roundMoney(invoice.amount),
+        amountPaid: roundMoney(invoice.amountPaid),
+        outstanding: getOutstandingAmount(invoice),
+        status: invoice.status,
+        deleted: !!invoice.deletedAt
+      } : null,
+      remainingCredit: getRemainingCredit(creditNote)
+    });
+  } catch (error) {
+    console.error('Error fetching credit note invoice link:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Invoices of the credit note's company it could be linked to
+router.get('/:id/invoice-candidates', requirePermission('CREDIT_NOTES_EDIT'), async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findByPk(req.params.id);
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (req.accessibleCompanyIds !== null &&
+        !req.accessibleCompanyIds.includes(creditNote.companyId)) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have access to this credit note.'
+      });
+    }
+
+    if (!creditNote.companyId) {
+      return res.json({ invoices: [] });
+    }
+
+    const references = getInvoiceReferences(creditNote.metadata?.parsedData, { exclude: [creditNote.creditNoteNumber] })
+      .map(({ reference }) => reference);
+    if (creditNote.invoiceReference) references.unshift(creditNote.invoiceReference);
+    const referenced = new Set(references.map(reference => reference.toUpperCase()));
+
+    const where = { companyId: creditNote.companyId, deletedAt: null };
+    const search = (req.query.search || '').trim();
+    if (search) {
+      where.invoiceNumber = { [Op.iLike]: `%${search}%` };
+    }
+
+    const invoices = await Invoice.findAll({
+      where,
+      attributes: ['id', 'invoiceNumber', 'issueDate', 'amount', 'amountPaid', 'status'],
+      order: [['issueDate', 'DESC']],
+      limit: 20
+    });
+
+    res.json({
+      invoices: invoices
+        .map(invoice => ({
+          id: invoice.id,
+          invoiceNumber: invoice.invoiceNumber,
+          issueDate: invoice.issueDate,
+          amount: roundMoney(invoice.amount),
+          outstanding: getOutstandingAmount(invoice),
+          status: invoice.status,
+          referenced: referenced.has(String(invoice.invoiceNumber).toUpperCase())
+        }))
+        // Invoices the credit note refers to first
+        .sort((a, b) => b.referenced - a.referenced)
+    });
+  } catch (error) {
+    console.error('Error fetching invoices for credit note:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Link credit note to an invoice by hand - GA + Admin + Manager
+router.put('/:id/invoice-link', requirePermission('CREDIT_NOTES_EDIT'), async (req, res) => {
+  try {
+    const { invoiceId, reason } = req.body;
+
+    if (!invoiceId) {
+      return res.status(400).json({ message: 'invoiceId is required' });
+    }
+
+    const creditNote = await CreditNote.findByPk(req.params.id, {
+      include: [{ model: Company, as: 'company', attributes: ['id', 'name'] }]
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (req.accessibleCompanyIds !== null &&
+        !req.accessibleCompanyIds.includes(creditNote.companyId)) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have access to this credit note.'
+      });
+    }
+
+    const invoice = await Invoice.findOne({ where: { id: invoiceId, deletedAt: null } });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    if (invoice.companyId !== creditNote.companyId) {
+      return res.status(400).json({ message: 'A credit note can only be linked to an invoice of the same company' });
+    }
+    if (creditNote.invoiceId === invoice.id) {
+      return res.status(400).json({ message: `Credit note is already linked to invoice ${invoice.invoiceNumber}` });
+    }
+
+    const changes = { invoiceId: { from: creditNote.invoiceId || null, to: invoice.id } };
+    const editReason = (reason && reason.trim()) || `Linked to invoice ${invoice.invoiceNumber}`;
+
+    creditNote.invoiceId = invoice.id;
+    creditNote.metadata = {
+      ...(creditNote.metadata || {}),
+      invoiceLink: {
+        source: 'manual',
+        reference: invoice.invoiceNumber,
+        linkedBy: req.user.userId,
+        linkedByName: req.user.name || req.user.email,
+        linkedAt: new Date().toISOString()
+      }
+    };
+    creditNote.editedBy = req.user.userId;
+    creditNote.editReason = editReason;
+    creditNote.editHistory = [...(creditNote.editHistory || []), {
+      timestamp: new Date().toISOString(),
+      editedBy: req.user.userId,
+      editedByName: req.user.name || req.user.email || 'Unknown',
+      reason: editReason,
+      changes
+    }];
+    await creditNote.save();
+
+    await logActivity({
+      type: ActivityType.CREDIT_NOTE_EDITED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Linked credit note ${creditNote.creditNoteNumber} to invoice ${invoice.invoiceNumber}`,
+      details: {
+        creditNoteId: creditNote.id,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        changes,
+        reason: editReason
+      },
+      companyId: creditNote.companyId,
+      companyName: creditNote.company?.name || null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      message: `Credit note linked to invoice ${invoice.invoiceNumber}`,
+      invoiceId: invoice.id
+    });
+  } catch (error) {
+    console.error('Error linking credit note to invoice:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Unlink credit note from its invoice - GA + Admin + Manager
+router.delete('/:id/invoice-link', requirePermission('CREDIT_NOTES_EDIT'), async (req, res) => {
+  try {
+    const creditNote = await CreditNote.findByPk(req.params.id, {
+      include: [
+        { model: Company, as: 'company', attributes: ['id', 'name'] },
+        { model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNumber'], required: false }
+      ]
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({ message: 'Credit note not found' });
+    }
+
+    if (req.accessibleCompanyIds !== null &&
+        !req.accessibleCompanyIds.includes(creditNote.companyId)) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have access to this credit note.'
+      });
+    }
+
+    if (!creditNote.invoiceId) {
+      return res.status(400).json({ message: 'Credit note is not linked to an invoice' });
+    }
+
+    const invoiceNumber = creditNote.invoice?.invoiceNumber || creditNote.invoiceId;
+    const changes = { invoiceId: { from: creditNote.invoiceId, to: null } };
+    const editReason = (req.body?.reason && req.body.reason.trim()) || `Unlinked from invoice ${invoiceNumber}`;
+
+    // invoiceUnlinked stops the imports linking it again (utils/creditNoteLinking.js)
+    const { invoiceLink, ...metadata } = creditNote.metadata || {};
+    creditNote.invoiceId = null;
+    creditNote.metadata = {
+      ...metadata,
+      invoiceUnlinked: {
+        invoiceId: changes.invoiceId.from,
+        invoiceNumber: creditNote.invoice?.invoiceNumber || null,
+        previousLink: invoiceLink || null,
+        unlinkedBy: req.user.userId,
+        unlinkedAt: new Date().toISOString()
+      }
+    };
+    creditNote.editedBy = req.user.userId;
+    creditNote.editReason = editReason;
+    creditNote.editHistory = [...(creditNote.editHistory || []), {
+      timestamp: new Date().toISOString(),
+      editedBy: req.user.userId,
+      editedByName: req.user.name || req.user.email || 'Unknown',
+      reason: editReason,
+      changes
+    }];
+    await creditNote.save();
+
+    await logActivity({
+      type: ActivityType.CREDIT_NOTE_EDITED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Unlinked credit note ${creditNote.creditNoteNumber} from invoice ${invoiceNumber}`,
+      details: {
+        creditNoteId: creditNote.id,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        invoiceId: changes.invoiceId.from,
+        invoiceNumber,
+        changes,
+        reason: editReason
+      },
+      companyId: creditNote.companyId,
+      companyName: creditNote.company?.name || null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: `Credit note unlinked from invoice ${invoiceNumber}` });
+  } catch (error) {
+    console.error('Error unlinking credit note from invoice:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Delete credit note - GA + Admin only
 router.delete('/:id', requirePermission('CREDIT_NOTES_DELETE'), async (req, res) => {
   try {
@@ -647,7 +944,7 @@ router.post('/:id/view', async (req, res) => {
     const settings = await Settings.getSettings();
     const onlyExternal = settings.onlyExternalUsersChangeDocumentStatus;
     const userRole = req.user.role;
-    const canUpdateStatus = !onlyExternal || userRole === 'external_user';
+    const canUpdateStatus = (!onlyExternal || userRole === 'external_user') && !req.impersonation;
     
     console.log(`📊 CN Document Status Check - onlyExternalUsersChangeDocumentStatus: ${onlyExternal}, userRole: ${userRole}, canUpdateStatus: ${canUpdateStatus}`);
     
@@ -706,12 +1003,16 @@ router.post('/:id/view', async (req, res) => {
 // Download single credit note document
 router.get('/:id/download', async (req, res) => {
   try {
+    const format = (req.query.format || 'pdf').toString().toLowerCase();
+    if (!['pdf', 'ubl', 'facturx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be pdf, ubl or facturx' });
+    }
+    const isEInvoice = format === 'ubl' || format === 'facturx';
+    
     const creditNote = await CreditNote.findByPk(req.params.id, {
-      include: [{
-        model: Company,
-        as: 'company',
-        attributes: ['id', 'name']
-      }]
+      include: isEInvoice
+        ? [{ model: Company, as: 'company', attributes: UBL_COMPANY_ATTRIBUTES }, UBL_INVOICE_INCLUDE]
+        : [{ model: Company, as: 'company', attributes: ['id', 'name'] }]
     });
     
     if (!creditNote) {
@@ -726,22 +1027,55 @@ router.get('/:id/download', async (req, res) => {
       });
     }
     
-    if (!creditNote.fileUrl) {
-      return res.status(404).json({ message: 'No document file available for this credit note' });
-    }
-    
-    const filePath = path.isAbsolute(creditNote.fileUrl) 
-      ? creditNote.fileUrl 
-      : path.join(__dirname, '..', creditNote.fileUrl);
+    const settings = await Settings.getSettings();
     
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ message: 'Document file not found on server' });
+    // UBL and Factur-X are generated on the fly; a plain PDF must exist on disk
+    let ubl = null;
+    let facturX = null;
+    let filePath = null;
+    if (format === 'facturx') {
+      facturX = await generateFacturX(creditNote, {
+        documentType: 'credit_note',
+        company: creditNote.company,
+        settings,
+        relatedInvoice: creditNote.invoice
+      });
+      if (!facturX.valid) {
+        return res.status(422).json({
+          message: `Credit note ${creditNote.creditNoteNumber} cannot be exported as a Factur-X e-invoice`,
+          errors: facturX.errors
+        });
+      }
+    } else if (format === 'ubl') {
+      ubl = generateUbl(creditNote, {
+        documentType: 'credit_note',
+        company: creditNote.company,
+        settings,
+        relatedInvoice: creditNote.invoice
+      });
+      if (!ubl.valid) {
+        return res.status(422).json({
+          message: `Credit note ${creditNote.creditNoteNumber} cannot be exported as a Peppol e-invoice`,
+          errors: ubl.errors
+        });
+      }
+    } else {
+      if (!creditNote.fileUrl) {
+        return res.status(404).json({ message: 'No document file available for this credit note' });
+      }
+      
+      filePath = path.isAbsolute(creditNote.fileUrl) 
+        ? creditNote.fileUrl 
+        : path.join(__dirname, '..', creditNote.fileUrl);
+      
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ message: 'Document file not found on server' });
+      }
     }
     
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
-    const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     const wasFirstDownload = !creditNote.downloadedAt;
     const now = new Date();
@@ -777,12 +1111,13 @@ router.get('/:id/download', async (req, res) => {
       userId: req.user.userId,
       userEmail: req.user.email,
       userRole: req.user.role,
-      action: `Downloaded credit note ${creditNote.creditNoteNumber || creditNote.id}${wasFirstDownload ? '' : ' (subsequent download)'}`,
+      action: `Downloaded credit note ${creditNote.creditNoteNumber || creditNote.id}${format === 'ubl' ? ' as UBL' : format === 'facturx' ? ' as Factur-X' : ''}${wasFirstDownload ? '' : ' (subsequent download)'}`,
       details: { 
         creditNoteId: creditNote.id, 
         creditNoteNumber: creditNote.creditNoteNumber,
         documentStatus: creditNote.documentStatus,
-        isFirstDownload: wasFirstDownload
+        isFirstDownload: wasFirstDownload,
+        format
       },
       companyId: creditNote.companyId,
       companyName: creditNote.company?.name || null,
@@ -790,6 +1125,18 @@ router.get('/:id/download', async (req, res) => {
       userAgent: req.get('user-agent')
     });
     
+    if (facturX) {
+      res.attachment(facturX.fileName);
+      res.type('application/pdf');
+      return res.send(facturX.buffer);
+    }
+    
+    if (ubl) {
+      res.attachment(ubl.fileName);
+      res.type('application/xml');
+      return res.send(ubl.xml);
+    }
+    
     // Get filename from credit note number or use default
     const filename = creditNote.creditNoteNumber 
       ? `credit-note-${creditNote.creditNoteNumber}.pdf`
@@ -851,7 +1198,7 @@ router.get('/:id/view-pdf', async (req, res) => {
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
     const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Mark as viewed if not already
     const wasViewed = !!creditNote.viewedAt;
@@ -1046,10 +1393,10 @@ router.post('/import', requirePermission('CREDIT_NOTES_IMPORT'), importUpload.ar
       });
     }
     
-    // Validate file types - only PDF for invoices/credit notes
+    // Validate file types - PDF or UBL/CII XML for invoices/credit notes
     const invalidFiles = req.files.filter(file => {
       const ext = path.extname(file.originalname).toLowerCase();
-      return ext !== '.pdf';
+      return ext !== '.pdf' && ext !== '.xml';
     });
     
     if (invalidFiles.length > 0) {
@@ -1061,7 +1408,7 @@ router.post('/import', requirePermission('CREDIT_NOTES_IMPORT'), importUpload.ar
       });
       return res.status(400).json({
         success: false,
-        message: `Only PDF files are allowed for credit note imports. ${invalidFiles.length} invalid file(s) rejected.`,
+        message: `Only PDF and UBL/CII XML files are allowed for credit note imports. ${invalidFiles.length} invalid file(s) rejected.`,
         error: 'Invalid file type'
       });
     }
@@ -1330,6 +1677,7 @@ router.get('/import/:importId/results', async (req, res) => {
 router.post('/bulk-download', async (req, res) => {
   try {
     const { creditNoteIds } = req.body;
+    const includeUbl = req.body.includeUbl === true || req.body.includeUbl === 'true';
     
     if (!Array.isArray(creditNoteIds) || creditNoteIds.length === 0) {
       return res.status(400).json({ message: 'No credit note IDs provided' });
@@ -1344,21 +1692,43 @@ router.post('/bulk-download', async (req, res) => {
         id: { [Op.in]: creditNoteIds },
         ...buildCompanyFilter(req.accessibleCompanyIds)
       },
-      include: [{
-        model: Company,
-        as: 'company',
-        attributes: ['id', 'name']
-      }]
+      include: includeUbl
+        ? [{ model: Company, as: 'company', attributes: UBL_COMPANY_ATTRIBUTES }, UBL_INVOICE_INCLUDE]
+        : [{ model: Company, as: 'company', attributes: ['id', 'name'] }]
     });
     
     if (creditNotes.length === 0) {
       return res.status(404).json({ message: 'No accessible credit notes found' });
     }
     
+    const settings = await Settings.getSettings();
+    
     // Filter credit notes that have files
-    const creditNotesWithFiles = creditNotes.filter(cn => cn.fileUrl && fs.existsSync(
+    const hasFile = (cn) => cn.fileUrl && fs.existsSync(
       path.isAbsolute(cn.fileUrl) ? cn.fileUrl : path.join(__dirname, '..', cn.fileUrl)
-    ));
+    );
+    
+    // With includeUbl every credit note gets an XML alongside its PDF; ones that
+    // fail Peppol validation are listed in ubl-validation-errors.txt instead
+    const ublFiles = [];
+    const ublErrors = [];
+    if (includeUbl) {
+      for (const creditNote of creditNotes) {
+        const ubl = generateUbl(creditNote, {
+          documentType: 'credit_note',
+          company: creditNote.company,
+          settings,
+          relatedInvoice: creditNote.invoice
+        });
+        if (ubl.valid) {
+          ublFiles.push({ creditNoteId: creditNote.id, name: ubl.fileName, xml: ubl.xml });
+        } else {
+          ublErrors.push(`${creditNote.creditNoteNumber}:\n${ubl.errors.map(e => `  [${e.rule}] ${e.message}`).join('\n')}`);
+        }
+      }
+    }
+    
+    const creditNotesWithFiles = creditNotes.filter(cn => hasFile(cn) || ublFiles.some(file => file.creditNoteId === cn.id));
     
     if (creditNotesWithFiles.length === 0) {
       return res.status(404).json({ message: 'No documents available for download' });
@@ -1366,8 +1736,7 @@ router.post('/bulk-download', async (req, res) => {
     
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
-    const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Update download timestamps and log activity
     const now = new Date();
@@ -1440,6 +1809,7 @@ router.post('/bulk-download', async (req, res) => {
     archive.pipe(res);
     
     for (const creditNote of creditNotesWithFiles) {
+      if (!hasFile(creditNote)) continue;
       const filePath = path.isAbsolute(creditNote.fileUrl) 
         ? creditNote.fileUrl 
         : path.join(__dirname, '..', creditNote.fileUrl);
@@ -1447,6 +1817,16 @@ router.post('/bulk-download', async (req, res) => {
       archive.file(filePath, { name: fileName });
     }
     
+    for (const file of ublFiles) {
+      archive.append(file.xml, { name: `ubl/${file.name}` });
+    }
+    if (ublErrors.length > 0) {
+      archive.append(
+        `The following credit notes could not be exported as Peppol BIS 3.0 UBL:\n\n${ublErrors.join('\n\n')}\n`,
+        { name: 'ubl-validation-errors.txt' }
+      );
+    }
+    
     archive.finalize();
   } catch (error) {
     console.error('Error bulk downloading credit notes:', error);
@@ -1,4 +1,6 @@
 const express = require('express');
+const fs = require('fs');
+const multer = require('multer');
 const { DocumentQuery, Invoice, CreditNote, Statement, Company, User, UserCompany, Settings, Sequelize } = require('../models');
 const { Op } = Sequelize;
 const auth = require('../middleware/auth');
@@ -6,9 +8,112 @@ const { sendEmail, isEmailEnabled } = require('../utils/emailService');
 const { renderTemplate } = require('../utils/tablerEmailRenderer');
 const { logActivity, ActivityType } = require('../services/activityLogger');
 const { requirePermission } = require('../middleware/permissions');
+const { checkDocumentAccess, buildCompanyFilter } = require('../middleware/documentAccess');
+const { hasPermission } = require('../utils/permissions');
+const { isInternalRole } = require('../utils/roleHierarchy');
+const { getRoles } = require('../utils/roleRegistry');
+const {
+  QUERY_CATEGORIES,
+  CATEGORY_LABELS,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  getQuerySla,
+  computeSlaDueAt,
+  getSlaState,
+  visibleMessages,
+  validateAttachments,
+  saveAttachments,
+  findAttachment
+} = require('../services/queryDesk');
+const { getReplyAddress, replyTemplateVariables } = require('../services/queryEmailReplies');
 const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 
+// Files attached to query messages - kept in memory until saveAttachments writes them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_BYTES,
+    files: MAX_ATTACHMENTS
+  }
+});
+
+const uploadAttachments = (req, res, next) => {
+  upload.array('attachments', MAX_ATTACHMENTS)(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Attachments can be up to ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB each`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    const invalid = validateAttachments(req.files);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+    next();
+  });
+};
+
+// Keys of the staff (internal) roles, including custom ones
+const getStaffRoleKeys = () => getRoles().filter(role => role.isStaff).map(role => role.key);
+
+// Staff roles that can open and answer queries - only these can be assigned
+// one, so an assignee never lands on a desk they get a 403 from
+const getAssigneeRoleKeys = () => getStaffRoleKeys().filter(key =>
+  hasPermission(key, 'QUERIES_VIEW') && hasPermission(key, 'QUERIES_RESPOND'));
+
+// Multipart forms send booleans as strings
+const isTrue = (value) => value === true || value === 'true';
+
+const documentTypeLabels = {
+  invoice: 'Invoice',
+  credit_note: 'Credit Note',
+  statement: 'Statement'
+};
+
+// Global admins, users with all companies, or users assigned to the company
+async function canAccessCompany(req, companyId) {
+  if (req.user.role === 'global_admin') {
+    return true;
+  }
+  const user = await User.findByPk(req.user.userId, {
+    include: [{
+      model: Company,
+      as: 'companies',
+      attributes: ['id'],
+      through: { attributes: [] }
+    }]
+  });
+  return Boolean(user && (user.allCompanies || user.companies.some(c => c.id === companyId)));
+}
+
+// The thread as returned to the client (internal notes only for staff)
+const serializeQuery = (query, isStaff) => ({
+  id: query.id,
+  documentType: query.documentType,
+  documentId: query.documentId,
+  documentNumber: query.documentNumber,
+  companyId: query.companyId,
+  companyName: query.company?.name,
+  status: query.status,
+  category: query.category,
+  resolvedAt: query.resolvedAt,
+  resolvedBy: query.resolvedBy,
+  resolutionReason: query.resolutionReason,
+  lastMessageAt: query.lastMessageAt,
+  createdAt: query.createdAt,
+  ...(isStaff ? {
+    assignedTo: query.assignedTo,
+    assignee: query.assignee ? { id: query.assignee.id, name: query.assignee.name, email: query.assignee.email } : null,
+    assignedAt: query.assignedAt,
+    slaDueAt: query.slaDueAt,
+    slaState: getSlaState(query),
+    firstResponseAt: query.firstResponseAt,
+    escalationLevel: query.escalationLevel,
+    escalatedAt: query.escalatedAt
+  } : {})
+});
+
 // Middleware to check if queries are enabled
 const checkQueriesEnabled = async (req, res, next) => {
   try {
@@ -25,12 +130,215 @@ const checkQueriesEnabled = async (req, res, next) => {
   }
 };
 
-// Apply auth, permission check, and queries enabled check to all routes
-// Document Queries is GA only for now as the module is disabled
+// Apply auth, permission check, and queries enabled check to all routes.
+// QUERIES_* are GA only by default - grant them to other roles under
+// Settings > Roles & Permissions to open the desk to credit controllers
 router.use(auth);
 router.use(requirePermission('QUERIES_VIEW'));
 router.use(checkQueriesEnabled);
 
+// Query desk: open queries across the companies the user can access, with
+// filters, SLA state and aging
+router.get('/queue', requirePermission('QUERIES_MANAGE'), checkDocumentAccess, async (req, res) => {
+  try {
+    const {
+      status = 'open',
+      category,
+      assignedTo,
+      companyId,
+      sla,
+      search,
+      sort = 'oldest'
+    } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+    const now = new Date();
+
+    const baseWhere = { ...buildCompanyFilter(req.accessibleCompanyIds) };
+    if (companyId) {
+      if (req.accessibleCompanyIds !== null && !req.accessibleCompanyIds.includes(companyId)) {
+        return res.status(403).json({ message: 'You do not have access to this company' });
+      }
+      baseWhere.companyId = companyId;
+    }
+
+    const where = { ...baseWhere };
+    if (status !== 'all') where.status = status;
+    if (category === 'uncategorised') where.category = null;
+    else if (category) where.category = category;
+    if (assignedTo === 'me') where.assignedTo = req.user.userId;
+    else if (assignedTo === 'unassigned') where.assignedTo = null;
+    else if (assignedTo) where.assignedTo = assignedTo;
+    if (search) where.documentNumber = { [Op.iLike]: `%${search}%` };
+    if (sla === 'breached') {
+      where.status = 'open';
+      where.slaDueAt = { [Op.lte]: now };
+    } else if (sla === 'due_soon' || sla === 'on_track') {
+      where.status = 'open';
+      where.slaDueAt = { [Op.gt]: now };
+    }
+
+    const order = {
+      oldest: [['createdAt', 'ASC']],
+      newest: [['createdAt', 'DESC']],
+      sla: [[Sequelize.literal('"DocumentQuery"."slaDueAt" IS NULL'), 'ASC'], ['slaDueAt', 'ASC']],
+      activity: [['lastMessageAt', 'DESC']]
+    }[sort] || [['createdAt', 'ASC']];
+
+    const include = [
+      { model: Company, as: 'company', attributes: ['id', 'name', 'referenceNo'] },
+      { model: User, as: 'assignee', attributes: ['id', 'name', 'email'] }
+    ];
+
+    let rows;
+    let count;
+    if (sla === 'due_soon' || sla === 'on_track') {
+      // Due soon depends on each query's own SLA length, so filter after loading
+      const all = await DocumentQuery.findAll({ where, include, order });
+      const filtered = all.filter(query => getSlaState(query, now) === sla);
+      count = filtered.length;
+      rows = filtered.slice((page - 1) * limit, page * limit);
+    } else {
+      ({ rows, count } = await DocumentQuery.findAndCountAll({
+        where,
+        include,
+        order,
+        limit,
+        offset: (page - 1) * limit
+      }));
+    }
+
+    // Counts for the open queue (ignoring the other filters)
+    const openWhere = { ...baseWhere, status: 'open' };
+    const openQueries = await DocumentQuery.findAll({
+      where: openWhere,
+      attributes: ['id', 'status', 'assignedTo', 'slaDueAt', 'createdAt']
+    });
+    const dayMs = 24 * 60 * 60 * 1000;
+    const aging = { '0-2': 0, '3-7': 0, '8-14': 0, '15+': 0 };
+    const summary = { open: openQueries.length, unassigned: 0, mine: 0, breached: 0, dueSoon: 0, aging };
+    for (const query of openQueries) {
+      if (!query.assignedTo) summary.unassigned++;
+      if (query.assignedTo === req.user.userId) summary.mine++;
+      const state = getSlaState(query, now);
+      if (state === 'breached') summary.breached++;
+      if (state === 'due_soon') summary.dueSoon++;
+      const ageDays = Math.floor((now - new Date(query.createdAt)) / dayMs);
+      if (ageDays <= 2) aging['0-2']++;
+      else if (ageDays <= 7) aging['3-7']++;
+      else if (ageDays <= 14) aging['8-14']++;
+      else aging['15+']++;
+    }
+
+    res.json({
+      queries: rows.map(query => {
+        const messages = query.messages || [];
+        const customerFacing = messages.filter(message => !message.internal);
+        const lastMessage = customerFacing[customerFacing.length - 1] || null;
+        return {
+          ...serializeQuery(query, true),
+          companyReferenceNo: query.company?.referenceNo,
+          ageDays: Math.floor((now - new Date(query.createdAt)) / dayMs),
+          messageCount: customerFacing.length,
+          noteCount: messages.length - customerFacing.length,
+          awaitingStaff: Boolean(lastMessage?.isCustomer),
+          lastMessage: lastMessage ? {
+            userName: lastMessage.userName,
+            isCustomer: lastMessage.isCustomer,
+            message: lastMessage.message.substring(0, 140),
+            createdAt: lastMessage.createdAt
+          } : null
+        };
+      }),
+      summary,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching query queue:', error);
+    res.status(500).json({ message: 'Error fetching query queue' });
+  }
+});
+
+// Staff a query can be assigned to
+router.get('/assignees', requirePermission('QUERIES_MANAGE'), async (req, res) => {
+  try {
+    const users = await User.findAll({
+      where: { isActive: true, role: { [Op.in]: getAssigneeRoleKeys() } },
+      attributes: ['id', 'name', 'email', 'role'],
+      order: [['name', 'ASC']]
+    });
+    res.json({ users });
+  } catch (error) {
+    console.error('Error fetching query assignees:', error);
+    res.status(500).json({ message: 'Error fetching assignees' });
+  }
+});
+
+// Categories and their SLAs
+router.get('/sla', async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    res.json({
+      categories: QUERY_CATEGORIES.map(key => ({ key, label: CATEGORY_LABELS[key] })),
+      sla: getQuerySla(settings)
+    });
+  } catch (error) {
+    console.error('Error fetching query SLAs:', error);
+    res.status(500).json({ message: 'Error fetching query SLAs' });
+  }
+});
+
+// Update SLAs and escalation recipients
+router.put('/sla', requirePermission('SETTINGS_EDIT'), async (req, res) => {
+  try {
+    const { hours = {}, escalationEmails = [] } = req.body;
+
+    const cleanHours = {};
+    for (const key of QUERY_CATEGORIES) {
+      const value = Number(hours[key]);
+      if (!Number.isFinite(value) || value < 0 || value > 24 * 90) {
+        return res.status(400).json({ message: `SLA for ${CATEGORY_LABELS[key]} must be between 0 and ${24 * 90} hours` });
+      }
+      cleanHours[key] = value;
+    }
+
+    const emails = (Array.isArray(escalationEmails) ? escalationEmails : [])
+      .map(email => String(email).trim().toLowerCase())
+      .filter(Boolean);
+    const invalidEmail = emails.find(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+    if (invalidEmail) {
+      return res.status(400).json({ message: `Not a valid email address: ${invalidEmail}` });
+    }
+
+    const settings = await Settings.getSettingsForUpdate();
+    settings.querySla = { hours: cleanHours, escalationEmails: [...new Set(emails)] };
+    await settings.save();
+    await Settings.invalidateCache();
+
+    const user = await User.findByPk(req.user.userId, { attributes: ['email'] });
+    await logActivity({
+      type: ActivityType.QUERY_SLA_UPDATED,
+      userId: req.user.userId,
+      userEmail: user?.email,
+      userRole: req.user.role,
+      action: 'Updated query SLAs',
+      details: settings.querySla,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: 'Query SLAs saved', sla: getQuerySla(settings) });
+  } catch (error) {
+    console.error('Error saving query SLAs:', error);
+    res.status(500).json({ message: 'Error saving query SLAs' });
+  }
+});
+
 // Get query history for a document
 router.get('/:documentType/:documentId', async (req, res) => {
   try {
@@ -47,34 +355,33 @@ router.get('/:documentType/:documentId', async (req, res) => {
         documentType,
         documentId
       },
-      include: [{
-        model: Company,
-        as: 'company',
-        attributes: ['id', 'name']
-      }]
+      include: [
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name']
+        },
+        {
+          model: User,
+          as: 'assignee',
+          attributes: ['id', 'name', 'email']
+        }
+      ]
     });
 
     if (!query) {
       return res.json({ query: null, messages: [] });
     }
 
+    if (!await canAccessCompany(req, query.companyId)) {
+      return res.status(403).json({ message: 'You do not have access to this document' });
+    }
+
+    const isStaff = isInternalRole(req.user.role);
     res.json({
-      query: {
-        id: query.id,
-        documentType: query.documentType,
-        documentId: query.documentId,
-        documentNumber: query.documentNumber,
-        companyId: query.companyId,
-      companyName: query.company?.name,
-      status: query.status,
-      resolvedAt: query.resolvedAt,
-      resolvedBy: query.resolvedBy,
-      resolutionReason: query.resolutionReason,
-      lastMessageAt: query.lastMessageAt,
-      createdAt: query.createdAt
-    },
-    messages: query.messages || []
-  });
+      query: serializeQuery(query, isStaff),
+      messages: visibleMessages(query.messages, isStaff)
+    });
   } catch (error) {
     console.error('Error fetching query:', error);
     res.status(500).json({ message: error.message });
@@ -82,10 +389,12 @@ router.get('/:documentType/:documentId', async (req, res) => {
 });
 
 // Create a new query or add message to existing query
-router.post('/:documentType/:documentId', async (req, res) => {
+// (multipart when files are attached; internal notes are staff-only)
+router.post('/:documentType/:documentId', uploadAttachments, async (req, res) => {
   try {
     const { documentType, documentId } = req.params;
-    const { message, replyTo } = req.body; // replyTo is optional message ID for threading
+    const { message, replyTo, category } = req.body; // replyTo is optional message ID for threading
+    const internal = isTrue(req.body.internal);
 
     if (!message || !message.trim()) {
       return res.status(400).json({ message: 'Message is required' });
@@ -135,16 +444,24 @@ router.post('/:documentType/:documentId', async (req, res) => {
       return res.status(404).json({ message: 'Document not found' });
     }
 
+    if (category && !QUERY_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: 'Invalid query category' });
+    }
+
     // Both customers and staff can create queries
     // Customers create queries about their documents
     // Staff can proactively query customers about documents
     const isCustomer = req.user.role === 'external_user';
-    const isStaff = ['staff', 'manager', 'administrator', 'global_admin'].includes(req.user.role);
+    const isStaff = isInternalRole(req.user.role);
     
     if (!isCustomer && !isStaff) {
       return res.status(403).json({ message: 'Only customers and staff can create queries' });
     }
 
+    if (internal && !(isStaff && hasPermission(req.user.role, 'QUERIES_MANAGE'))) {
+      return res.status(403).json({ message: 'You cannot add internal notes' });
+    }
+
     // Check if user has access to this company's documents
     const userWithCompanies = await User.findByPk(req.user.userId, {
       include: [{
@@ -175,6 +492,10 @@ router.post('/:documentType/:documentId', async (req, res) => {
       }
     });
 
+    if (!query && internal) {
+      return res.status(400).json({ message: 'Start the query before adding internal notes' });
+    }
+
     // If query exists and is resolved, prevent external users from adding messages
     if (query && query.status === 'resolved' && isCustomer) {
       return res.status(403).json({ 
@@ -187,6 +508,7 @@ router.post('/:documentType/:documentId', async (req, res) => {
       attributes: ['id', 'name', 'email', 'role']
     });
 
+    const queryId = query ? query.id : uuidv4();
     const messageData = {
       id: uuidv4(),
       userId: req.user.userId,
@@ -196,19 +518,27 @@ router.post('/:documentType/:documentId', async (req, res) => {
       message: message.trim(),
       createdAt: new Date().toISOString(),
       isCustomer: isCustomer,
-      replyTo: replyTo || null // Optional: ID of message being replied to
+      replyTo: replyTo || null, // Optional: ID of message being replied to
+      internal,
+      attachments: await saveAttachments(queryId, req.files)
     };
 
+    const settings = await Settings.getSettings();
+
     if (!query) {
       // Create new query thread
+      const now = new Date();
       query = await DocumentQuery.create({
+        id: queryId,
         documentType,
         documentId,
         documentNumber,
         companyId,
         messages: [messageData],
         status: 'open',
-        lastMessageAt: new Date(),
+        category: category || null,
+        slaDueAt: computeSlaDueAt(now, category, settings),
+        lastMessageAt: now,
         lastMessageBy: req.user.userId
       });
 
@@ -236,23 +566,34 @@ router.post('/:documentType/:documentId', async (req, res) => {
     } else {
       // Add message to existing thread (even if there are messages awaiting reply)
       const messages = query.messages || [];
+      const now = new Date();
+      if (isStaff && !internal && !query.firstResponseAt && messages.some(m => m.isCustomer)) {
+        query.firstResponseAt = now;
+      }
       messages.push(messageData);
       query.messages = messages;
-      query.lastMessageAt = new Date();
-      query.lastMessageBy = req.user.userId;
+      query.changed('messages', true);
+      // Internal notes don't count as a reply to the customer
+      if (!internal) {
+        query.lastMessageAt = now;
+        query.lastMessageBy = req.user.userId;
+      }
       // Only reopen if it was closed, not if it was resolved
-      if (query.status === 'closed') {
+      if (query.status === 'closed' && !internal) {
         query.status = 'open';
+        query.slaDueAt = computeSlaDueAt(now, query.category, settings);
+        query.escalationLevel = 0;
+        query.escalatedAt = null;
       }
       await query.save();
 
       // Log activity for query message sent (reply)
       await logActivity({
-        type: ActivityType.DOCUMENT_QUERIED,
+        type: internal ? ActivityType.DOCUMENT_QUERY_NOTE_ADDED : ActivityType.DOCUMENT_QUERIED,
         userId: req.user.userId,
         userEmail: userDetails?.email,
         userRole: req.user.role,
-        action: `Sent query message for ${documentType} ${query.documentNumber}`,
+        action: `${internal ? 'Added internal note to query' : 'Sent query message'} for ${documentType} ${query.documentNumber}`,
         details: { 
           documentType, 
           documentId, 
@@ -260,7 +601,8 @@ router.post('/:documentType/:documentId', async (req, res) => {
           companyId: query.companyId || companyId,
           queryId: query.id,
           messageId: messageData.id,
-          message: messageData.message.substring(0, 100) // First 100 chars
+          message: messageData.message.substring(0, 100), // First 100 chars
+          attachments: messageData.attachments.length
         },
         companyId: query.companyId || companyId,
         companyName: company?.name,
@@ -270,16 +612,14 @@ router.post('/:documentType/:documentId', async (req, res) => {
     }
 
     // Send email notifications
-    const documentTypeLabel = documentType === 'invoice' ? 'Invoice' : 
-                              documentType === 'credit_note' ? 'Credit Note' : 'Statement';
+    const documentTypeLabel = documentTypeLabels[documentType];
     
     const { getDocumentUrl } = require('../utils/urlConfig');
     const queryUrl = getDocumentUrl(`${documentType}s`, documentId);
     
-    // Get settings for email branding
-    const settings = await Settings.getSettings();
-    
-    if (isCustomer) {
+    if (internal) {
+      // Internal notes are never emailed
+    } else if (isCustomer) {
       // Check if company has EDI enabled - if so, skip email notifications
       if (company?.edi) {
         console.log('[Query] Company has EDI enabled, skipping email notifications');
@@ -293,13 +633,14 @@ router.post('/:documentType/:documentId', async (req, res) => {
             where: { id: companyId }
           }],
           where: {
-            role: { [Op.in]: ['staff', 'manager', 'administrator', 'global_admin'] }
+            role: { [Op.in]: getStaffRoleKeys() }
           }
         });
 
         for (const staffUser of staffUsers) {
           if (staffUser.email) {
             try {
+              const replyTo = await getReplyAddress(query, staffUser);
               const html = renderTemplate('query-notification', {
                 emailTitle: 'New Document Query',
                 preheaderText: `Query from ${company?.name || 'Unknown Company'} about ${documentTypeLabel} ${documentNumber}`,
@@ -311,13 +652,15 @@ router.post('/:documentType/:documentId', async (req, res) => {
                 messageContent: message.trim().replace(/\n/g, '<br>'),
                 queryUrl,
                 buttonText: 'View and Reply',
-                iconColor: settings?.primaryColor || '#066FD1'
+                iconColor: settings?.primaryColor || '#066FD1',
+                ...replyTemplateVariables(replyTo)
               }, settings);
               
               await sendEmail({
                 to: staffUser.email,
                 subject: `Query regarding ${documentTypeLabel} ${documentNumber}`,
-                html
+                html,
+                replyTo
               }, settings);
             } catch (emailError) {
               console.error(`Failed to send email to ${staffUser.email}:`, emailError);
@@ -342,6 +685,7 @@ router.post('/:documentType/:documentId', async (req, res) => {
       for (const customerUser of customerUsers) {
         if (customerUser.email) {
           try {
+            const replyTo = await getReplyAddress(query, customerUser);
             const html = renderTemplate('query-notification', {
               emailTitle: 'Query from Staff',
               preheaderText: `Staff query about your ${documentTypeLabel} ${documentNumber}`,
@@ -353,13 +697,15 @@ router.post('/:documentType/:documentId', async (req, res) => {
               messageContent: message.trim().replace(/\n/g, '<br>'),
               queryUrl,
               buttonText: 'View and Reply',
-              iconColor: settings?.primaryColor || '#066FD1'
+              iconColor: settings?.primaryColor || '#066FD1',
+              ...replyTemplateVariables(replyTo)
             }, settings);
             
             await sendEmail({
               to: customerUser.email,
               subject: `Query regarding ${documentTypeLabel} ${documentNumber}`,
-              html
+              html,
+              replyTo
             }, settings);
           } catch (emailError) {
             console.error(`Failed to send email to ${customerUser.email}:`, emailError);
@@ -376,6 +722,7 @@ router.post('/:documentType/:documentId', async (req, res) => {
         documentId: query.documentId,
         documentNumber: query.documentNumber,
         status: query.status,
+        category: query.category,
         lastMessageAt: query.lastMessageAt
       },
       message: messageData
@@ -387,10 +734,11 @@ router.post('/:documentType/:documentId', async (req, res) => {
 });
 
 // Reply to a query (staff only, or customer if query is open)
-router.post('/:documentType/:documentId/reply', async (req, res) => {
+router.post('/:documentType/:documentId/reply', uploadAttachments, async (req, res) => {
   try {
     const { documentType, documentId } = req.params;
     const { message, replyTo } = req.body; // replyTo is optional message ID for threading
+    const internal = isTrue(req.body.internal);
 
     if (!message || !message.trim()) {
       return res.status(400).json({ message: 'Message is required' });
@@ -403,12 +751,16 @@ router.post('/:documentType/:documentId/reply', async (req, res) => {
 
     // Both staff and customers can reply (but customers can't reply to resolved queries)
     const isCustomer = req.user.role === 'external_user';
-    const isStaff = ['staff', 'manager', 'administrator', 'global_admin'].includes(req.user.role);
+    const isStaff = isInternalRole(req.user.role);
     
     if (!isCustomer && !isStaff) {
       return res.status(403).json({ message: 'Only customers and staff can reply to queries' });
     }
 
+    if (internal && !(isStaff && hasPermission(req.user.role, 'QUERIES_MANAGE'))) {
+      return res.status(403).json({ message: 'You cannot add internal notes' });
+    }
+
     // Find the query thread
     const query = await DocumentQuery.findOne({
       where: {
@@ -465,19 +817,28 @@ router.post('/:documentType/:documentId/reply', async (req, res) => {
       message: message.trim(),
       createdAt: new Date().toISOString(),
       isCustomer: isCustomer,
-      replyTo: replyTo || null // Optional: ID of message being replied to
+      replyTo: replyTo || null, // Optional: ID of message being replied to
+      internal,
+      attachments: await saveAttachments(query.id, req.files)
     };
 
     const messages = query.messages || [];
+    if (isStaff && !internal && !query.firstResponseAt && messages.some(m => m.isCustomer)) {
+      query.firstResponseAt = new Date();
+    }
     messages.push(messageData);
     query.messages = messages;
-    query.lastMessageAt = new Date();
-    query.lastMessageBy = req.user.userId;
+    query.changed('messages', true);
+    // Internal notes don't count as a reply to the customer
+    if (!internal) {
+      query.lastMessageAt = new Date();
+      query.lastMessageBy = req.user.userId;
+    }
     await query.save();
 
     // Find the customer who created the query (first message sender)
     const firstMessage = messages.find(m => m.isCustomer);
-    if (firstMessage) {
+    if (firstMessage && !internal) {
       // Check if company has EDI enabled - if so, skip email notifications
       if (query.company?.edi) {
         console.log('[Query Reply] Company has EDI enabled, skipping email notifications');
@@ -495,6 +856,7 @@ router.post('/:documentType/:documentId/reply', async (req, res) => {
           const settings = await Settings.getSettings();
           
           try {
+            const replyTo = await getReplyAddress(query, customer);
             const html = renderTemplate('query-notification', {
               emailTitle: 'Reply to Your Query',
               preheaderText: `Reply received for your ${documentTypeLabel} ${query.documentNumber} query`,
@@ -506,13 +868,15 @@ router.post('/:documentType/:documentId/reply', async (req, res) => {
               messageContent: message.trim().replace(/\n/g, '<br>'),
               queryUrl,
               buttonText: 'View Document',
-              iconColor: settings?.primaryColor || '#066FD1'
+              iconColor: settings?.primaryColor || '#066FD1',
+              ...replyTemplateVariables(replyTo)
             }, settings);
             
             await sendEmail({
               to: customer.email,
               subject: `Reply to your query regarding ${documentTypeLabel} ${query.documentNumber}`,
-              html
+              html,
+              replyTo
             }, settings);
           } catch (emailError) {
             console.error(`Failed to send email to ${customer.email}:`, emailError);
@@ -523,12 +887,20 @@ router.post('/:documentType/:documentId/reply', async (req, res) => {
 
     // Log activity
     await logActivity({
-      type: ActivityType.DOCUMENT_QUERY_REPLIED,
+      type: internal ? ActivityType.DOCUMENT_QUERY_NOTE_ADDED : ActivityType.DOCUMENT_QUERY_REPLIED,
       userId: req.user.userId,
-      userEmail: req.user.email,
+      userEmail: userDetails?.email,
       userRole: req.user.role,
-      action: `Replied to query for ${documentType} ${query.documentNumber}`,
-      details: { documentType, documentId, documentNumber: query.documentNumber, companyId: query.companyId },
+      action: `${internal ? 'Added internal note to query' : 'Replied to query'} for ${documentType} ${query.documentNumber}`,
+      details: {
+        documentType,
+        documentId,
+        documentNumber: query.documentNumber,
+        companyId: query.companyId,
+        queryId: query.id,
+        messageId: messageData.id,
+        attachments: messageData.attachments.length
+      },
       companyId: query.companyId,
       companyName: query.company?.name,
       ipAddress: req.ip,
@@ -545,7 +917,7 @@ router.post('/:documentType/:documentId/reply', async (req, res) => {
   }
 });
 
-// Resolve a query (admin/global_admin only)
+// Resolve a query (QUERIES_RESOLVE)
 router.post('/:documentType/:documentId/resolve', async (req, res) => {
   try {
     const { documentType, documentId } = req.params;
@@ -560,9 +932,8 @@ router.post('/:documentType/:documentId/resolve', async (req, res) => {
       return res.status(400).json({ message: 'Invalid document type' });
     }
 
-    // Only admins and global admins can resolve queries
-    if (!['administrator', 'global_admin'].includes(req.user.role)) {
-      return res.status(403).json({ message: 'Only administrators can resolve queries' });
+    if (!hasPermission(req.user.role, 'QUERIES_RESOLVE')) {
+      return res.status(403).json({ message: 'You do not have permission to resolve queries' });
     }
 
     // Find the query thread
@@ -694,5 +1065,161 @@ router.post('/:documentType/:documentId/resolve', async (req, res) => {
   }
 });
 
+// Assign a query and/or set its category (query desk)
+router.put('/:documentType/:documentId/desk', requirePermission('QUERIES_MANAGE'), async (req, res) => {
+  try {
+    const { documentType, documentId } = req.params;
+    const { assignedTo, category } = req.body;
+
+    if (!['invoice', 'credit_note', 'statement'].includes(documentType)) {
+      return res.status(400).json({ message: 'Invalid document type' });
+    }
+    if (category !== undefined && category !== null && !QUERY_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: 'Invalid query category' });
+    }
+
+    const query = await DocumentQuery.findOne({
+      where: { documentType, documentId },
+      include: [{ model: Company, as: 'company', attributes: ['id', 'name'] }]
+    });
+    if (!query) {
+      return res.status(404).json({ message: 'Query thread not found' });
+    }
+    if (!await canAccessCompany(req, query.companyId)) {
+      return res.status(403).json({ message: 'You do not have access to this company' });
+    }
+
+    const [userDetails, settings] = await Promise.all([
+      User.findByPk(req.user.userId, { attributes: ['id', 'name', 'email'] }),
+      Settings.getSettings()
+    ]);
+    const activityBase = {
+      userId: req.user.userId,
+      userEmail: userDetails?.email,
+      userRole: req.user.role,
+      companyId: query.companyId,
+      companyName: query.company?.name,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    };
+    const documentTypeLabel = documentTypeLabels[documentType];
+
+    let assignee = null;
+    if (assignedTo !== undefined && (assignedTo || null) !== query.assignedTo) {
+      if (assignedTo) {
+        assignee = await User.findOne({
+          where: { id: assignedTo, isActive: true, role: { [Op.in]: getAssigneeRoleKeys() } },
+          attributes: ['id', 'name', 'email']
+        });
+        if (!assignee) {
+          return res.status(400).json({ message: 'Queries can only be assigned to active staff users who can view and respond to queries' });
+        }
+      }
+
+      const previousAssignee = query.assignedTo;
+      query.assignedTo = assignee ? assignee.id : null;
+      query.assignedAt = assignee ? new Date() : null;
+
+      await logActivity({
+        ...activityBase,
+        type: ActivityType.DOCUMENT_QUERY_ASSIGNED,
+        action: assignee
+          ? `Assigned query for ${documentType} ${query.documentNumber} to ${assignee.name || assignee.email}`
+          : `Unassigned query for ${documentType} ${query.documentNumber}`,
+        details: { queryId: query.id, documentType, documentId, documentNumber: query.documentNumber, assignedTo: query.assignedTo, previousAssignee }
+      });
+    }
+
+    if (category !== undefined && (category || null) !== query.category) {
+      const previousCategory = query.category;
+      query.category = category || null;
+      // The SLA runs from when the query was raised, under the new category
+      query.slaDueAt = computeSlaDueAt(query.createdAt, query.category, settings);
+      if (!query.slaDueAt || query.slaDueAt > new Date()) {
+        query.escalationLevel = 0;
+        query.escalatedAt = null;
+      }
+
+      await logActivity({
+        ...activityBase,
+        type: ActivityType.DOCUMENT_QUERY_CATEGORISED,
+        action: `Set query category for ${documentType} ${query.documentNumber} to ${CATEGORY_LABELS[query.category] || 'none'}`,
+        details: { queryId: query.id, documentType, documentId, documentNumber: query.documentNumber, category: query.category, previousCategory, slaDueAt: query.slaDueAt }
+      });
+    }
+
+    await query.save();
+
+    // Let the new assignee know (unless they assigned it to themselves)
+    if (assignee && assignee.id !== req.user.userId && assignee.email) {
+      const { getDocumentUrl } = require('../utils/urlConfig');
+      try {
+        const html = renderTemplate('query-notification', {
+          emailTitle: 'Query Assigned to You',
+          preheaderText: `${documentTypeLabel} ${query.documentNumber} query from ${query.company?.name || 'Unknown Company'}`,
+          greeting: `Hello ${assignee.name || 'there'},`,
+          introText: `${userDetails?.name || userDetails?.email || 'A colleague'} has assigned you the query from ${query.company?.name || 'Unknown Company'} about ${documentTypeLabel} ${query.documentNumber}.${query.slaDueAt ? ` It should be resolved by ${new Date(query.slaDueAt).toLocaleString('en-GB')}.` : ''}`,
+          documentTypeName: documentTypeLabel,
+          documentNumber: query.documentNumber,
+          querySubject: CATEGORY_LABELS[query.category] || 'Uncategorised',
+          queryUrl: getDocumentUrl(`${documentType}s`, documentId),
+          buttonText: 'Open Query',
+          iconColor: settings?.primaryColor || '#066FD1'
+        }, settings);
+
+        await sendEmail({
+          to: assignee.email,
+          subject: `Query assigned: ${documentTypeLabel} ${query.documentNumber}`,
+          html
+        }, settings);
+      } catch (emailError) {
+        console.error(`Failed to send assignment email to ${assignee.email}:`, emailError);
+      }
+    }
+
+    await query.reload({
+      include: [
+        { model: Company, as: 'company', attributes: ['id', 'name'] },
+        { model: User, as: 'assignee', attributes: ['id', 'name', 'email'] }
+      ]
+    });
+    res.json({ success: true, query: serializeQuery(query, true) });
+  } catch (error) {
+    console.error('Error updating query:', error);
+    res.status(500).json({ message: 'Error updating query' });
+  }
+});
+
+// Download a file attached to a query message
+router.get('/:documentType/:documentId/attachments/:attachmentId', async (req, res) => {
+  try {
+    const { documentType, documentId, attachmentId } = req.params;
+
+    const query = await DocumentQuery.findOne({ where: { documentType, documentId } });
+    if (!query) {
+      return res.status(404).json({ message: 'Query thread not found' });
+    }
+    if (!await canAccessCompany(req, query.companyId)) {
+      return res.status(403).json({ message: 'You do not have access to this document' });
+    }
+
+    const found = findAttachment(query, attachmentId);
+    // Files on internal notes are staff-only
+    if (!found || (found.message.internal && !isInternalRole(req.user.role))) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    if (!fs.existsSync(found.filePath)) {
+      return res.status(404).json({ message: 'Attachment file is missing' });
+    }
+
+    res.attachment(found.attachment.fileName);
+    res.setHeader('Content-Type', found.attachment.mimeType);
+    fs.createReadStream(found.filePath).pipe(res);
+  } catch (error) {
+    console.error('Error downloading query attachment:', error);
+    res.status(500).json({ message: 'Error downloading attachment' });
+  }
+});
+
 module.exports = router;
 
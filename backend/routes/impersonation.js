@@ -0,0 +1,123 @@
+/**
+ * Impersonation Routes
+ * Read-only "view as user" so support can see exactly which documents and
+ * companies a user sees (User details > View as User). Starting returns a
+ * short-lived access token for the user; middleware/impersonation.js keeps
+ * requests made with it read-only and logs each one against the admin.
+ */
+
+const express = require('express');
+const { User } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const { createImpersonationSession, endImpersonationSession } = require('../utils/authSessions');
+const { getRoleLevel } = require('../utils/roleHierarchy');
+const { hasPortalAccess } = require('../utils/permissions');
+const router = express.Router();
+
+router.use(auth);
+
+// Start viewing as a user
+router.post('/start', requirePermission('USERS_IMPERSONATE'), async (req, res) => {
+  try {
+    if (req.user.impersonation) {
+      return res.status(400).json({ message: 'Stop viewing as the current user first' });
+    }
+
+    const { userId, reason } = req.body;
+    if (!userId) {
+      return res.status(400).json({ message: 'userId is required' });
+    }
+    if (userId === req.user.userId) {
+      return res.status(400).json({ message: 'You cannot view as yourself' });
+    }
+
+    const [admin, target] = await Promise.all([
+      User.findByPk(req.user.userId),
+      User.findByPk(userId)
+    ]);
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (getRoleLevel(target.role) >= getRoleLevel(admin.role)) {
+      return res.status(403).json({ message: 'You can only view as users whose role ranks below yours' });
+    }
+    if (target.isActive === false) {
+      return res.status(400).json({ message: 'This account is inactive' });
+    }
+    if (!hasPortalAccess(target.role)) {
+      return res.status(400).json({ message: 'This user\'s role cannot sign in to the portal, so there is nothing to view' });
+    }
+
+    const trimmedReason = reason ? reason.toString().trim().substring(0, 500) || null : null;
+    const { token, sessionId, expiresAt } = await createImpersonationSession(admin, req.user.sid, target, req, trimmedReason);
+
+    await logActivity({
+      type: ActivityType.IMPERSONATION_STARTED,
+      userId: admin.id,
+      userEmail: admin.email,
+      userRole: admin.role,
+      action: `Started viewing as ${target.email}`,
+      details: {
+        impersonatedUserId: target.id,
+        impersonatedUserEmail: target.email,
+        impersonatedUserRole: target.role,
+        impersonationSessionId: sessionId,
+        reason: trimmedReason,
+        expiresAt
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({
+      token,
+      expiresAt,
+      user: {
+        id: target.id,
+        name: target.name,
+        email: target.email,
+        role: target.role
+      }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({ message: 'Error starting impersonation' });
+  }
+});
+
+// Stop viewing as a user (made with the impersonation token)
+router.post('/stop', async (req, res) => {
+  try {
+    const { impersonation } = req.user;
+    if (!impersonation) {
+      return res.status(400).json({ message: 'You are not viewing as another user' });
+    }
+
+    await endImpersonationSession(impersonation.sessionId);
+
+    await logActivity({
+      type: ActivityType.IMPERSONATION_ENDED,
+      userId: impersonation.impersonatorId,
+      userEmail: impersonation.impersonatorEmail,
+      userRole: impersonation.impersonatorRole,
+      action: `Stopped viewing as ${impersonation.targetEmail}`,
+      details: {
+        impersonatedUserId: req.user.userId,
+        impersonatedUserEmail: impersonation.targetEmail,
+        impersonationSessionId: impersonation.sessionId,
+        durationSeconds: Math.round((Date.now() - new Date(impersonation.startedAt).getTime()) / 1000)
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: 'Stopped viewing as user' });
+  } catch (error) {
+    console.error('Error stopping impersonation:', error);
+    res.status(500).json({ message: 'Error stopping impersonation' });
+  }
+});
+
+module.exports = router;
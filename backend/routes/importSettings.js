@@ -353,7 +353,7 @@ router.post('/retry-failed', auth, globalAdmin, async (req, res) => {
           
           // Only process supported file types
           const ext = path.extname(file).toLowerCase();
-          if (!['.pdf', '.xlsx', '.xls'].includes(ext)) {
+          if (!['.pdf', '.xlsx', '.xls', '.xml'].includes(ext)) {
             continue;
           }
           
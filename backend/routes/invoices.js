@@ -3,7 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { Invoice, Company, Sequelize, Settings, DocumentQuery, sequelize } = require('../models');
+const { Invoice, CreditNote, Company, Sequelize, Settings, DocumentQuery, Payment, PaymentAllocation, User, sequelize } = require('../models');
 const { Op } = Sequelize;
 const auth = require('../middleware/auth');
 const { checkDocumentAccess, buildCompanyFilter } = require('../middleware/documentAccess');
@@ -12,8 +12,13 @@ const { getDescendantCompanyIds } = require('../utils/companyHierarchy');
 const { invoiceImportQueue } = require('../config/queue');
 const { ensureStorageDirs, getStorageDir } = require('../config/storage');
 const { logActivity, ActivityType } = require('../services/activityLogger');
+const { emitDocumentCreated } = require('../services/webhooks');
 const { calculateDocumentRetentionDates } = require('../utils/documentRetention');
 const { testConnection, listFiles, downloadFile } = require('../utils/ftp');
+const { roundMoney, getOutstandingAmount, getRemainingCredit, recordPayment, deletePayment, recalculateInvoiceBalance } = require('../utils/paymentAllocation');
+const { getNetOutstanding } = require('../utils/creditNoteLinking');
+const { generateUbl } = require('../services/eInvoice/ubl');
+const { generateFacturX } = require('../services/eInvoice/facturX');
 const router = express.Router();
 
 // Storage configuration for invoice imports
@@ -40,15 +45,18 @@ const importUpload = multer({
   },
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExts = ['.pdf', '.xlsx', '.xls'];
+    const allowedExts = ['.pdf', '.xlsx', '.xls', '.xml'];
     if (allowedExts.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and Excel files (.pdf, .xlsx, .xls) are allowed!'), false);
+      cb(new Error('Only PDF, Excel and XML files (.pdf, .xlsx, .xls, .xml) are allowed!'), false);
     }
   }
 });
 
+// Buyer fields needed to build a UBL / Peppol e-invoice
+const UBL_COMPANY_ATTRIBUTES = ['id', 'name', 'referenceNo', 'email', 'phone', 'address', 'vatNumber'];
+
 // Apply auth and document access check to all routes
 router.use(auth);
 router.use(checkDocumentAccess);
@@ -265,7 +273,8 @@ router.get('/', async (req, res) => {
         status: query.status,
         lastMessageBy: query.lastMessageBy,
         lastMessageAt: query.lastMessageAt,
-        messages: query.messages || []
+        // Internal notes are staff-only and don't change the thread's state
+        messages: (query.messages || []).filter(message => !message.internal)
       });
     });
     
@@ -493,7 +502,7 @@ router.get('/:id', async (req, res) => {
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
     const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Skip auto-mark-as-viewed for admins/GA (they can manually set status)
     const isAdmin = req.user.role === 'global_admin' || req.user.role === 'administrator';
@@ -611,6 +620,11 @@ router.post('/', requirePermission('INVOICES_EDIT'), async (req, res) => {
       }]
     });
     
+    emitDocumentCreated('invoice', invoice, {
+      source: 'manual',
+      user: { id: req.user.userId, email: req.user.email || null, role: req.user.role }
+    });
+    
     res.status(201).json(invoice);
   } catch (error) {
     console.error('Error creating invoice:', error);
@@ -629,10 +643,10 @@ router.post('/import', requirePermission('INVOICES_IMPORT'), importUpload.array(
       });
     }
     
-    // Validate file types - only PDF for invoices/credit notes
+    // Validate file types - PDF or UBL/CII XML for invoices/credit notes
     const invalidFiles = req.files.filter(file => {
       const ext = path.extname(file.originalname).toLowerCase();
-      return ext !== '.pdf';
+      return ext !== '.pdf' && ext !== '.xml';
     });
     
     if (invalidFiles.length > 0) {
@@ -644,7 +658,7 @@ router.post('/import', requirePermission('INVOICES_IMPORT'), importUpload.array(
       });
       return res.status(400).json({
         success: false,
-        message: `Only PDF files are allowed for invoice/credit note imports. ${invalidFiles.length} invalid file(s) rejected.`,
+        message: `Only PDF and UBL/CII XML files are allowed for invoice/credit note imports. ${invalidFiles.length} invalid file(s) rejected.`,
         error: 'Invalid file type'
       });
     }
@@ -1105,6 +1119,11 @@ router.put('/:id', requirePermission('INVOICES_EDIT'), async (req, res) => {
     
     await invoice.save();
     
+    // Amount or due date changes can move the invoice in/out of paid/overdue
+    if (changes.amount || changes.dueDate) {
+      await recalculateInvoiceBalance(invoice.id);
+    }
+    
     // Reload with company
     await invoice.reload({
       include: [{
@@ -1228,7 +1247,7 @@ router.post('/:id/view', async (req, res) => {
     const settings = await Settings.getSettings();
     const onlyExternal = settings.onlyExternalUsersChangeDocumentStatus;
     const userRole = req.user.role;
-    const canUpdateStatus = !onlyExternal || userRole === 'external_user';
+    const canUpdateStatus = (!onlyExternal || userRole === 'external_user') && !req.impersonation;
     
     console.log(`📊 Document Status Check - onlyExternalUsersChangeDocumentStatus: ${onlyExternal}, userRole: ${userRole}, canUpdateStatus: ${canUpdateStatus}`);
     
@@ -1332,7 +1351,7 @@ router.get('/:id/view-pdf', async (req, res) => {
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
     const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Mark as viewed if not already
     const wasViewed = !!invoice.viewedAt;
@@ -1378,11 +1397,17 @@ router.get('/:id/view-pdf', async (req, res) => {
 // Download single invoice document
 router.get('/:id/download', async (req, res) => {
   try {
+    const format = (req.query.format || 'pdf').toString().toLowerCase();
+    if (!['pdf', 'ubl', 'facturx'].includes(format)) {
+      return res.status(400).json({ message: 'Format must be pdf, ubl or facturx' });
+    }
+    const isEInvoice = format === 'ubl' || format === 'facturx';
+    
     const invoice = await Invoice.findByPk(req.params.id, {
       include: [{
         model: Company,
         as: 'company',
-        attributes: ['id', 'name']
+        attributes: isEInvoice ? UBL_COMPANY_ATTRIBUTES : ['id', 'name']
       }]
     });
     
@@ -1398,25 +1423,52 @@ router.get('/:id/download', async (req, res) => {
       });
     }
     
-    if (!invoice.fileUrl) {
-      return res.status(404).json({ message: 'No document file available for this invoice' });
-    }
-    
-    const filePath = path.isAbsolute(invoice.fileUrl) 
-      ? invoice.fileUrl 
-      : path.join(__dirname, '..', invoice.fileUrl);
+    const settings = await Settings.getSettings();
     
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ message: 'Document file not found on server' });
+    // UBL and Factur-X are generated on the fly; a plain PDF must exist on disk
+    let ubl = null;
+    let facturX = null;
+    let filePath = null;
+    if (format === 'facturx') {
+      facturX = await generateFacturX(invoice, {
+        documentType: 'invoice',
+        company: invoice.company,
+        settings
+      });
+      if (!facturX.valid) {
+        return res.status(422).json({
+          message: `Invoice ${invoice.invoiceNumber} cannot be exported as a Factur-X e-invoice`,
+          errors: facturX.errors
+        });
+      }
+    } else if (format === 'ubl') {
+      ubl = generateUbl(invoice, { documentType: 'invoice', company: invoice.company, settings });
+      if (!ubl.valid) {
+        return res.status(422).json({
+          message: `Invoice ${invoice.invoiceNumber} cannot be exported as a Peppol e-invoice`,
+          errors: ubl.errors
+        });
+      }
+    } else {
+      if (!invoice.fileUrl) {
+        return res.status(404).json({ message: 'No document file available for this invoice' });
+      }
+      
+      filePath = path.isAbsolute(invoice.fileUrl) 
+        ? invoice.fileUrl 
+        : path.join(__dirname, '..', invoice.fileUrl);
+      
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ message: 'Document file not found on server' });
+      }
     }
     
     // Always update status when downloaded
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions, not even GA)
-    const settings = await Settings.getSettings();
     const onlyExternal = settings.onlyExternalUsersChangeDocumentStatus;
     const userRole = req.user.role;
-    const canUpdateStatus = !onlyExternal || userRole === 'external_user';
+    const canUpdateStatus = (!onlyExternal || userRole === 'external_user') && !req.impersonation;
     
     console.log(`📊 Document Status Check (download) - onlyExternalUsersChangeDocumentStatus: ${onlyExternal}, userRole: ${userRole}, canUpdateStatus: ${canUpdateStatus}`);
     
@@ -1454,12 +1506,13 @@ router.get('/:id/download', async (req, res) => {
       userId: req.user.userId,
       userEmail: req.user.email,
       userRole: req.user.role,
-      action: `Downloaded invoice ${invoice.invoiceNumber || invoice.id}${wasFirstDownload ? '' : ' (subsequent download)'}`,
+      action: `Downloaded invoice ${invoice.invoiceNumber || invoice.id}${format === 'ubl' ? ' as UBL' : format === 'facturx' ? ' as Factur-X' : ''}${wasFirstDownload ? '' : ' (subsequent download)'}`,
       details: { 
         invoiceId: invoice.id, 
         invoiceNumber: invoice.invoiceNumber,
         documentStatus: invoice.documentStatus,
-        isFirstDownload: wasFirstDownload
+        isFirstDownload: wasFirstDownload,
+        format
       },
       companyId: invoice.companyId,
       companyName: invoice.company?.name || null,
@@ -1467,6 +1520,18 @@ router.get('/:id/download', async (req, res) => {
       userAgent: req.get('user-agent')
     });
     
+    if (facturX) {
+      res.attachment(facturX.fileName);
+      res.type('application/pdf');
+      return res.send(facturX.buffer);
+    }
+    
+    if (ubl) {
+      res.attachment(ubl.fileName);
+      res.type('application/xml');
+      return res.send(ubl.xml);
+    }
+    
     const fileName = path.basename(filePath);
     res.download(filePath, fileName, (err) => {
       if (err) {
@@ -1482,10 +1547,269 @@ router.get('/:id/download', async (req, res) => {
   }
 });
 
+// Get credit notes linked to an invoice and its outstanding balance after them
+router.get('/:id/credit-notes', requirePermission('CREDIT_NOTES_VIEW'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findByPk(req.params.id, {
+      attributes: ['id', 'invoiceNumber', 'companyId', 'amount', 'amountPaid', 'status']
+    });
+    
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    // Check access to this invoice's company
+    if (req.accessibleCompanyIds !== null && 
+        !req.accessibleCompanyIds.includes(invoice.companyId)) {
+      return res.status(403).json({ 
+        message: 'Access denied. You do not have access to this invoice.' 
+      });
+    }
+    
+    const creditNotes = await CreditNote.findAll({
+      where: { invoiceId: invoice.id },
+      attributes: ['id', 'creditNoteNumber', 'issueDate', 'amount', 'amountApplied', 'status', 'documentStatus', 'invoiceReference', 'metadata'],
+      order: [['issueDate', 'DESC']]
+    });
+    
+    res.json({
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: parseFloat(invoice.amount),
+      amountPaid: parseFloat(invoice.amountPaid || 0),
+      ...getNetOutstanding(invoice, creditNotes),
+      creditNotes: creditNotes.map(creditNote => ({
+        id: creditNote.id,
+        creditNoteNumber: creditNote.creditNoteNumber,
+        issueDate: creditNote.issueDate,
+        amount: roundMoney(creditNote.amount),
+        remainingCredit: getRemainingCredit(creditNote),
+        status: creditNote.status,
+        documentStatus: creditNote.documentStatus,
+        linkSource: creditNote.metadata?.invoiceLink?.source || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching invoice credit notes:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get payment history and outstanding balance for an invoice
+router.get('/:id/payments', requirePermission('PAYMENTS_VIEW'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findByPk(req.params.id, {
+      attributes: ['id', 'invoiceNumber', 'companyId', 'amount', 'amountPaid', 'paidAt', 'status', 'dueDate']
+    });
+    
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    // Check access to this invoice's company
+    if (req.accessibleCompanyIds !== null && 
+        !req.accessibleCompanyIds.includes(invoice.companyId)) {
+      return res.status(403).json({ 
+        message: 'Access denied. You do not have access to this invoice.' 
+      });
+    }
+    
+    const allocations = await PaymentAllocation.findAll({
+      where: { invoiceId: invoice.id },
+      include: [{
+        model: Payment,
+        as: 'payment',
+        include: [{
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'name', 'email'],
+          required: false
+        }]
+      }],
+      order: [[{ model: Payment, as: 'payment' }, 'paymentDate', 'DESC']]
+    });
+    
+    res.json({
+      invoiceId: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: parseFloat(invoice.amount),
+      amountPaid: parseFloat(invoice.amountPaid || 0),
+      outstanding: getOutstandingAmount(invoice),
+      status: invoice.status,
+      paidAt: invoice.paidAt,
+      allocations
+    });
+  } catch (error) {
+    console.error('Error fetching invoice payments:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Record a payment against a single invoice
+// method 'credit_note' settles the invoice from a credit note (no cash changes hands)
+router.post('/:id/payments', requirePermission('PAYMENTS_RECORD'), async (req, res) => {
+  try {
+    const { amount, paymentDate, method, reference, notes, creditNoteId } = req.body;
+    
+    const invoice = await Invoice.findByPk(req.params.id, {
+      include: [{
+        model: Company,
+        as: 'company',
+        attributes: ['id', 'name']
+      }]
+    });
+    
+    if (!invoice || invoice.deletedAt) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    // Check access to this invoice's company
+    if (req.accessibleCompanyIds !== null && 
+        !req.accessibleCompanyIds.includes(invoice.companyId)) {
+      return res.status(403).json({ 
+        message: 'Access denied. You do not have access to this invoice.' 
+      });
+    }
+    
+    const value = roundMoney(amount);
+    if (value <= 0) {
+      return res.status(400).json({ message: 'Payment amount must be greater than zero' });
+    }
+    
+    const outstanding = getOutstandingAmount(invoice);
+    if (outstanding <= 0) {
+      return res.status(400).json({ message: 'Invoice is already fully paid' });
+    }
+    
+    let paymentData;
+    if (method === 'credit_note') {
+      if (!creditNoteId) {
+        return res.status(400).json({ message: 'creditNoteId is required when settling with a credit note' });
+      }
+      const applied = Math.min(value, outstanding);
+      paymentData = {
+        amount: 0,
+        allocations: [
+          { invoiceId: invoice.id, amount: applied },
+          { creditNoteId, amount: -applied }
+        ]
+      };
+    } else {
+      // Anything over the outstanding balance is held on account against the company
+      paymentData = {
+        amount: value,
+        allocations: [{ invoiceId: invoice.id, amount: Math.min(value, outstanding) }]
+      };
+    }
+    
+    const payment = await recordPayment({
+      ...paymentData,
+      companyId: invoice.companyId,
+      paymentDate,
+      method: method || 'bank_transfer',
+      reference,
+      notes,
+      source: 'manual',
+      createdById: req.user.userId
+    });
+    
+    await invoice.reload();
+    
+    await logActivity({
+      type: ActivityType.PAYMENT_RECORDED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Recorded ${payment.method} payment against invoice ${invoice.invoiceNumber}`,
+      details: {
+        paymentId: payment.id,
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        amount: parseFloat(payment.amount),
+        method: payment.method,
+        reference: payment.reference,
+        creditNoteId: creditNoteId || null
+      },
+      companyId: invoice.companyId,
+      companyName: invoice.company?.name || null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(201).json({
+      payment,
+      amountPaid: parseFloat(invoice.amountPaid || 0),
+      outstanding: getOutstandingAmount(invoice),
+      status: invoice.status
+    });
+  } catch (error) {
+    console.error('Error recording invoice payment:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Remove a payment recorded against an invoice (reverses the whole payment)
+router.delete('/:id/payments/:paymentId', requirePermission('PAYMENTS_DELETE'), async (req, res) => {
+  try {
+    const invoice = await Invoice.findByPk(req.params.id);
+    
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+    
+    // Check access to this invoice's company
+    if (req.accessibleCompanyIds !== null && 
+        !req.accessibleCompanyIds.includes(invoice.companyId)) {
+      return res.status(403).json({ 
+        message: 'Access denied. You do not have access to this invoice.' 
+      });
+    }
+    
+    const allocation = await PaymentAllocation.findOne({
+      where: { invoiceId: invoice.id, paymentId: req.params.paymentId }
+    });
+    if (!allocation) {
+      return res.status(404).json({ message: 'Payment not found on this invoice' });
+    }
+    
+    const deleted = await deletePayment(req.params.paymentId);
+    await invoice.reload();
+    
+    await logActivity({
+      type: ActivityType.PAYMENT_DELETED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Deleted payment from invoice ${invoice.invoiceNumber}`,
+      details: {
+        paymentId: req.params.paymentId,
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        amount: deleted ? parseFloat(deleted.amount) : null,
+        allocations: deleted ? deleted.allocations.length : 0
+      },
+      companyId: invoice.companyId,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({
+      message: 'Payment deleted successfully',
+      amountPaid: parseFloat(invoice.amountPaid || 0),
+      outstanding: getOutstandingAmount(invoice),
+      status: invoice.status
+    });
+  } catch (error) {
+    console.error('Error deleting invoice payment:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Bulk download invoices
 router.post('/bulk-download', async (req, res) => {
   try {
     const { invoiceIds } = req.body;
+    const includeUbl = req.body.includeUbl === true || req.body.includeUbl === 'true';
     
     if (!Array.isArray(invoiceIds) || invoiceIds.length === 0) {
       return res.status(400).json({ message: 'No invoice IDs provided' });
@@ -1503,7 +1827,7 @@ router.post('/bulk-download', async (req, res) => {
       include: [{
         model: Company,
         as: 'company',
-        attributes: ['id', 'name'],
+        attributes: includeUbl ? UBL_COMPANY_ATTRIBUTES : ['id', 'name'],
         required: false // LEFT JOIN - show invoices even if company is missing
       }]
     });
@@ -1512,10 +1836,29 @@ router.post('/bulk-download', async (req, res) => {
       return res.status(404).json({ message: 'No accessible invoices found' });
     }
     
+    const settings = await Settings.getSettings();
+    
     // Filter invoices that have files
-    const invoicesWithFiles = invoices.filter(inv => inv.fileUrl && fs.existsSync(
+    const hasFile = (inv) => inv.fileUrl && fs.existsSync(
       path.isAbsolute(inv.fileUrl) ? inv.fileUrl : path.join(__dirname, '..', inv.fileUrl)
-    ));
+    );
+    
+    // With includeUbl every invoice gets an XML alongside its PDF; ones that
+    // fail Peppol validation are listed in ubl-validation-errors.txt instead
+    const ublFiles = [];
+    const ublErrors = [];
+    if (includeUbl) {
+      for (const invoice of invoices) {
+        const ubl = generateUbl(invoice, { documentType: 'invoice', company: invoice.company, settings });
+        if (ubl.valid) {
+          ublFiles.push({ invoiceId: invoice.id, name: ubl.fileName, xml: ubl.xml });
+        } else {
+          ublErrors.push(`${invoice.invoiceNumber}:\n${ubl.errors.map(e => `  [${e.rule}] ${e.message}`).join('\n')}`);
+        }
+      }
+    }
+    
+    const invoicesWithFiles = invoices.filter(inv => hasFile(inv) || ublFiles.some(file => file.invoiceId === inv.id));
     
     if (invoicesWithFiles.length === 0) {
       return res.status(404).json({ message: 'No documents available for download' });
@@ -1523,8 +1866,7 @@ router.post('/bulk-download', async (req, res) => {
     
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
-    const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Update download timestamps and log activity
     const now = new Date();
@@ -1597,6 +1939,7 @@ router.post('/bulk-download', async (req, res) => {
     archive.pipe(res);
     
     for (const invoice of invoicesWithFiles) {
+      if (!hasFile(invoice)) continue;
       const filePath = path.isAbsolute(invoice.fileUrl) 
         ? invoice.fileUrl 
         : path.join(__dirname, '..', invoice.fileUrl);
@@ -1604,6 +1947,16 @@ router.post('/bulk-download', async (req, res) => {
       archive.file(filePath, { name: fileName });
     }
     
+    for (const file of ublFiles) {
+      archive.append(file.xml, { name: `ubl/${file.name}` });
+    }
+    if (ublErrors.length > 0) {
+      archive.append(
+        `The following invoices could not be exported as Peppol BIS 3.0 UBL:\n\n${ublErrors.join('\n\n')}\n`,
+        { name: 'ubl-validation-errors.txt' }
+      );
+    }
+    
     archive.finalize();
   } catch (error) {
     console.error('Error in bulk download:', error);
@@ -364,6 +364,7 @@ router.post('/test-parse', globalAdmin, upload.single('file'), async (req, res)
                 templateType: templateData.templateType || 'invoice',
                 fileType: 'pdf',
                 coordinates: templateData.coordinates,
+                lineItemTable: templateData.lineItemTable || null,
                 isDefault: false
               };
               console.log(`📊 Using test PDF template from request body: ${template.name}`);
@@ -471,6 +472,9 @@ router.post('/test-parse', globalAdmin, upload.single('file'), async (req, res)
               .map(([key, value]) => {
                 const fieldDef = STANDARD_FIELDS[key];
                 const displayName = fieldDef ? fieldDef.displayName : key;
+                if (key === 'items' && Array.isArray(value)) {
+                  return `Line Items: ${value.length} row(s)`;
+                }
                 return `${displayName}: ${value}`;
               })
               .join('\n');
@@ -736,7 +740,12 @@ router.get('/test-parse-bulk/:testId/results', globalAdmin, async (req, res) =>
           filesFailed: failed,
           avgConfidence: Math.round(avgConfidence),
           avgProcessingTime: Math.round(avgProcessingTime),
-          totalProcessingTime: Math.round(totalProcessingTime)
+          totalProcessingTime: Math.round(totalProcessingTime),
+          // Template regression runs (POST /api/templates/:id/versions/:version/regression)
+          ...(test.source === 'regression' && {
+            filesChanged: test.results.filter(r => r.regression?.changed).length,
+            filesUnchanged: test.results.filter(r => r.regression?.changed === false).length
+          })
         },
         source: test.source || 'upload', // Include source in results
         results: test.results
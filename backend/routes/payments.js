@@ -0,0 +1,358 @@
+/**
+ * Payment Routes
+ * Payment history across all accessible accounts and remittance file import.
+ * Single-invoice payments are recorded via /api/invoices/:id/payments.
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { Payment, PaymentAllocation, Invoice, CreditNote, Company, User, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const auth = require('../middleware/auth');
+const { checkDocumentAccess, buildCompanyFilter } = require('../middleware/documentAccess');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const { recordPayment, deletePayment } = require('../utils/paymentAllocation');
+const { parseRemittanceFile, buildRemittancePlan } = require('../utils/remittanceImport');
+const router = express.Router();
+
+// Configure multer for remittance uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'text/csv',
+      'text/plain',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ];
+    if (allowedMimes.includes(file.mimetype) ||
+        file.originalname.endsWith('.csv') ||
+        file.originalname.endsWith('.txt') ||
+        file.originalname.endsWith('.xls') ||
+        file.originalname.endsWith('.xlsx')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, TXT, XLS, and XLSX files are allowed.'));
+    }
+  }
+});
+
+// Apply auth and document access check to all routes
+router.use(auth);
+router.use(checkDocumentAccess);
+
+const allocationInclude = {
+  model: PaymentAllocation,
+  as: 'allocations',
+  include: [
+    {
+      model: Invoice,
+      as: 'invoice',
+      attributes: ['id', 'invoiceNumber', 'amount', 'amountPaid', 'status'],
+      required: false
+    },
+    {
+      model: CreditNote,
+      as: 'creditNote',
+      attributes: ['id', 'creditNoteNumber', 'amount', 'amountApplied', 'status'],
+      required: false
+    }
+  ]
+};
+
+// Get all payments (filtered by user's accessible companies)
+router.get('/', requirePermission('PAYMENTS_VIEW'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search = '', companyId, method, source, importBatchId, startDate, endDate } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const whereConditions = {
+      ...buildCompanyFilter(req.accessibleCompanyIds)
+    };
+
+    if (companyId) {
+      if (req.accessibleCompanyIds !== null && !req.accessibleCompanyIds.includes(companyId)) {
+        return res.status(403).json({ message: 'Access denied. You do not have access to this company.' });
+      }
+      whereConditions.companyId = companyId;
+    }
+    if (method) {
+      whereConditions.method = method;
+    }
+    if (source) {
+      whereConditions.source = source;
+    }
+    if (importBatchId) {
+      whereConditions.importBatchId = importBatchId;
+    }
+    if (startDate || endDate) {
+      whereConditions.paymentDate = {};
+      if (startDate) whereConditions.paymentDate[Op.gte] = new Date(startDate);
+      if (endDate) whereConditions.paymentDate[Op.lte] = new Date(endDate);
+    }
+    if (search) {
+      whereConditions[Op.or] = [
+        { reference: { [Op.iLike]: `%${search}%` } },
+        { notes: { [Op.iLike]: `%${search}%` } },
+        { '$company.name$': { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows } = await Payment.findAndCountAll({
+      where: whereConditions,
+      include: [
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name', 'referenceNo', 'type']
+        },
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'name', 'email'],
+          required: false
+        },
+        allocationInclude
+      ],
+      order: [['paymentDate', 'DESC'], ['createdAt', 'DESC']],
+      limit: limitNum,
+      offset,
+      distinct: true,
+      subQuery: false
+    });
+
+    res.json({
+      data: rows,
+      pagination: {
+        total: count,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(count / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching payments:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Remittance import preview - matches rows without recording anything
+ */
+router.post('/remittance/preview', requirePermission('PAYMENTS_IMPORT'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const rows = await parseRemittanceFile(req.file);
+    const plan = await buildRemittancePlan(rows, { accessibleCompanyIds: req.accessibleCompanyIds });
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      summary: plan.summary,
+      preview: plan.lines,
+      payments: plan.payments
+    });
+  } catch (error) {
+    console.error('Error previewing remittance import:', error);
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * Execute remittance import
+ * The file is re-parsed and re-matched so balances reflect anything recorded
+ * since the preview. Each payment is recorded in its own transaction; a
+ * failure on one payment does not roll back the others.
+ */
+router.post('/remittance', requirePermission('PAYMENTS_IMPORT'), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const rows = await parseRemittanceFile(req.file);
+    const plan = await buildRemittancePlan(rows, { accessibleCompanyIds: req.accessibleCompanyIds });
+    const importBatchId = uuidv4();
+
+    const results = {
+      importBatchId,
+      recorded: 0,
+      totalReceived: 0,
+      allocations: 0,
+      skippedRows: plan.lines.filter(l => l.status === 'error').map(l => ({ row: l.rowNum, errors: l.errors })),
+      errors: []
+    };
+
+    for (const planned of plan.payments) {
+      try {
+        const payment = await recordPayment({
+          companyId: planned.companyId,
+          paymentDate: planned.paymentDate,
+          amount: planned.amount,
+          method: planned.method,
+          reference: planned.reference,
+          allocations: planned.allocations,
+          source: 'remittance_import',
+          importBatchId,
+          metadata: {
+            fileName: req.file.originalname,
+            rows: planned.rowNums
+          },
+          createdById: req.user.userId
+        });
+        results.recorded++;
+        results.totalReceived += parseFloat(payment.amount);
+        results.allocations += payment.allocations.length;
+      } catch (error) {
+        results.errors.push({ rows: planned.rowNums, reference: planned.reference, error: error.message });
+      }
+    }
+    results.totalReceived = Math.round(results.totalReceived * 100) / 100;
+
+    await logActivity({
+      type: ActivityType.REMITTANCE_IMPORTED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Imported remittance ${req.file.originalname}: ${results.recorded} payments recorded`,
+      details: {
+        fileName: req.file.originalname,
+        importBatchId,
+        recorded: results.recorded,
+        totalReceived: results.totalReceived,
+        skippedRows: results.skippedRows.length,
+        errors: results.errors.length
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    console.log(`💷 Remittance ${req.file.originalname} imported by ${req.user.email}: ${results.recorded} payments, £${results.totalReceived.toFixed(2)}`);
+
+    res.json({
+      success: true,
+      message: `Import completed. Payments: ${results.recorded}, Skipped rows: ${results.skippedRows.length}, Errors: ${results.errors.length}`,
+      results
+    });
+  } catch (error) {
+    console.error('Error importing remittance:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * Download sample remittance template
+ */
+router.get('/remittance/template', requirePermission('PAYMENTS_IMPORT'), (req, res) => {
+  const csvContent = `Account No,Invoice Number,Amount,Payment Date,Reference,Payment Method
+1001,INV-100234,1250.00,01/03/2025,BACS 0301,BACS
+1001,CN-200045,-150.00,01/03/2025,BACS 0301,BACS
+1002,INV-100240,480.50,02/03/2025,CHQ 004512,Cheque
+1003,,500.00,02/03/2025,ON ACCOUNT,BACS`;
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename=remittance_import_template.csv');
+  res.send(csvContent);
+});
+
+// Get single payment
+router.get('/:id', requirePermission('PAYMENTS_VIEW'), async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, {
+      include: [
+        {
+          model: Company,
+          as: 'company',
+          attributes: ['id', 'name', 'referenceNo', 'type']
+        },
+        {
+          model: User,
+          as: 'createdBy',
+          attributes: ['id', 'name', 'email'],
+          required: false
+        },
+        allocationInclude
+      ]
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Check access to this payment's company
+    if (req.accessibleCompanyIds !== null &&
+        !req.accessibleCompanyIds.includes(payment.companyId)) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have access to this payment.'
+      });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    console.error('Error fetching payment:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete payment - reverses all of its allocations
+router.delete('/:id', requirePermission('PAYMENTS_DELETE'), async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, {
+      include: [{
+        model: Company,
+        as: 'company',
+        attributes: ['id', 'name']
+      }]
+    });
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    // Check access to this payment's company
+    if (req.accessibleCompanyIds !== null &&
+        !req.accessibleCompanyIds.includes(payment.companyId)) {
+      return res.status(403).json({
+        message: 'Access denied. You do not have access to this payment.'
+      });
+    }
+
+    const deleted = await deletePayment(payment.id);
+
+    await logActivity({
+      type: ActivityType.PAYMENT_DELETED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Deleted payment ${payment.reference || payment.id}`,
+      details: {
+        paymentId: payment.id,
+        amount: parseFloat(payment.amount),
+        method: payment.method,
+        reference: payment.reference,
+        allocations: deleted ? deleted.allocations.length : 0
+      },
+      companyId: payment.companyId,
+      companyName: payment.company?.name || null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: 'Payment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting payment:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
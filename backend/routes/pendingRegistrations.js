@@ -143,10 +143,11 @@ router.put('/:id', async (req, res) => {
     
     // Validate intended role if provided
     if (intendedRole) {
-      const { getManageableRoles, ROLE_HIERARCHY } = require('../utils/roleHierarchy');
+      const { getManageableRoles } = require('../utils/roleHierarchy');
+      const { isKnownRole } = require('../utils/roleRegistry');
       const manageableRoles = getManageableRoles(req.user.role);
       
-      if (!ROLE_HIERARCHY[intendedRole]) {
+      if (!isKnownRole(intendedRole)) {
         return res.status(400).json({ message: 'Invalid role specified' });
       }
       
@@ -249,10 +250,11 @@ router.post('/:id/approve', async (req, res) => {
     const role = requestedRole || intendedRole || 'external_user';
     
     // Validate role against manageable roles
-    const { getManageableRoles, ROLE_HIERARCHY } = require('../utils/roleHierarchy');
+    const { getManageableRoles } = require('../utils/roleHierarchy');
+    const { isKnownRole } = require('../utils/roleRegistry');
     const manageableRoles = getManageableRoles(req.user.role);
     
-    if (!ROLE_HIERARCHY[role]) {
+    if (!isKnownRole(role)) {
       return res.status(400).json({ message: 'Invalid role specified' });
     }
     
@@ -3,8 +3,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const sharp = require('sharp');
-const { User, Settings } = require('../models');
+const { User, Settings, WebAuthnCredential, ApiKey } = require('../models');
 const auth = require('../middleware/auth');
+const { listSessions, revokeSession, revokeAllSessions } = require('../utils/authSessions');
+const { getApiKeyScopesForRole } = require('../utils/permissions');
+const { EXPIRY_DAYS_OPTIONS, MAX_ACTIVE_KEYS_PER_USER, generateApiKey, toApiKeyResponse } = require('../utils/apiKeys');
 const router = express.Router();
 
 // Storage configuration
@@ -111,6 +114,9 @@ router.put('/password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out everywhere else; this session carries on
+    await revokeAllSessions(user.id, { except: req.user.sid, reason: 'password changed' });
+    
     // Send password changed email notification
     try {
       const settings = await Settings.getSettings();
@@ -459,6 +465,7 @@ router.post('/reset-2fa', auth, async (req, res) => {
     user.emailTwoFactorCode = null;
     user.emailTwoFactorExpires = null;
     await user.save();
+    await WebAuthnCredential.destroy({ where: { userId: user.id } });
     
     const userObj = user.toSafeObject ? user.toSafeObject() : user.toJSON();
     delete userObj.password;
@@ -474,6 +481,192 @@ router.post('/reset-2fa', auth, async (req, res) => {
   }
 });
 
+// List own active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.userId, req.user.sid);
+    res.json({ sessions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out all other sessions
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId, { except: req.user.sid, reason: 'signed out other sessions' });
+    
+    const user = await User.findByPk(req.user.userId);
+    const { logActivity, ActivityType } = require('../services/activityLogger');
+    await logActivity({
+      type: ActivityType.SESSION_REVOKED,
+      userId: req.user.userId,
+      userEmail: user?.email,
+      userRole: req.user.role,
+      action: `Signed out ${revoked} other session(s)`,
+      details: { revoked, scope: 'others' },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ message: `Signed out ${revoked} other session(s)`, revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out one session
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.userId, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    const user = await User.findByPk(req.user.userId);
+    const { logActivity, ActivityType } = require('../services/activityLogger');
+    await logActivity({
+      type: ActivityType.SESSION_REVOKED,
+      userId: req.user.userId,
+      userEmail: user?.email,
+      userRole: req.user.role,
+      action: req.params.sessionId === req.user.sid ? 'Signed out current session' : 'Signed out a session',
+      details: { sessionId: req.params.sessionId },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List own API keys, with the scopes and expiry periods a new key can have
+router.get('/api-keys', auth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({
+      where: { userId: req.user.userId },
+      order: [['createdAt', 'DESC']]
+    });
+    
+    res.json({
+      apiKeys: apiKeys.map(toApiKeyResponse),
+      availableScopes: getApiKeyScopesForRole(req.user.role),
+      expiryDaysOptions: EXPIRY_DAYS_OPTIONS
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create an API key. The full key is only returned in this response.
+router.post('/api-keys', auth, async (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : [];
+    const expiresInDays = parseInt(req.body.expiresInDays, 10);
+    
+    if (!name) {
+      return res.status(400).json({ message: 'Name is required' });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({ message: 'Name must be 100 characters or fewer' });
+    }
+    
+    const availableScopes = getApiKeyScopesForRole(req.user.role);
+    if (scopes.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one scope' });
+    }
+    const invalidScopes = scopes.filter(scope => !availableScopes.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ message: `You cannot grant these scopes: ${invalidScopes.join(', ')}` });
+    }
+    if (!EXPIRY_DAYS_OPTIONS.includes(expiresInDays)) {
+      return res.status(400).json({ message: `Expiry must be one of ${EXPIRY_DAYS_OPTIONS.join(', ')} days` });
+    }
+    
+    const user = await User.findByPk(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const apiKeys = await ApiKey.findAll({
+      where: { userId: user.id, revokedAt: null },
+      attributes: ['id', 'expiresAt']
+    });
+    const activeKeys = apiKeys.filter(apiKey => new Date(apiKey.expiresAt) > new Date());
+    if (activeKeys.length >= MAX_ACTIVE_KEYS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys. Revoke one you no longer use first.` });
+    }
+    
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      userId: user.id,
+      name,
+      prefix,
+      keyHash,
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+    
+    const { logActivity, ActivityType } = require('../services/activityLogger');
+    await logActivity({
+      type: ActivityType.API_KEY_CREATED,
+      userId: user.id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: `Created API key "${name}" (${prefix})`,
+      details: { apiKeyId: apiKey.id, prefix, scopes, expiresAt: apiKey.expiresAt },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.status(201).json({
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey: toApiKeyResponse(apiKey)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Revoke an API key (kept in the list so past usage can still be traced to it)
+router.delete('/api-keys/:id', auth, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      where: { id: req.params.id, userId: req.user.userId }
+    });
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+    
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    
+    const user = await User.findByPk(req.user.userId);
+    const { logActivity, ActivityType } = require('../services/activityLogger');
+    await logActivity({
+      type: ActivityType.API_KEY_REVOKED,
+      userId: req.user.userId,
+      userEmail: user?.email,
+      userRole: req.user.role,
+      action: `Revoked API key "${apiKey.name}" (${apiKey.prefix})`,
+      details: { apiKeyId: apiKey.id, prefix: apiKey.prefix },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'API key revoked', apiKey: toApiKeyResponse(apiKey) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Delete avatar
 router.delete('/avatar', auth, async (req, res) => {
   try {
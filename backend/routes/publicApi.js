@@ -0,0 +1,361 @@
+/**
+ * Public REST API (v1)
+ *
+ * Read-only access to invoices, credit notes and statements for customers'
+ * own systems, authenticated with a personal API key (see utils/apiKeys.js)
+ * sent as "Authorization: Bearer ipk_..." or "X-API-Key: ipk_...".
+ *
+ * Each endpoint needs the matching permission from utils/permissions.js as a
+ * key scope, results are limited to the companies the key's owner can see
+ * (checkDocumentAccess), and every request made with a key is rate-limited
+ * per key and recorded in the activity log.
+ *
+ * Responses only contain the fields documented here so that internal columns
+ * can change without breaking integrations.
+ */
+
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+const { validate: isUuid } = require('uuid');
+const { Invoice, CreditNote, Statement, Company, Settings, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const auth = require('../middleware/auth');
+const { checkDocumentAccess, buildCompanyFilter } = require('../middleware/documentAccess');
+const { requirePermission } = require('../middleware/permissions');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { getDescendantCompanyIds } = require('../utils/companyHierarchy');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const COMPANY_ATTRIBUTES = ['id', 'name', 'referenceNo'];
+
+// Document statuses that can be filtered on, as shown in the portal
+const DOCUMENT_STATUSES = ['ready', 'review', 'viewed', 'downloaded', 'queried'];
+
+const DOCUMENT_TYPES = {
+  invoices: {
+    model: Invoice,
+    label: 'invoice',
+    numberField: 'invoiceNumber',
+    dateField: 'issueDate',
+    viewScope: 'INVOICES_VIEW',
+    downloadScope: 'INVOICES_DOWNLOAD',
+    downloadActivity: ActivityType.INVOICE_DOWNLOADED,
+    attributes: ['id', 'invoiceNumber', 'companyId', 'issueDate', 'dueDate', 'amount', 'taxAmount',
+      'amountPaid', 'paidAt', 'status', 'documentStatus', 'viewedAt', 'downloadedAt', 'createdAt', 'updatedAt'],
+    fileAttributes: ['fileUrl'],
+    formats: { pdf: (doc) => doc.fileUrl }
+  },
+  'credit-notes': {
+    model: CreditNote,
+    label: 'credit note',
+    numberField: 'creditNoteNumber',
+    dateField: 'issueDate',
+    viewScope: 'CREDIT_NOTES_VIEW',
+    downloadScope: 'CREDIT_NOTES_DOWNLOAD',
+    downloadActivity: ActivityType.CREDIT_NOTE_DOWNLOADED,
+    attributes: ['id', 'creditNoteNumber', 'companyId', 'invoiceId', 'issueDate', 'amount', 'taxAmount',
+      'amountApplied', 'status', 'reason', 'documentStatus', 'viewedAt', 'downloadedAt', 'createdAt', 'updatedAt'],
+    fileAttributes: ['fileUrl'],
+    formats: { pdf: (doc) => doc.fileUrl }
+  },
+  statements: {
+    model: Statement,
+    label: 'statement',
+    numberField: 'statementNumber',
+    dateField: 'periodEnd',
+    viewScope: 'STATEMENTS_VIEW',
+    downloadScope: 'STATEMENTS_DOWNLOAD',
+    downloadActivity: ActivityType.STATEMENT_DOWNLOADED,
+    attributes: ['id', 'statementNumber', 'companyId', 'periodStart', 'periodEnd', 'openingBalance',
+      'closingBalance', 'totalDebits', 'totalCredits', 'status', 'documentStatus', 'viewedAt', 'downloadedAt',
+      'createdAt', 'updatedAt'],
+    fileAttributes: ['fileUrl', 'pdfFileUrl', 'xlsFileUrl'],
+    // Same fallbacks as the statement download in routes/statements.js
+    formats: {
+      pdf: (doc) => doc.pdfFileUrl || (/\.pdf$/i.test(doc.fileUrl || '') ? doc.fileUrl : null),
+      xls: (doc) => doc.xlsFileUrl || (/\.xlsx?$/i.test(doc.fileUrl || '') ? doc.fileUrl : null)
+    }
+  }
+};
+
+// Public fields of a document, plus which file formats it has (never the file paths)
+const toDocumentResponse = (type, doc) => {
+  const data = {};
+  for (const attribute of type.attributes) {
+    data[attribute] = doc[attribute];
+  }
+  data.company = doc.company ? {
+    id: doc.company.id,
+    name: doc.company.name,
+    referenceNo: doc.company.referenceNo
+  } : null;
+  data.formats = Object.keys(type.formats).filter(format => type.formats[format](doc));
+  return data;
+};
+
+/**
+ * Record each API key request in the activity log once the response is sent.
+ * Downloads are logged by their handler instead, as the usual download activity.
+ */
+const logApiUsage = (req, res, next) => {
+  if (!req.user?.apiKeyId) {
+    return next();
+  }
+
+  res.on('finish', async () => {
+    if (res.locals.activityLogged) return;
+    try {
+      await logActivity({
+        type: ActivityType.API_REQUEST,
+        userId: req.user.userId,
+        userEmail: req.user.email,
+        userRole: req.user.role,
+        action: `API ${req.method} ${req.baseUrl}${req.path} (${res.statusCode})`,
+        details: {
+          apiKeyId: req.user.apiKeyId,
+          apiKeyPrefix: req.user.apiKeyPrefix,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          query: req.query,
+          statusCode: res.statusCode
+        },
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      console.error('Error logging API request:', error);
+    }
+  });
+
+  next();
+};
+
+router.use(auth);
+router.use(rateLimiters.apiKey);
+router.use(logApiUsage);
+router.use(checkDocumentAccess);
+
+/**
+ * Build the where clause for a list request. Returns null (after sending a
+ * response) when the query is invalid.
+ */
+const buildListWhere = async (type, req, res) => {
+  const { companyId, status, from, to, updatedSince } = req.query;
+  const where = buildCompanyFilter(req.accessibleCompanyIds);
+
+  if (companyId) {
+    if (!isUuid(companyId)) {
+      res.status(400).json({ message: 'companyId must be a company ID' });
+      return null;
+    }
+    if (req.accessibleCompanyIds !== null && !req.accessibleCompanyIds.includes(companyId)) {
+      res.status(403).json({ message: 'Access denied. You do not have access to this company.' });
+      return null;
+    }
+    // Include branches, but never ones outside what the key's owner can see
+    const ids = [companyId, ...await getDescendantCompanyIds(companyId, false)];
+    where.companyId = {
+      [Op.in]: req.accessibleCompanyIds === null
+        ? ids
+        : ids.filter(id => req.accessibleCompanyIds.includes(id))
+    };
+  }
+
+  if (status) {
+    const statuses = type.model.rawAttributes.status.values || [];
+    if (DOCUMENT_STATUSES.includes(status)) {
+      where.documentStatus = status;
+    } else if (statuses.includes(status)) {
+      where.status = status;
+    } else {
+      res.status(400).json({ message: `status must be one of: ${[...new Set([...DOCUMENT_STATUSES, ...statuses])].join(', ')}` });
+      return null;
+    }
+  }
+
+  const dates = { from, to, updatedSince };
+  for (const [name, value] of Object.entries(dates)) {
+    if (value && isNaN(new Date(value).getTime())) {
+      res.status(400).json({ message: `${name} must be a date (YYYY-MM-DD or ISO 8601)` });
+      return null;
+    }
+  }
+  if (from || to) {
+    where[type.dateField] = {};
+    if (from) where[type.dateField][Op.gte] = new Date(from);
+    if (to) where[type.dateField][Op.lte] = new Date(to);
+  }
+  if (updatedSince) {
+    where.updatedAt = { [Op.gt]: new Date(updatedSince) };
+  }
+
+  return where;
+};
+
+/**
+ * Find one document the requester can see. Returns null (after sending a
+ * response) when it doesn't exist or belongs to another company.
+ */
+const findDocument = async (type, req, res) => {
+  const notFound = () => res.status(404).json({ message: `${type.label.charAt(0).toUpperCase()}${type.label.slice(1)} not found` });
+  if (!isUuid(req.params.id)) {
+    notFound();
+    return null;
+  }
+
+  const doc = await type.model.findByPk(req.params.id, {
+    include: [{ model: Company, as: 'company', attributes: COMPANY_ATTRIBUTES }]
+  });
+  // Documents of other companies are reported as missing rather than forbidden
+  if (!doc || (req.accessibleCompanyIds !== null && !req.accessibleCompanyIds.includes(doc.companyId))) {
+    notFound();
+    return null;
+  }
+  return doc;
+};
+
+// Who is calling, with which scopes, and which companies they can see
+router.get('/me', async (req, res) => {
+  res.json({
+    user: {
+      id: req.user.userId,
+      email: req.user.email,
+      name: req.user.name,
+      role: req.user.role
+    },
+    apiKey: req.user.apiKeyId ? {
+      id: req.user.apiKeyId,
+      prefix: req.user.apiKeyPrefix,
+      scopes: req.user.scopes
+    } : null,
+    allCompanies: req.accessibleCompanyIds === null,
+    companyIds: req.accessibleCompanyIds || []
+  });
+});
+
+for (const [resource, type] of Object.entries(DOCUMENT_TYPES)) {
+  // List, newest first. Filters: companyId (includes its branches), status,
+  // from/to (issue date, or period end for statements), updatedSince
+  router.get(`/${resource}`, requirePermission(type.viewScope), async (req, res) => {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+
+      const where = await buildListWhere(type, req, res);
+      if (!where) return;
+
+      const { count, rows } = await type.model.findAndCountAll({
+        where,
+        attributes: [...type.attributes, ...type.fileAttributes],
+        include: [{ model: Company, as: 'company', attributes: COMPANY_ATTRIBUTES, required: false }],
+        order: [[type.dateField, 'DESC'], ['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      res.json({
+        data: rows.map(doc => toDocumentResponse(type, doc)),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      });
+    } catch (error) {
+      console.error(`Error listing ${resource} via API:`, error);
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  router.get(`/${resource}/:id`, requirePermission(type.viewScope), async (req, res) => {
+    try {
+      const doc = await findDocument(type, req, res);
+      if (!doc) return;
+      res.json(toDocumentResponse(type, doc));
+    } catch (error) {
+      console.error(`Error fetching ${type.label} via API:`, error);
+      res.status(500).json({ message: error.message });
+    }
+  });
+
+  // The document file. ?format=pdf (default), or xls for statements
+  router.get(`/${resource}/:id/file`, requirePermission(type.downloadScope), async (req, res) => {
+    try {
+      const format = (req.query.format || 'pdf').toString().toLowerCase();
+      if (!type.formats[format]) {
+        return res.status(400).json({ message: `Format must be ${Object.keys(type.formats).join(' or ')}` });
+      }
+
+      const doc = await findDocument(type, req, res);
+      if (!doc) return;
+
+      const stored = type.formats[format](doc);
+      if (!stored) {
+        return res.status(404).json({ message: `No ${format.toUpperCase()} file available for this ${type.label}` });
+      }
+      const filePath = path.isAbsolute(stored) ? stored : path.join(__dirname, '..', stored);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ message: 'Document file not found on server' });
+      }
+
+      // Same status rules as downloads in the portal
+      const settings = await Settings.getSettings();
+      const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+      const wasFirstDownload = !doc.downloadedAt;
+      if (canUpdateStatus) {
+        const now = new Date();
+        if (!doc.downloadedAt) doc.downloadedAt = now;
+        if (!doc.viewedAt) doc.viewedAt = now;
+        doc.documentStatus = 'downloaded';
+
+        const metadata = doc.metadata || {};
+        if (!metadata.downloadedBy) {
+          metadata.downloadedBy = req.user.userId;
+          metadata.downloadedByEmail = req.user.email;
+          metadata.downloadedByName = req.user.name || req.user.email;
+        }
+        doc.metadata = metadata;
+        await doc.save();
+      }
+
+      res.locals.activityLogged = true;
+      await logActivity({
+        type: type.downloadActivity,
+        userId: req.user.userId,
+        userEmail: req.user.email,
+        userRole: req.user.role,
+        action: `Downloaded ${type.label} ${doc[type.numberField] || doc.id} (${format}) via API${wasFirstDownload ? '' : ' (subsequent download)'}`,
+        details: {
+          documentId: doc.id,
+          documentNumber: doc[type.numberField],
+          format,
+          isFirstDownload: wasFirstDownload,
+          apiKeyId: req.user.apiKeyId || null,
+          apiKeyPrefix: req.user.apiKeyPrefix || null
+        },
+        companyId: doc.companyId,
+        companyName: doc.company?.name || null,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+
+      res.download(filePath, path.basename(filePath), (err) => {
+        if (err && !res.headersSent) {
+          console.error(`Error sending ${type.label} file via API:`, err);
+          res.status(500).json({ message: 'Error downloading file' });
+        }
+      });
+    } catch (error) {
+      console.error(`Error downloading ${type.label} via API:`, error);
+      res.status(500).json({ message: error.message });
+    }
+  });
+}
+
+module.exports = router;
@@ -3,12 +3,265 @@ const { Report, Sequelize } = require('../models');
 const { Op } = Sequelize;
 const auth = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
+const { checkDocumentAccess } = require('../middleware/documentAccess');
+const { buildAgingReport, buildAgingWorkbook, getAgingStatementDates } = require('../utils/agingReport');
+const { buildUnlinkedCreditNotesReport, buildUnlinkedCreditNotesWorkbook } = require('../utils/creditNoteLinking');
+const { getReportSources, normalizeDefinition, runReport, exportReport, EXPORT_FORMATS } = require('../utils/reportBuilder');
+const { normalizeSchedule, computeNextRunAt, describeSchedule, getEligibleRecipients, deliverReport } = require('../utils/reportDelivery');
 const router = express.Router();
 
-// All routes require GA only
 router.use(auth);
+
+// Aged debt report - staff (credit control), scoped to the user's accessible companies
+// Registered before the GA-only gate below
+router.get('/aging/dates', requirePermission('REPORTS_AGING_VIEW'), async (req, res) => {
+  try {
+    const dates = await getAgingStatementDates();
+    res.json({ dates });
+  } catch (error) {
+    console.error('Error fetching aging statement dates:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+router.get('/aging', requirePermission('REPORTS_AGING_VIEW'), checkDocumentAccess, async (req, res) => {
+  try {
+    const { statementDate, companyId, format } = req.query;
+
+    if (statementDate && !/^\d{4}-\d{2}-\d{2}$/.test(statementDate)) {
+      return res.status(400).json({ message: 'statementDate must be in YYYY-MM-DD format' });
+    }
+    if (companyId && req.accessibleCompanyIds !== null && !req.accessibleCompanyIds.includes(companyId)) {
+      return res.status(403).json({ message: 'Access denied. You do not have access to this company.' });
+    }
+
+    const report = await buildAgingReport({
+      statementDate: statementDate || null,
+      companyId: companyId || null,
+      accessibleCompanyIds: req.accessibleCompanyIds
+    });
+
+    if (format === 'xlsx') {
+      const buffer = buildAgingWorkbook(report);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="aged-debt-${report.statementDate || 'empty'}.xlsx"`);
+      return res.send(buffer);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error building aging report:', error);
+    res.status(error.message === 'Company not found' ? 404 : 500).json({ message: error.message });
+  }
+});
+
+// Credit notes with no matching invoice - staff, same scope as the aged debt report
+router.get('/unlinked-credit-notes', requirePermission('REPORTS_AGING_VIEW'), checkDocumentAccess, async (req, res) => {
+  try {
+    const { companyId, search, from, to, format } = req.query;
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return res.status(400).json({ message: `${name} must be in YYYY-MM-DD format` });
+      }
+    }
+    if (companyId && req.accessibleCompanyIds !== null && !req.accessibleCompanyIds.includes(companyId)) {
+      return res.status(403).json({ message: 'Access denied. You do not have access to this company.' });
+    }
+
+    const report = await buildUnlinkedCreditNotesReport({
+      companyId: companyId || null,
+      search: search || '',
+      from: from || null,
+      to: to || null,
+      accessibleCompanyIds: req.accessibleCompanyIds,
+      page: Math.max(1, parseInt(req.query.page) || 1),
+      limit: format === 'xlsx' ? null : Math.min(200, Math.max(1, parseInt(req.query.limit) || 50))
+    });
+
+    if (format === 'xlsx') {
+      const buffer = buildUnlinkedCreditNotesWorkbook(report);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="unlinked-credit-notes-${new Date().toISOString().slice(0, 10)}.xlsx"`);
+      return res.send(buffer);
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error building unlinked credit notes report:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// All remaining routes require GA only
 router.use(requirePermission('REPORTS_VIEW'));
 
+/**
+ * Validate the builder definition inside a report body (if any) and store
+ * the normalised version, so saved reports always run as they were previewed.
+ * Schedule fields are only changed through PUT /:id/schedule.
+ */
+const prepareReportData = (body) => {
+  const { schedule, nextRunAt, lastRunAt, lastRunStatus, lastRunError, ...fields } = body;
+  if (!fields.data || !fields.data.definition) return fields;
+  return {
+    ...fields,
+    data: { ...fields.data, definition: normalizeDefinition(fields.data.definition) }
+  };
+};
+
+const canManageReport = (report, user) =>
+  report.createdById === user.userId || user.role === 'global_admin' || user.role === 'administrator';
+
+const sendExport = (res, result, format, title) => {
+  const file = exportReport(result, format, { title });
+  const safeTitle = (title || 'report').replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'report';
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${safeTitle}-${date}.${file.extension}"`);
+  return res.send(file.buffer);
+};
+
+// Sources, fields and options available to the report builder
+router.get('/sources', (req, res) => {
+  res.json({ sources: getReportSources(), exportFormats: EXPORT_FORMATS });
+});
+
+// Staff users who can be chosen as scheduled delivery recipients
+router.get('/recipients', async (req, res) => {
+  try {
+    const users = await getEligibleRecipients();
+    res.json(users.map(user => ({ id: user.id, name: user.name, email: user.email, role: user.role })));
+  } catch (error) {
+    console.error('Error fetching report recipients:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Run an unsaved definition (builder preview). Pass format to download instead.
+router.post('/run', checkDocumentAccess, async (req, res) => {
+  try {
+    const { definition, format, title } = req.body;
+    if (format && !EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const result = await runReport(definition, { accessibleCompanyIds: req.accessibleCompanyIds });
+
+    if (format) {
+      return sendExport(res, result, format, title);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error running report:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Run a saved report definition
+router.post('/:id/run', checkDocumentAccess, async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!report.data || !report.data.definition) {
+      return res.status(400).json({ message: 'This report has no builder definition to run' });
+    }
+
+    const result = await runReport(report.data.definition, { accessibleCompanyIds: req.accessibleCompanyIds });
+    res.json({ report: { id: report.id, title: report.title }, ...result });
+  } catch (error) {
+    console.error('Error running saved report:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Set or clear a saved report's email delivery schedule (send null to remove it)
+router.put('/:id/schedule', async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!canManageReport(report, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    if (!req.body.schedule) {
+      await report.update({ schedule: null, nextRunAt: null });
+      return res.json(report);
+    }
+
+    if (!report.data || !report.data.definition) {
+      return res.status(400).json({ message: 'Save a report definition before scheduling it' });
+    }
+
+    const schedule = normalizeSchedule(req.body.schedule);
+    await report.update({ schedule, nextRunAt: computeNextRunAt(schedule) });
+    console.log(`📅 Report "${report.title}" scheduled: ${schedule.enabled ? describeSchedule(schedule) : 'paused'}`);
+    res.json(report);
+  } catch (error) {
+    console.error('Error saving report schedule:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Email a scheduled report to its recipients now, without changing the next run
+router.post('/:id/deliver', async (req, res) => {
+  try {
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!canManageReport(report, req.user)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    if (!report.schedule) {
+      return res.status(400).json({ message: 'This report has no delivery schedule' });
+    }
+
+    const result = await deliverReport(report, {
+      trigger: 'manual',
+      triggeredBy: {
+        userId: req.user.userId,
+        email: req.user.email,
+        role: req.user.role,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      }
+    });
+    res.json({ ...result, report });
+  } catch (error) {
+    console.error('Error delivering report:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
+// Export a saved report as csv, xlsx or pdf
+router.get('/:id/export', checkDocumentAccess, async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const report = await Report.findByPk(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    if (!report.data || !report.data.definition) {
+      return res.status(400).json({ message: 'This report has no builder definition to export' });
+    }
+
+    const result = await runReport(report.data.definition, { accessibleCompanyIds: req.accessibleCompanyIds });
+    return sendExport(res, result, format, report.title);
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    res.status(error.status || 500).json({ message: error.message });
+  }
+});
+
 // Get all reports
 router.get('/', async (req, res) => {
   try {
@@ -53,7 +306,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const report = await Report.create({
-      ...req.body,
+      ...prepareReportData(req.body),
       createdById: req.user.userId
     });
     res.status(201).json(report);
@@ -72,11 +325,11 @@ router.put('/:id', async (req, res) => {
     }
 
     // Check if user is the creator or admin
-    if (report.createdById !== req.user.userId && req.user.role !== 'global_admin' && req.user.role !== 'administrator') {
+    if (!canManageReport(report, req.user)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
-    await report.update(req.body);
+    await report.update(prepareReportData(req.body));
     res.json(report);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -93,7 +346,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Check if user is the creator or admin
-    if (report.createdById !== req.user.userId && req.user.role !== 'global_admin' && req.user.role !== 'administrator') {
+    if (!canManageReport(report, req.user)) {
       return res.status(403).json({ message: 'Not authorized' });
     }
 
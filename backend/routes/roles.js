@@ -0,0 +1,289 @@
+/**
+ * Role Routes
+ * Roles and their permission sets (Settings > Roles & Permissions).
+ * Every signed-in user can read the roles - the frontend PermissionContext
+ * uses them to decide what to show; changing them needs ROLES_MANAGE.
+ */
+
+const express = require('express');
+const { Role, User, Sequelize } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const { PERMISSIONS, PERMISSION_GROUPS, hasPermission, getPermissionsForRole } = require('../utils/permissions');
+const { canManageRole, getRoleLevel } = require('../utils/roleHierarchy');
+const { SUPER_ROLE, getRoles, getRole, getDefaultRoles, invalidateRolesCache } = require('../utils/roleRegistry');
+const router = express.Router();
+
+router.use(auth);
+
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+// Custom roles rank alongside a built-in role, below Global Administrator
+const MIN_LEVEL = 1;
+const MAX_CUSTOM_LEVEL = 6;
+
+const toRoleResponse = (role) => ({
+  key: role.key,
+  name: role.name,
+  description: role.description,
+  level: role.level,
+  isStaff: role.isStaff,
+  hasPortalAccess: role.hasPortalAccess,
+  isSystem: role.isSystem,
+  permissions: [...role.permissions]
+});
+
+/**
+ * Validate a permission list and turn it into the stored map
+ * @param {string[]} permissions - Granted permission names
+ * @param {Object} req - Request (the editor can't grant what they don't have)
+ * @param {string[]} [alreadyGranted] - Grants the role has now, which may stay
+ * @returns {{map?: Object, error?: string}}
+ */
+function buildPermissionMap(permissions, req, alreadyGranted = []) {
+  if (!Array.isArray(permissions)) {
+    return { error: 'permissions must be an array of permission names' };
+  }
+  const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+  if (unknown.length > 0) {
+    return { error: `Unknown permission(s): ${unknown.join(', ')}` };
+  }
+  const notHeld = permissions.filter(permission =>
+    !alreadyGranted.includes(permission) && !hasPermission(req.user.role, permission)
+  );
+  if (notHeld.length > 0) {
+    return { error: `You can only grant permissions you have yourself: ${notHeld.join(', ')}` };
+  }
+  return {
+    map: Object.fromEntries(Object.keys(PERMISSIONS).map(permission => [permission, permissions.includes(permission)]))
+  };
+}
+
+/**
+ * Validate the custom-role-only settings (level and access flags)
+ * @returns {{values?: Object, error?: string}}
+ */
+function parseRoleSettings(body, req) {
+  const values = {};
+  if (body.level !== undefined) {
+    const level = parseInt(body.level, 10);
+    if (!Number.isInteger(level) || level < MIN_LEVEL || level > MAX_CUSTOM_LEVEL) {
+      return { error: `level must be between ${MIN_LEVEL} and ${MAX_CUSTOM_LEVEL}` };
+    }
+    if (req.user.role !== SUPER_ROLE && level >= getRoleLevel(req.user.role)) {
+      return { error: 'You can only create roles that rank below your own' };
+    }
+    values.level = level;
+  }
+  if (body.isStaff !== undefined) values.isStaff = body.isStaff === true;
+  if (body.hasPortalAccess !== undefined) values.hasPortalAccess = body.hasPortalAccess === true;
+  return { values };
+}
+
+async function logRoleActivity(req, type, action, role, extraDetails = {}) {
+  const user = await User.findByPk(req.user.userId, { attributes: ['email'] });
+  await logActivity({
+    type,
+    userId: req.user.userId,
+    userEmail: user?.email,
+    userRole: req.user.role,
+    action,
+    details: {
+      roleKey: role.key,
+      roleName: role.name,
+      ...extraDetails
+    },
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent')
+  });
+}
+
+// List roles with their effective permissions
+router.get('/', async (req, res) => {
+  try {
+    const roles = getRoles().map(toRoleResponse);
+    const response = { roles };
+
+    // Role editor extras
+    if (hasPermission(req.user.role, 'ROLES_MANAGE')) {
+      const counts = await User.findAll({
+        attributes: ['role', [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']],
+        group: ['role'],
+        raw: true
+      });
+      const userCounts = Object.fromEntries(counts.map(row => [row.role, parseInt(row.count, 10)]));
+      response.roles = roles.map(role => ({
+        ...role,
+        userCount: userCounts[role.key] || 0,
+        editable: role.key !== SUPER_ROLE && canManageRole(req.user.role, role.key) &&
+          (req.user.role === SUPER_ROLE || role.level < getRoleLevel(req.user.role))
+      }));
+      response.permissionGroups = PERMISSION_GROUPS;
+      response.grantablePermissions = getPermissionsForRole(req.user.role);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Error fetching roles' });
+  }
+});
+
+// Create custom role
+router.post('/', requirePermission('ROLES_MANAGE'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return res.status(400).json({ message: 'Name is required (max 100 characters)' });
+    }
+
+    const key = (req.body.key || name).toString().trim().toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!ROLE_KEY_PATTERN.test(key)) {
+      return res.status(400).json({ message: 'Key must start with a letter and use only lowercase letters, numbers and underscores' });
+    }
+    if (getRole(key) || await Role.findOne({ where: { key } })) {
+      return res.status(409).json({ message: `A role with the key "${key}" already exists` });
+    }
+
+    if (req.body.level === undefined) {
+      return res.status(400).json({ message: 'level is required' });
+    }
+    const settings = parseRoleSettings(req.body, req);
+    if (settings.error) {
+      return res.status(400).json({ message: settings.error });
+    }
+    const permissions = buildPermissionMap(req.body.permissions || [], req);
+    if (permissions.error) {
+      return res.status(400).json({ message: permissions.error });
+    }
+
+    const role = await Role.create({
+      key,
+      name,
+      description: req.body.description?.toString().trim().substring(0, 255) || null,
+      isStaff: false,
+      hasPortalAccess: true,
+      ...settings.values,
+      isSystem: false,
+      permissions: permissions.map
+    });
+    await invalidateRolesCache();
+
+    await logRoleActivity(req, ActivityType.ROLE_CREATED, `Created role: ${role.name}`, role, {
+      permissions: req.body.permissions || []
+    });
+
+    res.status(201).json({ role: toRoleResponse(getRole(role.key)) });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Error creating role' });
+  }
+});
+
+// Update role (built-in roles: name, description and permissions only)
+router.put('/:key', requirePermission('ROLES_MANAGE'), async (req, res) => {
+  try {
+    const current = getRole(req.params.key);
+    if (!current) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (current.key === SUPER_ROLE) {
+      return res.status(400).json({ message: 'The Global Administrator role always has every permission and cannot be changed' });
+    }
+    if (req.user.role !== SUPER_ROLE && current.level >= getRoleLevel(req.user.role)) {
+      return res.status(403).json({ message: 'You can only change roles that rank below your own' });
+    }
+
+    let role = await Role.findOne({ where: { key: current.key } });
+    if (!role && current.isSystem) {
+      // Roles table not seeded for this built-in role yet - start from the defaults
+      const defaults = getDefaultRoles().find(r => r.key === current.key);
+      role = Role.build(defaults);
+    }
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const values = {};
+    if (req.body.name !== undefined) {
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name || name.length > 100) {
+        return res.status(400).json({ message: 'Name is required (max 100 characters)' });
+      }
+      values.name = name;
+    }
+    if (req.body.description !== undefined) {
+      values.description = req.body.description?.toString().trim().substring(0, 255) || null;
+    }
+    if (!current.isSystem) {
+      const settings = parseRoleSettings(req.body, req);
+      if (settings.error) {
+        return res.status(400).json({ message: settings.error });
+      }
+      Object.assign(values, settings.values);
+    }
+    let added = [];
+    let removed = [];
+    if (req.body.permissions !== undefined) {
+      const currentPermissions = [...current.permissions];
+      const permissions = buildPermissionMap(req.body.permissions, req, currentPermissions);
+      if (permissions.error) {
+        return res.status(400).json({ message: permissions.error });
+      }
+      values.permissions = permissions.map;
+      added = req.body.permissions.filter(permission => !currentPermissions.includes(permission));
+      removed = currentPermissions.filter(permission => !req.body.permissions.includes(permission));
+    }
+
+    role.set(values);
+    await role.save();
+    await invalidateRolesCache();
+
+    await logRoleActivity(req, ActivityType.ROLE_UPDATED, `Updated role: ${role.name}`, role, {
+      changes: Object.keys(values),
+      permissionsAdded: added,
+      permissionsRemoved: removed
+    });
+
+    res.json({ role: toRoleResponse(getRole(role.key)) });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Error updating role' });
+  }
+});
+
+// Delete custom role (only when no users have it)
+router.delete('/:key', requirePermission('ROLES_MANAGE'), async (req, res) => {
+  try {
+    const role = await Role.findOne({ where: { key: req.params.key } });
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+    }
+    if (req.user.role !== SUPER_ROLE && role.level >= getRoleLevel(req.user.role)) {
+      return res.status(403).json({ message: 'You can only delete roles that rank below your own' });
+    }
+
+    const userCount = await User.count({ where: { role: role.key } });
+    if (userCount > 0) {
+      return res.status(409).json({
+        message: `${userCount} user(s) still have this role. Give them another role first.`
+      });
+    }
+
+    await role.destroy();
+    await invalidateRolesCache();
+
+    await logRoleActivity(req, ActivityType.ROLE_DELETED, `Deleted role: ${role.name}`, role);
+
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Error deleting role' });
+  }
+});
+
+module.exports = router;
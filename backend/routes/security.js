@@ -0,0 +1,208 @@
+/**
+ * Security Routes
+ * The security dashboard (failed sign-in tracking, blocked and challenged
+ * sign-ins, lockouts) and the login policies it edits: per-role and
+ * per-company IP allowlists and step-up verification (see
+ * services/loginPolicy.js). Global admins only via SECURITY_MANAGE.
+ */
+
+const express = require('express');
+const { Op } = require('sequelize');
+const { Settings, User, Company } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType, getActivityLogs } = require('../services/activityLogger');
+const { getFailedLoginTracking, clearFailedLoginTracking } = require('../services/securityMonitor');
+const { getLoginPolicy, checkIpAllowed } = require('../services/loginPolicy');
+const { normalizeIp, normalizeIpRanges } = require('../utils/ipRanges');
+const { isKnownRole } = require('../utils/roleRegistry');
+const router = express.Router();
+
+router.use(auth);
+router.use(requirePermission('SECURITY_MANAGE'));
+
+// Activity shown in the dashboard's recent events
+const SECURITY_EVENT_TYPES = [
+  ActivityType.LOGIN_BLOCKED_IP,
+  ActivityType.STEP_UP_REQUIRED,
+  ActivityType.BRUTE_FORCE_DETECTED,
+  ActivityType.ACCOUNT_LOCKED,
+  ActivityType.SECURITY_POLICY_UPDATED
+];
+
+// Dashboard: what is being tracked now, recent security events, the policy
+router.get('/dashboard', async (req, res) => {
+  try {
+    const [tracking, lockedAccounts, settings] = await Promise.all([
+      getFailedLoginTracking({ limit: 50 }),
+      User.count({ where: { accountLockedUntil: { [Op.gt]: new Date() } } }),
+      Settings.getSettings()
+    ]);
+
+    const eventLists = await Promise.all(
+      SECURITY_EVENT_TYPES.map(type => getActivityLogs({ type, limit: 50 }))
+    );
+    const events = eventLists
+      .flatMap(result => result.logs)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 50);
+
+    const countSince = (type, since) => events.filter(event =>
+      event.type === type && new Date(event.timestamp) >= since
+    ).length;
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    res.json({
+      summary: {
+        trackedIps: tracking.totalIps,
+        trackedAccounts: tracking.totalAccounts,
+        lockedAccounts,
+        blockedLast24h: countSince(ActivityType.LOGIN_BLOCKED_IP, dayAgo),
+        stepUpsLast24h: countSince(ActivityType.STEP_UP_REQUIRED, dayAgo),
+        bruteForceLast24h: countSince(ActivityType.BRUTE_FORCE_DETECTED, dayAgo)
+      },
+      tracking,
+      events,
+      policy: getLoginPolicy(settings),
+      currentIp: normalizeIp(req.ip || req.connection.remoteAddress)
+    });
+  } catch (error) {
+    console.error('Error loading security dashboard:', error);
+    res.status(500).json({ message: 'Error loading security dashboard' });
+  }
+});
+
+// Stop tracking failed sign-ins from an IP or on an account (e.g. after
+// confirming they were a user mistyping)
+router.delete('/tracking', async (req, res) => {
+  try {
+    const { ipAddress, email } = req.body;
+    if (!ipAddress && !email) {
+      return res.status(400).json({ message: 'ipAddress or email is required' });
+    }
+
+    await clearFailedLoginTracking({ ipAddress, email });
+    res.json({ message: 'Tracking cleared' });
+  } catch (error) {
+    console.error('Error clearing security tracking:', error);
+    res.status(500).json({ message: 'Error clearing tracking' });
+  }
+});
+
+// Current login policy, with the names of companies that have allowlists
+router.get('/policy', async (req, res) => {
+  try {
+    const settings = await Settings.getSettings();
+    const policy = getLoginPolicy(settings);
+
+    const companyIds = Object.keys(policy.companyAllowlists);
+    const companies = companyIds.length > 0
+      ? await Company.findAll({ where: { id: companyIds }, attributes: ['id', 'name', 'referenceNo'] })
+      : [];
+
+    res.json({
+      policy,
+      companies,
+      currentIp: normalizeIp(req.ip || req.connection.remoteAddress)
+    });
+  } catch (error) {
+    console.error('Error loading login policy:', error);
+    res.status(500).json({ message: 'Error loading login policy' });
+  }
+});
+
+// Update the login policy
+router.put('/policy', async (req, res) => {
+  try {
+    const { roleAllowlists = {}, companyAllowlists = {}, stepUp = {} } = req.body;
+    const invalid = [];
+
+    const cleanRoleAllowlists = {};
+    for (const [role, values] of Object.entries(roleAllowlists || {})) {
+      if (!isKnownRole(role)) {
+        return res.status(400).json({ message: `Unknown role: ${role}` });
+      }
+      const { ranges, invalid: rejected } = normalizeIpRanges(values);
+      invalid.push(...rejected);
+      if (ranges.length > 0) cleanRoleAllowlists[role] = ranges;
+    }
+
+    const cleanCompanyAllowlists = {};
+    const companyIds = Object.keys(companyAllowlists || {});
+    if (companyIds.length > 0) {
+      const found = await Company.count({ where: { id: companyIds } });
+      if (found !== companyIds.length) {
+        return res.status(400).json({ message: 'One or more companies were not found' });
+      }
+    }
+    for (const [companyId, values] of Object.entries(companyAllowlists || {})) {
+      const { ranges, invalid: rejected } = normalizeIpRanges(values);
+      invalid.push(...rejected);
+      if (ranges.length > 0) cleanCompanyAllowlists[companyId] = ranges;
+    }
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        message: `Not a valid IP address or CIDR range: ${invalid.join(', ')}`,
+        invalid
+      });
+    }
+
+    const stepUpRoles = Array.isArray(stepUp.roles) ? stepUp.roles : [];
+    const unknownRole = stepUpRoles.find(role => !isKnownRole(role));
+    if (unknownRole) {
+      return res.status(400).json({ message: `Unknown role: ${unknownRole}` });
+    }
+
+    const policy = {
+      roleAllowlists: cleanRoleAllowlists,
+      companyAllowlists: cleanCompanyAllowlists,
+      stepUp: {
+        enabled: Boolean(stepUp.enabled),
+        newIp: stepUp.newIp !== false,
+        newDevice: stepUp.newDevice !== false,
+        roles: stepUpRoles
+      }
+    };
+
+    // Don't let an admin lock themselves out
+    const admin = await User.findByPk(req.user.userId);
+    const currentIp = normalizeIp(req.ip || req.connection.remoteAddress);
+    const selfCheck = await checkIpAllowed(admin, currentIp, { loginPolicy: policy });
+    if (!selfCheck.allowed) {
+      return res.status(400).json({
+        message: `Your current IP (${currentIp}) is not in the allowlist for your own role, so you would be locked out. Add it first.`
+      });
+    }
+
+    const settings = await Settings.getSettingsForUpdate();
+    const previous = getLoginPolicy(settings);
+    settings.loginPolicy = policy;
+    await settings.save();
+    await Settings.invalidateCache();
+
+    await logActivity({
+      type: ActivityType.SECURITY_POLICY_UPDATED,
+      userId: admin.id,
+      userEmail: admin.email,
+      userRole: admin.role,
+      action: 'Updated login policy',
+      details: {
+        roleAllowlists: Object.keys(policy.roleAllowlists),
+        companyAllowlists: Object.keys(policy.companyAllowlists),
+        previousRoleAllowlists: Object.keys(previous.roleAllowlists),
+        previousCompanyAllowlists: Object.keys(previous.companyAllowlists),
+        stepUp: policy.stepUp
+      },
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json({ message: 'Login policy saved', policy });
+  } catch (error) {
+    console.error('Error saving login policy:', error);
+    res.status(500).json({ message: 'Error saving login policy' });
+  }
+});
+
+module.exports = router;
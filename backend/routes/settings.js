@@ -113,6 +113,11 @@ router.get('/', async (req, res) => {
       }
     }
     
+    // Mask the single sign-on client secret
+    if (settingsObj.sso?.oidc?.clientSecret) {
+      settingsObj.sso.oidc.clientSecret = '***';
+    }
+    
     // Ensure mandatoryFields exists (for backward compatibility with existing databases)
     if (!settingsObj.mandatoryFields) {
       settingsObj.mandatoryFields = {
@@ -173,6 +178,16 @@ router.get('/', async (req, res) => {
       ];
     }
     
+    // Ensure eInvoicing exists (for backward compatibility with existing databases)
+    if (!settingsObj.eInvoicing) {
+      settingsObj.eInvoicing = { countryCode: 'GB', currency: 'GBP' };
+    }
+    
+    // Ensure sso exists (for backward compatibility with existing databases)
+    if (!settingsObj.sso) {
+      settingsObj.sso = { oidc: { enabled: false }, passwordLoginDisabledRoles: [] };
+    }
+    
     res.json(settingsObj);
   } catch (error) {
     console.error('Error fetching settings:', error);
@@ -399,6 +414,79 @@ router.put('/', globalAdmin, async (req, res) => {
       }
     }
     
+    // Update e-invoicing seller details (used by UBL / Peppol exports)
+    if (req.body.eInvoicing !== undefined) {
+      const { normalizeCountryCode } = require('../services/eInvoice/invoiceData');
+      const eInvoicing = {
+        ...settings.eInvoicing,
+        ...req.body.eInvoicing
+      };
+      if (eInvoicing.countryCode) {
+        const countryCode = normalizeCountryCode(eInvoicing.countryCode);
+        if (!countryCode) {
+          return res.status(400).json({ message: 'E-invoicing country must be a two-letter ISO country code' });
+        }
+        eInvoicing.countryCode = countryCode;
+      }
+      if (eInvoicing.currency && !/^[A-Za-z]{3}$/.test(eInvoicing.currency)) {
+        return res.status(400).json({ message: 'E-invoicing currency must be a three-letter ISO currency code' });
+      }
+      if (eInvoicing.endpointScheme && !/^([0-9]{4}|EM)$/.test(eInvoicing.endpointScheme)) {
+        return res.status(400).json({ message: 'Peppol endpoint scheme must be a four-digit EAS code (e.g. 0088) or EM' });
+      }
+      settings.eInvoicing = eInvoicing;
+    }
+    
+    // Update single sign-on configuration
+    if (req.body.sso !== undefined) {
+      const { OIDC_ROLES, ALL_COMPANIES } = require('../services/sso/provisioning');
+      const oidc = {
+        ...settings.sso?.oidc,
+        ...req.body.sso.oidc
+      };
+      
+      // Preserve clientSecret if masked or not provided
+      if (req.body.sso.oidc?.clientSecret === '***' || req.body.sso.oidc?.clientSecret === undefined) {
+        oidc.clientSecret = settings.sso?.oidc?.clientSecret || '';
+      }
+      
+      if (oidc.enabled && (!oidc.issuer || !oidc.clientId)) {
+        return res.status(400).json({ message: 'Single sign-on needs an issuer URL and client ID before it can be enabled' });
+      }
+      if (oidc.issuer) {
+        try {
+          new URL(oidc.issuer);
+        } catch (urlError) {
+          return res.status(400).json({ message: 'Single sign-on issuer must be a valid URL' });
+        }
+      }
+      
+      oidc.roleMappings = (oidc.roleMappings || []).filter(mapping => mapping?.value && mapping?.role);
+      const invalidRole = oidc.roleMappings.find(mapping => !OIDC_ROLES.includes(mapping.role));
+      if (invalidRole || (oidc.defaultRole && !OIDC_ROLES.includes(oidc.defaultRole))) {
+        return res.status(400).json({ message: `Single sign-on can only grant these roles: ${OIDC_ROLES.join(', ')}` });
+      }
+      
+      oidc.companyMappings = (oidc.companyMappings || []).filter(mapping => mapping?.value && mapping?.companyId);
+      const mappedCompanyIds = oidc.companyMappings.map(mapping => mapping.companyId).filter(id => id !== ALL_COMPANIES);
+      if (mappedCompanyIds.length > 0) {
+        const { Company } = require('../models');
+        const found = await Company.count({ where: { id: mappedCompanyIds } });
+        if (found !== new Set(mappedCompanyIds).size) {
+          return res.status(400).json({ message: 'One or more single sign-on company mappings refer to a company that does not exist' });
+        }
+      }
+      
+      const passwordLoginDisabledRoles = req.body.sso.passwordLoginDisabledRoles !== undefined
+        ? req.body.sso.passwordLoginDisabledRoles || []
+        : settings.sso?.passwordLoginDisabledRoles || [];
+      if (passwordLoginDisabledRoles.some(role => !OIDC_ROLES.includes(role))) {
+        return res.status(400).json({ message: 'Password login can only be switched off for roles that can use single sign-on' });
+      }
+      
+      settings.sso = { oidc, passwordLoginDisabledRoles };
+    }
+    
     // Update registration form fields
     if (req.body.registrationFormFields !== undefined) {
       settings.registrationFormFields = req.body.registrationFormFields;
@@ -539,6 +627,27 @@ router.put('/', globalAdmin, async (req, res) => {
       if (req.body.parsingProvider.fallback !== undefined) {
         newParsingProvider.fallback = req.body.parsingProvider.fallback;
       }
+      if (req.body.parsingProvider.provider !== undefined) {
+        const validProviders = ['documentai', 'local', 'local-ocr'];
+        if (!validProviders.includes(req.body.parsingProvider.provider)) {
+          return res.status(400).json({
+            message: `Invalid parsing provider. Must be one of: ${validProviders.join(', ')}`
+          });
+        }
+        newParsingProvider.provider = req.body.parsingProvider.provider;
+      }
+      
+      // Merge local OCR settings
+      if (req.body.parsingProvider.localOcr !== undefined) {
+        newParsingProvider.localOcr = {
+          ...newParsingProvider.localOcr,
+          ...req.body.parsingProvider.localOcr
+        };
+        const dpi = parseInt(newParsingProvider.localOcr.dpi, 10);
+        if (newParsingProvider.localOcr.dpi !== undefined && (isNaN(dpi) || dpi < 72 || dpi > 600)) {
+          return res.status(400).json({ message: 'OCR DPI must be between 72 and 600' });
+        }
+      }
       
       // Merge Document AI settings (but preserve credentialsJson if masked or env var is set)
       if (req.body.parsingProvider.documentai !== undefined) {
@@ -609,6 +718,11 @@ router.put('/', globalAdmin, async (req, res) => {
       }
     }
     
+    // Mask the single sign-on client secret
+    if (settingsObj.sso?.oidc?.clientSecret) {
+      settingsObj.sso.oidc.clientSecret = '***';
+    }
+    
     res.json(settingsObj);
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -849,6 +963,7 @@ router.post('/email-templates/:templateName/test', auth, globalAdmin, async (req
       'query-notification',
       'document-deleted',
       'retention-cleanup-summary',
+      'scheduled-report',
       'registration-request',
       'registration-approved',
       'registration-rejected',
@@ -965,6 +1080,16 @@ router.post('/email-templates/:templateName/test', auth, globalAdmin, async (req
         testData.hasMoreDeletions = true;
         testData.totalDeletions = 25;
         break;
+      case 'scheduled-report':
+        testData.reportTitle = 'Documents Not Yet Viewed';
+        testData.reportDescription = 'Ready documents by company, grouped by week';
+        testData.scheduleLabel = 'Weekly on Monday at 07:00';
+        testData.generatedDate = new Date().toLocaleString('en-GB');
+        testData.rowCount = '42';
+        testData.sourceLabel = 'Invoices';
+        testData.formatLabel = 'XLSX';
+        testData.reportsUrl = `${getFrontendUrl()}/reports`;
+        break;
       case 'registration-request':
         testData.applicantFirstName = 'John';
         testData.applicantLastName = 'Doe';
@@ -1652,7 +1777,7 @@ router.post('/purge-files', auth, async (req, res) => {
               } else {
                 console.log(`🔒 Skipping protected folder: ${fullPath}`);
               }
-            } else if (entry.isFile() && (entry.name.endsWith('.pdf') || entry.name.endsWith('.xlsx') || entry.name.endsWith('.xls'))) {
+            } else if (entry.isFile() && (entry.name.endsWith('.pdf') || entry.name.endsWith('.xlsx') || entry.name.endsWith('.xls') || entry.name.endsWith('.xml'))) {
               try {
                 fs.unlinkSync(fullPath);
                 filesDeleted++;
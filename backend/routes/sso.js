@@ -0,0 +1,540 @@
+const express = require('express');
+const { User, Settings, Company, CompanySamlConfig, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const globalAdmin = require('../middleware/globalAdmin');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const { createSession } = require('../utils/authSessions');
+const { getFrontendUrl, getBackendUrl } = require('../utils/urlConfig');
+const { putState, takeState } = require('../services/sso/ssoState');
+const oidc = require('../services/sso/oidc');
+const saml = require('../services/sso/saml');
+const { getDescendantCompanyIds } = require('../utils/companyHierarchy');
+const {
+  OIDC_ROLES,
+  getClaimValues,
+  resolveRole,
+  resolveCompanies,
+  provisionSsoUser
+} = require('../services/sso/provisioning');
+const router = express.Router();
+
+// The hand-off code only has to survive one redirect to the portal
+const HANDOFF_TTL_SECONDS = 60;
+
+// Time allowed between leaving for a SAML identity provider and coming back
+const SAML_LOGIN_STATE_TTL_SECONDS = 10 * 60;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const getOidcRedirectUri = () => `${getBackendUrl().replace(/\/+$/, '')}/api/sso/oidc/callback`;
+
+// Only same-site paths, as on the login page
+const safeReturnTo = (path) => (
+  typeof path === 'string' && path.startsWith('/') && !path.startsWith('//') && !path.includes('../')
+    ? path
+    : '/'
+);
+
+const redirectToLoginWithError = (res, message) => {
+  res.redirect(`${getFrontendUrl()}/login?ssoError=${encodeURIComponent(message)}`);
+};
+
+// Start a portal session for a signed-in SSO user and send the browser back
+// to the portal. Tokens never go in a URL - the portal swaps a one-time code
+// for them.
+const finishSsoLogin = async (req, res, user, { details, returnTo }) => {
+  let session;
+  try {
+    session = await createSession(user, req);
+  } catch (error) {
+    // Outside the user's IP allowlist (logged by the login policy)
+    if (error.name === 'LoginPolicyError') {
+      return redirectToLoginWithError(res, error.message);
+    }
+    throw error;
+  }
+  const { token, refreshToken } = session;
+
+  await logActivity({
+    type: ActivityType.LOGIN,
+    userId: user.id,
+    userEmail: user.email,
+    userRole: user.role,
+    action: 'User logged in with single sign-on',
+    details,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent')
+  });
+
+  const handoff = await putState('handoff', { token, refreshToken, userId: user.id, returnTo }, HANDOFF_TTL_SECONDS);
+  res.redirect(`${getFrontendUrl()}/sso/callback?code=${encodeURIComponent(handoff)}`);
+};
+
+const getOidcConfig = async () => {
+  const settings = await Settings.getSettings();
+  const config = settings.sso?.oidc;
+  return config?.enabled && config.issuer && config.clientId ? config : null;
+};
+
+// Start OpenID Connect sign-in - returns the identity provider URL to open
+router.get('/oidc/start', async (req, res) => {
+  try {
+    const config = await getOidcConfig();
+    if (!config) {
+      return res.status(404).json({ message: 'Single sign-on is not enabled' });
+    }
+
+    const url = await oidc.createAuthorizationUrl(config, {
+      redirectUri: getOidcRedirectUri(),
+      returnTo: safeReturnTo(req.query.redirect)
+    });
+    res.json({ url });
+  } catch (error) {
+    console.error('OIDC start error:', error);
+    res.status(502).json({ message: `Could not reach the identity provider: ${error.message}` });
+  }
+});
+
+// Identity provider redirects back here
+router.get('/oidc/callback', async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent');
+
+  try {
+    if (req.query.error) {
+      return redirectToLoginWithError(res, req.query.error_description || req.query.error);
+    }
+
+    const config = await getOidcConfig();
+    if (!config) {
+      return redirectToLoginWithError(res, 'Single sign-on is not enabled');
+    }
+
+    let result;
+    try {
+      result = await oidc.completeAuthorization(config, { code: req.query.code, state: req.query.state });
+    } catch (error) {
+      console.error('OIDC callback verification failed:', error.message);
+      return redirectToLoginWithError(res, error.message);
+    }
+
+    const { claims, returnTo } = result;
+    let user;
+    try {
+      user = await provisionSsoUser({
+        provider: 'oidc',
+        subject: claims.sub,
+        email: claims.email || claims.preferred_username,
+        emailVerified: claims.email_verified === true,
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+        role: resolveRole(config, claims, OIDC_ROLES),
+        companies: await resolveCompanies(config, claims)
+      }, {
+        allowedRoles: OIDC_ROLES,
+        autoProvision: config.autoProvision !== false,
+        req
+      });
+    } catch (error) {
+      await logActivity({
+        type: ActivityType.LOGIN_FAILED,
+        userEmail: claims.email || null,
+        action: 'Failed single sign-on attempt',
+        details: {
+          method: 'oidc',
+          reason: error.message,
+          subject: claims.sub,
+          roleClaim: getClaimValues(claims, config.roleClaim)
+        },
+        ipAddress,
+        userAgent
+      });
+      return redirectToLoginWithError(res, error.message);
+    }
+
+    await finishSsoLogin(req, res, user, { details: { method: 'oidc', issuer: claims.iss }, returnTo });
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToLoginWithError(res, 'Single sign-on failed. Please try again.');
+  }
+});
+
+// Exchange the hand-off code for the session tokens
+router.post('/complete', async (req, res) => {
+  try {
+    const handoff = await takeState('handoff', req.body.code);
+    if (!handoff) {
+      return res.status(401).json({ message: 'Sign-in link has expired. Please sign in again.' });
+    }
+
+    const user = await User.findByPk(handoff.userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const userObj = user.toSafeObject ? user.toSafeObject() : user.toJSON();
+    delete userObj.password;
+    delete userObj.twoFactorSecret;
+    delete userObj.resetPasswordToken;
+    delete userObj.resetPasswordExpires;
+
+    res.json({
+      token: handoff.token,
+      refreshToken: handoff.refreshToken,
+      user: userObj,
+      redirect: handoff.returnTo
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Callback URL to register with the identity provider (Global Admin only)
+router.get('/oidc/redirect-uri', globalAdmin, (req, res) => {
+  try {
+    res.json({ redirectUri: getOidcRedirectUri() });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Check the configured issuer's discovery document (Global Admin only)
+router.post('/oidc/test', globalAdmin, async (req, res) => {
+  try {
+    const issuer = req.body.issuer || (await Settings.getSettings()).sso?.oidc?.issuer;
+    const discovery = await oidc.getDiscovery(issuer);
+    res.json({
+      success: true,
+      issuer: discovery.issuer,
+      authorizationEndpoint: discovery.authorization_endpoint,
+      tokenEndpoint: discovery.token_endpoint,
+      pkceSupported: (discovery.code_challenge_methods_supported || []).includes('S256')
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: `Discovery failed: ${error.message}` });
+  }
+});
+
+// Whether an email address signs in through its organisation's SAML
+// identity provider - the login page asks as soon as the email is typed
+router.get('/saml/lookup', async (req, res) => {
+  try {
+    const config = await saml.findConfigForEmail(req.query.email);
+    res.json({ saml: Boolean(config) });
+  } catch (error) {
+    console.error('SAML lookup error:', error);
+    res.json({ saml: false });
+  }
+});
+
+// Start SAML sign-in - returns the identity provider URL to open
+router.get('/saml/start', async (req, res) => {
+  try {
+    const config = await saml.findConfigForEmail(req.query.email);
+    if (!config) {
+      return res.status(404).json({ message: 'Single sign-on is not set up for this email address' });
+    }
+
+    const relayState = await putState('saml-login', {
+      companyId: config.companyId,
+      returnTo: safeReturnTo(req.query.redirect)
+    }, SAML_LOGIN_STATE_TTL_SECONDS);
+    const url = await saml.createLoginUrl(config, relayState);
+    res.json({ url });
+  } catch (error) {
+    console.error('SAML start error:', error);
+    res.status(500).json({ message: 'Could not start single sign-on. Please try again.' });
+  }
+});
+
+// Assertion consumer service - the identity provider posts its response here
+router.post('/saml/:companyId/acs', async (req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('user-agent');
+
+  try {
+    const config = UUID_PATTERN.test(req.params.companyId) && await CompanySamlConfig.findOne({
+      where: { companyId: req.params.companyId, enabled: true },
+      include: [{ model: Company, as: 'company', where: { type: 'CORP', isActive: true }, attributes: ['id', 'name'] }]
+    });
+    if (!config) {
+      return redirectToLoginWithError(res, 'Single sign-on is not enabled for this organisation');
+    }
+
+    const loginState = await takeState('saml-login', req.body.RelayState);
+    if (loginState && loginState.companyId !== config.companyId) {
+      return redirectToLoginWithError(res, 'Sign-in response does not match the sign-in request. Please try again.');
+    }
+
+    let identity;
+    try {
+      identity = await saml.validateLoginResponse(config, req.body);
+    } catch (error) {
+      console.error(`SAML response rejected for ${config.company.name}:`, error.message);
+      await logActivity({
+        type: ActivityType.LOGIN_FAILED,
+        action: 'Failed single sign-on attempt',
+        details: { method: 'saml', reason: error.message },
+        companyId: config.companyId,
+        companyName: config.company.name,
+        ipAddress,
+        userAgent
+      });
+      return redirectToLoginWithError(res, 'Your organisation\'s sign-in could not be verified. Please try again.');
+    }
+
+    let user;
+    try {
+      user = await provisionSsoUser({
+        provider: `saml:${config.companyId}`,
+        subject: identity.subject,
+        email: identity.email,
+        // The organisation's IdP signed the assertion for its own users
+        emailVerified: true,
+        name: identity.name,
+        role: 'external_user',
+        companies: {
+          allCompanies: false,
+          companyIds: await getDescendantCompanyIds(config.companyId, true)
+        }
+      }, {
+        allowedRoles: ['external_user'],
+        autoProvision: config.autoProvision,
+        req
+      });
+    } catch (error) {
+      await logActivity({
+        type: ActivityType.LOGIN_FAILED,
+        userEmail: identity.email,
+        action: 'Failed single sign-on attempt',
+        details: { method: 'saml', reason: error.message, subject: identity.subject },
+        companyId: config.companyId,
+        companyName: config.company.name,
+        ipAddress,
+        userAgent
+      });
+      return redirectToLoginWithError(res, error.message);
+    }
+
+    await finishSsoLogin(req, res, user, {
+      details: { method: 'saml', companyId: config.companyId, companyName: config.company.name },
+      returnTo: loginState?.returnTo || '/'
+    });
+  } catch (error) {
+    console.error('SAML ACS error:', error);
+    redirectToLoginWithError(res, 'Single sign-on failed. Please try again.');
+  }
+});
+
+// Service provider metadata for the customer's IdP administrators
+router.get('/saml/:companyId/metadata', async (req, res) => {
+  try {
+    const config = UUID_PATTERN.test(req.params.companyId) &&
+      await CompanySamlConfig.findOne({ where: { companyId: req.params.companyId }, attributes: ['id'] });
+    if (!config) {
+      return res.status(404).json({ message: 'Single sign-on is not set up for this company' });
+    }
+
+    res.type('application/xml').send(saml.getServiceProviderMetadata(req.params.companyId));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Shape a company's SAML configuration for the admin screen
+const toSamlConfigResponse = (companyId, config) => {
+  const certificates = (config?.idpCertificates || []).map(certificate => {
+    try {
+      return saml.normalizeCertificate(certificate);
+    } catch (error) {
+      return { certificate, invalid: true };
+    }
+  });
+
+  return {
+    configured: Boolean(config),
+    enabled: config?.enabled || false,
+    emailDomains: config?.emailDomains || [],
+    idpEntityId: config?.idpEntityId || '',
+    idpSsoUrl: config?.idpSsoUrl || '',
+    certificates,
+    hasMetadata: Boolean(config?.metadataXml),
+    emailAttribute: config?.emailAttribute || '',
+    autoProvision: config ? config.autoProvision : true,
+    allowPasswordLogin: config?.allowPasswordLogin || false,
+    updatedAt: config?.updatedAt || null,
+    serviceProvider: saml.getServiceProviderUrls(companyId)
+  };
+};
+
+const findCorpCompany = async (companyId, res) => {
+  const company = UUID_PATTERN.test(companyId) && await Company.findByPk(companyId, { attributes: ['id', 'name', 'type'] });
+  if (!company) {
+    res.status(404).json({ message: 'Company not found' });
+    return null;
+  }
+  if (company.type !== 'CORP') {
+    res.status(400).json({ message: 'Single sign-on can only be set up on CORP companies' });
+    return null;
+  }
+  return company;
+};
+
+// Get a CORP company's SAML configuration (Global Admin only)
+router.get('/saml/companies/:companyId', globalAdmin, async (req, res) => {
+  try {
+    const company = await findCorpCompany(req.params.companyId, res);
+    if (!company) return;
+
+    const config = await CompanySamlConfig.findOne({ where: { companyId: company.id } });
+    res.json(toSamlConfigResponse(company.id, config));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create or update a CORP company's SAML configuration (Global Admin only)
+router.put('/saml/companies/:companyId', globalAdmin, async (req, res) => {
+  try {
+    const company = await findCorpCompany(req.params.companyId, res);
+    if (!company) return;
+
+    const existing = await CompanySamlConfig.findOne({ where: { companyId: company.id } });
+    const updates = {};
+
+    // Uploaded metadata replaces the identity provider details; otherwise
+    // they can be entered by hand
+    if (req.body.metadataXml) {
+      try {
+        const metadata = saml.parseIdpMetadata(req.body.metadataXml);
+        updates.metadataXml = req.body.metadataXml;
+        updates.idpEntityId = metadata.entityId;
+        updates.idpSsoUrl = metadata.ssoUrl;
+        updates.idpCertificates = metadata.certificates;
+      } catch (error) {
+        return res.status(400).json({ message: `Invalid metadata: ${error.message}` });
+      }
+    }
+
+    if (req.body.idpEntityId !== undefined && !req.body.metadataXml) {
+      updates.idpEntityId = String(req.body.idpEntityId || '').trim() || null;
+    }
+    if (req.body.idpSsoUrl !== undefined && !req.body.metadataXml) {
+      const ssoUrl = String(req.body.idpSsoUrl || '').trim();
+      if (ssoUrl) {
+        try {
+          const parsed = new URL(ssoUrl);
+          if (!['https:', 'http:'].includes(parsed.protocol)) throw new Error('protocol');
+        } catch (urlError) {
+          return res.status(400).json({ message: 'Identity provider SSO URL must be a valid URL' });
+        }
+      }
+      updates.idpSsoUrl = ssoUrl || null;
+    }
+    if (Array.isArray(req.body.certificates) && !req.body.metadataXml) {
+      try {
+        updates.idpCertificates = [...new Set(req.body.certificates
+          .filter(certificate => String(certificate || '').trim())
+          .map(certificate => saml.normalizeCertificate(certificate).certificate))];
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    if (req.body.emailDomains !== undefined) {
+      const { domains, invalid } = saml.normalizeEmailDomains(req.body.emailDomains);
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: `Invalid email domain(s): ${invalid.join(', ')}` });
+      }
+
+      // A domain can only lead to one identity provider
+      const clash = domains.length > 0 && await CompanySamlConfig.findOne({
+        where: {
+          companyId: { [Op.ne]: company.id },
+          emailDomains: { [Op.overlap]: domains }
+        },
+        include: [{ model: Company, as: 'company', attributes: ['name'] }]
+      });
+      if (clash) {
+        const taken = domains.filter(domain => clash.emailDomains.includes(domain));
+        return res.status(400).json({ message: `${taken.join(', ')} already signs in through ${clash.company?.name || 'another company'}` });
+      }
+      updates.emailDomains = domains;
+    }
+
+    for (const field of ['enabled', 'autoProvision', 'allowPasswordLogin']) {
+      if (req.body[field] !== undefined) updates[field] = Boolean(req.body[field]);
+    }
+    if (req.body.emailAttribute !== undefined) {
+      updates.emailAttribute = String(req.body.emailAttribute || '').trim() || null;
+    }
+
+    const merged = { ...(existing ? existing.toJSON() : { emailDomains: [], idpCertificates: [] }), ...updates };
+    if (merged.enabled) {
+      if (!merged.idpSsoUrl || !merged.idpCertificates?.length) {
+        return res.status(400).json({ message: 'Upload the identity provider metadata (or enter its SSO URL and certificate) before enabling single sign-on' });
+      }
+      if (!merged.emailDomains?.length) {
+        return res.status(400).json({ message: 'Add at least one email domain before enabling single sign-on' });
+      }
+    }
+
+    updates.updatedById = req.user.userId;
+    const config = existing
+      ? await existing.update(updates)
+      : await CompanySamlConfig.create({ companyId: company.id, ...updates });
+
+    await logActivity({
+      type: ActivityType.COMPANY_UPDATED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Updated SAML single sign-on for company ${company.name}`,
+      details: {
+        companyId: company.id,
+        enabled: config.enabled,
+        emailDomains: config.emailDomains,
+        idpEntityId: config.idpEntityId,
+        metadataUploaded: Boolean(req.body.metadataXml)
+      },
+      companyId: company.id,
+      companyName: company.name,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+
+    res.json(toSamlConfigResponse(company.id, config));
+  } catch (error) {
+    console.error('Error saving SAML configuration:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove a CORP company's SAML configuration (Global Admin only)
+router.delete('/saml/companies/:companyId', globalAdmin, async (req, res) => {
+  try {
+    const company = await findCorpCompany(req.params.companyId, res);
+    if (!company) return;
+
+    const deleted = await CompanySamlConfig.destroy({ where: { companyId: company.id } });
+    if (deleted) {
+      await logActivity({
+        type: ActivityType.COMPANY_UPDATED,
+        userId: req.user.userId,
+        userEmail: req.user.email,
+        userRole: req.user.role,
+        action: `Removed SAML single sign-on for company ${company.name}`,
+        details: { companyId: company.id },
+        companyId: company.id,
+        companyName: company.name,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+    }
+
+    res.json(toSamlConfigResponse(company.id, null));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
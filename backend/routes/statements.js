@@ -11,6 +11,7 @@ const auth = require('../middleware/auth');
 const { checkDocumentAccess, buildCompanyFilter } = require('../middleware/documentAccess');
 const { getDescendantCompanyIds } = require('../utils/companyHierarchy');
 const { logActivity, ActivityType } = require('../services/activityLogger');
+const { emitDocumentCreated } = require('../services/webhooks');
 const { requirePermission } = require('../middleware/permissions');
 const { invoiceImportQueue, statementGenerateQueue } = require('../config/queue');
 const { ensureStorageDirs, getStorageDir } = require('../config/storage');
@@ -80,7 +81,7 @@ function resolveStatementFile(storedPath) {
 async function markStatementAccess(statement, kind, req) {
   const settings = await Settings.getSettings();
   const onlyExternal = settings.onlyExternalUsersChangeDocumentStatus;
-  const canUpdateStatus = !onlyExternal || req.user.role === 'external_user';
+  const canUpdateStatus = (!onlyExternal || req.user.role === 'external_user') && !req.impersonation;
   const now = new Date();
 
   if (kind === 'view') {
@@ -904,7 +905,7 @@ router.get('/:id', async (req, res) => {
     // Only update status if setting allows all users OR user is external_user
     // When setting is enabled, ONLY external users can change status (no exceptions)
     const settings = await Settings.getSettings();
-    const canUpdateStatus = !settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user';
+    const canUpdateStatus = (!settings.onlyExternalUsersChangeDocumentStatus || req.user.role === 'external_user') && !req.impersonation;
     
     // Mark as viewed if not already
     if (canUpdateStatus && !statement.viewedAt) {
@@ -1024,6 +1025,11 @@ router.post('/', requirePermission('STATEMENTS_EDIT'), async (req, res) => {
       }]
     });
     
+    emitDocumentCreated('statement', statement, {
+      source: 'manual',
+      user: { id: req.user.userId, email: req.user.email || null, role: req.user.role }
+    });
+    
     res.status(201).json(statement);
   } catch (error) {
     console.error('Error creating statement:', error);
@@ -201,7 +201,7 @@ router.get('/:id', async (req, res) => {
     }
     
     // Mark as viewed if not already viewed (staff viewing)
-    if (!document.viewedAt && req.user.role !== 'global_admin' && req.user.role !== 'administrator') {
+    if (!document.viewedAt && req.user.role !== 'global_admin' && req.user.role !== 'administrator' && !req.impersonation) {
       await document.markAsViewed(req.user.id);
     }
     
@@ -7,9 +7,18 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { Template, Settings } = require('../models');
+const { v4: uuidv4 } = require('uuid');
+const { Template, TemplateVersion, Settings } = require('../models');
 const globalAdmin = require('../middleware/globalAdmin');
 const { logActivity, ActivityType } = require('../services/activityLogger');
+const { LINE_ITEM_FIELDS } = require('../utils/lineItemExtractor');
+const {
+  createTemplateVersion,
+  saveTemplateWithVersion,
+  diffSnapshots
+} = require('../utils/templateVersioning');
+const { bulkParsingQueue } = require('../config/queue');
+const bulkTestStore = require('../utils/bulkTestStore');
 const router = express.Router();
 
 // Storage configuration - must be initialized before multer
@@ -37,6 +46,50 @@ function resolveRequiredExcelFields(templateType, settings) {
   return settings?.mandatoryFields?.excel || LEGACY_DEFAULT_REQUIRED_FIELDS;
 }
 
+/**
+ * Parse and validate a line-item table definition from the template builder.
+ * Returns null to clear the table. Throws on invalid input.
+ */
+function parseLineItemTable(raw) {
+  const table = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  if (!table) {
+    return null;
+  }
+  
+  const inRange = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+  const region = table.normalized || {};
+  if (!['left', 'top', 'right', 'bottom'].every(key => inRange(region[key])) ||
+      region.left >= region.right || region.top >= region.bottom) {
+    throw new Error('table region must have normalized (0-1) left/top/right/bottom');
+  }
+  
+  if (!Array.isArray(table.columns) || table.columns.length === 0) {
+    throw new Error('at least one column is required');
+  }
+  const columns = table.columns.map(col => {
+    if (!inRange(col.left) || !inRange(col.right) || col.left >= col.right) {
+      throw new Error('column boundaries must be normalized (0-1) with left < right');
+    }
+    if (col.field && !LINE_ITEM_FIELDS.includes(col.field)) {
+      throw new Error(`unknown column field "${col.field}"`);
+    }
+    return { field: col.field || null, left: col.left, right: col.right };
+  });
+  
+  const continuation = table.continuation && inRange(table.continuation.top) && inRange(table.continuation.bottom) &&
+    table.continuation.top < table.continuation.bottom
+    ? { top: table.continuation.top, bottom: table.continuation.bottom }
+    : null;
+  
+  return {
+    page: parseInt(table.page, 10) || 1,
+    normalized: { left: region.left, top: region.top, right: region.right, bottom: region.bottom },
+    continuation,
+    multiPage: table.multiPage !== false,
+    columns
+  };
+}
+
 // Configure multer for Excel and PDF uploads
 const upload = multer({
   dest: templatesDir,
@@ -594,6 +647,15 @@ router.post('/', globalAdmin, upload.single('sampleExcel'), async (req, res) =>
       templateData.coordinates = req.body.parsedCoordinates;
     }
     
+    // Line-item table for PDF templates
+    if (actualFileType === 'pdf' && req.body.lineItemTable) {
+      try {
+        templateData.lineItemTable = parseLineItemTable(req.body.lineItemTable);
+      } catch (e) {
+        return res.status(400).json({ message: 'Invalid line-item table: ' + e.message });
+      }
+    }
+    
     if (sampleExcelPath) {
       templateData.sampleExcelPath = sampleExcelPath;
     }
@@ -601,8 +663,9 @@ router.post('/', globalAdmin, upload.single('sampleExcel'), async (req, res) =>
       templateData.samplePdfPath = samplePdfPath;
     }
     
-    // Create new template
-    const template = await Template.create(templateData);
+    // Create new template (recorded as version 1)
+    const template = Template.build(templateData);
+    await saveTemplateWithVersion(template, { user: req.user, note: req.body.versionNote || 'Created' });
     console.log(`✅ ${actualFileType} template created successfully:`, template.id);
     
     // Log template creation
@@ -655,6 +718,10 @@ router.put('/:id', globalAdmin, upload.single('samplePdf'), async (req, res) =>
     const { name, templateType, fileType, excelCells, coordinates, patterns, transformations, priority } = req.body;
     const currentTemplateType = templateType || template.templateType;
     
+    // activate=false records the changes as a candidate version for a
+    // regression run; the live template is left as it is
+    const saveAsCandidate = req.body.activate === 'false' || req.body.activate === false;
+    
     // Get template code - NEVER change it for existing templates
     // This ensures field IDs with template code prefix remain valid
     let templateCode = template.code;
@@ -772,6 +839,15 @@ router.put('/:id', globalAdmin, upload.single('samplePdf'), async (req, res) =>
           return res.status(400).json({ message: 'Invalid coordinates JSON: ' + e.message });
         }
       }
+      
+      // Line-item table ('null' clears it)
+      if (req.body.lineItemTable !== undefined) {
+        try {
+          template.lineItemTable = parseLineItemTable(req.body.lineItemTable);
+        } catch (e) {
+          return res.status(400).json({ message: 'Invalid line-item table: ' + e.message });
+        }
+      }
     }
     
     if (patterns) {
@@ -836,7 +912,7 @@ router.put('/:id', globalAdmin, upload.single('samplePdf'), async (req, res) =>
     
     // Handle isDefault - only one default per templateType
     const isDefault = req.body.isDefault === 'true' || req.body.isDefault === true;
-    if (isDefault !== template.isDefault) {
+    if (!saveAsCandidate && isDefault !== template.isDefault) {
       if (isDefault) {
         // Unset other defaults of the same templateType
         await Template.update(
@@ -854,31 +930,49 @@ router.put('/:id', globalAdmin, upload.single('samplePdf'), async (req, res) =>
     }
     
     // Handle file upload (Excel or PDF)
+    // The previous sample file is kept - older versions still point at it
     if (req.file) {
       if (actualFileType === 'excel') {
-        // Delete old Excel file if exists
-        if (template.sampleExcelPath) {
-          const oldPath = path.join(__dirname, '..', template.sampleExcelPath);
-          if (fs.existsSync(oldPath)) {
-            fs.unlinkSync(oldPath);
-          }
-        }
         template.sampleExcelPath = `/uploads/templates/${req.file.filename}`;
       } else if (actualFileType === 'pdf') {
-        // Delete old PDF file if exists
-        if (template.samplePdfPath) {
-          const oldPath = path.join(__dirname, '..', template.samplePdfPath);
-          if (fs.existsSync(oldPath)) {
-            fs.unlinkSync(oldPath);
-          }
-        }
         template.samplePdfPath = `/uploads/templates/${req.file.filename}`;
       }
     }
     
-    await template.save();
+    if (saveAsCandidate) {
+      const candidate = await createTemplateVersion(template, {
+        user: req.user,
+        note: req.body.versionNote,
+        status: 'candidate'
+      });
+      console.log(`📝 ${actualFileType} template ${template.id} saved as candidate version ${candidate.version}`);
+      
+      await logActivity({
+        type: ActivityType.TEMPLATE_UPDATED,
+        userId: req.user.userId,
+        userEmail: req.user.email,
+        userRole: req.user.role,
+        action: `Saved candidate version ${candidate.version} of ${actualFileType} template ${template.name}`,
+        details: {
+          templateId: template.id,
+          templateName: template.name,
+          version: candidate.version,
+          activeVersion: template.activeVersion,
+          candidate: true
+        },
+        companyId: null,
+        companyName: null,
+        ipAddress: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('user-agent')
+      });
+      
+      await template.reload();
+      return res.json({ ...template.toJSON(), candidateVersion: candidate.version });
+    }
     
-    console.log(`✅ ${actualFileType} template updated successfully:`, template.id);
+    const version = await saveTemplateWithVersion(template, { user: req.user, note: req.body.versionNote });
+    
+    console.log(`✅ ${actualFileType} template updated successfully:`, template.id, `(version ${version.version})`);
     
     // Log template update
     await logActivity({
@@ -892,7 +986,8 @@ router.put('/:id', globalAdmin, upload.single('samplePdf'), async (req, res) =>
         templateName: template.name,
         templateType: template.templateType,
         fileType: actualFileType,
-        isDefault: template.isDefault || false
+        isDefault: template.isDefault || false,
+        version: version.version
       },
       companyId: null,
       companyName: null,
@@ -907,6 +1002,362 @@ router.put('/:id', globalAdmin, upload.single('samplePdf'), async (req, res) =>
   }
 });
 
+/**
+ * Template versions
+ * Every save writes an immutable TemplateVersion. Saving with activate=false
+ * leaves the live template alone and records a candidate, which can be
+ * regression-tested against the pinned sample PDFs and then activated.
+ * Activating an older version is a rollback.
+ */
+
+const parseVersionParam = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+function removeRegressionSampleFiles(samples) {
+  for (const sample of samples || []) {
+    try {
+      if (sample.filePath && fs.existsSync(sample.filePath)) {
+        fs.unlinkSync(sample.filePath);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not delete regression sample ${sample.filePath}:`, error.message);
+    }
+  }
+}
+
+const regressionDir = path.join(templatesDir, 'regression');
+const regressionUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(regressionDir, req.params.id);
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `regression-sample-${Date.now()}-${Math.round(Math.random() * 1E9)}.pdf`);
+    }
+  }),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf' || path.extname(file.originalname).toLowerCase() === '.pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files can be pinned as regression samples'), false);
+    }
+  }
+});
+
+// Keep regression runs quick enough to wait for before activating
+const MAX_REGRESSION_SAMPLES = 50;
+
+/**
+ * List versions (newest first, without snapshots)
+ * GET /api/templates/:id/versions
+ */
+router.get('/:id/versions', globalAdmin, async (req, res) => {
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    const versions = await TemplateVersion.findAll({
+      where: { templateId: template.id },
+      attributes: ['id', 'version', 'status', 'note', 'createdById', 'createdByEmail', 'createdAt'],
+      order: [['version', 'DESC']]
+    });
+    
+    res.json({
+      activeVersion: template.activeVersion,
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching template versions:', error);
+    res.status(500).json({ message: 'Error fetching template versions: ' + error.message });
+  }
+});
+
+/**
+ * Get one version with its snapshot
+ * GET /api/templates/:id/versions/:version
+ */
+router.get('/:id/versions/:version', globalAdmin, async (req, res) => {
+  try {
+    const versionNumber = parseVersionParam(req.params.version);
+    const version = versionNumber && await TemplateVersion.findOne({
+      where: { templateId: req.params.id, version: versionNumber }
+    });
+    if (!version) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+    
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching template version:', error);
+    res.status(500).json({ message: 'Error fetching template version: ' + error.message });
+  }
+});
+
+/**
+ * Configuration changes between two versions
+ * GET /api/templates/:id/versions/:version/diff?against=N
+ * Defaults to comparing against the active version (or the previous version
+ * when :version is the active one).
+ */
+router.get('/:id/versions/:version/diff', globalAdmin, async (req, res) => {
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    const versionNumber = parseVersionParam(req.params.version);
+    let againstNumber = parseVersionParam(req.query.against);
+    if (!againstNumber) {
+      againstNumber = template.activeVersion && template.activeVersion !== versionNumber
+        ? template.activeVersion
+        : versionNumber - 1;
+    }
+    
+    const [version, against] = await Promise.all([
+      TemplateVersion.findOne({ where: { templateId: template.id, version: versionNumber } }),
+      TemplateVersion.findOne({ where: { templateId: template.id, version: againstNumber } })
+    ]);
+    if (!version) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+    
+    res.json({
+      version: version.version,
+      against: against ? against.version : null,
+      changes: diffSnapshots(against ? against.snapshot : {}, version.snapshot)
+    });
+  } catch (error) {
+    console.error('Error diffing template versions:', error);
+    res.status(500).json({ message: 'Error diffing template versions: ' + error.message });
+  }
+});
+
+/**
+ * Activate a version (also used to roll back)
+ * POST /api/templates/:id/versions/:version/activate
+ */
+router.post('/:id/versions/:version/activate', globalAdmin, async (req, res) => {
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    const versionNumber = parseVersionParam(req.params.version);
+    const version = versionNumber && await TemplateVersion.findOne({
+      where: { templateId: template.id, version: versionNumber }
+    });
+    if (!version) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+    
+    if (template.activeVersion === version.version) {
+      return res.status(400).json({ message: `Version ${version.version} is already active` });
+    }
+    
+    const previousVersion = template.activeVersion;
+    template.applyVersionSnapshot(version.snapshot);
+    template.activeVersion = version.version;
+    await template.save();
+    
+    const isRollback = previousVersion && version.version < previousVersion;
+    console.log(`✅ Template ${template.id} ${isRollback ? 'rolled back' : 'switched'} to version ${version.version} (was ${previousVersion || 'unversioned'})`);
+    
+    await logActivity({
+      type: ActivityType.TEMPLATE_VERSION_ACTIVATED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `${isRollback ? 'Rolled back' : 'Activated'} template ${template.name} to version ${version.version}`,
+      details: {
+        templateId: template.id,
+        templateName: template.name,
+        version: version.version,
+        previousVersion: previousVersion || null,
+        regressionTestId: req.body?.regressionTestId || null
+      },
+      companyId: null,
+      companyName: null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json(template);
+  } catch (error) {
+    console.error('Error activating template version:', error);
+    res.status(500).json({ message: 'Error activating template version: ' + error.message });
+  }
+});
+
+/**
+ * List pinned regression samples
+ * GET /api/templates/:id/regression-samples
+ */
+router.get('/:id/regression-samples', globalAdmin, async (req, res) => {
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    res.json((template.regressionSamples || []).map(({ filePath, ...sample }) => ({
+      ...sample,
+      missing: !fs.existsSync(filePath)
+    })));
+  } catch (error) {
+    console.error('Error fetching regression samples:', error);
+    res.status(500).json({ message: 'Error fetching regression samples: ' + error.message });
+  }
+});
+
+/**
+ * Pin sample PDFs for regression runs
+ * POST /api/templates/:id/regression-samples (multipart, field "files")
+ */
+router.post('/:id/regression-samples', globalAdmin, regressionUpload.array('files', 20), async (req, res) => {
+  const uploaded = req.files || [];
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template || template.fileType !== 'pdf') {
+      removeRegressionSampleFiles(uploaded.map(file => ({ filePath: file.path })));
+      return res.status(template ? 400 : 404).json({
+        message: template ? 'Regression samples are only supported for PDF templates' : 'Template not found'
+      });
+    }
+    
+    if (uploaded.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded. Please select at least one PDF.' });
+    }
+    
+    const existing = template.regressionSamples || [];
+    if (existing.length + uploaded.length > MAX_REGRESSION_SAMPLES) {
+      removeRegressionSampleFiles(uploaded.map(file => ({ filePath: file.path })));
+      return res.status(400).json({
+        message: `A template can have at most ${MAX_REGRESSION_SAMPLES} regression samples (${existing.length} pinned).`
+      });
+    }
+    
+    const pinned = uploaded.map(file => ({
+      id: uuidv4(),
+      fileName: file.originalname,
+      filePath: file.path,
+      fileSize: file.size,
+      pinnedAt: new Date().toISOString(),
+      pinnedBy: req.user.email
+    }));
+    
+    template.regressionSamples = [...existing, ...pinned];
+    await template.save();
+    
+    console.log(`📌 Pinned ${pinned.length} regression sample(s) to template ${template.id}`);
+    res.status(201).json(template.regressionSamples.map(({ filePath, ...sample }) => sample));
+  } catch (error) {
+    removeRegressionSampleFiles(uploaded.map(file => ({ filePath: file.path })));
+    console.error('Error pinning regression samples:', error);
+    res.status(500).json({ message: 'Error pinning regression samples: ' + error.message });
+  }
+});
+
+/**
+ * Unpin a regression sample
+ * DELETE /api/templates/:id/regression-samples/:sampleId
+ */
+router.delete('/:id/regression-samples/:sampleId', globalAdmin, async (req, res) => {
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    
+    const samples = template.regressionSamples || [];
+    const sample = samples.find(s => s.id === req.params.sampleId);
+    if (!sample) {
+      return res.status(404).json({ message: 'Regression sample not found' });
+    }
+    
+    template.regressionSamples = samples.filter(s => s.id !== sample.id);
+    await template.save();
+    removeRegressionSampleFiles([sample]);
+    
+    res.json({ message: 'Regression sample removed' });
+  } catch (error) {
+    console.error('Error removing regression sample:', error);
+    res.status(500).json({ message: 'Error removing regression sample: ' + error.message });
+  }
+});
+
+/**
+ * Regression run - re-parse the pinned samples with a version and report
+ * field-by-field differences from the active version
+ * POST /api/templates/:id/versions/:version/regression
+ * Progress and results use the bulk test endpoints:
+ * GET /api/parsing/test-parse-bulk/:testId[/results]
+ */
+router.post('/:id/versions/:version/regression', globalAdmin, async (req, res) => {
+  try {
+    const template = await Template.findByPk(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+    if (template.fileType !== 'pdf') {
+      return res.status(400).json({ message: 'Regression runs are only supported for PDF templates' });
+    }
+    
+    const versionNumber = parseVersionParam(req.params.version);
+    const version = versionNumber && await TemplateVersion.findOne({
+      where: { templateId: template.id, version: versionNumber }
+    });
+    if (!version) {
+      return res.status(404).json({ message: 'Template version not found' });
+    }
+    
+    const samples = (template.regressionSamples || []).filter(sample => fs.existsSync(sample.filePath));
+    if (samples.length === 0) {
+      return res.status(400).json({ message: 'Pin at least one sample PDF before running a regression test' });
+    }
+    
+    const testId = uuidv4();
+    // No file paths - pinned samples must survive "Finish Test"
+    bulkTestStore.createTest(testId, samples.length, [], 'regression');
+    
+    await Promise.all(samples.map(sample => bulkParsingQueue.add('bulk-parse', {
+      testId,
+      filePath: sample.filePath,
+      fileName: sample.fileName,
+      parser: 'local',
+      regression: {
+        templateId: template.id,
+        candidateVersion: version.version
+      }
+    }, {
+      jobId: `${testId}-${sample.id}`
+    })));
+    
+    console.log(`✅ Queued regression run for template ${template.id} v${version.version}: ${samples.length} sample(s) (testId: ${testId})`);
+    
+    res.json({
+      success: true,
+      testId,
+      version: version.version,
+      activeVersion: template.activeVersion,
+      totalFiles: samples.length
+    });
+  } catch (error) {
+    console.error('Error starting regression run:', error);
+    res.status(500).json({ message: 'Error starting regression run: ' + error.message });
+  }
+});
+
 /**
  * Extract text from a specific region in a PDF
  * POST /api/templates/extract-region-text
@@ -1003,6 +1454,9 @@ router.delete('/:id', globalAdmin, async (req, res) => {
       }
     }
     
+    // Delete pinned regression samples
+    removeRegressionSampleFiles(template.regressionSamples);
+    
     // Store template info before deletion
     const deletedTemplateName = template.name;
     const deletedTemplateId = template.id;
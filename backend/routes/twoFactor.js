@@ -1,11 +1,12 @@
 const express = require('express');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { User, Settings } = require('../models');
+const { User, Settings, WebAuthnCredential } = require('../models');
 const auth = require('../middleware/auth');
 const { sendTemplatedEmail } = require('../utils/sendTemplatedEmail');
+const { createSession, verifyAccessToken } = require('../utils/authSessions');
+const webauthn = require('../services/webauthn');
 const router = express.Router();
 
 // Rate limiting storage for email 2FA (in-memory, could be Redis in production)
@@ -43,13 +44,14 @@ router.post('/setup', async (req, res) => {
     let user;
     
     // SECURITY: Prefer session token over password
-    const { verifySessionToken } = require('../utils/sessionToken');
+    const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
     
     // Check session token first (from login flow)
     // Don't consume it yet - we need it for verify-setup too
+    // Only a token issued for 2FA setup - not one for a 2FA or step-up challenge
     if (req.body.sessionToken) {
       console.log('2FA Setup - Received session token:', req.body.sessionToken.substring(0, 10) + '...');
-      const sessionData = await verifySessionToken(req.body.sessionToken, false);
+      const sessionData = await verifySessionToken(req.body.sessionToken, false, SESSION_TOKEN_PURPOSES.TWO_FACTOR_SETUP);
       console.log('2FA Setup - Session data:', sessionData ? 'Valid' : 'Invalid/Expired');
       if (sessionData) {
         user = await User.findByPk(sessionData.userId);
@@ -68,7 +70,7 @@ router.post('/setup', async (req, res) => {
     if (!user && req.headers.authorization) {
       try {
         const authToken = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(authToken, req);
         user = await User.findByPk(decoded.userId);
       } catch (err) {
         // Token invalid
@@ -172,12 +174,13 @@ router.post('/verify-setup', async (req, res) => {
     let user;
     
     // SECURITY: Prefer session token over password
-    const { verifySessionToken } = require('../utils/sessionToken');
+    const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
     
     // Check session token first (from login flow)
     // Consume it here since this is the final step (verify-setup)
+    // Only a token issued for 2FA setup - not one for a 2FA or step-up challenge
     if (sessionToken) {
-      const sessionData = await verifySessionToken(sessionToken, true); // Consume on verify
+      const sessionData = await verifySessionToken(sessionToken, true, SESSION_TOKEN_PURPOSES.TWO_FACTOR_SETUP); // Consume on verify
       if (sessionData) {
         user = await User.findByPk(sessionData.userId);
         if (!user) {
@@ -192,7 +195,7 @@ router.post('/verify-setup', async (req, res) => {
     if (!user && req.headers.authorization) {
       try {
         const authToken = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(authToken, req);
         user = await User.findByPk(decoded.userId);
       } catch (err) {
         // Token invalid
@@ -252,12 +255,11 @@ router.post('/verify-setup', async (req, res) => {
     
     await user.save();
 
-    // Generate JWT token for immediate login (user already verified password + 2FA)
-    const jwtToken = jwt.sign(
-      { userId: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Start a session for immediate login (user already verified password + 2FA).
+    // Users enabling 2FA from their profile are already signed in.
+    const { token: jwtToken, refreshToken } = sessionToken
+      ? await createSession(user, req)
+      : {};
 
     // SECURITY: Never expose sensitive data in responses
     const userObj = user.toSafeObject ? user.toSafeObject() : user.toJSON();
@@ -268,12 +270,13 @@ router.post('/verify-setup', async (req, res) => {
 
     res.json({
       message: '2FA enabled successfully',
-      token: jwtToken, // Return JWT token for immediate login
+      token: jwtToken, // Return tokens for immediate login
+      refreshToken,
       user: userObj
     });
   } catch (error) {
     console.error('2FA verify setup error:', error);
-    res.status(500).json({ message: error.message });
+    res.status(error.name === 'LoginPolicyError' ? 403 : 500).json({ message: error.message });
   }
 });
 
@@ -315,6 +318,9 @@ router.post('/verify-login', async (req, res) => {
         user.emailTwoFactorExpires = null;
         await user.save();
       }
+    } else if (method === 'webauthn') {
+      // Security keys are checked by /api/auth/login itself
+      return res.status(400).json({ message: 'This account uses a security key, not a verification code' });
     } else {
       // Verify authenticator TOTP code
       if (!user.twoFactorSecret) {
@@ -362,7 +368,7 @@ router.delete('/:userId', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Remove 2FA
+    // Remove 2FA, including every registered security key and passkey
     targetUser.twoFactorSecret = null;
     targetUser.twoFactorEnabled = false;
     targetUser.twoFactorVerified = false;
@@ -370,6 +376,7 @@ router.delete('/:userId', auth, async (req, res) => {
     targetUser.emailTwoFactorCode = null;
     targetUser.emailTwoFactorExpires = null;
     await targetUser.save();
+    await WebAuthnCredential.destroy({ where: { userId: targetUser.id } });
 
     res.json({ message: '2FA removed successfully' });
   } catch (error) {
@@ -383,11 +390,11 @@ router.post('/setup-email', async (req, res) => {
   try {
     let user;
     
-    const { verifySessionToken } = require('../utils/sessionToken');
+    const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
     
-    // Check session token (from login flow)
+    // Check session token (from login flow) - only one issued for 2FA setup
     if (req.body.sessionToken) {
-      const sessionData = await verifySessionToken(req.body.sessionToken, false);
+      const sessionData = await verifySessionToken(req.body.sessionToken, false, SESSION_TOKEN_PURPOSES.TWO_FACTOR_SETUP);
       if (sessionData) {
         user = await User.findByPk(sessionData.userId);
         if (!user) {
@@ -402,7 +409,7 @@ router.post('/setup-email', async (req, res) => {
     if (!user && req.headers.authorization) {
       try {
         const authToken = req.headers.authorization.replace('Bearer ', '');
-        const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
+        const decoded = await verifyAccessToken(authToken, req);
         user = await User.findByPk(decoded.userId);
       } catch (err) {
         // Token invalid
@@ -486,8 +493,8 @@ router.post('/send-email-code', async (req, res) => {
 
     // Try session token first
     if (sessionToken) {
-      const { verifySessionToken } = require('../utils/sessionToken');
-      const sessionData = await verifySessionToken(sessionToken, false);
+      const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+      const sessionData = await verifySessionToken(sessionToken, false, SESSION_TOKEN_PURPOSES.TWO_FACTOR_VERIFY);
       if (sessionData) {
         user = await User.findByPk(sessionData.userId);
       }
@@ -502,8 +509,10 @@ router.post('/send-email-code', async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if user has email 2FA method
-    if (user.twoFactorMethod !== 'email') {
+    // Check if user has email 2FA method (or is confirming a sign-in from a
+    // new IP or device, which uses an emailed code)
+    const { hasPendingStepUp } = require('../services/loginPolicy');
+    if (user.twoFactorMethod !== 'email' && !(await hasPendingStepUp(user.id))) {
       return res.status(400).json({ message: 'Email 2FA is not configured for this user' });
     }
 
@@ -570,5 +579,263 @@ router.post('/send-email-code', async (req, res) => {
   }
 });
 
+// Resolve the user from a login session token or, for users already signed
+// in (Profile page), from the access token. fromLogin is true for a session
+// token - it only proves the password was entered, and must have been issued
+// for 2FA setup rather than a 2FA or step-up challenge.
+async function getSetupUser(req) {
+  const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+
+  if (req.body.sessionToken) {
+    const sessionData = await verifySessionToken(req.body.sessionToken, false, SESSION_TOKEN_PURPOSES.TWO_FACTOR_SETUP);
+    return { user: sessionData ? await User.findByPk(sessionData.userId) : null, fromLogin: true };
+  }
+
+  if (req.headers.authorization) {
+    try {
+      const authToken = req.headers.authorization.replace('Bearer ', '');
+      const decoded = await verifyAccessToken(authToken, req);
+      return { user: await User.findByPk(decoded.userId), fromLogin: false };
+    } catch (err) {
+      // Token invalid
+    }
+  }
+
+  return { user: null, fromLogin: false };
+}
+
+// Registering a key during login is only for users without 2FA - otherwise the
+// password alone would add a key and sign in. Further keys need a signed-in user.
+function checkRegistrationAllowed(user, fromLogin) {
+  if (!(user.twoFactorEnabled && user.twoFactorVerified)) return null;
+  if (fromLogin) {
+    return { status: 403, message: '2FA is already enabled. Sign in first, then add another security key from your profile.' };
+  }
+  // Switching from another method goes through a reset first
+  if (user.twoFactorMethod !== 'webauthn') {
+    return { status: 400, message: '2FA is already enabled. Please reset it first if you want to change it.' };
+  }
+  return null;
+}
+
+function isWebAuthnAllowed(settings) {
+  const allowedMethods = settings.twoFactorAuth?.allowedMethods || ['authenticator', 'email'];
+  return Boolean(settings.twoFactorAuth?.enabled && allowedMethods.includes('webauthn'));
+}
+
+// Start registering a security key or passkey (first-time setup, or adding
+// another one to an account that already uses them)
+router.post('/webauthn/registration-options', async (req, res) => {
+  try {
+    const { user, fromLogin } = await getSetupUser(req);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired session token. Please try logging in again.' });
+    }
+
+    const settings = await Settings.getSettings();
+    if (!isWebAuthnAllowed(settings)) {
+      return res.status(400).json({ message: 'Security keys are not enabled. Please contact your administrator.' });
+    }
+
+    const refusal = checkRegistrationAllowed(user, fromLogin);
+    if (refusal) {
+      return res.status(refusal.status).json({ message: refusal.message });
+    }
+
+    const credentials = await WebAuthnCredential.findAll({ where: { userId: user.id } });
+    const result = await webauthn.createRegistrationOptions(
+      user,
+      credentials,
+      settings.twoFactorAuth.issuer || 'Makita EDI Portal'
+    );
+
+    res.json(result);
+  } catch (error) {
+    console.error('WebAuthn registration options error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Finish registering a security key or passkey. The first one turns on the
+// 'webauthn' 2FA method and, during login, signs the user in.
+router.post('/webauthn/verify-registration', async (req, res) => {
+  try {
+    const { challengeKey, response, sessionToken } = req.body;
+    const name = String(req.body.name || '').trim();
+
+    if (!challengeKey || !response) {
+      return res.status(400).json({ message: 'Security key response is required' });
+    }
+    if (!name) {
+      return res.status(400).json({ message: 'Please give this security key a name' });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({ message: 'Security key name must be 100 characters or fewer' });
+    }
+
+    const { user, fromLogin } = await getSetupUser(req);
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid or expired session token. Please try logging in again.' });
+    }
+
+    const settings = await Settings.getSettings();
+    if (!isWebAuthnAllowed(settings)) {
+      return res.status(400).json({ message: 'Security keys are not enabled. Please contact your administrator.' });
+    }
+    const refusal = checkRegistrationAllowed(user, fromLogin);
+    if (refusal) {
+      return res.status(refusal.status).json({ message: refusal.message });
+    }
+
+    let attributes;
+    try {
+      attributes = await webauthn.verifyRegistration(user, challengeKey, response);
+    } catch (verifyError) {
+      return res.status(400).json({ message: verifyError.message });
+    }
+
+    if (await WebAuthnCredential.findOne({ where: { credentialId: attributes.credentialId } })) {
+      return res.status(400).json({ message: 'This security key is already registered' });
+    }
+
+    const credential = await WebAuthnCredential.create({
+      ...attributes,
+      userId: user.id,
+      name
+    });
+
+    const firstCredential = !(user.twoFactorEnabled && user.twoFactorVerified);
+    if (firstCredential) {
+      user.twoFactorEnabled = true;
+      user.twoFactorVerified = true;
+      user.twoFactorMethod = 'webauthn';
+      user.twoFactorSecret = null;
+      user.emailTwoFactorCode = null;
+      user.emailTwoFactorExpires = null;
+    }
+
+    // Start a session for immediate login (user already verified password + security key).
+    // Users adding a key from their profile are already signed in.
+    let tokens = {};
+    if (fromLogin) {
+      const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+      await verifySessionToken(sessionToken, true, SESSION_TOKEN_PURPOSES.TWO_FACTOR_SETUP); // Consume - setup is complete
+      user.lastLogin = new Date();
+      tokens = await createSession(user, req);
+    }
+    await user.save();
+
+    const userObj = user.toSafeObject ? user.toSafeObject() : user.toJSON();
+    delete userObj.resetPasswordToken;
+    delete userObj.resetPasswordExpires;
+
+    res.json({
+      message: firstCredential ? '2FA enabled successfully' : 'Security key added',
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      user: userObj,
+      credential: webauthn.toCredentialResponse(credential)
+    });
+  } catch (error) {
+    console.error('WebAuthn verify registration error:', error);
+    res.status(error.name === 'LoginPolicyError' ? 403 : 500).json({ message: error.message });
+  }
+});
+
+// Fresh challenge for the security key step of login (e.g. after the
+// browser prompt was dismissed)
+router.post('/webauthn/authentication-options', async (req, res) => {
+  try {
+    const { sessionToken } = req.body;
+    if (!sessionToken) {
+      return res.status(400).json({ message: 'Session token is required' });
+    }
+
+    const { verifySessionToken, SESSION_TOKEN_PURPOSES } = require('../utils/sessionToken');
+    const sessionData = await verifySessionToken(sessionToken, false, SESSION_TOKEN_PURPOSES.TWO_FACTOR_VERIFY);
+    if (!sessionData) {
+      return res.status(401).json({ message: 'Invalid or expired session token. Please try logging in again.' });
+    }
+
+    const user = await User.findByPk(sessionData.userId);
+    if (!user || user.twoFactorMethod !== 'webauthn') {
+      return res.status(400).json({ message: 'Security keys are not configured for this user' });
+    }
+
+    const credentials = await WebAuthnCredential.findAll({ where: { userId: user.id } });
+    res.json(await webauthn.createAuthenticationOptions({ userId: user.id, credentials }));
+  } catch (error) {
+    console.error('WebAuthn authentication options error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// List own security keys and passkeys
+router.get('/webauthn/credentials', auth, async (req, res) => {
+  try {
+    const credentials = await WebAuthnCredential.findAll({
+      where: { userId: req.user.userId },
+      order: [['createdAt', 'ASC']]
+    });
+    res.json(credentials.map(webauthn.toCredentialResponse));
+  } catch (error) {
+    console.error('WebAuthn list credentials error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Rename own security key or passkey
+router.patch('/webauthn/credentials/:id', auth, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ message: 'Please give this security key a name' });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({ message: 'Security key name must be 100 characters or fewer' });
+    }
+
+    const credential = await WebAuthnCredential.findOne({
+      where: { id: req.params.id, userId: req.user.userId }
+    });
+    if (!credential) {
+      return res.status(404).json({ message: 'Security key not found' });
+    }
+
+    credential.name = name;
+    await credential.save();
+
+    res.json(webauthn.toCredentialResponse(credential));
+  } catch (error) {
+    console.error('WebAuthn rename credential error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Remove own security key or passkey. The last one can only go through a
+// full 2FA reset, which asks for the password.
+router.delete('/webauthn/credentials/:id', auth, async (req, res) => {
+  try {
+    const credential = await WebAuthnCredential.findOne({
+      where: { id: req.params.id, userId: req.user.userId }
+    });
+    if (!credential) {
+      return res.status(404).json({ message: 'Security key not found' });
+    }
+
+    const count = await WebAuthnCredential.count({ where: { userId: req.user.userId } });
+    if (count <= 1) {
+      return res.status(400).json({ message: 'This is your only security key. Reset 2FA to stop using security keys.' });
+    }
+
+    await credential.destroy();
+
+    res.json({ message: 'Security key removed' });
+  } catch (error) {
+    console.error('WebAuthn remove credential error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router;
 
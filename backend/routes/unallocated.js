@@ -6,6 +6,9 @@ const globalAdmin = require('../middleware/globalAdmin');
 const { requirePermission, requireManager } = require('../middleware/permissions');
 const { fileImportQueue } = require('../config/queue');
 const { logActivity, ActivityType } = require('../services/activityLogger');
+const { findCompanyByAlias, learnCompanyAliases } = require('../utils/companyAliases');
+const { suggestCompanies } = require('../utils/companySuggestions');
+const { linkCreditNoteOnImport, linkCreditNotesToInvoice } = require('../utils/creditNoteLinking');
 const fs = require('fs');
 const path = require('path');
 const { 
@@ -356,6 +359,32 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/unallocated/:id/suggestions - Companies the document most likely belongs to, best first
+router.get('/:id/suggestions', async (req, res) => {
+  try {
+    const file = await File.findOne({
+      where: {
+        id: req.params.id,
+        status: { [Op.in]: ['unallocated', 'failed'] },
+        deletedAt: null
+      },
+      attributes: ['id', 'parsedData']
+    });
+
+    if (!file) {
+      return res.status(404).json({ message: 'Unallocated document not found' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+    const { suggestions, basis } = await suggestCompanies(file.parsedData || {}, { limit });
+
+    res.json({ suggestions, basis });
+  } catch (error) {
+    console.error('Error suggesting companies:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // View unallocated document PDF (view only, no download)
 router.get('/:id/view-pdf', async (req, res) => {
   try {
@@ -443,12 +472,20 @@ router.get('/:id/view-file', async (req, res) => {
     const mimeByExt = {
       '.pdf': 'application/pdf',
       '.xls': 'application/vnd.ms-excel',
-      '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      '.xml': 'application/xml'
     };
     const contentType = mimeByExt[ext] || 'application/octet-stream';
 
+    // Imported XML is untrusted and could carry script or a stylesheet, so
+    // it's downloaded rather than rendered in the portal's origin
+    if (ext === '.xml') {
+      res.attachment(file.fileName || path.basename(filePath));
+    } else {
+      res.setHeader('Content-Disposition', `inline; filename="${file.fileName}"`);
+    }
     res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `inline; filename="${file.fileName}"`);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
     res.sendFile(filePath);
   } catch (error) {
     console.error('Error viewing unallocated document file:', error);
@@ -499,11 +536,13 @@ router.put('/:id', requirePermission('UNALLOCATED_EDIT'), async (req, res) => {
     }
 
     // If companyId is provided, assign it
+    let assignedCompany = null;
     if (companyId) {
       const company = await Company.findByPk(companyId);
       if (!company) {
         return res.status(400).json({ message: 'Company not found' });
       }
+      assignedCompany = company;
       // Set customerId on file (File model uses customerId to reference Company)
       file.customerId = companyId;
       // Also update accountNumber in parsedData to match company's referenceNo
@@ -513,14 +552,16 @@ router.put('/:id', requirePermission('UNALLOCATED_EDIT'), async (req, res) => {
       }
     }
 
-    // Add edit log entry
+    // Add edit log entry (assigning a company also replaces the account number)
     const editLog = file.editLog || [];
     editLog.push({
       editedBy: req.user.userId,
       editedByName: req.user.name || req.user.email,
       editedAt: new Date().toISOString(),
       changes: changes,
-      accountNumber: accountNumber !== undefined ? { from: oldParsedData.accountNumber, to: accountNumber } : undefined
+      accountNumber: accountNumber !== undefined || assignedCompany
+        ? { from: oldParsedData.accountNumber, to: file.parsedData?.accountNumber }
+        : undefined
     });
 
     file.editLog = editLog;
@@ -530,6 +571,11 @@ router.put('/:id', requirePermission('UNALLOCATED_EDIT'), async (req, res) => {
 
     await file.save();
 
+    // The user picked the company - remember how the document identified it
+    if (assignedCompany) {
+      await learnCompanyAliases({ file, company: assignedCompany, userId: req.user.userId });
+    }
+
     // Log unallocated file edit
     await logActivity({
       type: ActivityType.UNALLOCATED_EDITED,
@@ -1071,30 +1117,37 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
                          parsedData.account_no || parsedData.accountNo || 
                          parsedData.customer_number || null;
     
-    if (!accountNumber) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'No account number found in parsed data. Please edit the document to add an account number first.',
-        parsedFields: Object.keys(parsedData)
-      });
-    }
-
     // Try to match to a company
-    const accountStr = accountNumber.toString().trim();
+    const accountStr = accountNumber ? accountNumber.toString().trim() : '';
     const accountStrNormalized = accountStr.replace(/[^\d]/g, '');
     const accountInt = parseInt(accountStrNormalized, 10);
 
     let matchedCompany = null;
+    let matchedBy = null;
+
+    // Company picked by the user (e.g. from the suggestions) - skip matching
+    if (req.body && req.body.companyId) {
+      matchedCompany = await Company.findOne({
+        where: { id: req.body.companyId, isActive: true }
+      });
+      if (!matchedCompany) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected company not found or inactive'
+        });
+      }
+      matchedBy = 'selected_company';
+    }
 
     // Try referenceNo (integer) match first
-    if (!isNaN(accountInt)) {
+    if (!matchedCompany && !isNaN(accountInt)) {
       matchedCompany = await Company.findOne({
         where: { referenceNo: accountInt, isActive: true }
       });
     }
 
     // Try code match
-    if (!matchedCompany) {
+    if (!matchedCompany && accountStr) {
       matchedCompany = await Company.findOne({
         where: { 
           code: { [Op.in]: [accountStr, accountStrNormalized] },
@@ -1102,6 +1155,24 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
         }
       });
     }
+    if (matchedCompany && !matchedBy) {
+      matchedBy = 'account_number';
+    }
+
+    // Try aliases learned from earlier manual allocations
+    if (!matchedCompany) {
+      const aliasMatch = await findCompanyByAlias(parsedData);
+      matchedCompany = aliasMatch ? aliasMatch.company : null;
+      matchedBy = aliasMatch ? 'alias' : null;
+    }
+
+    if (!matchedCompany && !accountNumber) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'No account number found in parsed data. Please edit the document to add an account number first.',
+        parsedFields: Object.keys(parsedData)
+      });
+    }
 
     if (!matchedCompany) {
       return res.status(400).json({ 
@@ -1201,6 +1272,9 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
       });
 
       console.log(`✅ Created invoice ${invoiceNumber} for company ${matchedCompany.name} from unallocated file ${file.id}`);
+
+      // Credit notes imported before this invoice that refer to it
+      await linkCreditNotesToInvoice(document, parsedData);
     } else {
       const creditNoteNumber = parsedData.creditNumber || parsedData.creditNoteNumber || 
                                parsedData.documentNumber || `CN-${Date.now()}-${file.fileHash?.substring(0, 8) || 'ALLOC'}`;
@@ -1243,6 +1317,9 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
       });
 
       console.log(`✅ Created credit note ${creditNoteNumber} for company ${matchedCompany.name} from unallocated file ${file.id}`);
+
+      // Link to the invoice it credits (invoice number in its fields or text)
+      await linkCreditNoteOnImport(document, parsedData);
     }
 
     // Move file from unprocessed to processed folder
@@ -1301,6 +1378,9 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
     file.metadata = metadata;
     await file.save();
 
+    // Remember how this document identified the company for next time
+    const aliases = await learnCompanyAliases({ file, company: matchedCompany, userId: req.user.userId });
+
     // Log activity
     await logActivity({
       type: ActivityType.UNALLOCATED_ALLOCATED,
@@ -1315,7 +1395,9 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
         companyName: matchedCompany.name,
         documentType: isInvoice ? 'invoice' : 'credit_note',
         documentId: document.id,
-        documentNumber: isInvoice ? document.invoiceNumber : document.creditNoteNumber
+        documentNumber: isInvoice ? document.invoiceNumber : document.creditNoteNumber,
+        matchedBy,
+        learnedAliases: aliases.learned
       },
       companyId: matchedCompany.id,
       companyName: matchedCompany.name,
@@ -1326,6 +1408,7 @@ router.post('/:id/attempt-allocation', requirePermission('UNALLOCATED_REALLOCATE
     res.json({
       success: true,
       message: `Successfully allocated to ${matchedCompany.name}`,
+      aliases,
       company: {
         id: matchedCompany.id,
         name: matchedCompany.name,
@@ -1363,16 +1446,8 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
                        parsedData.account_no || parsedData.accountNo || 
                        parsedData.customer_number || null;
   
-  if (!accountNumber) {
-    return {
-      success: false,
-      error: 'No account number found in parsed data',
-      parsedFields: Object.keys(parsedData)
-    };
-  }
-
   // Try to match to a company
-  const accountStr = accountNumber.toString().trim();
+  const accountStr = accountNumber ? accountNumber.toString().trim() : '';
   const accountStrNormalized = accountStr.replace(/[^\d]/g, '');
   const accountInt = parseInt(accountStrNormalized, 10);
 
@@ -1386,7 +1461,7 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
   }
 
   // Try code match
-  if (!matchedCompany) {
+  if (!matchedCompany && accountStr) {
     matchedCompany = await Company.findOne({
       where: { 
         code: { [Op.in]: [accountStr, accountStrNormalized] },
@@ -1395,6 +1470,20 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
     });
   }
 
+  // Try aliases learned from earlier manual allocations
+  if (!matchedCompany) {
+    const aliasMatch = await findCompanyByAlias(parsedData);
+    matchedCompany = aliasMatch ? aliasMatch.company : null;
+  }
+
+  if (!matchedCompany && !accountNumber) {
+    return {
+      success: false,
+      error: 'No account number found in parsed data',
+      parsedFields: Object.keys(parsedData)
+    };
+  }
+
   if (!matchedCompany) {
     return {
       success: false,
@@ -1492,6 +1581,9 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
     });
 
     console.log(`✅ Created invoice ${invoiceNumber} for company ${matchedCompany.name} from unallocated file ${file.id}`);
+
+    // Credit notes imported before this invoice that refer to it
+    await linkCreditNotesToInvoice(document, parsedData);
   } else {
     const creditNoteNumber = parsedData.creditNumber || parsedData.creditNoteNumber || 
                              parsedData.documentNumber || `CN-${Date.now()}-${file.fileHash?.substring(0, 8) || 'ALLOC'}`;
@@ -1534,6 +1626,9 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
     });
 
     console.log(`✅ Created credit note ${creditNoteNumber} for company ${matchedCompany.name} from unallocated file ${file.id}`);
+
+    // Link to the invoice it credits (invoice number in its fields or text)
+    await linkCreditNoteOnImport(document, parsedData);
   }
 
   // Move file from unprocessed to processed folder
@@ -1586,6 +1681,12 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
   file.metadata = metadata;
   await file.save();
 
+  // Only learn aliases from files someone corrected by hand - the rest matched
+  // on their own account number, so there's nothing new to remember
+  const aliases = file.manuallyEditedById
+    ? await learnCompanyAliases({ file, company: matchedCompany, userId })
+    : { learned: [], conflicts: [] };
+
   // Log activity
   await logActivity({
     type: ActivityType.UNALLOCATED_ALLOCATED,
@@ -1600,7 +1701,8 @@ async function attemptAllocationForFile(file, userId, userEmail, userRole, ip, u
       companyName: matchedCompany.name,
       documentType: isInvoice ? 'invoice' : 'credit_note',
       documentId: document.id,
-      documentNumber: isInvoice ? document.invoiceNumber : document.creditNoteNumber
+      documentNumber: isInvoice ? document.invoiceNumber : document.creditNoteNumber,
+      learnedAliases: aliases.learned
     },
     companyId: matchedCompany.id,
     companyName: matchedCompany.name,
@@ -13,6 +13,7 @@ const { Op } = require('sequelize');
 const auth = require('../middleware/auth');
 const { requirePermission } = require('../middleware/permissions');
 const { getManageableRoles } = require('../utils/roleHierarchy');
+const { isKnownRole } = require('../utils/roleRegistry');
 const { logActivity, ActivityType } = require('../services/activityLogger');
 const router = express.Router();
 
@@ -166,7 +167,8 @@ async function processRowForPreview(row, rowNum, existingUsersMap, existingCompa
       'notification': 'notification_contact',
       'contact': 'notification_contact'
     };
-    normalizedRole = roleMap[roleLower] || 'notification_contact';
+    // Custom roles (Settings > Roles & Permissions) are matched by key
+    normalizedRole = roleMap[roleLower] || (isKnownRole(roleLower) ? roleLower : 'notification_contact');
   }
 
   // Verify the importer is allowed to assign this role
@@ -5,11 +5,13 @@ const XLSX = require('xlsx');
 const { User, Company, UserCompany, Settings, Sequelize, sequelize } = require('../models');
 const { Op, QueryTypes } = Sequelize;
 const { canManageUsers } = require('../middleware/roleCheck');
-const { canManageRole, getManageableRoles, getRoleLabel, ROLE_HIERARCHY } = require('../utils/roleHierarchy');
+const { canManageRole, getManageableRoles, getRoleLabel } = require('../utils/roleHierarchy');
+const { getRoles, isKnownRole } = require('../utils/roleRegistry');
 const auth = require('../middleware/auth');
 const { requirePermission, requireAdmin } = require('../middleware/permissions');
 const { redis } = require('../config/redis');
 const { logActivity, ActivityType } = require('../services/activityLogger');
+const { listSessions, revokeSession, revokeAllSessions } = require('../utils/authSessions');
 const router = express.Router();
 
 // Helper function to validate UUID
@@ -47,7 +49,7 @@ router.get('/', canManageUsers, async (req, res) => {
     const manageableRoles = getManageableRoles(req.user.role);
     
     // Filter by manageable roles (global admins can see all users)
-    const where = manageableRoles.length === Object.keys(ROLE_HIERARCHY).length
+    const where = manageableRoles.length === getRoles().length
       ? {} 
       : { role: { [Op.in]: manageableRoles } };
     
@@ -190,12 +192,20 @@ router.post('/bulk-status', canManageUsers, async (req, res) => {
     const manageableRoles = getManageableRoles(req.user.role);
     
     // Update users (only those the current user can manage)
-    const where = manageableRoles.length === Object.keys(ROLE_HIERARCHY).length
+    const where = manageableRoles.length === getRoles().length
       ? { id: { [Op.in]: validUserIds } }
       : { id: { [Op.in]: validUserIds }, role: { [Op.in]: manageableRoles } };
     
     const [affectedCount] = await User.update({ isActive }, { where });
     
+    // Deactivated users are signed out straight away
+    if (isActive === false) {
+      const deactivatedUsers = await User.findAll({ where, attributes: ['id'] });
+      for (const deactivated of deactivatedUsers) {
+        await revokeAllSessions(deactivated.id, { reason: 'account deactivated' });
+      }
+    }
+    
     res.json({
       message: `${affectedCount} user(s) ${isActive ? 'activated' : 'deactivated'} successfully`,
       modifiedCount: affectedCount
@@ -236,7 +246,7 @@ router.get('/export', canManageUsers, async (req, res) => {
     const manageableRoles = getManageableRoles(req.user.role);
     
     // Filter by manageable roles (global admins can see all users)
-    const where = manageableRoles.length === Object.keys(ROLE_HIERARCHY).length
+    const where = manageableRoles.length === getRoles().length
       ? {} 
       : { role: { [Op.in]: manageableRoles } };
 
@@ -964,6 +974,11 @@ router.put('/:id/status', canManageUsers, async (req, res) => {
     user.isActive = isActive;
     await user.save();
     
+    // Deactivated users are signed out straight away
+    if (isActive === false) {
+      await revokeAllSessions(user.id, { reason: 'account deactivated' });
+    }
+    
     // Log user status change
     await logActivity({
       type: ActivityType.USER_UPDATED,
@@ -1137,6 +1152,10 @@ router.put('/:id', canManageUsers, async (req, res) => {
         user.emailChangeExpires = null;
       }
     }
+    // Sessions carry the role in their access token, so a role change or
+    // deactivation signs the user out
+    const revokeSessions = (req.body.role !== undefined && req.body.role !== user.role) ||
+      (req.body.isActive === false && user.isActive !== false);
     if (req.body.role !== undefined) user.role = req.body.role;
     if (req.body.isActive !== undefined) user.isActive = req.body.isActive;
     if (allCompanies !== undefined) user.allCompanies = allCompanies;
@@ -1150,6 +1169,10 @@ router.put('/:id', canManageUsers, async (req, res) => {
     
     await user.save();
     
+    if (revokeSessions) {
+      await revokeAllSessions(user.id, { reason: 'role or status changed' });
+    }
+    
     // Send email notification if email was changed by admin
     if (emailChanged) {
       try {
@@ -1323,6 +1346,7 @@ router.put('/:id/password', canManageUsers, async (req, res) => {
     user.password = password; // Will be hashed by pre-save hook
     user.mustChangePassword = false; // Clear flag when admin sets password
     await user.save();
+    await revokeAllSessions(user.id, { reason: 'password set by administrator' });
     
     // Log password reset by admin
     await logActivity({
@@ -1374,6 +1398,7 @@ router.post('/:id/reset-password', canManageUsers, async (req, res) => {
     user.password = tempPassword; // Will be hashed by pre-save hook
     user.mustChangePassword = true; // Force password change on next login
     await user.save();
+    await revokeAllSessions(user.id, { reason: 'password reset by administrator' });
     
     // Send email with temporary password
     try {
@@ -1482,6 +1507,7 @@ router.post('/bulk-delete', requirePermission('USERS_DELETE'), async (req, res)
         const deletedUserRole = user.role;
 
         await user.destroy();
+        await revokeAllSessions(user.id, { reason: 'account deleted' });
 
         await logActivity({
           type: ActivityType.USER_DELETED,
@@ -1579,6 +1605,7 @@ router.delete('/:id', requirePermission('USERS_DELETE'), async (req, res) => {
     const deleteReason = req.body?.reason || '';
     
     await user.destroy();
+    await revokeAllSessions(validatedUserId, { reason: 'account deleted' });
     console.log('[Delete User] Success: User deleted');
     
     await logActivity({
@@ -1675,6 +1702,111 @@ router.delete('/:id/two-factor', canManageUsers, async (req, res) => {
   }
 });
 
+// Load a user the current user may manage, for the session routes below
+const findManageableUser = async (req, res) => {
+  const validation = validateUUID(req.params.id, 'user ID');
+  if (!validation.valid) {
+    res.status(400).json({ message: validation.error });
+    return null;
+  }
+  
+  const user = await User.findByPk(validation.value);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  
+  // Check if current user can manage this user (global admins can manage all roles)
+  if (user.id !== req.user.userId && !canManageRole(req.user.role, user.role)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+  
+  return user;
+};
+
+// List a user's active sessions
+router.get('/:id/sessions', canManageUsers, async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+    
+    const sessions = await listSessions(user.id, req.user.sid);
+    res.json({ sessions });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out all of a user's sessions
+router.delete('/:id/sessions', canManageUsers, async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+    
+    // Revoking your own sessions here keeps the one making the request
+    const except = user.id === req.user.userId ? req.user.sid : null;
+    const revoked = await revokeAllSessions(user.id, { except, reason: `revoked by ${req.user.userId}` });
+    
+    await logActivity({
+      type: ActivityType.SESSION_REVOKED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Signed out ${revoked} session(s) for user ${user.name} (${user.email})`,
+      details: { 
+        targetUserId: user.id,
+        targetUserName: user.name,
+        targetUserEmail: user.email,
+        revoked
+      },
+      companyId: null,
+      companyName: null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ message: `Signed out ${revoked} session(s)`, revoked });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Sign out one of a user's sessions
+router.delete('/:id/sessions/:sessionId', canManageUsers, async (req, res) => {
+  try {
+    const user = await findManageableUser(req, res);
+    if (!user) return;
+    
+    const revoked = await revokeSession(user.id, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    await logActivity({
+      type: ActivityType.SESSION_REVOKED,
+      userId: req.user.userId,
+      userEmail: req.user.email,
+      userRole: req.user.role,
+      action: `Signed out a session for user ${user.name} (${user.email})`,
+      details: { 
+        targetUserId: user.id,
+        targetUserName: user.name,
+        targetUserEmail: user.email,
+        sessionId: req.params.sessionId
+      },
+      companyId: null,
+      companyName: null,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+    
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Configure multer for file uploads (for import)
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -1899,10 +2031,9 @@ async function processUserRowForPreview(row, rowNum, existingUsersMap, existingU
     }
 
     // Validate role
-    const validRoles = ['global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller', 'external_user', 'notification_contact'];
-    if (!validRoles.includes(role)) {
+    if (!isKnownRole(role)) {
       result.status = 'error';
-      result.errors.push(`Invalid role: ${role}. Valid roles: ${validRoles.join(', ')}`);
+      result.errors.push(`Invalid role: ${role}. Valid roles: ${getRoles().map(r => r.key).join(', ')}`);
       return result;
     }
 
@@ -2352,8 +2483,7 @@ router.post('/import', canManageUsers, upload.single('file'), async (req, res) =
         }
 
         // Validate role
-        const validRoles = ['global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller', 'external_user', 'notification_contact'];
-        if (!validRoles.includes(role)) {
+        if (!isKnownRole(role)) {
           results.errors.push(`Row ${rowNum}: Invalid role: ${role}`);
           continue;
         }
@@ -0,0 +1,319 @@
+/**
+ * Webhook Endpoint Routes
+ * Global Admin management of outbound webhooks (Settings > Webhooks):
+ * endpoints, their delivery log, test pings and redelivery.
+ * Events are sent by services/webhooks.js.
+ */
+
+const express = require('express');
+const { WebhookEndpoint, WebhookDelivery, Company, User } = require('../models');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  emitWebhookEvent,
+  redeliver,
+  toEndpointResponse
+} = require('../services/webhooks');
+const router = express.Router();
+
+router.use(auth);
+router.use(requirePermission('WEBHOOKS_MANAGE'));
+
+const endpointInclude = [{ model: Company, as: 'company', attributes: ['id', 'name'] }];
+
+/**
+ * Validate and normalise endpoint fields from the request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only validate the fields that are present (updates)
+ * @returns {Promise<{values?: Object, error?: string}>}
+ */
+async function parseEndpointBody(body, partial = false) {
+  const values = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'Name is required (max 100 characters)' };
+    }
+    values.name = name;
+  }
+
+  if (!partial || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      return { error: 'URL is not valid' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || body.url.length > 2048) {
+      return { error: 'URL must be an http:// or https:// address (max 2048 characters)' };
+    }
+    values.url = url.toString();
+  }
+
+  if (!partial || body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: 'Select at least one event' };
+    }
+    const unknown = body.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return { error: `Unknown event(s): ${unknown.join(', ')}` };
+    }
+    values.events = [...new Set(body.events)];
+  }
+
+  if (body.companyId !== undefined) {
+    if (body.companyId) {
+      const company = await Company.findByPk(body.companyId, { attributes: ['id'] });
+      if (!company) {
+        return { error: 'Company not found' };
+      }
+    }
+    values.companyId = body.companyId || null;
+  }
+
+  if (body.enabled !== undefined) {
+    values.enabled = body.enabled === true;
+  }
+
+  return { values };
+}
+
+async function logWebhookActivity(req, type, action, endpoint, extraDetails = {}) {
+  const user = await User.findByPk(req.user.userId, { attributes: ['email'] });
+  await logActivity({
+    type,
+    userId: req.user.userId,
+    userEmail: user?.email,
+    userRole: req.user.role,
+    action,
+    details: {
+      webhookId: endpoint.id,
+      name: endpoint.name,
+      url: endpoint.url,
+      ...extraDetails
+    },
+    companyId: endpoint.companyId,
+    ipAddress: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent')
+  });
+}
+
+// List endpoints
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.findAll({
+      include: endpointInclude,
+      order: [['createdAt', 'ASC']]
+    });
+    res.json({
+      endpoints: endpoints.map(toEndpointResponse),
+      availableEvents: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    res.status(500).json({ message: 'Error fetching webhook endpoints' });
+  }
+});
+
+// Create endpoint - the secret is only returned here and on rotation
+router.post('/', async (req, res) => {
+  try {
+    const { values, error } = await parseEndpointBody(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const endpoint = await WebhookEndpoint.create({
+      ...values,
+      secret: generateSecret(),
+      createdById: req.user.userId
+    });
+    await endpoint.reload({ include: endpointInclude });
+
+    await logWebhookActivity(req, ActivityType.WEBHOOK_CREATED, `Created webhook endpoint: ${endpoint.name}`, endpoint, {
+      events: endpoint.events
+    });
+
+    res.status(201).json({
+      endpoint: toEndpointResponse(endpoint),
+      secret: endpoint.secret
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+    res.status(500).json({ message: 'Error creating webhook endpoint' });
+  }
+});
+
+// Update endpoint
+router.put('/:id', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByPk(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ message: 'Webhook endpoint not found' });
+    }
+
+    const { values, error } = await parseEndpointBody(req.body, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await endpoint.update(values);
+    await endpoint.reload({ include: endpointInclude });
+
+    await logWebhookActivity(req, ActivityType.WEBHOOK_UPDATED, `Updated webhook endpoint: ${endpoint.name}`, endpoint, {
+      changes: Object.keys(values)
+    });
+
+    res.json({ endpoint: toEndpointResponse(endpoint) });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+    res.status(500).json({ message: 'Error updating webhook endpoint' });
+  }
+});
+
+// Rotate the signing secret (takes effect for every delivery sent from now on)
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByPk(req.params.id, { include: endpointInclude });
+    if (!endpoint) {
+      return res.status(404).json({ message: 'Webhook endpoint not found' });
+    }
+
+    await endpoint.update({ secret: generateSecret() });
+
+    await logWebhookActivity(req, ActivityType.WEBHOOK_UPDATED, `Rotated secret for webhook endpoint: ${endpoint.name}`, endpoint, {
+      changes: ['secret']
+    });
+
+    res.json({
+      endpoint: toEndpointResponse(endpoint),
+      secret: endpoint.secret
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Error rotating webhook secret' });
+  }
+});
+
+// Delete endpoint (its delivery log goes with it)
+router.delete('/:id', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByPk(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ message: 'Webhook endpoint not found' });
+    }
+
+    await endpoint.destroy();
+
+    await logWebhookActivity(req, ActivityType.WEBHOOK_DELETED, `Deleted webhook endpoint: ${endpoint.name}`, endpoint);
+
+    res.json({ message: 'Webhook endpoint deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({ message: 'Error deleting webhook endpoint' });
+  }
+});
+
+// Send a ping event, whatever the endpoint subscribes to (and even if disabled)
+router.post('/:id/test', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByPk(req.params.id);
+    if (!endpoint) {
+      return res.status(404).json({ message: 'Webhook endpoint not found' });
+    }
+
+    const queued = await emitWebhookEvent('ping', {
+      endpoint,
+      companyId: endpoint.companyId,
+      data: { message: 'Test event from the invoice portal', endpointId: endpoint.id }
+    });
+    if (!queued) {
+      return res.status(500).json({ message: 'Could not queue the test event' });
+    }
+
+    res.json({ message: 'Test event queued' });
+  } catch (error) {
+    console.error('Error sending webhook test event:', error);
+    res.status(500).json({ message: 'Error sending webhook test event' });
+  }
+});
+
+// Delivery log for an endpoint, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByPk(req.params.id, { attributes: ['id'] });
+    if (!endpoint) {
+      return res.status(404).json({ message: 'Webhook endpoint not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const where = { endpointId: endpoint.id };
+    if (req.query.status) {
+      if (!WebhookDelivery.rawAttributes.status.values.includes(req.query.status)) {
+        return res.status(400).json({ message: 'Invalid status filter' });
+      }
+      where.status = req.query.status;
+    }
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      attributes: { exclude: ['payload', 'responseBody'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      deliveries: rows,
+      pagination: {
+        total: count,
+        page,
+        pages: Math.ceil(count / limit),
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ message: 'Error fetching webhook deliveries' });
+  }
+});
+
+// Single delivery with its payload and response
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findByPk(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({ message: 'Error fetching webhook delivery' });
+  }
+});
+
+// Resend a delivery's payload (as a new delivery, so the original stays in the log)
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findByPk(req.params.deliveryId, {
+      include: [{ model: WebhookEndpoint, as: 'endpoint' }]
+    });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const redelivery = await redeliver(delivery);
+
+    res.status(201).json({ message: 'Redelivery queued', delivery: redelivery });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ message: 'Error redelivering webhook' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+/**
+ * Migration script to create aging_snapshots table
+ * Stores aged-debt buckets per company per statement date for the aging report.
+ *
+ * Also backfills snapshots from statements that already carry
+ * metadata.aging (written by findOrCreateStatement), so the report has
+ * history from before this table existed. Existing snapshots are never
+ * overwritten by the backfill.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addAgingSnapshotsTable() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating aging_snapshots table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS aging_snapshots (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "companyId" UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        "statementDate" DATE NOT NULL,
+        "accountNumber" VARCHAR(255),
+        "currentAmount" DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        "overdue1To30" DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        "overdue31To60" DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        "overdue61To90" DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        "overdue91Plus" DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        "totalBalance" DECIMAL(12, 2) NOT NULL DEFAULT 0,
+        "statementId" UUID REFERENCES statements(id) ON DELETE SET NULL,
+        source VARCHAR(255) NOT NULL DEFAULT 'statement_generate',
+        "importId" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    console.log('📝 Creating indexes...');
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "aging_snapshots_company_id_statement_date" ON aging_snapshots ("companyId", "statementDate");
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "aging_snapshots_statement_date" ON aging_snapshots ("statementDate");
+    `, { transaction });
+
+    console.log('📝 Backfilling from existing statements...');
+    const [, backfilled] = await sequelize.query(`
+      INSERT INTO aging_snapshots (
+        id, "companyId", "statementDate",
+        "currentAmount", "overdue1To30", "overdue31To60", "overdue61To90", "overdue91Plus", "totalBalance",
+        "statementId", source, "createdAt", "updatedAt"
+      )
+      SELECT
+        gen_random_uuid(), s."companyId", s."periodEnd"::date,
+        COALESCE((s.metadata->'aging'->>'currentAmount')::numeric, 0),
+        COALESCE((s.metadata->'aging'->>'overdue1To30')::numeric, 0),
+        COALESCE((s.metadata->'aging'->>'overdue31To60')::numeric, 0),
+        COALESCE((s.metadata->'aging'->>'overdue61To90')::numeric, 0),
+        COALESCE((s.metadata->'aging'->>'overdue91Plus')::numeric, 0),
+        COALESCE((s.metadata->'aging'->>'totalBalance')::numeric, s."closingBalance", 0),
+        s.id, 'backfill', NOW(), NOW()
+      FROM statements s
+      WHERE s.metadata->'aging' IS NOT NULL
+        AND s."companyId" IS NOT NULL
+        AND s."periodEnd" IS NOT NULL
+      ON CONFLICT ("companyId", "statementDate") DO NOTHING;
+    `, { transaction });
+    console.log(`✅ Backfilled ${backfilled?.rowCount ?? backfilled ?? 0} snapshot(s)`);
+
+    await transaction.commit();
+    console.log('✅ aging_snapshots table created successfully!');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating aging_snapshots table:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addAgingSnapshotsTable()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addAgingSnapshotsTable };
@@ -0,0 +1,65 @@
+/**
+ * Migration script for personal API keys
+ * Creates the api_keys table used by the read-only public API (/api/v1).
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addApiKeys() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating api_keys table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        prefix VARCHAR(32) NOT NULL,
+        "keyHash" VARCHAR(64) NOT NULL,
+        scopes JSONB NOT NULL DEFAULT '[]'::jsonb,
+        "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "lastUsedAt" TIMESTAMP WITH TIME ZONE,
+        "lastUsedIp" VARCHAR(45),
+        "revokedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "api_keys_prefix" ON api_keys (prefix);
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "api_keys_user_id" ON api_keys ("userId");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE api_keys IS 'Personal API keys for the read-only public API';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ api_keys table created successfully!');
+    console.log('   Users can now create keys under Profile > API Keys');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating api_keys table:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addApiKeys()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addApiKeys };
@@ -0,0 +1,136 @@
+/**
+ * Migration script for the audit trail
+ * Creates the audit_entries and audit_checkpoints tables, and triggers that
+ * make them append-only: updates, deletes and truncates are refused, except
+ * deletes from audit_entries in a transaction that has set
+ * audit.allow_prune (the scheduled retention job in services/auditTrail.js).
+ *
+ * Entries are written from the activity log from then on; activity from
+ * before this migration is not copied in.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addAuditTrail() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating audit_entries table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS audit_entries (
+        id BIGSERIAL PRIMARY KEY,
+        "logId" VARCHAR(50) NOT NULL,
+        "occurredAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        "userId" VARCHAR(50),
+        "userEmail" VARCHAR(255),
+        "userRole" VARCHAR(50),
+        action TEXT NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}'::jsonb,
+        "companyId" VARCHAR(50),
+        "companyName" VARCHAR(255),
+        "ipAddress" VARCHAR(64),
+        "userAgent" TEXT,
+        "previousHash" VARCHAR(64) NOT NULL,
+        hash VARCHAR(64) NOT NULL,
+        "hashAlgorithm" VARCHAR(20) NOT NULL DEFAULT 'sha256'
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "audit_entries_occurred_at" ON audit_entries ("occurredAt");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "audit_entries_type" ON audit_entries (type);
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "audit_entries_user_id" ON audit_entries ("userId");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "audit_entries_company_id" ON audit_entries ("companyId");
+    `, { transaction });
+
+    console.log('🔄 Creating audit_checkpoints table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS audit_checkpoints (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "throughEntryId" BIGINT NOT NULL,
+        "throughHash" VARCHAR(64) NOT NULL,
+        "entriesRemoved" INTEGER NOT NULL,
+        cutoff TIMESTAMP WITH TIME ZONE NOT NULL,
+        "retentionDays" INTEGER NOT NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "audit_checkpoints_through_entry_id" ON audit_checkpoints ("throughEntryId");
+    `, { transaction });
+
+    console.log('🔄 Adding append-only triggers...');
+
+    await sequelize.query(`
+      CREATE OR REPLACE FUNCTION audit_trail_append_only() RETURNS trigger AS $$
+      BEGIN
+        IF TG_OP = 'DELETE'
+          AND TG_TABLE_NAME = 'audit_entries'
+          AND current_setting('audit.allow_prune', true) = 'on' THEN
+          RETURN OLD;
+        END IF;
+        RAISE EXCEPTION '% is append-only (% refused)', TG_TABLE_NAME, TG_OP;
+      END;
+      $$ LANGUAGE plpgsql;
+    `, { transaction });
+
+    for (const table of ['audit_entries', 'audit_checkpoints']) {
+      await sequelize.query(`
+        DROP TRIGGER IF EXISTS "${table}_append_only" ON ${table};
+      `, { transaction });
+      await sequelize.query(`
+        CREATE TRIGGER "${table}_append_only"
+          BEFORE UPDATE OR DELETE ON ${table}
+          FOR EACH ROW EXECUTE FUNCTION audit_trail_append_only();
+      `, { transaction });
+      await sequelize.query(`
+        DROP TRIGGER IF EXISTS "${table}_no_truncate" ON ${table};
+      `, { transaction });
+      await sequelize.query(`
+        CREATE TRIGGER "${table}_no_truncate"
+          BEFORE TRUNCATE ON ${table}
+          FOR EACH STATEMENT EXECUTE FUNCTION audit_trail_append_only();
+      `, { transaction });
+    }
+
+    await sequelize.query(`
+      COMMENT ON TABLE audit_entries IS 'Append-only, hash-chained audit trail of activity';
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON TABLE audit_checkpoints IS 'Last entry removed by each audit trail retention run';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Audit trail tables created successfully!');
+    console.log('   Retention is set with AUDIT_RETENTION_DAYS (default 2557 days, minimum 365)');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating audit trail tables:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addAuditTrail()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addAuditTrail };
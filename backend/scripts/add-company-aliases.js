@@ -0,0 +1,86 @@
+/**
+ * Migration script for company aliases
+ * Creates the company_aliases table: account numbers, customer names and PO
+ * prefixes learned from manually allocated unallocated documents, which the
+ * import jobs use to match later documents to the same company.
+ *
+ * Aliases are learned from allocations made after this runs; review them
+ * under Unallocated > Aliases.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addCompanyAliases() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating company_aliases table...');
+
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_company_aliases_type" AS ENUM ('account_number', 'customer_name', 'po_prefix');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction });
+
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_company_aliases_source" AS ENUM ('allocation', 'manual');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS company_aliases (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "companyId" UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        type "enum_company_aliases_type" NOT NULL,
+        value VARCHAR(255) NOT NULL,
+        "normalizedValue" VARCHAR(255) NOT NULL,
+        source "enum_company_aliases_source" NOT NULL DEFAULT 'allocation',
+        "createdById" UUID REFERENCES users(id) ON DELETE SET NULL,
+        "sourceFileId" UUID,
+        "matchCount" INTEGER NOT NULL DEFAULT 0,
+        "lastMatchedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "company_aliases_type_normalized_value" ON company_aliases (type, "normalizedValue");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "company_aliases_company_id" ON company_aliases ("companyId");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE company_aliases IS 'Account numbers, customer names and PO prefixes that identify a company on imported documents';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Company aliases table created successfully!');
+    console.log('   Aliases are learned when documents are allocated by hand from Unallocated');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating company aliases table:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addCompanyAliases()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addCompanyAliases };
@@ -0,0 +1,71 @@
+/**
+ * Migration script for SAML single sign-on for CORP customers
+ * Creates the company_saml_configs table (one identity provider per CORP
+ * company, matched to users by email domain).
+ *
+ * Run after add-sso-settings.js (SAML users are linked through
+ * users."ssoProvider" / "ssoSubject").
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addCompanySamlConfigs() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating company_saml_configs table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS company_saml_configs (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "companyId" UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        enabled BOOLEAN NOT NULL DEFAULT false,
+        "emailDomains" VARCHAR(255)[] NOT NULL DEFAULT '{}',
+        "idpEntityId" VARCHAR(255),
+        "idpSsoUrl" TEXT,
+        "idpCertificates" JSONB NOT NULL DEFAULT '[]'::jsonb,
+        "metadataXml" TEXT,
+        "emailAttribute" VARCHAR(255),
+        "autoProvision" BOOLEAN NOT NULL DEFAULT true,
+        "allowPasswordLogin" BOOLEAN NOT NULL DEFAULT false,
+        "updatedById" UUID REFERENCES users(id) ON DELETE SET NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "company_saml_configs_company_id" ON company_saml_configs ("companyId");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "company_saml_configs_email_domains" ON company_saml_configs USING gin ("emailDomains");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE company_saml_configs IS 'SAML 2.0 identity providers for CORP customers, matched by email domain';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ company_saml_configs table created successfully!');
+    console.log('   Configure identity providers on each CORP company page');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating company_saml_configs table:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addCompanySamlConfigs()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addCompanySamlConfigs };
@@ -0,0 +1,93 @@
+/**
+ * Migration script for credit note -> invoice links
+ * Adds credit_notes."invoiceReference" (the invoice number a credit note
+ * refers to, kept even when that invoice hasn't been imported yet), then
+ * links existing credit notes to their invoices from the parsed data stored
+ * when they were imported (utils/creditNoteLinking.js).
+ *
+ * Safe to run again - credit notes that are already linked are left alone.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addCreditNoteInvoiceLinks() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding invoiceReference column to credit_notes...');
+
+    await sequelize.query(`
+      ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS "invoiceReference" VARCHAR(255);
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "credit_notes_company_id_invoice_reference" ON credit_notes ("companyId", "invoiceReference");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON COLUMN credit_notes."invoiceReference" IS 'Invoice number the credit note refers to, as read from the document';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ invoiceReference column added');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding invoiceReference column:', error);
+    throw error;
+  }
+
+  // Loaded after the column exists - the models select it
+  const { CreditNote, Invoice, Sequelize } = require('../models');
+  const { Op } = Sequelize;
+  const { linkCreditNoteOnImport, linkCreditNotesToInvoice, getCreditNoteReferences } = require('../utils/creditNoteLinking');
+
+  // Documents are read in batches by id - metadata holds the full parsed text
+  const BATCH_SIZE = 500;
+  const eachBatch = async (Model, where, attributes, handle) => {
+    let lastId = null;
+    for (;;) {
+      const rows = await Model.findAll({
+        where: lastId ? { ...where, id: { [Op.gt]: lastId } } : where,
+        attributes,
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+      for (const row of rows) await handle(row);
+      if (rows.length < BATCH_SIZE) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  };
+
+  console.log('🔗 Linking existing credit notes to the invoices they refer to...');
+  let checked = 0;
+  let linked = 0;
+  await eachBatch(CreditNote, { invoiceId: null, invoiceReference: null }, undefined, async (creditNote) => {
+    checked++;
+    if (await linkCreditNoteOnImport(creditNote, creditNote.metadata?.parsedData || {})) linked++;
+  });
+
+  // Invoices that cite a credit note ("CONTRA CREDIT NOTE ...")
+  await eachBatch(Invoice, { deletedAt: null }, ['id', 'invoiceNumber', 'companyId', 'metadata'], async (invoice) => {
+    const parsedData = invoice.metadata?.parsedData || {};
+    if (getCreditNoteReferences(parsedData, { exclude: [invoice.invoiceNumber] }).length === 0) return;
+    linked += (await linkCreditNotesToInvoice(invoice, parsedData)).length;
+  });
+
+  console.log(`✅ Linked ${linked} credit note(s); ${checked} checked`);
+  console.log('   Credit notes still without an invoice are listed under Reports > Unlinked Credit Notes');
+}
+
+if (require.main === module) {
+  addCreditNoteInvoiceLinks()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addCreditNoteInvoiceLinks };
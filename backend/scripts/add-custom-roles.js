@@ -0,0 +1,96 @@
+/**
+ * Migration script for database-driven roles
+ * Creates the roles table, seeds it with the built-in roles and their
+ * default permissions (utils/permissions.js), and changes users.role from
+ * the enum_users_role ENUM to VARCHAR so custom roles can be assigned
+ * without another enum migration (add-new-roles-to-enum.js is no longer
+ * needed after this).
+ *
+ * Safe to run more than once: existing roles are left as they are.
+ */
+
+const { sequelize } = require('../config/database');
+const { getDefaultRoles } = require('../utils/roleRegistry');
+
+async function addCustomRoles() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating roles table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        key VARCHAR(50) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        description VARCHAR(255),
+        level INTEGER NOT NULL,
+        "isStaff" BOOLEAN NOT NULL DEFAULT false,
+        "hasPortalAccess" BOOLEAN NOT NULL DEFAULT true,
+        "isSystem" BOOLEAN NOT NULL DEFAULT false,
+        permissions JSONB NOT NULL DEFAULT '{}'::jsonb,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE roles IS 'User roles and their permission sets (users.role holds the key)';
+    `, { transaction });
+
+    console.log('🔄 Seeding built-in roles...');
+
+    for (const role of getDefaultRoles()) {
+      await sequelize.query(`
+        INSERT INTO roles (key, name, description, level, "isStaff", "hasPortalAccess", "isSystem", permissions)
+        VALUES (:key, :name, :description, :level, :isStaff, :hasPortalAccess, true, CAST(:permissions AS JSONB))
+        ON CONFLICT (key) DO NOTHING;
+      `, {
+        replacements: { ...role, permissions: JSON.stringify(role.permissions) },
+        transaction
+      });
+    }
+
+    console.log('🔄 Changing users.role from ENUM to VARCHAR...');
+
+    await sequelize.query(`
+      ALTER TABLE users ALTER COLUMN role DROP DEFAULT;
+    `, { transaction });
+    await sequelize.query(`
+      ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50) USING role::text;
+    `, { transaction });
+    await sequelize.query(`
+      ALTER TABLE users ALTER COLUMN role SET DEFAULT 'external_user';
+    `, { transaction });
+    await sequelize.query(`
+      DO $$ BEGIN
+        DROP TYPE IF EXISTS "enum_users_role";
+      EXCEPTION
+        WHEN dependent_objects_still_exist THEN null;
+      END $$;
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Roles table created successfully!');
+    console.log('   Edit roles under Settings > Roles & Permissions');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating roles table:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addCustomRoles()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addCustomRoles };
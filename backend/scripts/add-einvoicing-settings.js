@@ -0,0 +1,63 @@
+/**
+ * Migration Script: Add eInvoicing column to settings table
+ * Holds the seller details (address, VAT number, Peppol endpoint, bank
+ * account) written into UBL / Peppol BIS 3.0 invoice and credit note exports
+ */
+
+const { sequelize } = require('../models');
+
+async function addEInvoicingSettings() {
+  try {
+    console.log('🔄 Adding eInvoicing column to settings table...');
+    
+    // Check if column already exists
+    const [results] = await sequelize.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'settings' 
+      AND column_name = 'eInvoicing'
+    `);
+    
+    if (results.length > 0) {
+      console.log('✅ Column already exists, skipping...');
+      return;
+    }
+    
+    // Add the column
+    await sequelize.query(`
+      ALTER TABLE settings 
+      ADD COLUMN "eInvoicing" JSONB DEFAULT '{"countryCode": "GB", "currency": "GBP"}'::jsonb
+    `);
+    
+    // Add comment
+    await sequelize.query(`
+      COMMENT ON COLUMN settings."eInvoicing" IS 'Seller details for UBL / Peppol BIS 3.0 e-invoice exports'
+    `);
+    
+    console.log('✅ Successfully added eInvoicing column!');
+    console.log('   Fill in Settings > E-Invoicing before exporting UBL documents');
+    
+  } catch (error) {
+    console.error('❌ Error adding column:', error);
+    throw error;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  sequelize.authenticate()
+    .then(() => {
+      console.log('📦 Database connection established');
+      return addEInvoicingSettings();
+    })
+    .then(() => {
+      console.log('✅ Migration complete');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addEInvoicingSettings };
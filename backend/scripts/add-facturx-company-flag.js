@@ -0,0 +1,55 @@
+/**
+ * Migration script to add sendFacturXAttachment field to companies table
+ * When enabled, invoice/credit note notification attachments are sent as
+ * Factur-X hybrid PDFs (PDF/A-3 with embedded CII XML) for automated AP ingestion.
+ */
+
+const { sequelize } = require('../models');
+
+async function addFacturXCompanyFlag() {
+  try {
+    console.log('Starting migration: Add sendFacturXAttachment field to companies table...');
+    
+    // Check if column already exists
+    const [results] = await sequelize.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'companies' AND column_name = 'sendFacturXAttachment'
+    `);
+    
+    if (results.length > 0) {
+      console.log('Column sendFacturXAttachment already exists. Skipping migration.');
+      return;
+    }
+    
+    // Add the column
+    await sequelize.query(`
+      ALTER TABLE companies 
+      ADD COLUMN "sendFacturXAttachment" BOOLEAN DEFAULT false;
+    `);
+    
+    // Add comment
+    await sequelize.query(`
+      COMMENT ON COLUMN companies."sendFacturXAttachment" IS 
+      'Attach invoice/credit note PDFs as Factur-X (PDF/A-3 with embedded CII XML)'
+    `);
+    
+    console.log('Added sendFacturXAttachment column to companies table.');
+    console.log('Migration completed successfully!');
+    
+  } catch (error) {
+    console.error('Migration failed:', error.message);
+    throw error;
+  } finally {
+    await sequelize.close();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  addFacturXCompanyFlag()
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = { addFacturXCompanyFlag };
@@ -0,0 +1,60 @@
+/**
+ * Migration script to add lineItemTable column to templates table
+ * Holds the line-item table region and column boundaries drawn in the
+ * template builder; rows extracted from it are stored in Invoice/CreditNote items.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addLineItemTableToTemplates() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding lineItemTable column to templates table...');
+
+    // Check if column already exists
+    const [results] = await sequelize.query(`
+      SELECT column_name 
+      FROM information_schema.columns 
+      WHERE table_name = 'templates' 
+      AND column_name = 'lineItemTable';
+    `, { transaction });
+
+    if (results.length > 0) {
+      console.log('✅ lineItemTable column already exists');
+      await transaction.commit();
+      return;
+    }
+
+    await sequelize.query(`
+      ALTER TABLE templates 
+      ADD COLUMN "lineItemTable" JSONB DEFAULT NULL;
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON COLUMN templates."lineItemTable" IS 'Line-item table region (normalized) with column boundaries and field mappings';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ lineItemTable column added successfully!');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding lineItemTable column:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addLineItemTableToTemplates()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addLineItemTableToTemplates };
@@ -0,0 +1,45 @@
+/**
+ * Migration script for login policies
+ * - Adds the loginPolicy settings column (per-role and per-company IP
+ *   allowlists, step-up verification from unseen IPs and devices)
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addLoginPolicy() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding login policy settings...');
+
+    await sequelize.query(`
+      ALTER TABLE settings ADD COLUMN IF NOT EXISTS "loginPolicy" JSONB DEFAULT '{"roleAllowlists": {}, "companyAllowlists": {}, "stepUp": {"enabled": false, "newIp": true, "newDevice": true, "roles": []}}'::jsonb;
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN settings."loginPolicy" IS 'Login policies: IP allowlists and step-up verification';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Login policy settings added successfully!');
+    console.log('   Configure allowlists and step-up verification on the Security page');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding login policy settings:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addLoginPolicy()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addLoginPolicy };
@@ -0,0 +1,128 @@
+/**
+ * Migration script to add payment tracking
+ * - Creates payments and payment_allocations tables
+ * - Adds amountPaid / paidAt to invoices and amountApplied to credit_notes
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addPaymentsTables() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding payment tracking tables...');
+
+    // ENUM names match what Sequelize sync would generate so the model stays in step
+    console.log('📝 Creating ENUM type for payment method...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_payments_method" AS ENUM ('bank_transfer', 'cheque', 'card', 'direct_debit', 'cash', 'credit_note', 'other');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction });
+
+    console.log('📝 Creating ENUM type for payment source...');
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_payments_source" AS ENUM ('manual', 'remittance_import');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction });
+
+    console.log('📝 Creating payments table...');
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "companyId" UUID NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        "paymentDate" TIMESTAMP WITH TIME ZONE NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+        method "enum_payments_method" NOT NULL DEFAULT 'bank_transfer',
+        reference VARCHAR(255),
+        source "enum_payments_source" NOT NULL DEFAULT 'manual',
+        "importBatchId" UUID,
+        notes TEXT,
+        metadata JSONB DEFAULT '{}'::jsonb,
+        "createdById" UUID REFERENCES users(id) ON DELETE SET NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    console.log('📝 Creating payment_allocations table...');
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS payment_allocations (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "paymentId" UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+        "invoiceId" UUID REFERENCES invoices(id) ON DELETE CASCADE,
+        "creditNoteId" UUID REFERENCES credit_notes(id) ON DELETE CASCADE,
+        amount DECIMAL(10, 2) NOT NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    console.log('📝 Creating indexes...');
+    const indexes = [
+      'CREATE INDEX IF NOT EXISTS "payments_company_id" ON payments ("companyId");',
+      'CREATE INDEX IF NOT EXISTS "payments_payment_date" ON payments ("paymentDate");',
+      'CREATE INDEX IF NOT EXISTS "payments_import_batch_id" ON payments ("importBatchId");',
+      'CREATE INDEX IF NOT EXISTS "payments_reference" ON payments (reference);',
+      'CREATE INDEX IF NOT EXISTS "payment_allocations_payment_id" ON payment_allocations ("paymentId");',
+      'CREATE INDEX IF NOT EXISTS "payment_allocations_invoice_id" ON payment_allocations ("invoiceId");',
+      'CREATE INDEX IF NOT EXISTS "payment_allocations_credit_note_id" ON payment_allocations ("creditNoteId");'
+    ];
+    for (const sql of indexes) {
+      await sequelize.query(sql, { transaction });
+    }
+
+    // Balance columns on the documents themselves
+    const columns = [
+      { table: 'invoices', column: 'amountPaid', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0', comment: 'Total allocated from payments and credit notes' },
+      { table: 'invoices', column: 'paidAt', definition: 'TIMESTAMP WITH TIME ZONE', comment: 'When the invoice became fully paid' },
+      { table: 'credit_notes', column: 'amountApplied', definition: 'DECIMAL(10, 2) NOT NULL DEFAULT 0', comment: 'Total of this credit note applied against invoices' }
+    ];
+
+    for (const { table, column, definition, comment } of columns) {
+      const [results] = await sequelize.query(`
+        SELECT column_name
+        FROM information_schema.columns
+        WHERE table_name = '${table}'
+        AND column_name = '${column}'
+      `, { transaction });
+
+      if (results.length > 0) {
+        console.log(`✅ Column ${table}."${column}" already exists`);
+        continue;
+      }
+
+      console.log(`📝 Adding ${table}."${column}"...`);
+      await sequelize.query(`ALTER TABLE ${table} ADD COLUMN "${column}" ${definition};`, { transaction });
+      await sequelize.query(`COMMENT ON COLUMN ${table}."${column}" IS '${comment}';`, { transaction });
+    }
+
+    await transaction.commit();
+    console.log('✅ Payment tracking tables added successfully!');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding payment tracking tables:', error);
+    throw error;
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  addPaymentsTables()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addPaymentsTables };
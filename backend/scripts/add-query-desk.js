@@ -0,0 +1,97 @@
+/**
+ * Migration script for the query desk
+ * - Adds category, assignment, SLA and escalation columns to document_queries
+ * - Adds the querySla settings column (SLA hours per category, escalation
+ *   recipients)
+ *
+ * Open queries are given the default 'other' SLA (72 hours) from now, rather
+ * than from when they were raised, so the first escalation run doesn't email
+ * about every old query at once.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addQueryDesk() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding query desk columns to document_queries...');
+
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_document_queries_category" AS ENUM ('pricing', 'delivery', 'duplicate', 'short_shipment', 'other');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction });
+
+    await sequelize.query(`
+      ALTER TABLE document_queries
+        ADD COLUMN IF NOT EXISTS category "enum_document_queries_category",
+        ADD COLUMN IF NOT EXISTS "assignedTo" UUID REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS "assignedAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "slaDueAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "firstResponseAt" TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS "escalationLevel" INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "escalatedAt" TIMESTAMP WITH TIME ZONE;
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "document_queries_assigned_to" ON document_queries ("assignedTo");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "document_queries_status_sla_due_at" ON document_queries (status, "slaDueAt");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON COLUMN document_queries.category IS 'Dispute category - sets the SLA (Settings.querySla)';
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN document_queries."assignedTo" IS 'Staff user (credit controller) handling the query';
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN document_queries."slaDueAt" IS 'When the query should be resolved by (created + the category SLA)';
+    `, { transaction });
+
+    console.log('🔄 Adding query SLA settings...');
+
+    await sequelize.query(`
+      ALTER TABLE settings ADD COLUMN IF NOT EXISTS "querySla" JSONB DEFAULT '{"hours": {"pricing": 48, "delivery": 72, "duplicate": 24, "short_shipment": 48, "other": 72}, "escalationEmails": []}'::jsonb;
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN settings."querySla" IS 'Document query SLAs and escalation recipients';
+    `, { transaction });
+
+    console.log('🔄 Setting SLA due dates on open queries...');
+
+    const [, result] = await sequelize.query(`
+      UPDATE document_queries
+      SET "slaDueAt" = NOW() + INTERVAL '72 hours'
+      WHERE status = 'open' AND "slaDueAt" IS NULL;
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Query desk columns added successfully!');
+    console.log(`   ${result?.rowCount || 0} open queries given an SLA due date`);
+    console.log('   Grant QUERIES_VIEW and QUERIES_RESPOND under Settings > Roles & Permissions so queries can be assigned to credit controllers');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding query desk columns:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addQueryDesk()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addQueryDesk };
@@ -0,0 +1,59 @@
+/**
+ * Migration script for replying to document queries by email
+ * Creates the query_reply_tokens table: the "+token" reply addresses sent
+ * with query notifications, one per query and recipient.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addQueryReplyTokens() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating query_reply_tokens table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS query_reply_tokens (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        token VARCHAR(32) NOT NULL UNIQUE,
+        "queryId" UUID NOT NULL REFERENCES document_queries(id) ON DELETE CASCADE,
+        "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        "expiresAt" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "lastUsedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "query_reply_tokens_query_id_user_id" ON query_reply_tokens ("queryId", "userId");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE query_reply_tokens IS 'Reply-by-email addresses for document query notifications';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ query_reply_tokens table created successfully!');
+    console.log('   Set QUERY_REPLY_ADDRESS and the QUERY_REPLY_IMAP_* variables to turn on replying by email');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating query_reply_tokens table:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addQueryReplyTokens()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addQueryReplyTokens };
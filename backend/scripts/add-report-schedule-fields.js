@@ -0,0 +1,57 @@
+/**
+ * Migration script to add scheduled email delivery fields to reports
+ *
+ * Adds to reports:
+ *   - schedule       JSONB (frequency, hour, format, recipients...)
+ *   - nextRunAt      TIMESTAMPTZ (indexed - the hourly delivery job polls it)
+ *   - lastRunAt      TIMESTAMPTZ
+ *   - lastRunStatus  VARCHAR(255)
+ *   - lastRunError   TEXT
+ *
+ * Safe to run repeatedly (uses IF NOT EXISTS). Existing reports stay
+ * unscheduled until a schedule is saved.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addReportScheduleFields() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding schedule fields to reports...');
+
+    await sequelize.query(`
+      ALTER TABLE reports
+      ADD COLUMN IF NOT EXISTS schedule JSONB,
+      ADD COLUMN IF NOT EXISTS "nextRunAt" TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS "lastRunAt" TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS "lastRunStatus" VARCHAR(255),
+      ADD COLUMN IF NOT EXISTS "lastRunError" TEXT;
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "reports_next_run_at" ON reports ("nextRunAt");
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Report schedule fields added successfully!');
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding report schedule fields:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addReportScheduleFields()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addReportScheduleFields };
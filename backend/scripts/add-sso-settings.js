@@ -0,0 +1,64 @@
+/**
+ * Migration script for OpenID Connect single sign-on
+ * - Adds the sso settings column (provider, claim mappings, password policy)
+ * - Adds ssoProvider / ssoSubject to users so accounts stay linked to their
+ *   identity provider subject even if the email address changes
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addSsoSettings() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Adding single sign-on settings...');
+
+    await sequelize.query(`
+      ALTER TABLE settings ADD COLUMN IF NOT EXISTS sso JSONB DEFAULT '{"oidc": {"enabled": false}, "passwordLoginDisabledRoles": []}'::jsonb;
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN settings.sso IS 'Single sign-on (OpenID Connect) configuration';
+    `, { transaction });
+
+    console.log('📝 Adding ssoProvider and ssoSubject columns to users...');
+    await sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS "ssoProvider" VARCHAR(255) DEFAULT NULL;
+    `, { transaction });
+    await sequelize.query(`
+      ALTER TABLE users ADD COLUMN IF NOT EXISTS "ssoSubject" VARCHAR(255) DEFAULT NULL;
+    `, { transaction });
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "users_sso_provider_sso_subject" ON users ("ssoProvider", "ssoSubject");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON COLUMN users."ssoProvider" IS 'Single sign-on provider the account is linked to (e.g. "oidc")';
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN users."ssoSubject" IS 'Subject identifier from the single sign-on provider';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Single sign-on settings added successfully!');
+    console.log('   Configure the identity provider in Settings > Single Sign-On');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding single sign-on settings:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addSsoSettings()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addSsoSettings };
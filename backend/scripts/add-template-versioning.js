@@ -0,0 +1,102 @@
+/**
+ * Migration script for template versioning
+ * Creates the template_versions table, adds activeVersion and
+ * regressionSamples to templates, and records each existing template's
+ * current configuration as version 1 so there is something to roll back to.
+ *
+ * Run after add-line-item-table-to-templates.js (the snapshot includes
+ * lineItemTable).
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addTemplateVersioning() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating template_versions table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS template_versions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "templateId" UUID NOT NULL REFERENCES templates(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        snapshot JSONB NOT NULL,
+        status VARCHAR(255) NOT NULL DEFAULT 'saved',
+        note TEXT,
+        "createdById" UUID REFERENCES users(id) ON DELETE SET NULL,
+        "createdByEmail" VARCHAR(255),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "template_versions_template_id_version" ON template_versions ("templateId", version);
+    `, { transaction });
+
+    console.log('📝 Adding activeVersion and regressionSamples columns to templates...');
+    await sequelize.query(`
+      ALTER TABLE templates ADD COLUMN IF NOT EXISTS "activeVersion" INTEGER DEFAULT NULL;
+    `, { transaction });
+    await sequelize.query(`
+      ALTER TABLE templates ADD COLUMN IF NOT EXISTS "regressionSamples" JSONB DEFAULT '[]'::jsonb;
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON COLUMN templates."activeVersion" IS 'TemplateVersion.version the parsing configuration currently matches';
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON COLUMN templates."regressionSamples" IS 'Sample PDFs pinned for regression runs before activating a version';
+    `, { transaction });
+
+    console.log('📝 Recording existing templates as version 1...');
+    const [, backfilled] = await sequelize.query(`
+      INSERT INTO template_versions (id, "templateId", version, snapshot, status, note, "createdAt")
+      SELECT
+        gen_random_uuid(), t.id, 1,
+        jsonb_build_object(
+          'templateType', t."templateType",
+          'coordinates', COALESCE(t.coordinates, '{}'::jsonb),
+          'patterns', COALESCE(t.patterns, '{}'::jsonb),
+          'markers', COALESCE(t.markers, '{}'::jsonb),
+          'excelCells', COALESCE(t."excelCells", '{}'::jsonb),
+          'transformations', COALESCE(t.transformations, '{}'::jsonb),
+          'customFields', COALESCE(t."customFields", '{}'::jsonb),
+          'lineItemTable', t."lineItemTable",
+          'priority', t.priority,
+          'samplePdfPath', t."samplePdfPath",
+          'sampleExcelPath', t."sampleExcelPath"
+        ),
+        'saved', 'Existing configuration when versioning was enabled', NOW()
+      FROM templates t
+      WHERE NOT EXISTS (SELECT 1 FROM template_versions v WHERE v."templateId" = t.id);
+    `, { transaction });
+    console.log(`✅ Recorded ${backfilled?.rowCount ?? backfilled ?? 0} template(s) as version 1`);
+
+    await sequelize.query(`
+      UPDATE templates SET "activeVersion" = 1 WHERE "activeVersion" IS NULL;
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Template versioning added successfully!');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error adding template versioning:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addTemplateVersioning()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addTemplateVersioning };
@@ -0,0 +1,82 @@
+/**
+ * Migration script for WebAuthn (security key / passkey) two-factor
+ * Creates the webauthn_credentials table and allows 'webauthn' as a
+ * users."twoFactorMethod" value.
+ *
+ * Enable the method afterwards under Settings > Two-Factor Authentication.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addWebAuthnCredentials() {
+  // "twoFactorMethod" is an enum when the table was created by the model,
+  // but a plain VARCHAR when added by add-email-2fa-columns.js
+  const [enumTypes] = await sequelize.query(`
+    SELECT 1 FROM pg_type WHERE typname = 'enum_users_twoFactorMethod';
+  `);
+  if (enumTypes.length > 0) {
+    console.log('🔄 Adding "webauthn" to twoFactorMethod enum...');
+    // ADD VALUE cannot be used inside the transaction below on older PostgreSQL versions
+    await sequelize.query(`
+      ALTER TYPE "enum_users_twoFactorMethod" ADD VALUE IF NOT EXISTS 'webauthn';
+    `);
+  }
+
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating webauthn_credentials table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS webauthn_credentials (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "userId" UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        "credentialId" VARCHAR(1024) NOT NULL,
+        "publicKey" TEXT NOT NULL,
+        counter BIGINT NOT NULL DEFAULT 0,
+        transports JSONB NOT NULL DEFAULT '[]'::jsonb,
+        "deviceType" VARCHAR(20),
+        "backedUp" BOOLEAN NOT NULL DEFAULT false,
+        discoverable BOOLEAN NOT NULL DEFAULT false,
+        "lastUsedAt" TIMESTAMP WITH TIME ZONE,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS "webauthn_credentials_credential_id" ON webauthn_credentials ("credentialId");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "webauthn_credentials_user_id" ON webauthn_credentials ("userId");
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE webauthn_credentials IS 'Security keys and passkeys registered for WebAuthn two-factor';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ webauthn_credentials table created successfully!');
+    console.log('   Allow "Security key or passkey" in the 2FA settings to let users register one');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating webauthn_credentials table:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addWebAuthnCredentials()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addWebAuthnCredentials };
@@ -0,0 +1,105 @@
+/**
+ * Migration script for outbound webhooks
+ * Creates the webhook_endpoints and webhook_deliveries tables.
+ *
+ * Deliveries are sent by the queue worker (webhook queue), so it needs to be
+ * running for endpoints to receive anything.
+ */
+
+const { sequelize } = require('../config/database');
+
+async function addWebhooks() {
+  const transaction = await sequelize.transaction();
+
+  try {
+    console.log('🔄 Creating webhook_endpoints table...');
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(100) NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        "companyId" UUID REFERENCES companies(id) ON DELETE CASCADE,
+        events JSONB NOT NULL DEFAULT '[]'::jsonb,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        "createdById" UUID REFERENCES users(id) ON DELETE SET NULL,
+        "lastDeliveryAt" TIMESTAMP WITH TIME ZONE,
+        "lastDeliveryStatus" VARCHAR(20),
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "webhook_endpoints_company_id" ON webhook_endpoints ("companyId");
+    `, { transaction });
+
+    console.log('🔄 Creating webhook_deliveries table...');
+
+    await sequelize.query(`
+      DO $$ BEGIN
+        CREATE TYPE "enum_webhook_deliveries_status" AS ENUM ('pending', 'retrying', 'succeeded', 'failed');
+      EXCEPTION
+        WHEN duplicate_object THEN null;
+      END $$;
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        "endpointId" UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+        event VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status "enum_webhook_deliveries_status" NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        "responseStatus" INTEGER,
+        "responseBody" TEXT,
+        error TEXT,
+        "durationMs" INTEGER,
+        "lastAttemptAt" TIMESTAMP WITH TIME ZONE,
+        "deliveredAt" TIMESTAMP WITH TIME ZONE,
+        "redeliveryOfId" UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+        "createdAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+    `, { transaction });
+
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "webhook_deliveries_endpoint_id_created_at" ON webhook_deliveries ("endpointId", "createdAt");
+    `, { transaction });
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "webhook_deliveries_status" ON webhook_deliveries (status);
+    `, { transaction });
+
+    await sequelize.query(`
+      COMMENT ON TABLE webhook_endpoints IS 'Outbound webhook endpoints for document lifecycle events';
+    `, { transaction });
+    await sequelize.query(`
+      COMMENT ON TABLE webhook_deliveries IS 'Delivery log for outbound webhooks';
+    `, { transaction });
+
+    await transaction.commit();
+    console.log('✅ Webhook tables created successfully!');
+    console.log('   Add endpoints under Settings > Webhooks');
+
+  } catch (error) {
+    await transaction.rollback();
+    console.error('❌ Error creating webhook tables:', error);
+    throw error;
+  }
+}
+
+if (require.main === module) {
+  addWebhooks()
+    .then(() => {
+      console.log('✅ Migration completed');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { addWebhooks };
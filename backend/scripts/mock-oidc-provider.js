@@ -0,0 +1,210 @@
+/**
+ * Mock OpenID Connect identity provider for local single sign-on testing
+ *
+ * Implements just enough of OIDC for the portal's login flow: discovery,
+ * an authorize page where you type the identity to sign in as (email, name,
+ * roles and groups claims), the token endpoint with PKCE (S256) checking,
+ * userinfo and JWKS. Keys are generated at startup and nothing is persisted.
+ *
+ * Usage:
+ *   node scripts/mock-oidc-provider.js
+ *
+ * Then in Settings > Single Sign-On:
+ *   Issuer URL:    http://localhost:4010
+ *   Client ID:     invoice-portal
+ *   Client secret: mock-secret
+ *   Role claim:    roles          (e.g. map "portal-managers" to Manager)
+ *   Company claim: groups
+ * and register nothing - the mock accepts any redirect URI.
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT           Port to listen on (default 4010)
+ *   MOCK_OIDC_CLIENT_ID      Expected client_id (default invoice-portal)
+ *   MOCK_OIDC_CLIENT_SECRET  Expected client secret (default mock-secret)
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4010;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'invoice-portal';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const ISSUER = `http://localhost:${PORT}`;
+
+const CODE_TTL_MS = 2 * 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Stable subject per email, like a real provider's immutable user id
+const subjectFor = (email) => crypto.createHash('sha256').update(`mock:${email.toLowerCase()}`).digest('hex').slice(0, 24);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'profile', 'email'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: ['sub', 'email', 'email_verified', 'name', 'roles', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, response_type, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (client_id !== CLIENT_ID) {
+    return res.status(400).send(`Unknown client_id "${escapeHtml(client_id)}" (expected "${escapeHtml(CLIENT_ID)}")`);
+  }
+  if (response_type !== 'code' || !redirect_uri) {
+    return res.status(400).send('response_type=code and redirect_uri are required');
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('PKCE with code_challenge_method=S256 is required');
+  }
+
+  const hidden = { client_id, redirect_uri, state, nonce, code_challenge };
+  res.send(`<!doctype html>
+<html>
+<head><title>Mock identity provider</title>
+<style>body{font-family:sans-serif;max-width:420px;margin:40px auto}label{display:block;margin-top:12px}input{width:100%;padding:6px}button{margin-top:16px;padding:8px 16px}</style>
+</head>
+<body>
+  <h2>Mock identity provider</h2>
+  <p>Sign in to <strong>${escapeHtml(client_id)}</strong> as:</p>
+  <form method="post" action="/authorize">
+    ${Object.entries(hidden).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`).join('\n    ')}
+    <label>Email <input name="email" type="email" value="manager@example.com" required></label>
+    <label>Name <input name="name" value="Mock Manager"></label>
+    <label>Roles claim (comma-separated) <input name="roles" value="portal-managers"></label>
+    <label>Groups claim (comma-separated) <input name="groups" value=""></label>
+    <label><input name="email_verified" type="checkbox" value="true" checked style="width:auto"> Email verified</label>
+    <button type="submit">Sign in</button>
+    <button type="submit" name="deny" value="1">Deny</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, email, name, roles, groups, email_verified, deny } = req.body;
+  const redirect = new URL(redirect_uri);
+  if (state) redirect.searchParams.set('state', state);
+
+  if (deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'The user denied the sign-in request');
+    return res.redirect(redirect.toString());
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  authorizationCodes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      sub: subjectFor(email),
+      email,
+      email_verified: email_verified === 'true',
+      name: name || email,
+      roles: splitList(roles),
+      groups: splitList(groups)
+    }
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const basic = req.get('authorization');
+  if (basic && basic.startsWith('Basic ')) {
+    const [id, secret] = Buffer.from(basic.slice(6), 'base64').toString().split(':').map(decodeURIComponent);
+    clientId = id;
+    clientSecret = secret;
+  }
+
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+  }
+  if (req.body.grant_type !== 'authorization_code') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  const grant = authorizationCodes.get(req.body.code);
+  authorizationCodes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired authorization code' });
+  }
+  if (grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...grant.claims, nonce: grant.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+  );
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, grant.claims);
+
+  console.log(`🔑 Issued tokens for ${grant.claims.email} (roles: ${grant.claims.roles.join(', ') || 'none'})`);
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_SECONDS,
+    id_token: idToken
+  });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = req.get('authorization')?.replace('Bearer ', '');
+  const claims = token && accessTokens.get(token);
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`✅ Mock OpenID Connect provider running at ${ISSUER}`);
+    console.log(`   Client ID: ${CLIENT_ID}  Client secret: ${CLIENT_SECRET}`);
+  });
+}
+
+module.exports = { app };
@@ -0,0 +1,51 @@
+/**
+ * Process replies to document query emails by hand, for testing
+ *
+ * Usage:
+ *   node scripts/process-query-reply.js reply.eml   Add a saved email (.eml) to its thread
+ *   node scripts/process-query-reply.js --poll      Read the reply mailbox once, like the scheduled job
+ *
+ * Needs QUERY_REPLY_ADDRESS (and the QUERY_REPLY_IMAP_* variables for --poll).
+ * For a local mail server, GreenMail works well:
+ *   docker run -p 3025:3025 -p 3143:3143 greenmail/standalone
+ * with QUERY_REPLY_IMAP_HOST=localhost, QUERY_REPLY_IMAP_PORT=3143,
+ * QUERY_REPLY_IMAP_SECURE=false, QUERY_REPLY_IMAP_USER/PASSWORD set to the
+ * reply address; send replies to it over SMTP on port 3025.
+ */
+
+const fs = require('fs');
+const { getReplyConfig, processInboundEmail, pollQueryReplies } = require('../services/queryEmailReplies');
+const { refreshRoles } = require('../utils/roleRegistry');
+
+async function main() {
+  const arg = process.argv[2];
+  if (!arg) {
+    console.error('Usage: node scripts/process-query-reply.js <file.eml> | --poll');
+    return 1;
+  }
+  if (!getReplyConfig()) {
+    console.error('❌ QUERY_REPLY_ADDRESS is not set');
+    return 1;
+  }
+
+  if (arg === '--poll') {
+    console.log('🔄 Reading the query reply mailbox...');
+    const summary = await pollQueryReplies();
+    console.log('✅ Done:', summary);
+    return 0;
+  }
+
+  await refreshRoles();
+  const result = await processInboundEmail(fs.readFileSync(arg));
+  console.log(result.status === 'added' ? '✅' : 'ℹ️ ', result);
+  return result.status === 'added' ? 0 : 2;
+}
+
+if (require.main === module) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+      console.error('❌ Failed:', error);
+      process.exit(1);
+    });
+}
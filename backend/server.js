@@ -503,16 +503,20 @@ const { rateLimiters } = require('./middleware/rateLimiter');
 
 // Apply rate limiting to API routes
 app.use('/api', rateLimiters.api); // General API rate limiter
+app.use('/api', require('./middleware/impersonation')); // "View as user" sessions are read-only and audited
 
 // API Routes
 app.use('/api/auth', rateLimiters.auth, require('./routes/auth'));
+app.use('/api/sso', rateLimiters.auth, require('./routes/sso'));
 app.use('/api/reports', require('./routes/reports'));
 app.use('/api/companies', require('./routes/companies'));
 app.use('/api/invoices', require('./routes/invoices'));
 app.use('/api/credit-notes', require('./routes/creditNotes'));
+app.use('/api/payments', require('./routes/payments'));
 app.use('/api/statements', require('./routes/statements'));
 app.use('/api/document-queries', require('./routes/documentQueries'));
 app.use('/api/unallocated', require('./routes/unallocated'));
+app.use('/api/company-aliases', require('./routes/companyAliases'));
 app.use('/api/failed', require('./routes/failed'));
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/users', require('./routes/users'));
@@ -533,6 +537,14 @@ app.use('/api/users/import', require('./routes/userImport'));
 app.use('/api/import-settings', require('./routes/importSettings'));
 app.use('/api/column-config', require('./routes/columnConfig'));
 app.use('/api/stats', require('./routes/stats'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/impersonation', require('./routes/impersonation'));
+app.use('/api/security', require('./routes/security'));
+app.use('/api/audit-trail', require('./routes/auditTrail'));
+
+// Public API for customers' own systems (API key authentication, read-only)
+app.use('/api/v1', require('./routes/publicApi'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -2,9 +2,13 @@
  * Activity Logger Service
  * Stores user activity logs in Redis with pagination support
  * Logs: logins, password resets, email transport, file imports, views, downloads, etc.
+ *
+ * Every entry is also appended to the tamper-evident audit trail in Postgres
+ * (services/auditTrail.js), which clearing or pruning these logs doesn't touch.
  */
 
 const { redis } = require('../config/redis');
+const { getRequestContext } = require('../utils/requestContext');
 const winston = require('winston');
 
 // Winston logger for file logging (optional, for server logs)
@@ -41,6 +45,13 @@ const ActivityType = {
   LOGIN: 'login',
   LOGOUT: 'logout',
   LOGIN_FAILED: 'login_failed',
+  SESSION_REVOKED: 'session_revoked',
+  IMPERSONATION_STARTED: 'impersonation_started',
+  IMPERSONATION_ENDED: 'impersonation_ended',
+  IMPERSONATION_REQUEST: 'impersonation_request',
+  API_KEY_CREATED: 'api_key_created',
+  API_KEY_REVOKED: 'api_key_revoked',
+  API_REQUEST: 'api_request',
   PASSWORD_RESET_REQUEST: 'password_reset_request',
   PASSWORD_RESET: 'password_reset',
   PASSWORD_RESET_ADMIN: 'password_reset_admin',
@@ -67,6 +78,10 @@ const ActivityType = {
   CREDIT_NOTE_DELETED: 'credit_note_deleted',
   CREDIT_NOTE_BULK_DELETE: 'credit_note_bulk_delete',
   CREDIT_NOTE_EDITED: 'credit_note_edited',
+  PAYMENT_RECORDED: 'payment_recorded',
+  PAYMENT_DELETED: 'payment_deleted',
+  REMITTANCE_IMPORTED: 'remittance_imported',
+  REPORT_DELIVERED: 'report_delivered',
   STATEMENT_VIEWED: 'statement_viewed',
   STATEMENT_DOWNLOADED: 'statement_downloaded',
   STATEMENT_DELETED: 'statement_deleted',
@@ -74,6 +89,7 @@ const ActivityType = {
   TEMPLATE_CREATED: 'template_created',
   TEMPLATE_UPDATED: 'template_updated',
   TEMPLATE_DELETED: 'template_deleted',
+  TEMPLATE_VERSION_ACTIVATED: 'template_version_activated',
   COMPANY_CREATED: 'company_created',
   COMPANY_UPDATED: 'company_updated',
   COMPANY_DELETED: 'company_deleted',
@@ -89,11 +105,19 @@ const ActivityType = {
   UNALLOCATED_DELETED: 'unallocated_deleted',
   UNALLOCATED_BULK_DELETE: 'unallocated_bulk_delete',
   UNALLOCATED_ALLOCATED: 'unallocated_allocated',
+  COMPANY_ALIAS_CREATED: 'company_alias_created',
+  COMPANY_ALIAS_DELETED: 'company_alias_deleted',
   CREDIT_NOTE_BULK_DELETE: 'credit_note_bulk_delete',
   FILE_PURGE: 'file_purge',
   DOCUMENT_QUERIED: 'document_queried',
   DOCUMENT_QUERY_REPLIED: 'document_query_replied',
   DOCUMENT_QUERY_RESOLVED: 'document_query_resolved',
+  DOCUMENT_QUERY_ASSIGNED: 'document_query_assigned',
+  DOCUMENT_QUERY_CATEGORISED: 'document_query_categorised',
+  DOCUMENT_QUERY_NOTE_ADDED: 'document_query_note_added',
+  DOCUMENT_QUERY_ESCALATED: 'document_query_escalated',
+  DOCUMENT_QUERY_EMAIL_REJECTED: 'document_query_email_rejected',
+  QUERY_SLA_UPDATED: 'query_sla_updated',
   DOCUMENT_DELETED: 'document_deleted',
   USER_CREATED: 'user_created',
   USER_UPDATED: 'user_updated',
@@ -102,8 +126,17 @@ const ActivityType = {
   USER_REGISTRATION_APPROVED: 'user_registration_approved',
   USER_REGISTRATION_REJECTED: 'user_registration_rejected',
   SETTINGS_UPDATED: 'settings_updated',
+  WEBHOOK_CREATED: 'webhook_created',
+  WEBHOOK_UPDATED: 'webhook_updated',
+  WEBHOOK_DELETED: 'webhook_deleted',
+  ROLE_CREATED: 'role_created',
+  ROLE_UPDATED: 'role_updated',
+  ROLE_DELETED: 'role_deleted',
   LOGS_CLEARED: 'logs_cleared',
   LOG_DELETED: 'log_deleted',
+  AUDIT_TRAIL_VERIFIED: 'audit_trail_verified',
+  AUDIT_TRAIL_EXPORTED: 'audit_trail_exported',
+  AUDIT_TRAIL_PRUNED: 'audit_trail_pruned',
   SUPPLIER_CREATED: 'supplier_created',
   SUPPLIER_UPDATED: 'supplier_updated',
   SUPPLIER_DELETED: 'supplier_deleted',
@@ -122,7 +155,10 @@ const ActivityType = {
   ACCOUNT_LOCKED: 'account_locked',
   ACCOUNT_UNLOCKED: 'account_unlocked',
   ACCOUNT_LOCKED_MANUAL: 'account_locked_manual',
-  BRUTE_FORCE_DETECTED: 'brute_force_detected'
+  BRUTE_FORCE_DETECTED: 'brute_force_detected',
+  LOGIN_BLOCKED_IP: 'login_blocked_ip',
+  STEP_UP_REQUIRED: 'step_up_required',
+  SECURITY_POLICY_UPDATED: 'security_policy_updated'
 };
 
 /**
@@ -141,10 +177,30 @@ const ActivityType = {
  */
 async function logActivity(activity) {
   try {
-    if (!redis) {
-      // Fallback: log to Winston only if Redis is not available
-      logger.info('Activity (Redis unavailable):', activity);
-      return;
+    // While an admin is viewing as another user (middleware/impersonation.js),
+    // what the routes log for that user was done by the admin
+    const impersonation = getRequestContext()?.impersonation;
+    if (impersonation && activity.userId === impersonation.userId) {
+      activity = {
+        ...activity,
+        userId: impersonation.impersonatorId,
+        userEmail: impersonation.impersonatorEmail,
+        userRole: impersonation.impersonatorRole,
+        action: `${activity.action} (viewing as ${impersonation.targetEmail})`,
+        details: {
+          ...activity.details,
+          impersonatedUserId: impersonation.userId,
+          impersonatedUserEmail: impersonation.targetEmail
+        }
+      };
+    }
+
+    // Document activity is also sent to webhook endpoints (required lazily:
+    // services/webhooks loads the models, which must not load this module first).
+    // An admin viewing as a customer isn't the customer viewing a document.
+    if (!impersonation) {
+      require('./webhooks').emitActivityWebhook(activity)
+        .catch(error => logger.error('Error queueing activity webhook:', error));
     }
 
     const logEntry = {
@@ -162,6 +218,16 @@ async function logActivity(activity) {
       userAgent: activity.userAgent || null
     };
 
+    // Audit trail (required lazily for the same reason as webhooks)
+    await require('./auditTrail').appendAuditEntry(logEntry)
+      .catch(error => logger.error('Error appending to audit trail:', { error: error.message, logId: logEntry.id }));
+
+    if (!redis) {
+      // Fallback: log to Winston only if Redis is not available
+      logger.info('Activity (Redis unavailable):', activity);
+      return logEntry;
+    }
+
     // Store in Redis as sorted set (sorted by timestamp for easy pagination)
     const score = Date.now(); // Use timestamp as score for sorting
     const logKey = `${ACTIVITY_LOG_KEY}:${logEntry.id}`;
@@ -687,7 +753,19 @@ async function purgeAllActivityLogs(userId, userEmail, reason, userRole, ipAddre
     
     await pipeline.exec();
 
-    // Log to file system only (not to Redis since we just purged it)
+    // Log to file system and the audit trail only (not to Redis since we just purged it)
+    await require('./auditTrail').appendAuditEntry({
+      id: `log_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      timestamp: new Date().toISOString(),
+      type: ActivityType.LOGS_CLEARED,
+      userId,
+      userEmail,
+      userRole,
+      action: `Purged all ${totalCount} activity logs (including protected entries)`,
+      details: { count: totalCount, reason: reason.trim(), purgedAll: true, isClearLog: true },
+      ipAddress,
+      userAgent
+    }).catch(error => logger.error('Error appending to audit trail:', { error: error.message }));
     logger.warn(`ALL ACTIVITY LOGS PURGED by ${userEmail} (${userId}): ${totalCount} logs permanently deleted including protected entries. Reason: ${reason}. IP: ${ipAddress}`);
 
     return { 
@@ -0,0 +1,380 @@
+/**
+ * Audit Trail Service
+ *
+ * Every activity log entry is also appended to the audit_entries table in
+ * Postgres, which is kept for audits: the Redis activity log is capped and can
+ * be cleared from the Activity Logs page, the audit trail can't.
+ *
+ * Entries form a hash chain - each stores the hash of the entry before it, and
+ * its own hash covers its content plus that previous hash. Changing an entry
+ * changes its hash; removing one leaves the next pointing at a hash that no
+ * longer precedes it. verifyAuditChain() walks the chain to prove neither has
+ * happened. With AUDIT_CHAIN_SECRET set the hashes are HMACs, so someone with
+ * only database access can't rebuild a consistent chain after editing it.
+ *
+ * Appends are serialised across processes with a Postgres advisory lock. The
+ * newest entry is also noted in Redis (audit:head) so removing entries from
+ * the end of the chain is caught too.
+ *
+ * Retention is a policy (AUDIT_RETENTION_DAYS, at least a year) applied by a
+ * scheduled job; it removes the oldest entries only and records a checkpoint
+ * the remaining chain must start from. Nothing else may update or delete
+ * entries - a trigger added by scripts/add-audit-trail.js refuses it.
+ */
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { redis } = require('../config/redis');
+const { sequelize, AuditEntry, AuditCheckpoint } = require('../models');
+const { withTransaction } = require('../utils/transaction');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_RETENTION_DAYS = 2557; // 7 years
+const MIN_RETENTION_DAYS = 365;
+// Arbitrary constant identifying the audit chain's advisory lock
+const APPEND_LOCK_KEY = 720519;
+const HEAD_KEY = 'audit:head';
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Fields covered by each entry's hash, in hashing order
+const HASHED_FIELDS = [
+  'logId', 'occurredAt', 'type', 'userId', 'userEmail', 'userRole', 'action',
+  'details', 'companyId', 'companyName', 'ipAddress', 'userAgent'
+];
+
+/**
+ * Retention period for audit entries
+ * @returns {number} Days (AUDIT_RETENTION_DAYS, never less than a year)
+ */
+function getAuditRetentionDays() {
+  const days = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+  if (!Number.isFinite(days)) return DEFAULT_RETENTION_DAYS;
+  return Math.max(MIN_RETENTION_DAYS, days);
+}
+
+const getHashAlgorithm = () => (process.env.AUDIT_CHAIN_SECRET ? 'hmac-sha256' : 'sha256');
+
+// JSON with object keys sorted at every level, so the same content always
+// hashes the same however Postgres (JSONB) orders the keys
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash of an entry's content chained to the previous entry's hash
+ * @param {Object} entry - Audit entry (model instance or plain object)
+ * @param {string} previousHash
+ * @param {string} [algorithm] - 'hmac-sha256' or 'sha256'
+ * @returns {string} Hex digest
+ */
+function computeEntryHash(entry, previousHash, algorithm = getHashAlgorithm()) {
+  const content = HASHED_FIELDS.map(field => {
+    const value = entry[field];
+    if (field === 'occurredAt') return new Date(value).toISOString();
+    return value === undefined ? null : value;
+  });
+  const payload = `${previousHash}|${canonicalJson(content)}`;
+
+  if (algorithm === 'hmac-sha256') {
+    if (!process.env.AUDIT_CHAIN_SECRET) {
+      throw new Error('AUDIT_CHAIN_SECRET is needed to check entries hashed with it');
+    }
+    return crypto.createHmac('sha256', process.env.AUDIT_CHAIN_SECRET).update(payload).digest('hex');
+  }
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+async function getLatestCheckpoint(transaction = null) {
+  return AuditCheckpoint.findOne({ order: [['throughEntryId', 'DESC']], transaction });
+}
+
+// Remember the newest entry; only ever moves forward
+async function recordHead(id, hash) {
+  if (!redis) return;
+  await redis.eval(
+    `local current = redis.call('HGET', KEYS[1], 'id')
+     if not current or tonumber(current) < tonumber(ARGV[1]) then
+       redis.call('HSET', KEYS[1], 'id', ARGV[1], 'hash', ARGV[2])
+     end
+     return 1`,
+    1, HEAD_KEY, String(id), hash
+  );
+}
+
+/**
+ * Append an activity log entry to the audit trail
+ * @param {Object} logEntry - Entry as built by logActivity
+ * @returns {Promise<Object>} The audit entry
+ */
+async function appendAuditEntry(logEntry) {
+  // Round-trip details through JSON so what is hashed is what JSONB stores
+  const details = JSON.parse(JSON.stringify(logEntry.details || {}));
+
+  const entry = await withTransaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+      replacements: { key: APPEND_LOCK_KEY },
+      transaction
+    });
+
+    const last = await AuditEntry.findOne({
+      attributes: ['id', 'hash'],
+      order: [['id', 'DESC']],
+      transaction
+    });
+    const previousHash = last
+      ? last.hash
+      : (await getLatestCheckpoint(transaction))?.throughHash || GENESIS_HASH;
+
+    const values = {
+      logId: logEntry.id,
+      occurredAt: new Date(logEntry.timestamp),
+      type: logEntry.type,
+      userId: logEntry.userId ? String(logEntry.userId) : null,
+      userEmail: logEntry.userEmail || null,
+      userRole: logEntry.userRole || null,
+      action: logEntry.action || '',
+      details,
+      companyId: logEntry.companyId ? String(logEntry.companyId) : null,
+      companyName: logEntry.companyName || null,
+      ipAddress: logEntry.ipAddress || null,
+      userAgent: logEntry.userAgent || null
+    };
+    const hashAlgorithm = getHashAlgorithm();
+
+    return AuditEntry.create({
+      ...values,
+      previousHash,
+      hash: computeEntryHash(values, previousHash, hashAlgorithm),
+      hashAlgorithm
+    }, { transaction });
+  });
+
+  await recordHead(entry.id, entry.hash).catch(error => {
+    console.warn('Could not record audit trail head:', error.message);
+  });
+
+  return entry;
+}
+
+/**
+ * Build the where clause for listing / exporting entries
+ * @param {Object} filters - { startDate, endDate, type, userId, companyId, search }
+ * @returns {Object}
+ */
+function buildAuditWhere(filters = {}) {
+  const where = {};
+  if (filters.startDate || filters.endDate) {
+    where.occurredAt = {};
+    if (filters.startDate) where.occurredAt[Op.gte] = new Date(filters.startDate);
+    if (filters.endDate) {
+      const end = new Date(filters.endDate);
+      // A bare date means the whole of that day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(filters.endDate)) end.setHours(23, 59, 59, 999);
+      where.occurredAt[Op.lte] = end;
+    }
+  }
+  if (filters.type) where.type = filters.type;
+  if (filters.userId) where.userId = filters.userId;
+  if (filters.companyId) where.companyId = filters.companyId;
+  if (filters.search) {
+    const term = `%${filters.search}%`;
+    where[Op.or] = [
+      { action: { [Op.iLike]: term } },
+      { userEmail: { [Op.iLike]: term } },
+      { companyName: { [Op.iLike]: term } }
+    ];
+  }
+  return where;
+}
+
+/**
+ * Entries in chain order, fetched in batches (for export and verification)
+ * @param {Object} [where] - From buildAuditWhere
+ * @param {Object} [options]
+ * @param {string|number} [options.afterId=0] - Start after this entry
+ * @param {number} [options.batchSize=1000]
+ * @returns {AsyncGenerator<Object>} Plain entries
+ */
+async function* iterateAuditEntries(where = {}, { afterId = 0, batchSize = 1000 } = {}) {
+  let lastId = afterId;
+  for (;;) {
+    const entries = await AuditEntry.findAll({
+      where: { ...where, id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit: batchSize,
+      raw: true
+    });
+    if (entries.length === 0) return;
+    for (const entry of entries) {
+      yield entry;
+    }
+    lastId = entries[entries.length - 1].id;
+  }
+}
+
+/**
+ * Walk the whole chain and check every link and hash
+ * @returns {Promise<Object>} { valid, checked, firstEntryId, lastEntryId, headHash,
+ *   checkpoint, problems: [{ entryId, issue, message }], problemCount, verifiedAt }
+ */
+async function verifyAuditChain() {
+  const checkpoint = await getLatestCheckpoint();
+  let expectedPrevious = checkpoint ? checkpoint.throughHash : GENESIS_HASH;
+  let lastId = checkpoint ? String(checkpoint.throughEntryId) : '0';
+
+  const problems = [];
+  let problemCount = 0;
+  const report = (entryId, issue, message) => {
+    problemCount++;
+    if (problems.length < MAX_REPORTED_PROBLEMS) {
+      problems.push({ entryId, issue, message });
+    }
+  };
+
+  let checked = 0;
+  let firstEntryId = null;
+  for await (const entry of iterateAuditEntries({}, { afterId: lastId })) {
+    if (firstEntryId === null) firstEntryId = entry.id;
+    checked++;
+
+    if (entry.previousHash !== expectedPrevious) {
+      report(entry.id, 'broken_link', checked === 1 && checkpoint
+        ? 'Does not follow the last retention checkpoint - entries after it were removed'
+        : 'Does not follow the entry before it - entries were removed or reordered');
+    }
+
+    let hash;
+    try {
+      hash = computeEntryHash(entry, entry.previousHash, entry.hashAlgorithm);
+    } catch (error) {
+      report(entry.id, 'unverifiable', error.message);
+      hash = entry.hash;
+    }
+    if (hash !== entry.hash) {
+      report(entry.id, 'altered', 'Content does not match its hash - the entry was changed');
+    }
+
+    expectedPrevious = entry.hash;
+    lastId = entry.id;
+  }
+
+  if (redis) {
+    const head = await redis.hgetall(HEAD_KEY);
+    if (head?.id && BigInt(head.id) > BigInt(lastId)) {
+      report(head.id, 'missing_tail', `Entries up to ${head.id} were written but the chain ends at ${lastId} - the newest entries were removed`);
+    }
+  }
+
+  return {
+    valid: problemCount === 0,
+    checked,
+    firstEntryId,
+    lastEntryId: checked > 0 ? lastId : null,
+    headHash: expectedPrevious,
+    checkpoint: checkpoint ? {
+      throughEntryId: checkpoint.throughEntryId,
+      throughHash: checkpoint.throughHash,
+      entriesRemoved: checkpoint.entriesRemoved,
+      cutoff: checkpoint.cutoff,
+      createdAt: checkpoint.createdAt
+    } : null,
+    problems,
+    problemCount,
+    verifiedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply the retention policy: remove entries older than the retention period
+ * (oldest first, so the rest of the chain stays whole) and checkpoint them
+ * @param {Object} [options]
+ * @param {number} [options.retentionDays] - Defaults to getAuditRetentionDays()
+ * @returns {Promise<{ removed: number, retentionDays: number, cutoff: string, checkpoint?: Object }>}
+ */
+async function pruneAuditTrail({ retentionDays = getAuditRetentionDays() } = {}) {
+  const days = Math.max(MIN_RETENTION_DAYS, retentionDays);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const checkpoint = await withTransaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+      replacements: { key: APPEND_LOCK_KEY },
+      transaction
+    });
+
+    const lastExpired = await AuditEntry.findOne({
+      where: { occurredAt: { [Op.lt]: cutoff } },
+      attributes: ['id', 'hash'],
+      order: [['id', 'DESC']],
+      transaction
+    });
+    if (!lastExpired) return null;
+
+    // The append-only trigger lets this transaction (only) delete entries
+    await sequelize.query('SET LOCAL audit.allow_prune = \'on\'', { transaction });
+    const removed = await AuditEntry.destroy({
+      where: { id: { [Op.lte]: lastExpired.id } },
+      transaction
+    });
+
+    return AuditCheckpoint.create({
+      throughEntryId: lastExpired.id,
+      throughHash: lastExpired.hash,
+      entriesRemoved: removed,
+      cutoff,
+      retentionDays: days
+    }, { transaction });
+  });
+
+  return {
+    removed: checkpoint ? checkpoint.entriesRemoved : 0,
+    retentionDays: days,
+    cutoff: cutoff.toISOString(),
+    checkpoint: checkpoint ? checkpoint.toJSON() : undefined
+  };
+}
+
+/**
+ * Size and span of the audit trail
+ * @returns {Promise<Object>}
+ */
+async function getAuditTrailSummary() {
+  const [total, oldest, newest, checkpoints] = await Promise.all([
+    AuditEntry.count(),
+    AuditEntry.findOne({ attributes: ['id', 'occurredAt'], order: [['id', 'ASC']] }),
+    AuditEntry.findOne({ attributes: ['id', 'occurredAt', 'hash'], order: [['id', 'DESC']] }),
+    AuditCheckpoint.findAll({ order: [['throughEntryId', 'DESC']], limit: 10 })
+  ]);
+
+  return {
+    total,
+    oldestEntryAt: oldest?.occurredAt || null,
+    newestEntryAt: newest?.occurredAt || null,
+    headEntryId: newest?.id || null,
+    headHash: newest?.hash || null,
+    hashAlgorithm: getHashAlgorithm(),
+    retentionDays: getAuditRetentionDays(),
+    checkpoints
+  };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  HASHED_FIELDS,
+  getAuditRetentionDays,
+  computeEntryHash,
+  appendAuditEntry,
+  buildAuditWhere,
+  iterateAuditEntries,
+  verifyAuditChain,
+  pruneAuditTrail,
+  getAuditTrailSummary
+};
@@ -13,6 +13,7 @@
 const { Company, Invoice, CreditNote, Statement, File, Settings, User } = require('../models');
 const { queueDocumentNotifications } = require('./documentNotificationService');
 const { logActivity, ActivityType } = require('./activityLogger');
+const { emitWebhookEvent, emitDocumentCreated } = require('./webhooks');
 const { isEmailEnabled, sendEmail } = require('../utils/emailService');
 const { renderTemplate, formatDate } = require('../utils/tablerEmailRenderer');
 const { Op } = require('sequelize');
@@ -138,6 +139,18 @@ async function recordJobCompletion(importId, result) {
   
   console.log(`[Batch ${importId}] Recording job completion: success=${result.success}, documentId=${result.documentId}, companyId=${result.companyId}, fileName=${result.fileName}`);
   
+  // Webhooks don't depend on batch tracking, so send <type>.created before the Redis check.
+  // Duplicates, second-format pairings and regenerated statements are not new documents.
+  if (result.success && result.documentId && !result.isDuplicate && !result.skipNotification && result.isNew !== false) {
+    emitDocumentCreated(result.documentType, {
+      id: result.documentId,
+      companyId: result.companyId,
+      invoiceNumber: result.invoiceNumber,
+      creditNoteNumber: result.creditNoteNumber,
+      statementNumber: result.statementNumber
+    }, { source: 'import', importId, fileName: result.fileName || null });
+  }
+  
   if (!redis) {
     console.warn(`[Batch ${importId}] Redis not available, batch tracking disabled`);
     return;
@@ -258,6 +271,19 @@ async function recordJobCompletion(importId, result) {
         if (batch.completedJobs >= batch.totalJobs) {
           console.log(`[Batch ${importId}] All jobs complete! Triggering notifications...`);
           
+          // Imports can span companies, so only global endpoints get this one
+          emitWebhookEvent('import.completed', {
+            data: {
+              importId,
+              source: batch.source,
+              totalJobs: batch.totalJobs,
+              successfulJobs: batch.successfulJobs,
+              failedJobs: batch.failedJobs,
+              durationMs: Date.now() - batch.startTime,
+              user: batch.userId ? { id: batch.userId, email: batch.userEmail || null } : null
+            }
+          });
+          
           try {
             // companyDocuments is already a plain object - no conversion needed
             await sendBatchNotifications(importId, batch);
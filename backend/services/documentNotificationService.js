@@ -10,8 +10,9 @@
  * - Uses Tabler email templates for professional, Outlook-compatible emails
  */
 
-const { Company, User, UserCompany, Settings, sequelize } = require('../models');
+const { Company, User, UserCompany, Settings, Invoice, CreditNote, sequelize } = require('../models');
 const { queueEmail } = require('../utils/emailQueue');
+const { generateFacturX } = require('./eInvoice/facturX');
 const { renderTemplate, formatDate, formatCurrency } = require('../utils/tablerEmailRenderer');
 const { Op } = require('sequelize');
 
@@ -362,6 +363,9 @@ async function queueDocumentNotifications(options) {
     }
   }
   
+  // Companies flagged for Factur-X get the hybrid PDF instead of the plain one
+  const sendFacturX = !!company.sendFacturXAttachment;
+  
   // Queue individual emails (batch when possible for Office 365).
   // Statements always bypass batching because attachment plan is per-recipient (PDF/XLS).
   // Invoices/credit-notes also need per-recipient handling when any recipient wants
@@ -389,11 +393,16 @@ async function queueDocumentNotifications(options) {
         });
         queuedEmails.push(batchEmail);
       } else {
+        // Built once per document and shared by every recipient
+        const facturXAttachment = sendFacturX && !isStatement && hasAnyInvoiceAttachments
+          ? await buildFacturXAttachment(group.document, group.documentType, settings)
+          : null;
         for (const recipient of group.recipients) {
           const emailResult = await queueIndividualEmail({
             recipient,
             document: group.document,
             documentType: group.documentType,
+            facturXAttachment,
             companyName,
             companyId,
             portalName,
@@ -647,6 +656,57 @@ async function queueSummaryEmail(options) {
   return { type: 'summary', recipient: recipient.email, jobId: result.job?.id };
 }
 
+/**
+ * Build the Factur-X hybrid PDF attachment for an invoice or credit note.
+ * Returns null when the document cannot be exported (missing seller/buyer
+ * data, no PDF on disk), in which case the plain PDF is attached instead.
+ * @param {Object} document - Document summary passed to the notification
+ * @param {string} documentType - 'invoice' or 'credit_note'
+ * @param {Object} settings - Settings row
+ * @returns {Promise<Object|null>} queueEmail attachment
+ */
+async function buildFacturXAttachment(document, documentType, settings) {
+  try {
+    const companyInclude = {
+      model: Company,
+      as: 'company',
+      attributes: ['id', 'name', 'referenceNo', 'email', 'phone', 'address', 'vatNumber']
+    };
+    const row = documentType === 'credit_note'
+      ? await CreditNote.findByPk(document.id, {
+        include: [companyInclude, { model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNumber', 'issueDate'], required: false }]
+      })
+      : await Invoice.findByPk(document.id, { include: [companyInclude] });
+    
+    if (!row) {
+      return null;
+    }
+    
+    const result = await generateFacturX(row, {
+      documentType,
+      company: row.company,
+      settings,
+      relatedInvoice: row.invoice
+    });
+    
+    if (!result.valid) {
+      const rules = result.errors.map(e => e.rule).join(', ');
+      console.warn(`[NotificationService] Factur-X not possible for ${documentType} ${document.id} (${rules}), attaching plain PDF`);
+      return null;
+    }
+    
+    return {
+      filename: result.fileName,
+      content: result.buffer.toString('base64'),
+      encoding: 'base64',
+      contentType: 'application/pdf'
+    };
+  } catch (error) {
+    console.warn(`[NotificationService] Error building Factur-X for ${documentType} ${document.id}, attaching plain PDF:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Queue an individual document notification email (using Tabler template)
  */
@@ -655,6 +715,7 @@ async function queueIndividualEmail(options) {
     recipient,
     document,
     documentType,
+    facturXAttachment,
     companyName,
     companyId,
     portalName,
@@ -721,6 +782,8 @@ async function queueIndividualEmail(options) {
       }
     }
     console.log(`[NotificationService] Statement attachment plan for ${recipient.email}: pdf=${recipient.sendPdfAttachment ? 'yes' : 'no'}, xls=${recipient.sendXlsAttachment ? 'yes' : 'no'}, attached=${attachments.length}`);
+  } else if (recipient.sendAttachment && facturXAttachment) {
+    attachments.push(facturXAttachment);
   } else if (recipient.sendAttachment && document.fileUrl) {
     if (fs.existsSync(document.fileUrl)) {
       attachments.push({
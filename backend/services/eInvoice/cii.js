@@ -0,0 +1,165 @@
+/**
+ * UN/CEFACT CII (Cross Industry Invoice D16B) Generator
+ * Writes the EN 16931 profile of Factur-X / ZUGFeRD 2 - the XML that is
+ * embedded in hybrid PDFs (see facturX.js). Uses the same data and business
+ * rules as the UBL export, without the Peppol-only ones (electronic
+ * addresses and buyer reference are optional outside the Peppol network).
+ */
+
+const { el, document } = require('./xml');
+const {
+  INVOICE_TYPE_CODE,
+  CREDIT_NOTE_TYPE_CODE,
+  round2,
+  money,
+  taxCategoryFor,
+  buildInvoiceData
+} = require('./invoiceData');
+
+const GUIDELINE_ID = 'urn:cen.eu:en16931:2017';
+
+// CII dates are YYYYMMDD with format code 102
+const ciiDate = (isoDate) => (isoDate ? isoDate.replace(/-/g, '') : null);
+
+const dateTime = (name, isoDate, prefix = 'udt') => (isoDate
+  ? el(name, [el(`${prefix}:DateTimeString`, { format: '102' }, ciiDate(isoDate))])
+  : null);
+
+function tradePartyXml(name, party, { isSeller }) {
+  return el(name, [
+    !isSeller ? el('ram:ID', party.accountNumber) : null,
+    el('ram:Name', party.name),
+    party.companyNumber ? el('ram:SpecifiedLegalOrganization', [el('ram:ID', party.companyNumber)]) : null,
+    party.email ? el('ram:DefinedTradeContact', [
+      el('ram:EmailURIUniversalCommunication', [el('ram:URIID', party.email)])
+    ]) : null,
+    el('ram:PostalTradeAddress', [
+      el('ram:PostcodeCode', party.postcode),
+      el('ram:LineOne', party.street),
+      el('ram:LineTwo', party.additionalStreet),
+      el('ram:CityName', party.city),
+      el('ram:CountryID', party.countryCode),
+      el('ram:CountrySubDivisionName', party.region)
+    ]),
+    isSeller && party.endpointId
+      ? el('ram:URIUniversalCommunication', [el('ram:URIID', { schemeID: party.endpointScheme }, party.endpointId)])
+      : null,
+    !isSeller && party.email
+      ? el('ram:URIUniversalCommunication', [el('ram:URIID', { schemeID: 'EM' }, party.email)])
+      : null,
+    party.vatNumber ? el('ram:SpecifiedTaxRegistration', [el('ram:ID', { schemeID: 'VA' }, party.vatNumber)]) : null
+  ]);
+}
+
+/**
+ * Render the collected data as a CrossIndustryInvoice document
+ */
+function renderCii(data) {
+  const { currency } = data;
+
+  const lines = data.lines.map(line => el('ram:IncludedSupplyChainTradeLineItem', [
+    el('ram:AssociatedDocumentLineDocument', [el('ram:LineID', line.id)]),
+    el('ram:SpecifiedTradeProduct', [
+      el('ram:SellerAssignedID', line.sellerItemId),
+      el('ram:Name', String(line.name).slice(0, 250))
+    ]),
+    el('ram:SpecifiedLineTradeAgreement', [
+      el('ram:NetPriceProductTradePrice', [el('ram:ChargeAmount', String(round2(line.price)))])
+    ]),
+    el('ram:SpecifiedLineTradeDelivery', [
+      el('ram:BilledQuantity', { unitCode: line.unitCode }, String(line.quantity))
+    ]),
+    el('ram:SpecifiedLineTradeSettlement', [
+      el('ram:ApplicableTradeTax', [
+        el('ram:TypeCode', 'VAT'),
+        el('ram:CategoryCode', taxCategoryFor(line.rate)),
+        el('ram:RateApplicablePercent', String(line.rate))
+      ]),
+      el('ram:SpecifiedTradeSettlementLineMonetarySummation', [el('ram:LineTotalAmount', money(line.net))])
+    ])
+  ]));
+
+  const settlement = el('ram:ApplicableHeaderTradeSettlement', [
+    el('ram:PaymentReference', data.number),
+    el('ram:InvoiceCurrencyCode', currency),
+    data.payment.iban ? el('ram:SpecifiedTradeSettlementPaymentMeans', [
+      el('ram:TypeCode', '30'),
+      el('ram:PayeePartyCreditorFinancialAccount', [
+        el('ram:IBANID', data.payment.iban),
+        el('ram:AccountName', data.payment.accountName)
+      ])
+    ]) : null,
+    ...data.subtotals.map(entry => el('ram:ApplicableTradeTax', [
+      el('ram:CalculatedAmount', money(entry.tax)),
+      el('ram:TypeCode', 'VAT'),
+      el('ram:BasisAmount', money(entry.taxable)),
+      el('ram:CategoryCode', entry.category),
+      el('ram:RateApplicablePercent', String(entry.rate))
+    ])),
+    (data.payment.terms || data.dueDate) ? el('ram:SpecifiedTradePaymentTerms', [
+      el('ram:Description', data.payment.terms),
+      dateTime('ram:DueDateDateTime', data.dueDate)
+    ]) : null,
+    el('ram:SpecifiedTradeSettlementHeaderMonetarySummation', [
+      el('ram:LineTotalAmount', money(data.totals.lineTotal)),
+      el('ram:TaxBasisTotalAmount', money(data.totals.taxExclusive)),
+      el('ram:TaxTotalAmount', { currencyID: currency }, money(data.totals.tax)),
+      el('ram:GrandTotalAmount', money(data.totals.taxInclusive)),
+      data.totals.prepaid > 0 ? el('ram:TotalPrepaidAmount', money(data.totals.prepaid)) : null,
+      el('ram:DuePayableAmount', money(data.totals.payable))
+    ]),
+    data.billingReference ? el('ram:InvoiceReferencedDocument', [
+      el('ram:IssuerAssignedID', data.billingReference.id),
+      dateTime('ram:FormattedIssueDateTime', data.billingReference.issueDate, 'qdt')
+    ]) : null
+  ]);
+
+  return document('rsm:CrossIndustryInvoice', {
+    'xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+    'xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+    'xmlns:ram': 'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+    'xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100'
+  }, [
+    el('rsm:ExchangedDocumentContext', [
+      el('ram:GuidelineSpecifiedDocumentContextParameter', [el('ram:ID', GUIDELINE_ID)])
+    ]),
+    el('rsm:ExchangedDocument', [
+      el('ram:ID', data.number),
+      el('ram:TypeCode', data.isCreditNote ? CREDIT_NOTE_TYPE_CODE : INVOICE_TYPE_CODE),
+      dateTime('ram:IssueDateTime', data.issueDate),
+      data.note ? el('ram:IncludedNote', [el('ram:Content', data.note)]) : null
+    ]),
+    el('rsm:SupplyChainTradeTransaction', [
+      ...lines,
+      el('ram:ApplicableHeaderTradeAgreement', [
+        el('ram:BuyerReference', data.buyerReference),
+        tradePartyXml('ram:SellerTradeParty', data.seller, { isSeller: true }),
+        tradePartyXml('ram:BuyerTradeParty', data.buyer, { isSeller: false }),
+        data.orderReference ? el('ram:BuyerOrderReferencedDocument', [el('ram:IssuerAssignedID', data.orderReference)]) : null
+      ]),
+      // Mandatory element, but we hold no delivery details
+      '<ram:ApplicableHeaderTradeDelivery/>',
+      settlement
+    ])
+  ]);
+}
+
+/**
+ * Generate a Factur-X EN 16931 CII document
+ *
+ * @returns {{ valid: boolean, errors: Array<{rule, field, message}>, xml: string|null, number: string }}
+ */
+function generateCii(doc, options) {
+  const { errors, data } = buildInvoiceData(doc, { ...options, peppol: false });
+  return {
+    valid: errors.length === 0,
+    errors,
+    xml: errors.length === 0 ? renderCii(data) : null,
+    number: data.number
+  };
+}
+
+module.exports = {
+  GUIDELINE_ID,
+  generateCii
+};
@@ -0,0 +1,201 @@
+/**
+ * Factur-X / ZUGFeRD Hybrid PDF Writer
+ * Embeds the EN 16931 CII XML (cii.js) in the stored invoice or credit note
+ * PDF as factur-x.xml and marks the result as PDF/A-3B: XMP metadata with the
+ * Factur-X extension schema, an sRGB OutputIntent, the /AF relationship and
+ * a trailer ID. Customers' AP systems read the XML, people still see the
+ * original PDF.
+ *
+ * The source PDFs come from the ERP, so full PDF/A conformance still depends
+ * on them embedding their fonts; everything this writer adds is conformant.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFString, PDFHexString, AFRelationship } = require('pdf-lib');
+const { generateCii } = require('./cii');
+const { escapeXml } = require('./xml');
+const { getSrgbProfile } = require('./srgbProfile');
+
+const FACTURX_FILENAME = 'factur-x.xml';
+const FACTURX_NAMESPACE = 'urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#';
+const CONFORMANCE_LEVEL = 'EN 16931';
+
+// PDF/A validators compare XMP dates with the Info dictionary, which pdf-lib
+// writes to the second
+const xmpDate = (date) => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const FX_PROPERTIES = [
+  ['DocumentFileName', 'The name of the embedded XML document'],
+  ['DocumentType', 'The type of the hybrid document in capital letters, e.g. INVOICE or ORDER'],
+  ['Version', 'The actual version of the standard applying to the embedded XML document'],
+  ['ConformanceLevel', 'The conformance level of the embedded XML document']
+];
+
+function buildXmp({ title, author, subject, creator, producer, date }) {
+  const properties = FX_PROPERTIES.map(([name, description]) => `
+              <rdf:li rdf:parseType="Resource">
+                <pdfaProperty:name>${name}</pdfaProperty:name>
+                <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                <pdfaProperty:category>external</pdfaProperty:category>
+                <pdfaProperty:description>${description}</pdfaProperty:description>
+              </rdf:li>`).join('');
+
+  return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <pdfaid:part>3</pdfaid:part>
+      <pdfaid:conformance>B</pdfaid:conformance>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      <dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(title)}</rdf:li></rdf:Alt></dc:title>
+      <dc:creator><rdf:Seq><rdf:li>${escapeXml(author)}</rdf:li></rdf:Seq></dc:creator>
+      <dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(subject)}</rdf:li></rdf:Alt></dc:description>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdf:Producer>${escapeXml(producer)}</pdf:Producer>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <xmp:CreatorTool>${escapeXml(creator)}</xmp:CreatorTool>
+      <xmp:CreateDate>${xmpDate(date)}</xmp:CreateDate>
+      <xmp:ModifyDate>${xmpDate(date)}</xmp:ModifyDate>
+    </rdf:Description>
+    <rdf:Description rdf:about=""
+        xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+        xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+        xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+      <pdfaExtension:schemas>
+        <rdf:Bag>
+          <rdf:li rdf:parseType="Resource">
+            <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+            <pdfaSchema:namespaceURI>${FACTURX_NAMESPACE}</pdfaSchema:namespaceURI>
+            <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+            <pdfaSchema:property>
+              <rdf:Seq>${properties}
+              </rdf:Seq>
+            </pdfaSchema:property>
+          </rdf:li>
+        </rdf:Bag>
+      </pdfaExtension:schemas>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:fx="${FACTURX_NAMESPACE}">
+      <fx:DocumentType>INVOICE</fx:DocumentType>
+      <fx:DocumentFileName>${FACTURX_FILENAME}</fx:DocumentFileName>
+      <fx:Version>1.0</fx:Version>
+      <fx:ConformanceLevel>${CONFORMANCE_LEVEL}</fx:ConformanceLevel>
+    </rdf:Description>
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Embed CII XML in a PDF and mark it as PDF/A-3B Factur-X
+ *
+ * @param {Buffer} pdfBuffer - Original PDF
+ * @param {string} xml - CII XML (EN 16931 profile)
+ * @param {Object} info - title, author, subject, creator for Info/XMP
+ * @returns {Promise<Buffer>}
+ */
+async function embedFacturX(pdfBuffer, xml, { title, author, subject, creator }) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const { context, catalog } = pdfDoc;
+  const now = new Date();
+  const producer = 'pdf-lib (https://github.com/Hopding/pdf-lib)';
+
+  await pdfDoc.attach(Buffer.from(xml, 'utf8'), FACTURX_FILENAME, {
+    mimeType: 'text/xml',
+    description: 'Factur-X invoice',
+    creationDate: now,
+    modificationDate: now,
+    afRelationship: AFRelationship.Alternative
+  });
+
+  pdfDoc.setTitle(title, { showInWindowTitleBar: true });
+  pdfDoc.setAuthor(author);
+  pdfDoc.setSubject(subject);
+  pdfDoc.setCreator(creator);
+  pdfDoc.setProducer(producer);
+  pdfDoc.setCreationDate(now);
+  pdfDoc.setModificationDate(now);
+
+  const xmp = Buffer.from(buildXmp({ title, author, subject, creator, producer, date: now }), 'utf8');
+  const metadataStream = context.stream(xmp, { Type: 'Metadata', Subtype: 'XML', Length: xmp.length });
+  catalog.set(PDFName.of('Metadata'), context.register(metadataStream));
+
+  const iccStream = context.flateStream(getSrgbProfile(), { N: 3 });
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of('sRGB'),
+    RegistryName: PDFString.of('http://www.color.org'),
+    Info: PDFString.of('sRGB IEC61966-2.1'),
+    DestOutputProfile: context.register(iccStream)
+  });
+  catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(outputIntent)]));
+
+  const id = crypto.createHash('md5').update(pdfBuffer).update(xml).digest('hex');
+  context.trailerInfo.ID = context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+
+  return Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+}
+
+// fileUrl is absolute for imported documents, relative to backend/ for
+// older uploads
+function resolveFilePath(fileUrl) {
+  if (!fileUrl) return null;
+  if (path.isAbsolute(fileUrl)) return fileUrl;
+  const fromBackend = path.join(__dirname, '..', '..', fileUrl);
+  return fs.existsSync(fromBackend) ? fromBackend : fileUrl;
+}
+
+/**
+ * Build the Factur-X version of a stored invoice or credit note
+ *
+ * @param {Object} doc - Invoice or CreditNote with fileUrl
+ * @param {Object} options
+ * @param {'invoice'|'credit_note'} options.documentType
+ * @param {Object} options.company - Buyer company (address, vatNumber, ...)
+ * @param {Object} options.settings - Settings row
+ * @param {Object} [options.relatedInvoice] - Invoice a credit note refers to
+ * @returns {Promise<{ valid: boolean, errors: Array, buffer: Buffer|null, fileName: string }>}
+ */
+async function generateFacturX(doc, options) {
+  const isCreditNote = options.documentType === 'credit_note';
+  const number = isCreditNote ? doc.creditNoteNumber : doc.invoiceNumber;
+  const fileName = `${String(number || doc.id).replace(/[^A-Za-z0-9._-]/g, '_')}-facturx.pdf`;
+
+  const filePath = resolveFilePath(doc.fileUrl);
+  if (!filePath || !fs.existsSync(filePath) || path.extname(filePath).toLowerCase() !== '.pdf') {
+    return {
+      valid: false,
+      errors: [{ rule: 'FACTURX-PDF', field: 'fileUrl', message: 'No PDF file is stored for this document' }],
+      buffer: null,
+      fileName
+    };
+  }
+
+  const cii = generateCii(doc, options);
+  if (!cii.valid) {
+    return { valid: false, errors: cii.errors, buffer: null, fileName };
+  }
+
+  const portalName = options.settings?.siteTitle || options.settings?.companyName || 'Invoice Portal';
+  const seller = options.settings?.eInvoicing?.sellerName || options.settings?.companyName || portalName;
+  const buffer = await embedFacturX(fs.readFileSync(filePath), cii.xml, {
+    title: `${isCreditNote ? 'Credit Note' : 'Invoice'} ${number}`,
+    author: seller,
+    subject: `Factur-X ${CONFORMANCE_LEVEL} ${isCreditNote ? 'credit note' : 'invoice'} ${number} for ${options.company?.name || 'customer'}`,
+    creator: portalName
+  });
+
+  return { valid: true, errors: [], buffer, fileName };
+}
+
+module.exports = {
+  FACTURX_FILENAME,
+  embedFacturX,
+  generateFacturX
+};
@@ -0,0 +1,297 @@
+/**
+ * Structured E-Invoice Ingestion
+ * Recognises UBL 2.1 and UN/CEFACT CII XML - dropped as .xml files or
+ * embedded in a Factur-X / ZUGFeRD / XRechnung PDF - and maps them straight
+ * to the standard parsed fields the import jobs already understand, so these
+ * documents skip text extraction and template matching entirely.
+ *
+ * parsedData uses standard field names (see utils/standardFields.js) with an
+ * identity fieldLabels map, so getParsedValue() works unchanged.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFStream, decodePDFRawStream } = require('pdf-lib');
+
+// Attachment names used by Factur-X, ZUGFeRD 1/2 and XRechnung hybrids
+const HYBRID_ATTACHMENT_NAMES = ['factur-x.xml', 'zugferd-invoice.xml', 'xrechnung.xml'];
+
+// UNTDID 1001 document type codes that mean "credit note"
+const CREDIT_NOTE_TYPE_CODES = ['381', '396', '532'];
+
+const ARRAY_ELEMENTS = new Set([
+  'InvoiceLine', 'CreditNoteLine', 'TaxTotal', 'TaxSubtotal',
+  'IncludedSupplyChainTradeLineItem', 'ApplicableTradeTax', 'TaxTotalAmount',
+  'PartyIdentification', 'PartyName', 'PartyTaxScheme', 'SpecifiedTaxRegistration'
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  parseAttributeValue: false,
+  trimValues: true,
+  isArray: (name) => ARRAY_ELEMENTS.has(name)
+});
+
+const asArray = (value) => (value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]));
+
+// Element text, whether the parser produced a string or { '#text', '@_attr' }
+const text = (node) => {
+  if (node === undefined || node === null) return null;
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === 'object') return node['#text'] !== undefined ? String(node['#text']) : null;
+  const value = String(node).trim();
+  return value === '' ? null : value;
+};
+
+// Walk a path of element names, taking the first element of any array
+const pick = (node, ...names) => names.reduce((current, name) => {
+  if (current === undefined || current === null) return undefined;
+  const next = Array.isArray(current) ? current[0] : current;
+  return next ? next[name] : undefined;
+}, node);
+
+const number = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+// CII dates are written as format 102 (YYYYMMDD)
+const ciiDate = (node) => {
+  const value = text(pick(node, 'DateTimeString'));
+  if (!value) return null;
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+};
+
+// Amount in the document currency when several currencies are given
+const amountIn = (nodes, currency) => {
+  const list = asArray(nodes);
+  const match = list.find(node => typeof node === 'object' && node['@_currencyID'] === currency) || list[0];
+  return text(match);
+};
+
+function withFieldLabels(parsedData) {
+  const fieldLabels = {};
+  for (const key of Object.keys(parsedData)) {
+    if (parsedData[key] !== null && parsedData[key] !== undefined && typeof parsedData[key] !== 'object') {
+      fieldLabels[key] = key;
+    }
+  }
+  return { ...parsedData, fieldLabels };
+}
+
+function mapUbl(root, rootName) {
+  const isCreditNote = rootName === 'CreditNote' ||
+    CREDIT_NOTE_TYPE_CODES.includes(text(root.InvoiceTypeCode));
+  const currency = text(root.DocumentCurrencyCode);
+  const supplier = pick(root, 'AccountingSupplierParty', 'Party');
+  const customerParty = root.AccountingCustomerParty;
+  const customer = pick(customerParty, 'Party');
+  const totals = root.LegalMonetaryTotal || {};
+  const taxTotal = asArray(root.TaxTotal).find(t => pick(t, 'TaxAmount', '@_currencyID') === currency) || asArray(root.TaxTotal)[0];
+  const partyName = (party) => text(pick(party, 'PartyName', 'Name')) || text(pick(party, 'PartyLegalEntity', 'RegistrationName'));
+
+  const items = [...asArray(root.InvoiceLine), ...asArray(root.CreditNoteLine)].map((line, index) => ({
+    lineNumber: text(line.ID) || String(index + 1),
+    description: text(pick(line, 'Item', 'Name')) || text(pick(line, 'Item', 'Description')),
+    productCode: text(pick(line, 'Item', 'SellersItemIdentification', 'ID')),
+    quantity: number(text(line.InvoicedQuantity || line.CreditedQuantity)),
+    unitCode: pick(line.InvoicedQuantity || line.CreditedQuantity, '@_unitCode') || null,
+    unitPrice: number(text(pick(line, 'Price', 'PriceAmount'))),
+    lineTotal: number(text(line.LineExtensionAmount)),
+    vatRate: number(text(pick(line, 'Item', 'ClassifiedTaxCategory', 'Percent')))
+  }));
+
+  return {
+    documentType: isCreditNote ? 'credit_note' : 'invoice',
+    [isCreditNote ? 'creditNumber' : 'invoiceNumber']: text(root.ID),
+    invoiceDate: text(root.IssueDate),
+    dueDate: text(root.DueDate) || text(pick(root, 'PaymentMeans', 'PaymentDueDate')),
+    accountNumber: text(pick(customer, 'PartyIdentification', 'ID')) ||
+      text(pick(customerParty, 'CustomerAssignedAccountID')) ||
+      text(root.BuyerReference),
+    customerPO: text(pick(root, 'OrderReference', 'ID')),
+    billingReference: text(pick(root, 'BillingReference', 'InvoiceDocumentReference', 'ID')),
+    currency,
+    goodsAmount: text(totals.TaxExclusiveAmount) || text(totals.LineExtensionAmount),
+    vatAmount: text(pick(taxTotal, 'TaxAmount')),
+    totalAmount: text(totals.TaxInclusiveAmount),
+    amountDue: text(totals.PayableAmount),
+    supplierName: partyName(supplier),
+    supplierVatNumber: text(pick(supplier, 'PartyTaxScheme', 'CompanyID')),
+    customerName: partyName(customer),
+    customerVatNumber: text(pick(customer, 'PartyTaxScheme', 'CompanyID')),
+    items
+  };
+}
+
+function mapCii(root) {
+  const exchanged = root.ExchangedDocument || {};
+  const transaction = root.SupplyChainTradeTransaction || {};
+  const agreement = transaction.ApplicableHeaderTradeAgreement || {};
+  const settlement = transaction.ApplicableHeaderTradeSettlement || {};
+  const totals = settlement.SpecifiedTradeSettlementHeaderMonetarySummation || {};
+  const currency = text(settlement.InvoiceCurrencyCode);
+  const isCreditNote = CREDIT_NOTE_TYPE_CODES.includes(text(exchanged.TypeCode));
+  const seller = agreement.SellerTradeParty || {};
+  const buyer = agreement.BuyerTradeParty || {};
+  const vatId = (party) => {
+    const registration = asArray(party.SpecifiedTaxRegistration).find(r => pick(r, 'ID', '@_schemeID') === 'VA');
+    return text(pick(registration, 'ID'));
+  };
+
+  const items = asArray(transaction.IncludedSupplyChainTradeLineItem).map((line, index) => ({
+    lineNumber: text(pick(line, 'AssociatedDocumentLineDocument', 'LineID')) || String(index + 1),
+    description: text(pick(line, 'SpecifiedTradeProduct', 'Name')),
+    productCode: text(pick(line, 'SpecifiedTradeProduct', 'SellerAssignedID')),
+    quantity: number(text(pick(line, 'SpecifiedLineTradeDelivery', 'BilledQuantity'))),
+    unitCode: pick(line, 'SpecifiedLineTradeDelivery', 'BilledQuantity', '@_unitCode') || null,
+    unitPrice: number(text(pick(line, 'SpecifiedLineTradeAgreement', 'NetPriceProductTradePrice', 'ChargeAmount'))),
+    lineTotal: number(text(pick(line, 'SpecifiedLineTradeSettlement', 'SpecifiedTradeSettlementLineMonetarySummation', 'LineTotalAmount'))),
+    vatRate: number(text(pick(line, 'SpecifiedLineTradeSettlement', 'ApplicableTradeTax', 'RateApplicablePercent')))
+  }));
+
+  return {
+    documentType: isCreditNote ? 'credit_note' : 'invoice',
+    [isCreditNote ? 'creditNumber' : 'invoiceNumber']: text(exchanged.ID),
+    invoiceDate: ciiDate(exchanged.IssueDateTime),
+    dueDate: ciiDate(pick(settlement, 'SpecifiedTradePaymentTerms', 'DueDateDateTime')),
+    accountNumber: text(buyer.ID) || text(agreement.BuyerReference),
+    customerPO: text(pick(agreement, 'BuyerOrderReferencedDocument', 'IssuerAssignedID')),
+    billingReference: text(pick(settlement, 'InvoiceReferencedDocument', 'IssuerAssignedID')),
+    currency,
+    goodsAmount: text(totals.TaxBasisTotalAmount) || text(totals.LineTotalAmount),
+    vatAmount: amountIn(totals.TaxTotalAmount, currency),
+    totalAmount: text(totals.GrandTotalAmount),
+    amountDue: text(totals.DuePayableAmount),
+    supplierName: text(seller.Name),
+    supplierVatNumber: vatId(seller),
+    customerName: text(buyer.Name),
+    customerVatNumber: vatId(buyer),
+    items
+  };
+}
+
+/**
+ * Parse UBL or CII XML into standard parsed fields
+ *
+ * @param {string|Buffer} xml
+ * @returns {{ syntax: 'ubl'|'cii', parsedData: Object }|null} null when the
+ *   XML is not an invoice or credit note in either syntax
+ */
+function parseEInvoiceXml(xml) {
+  let document;
+  try {
+    document = parser.parse(Buffer.isBuffer(xml) ? xml.toString('utf8') : xml);
+  } catch (error) {
+    return null;
+  }
+
+  const rootName = ['Invoice', 'CreditNote', 'CrossIndustryInvoice'].find(name => document[name]);
+  if (!rootName) return null;
+
+  const syntax = rootName === 'CrossIndustryInvoice' ? 'cii' : 'ubl';
+  const fields = syntax === 'cii' ? mapCii(document[rootName]) : mapUbl(document[rootName], rootName);
+  if (!fields.invoiceNumber && !fields.creditNumber) return null;
+
+  return { syntax, parsedData: fields };
+}
+
+/**
+ * List the embedded files of a PDF as { name, content }
+ */
+async function getEmbeddedFiles(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+  const names = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const tree = names && names.lookupMaybe(PDFName.of('EmbeddedFiles'), PDFDict);
+  const files = [];
+
+  const walk = (node, depth = 0) => {
+    if (!node || depth > 10) return;
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    if (kids) {
+      for (let i = 0; i < kids.size(); i++) walk(kids.lookupMaybe(i, PDFDict), depth + 1);
+    }
+    const pairs = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (!pairs) return;
+    for (let i = 0; i + 1 < pairs.size(); i += 2) {
+      const spec = pairs.lookupMaybe(i + 1, PDFDict);
+      const ef = spec && spec.lookupMaybe(PDFName.of('EF'), PDFDict);
+      const stream = ef && ef.lookupMaybe(PDFName.of('F'), PDFStream);
+      if (!stream) continue;
+      const nameObject = spec.lookup(PDFName.of('UF')) || spec.lookup(PDFName.of('F')) || pairs.lookup(i);
+      const name = nameObject && typeof nameObject.decodeText === 'function' ? nameObject.decodeText() : '';
+      files.push({ name, content: Buffer.from(decodePDFRawStream(stream).decode()) });
+    }
+  };
+
+  walk(tree);
+  return files;
+}
+
+/**
+ * Look for a structured e-invoice in an import file
+ *
+ * @param {string} filePath - .xml or .pdf file
+ * @returns {Promise<{ format: 'ubl'|'cii'|'facturx', attachmentName?: string, parsedData: Object }|null>}
+ *   null when the file carries no UBL/CII invoice and should be template-parsed
+ */
+async function extractStructuredInvoice(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.xml') {
+    const result = parseEInvoiceXml(fs.readFileSync(filePath));
+    if (!result) return null;
+    return {
+      format: result.syntax,
+      parsedData: withFieldLabels({ ...result.parsedData, confidence: 100, eInvoiceFormat: result.syntax })
+    };
+  }
+
+  if (ext !== '.pdf') return null;
+
+  const buffer = fs.readFileSync(filePath);
+  // Cheap check before parsing the whole PDF: hybrids always declare embedded files
+  if (!buffer.includes('/EmbeddedFile')) return null;
+
+  let attachments;
+  try {
+    attachments = await getEmbeddedFiles(buffer);
+  } catch (error) {
+    console.warn(`⚠️  Could not read PDF attachments of ${path.basename(filePath)}: ${error.message}`);
+    return null;
+  }
+
+  // Prefer the standard hybrid attachment names, then any other XML attachment
+  const candidates = [
+    ...attachments.filter(a => HYBRID_ATTACHMENT_NAMES.includes(a.name.toLowerCase())),
+    ...attachments.filter(a => !HYBRID_ATTACHMENT_NAMES.includes(a.name.toLowerCase()) && a.name.toLowerCase().endsWith('.xml'))
+  ];
+
+  for (const attachment of candidates) {
+    const result = parseEInvoiceXml(attachment.content);
+    if (result) {
+      return {
+        format: 'facturx',
+        attachmentName: attachment.name,
+        parsedData: withFieldLabels({
+          ...result.parsedData,
+          confidence: 100,
+          eInvoiceFormat: result.syntax === 'cii' ? 'facturx' : 'ubl_embedded'
+        })
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseEInvoiceXml,
+  extractStructuredInvoice
+};
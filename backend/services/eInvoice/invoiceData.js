@@ -0,0 +1,329 @@
+/**
+ * E-Invoice Data
+ * Shared by the UBL (Peppol) and CII (Factur-X) writers: maps an Invoice or
+ * CreditNote row, its Company and settings.eInvoicing onto the EN 16931
+ * semantic model and checks the mandatory business rules. Errors carry the
+ * schematron rule IDs (BR-xx / PEPPOL-EN16931-Rxxx) so users can look them up.
+ *
+ * Our header data comes from parsed PDFs. When a document has no line items
+ * a single summary line is written for its net amount.
+ */
+
+const INVOICE_TYPE_CODE = '380';
+const CREDIT_NOTE_TYPE_CODE = '381';
+
+// Free-text country names seen in company addresses, mapped to ISO 3166-1 alpha-2
+const COUNTRY_NAMES = {
+  'united kingdom': 'GB',
+  'great britain': 'GB',
+  'england': 'GB',
+  'scotland': 'GB',
+  'wales': 'GB',
+  'northern ireland': 'GB',
+  'uk': 'GB',
+  'ireland': 'IE',
+  'republic of ireland': 'IE',
+  'france': 'FR',
+  'germany': 'DE',
+  'netherlands': 'NL',
+  'belgium': 'BE',
+  'spain': 'ES',
+  'italy': 'IT',
+  'portugal': 'PT',
+  'luxembourg': 'LU',
+  'denmark': 'DK',
+  'sweden': 'SE',
+  'norway': 'NO',
+  'poland': 'PL',
+  'austria': 'AT'
+};
+
+// Standard UK VAT rates - a rate derived from header totals is snapped to these
+const KNOWN_VAT_RATES = [20, 5, 0];
+
+const round2 = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const money = (value) => round2(value).toFixed(2);
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Format a date as YYYY-MM-DD in server local time (issue dates are stored as
+ * local midnight, so toISOString() would shift them back a day during BST)
+ */
+const formatDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Normalise a free-text country to an ISO alpha-2 code, or null if unknown
+ */
+function normalizeCountryCode(country) {
+  if (isBlank(country)) return null;
+  const value = String(country).trim();
+  if (/^[A-Za-z]{2}$/.test(value)) {
+    const code = value.toUpperCase();
+    return code === 'UK' ? 'GB' : code;
+  }
+  return COUNTRY_NAMES[value.toLowerCase()] || null;
+}
+
+/**
+ * Normalise a VAT number to carry its ISO country prefix (BR-CO-09)
+ */
+function normalizeVatNumber(vatNumber, countryCode) {
+  if (isBlank(vatNumber)) return null;
+  const compact = String(vatNumber).replace(/[\s.-]/g, '').toUpperCase();
+  if (/^[A-Z]{2}/.test(compact)) return compact;
+  return countryCode ? `${countryCode}${compact}` : compact;
+}
+
+/**
+ * Pick a standard VAT rate from header totals, falling back to the exact rate
+ */
+function deriveVatRate(net, tax) {
+  if (!net || !tax) return 0;
+  const exact = (tax / net) * 100;
+  const known = KNOWN_VAT_RATES.find(rate => Math.abs(rate - exact) < 0.5);
+  return known !== undefined ? known : round2(exact);
+}
+
+const firstValue = (item, keys) => {
+  for (const key of keys) {
+    if (!isBlank(item[key])) return item[key];
+  }
+  return null;
+};
+
+/**
+ * Map a stored line item to quantity / price / net / rate, tolerating the key
+ * variations different templates produce
+ */
+function mapLineItem(item, index, defaultRate) {
+  const quantity = parseFloat(firstValue(item, ['quantity', 'qty'])) || 1;
+  const rawPrice = firstValue(item, ['unitPrice', 'unit_price', 'price']);
+  const rawNet = firstValue(item, ['lineTotal', 'line_total', 'netAmount', 'net_amount', 'amount', 'total']);
+  const rawRate = firstValue(item, ['vatRate', 'vat_rate', 'taxRate', 'tax_rate']);
+
+  const net = rawNet !== null ? round2(Math.abs(parseFloat(rawNet))) : round2(quantity * Math.abs(parseFloat(rawPrice) || 0));
+  const price = rawPrice !== null ? Math.abs(parseFloat(rawPrice)) : round2(net / quantity);
+
+  return {
+    id: String(index + 1),
+    name: firstValue(item, ['description', 'name', 'productName', 'product_name']) || `Line ${index + 1}`,
+    sellerItemId: firstValue(item, ['sku', 'productCode', 'product_code', 'partNumber', 'part_number', 'code']),
+    unitCode: firstValue(item, ['unitCode', 'unit_code']) || 'C62',
+    quantity: Math.abs(quantity),
+    price,
+    net,
+    rate: rawRate !== null ? parseFloat(rawRate) : defaultRate
+  };
+}
+
+const taxCategoryFor = (rate) => (rate > 0 ? 'S' : 'Z');
+
+/**
+ * Collect everything an e-invoice needs, plus EN 16931 validation errors
+ *
+ * @param {Object} doc - Invoice or CreditNote (plain object or model instance)
+ * @param {Object} options
+ * @param {'invoice'|'credit_note'} options.documentType
+ * @param {Object} options.company - Buyer company
+ * @param {Object} options.settings - Settings row (for eInvoicing + companyName)
+ * @param {Object} [options.relatedInvoice] - Invoice a credit note refers to
+ * @param {boolean} [options.peppol=true] - Also apply the Peppol BIS 3.0 rules
+ *   (electronic addresses and buyer reference are mandatory on the network)
+ * @returns {{ errors: Array<{rule, field, message}>, data: Object }}
+ */
+function buildInvoiceData(doc, { documentType, company, settings, relatedInvoice = null, peppol = true }) {
+  const errors = [];
+  const addError = (rule, field, message) => errors.push({ rule, field, message });
+
+  const eInvoicing = settings?.eInvoicing || {};
+  const isCreditNote = documentType === 'credit_note';
+  const number = isCreditNote ? doc.creditNoteNumber : doc.invoiceNumber;
+  const currency = (eInvoicing.currency || 'GBP').toUpperCase();
+  const parsedData = doc.metadata?.parsedData || {};
+
+  // Header
+  if (isBlank(number)) addError('BR-02', 'number', 'Document number is missing');
+  const issueDate = formatDate(doc.issueDate);
+  if (!issueDate) addError('BR-03', 'issueDate', 'Issue date is missing or invalid');
+
+  // Seller (settings.eInvoicing)
+  const sellerCountry = normalizeCountryCode(eInvoicing.countryCode);
+  const seller = {
+    name: eInvoicing.sellerName || settings?.companyName || null,
+    street: eInvoicing.street || null,
+    additionalStreet: eInvoicing.additionalStreet || null,
+    city: eInvoicing.city || null,
+    postcode: eInvoicing.postcode || null,
+    countryCode: sellerCountry,
+    vatNumber: normalizeVatNumber(eInvoicing.vatNumber, sellerCountry),
+    companyNumber: eInvoicing.companyNumber || null,
+    endpointId: eInvoicing.endpointId || null,
+    endpointScheme: eInvoicing.endpointScheme || null,
+    email: eInvoicing.contactEmail || settings?.systemEmail || null
+  };
+  if (isBlank(seller.name)) addError('BR-06', 'seller.name', 'Seller name is not set (Settings > E-Invoicing)');
+  if (!seller.countryCode) addError('BR-09', 'seller.countryCode', 'Seller country code is not set (Settings > E-Invoicing)');
+  if (isBlank(seller.city) || isBlank(seller.postcode)) {
+    addError('BR-08', 'seller.address', 'Seller postal address needs at least a city and postcode (Settings > E-Invoicing)');
+  }
+  if (!seller.vatNumber) addError('BR-S-02', 'seller.vatNumber', 'Seller VAT number is not set (Settings > E-Invoicing)');
+  if (peppol && (isBlank(seller.endpointId) || isBlank(seller.endpointScheme))) {
+    addError('PEPPOL-EN16931-R020', 'seller.endpoint', 'Seller Peppol endpoint ID and scheme are not set (Settings > E-Invoicing)');
+  }
+
+  // Buyer (Company)
+  const address = company?.address || {};
+  const buyerCountry = normalizeCountryCode(address.country);
+  const buyer = {
+    name: company?.name || null,
+    accountNumber: company?.referenceNo ? String(company.referenceNo) : null,
+    street: address.line1 || null,
+    additionalStreet: address.line2 || null,
+    city: address.city || null,
+    postcode: address.zip || null,
+    region: address.state || null,
+    countryCode: buyerCountry,
+    vatNumber: normalizeVatNumber(company?.vatNumber, buyerCountry),
+    email: company?.email || null,
+    phone: company?.phone || null
+  };
+  if (!company) {
+    addError('BR-07', 'buyer', 'Document is not allocated to a company');
+  } else {
+    if (isBlank(buyer.name)) addError('BR-07', 'buyer.name', 'Buyer name is missing');
+    if (!buyer.countryCode) {
+      addError('BR-11', 'buyer.countryCode', isBlank(address.country)
+        ? `Company "${buyer.name}" has no country in its address`
+        : `Company "${buyer.name}" country "${address.country}" is not a recognised country or ISO code`);
+    }
+    if (isBlank(buyer.city) && isBlank(buyer.postcode)) {
+      addError('BR-10', 'buyer.address', `Company "${buyer.name}" has no postal address`);
+    }
+    if (peppol && isBlank(buyer.email)) {
+      addError('PEPPOL-EN16931-R010', 'buyer.endpoint', `Company "${buyer.name}" has no email address to use as its electronic address`);
+    }
+  }
+
+  const orderReference = parsedData.customerPO || parsedData.poNumber || null;
+  const buyerReference = orderReference || buyer.accountNumber;
+  if (peppol && isBlank(buyerReference)) {
+    addError('PEPPOL-EN16931-R003', 'buyerReference', 'Either a customer PO number or a company account number is required');
+  }
+
+  // Totals - amount is VAT inclusive, taxAmount is the VAT
+  const gross = round2(Math.abs(parseFloat(doc.amount) || 0));
+  const tax = round2(Math.abs(parseFloat(doc.taxAmount) || 0));
+  const net = round2(gross - tax);
+  const defaultRate = deriveVatRate(net, tax);
+
+  // Lines
+  const items = Array.isArray(doc.items) ? doc.items.filter(item => item && typeof item === 'object') : [];
+  const lines = items.length > 0
+    ? items.map((item, index) => mapLineItem(item, index, defaultRate))
+    : [{
+      id: '1',
+      name: `${isCreditNote ? 'Credit note' : 'Invoice'} ${number || ''}`.trim(),
+      sellerItemId: null,
+      unitCode: 'C62',
+      quantity: 1,
+      price: net,
+      net,
+      rate: defaultRate
+    }];
+
+  lines.forEach(line => {
+    if (Math.abs(round2(line.quantity * line.price) - line.net) > 0.02) {
+      addError('PEPPOL-EN16931-R120', `lines[${line.id}]`,
+        `Line ${line.id} net amount ${money(line.net)} does not equal quantity ${line.quantity} x price ${line.price}`);
+    }
+  });
+
+  const lineTotal = round2(lines.reduce((sum, line) => sum + line.net, 0));
+  if (Math.abs(lineTotal - net) > 0.01) {
+    addError('BR-CO-13', 'lines', `Line items total ${money(lineTotal)} does not match the document net amount ${money(net)}`);
+  }
+
+  // VAT breakdown, one subtotal per category/rate
+  const subtotalMap = new Map();
+  lines.forEach(line => {
+    const category = taxCategoryFor(line.rate);
+    const key = `${category}:${line.rate}`;
+    const entry = subtotalMap.get(key) || { category, rate: line.rate, taxable: 0, tax: 0 };
+    entry.taxable = round2(entry.taxable + line.net);
+    subtotalMap.set(key, entry);
+  });
+  const subtotals = [...subtotalMap.values()];
+  if (subtotals.length === 1) {
+    // Keep the VAT printed on the document rather than recomputing it
+    subtotals[0].tax = tax;
+  } else {
+    subtotals.forEach(entry => { entry.tax = round2(entry.taxable * entry.rate / 100); });
+    const computedTax = round2(subtotals.reduce((sum, entry) => sum + entry.tax, 0));
+    if (Math.abs(computedTax - tax) > 0.02) {
+      addError('BR-CO-14', 'taxAmount', `VAT from line rates ${money(computedTax)} does not match the document VAT ${money(tax)}`);
+    }
+  }
+  const taxTotal = round2(subtotals.reduce((sum, entry) => sum + entry.tax, 0));
+  subtotals.forEach(entry => {
+    if (entry.category === 'S' && Math.abs(round2(entry.taxable * entry.rate / 100) - entry.tax) > 1) {
+      addError('BR-S-09', 'taxAmount', `VAT ${money(entry.tax)} is not ${entry.rate}% of ${money(entry.taxable)}`);
+    }
+  });
+
+  const prepaid = isCreditNote ? 0 : round2(Math.min(Math.abs(parseFloat(doc.amountPaid) || 0), gross));
+  const payable = round2(lineTotal + taxTotal - prepaid);
+
+  const dueDate = isCreditNote ? null : formatDate(doc.dueDate);
+  if (!isCreditNote && payable > 0 && !dueDate && isBlank(eInvoicing.paymentTerms)) {
+    addError('BR-CO-25', 'dueDate', 'A due date or payment terms (Settings > E-Invoicing) is required when an amount is payable');
+  }
+
+  return {
+    errors,
+    data: {
+      documentType,
+      isCreditNote,
+      number,
+      issueDate,
+      dueDate,
+      currency,
+      note: doc.notes || (isCreditNote ? doc.reason : null) || null,
+      buyerReference,
+      orderReference,
+      billingReference: isCreditNote && relatedInvoice
+        ? { id: relatedInvoice.invoiceNumber, issueDate: formatDate(relatedInvoice.issueDate) }
+        : null,
+      seller,
+      buyer,
+      payment: {
+        iban: eInvoicing.iban ? String(eInvoicing.iban).replace(/\s/g, '').toUpperCase() : null,
+        accountName: eInvoicing.accountName || seller.name,
+        terms: eInvoicing.paymentTerms || null
+      },
+      lines,
+      subtotals,
+      totals: { lineTotal, taxExclusive: lineTotal, tax: taxTotal, taxInclusive: round2(lineTotal + taxTotal), prepaid, payable }
+    }
+  };
+}
+
+module.exports = {
+  INVOICE_TYPE_CODE,
+  CREDIT_NOTE_TYPE_CODE,
+  round2,
+  money,
+  isBlank,
+  formatDate,
+  normalizeCountryCode,
+  normalizeVatNumber,
+  taxCategoryFor,
+  buildInvoiceData
+};
@@ -0,0 +1,104 @@
+/**
+ * sRGB ICC Profile
+ * PDF/A requires an OutputIntent carrying an ICC profile. Rather than ship a
+ * binary .icc file this builds a small ICC v2 matrix/TRC display profile
+ * with the sRGB primaries (Bradford-adapted to D50) and a 2.2 gamma curve.
+ */
+
+const s15Fixed16 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value * 65536));
+  return buffer;
+};
+
+const pad4 = (buffer) => {
+  const remainder = buffer.length % 4;
+  return remainder === 0 ? buffer : Buffer.concat([buffer, Buffer.alloc(4 - remainder)]);
+};
+
+const xyzTag = (x, y, z) => Buffer.concat([Buffer.from('XYZ '), Buffer.alloc(4), s15Fixed16(x), s15Fixed16(y), s15Fixed16(z)]);
+
+const textTag = (text) => Buffer.concat([Buffer.from('text'), Buffer.alloc(4), Buffer.from(`${text}\0`, 'ascii')]);
+
+// ICC v2 textDescriptionType: ASCII part, then empty Unicode and ScriptCode parts
+const descTag = (text) => {
+  const ascii = Buffer.from(`${text}\0`, 'ascii');
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(ascii.length);
+  return Buffer.concat([Buffer.from('desc'), Buffer.alloc(4), count, ascii, Buffer.alloc(4 + 4 + 2 + 1 + 67)]);
+};
+
+// curveType with a single entry is a pure gamma (u8Fixed8Number)
+const gammaTag = (gamma) => {
+  const buffer = Buffer.concat([Buffer.from('curv'), Buffer.alloc(4), Buffer.alloc(4), Buffer.alloc(2)]);
+  buffer.writeUInt32BE(1, 8);
+  buffer.writeUInt16BE(Math.round(gamma * 256), 12);
+  return buffer;
+};
+
+function buildSrgbProfile() {
+  const trc = gammaTag(2.2);
+  const tags = [
+    ['desc', descTag('sRGB IEC61966-2.1')],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(0.9642, 1.0, 0.8249)],
+    ['rXYZ', xyzTag(0.4361, 0.2225, 0.0139)],
+    ['gXYZ', xyzTag(0.3851, 0.7169, 0.0971)],
+    ['bXYZ', xyzTag(0.1431, 0.0606, 0.7141)],
+    ['rTRC', trc],
+    ['gTRC', trc],
+    ['bTRC', trc]
+  ];
+
+  const tagTableSize = 4 + tags.length * 12;
+  let offset = 128 + tagTableSize;
+  const table = Buffer.alloc(tagTableSize);
+  table.writeUInt32BE(tags.length, 0);
+  const data = [];
+  const written = new Map();
+
+  tags.forEach(([signature, content], index) => {
+    const entry = 4 + index * 12;
+    table.write(signature, entry, 'ascii');
+    // The three TRC tags share one curve
+    if (written.has(content)) {
+      table.writeUInt32BE(written.get(content), entry + 4);
+    } else {
+      written.set(content, offset);
+      table.writeUInt32BE(offset, entry + 4);
+      const padded = pad4(content);
+      data.push(padded);
+      offset += padded.length;
+    }
+    table.writeUInt32BE(content.length, entry + 8);
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0); // profile size
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write('mntr', 12, 'ascii');
+  header.write('RGB ', 16, 'ascii');
+  header.write('XYZ ', 20, 'ascii');
+  // creation date/time (year, month, day, hour, minute, second)
+  [2000, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+  header.write('acsp', 36, 'ascii');
+  s15Fixed16(0.9642).copy(header, 68);
+  s15Fixed16(1.0).copy(header, 72);
+  s15Fixed16(0.8249).copy(header, 76);
+
+  return Buffer.concat([header, table, ...data]);
+}
+
+let cached = null;
+
+/**
+ * @returns {Buffer} ICC profile bytes (built once)
+ */
+function getSrgbProfile() {
+  if (!cached) cached = buildSrgbProfile();
+  return cached;
+}
+
+module.exports = {
+  getSrgbProfile
+};
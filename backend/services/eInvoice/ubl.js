@@ -0,0 +1,159 @@
+/**
+ * UBL 2.1 / Peppol BIS Billing 3.0 Generator
+ * Turns an Invoice or CreditNote row into a UBL document that conforms to
+ * Peppol BIS 3.0. Our header data comes from parsed PDFs, so before writing
+ * any XML the mandatory business rules are checked and reported with their
+ * schematron rule IDs (BR-xx / PEPPOL-EN16931-Rxxx), letting the user fix the
+ * company record or Settings > E-Invoicing instead of sending something an
+ * access point will reject.
+ *
+ * Seller details come from settings.eInvoicing, buyer details from the
+ * Company (see invoiceData.js).
+ */
+
+const { el, document } = require('./xml');
+const {
+  INVOICE_TYPE_CODE,
+  CREDIT_NOTE_TYPE_CODE,
+  round2,
+  money,
+  taxCategoryFor,
+  buildInvoiceData
+} = require('./invoiceData');
+
+const CUSTOMIZATION_ID = 'urn:cen.eu:en16931:2017#compliant#urn:fdc:peppol.eu:2017:poacc:billing:3.0';
+const PROFILE_ID = 'urn:fdc:peppol.eu:2017:poacc:billing:01:1.0';
+
+const amount = (name, value, currency) => el(name, { currencyID: currency }, money(value));
+
+function partyXml(party, { isSeller }) {
+  return el('cac:Party', [
+    isSeller
+      ? el('cbc:EndpointID', { schemeID: party.endpointScheme }, party.endpointId)
+      : el('cbc:EndpointID', { schemeID: 'EM' }, party.email),
+    !isSeller && party.accountNumber ? el('cac:PartyIdentification', [el('cbc:ID', party.accountNumber)]) : null,
+    el('cac:PartyName', [el('cbc:Name', party.name)]),
+    el('cac:PostalAddress', [
+      el('cbc:StreetName', party.street),
+      el('cbc:AdditionalStreetName', party.additionalStreet),
+      el('cbc:CityName', party.city),
+      el('cbc:PostalZone', party.postcode),
+      el('cbc:CountrySubentity', party.region),
+      el('cac:Country', [el('cbc:IdentificationCode', party.countryCode)])
+    ]),
+    party.vatNumber ? el('cac:PartyTaxScheme', [
+      el('cbc:CompanyID', party.vatNumber),
+      el('cac:TaxScheme', [el('cbc:ID', 'VAT')])
+    ]) : null,
+    el('cac:PartyLegalEntity', [
+      el('cbc:RegistrationName', party.name),
+      el('cbc:CompanyID', party.companyNumber)
+    ]),
+    el('cac:Contact', [
+      el('cbc:Telephone', party.phone),
+      el('cbc:ElectronicMail', party.email)
+    ])
+  ]);
+}
+
+const taxCategoryXml = (name, category, rate) => el(name, [
+  el('cbc:ID', category),
+  el('cbc:Percent', String(rate)),
+  el('cac:TaxScheme', [el('cbc:ID', 'VAT')])
+]);
+
+/**
+ * Render the collected data as a UBL Invoice or CreditNote document
+ */
+function renderUbl(data) {
+  const { isCreditNote, currency } = data;
+  const root = isCreditNote ? 'CreditNote' : 'Invoice';
+  const lineElement = isCreditNote ? 'cac:CreditNoteLine' : 'cac:InvoiceLine';
+  const quantityElement = isCreditNote ? 'cbc:CreditedQuantity' : 'cbc:InvoicedQuantity';
+
+  const body = [
+    el('cbc:CustomizationID', CUSTOMIZATION_ID),
+    el('cbc:ProfileID', PROFILE_ID),
+    el('cbc:ID', data.number),
+    el('cbc:IssueDate', data.issueDate),
+    isCreditNote ? null : el('cbc:DueDate', data.dueDate),
+    isCreditNote ? el('cbc:CreditNoteTypeCode', CREDIT_NOTE_TYPE_CODE) : el('cbc:InvoiceTypeCode', INVOICE_TYPE_CODE),
+    el('cbc:Note', data.note),
+    el('cbc:DocumentCurrencyCode', currency),
+    el('cbc:BuyerReference', data.buyerReference),
+    data.orderReference ? el('cac:OrderReference', [el('cbc:ID', data.orderReference)]) : null,
+    data.billingReference ? el('cac:BillingReference', [
+      el('cac:InvoiceDocumentReference', [
+        el('cbc:ID', data.billingReference.id),
+        el('cbc:IssueDate', data.billingReference.issueDate)
+      ])
+    ]) : null,
+    el('cac:AccountingSupplierParty', [partyXml(data.seller, { isSeller: true })]),
+    el('cac:AccountingCustomerParty', [partyXml(data.buyer, { isSeller: false })]),
+    data.payment.iban ? el('cac:PaymentMeans', [
+      el('cbc:PaymentMeansCode', '30'),
+      el('cbc:PaymentID', data.number),
+      el('cac:PayeeFinancialAccount', [
+        el('cbc:ID', data.payment.iban),
+        el('cbc:Name', data.payment.accountName)
+      ])
+    ]) : null,
+    data.payment.terms ? el('cac:PaymentTerms', [el('cbc:Note', data.payment.terms)]) : null,
+    el('cac:TaxTotal', [
+      amount('cbc:TaxAmount', data.totals.tax, currency),
+      ...data.subtotals.map(entry => el('cac:TaxSubtotal', [
+        amount('cbc:TaxableAmount', entry.taxable, currency),
+        amount('cbc:TaxAmount', entry.tax, currency),
+        taxCategoryXml('cac:TaxCategory', entry.category, entry.rate)
+      ]))
+    ]),
+    el('cac:LegalMonetaryTotal', [
+      amount('cbc:LineExtensionAmount', data.totals.lineTotal, currency),
+      amount('cbc:TaxExclusiveAmount', data.totals.taxExclusive, currency),
+      amount('cbc:TaxInclusiveAmount', data.totals.taxInclusive, currency),
+      data.totals.prepaid > 0 ? amount('cbc:PrepaidAmount', data.totals.prepaid, currency) : null,
+      amount('cbc:PayableAmount', data.totals.payable, currency)
+    ]),
+    ...data.lines.map(line => el(lineElement, [
+      el('cbc:ID', line.id),
+      el(quantityElement, { unitCode: line.unitCode }, String(line.quantity)),
+      amount('cbc:LineExtensionAmount', line.net, currency),
+      el('cac:Item', [
+        el('cbc:Name', String(line.name).slice(0, 250)),
+        line.sellerItemId ? el('cac:SellersItemIdentification', [el('cbc:ID', line.sellerItemId)]) : null,
+        taxCategoryXml('cac:ClassifiedTaxCategory', taxCategoryFor(line.rate), line.rate)
+      ]),
+      el('cac:Price', [el('cbc:PriceAmount', { currencyID: currency }, String(round2(line.price)))])
+    ]))
+  ];
+
+  return document(root, {
+    xmlns: isCreditNote
+      ? 'urn:oasis:names:specification:ubl:schema:xsd:CreditNote-2'
+      : 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+    'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+    'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+  }, body);
+}
+
+/**
+ * Generate a Peppol BIS 3.0 UBL document
+ *
+ * @returns {{ valid: boolean, errors: Array<{rule, field, message}>, xml: string|null, fileName: string }}
+ */
+function generateUbl(doc, options) {
+  const { errors, data } = buildInvoiceData(doc, { ...options, peppol: true });
+  const safeNumber = String(data.number || doc.id).replace(/[^A-Za-z0-9._-]/g, '_');
+  return {
+    valid: errors.length === 0,
+    errors,
+    xml: errors.length === 0 ? renderUbl(data) : null,
+    fileName: `${safeNumber}.xml`
+  };
+}
+
+module.exports = {
+  CUSTOMIZATION_ID,
+  PROFILE_ID,
+  generateUbl
+};
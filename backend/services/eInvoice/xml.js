@@ -0,0 +1,52 @@
+/**
+ * Minimal XML writer for the e-invoice formats. Elements are built as
+ * strings; null/empty content is dropped so optional fields can be passed
+ * straight through without guards.
+ */
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Strip control characters XML 1.0 does not allow
+  .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+/**
+ * Tiny element writer - indents nested arrays, skips null/empty children
+ */
+function el(name, attrsOrContent, maybeContent) {
+  const hasAttrs = attrsOrContent && typeof attrsOrContent === 'object' && !Array.isArray(attrsOrContent);
+  const attrs = hasAttrs ? attrsOrContent : {};
+  const content = hasAttrs ? maybeContent : attrsOrContent;
+  if (content === null || content === undefined || content === '') return null;
+
+  const attrText = Object.entries(attrs)
+    .filter(([, value]) => !(value === null || value === undefined || String(value).trim() === ''))
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+
+  if (Array.isArray(content)) {
+    const children = content.flat().filter(Boolean);
+    if (children.length === 0) return null;
+    const inner = children.map(child => child.replace(/^/gm, '  ')).join('\n');
+    return `<${name}${attrText}>\n${inner}\n</${name}>`;
+  }
+  return `<${name}${attrText}>${escapeXml(content)}</${name}>`;
+}
+
+/**
+ * Indent and join child elements under a root, with the XML declaration
+ */
+function document(root, attrs, children) {
+  const attrText = Object.entries(attrs).map(([key, value]) => `${key}="${escapeXml(value)}"`).join('\n  ');
+  const inner = children.flat().filter(Boolean).map(child => child.replace(/^/gm, '  ')).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<${root} ${attrText}>\n${inner}\n</${root}>\n`;
+}
+
+module.exports = {
+  escapeXml,
+  el,
+  document
+};
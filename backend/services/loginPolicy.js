@@ -0,0 +1,275 @@
+/**
+ * Login Policy Service
+ *
+ * Applies the login policies configured on the Security page
+ * (Settings.loginPolicy):
+ * - Per-role IP allowlists: users with the role may only sign in from the
+ *   listed addresses/CIDR ranges (e.g. administrators from office ranges)
+ * - Per-company IP allowlists: external (non-staff) users assigned to the
+ *   company may only sign in from its ranges. A user in several restricted
+ *   companies may use any of their ranges.
+ * - Step-up verification: a sign-in from an IP address or device (browser and
+ *   OS) the user hasn't signed in from before must be confirmed with a
+ *   verification code, even when 2FA isn't required.
+ *
+ * Allowlists are checked when a session is created or refreshed, so they
+ * cover every way of signing in (password, passkey, SSO). The IPs and devices
+ * a user has signed in from are kept in Redis for 90 days
+ * (security:known-devices:<userId>), in memory without Redis.
+ */
+
+const { redis } = require('../config/redis');
+const { isIpInRanges, normalizeIp } = require('../utils/ipRanges');
+const { isInternalRole } = require('../utils/roleHierarchy');
+const { describeDevice } = require('../utils/authSessions');
+const { logActivity, ActivityType } = require('./activityLogger');
+
+const KNOWN_DEVICES_PREFIX = 'security:known-devices:';
+const KNOWN_DEVICES_TTL_SECONDS = 90 * 24 * 60 * 60;
+const STEP_UP_PREFIX = 'security:step-up:';
+const STEP_UP_TTL_SECONDS = 10 * 60;
+
+const DEFAULT_LOGIN_POLICY = {
+  roleAllowlists: {},
+  companyAllowlists: {},
+  stepUp: {
+    enabled: false,
+    newIp: true,
+    newDevice: true,
+    roles: []
+  }
+};
+
+// Fallback when Redis is not configured
+const memoryKnownDevices = new Map(); // { userId: Map<entry, lastSeen> }
+const memoryStepUps = new Map(); // { userId: expiresAt }
+
+/**
+ * Login policy from settings, with defaults filled in
+ * @param {Object} settings - Settings instance
+ * @returns {Object}
+ */
+function getLoginPolicy(settings) {
+  const policy = settings?.loginPolicy || {};
+  return {
+    roleAllowlists: policy.roleAllowlists || {},
+    companyAllowlists: policy.companyAllowlists || {},
+    stepUp: { ...DEFAULT_LOGIN_POLICY.stepUp, ...(policy.stepUp || {}) }
+  };
+}
+
+const getRequestIp = (req) => normalizeIp(req?.ip || req?.connection?.remoteAddress);
+
+/**
+ * Check a user's IP against the allowlists that apply to them
+ * @param {Object} user - User instance
+ * @param {string} ipAddress
+ * @param {Object} settings - Settings instance
+ * @returns {Promise<{ allowed: boolean, rule?: string, ranges?: string[], companyIds?: string[] }>}
+ */
+async function checkIpAllowed(user, ipAddress, settings) {
+  const policy = getLoginPolicy(settings);
+
+  const roleRanges = policy.roleAllowlists[user.role] || [];
+  if (roleRanges.length > 0 && !isIpInRanges(ipAddress, roleRanges)) {
+    return { allowed: false, rule: 'role', ranges: roleRanges };
+  }
+
+  const restrictedCompanyIds = Object.keys(policy.companyAllowlists)
+    .filter(companyId => (policy.companyAllowlists[companyId] || []).length > 0);
+
+  if (restrictedCompanyIds.length > 0 && !isInternalRole(user.role)) {
+    const { UserCompany } = require('../models');
+    const assignments = await UserCompany.findAll({
+      where: { userId: user.id, companyId: restrictedCompanyIds },
+      attributes: ['companyId']
+    });
+    const companyIds = assignments.map(assignment => assignment.companyId);
+    const companyRanges = companyIds.flatMap(companyId => policy.companyAllowlists[companyId]);
+
+    if (companyRanges.length > 0 && !isIpInRanges(ipAddress, companyRanges)) {
+      return { allowed: false, rule: 'company', ranges: companyRanges, companyIds };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Refuse a sign-in from an IP outside the user's allowlists
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ * @param {Object} [settings] - Settings instance (read when omitted)
+ * @throws {Error} LoginPolicyError (status 403) when the IP isn't allowed
+ */
+async function assertLoginAllowed(user, req, settings = null) {
+  if (!settings) {
+    const { Settings } = require('../models');
+    settings = await Settings.getSettings();
+  }
+
+  const ipAddress = getRequestIp(req);
+  const result = await checkIpAllowed(user, ipAddress, settings);
+  if (result.allowed) {
+    return;
+  }
+
+  await logActivity({
+    type: ActivityType.LOGIN_BLOCKED_IP,
+    userId: user.id,
+    userEmail: user.email,
+    userRole: user.role,
+    action: `Sign-in blocked from ${ipAddress || 'unknown IP'} (not in the ${result.rule === 'role' ? 'role' : 'company'} IP allowlist)`,
+    details: {
+      ipAddress,
+      rule: result.rule,
+      role: user.role,
+      companyIds: result.companyIds
+    },
+    ipAddress: ipAddress,
+    userAgent: req?.get ? req.get('user-agent') : null
+  });
+
+  const error = new Error('Signing in from this network is not allowed for your account. Contact your administrator if you need access.');
+  error.name = 'LoginPolicyError';
+  error.status = 403;
+  throw error;
+}
+
+// ---------------------------------------------------------------------------
+// Known devices and step-up verification
+// ---------------------------------------------------------------------------
+
+const deviceEntries = (req) => {
+  const ipAddress = getRequestIp(req);
+  const userAgent = req?.get ? req.get('user-agent') : null;
+  return {
+    ip: ipAddress ? `ip:${ipAddress}` : null,
+    device: userAgent ? `device:${describeDevice(userAgent)}` : null
+  };
+};
+
+async function getKnownDevices(userId) {
+  if (redis) {
+    return redis.smembers(`${KNOWN_DEVICES_PREFIX}${userId}`);
+  }
+  return Array.from(memoryKnownDevices.get(userId)?.keys() || []);
+}
+
+/**
+ * Remember the IP and device of a successful sign-in
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ */
+async function rememberDevice(user, req) {
+  const entries = Object.values(deviceEntries(req)).filter(Boolean);
+  if (entries.length === 0) return;
+
+  if (redis) {
+    await redis.multi()
+      .sadd(`${KNOWN_DEVICES_PREFIX}${user.id}`, ...entries)
+      .expire(`${KNOWN_DEVICES_PREFIX}${user.id}`, KNOWN_DEVICES_TTL_SECONDS)
+      .exec();
+    return;
+  }
+
+  if (!memoryKnownDevices.has(user.id)) {
+    memoryKnownDevices.set(user.id, new Map());
+  }
+  for (const entry of entries) {
+    memoryKnownDevices.get(user.id).set(entry, Date.now());
+  }
+}
+
+/**
+ * Forget the IPs and devices a user has signed in from (their next sign-in
+ * starts a new history rather than asking for step-up)
+ * @param {string} userId
+ */
+async function forgetKnownDevices(userId) {
+  if (redis) {
+    await redis.del(`${KNOWN_DEVICES_PREFIX}${userId}`);
+    return;
+  }
+  memoryKnownDevices.delete(userId);
+}
+
+/**
+ * Whether a sign-in needs step-up verification. A user with no sign-in
+ * history yet isn't asked - their first sign-in starts it.
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request
+ * @param {Object} settings - Settings instance
+ * @returns {Promise<{ required: boolean, reasons: string[] }>} reasons: 'new_ip', 'new_device'
+ */
+async function needsStepUp(user, req, settings) {
+  const { stepUp } = getLoginPolicy(settings);
+  if (!stepUp.enabled || (stepUp.roles.length > 0 && !stepUp.roles.includes(user.role))) {
+    return { required: false, reasons: [] };
+  }
+
+  const known = await getKnownDevices(user.id);
+  if (known.length === 0) {
+    return { required: false, reasons: [] };
+  }
+
+  const { ip, device } = deviceEntries(req);
+  const reasons = [];
+  if (stepUp.newIp && !known.includes(ip)) reasons.push('new_ip');
+  if (stepUp.newDevice && !known.includes(device)) reasons.push('new_device');
+
+  return { required: reasons.length > 0, reasons };
+}
+
+/**
+ * Note that a user has been asked for step-up verification, so a code can be
+ * re-sent by email even if email isn't their 2FA method
+ * @param {string} userId
+ */
+async function markStepUpPending(userId) {
+  if (redis) {
+    await redis.setex(`${STEP_UP_PREFIX}${userId}`, STEP_UP_TTL_SECONDS, '1');
+    return;
+  }
+  memoryStepUps.set(userId, Date.now() + STEP_UP_TTL_SECONDS * 1000);
+}
+
+/**
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether step-up verification is in progress
+ */
+async function hasPendingStepUp(userId) {
+  if (redis) {
+    return (await redis.exists(`${STEP_UP_PREFIX}${userId}`)) === 1;
+  }
+  const expiresAt = memoryStepUps.get(userId);
+  if (expiresAt && expiresAt < Date.now()) {
+    memoryStepUps.delete(userId);
+    return false;
+  }
+  return Boolean(expiresAt);
+}
+
+/**
+ * @param {string} userId
+ */
+async function clearStepUpPending(userId) {
+  if (redis) {
+    await redis.del(`${STEP_UP_PREFIX}${userId}`);
+    return;
+  }
+  memoryStepUps.delete(userId);
+}
+
+module.exports = {
+  DEFAULT_LOGIN_POLICY,
+  getLoginPolicy,
+  checkIpAllowed,
+  assertLoginAllowed,
+  rememberDevice,
+  forgetKnownDevices,
+  needsStepUp,
+  markStepUpPending,
+  hasPendingStepUp,
+  clearStepUpPending
+};
@@ -0,0 +1,174 @@
+/**
+ * OCR Providers
+ * Text extraction (utils/pdfExtractor.js) and template regions
+ * (utils/pdfCoordinates.js) read the PDF text layer, which scanned documents
+ * don't have. When Settings > parsingProvider.provider selects an OCR
+ * provider, pages without text are rasterised and recognised instead, and the
+ * words are returned as pdfjs-style text items (PDF points, bottom-left
+ * origin) so the coordinate code works on scans unchanged.
+ *
+ * A provider exposes:
+ *   name
+ *   recognize(png, { language, langPath }) → { text, words: [{ text, confidence, bbox: { x0, y0, x1, y1 } }] }
+ * with bbox in image pixels, top-left origin.
+ */
+
+const { getPdfjsLib } = require('../../utils/pdfCoordinates');
+
+const PROVIDERS = {
+  'local-ocr': () => require('./tesseractProvider')
+};
+
+const DEFAULT_DPI = 300;
+const MAX_DPI = 600;
+
+// A scan can still carry a few characters (a stamp, a page number added by
+// the scanner), so treat anything this short as having no text layer
+const MIN_TEXT_CHARS = 10;
+
+// Recognised pages keyed by pdfjs fingerprint + page number. The same file is
+// usually read twice during an import (document type sniffing, then the
+// template), so keep recent pages rather than OCR them again.
+const PAGE_CACHE_SIZE = 50;
+const pageCache = new Map();
+
+function hasTextLayer(text) {
+  return typeof text === 'string' && text.replace(/\s/g, '').length >= MIN_TEXT_CHARS;
+}
+
+/**
+ * Resolve the OCR configuration from settings
+ * @param {Object} [settings] - Settings (loaded if not provided)
+ * @returns {Promise<Object|null>} - { provider, language, langPath, dpi } or null when OCR is not selected
+ */
+async function getOcrConfig(settings = null) {
+  if (!settings) {
+    const { Settings } = require('../../models');
+    settings = await Settings.getSettings();
+  }
+
+  const parsingConfig = settings?.parsingProvider || {};
+  const loadProvider = PROVIDERS[parsingConfig.provider];
+  if (!loadProvider) {
+    return null;
+  }
+
+  const localOcr = parsingConfig.localOcr || {};
+  const dpi = parseInt(localOcr.dpi, 10);
+  return {
+    provider: loadProvider(),
+    language: localOcr.language || 'eng',
+    langPath: localOcr.langPath || process.env.OCR_LANG_PATH || null,
+    dpi: dpi > 0 ? Math.min(dpi, MAX_DPI) : DEFAULT_DPI
+  };
+}
+
+async function renderPage(pdf, page, dpi) {
+  const viewport = page.getViewport({ scale: dpi / 72 });
+  const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  try {
+    // Scans are usually a single image on a transparent page
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    pdf.canvasFactory.destroy({ canvas, context });
+  }
+}
+
+/**
+ * OCR one page of a loaded pdfjs document
+ * @param {Object} pdf - pdfjs document
+ * @param {number} pageNum - Page number (1-indexed)
+ * @param {Object} config - From getOcrConfig()
+ * @returns {Promise<Object>} - { text, items, confidence } with items shaped like pdfjs textContent.items
+ */
+async function recognizePage(pdf, pageNum, config) {
+  const fingerprint = pdf.fingerprints && pdf.fingerprints[0];
+  const cacheKey = fingerprint ? `${fingerprint}-${pageNum}-${config.language}-${config.dpi}` : null;
+  if (cacheKey && pageCache.has(cacheKey)) {
+    return pageCache.get(cacheKey);
+  }
+
+  const page = await pdf.getPage(pageNum);
+  const { height: pageHeight } = page.getViewport({ scale: 1.0 });
+  const pixelsPerPoint = config.dpi / 72;
+
+  const png = await renderPage(pdf, page, config.dpi);
+  const { text, words } = await config.provider.recognize(png, {
+    language: config.language,
+    langPath: config.langPath
+  });
+
+  // Baseline-left corner in PDF points, which is what transform[4]/[5] hold
+  // for real text items
+  const items = words
+    .filter(word => word.text && word.text.trim())
+    .map(word => {
+      const x = word.bbox.x0 / pixelsPerPoint;
+      const width = (word.bbox.x1 - word.bbox.x0) / pixelsPerPoint;
+      const height = (word.bbox.y1 - word.bbox.y0) / pixelsPerPoint;
+      const y = pageHeight - word.bbox.y1 / pixelsPerPoint;
+      return {
+        str: word.text,
+        dir: 'ltr',
+        width,
+        height,
+        transform: [height, 0, 0, height, x, y],
+        fontName: 'ocr',
+        hasEOL: false,
+        confidence: word.confidence
+      };
+    });
+
+  const confidence = items.length > 0
+    ? items.reduce((sum, item) => sum + (item.confidence || 0), 0) / items.length
+    : 0;
+
+  const result = { text, items, confidence };
+  if (cacheKey) {
+    if (pageCache.size >= PAGE_CACHE_SIZE) {
+      pageCache.delete(pageCache.keys().next().value);
+    }
+    pageCache.set(cacheKey, result);
+  }
+  return result;
+}
+
+/**
+ * OCR every page of a PDF
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} config - From getOcrConfig()
+ * @returns {Promise<Object>} - { text, numPages, confidence, pages }
+ */
+async function recognizePdf(pdfBuffer, config) {
+  const pdfjs = await getPdfjsLib();
+  const pdf = await pdfjs.getDocument({ data: new Uint8Array(pdfBuffer) }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      pages.push(await recognizePage(pdf, pageNum, config));
+    }
+
+    return {
+      text: pages.map(page => page.text).join('\n'),
+      numPages: pdf.numPages,
+      confidence: pages.length > 0
+        ? pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length
+        : 0,
+      pages
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  hasTextLayer,
+  getOcrConfig,
+  recognizePage,
+  recognizePdf
+};
@@ -0,0 +1,91 @@
+/**
+ * Local Tesseract OCR Provider
+ * Runs Tesseract (tesseract.js, WebAssembly) in-process, so scanned PDFs can
+ * be read without sending them to a cloud service. English language data
+ * ships with @tesseract.js-data/eng; for other languages point
+ * parsingProvider.localOcr.langPath (or OCR_LANG_PATH) at a directory holding
+ * <language>.traineddata.
+ */
+
+const { createWorker } = require('tesseract.js');
+
+const name = 'local-ocr';
+
+// Starting a worker loads the language model, so keep one per language
+const workers = new Map();
+
+function resolveLangData(language, langPath) {
+  if (langPath) {
+    return { langPath, gzip: false };
+  }
+  try {
+    const bundled = require(`@tesseract.js-data/${language}`);
+    return { langPath: bundled.langPath, gzip: bundled.gzip };
+  } catch (error) {
+    throw new Error(`No OCR language data for "${language}". Install @tesseract.js-data/${language} or set parsingProvider.localOcr.langPath.`);
+  }
+}
+
+function getWorker(language, langPath) {
+  const key = `${language}|${langPath || ''}`;
+  if (!workers.has(key)) {
+    const { langPath: resolvedPath, gzip } = resolveLangData(language, langPath);
+    const workerPromise = createWorker(language, 1, {
+      langPath: resolvedPath,
+      gzip,
+      // Language data is read from disk, nothing to cache
+      cacheMethod: 'none'
+    }).catch(error => {
+      workers.delete(key);
+      throw error;
+    });
+    workers.set(key, workerPromise);
+  }
+  return workers.get(key);
+}
+
+/**
+ * Recognise text in an image
+ * @param {Buffer} image - PNG image
+ * @param {Object} options - { language, langPath }
+ * @returns {Promise<Object>} - { text, words: [{ text, confidence, bbox }] } (bbox in pixels)
+ */
+async function recognize(image, { language = 'eng', langPath = null } = {}) {
+  const worker = await getWorker(language, langPath);
+  const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+
+  const words = [];
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        for (const word of line.words || []) {
+          words.push({ text: word.text, confidence: word.confidence, bbox: word.bbox });
+        }
+      }
+    }
+  }
+
+  return { text: data.text || '', words };
+}
+
+/**
+ * Stop all workers (used on shutdown)
+ */
+async function terminate() {
+  const pending = Array.from(workers.values());
+  workers.clear();
+  await Promise.all(pending.map(async workerPromise => {
+    try {
+      const worker = await workerPromise;
+      await worker.terminate();
+    } catch (error) {
+      // Worker never started
+    }
+  }));
+}
+
+module.exports = {
+  name,
+  recognize,
+  terminate
+};
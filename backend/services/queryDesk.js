@@ -0,0 +1,307 @@
+/**
+ * Query Desk Service
+ *
+ * Dispute handling for document queries (routes/documentQueries.js):
+ * - Categories (pricing, delivery, duplicate, short shipment, other), each with
+ *   an SLA in hours (Settings.querySla). A query's slaDueAt is its creation
+ *   time plus the SLA for its category.
+ * - Escalation: the hourly 'query-sla-escalation' job emails the assignee and
+ *   the escalation recipients when an open query breaches its SLA (level 1),
+ *   and again when it is overdue by a further SLA period (level 2).
+ * - Internal notes: messages with internal: true are only shown to staff and
+ *   never emailed to customers.
+ * - Attachments: files on messages, stored under the query-attachments folder
+ *   on the data drive (<queryId>/<attachmentId><ext>).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { QUERY_ATTACHMENTS, ensureDir } = require('../config/storage');
+const { logActivity, ActivityType } = require('./activityLogger');
+
+const QUERY_CATEGORIES = ['pricing', 'delivery', 'duplicate', 'short_shipment', 'other'];
+
+const CATEGORY_LABELS = {
+  pricing: 'Pricing',
+  delivery: 'Delivery',
+  duplicate: 'Duplicate',
+  short_shipment: 'Short shipment',
+  other: 'Other'
+};
+
+const DEFAULT_QUERY_SLA = {
+  hours: {
+    pricing: 48,
+    delivery: 72,
+    duplicate: 24,
+    short_shipment: 48,
+    other: 72
+  },
+  escalationEmails: []
+};
+
+// "Due soon" once less than this share of the SLA is left
+const DUE_SOON_FRACTION = 0.25;
+
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.csv', '.xlsx', '.xls', '.doc', '.docx', '.txt', '.eml', '.msg'];
+
+const DOCUMENT_TYPE_LABELS = {
+  invoice: 'Invoice',
+  credit_note: 'Credit Note',
+  statement: 'Statement'
+};
+
+/**
+ * Query SLAs from settings, with defaults filled in
+ * @param {Object} settings - Settings instance
+ * @returns {{ hours: Object, escalationEmails: string[] }}
+ */
+function getQuerySla(settings) {
+  const sla = settings?.querySla || {};
+  return {
+    hours: { ...DEFAULT_QUERY_SLA.hours, ...(sla.hours || {}) },
+    escalationEmails: Array.isArray(sla.escalationEmails) ? sla.escalationEmails : []
+  };
+}
+
+/**
+ * When a query should be resolved by
+ * @param {Date|string} from - When the query was raised
+ * @param {string|null} category - Uncategorised queries use the 'other' SLA
+ * @param {Object} settings - Settings instance
+ * @returns {Date|null} null when the category has no SLA (0 hours)
+ */
+function computeSlaDueAt(from, category, settings) {
+  const hours = Number(getQuerySla(settings).hours[category || 'other']);
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return null;
+  }
+  return new Date(new Date(from).getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Where an open query stands against its SLA
+ * @param {Object} query - DocumentQuery (instance or plain)
+ * @param {Date} [now]
+ * @returns {'breached'|'due_soon'|'on_track'|null} null when resolved/closed or no SLA
+ */
+function getSlaState(query, now = new Date()) {
+  if (query.status !== 'open' || !query.slaDueAt) {
+    return null;
+  }
+  const due = new Date(query.slaDueAt).getTime();
+  if (now.getTime() >= due) {
+    return 'breached';
+  }
+  const total = due - new Date(query.createdAt).getTime();
+  return due - now.getTime() <= total * DUE_SOON_FRACTION ? 'due_soon' : 'on_track';
+}
+
+/**
+ * Messages a user may see: customers don't see internal notes
+ * @param {Object[]} messages
+ * @param {boolean} isStaff
+ * @returns {Object[]}
+ */
+function visibleMessages(messages, isStaff) {
+  return isStaff ? (messages || []) : (messages || []).filter(message => !message.internal);
+}
+
+/**
+ * Check uploaded files before a message is saved
+ * @param {Object[]} files - multer files (memory storage)
+ * @returns {string|null} Error message, or null when they're acceptable
+ */
+function validateAttachments(files = []) {
+  if (files.length > MAX_ATTACHMENTS) {
+    return `Up to ${MAX_ATTACHMENTS} files can be attached to a message`;
+  }
+  const rejected = files.find(file => !ATTACHMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  if (rejected) {
+    return `${rejected.originalname} can't be attached. Allowed types: ${ATTACHMENT_EXTENSIONS.join(', ')}`;
+  }
+  return null;
+}
+
+const attachmentPath = (queryId, attachment) =>
+  path.join(QUERY_ATTACHMENTS, queryId, `${attachment.id}${path.extname(attachment.fileName).toLowerCase()}`);
+
+/**
+ * Store uploaded files for a message
+ * @param {string} queryId
+ * @param {Object[]} files - multer files (memory storage)
+ * @returns {Promise<Object[]>} Attachment metadata for the message: [{ id, fileName, mimeType, size }]
+ */
+async function saveAttachments(queryId, files = []) {
+  if (files.length === 0) {
+    return [];
+  }
+  ensureDir(path.join(QUERY_ATTACHMENTS, queryId));
+
+  const attachments = [];
+  for (const file of files) {
+    const attachment = {
+      id: uuidv4(),
+      fileName: path.basename(file.originalname),
+      mimeType: file.mimetype || 'application/octet-stream',
+      size: file.size
+    };
+    await fs.promises.writeFile(attachmentPath(queryId, attachment), file.buffer);
+    attachments.push(attachment);
+  }
+  return attachments;
+}
+
+/**
+ * Find an attachment in a thread
+ * @param {Object} query - DocumentQuery
+ * @param {string} attachmentId
+ * @returns {{ attachment: Object, message: Object, filePath: string }|null}
+ */
+function findAttachment(query, attachmentId) {
+  for (const message of query.messages || []) {
+    const attachment = (message.attachments || []).find(item => item.id === attachmentId);
+    if (attachment) {
+      return { attachment, message, filePath: attachmentPath(query.id, attachment) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Email escalation for open queries past their SLA. Run hourly by the
+ * 'query-sla-escalation' scheduled job.
+ * @returns {Promise<{ checked: number, escalated: number }>}
+ */
+async function escalateOverdueQueries() {
+  const { DocumentQuery, Company, User, Settings } = require('../models');
+  const { sendEmail } = require('../utils/emailService');
+  const { renderTemplate } = require('../utils/tablerEmailRenderer');
+  const { getDocumentUrl } = require('../utils/urlConfig');
+
+  const settings = await Settings.getSettings();
+  if (settings.queriesEnabled === false) {
+    return { checked: 0, escalated: 0 };
+  }
+
+  const now = new Date();
+  const sla = getQuerySla(settings);
+  const overdue = await DocumentQuery.findAll({
+    where: {
+      status: 'open',
+      slaDueAt: { [Op.lte]: now },
+      escalationLevel: { [Op.lt]: 2 }
+    },
+    include: [
+      { model: Company, as: 'company', attributes: ['id', 'name'] },
+      { model: User, as: 'assignee', attributes: ['id', 'name', 'email', 'isActive'] }
+    ]
+  });
+
+  let fallbackEmails = null;
+  let escalated = 0;
+
+  for (const query of overdue) {
+    const slaMs = new Date(query.slaDueAt).getTime() - new Date(query.createdAt).getTime();
+    const level = now.getTime() >= new Date(query.slaDueAt).getTime() + slaMs ? 2 : 1;
+    if (level <= query.escalationLevel) {
+      continue;
+    }
+
+    const recipients = new Set(sla.escalationEmails.map(email => email.toLowerCase()));
+    if (query.assignee?.isActive && query.assignee.email) {
+      recipients.add(query.assignee.email.toLowerCase());
+    }
+    if (recipients.size === 0) {
+      // Nobody assigned and no escalation list - tell the global admins
+      if (!fallbackEmails) {
+        const admins = await User.findAll({ where: { role: 'global_admin', isActive: true }, attributes: ['email'] });
+        fallbackEmails = admins.map(admin => admin.email).filter(Boolean);
+      }
+      fallbackEmails.forEach(email => recipients.add(email.toLowerCase()));
+    }
+
+    const documentTypeLabel = DOCUMENT_TYPE_LABELS[query.documentType];
+    const hoursOverdue = Math.floor((now.getTime() - new Date(query.slaDueAt).getTime()) / (60 * 60 * 1000));
+    const lastCustomerMessage = [...(query.messages || [])].reverse().find(message => message.isCustomer);
+
+    for (const email of recipients) {
+      try {
+        const html = renderTemplate('query-notification', {
+          emailTitle: level === 2 ? 'Query Still Overdue' : 'Query Overdue',
+          preheaderText: `${documentTypeLabel} ${query.documentNumber} query from ${query.company?.name || 'Unknown Company'} is past its SLA`,
+          greeting: 'Hello,',
+          introText: `The query from ${query.company?.name || 'Unknown Company'} about ${documentTypeLabel} ${query.documentNumber} should have been resolved by ${new Date(query.slaDueAt).toLocaleString('en-GB')} (${hoursOverdue} hour${hoursOverdue === 1 ? '' : 's'} ago). ${query.assignee ? `It is assigned to ${query.assignee.name || query.assignee.email}.` : 'It is not assigned to anyone.'}`,
+          documentTypeName: documentTypeLabel,
+          documentNumber: query.documentNumber,
+          querySubject: CATEGORY_LABELS[query.category] || 'Uncategorised',
+          queryStatus: level === 2 ? 'Overdue (escalated)' : 'Overdue',
+          statusColor: '#f8d7da',
+          statusTextColor: '#842029',
+          senderName: lastCustomerMessage?.userName,
+          messageContent: lastCustomerMessage ? lastCustomerMessage.message.replace(/\n/g, '<br>') : null,
+          queryUrl: getDocumentUrl(`${query.documentType}s`, query.documentId),
+          buttonText: 'Open Query',
+          iconColor: '#d63939'
+        }, settings);
+
+        await sendEmail({
+          to: email,
+          subject: `${level === 2 ? 'Escalated' : 'Overdue'} query: ${documentTypeLabel} ${query.documentNumber}`,
+          html
+        }, settings);
+      } catch (emailError) {
+        console.error(`Failed to send query escalation to ${email}:`, emailError);
+      }
+    }
+
+    query.escalationLevel = level;
+    query.escalatedAt = now;
+    await query.save();
+    escalated++;
+
+    await logActivity({
+      type: ActivityType.DOCUMENT_QUERY_ESCALATED,
+      userId: 'system',
+      userEmail: 'query-escalation@system',
+      userRole: 'global_admin',
+      action: `Escalated overdue query for ${query.documentType} ${query.documentNumber} (level ${level})`,
+      details: {
+        queryId: query.id,
+        documentType: query.documentType,
+        documentId: query.documentId,
+        documentNumber: query.documentNumber,
+        category: query.category,
+        assignedTo: query.assignedTo,
+        slaDueAt: query.slaDueAt,
+        level,
+        recipients: [...recipients]
+      },
+      companyId: query.companyId,
+      companyName: query.company?.name,
+      userAgent: 'scheduled-job (query-sla-escalation)'
+    });
+  }
+
+  return { checked: overdue.length, escalated };
+}
+
+module.exports = {
+  QUERY_CATEGORIES,
+  CATEGORY_LABELS,
+  DEFAULT_QUERY_SLA,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  getQuerySla,
+  computeSlaDueAt,
+  getSlaState,
+  visibleMessages,
+  validateAttachments,
+  saveAttachments,
+  findAttachment,
+  escalateOverdueQueries
+};
@@ -0,0 +1,550 @@
+/**
+ * Query Email Replies Service
+ *
+ * Lets customers and staff answer a document query by replying to its
+ * notification email:
+ * - Each notification is sent with a Reply-To address unique to the query and
+ *   recipient: the mailbox in QUERY_REPLY_ADDRESS with a "+token" tag
+ *   (queries+<token>@example.com), backed by query_reply_tokens.
+ * - The 'query-email-replies' scheduled job polls that mailbox over IMAP, and
+ *   each unread email is matched to its thread by the token. The reply text
+ *   (with the quoted history stripped) and its attachments are added as a
+ *   message from the sender, who must be the user the address was issued to,
+ *   still active and with access to the document's company. Staff replies
+ *   also need a DMARC pass, as the From: address is all that identifies them.
+ *   Anything else is rejected and logged.
+ *
+ * Mail providers must deliver "+tag" addresses to the mailbox (plus
+ * addressing; on by default for Gmail and Microsoft 365).
+ */
+
+const crypto = require('crypto');
+const { ImapFlow } = require('imapflow');
+const { simpleParser } = require('mailparser');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { logActivity, ActivityType } = require('./activityLogger');
+const {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  computeSlaDueAt,
+  validateAttachments,
+  saveAttachments
+} = require('./queryDesk');
+
+// Shown at the top of reply-enabled notifications; everything from it down is
+// dropped from a reply
+const REPLY_MARKER = '##- Please type your reply above this line -##';
+
+const TOKEN_DAYS = parseInt(process.env.QUERY_REPLY_TOKEN_DAYS, 10) || 90;
+const MAX_MESSAGES_PER_POLL = 50;
+const MAX_EMAIL_BYTES = 60 * 1024 * 1024;
+
+const DOCUMENT_TYPE_LABELS = {
+  invoice: 'Invoice',
+  credit_note: 'Credit Note',
+  statement: 'Statement'
+};
+
+/**
+ * Reply mailbox settings from the environment
+ * @returns {Object|null} null when replying by email isn't configured
+ */
+function getReplyConfig() {
+  const address = (process.env.QUERY_REPLY_ADDRESS || '').trim().toLowerCase();
+  const [local, domain] = address.split('@');
+  if (!local || !domain) {
+    return null;
+  }
+  return {
+    local: local.split('+')[0],
+    domain,
+    imap: {
+      host: process.env.QUERY_REPLY_IMAP_HOST,
+      port: parseInt(process.env.QUERY_REPLY_IMAP_PORT, 10) || 993,
+      secure: process.env.QUERY_REPLY_IMAP_SECURE !== 'false',
+      user: process.env.QUERY_REPLY_IMAP_USER || address,
+      password: process.env.QUERY_REPLY_IMAP_PASSWORD,
+      mailbox: process.env.QUERY_REPLY_IMAP_MAILBOX || 'INBOX'
+    }
+  };
+}
+
+/**
+ * Reply-To address for a query notification, unique to the query and
+ * recipient. The token is reused for later notifications and its expiry
+ * extended each time.
+ * @param {Object} query - DocumentQuery
+ * @param {Object} user - Recipient (User)
+ * @returns {Promise<string|null>} null when replying by email isn't configured
+ */
+async function getReplyAddress(query, user) {
+  const config = getReplyConfig();
+  if (!config || !query?.id || !user?.id) {
+    return null;
+  }
+  const { QueryReplyToken } = require('../models');
+
+  const expiresAt = new Date(Date.now() + TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  const [replyToken, created] = await QueryReplyToken.findOrCreate({
+    where: { queryId: query.id, userId: user.id },
+    defaults: { token: crypto.randomBytes(12).toString('hex'), expiresAt }
+  });
+  if (!created) {
+    replyToken.expiresAt = expiresAt;
+    await replyToken.save();
+  }
+  return `${config.local}+${replyToken.token}@${config.domain}`;
+}
+
+/**
+ * Template variables for the reply marker, to spread into query-notification
+ * variables. Empty when the email has no reply address.
+ * @param {string|null} replyTo
+ */
+function replyTemplateVariables(replyTo) {
+  return replyTo ? { replyMarker: REPLY_MARKER } : {};
+}
+
+const headerValues = (headers, name) => {
+  const value = headers.get(name);
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(item => (typeof item === 'string' ? item : item.text || item.value || ''));
+};
+
+const addressesOf = (field) =>
+  (Array.isArray(field) ? field : [field]).filter(Boolean).flatMap(item => item.value || []).map(item => item.address).filter(Boolean);
+
+/**
+ * Find the reply token in the addresses an email was sent to
+ * @param {Object} parsed - mailparser result
+ * @param {Object} config - getReplyConfig()
+ * @returns {string|null}
+ */
+function findReplyToken(parsed, config) {
+  const pattern = new RegExp(`^${config.local.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\+([a-f0-9]{24})@${config.domain.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+  const candidates = [
+    ...addressesOf(parsed.to),
+    ...addressesOf(parsed.cc),
+    ...['delivered-to', 'x-original-to', 'envelope-to'].flatMap(name => headerValues(parsed.headers, name))
+  ];
+  for (const candidate of candidates) {
+    const match = String(candidate).trim().replace(/^<|>$/g, '').match(pattern);
+    if (match) {
+      return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * Out-of-office replies, bounces and list mail, which must not be added to a
+ * thread (or answered, which could loop)
+ * @param {Object} parsed - mailparser result
+ * @returns {boolean}
+ */
+function isAutomatedEmail(parsed) {
+  const autoSubmitted = headerValues(parsed.headers, 'auto-submitted')[0];
+  if (autoSubmitted && autoSubmitted.toLowerCase() !== 'no') return true;
+  if (parsed.headers.has('x-autoreply') || parsed.headers.has('x-autorespond')) return true;
+  const precedence = (headerValues(parsed.headers, 'precedence')[0] || '').toLowerCase();
+  if (['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) return true;
+  const from = addressesOf(parsed.from)[0] || '';
+  return /^(mailer-daemon|postmaster)@/i.test(from);
+}
+
+/**
+ * Whether the receiving server found the sender address to be forged
+ * (DMARC failure in Authentication-Results)
+ * @param {Object} parsed - mailparser result
+ * @returns {boolean}
+ */
+function failsSenderAuthentication(parsed) {
+  return headerValues(parsed.headers, 'authentication-results').some(value => /\bdmarc=fail\b/i.test(value));
+}
+
+/**
+ * DMARC result the receiving server recorded, from the topmost
+ * Authentication-Results header (lower ones may have come with the email)
+ * @param {Object} parsed - mailparser result
+ * @returns {string|null} e.g. 'pass', 'fail', 'none'; null when not recorded
+ */
+function getDmarcResult(parsed) {
+  const [latest] = headerValues(parsed.headers, 'authentication-results');
+  const match = (latest || '').match(/\bdmarc=([a-z]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Lines that start the quoted copy of the email being replied to
+const QUOTE_START_PATTERNS = [
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^_{10,}$/, // Outlook separator
+  /^On .+wrote:$/i,
+  /^Le .+a écrit\s?:$/i,
+  /^Am .+schrieb .+:$/i
+];
+
+/**
+ * The new text of a reply: everything above the reply marker or the quoted
+ * copy of the previous email, without the signature
+ * @param {string} text - Plain text body
+ * @returns {string}
+ */
+function stripQuotedReply(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // "On <date>, <name> wrote:" is often wrapped over two lines
+    const withNext = `${line} ${(lines[i + 1] || '').trim()}`;
+    const startsQuote =
+      line.includes(REPLY_MARKER) ||
+      line.startsWith('>') ||
+      QUOTE_START_PATTERNS.some(pattern => pattern.test(line) || (/^On /i.test(line) && pattern.test(withNext))) ||
+      // Outlook header block: From: ... followed by Sent:/Date:
+      (/^From:\s/i.test(line) && lines.slice(i + 1, i + 4).some(next => /^(Sent|Date):\s/i.test(next.trim())));
+    if (startsQuote) {
+      break;
+    }
+    kept.push(lines[i]);
+  }
+
+  // Signature delimiter ("-- ") and mobile sign-offs
+  const signatureIndex = kept.findIndex(line => line === '-- ' || line === '--' || /^Sent from my /i.test(line.trim()));
+  const body = signatureIndex >= 0 ? kept.slice(0, signatureIndex) : kept;
+  return body.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Same rule as the query routes: the sender's company assignments (or all
+ * companies), or global admin for staff
+ */
+function userHasQueryAccess(user, companyId) {
+  if (user.allCompanies) return true;
+  if (user.role === 'global_admin') return true;
+  return (user.companies || []).some(company => company.id === companyId);
+}
+
+/**
+ * Email the other side of the thread about a reply received by email, the way
+ * the query routes do for replies made in the portal
+ */
+async function notifyEmailReply(query, sender, messageData, settings) {
+  const { User, Company } = require('../models');
+  const { sendEmail } = require('../utils/emailService');
+  const { renderTemplate } = require('../utils/tablerEmailRenderer');
+  const { getDocumentUrl } = require('../utils/urlConfig');
+  const { getRoles } = require('../utils/roleRegistry');
+
+  if (query.company?.edi) {
+    return;
+  }
+
+  let recipients;
+  if (messageData.isCustomer) {
+    // The assignee, or staff assigned to the company when nobody is
+    if (query.assignedTo) {
+      recipients = await User.findAll({ where: { id: query.assignedTo, isActive: true } });
+    }
+    if (!recipients?.length) {
+      recipients = await User.findAll({
+        include: [{
+          model: Company,
+          as: 'companies',
+          through: { attributes: [] },
+          where: { id: query.companyId }
+        }],
+        where: {
+          isActive: true,
+          role: { [Op.in]: getRoles().filter(role => role.isStaff).map(role => role.key) }
+        }
+      });
+    }
+  } else {
+    // The customer who raised the query
+    const customerMessage = (query.messages || []).find(message => message.isCustomer);
+    const customer = customerMessage ? await User.findByPk(customerMessage.userId) : null;
+    recipients = customer?.isActive ? [customer] : [];
+  }
+
+  const documentTypeLabel = DOCUMENT_TYPE_LABELS[query.documentType];
+  for (const recipient of recipients.filter(user => user.email && user.id !== sender.id)) {
+    try {
+      const replyTo = await getReplyAddress(query, recipient);
+      const html = renderTemplate('query-notification', {
+        emailTitle: messageData.isCustomer ? 'New Reply to Query' : 'Reply to Your Query',
+        preheaderText: `Reply received for the ${documentTypeLabel} ${query.documentNumber} query`,
+        greeting: `Hello ${recipient.name || (messageData.isCustomer ? 'Team' : 'Customer')},`,
+        introText: `${messageData.userName} has replied to the query regarding ${documentTypeLabel} ${query.documentNumber}${query.company?.name && messageData.isCustomer ? ` from ${query.company.name}` : ''}.`,
+        documentTypeName: documentTypeLabel,
+        documentNumber: query.documentNumber,
+        senderName: messageData.userName,
+        messageContent: messageData.message.replace(/\n/g, '<br>'),
+        queryUrl: getDocumentUrl(`${query.documentType}s`, query.documentId),
+        buttonText: 'View and Reply',
+        iconColor: settings?.primaryColor || '#066FD1',
+        ...replyTemplateVariables(replyTo)
+      }, settings);
+
+      await sendEmail({
+        to: recipient.email,
+        subject: `Reply to query regarding ${documentTypeLabel} ${query.documentNumber}`,
+        html,
+        replyTo
+      }, settings);
+    } catch (emailError) {
+      console.error(`Failed to send query reply notification to ${recipient.email}:`, emailError);
+    }
+  }
+}
+
+/**
+ * Add an inbound email to its query thread
+ * @param {Buffer|string} source - Raw email (RFC 822)
+ * @returns {Promise<{ status: 'added'|'rejected'|'ignored', reason?: string, queryId?: string, messageId?: string }>}
+ */
+async function processInboundEmail(source) {
+  const { DocumentQuery, QueryReplyToken, User, Company, Settings } = require('../models');
+  const { hasPermission } = require('../utils/permissions');
+  const { isInternalRole } = require('../utils/roleHierarchy');
+
+  const config = getReplyConfig();
+  if (!config) {
+    return { status: 'ignored', reason: 'not_configured' };
+  }
+
+  const parsed = await simpleParser(source);
+  const fromEmail = (addressesOf(parsed.from)[0] || '').toLowerCase();
+
+  if (isAutomatedEmail(parsed)) {
+    return { status: 'ignored', reason: 'automated' };
+  }
+
+  const token = findReplyToken(parsed, config);
+  if (!token) {
+    return { status: 'ignored', reason: 'no_token' };
+  }
+
+  const reject = async (reason, query, sender) => {
+    await logActivity({
+      type: ActivityType.DOCUMENT_QUERY_EMAIL_REJECTED,
+      userId: sender?.id || 'system',
+      userEmail: fromEmail || 'unknown',
+      userRole: sender?.role,
+      action: `Rejected emailed reply${query ? ` to query for ${query.documentType} ${query.documentNumber}` : ''} (${reason.replace(/_/g, ' ')})`,
+      details: {
+        reason,
+        from: fromEmail,
+        subject: parsed.subject,
+        emailMessageId: parsed.messageId,
+        queryId: query?.id
+      },
+      companyId: query?.companyId,
+      companyName: query?.company?.name,
+      userAgent: 'scheduled-job (query-email-replies)'
+    });
+    return { status: 'rejected', reason, queryId: query?.id };
+  };
+
+  const replyToken = await QueryReplyToken.findOne({ where: { token } });
+  if (!replyToken || new Date(replyToken.expiresAt) < new Date()) {
+    return reject('unknown_or_expired_address');
+  }
+
+  const query = await DocumentQuery.findByPk(replyToken.queryId, {
+    include: [{ model: Company, as: 'company', attributes: ['id', 'name', 'edi'] }]
+  });
+  if (!query) {
+    return reject('query_not_found');
+  }
+
+  if (failsSenderAuthentication(parsed)) {
+    return reject('sender_authentication_failed', query);
+  }
+
+  const sender = fromEmail ? await User.findOne({
+    where: { email: fromEmail, isActive: true },
+    include: [{ model: Company, as: 'companies', attributes: ['id'], through: { attributes: [] } }]
+  }) : null;
+  if (!sender) {
+    return reject('unknown_sender', query);
+  }
+
+  // Addresses are issued per recipient - anyone else writing to one (e.g. a
+  // customer putting a staff address in From:) is refused
+  if (sender.id !== replyToken.userId) {
+    return reject('token_sender_mismatch', query, sender);
+  }
+
+  const isCustomer = sender.role === 'external_user';
+  const isStaff = isInternalRole(sender.role);
+  // Staff replies carry more weight, so the From: address must be proven -
+  // a missing or 'none' DMARC result isn't enough
+  if (isStaff && getDmarcResult(parsed) !== 'pass') {
+    return reject('sender_not_authenticated', query, sender);
+  }
+  if ((!isCustomer && !isStaff) || !hasPermission(sender.role, 'QUERIES_VIEW') || !userHasQueryAccess(sender, query.companyId)) {
+    return reject('no_access', query, sender);
+  }
+  if (query.status === 'resolved' && isCustomer) {
+    return reject('query_resolved', query, sender);
+  }
+
+  const messages = query.messages || [];
+  if (parsed.messageId && messages.some(message => message.emailMessageId === parsed.messageId)) {
+    return { status: 'ignored', reason: 'duplicate', queryId: query.id };
+  }
+
+  // Attachments: skip images embedded in the HTML (signatures, logos),
+  // disallowed types and oversized files rather than rejecting the reply
+  const files = (parsed.attachments || [])
+    .filter(attachment => !attachment.related)
+    .map(attachment => ({
+      originalname: attachment.filename || 'attachment',
+      mimetype: attachment.contentType,
+      size: attachment.size,
+      buffer: attachment.content
+    }))
+    .filter(file => file.size <= MAX_ATTACHMENT_BYTES && validateAttachments([file]) === null)
+    .slice(0, MAX_ATTACHMENTS);
+
+  // mailparser derives the text from the HTML for HTML-only emails
+  const body = stripQuotedReply(parsed.text);
+  if (!body && files.length === 0) {
+    return reject('empty_reply', query, sender);
+  }
+
+  const now = new Date();
+  const messageData = {
+    id: uuidv4(),
+    userId: sender.id,
+    userName: sender.name || sender.email,
+    userEmail: sender.email,
+    userRole: sender.role,
+    message: body || '(Attachments sent by email)',
+    createdAt: now.toISOString(),
+    isCustomer,
+    replyTo: null,
+    internal: false,
+    attachments: await saveAttachments(query.id, files),
+    source: 'email',
+    emailMessageId: parsed.messageId || null
+  };
+
+  const settings = await Settings.getSettings();
+  if (isStaff && !query.firstResponseAt && messages.some(message => message.isCustomer)) {
+    query.firstResponseAt = now;
+  }
+  messages.push(messageData);
+  query.messages = messages;
+  query.changed('messages', true);
+  query.lastMessageAt = now;
+  query.lastMessageBy = sender.id;
+  if (query.status === 'closed') {
+    query.status = 'open';
+    query.slaDueAt = computeSlaDueAt(now, query.category, settings);
+    query.escalationLevel = 0;
+    query.escalatedAt = null;
+  }
+  await query.save();
+
+  replyToken.lastUsedAt = now;
+  await replyToken.save();
+
+  await logActivity({
+    type: ActivityType.DOCUMENT_QUERY_REPLIED,
+    userId: sender.id,
+    userEmail: sender.email,
+    userRole: sender.role,
+    action: `Replied by email to query for ${query.documentType} ${query.documentNumber}`,
+    details: {
+      documentType: query.documentType,
+      documentId: query.documentId,
+      documentNumber: query.documentNumber,
+      companyId: query.companyId,
+      queryId: query.id,
+      messageId: messageData.id,
+      attachments: messageData.attachments.length,
+      source: 'email',
+      emailMessageId: parsed.messageId
+    },
+    companyId: query.companyId,
+    companyName: query.company?.name,
+    userAgent: 'scheduled-job (query-email-replies)'
+  });
+
+  await notifyEmailReply(query, sender, messageData, settings);
+
+  return { status: 'added', queryId: query.id, messageId: messageData.id };
+}
+
+/**
+ * Read unread emails from the reply mailbox and add them to their threads.
+ * Processed emails are marked as read; an email that fails with an error is
+ * left unread and retried on the next run. Run by the 'query-email-replies'
+ * scheduled job.
+ * @returns {Promise<{ fetched: number, added: number, rejected: number, ignored: number, failed: number }>}
+ */
+async function pollQueryReplies() {
+  const { Settings } = require('../models');
+  const { refreshRoles } = require('../utils/roleRegistry');
+
+  const summary = { fetched: 0, added: 0, rejected: 0, ignored: 0, failed: 0 };
+  const config = getReplyConfig();
+  if (!config || !config.imap.host) {
+    return summary;
+  }
+  const settings = await Settings.getSettings();
+  if (settings.queriesEnabled === false) {
+    return summary;
+  }
+  // The queue worker has no request middleware to keep roles current
+  await refreshRoles();
+
+  const client = new ImapFlow({
+    host: config.imap.host,
+    port: config.imap.port,
+    secure: config.imap.secure,
+    auth: { user: config.imap.user, pass: config.imap.password },
+    logger: false
+  });
+
+  await client.connect();
+  try {
+    const lock = await client.getMailboxLock(config.imap.mailbox);
+    try {
+      const uids = (await client.search({ seen: false }, { uid: true })) || [];
+      for (const uid of uids.slice(0, MAX_MESSAGES_PER_POLL)) {
+        summary.fetched++;
+        try {
+          const { size } = await client.fetchOne(uid, { size: true }, { uid: true });
+          const result = size > MAX_EMAIL_BYTES
+            ? { status: 'ignored', reason: 'too_large' }
+            : await processInboundEmail((await client.fetchOne(uid, { source: true }, { uid: true })).source);
+          summary[result.status]++;
+          await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+        } catch (error) {
+          summary.failed++;
+          console.error(`[QueryEmailReplies] Failed to process email ${uid}:`, error.message);
+        }
+      }
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout();
+  }
+
+  return summary;
+}
+
+module.exports = {
+  REPLY_MARKER,
+  getReplyConfig,
+  getReplyAddress,
+  replyTemplateVariables,
+  stripQuotedReply,
+  processInboundEmail,
+  pollQueryReplies
+};
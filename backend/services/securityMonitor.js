@@ -6,64 +6,239 @@
  * - Rapid login attempts across different accounts
  * - Account lockout events
  * - Brute force detection patterns
+ *
+ * Failed attempts are counted in Redis so every worker sees the same counts
+ * and they survive a restart (security:failed-ip:<ip>, the accounts tried from
+ * it in security:failed-ip-accounts:<ip>, and security:failed-account:<email>).
+ * Each counter lapses 15 minutes after its last failed attempt. Without Redis
+ * configured they are held in memory, which only suits a single development
+ * process.
  */
 
 const { logActivity, ActivityType, getActivityLogs } = require('./activityLogger');
 const { Settings, User } = require('../models');
 const { sendTemplatedEmail } = require('../utils/sendTemplatedEmail');
 const { getFrontendUrl } = require('../utils/urlConfig');
+const { redis } = require('../config/redis');
 
-// In-memory tracking (could be moved to Redis for production)
-const ipAttempts = new Map(); // { ip: { count: number, lastAttempt: Date, accounts: Set } }
-const accountAttempts = new Map(); // { email: { count: number, lastAttempt: Date } }
+// Counters lapse this long after the last failed attempt
+const TRACKING_WINDOW_SECONDS = 15 * 60;
 
-// Cleanup old entries every 15 minutes
-setInterval(() => {
+const FAILED_IP_PREFIX = 'security:failed-ip:';
+const FAILED_IP_ACCOUNTS_PREFIX = 'security:failed-ip-accounts:';
+const FAILED_ACCOUNT_PREFIX = 'security:failed-account:';
+// Sorted sets (score = last attempt) so the dashboard can list what is tracked
+const TRACKED_IPS_KEY = 'security:tracked-ips';
+const TRACKED_ACCOUNTS_KEY = 'security:tracked-accounts';
+
+// Fallback when Redis is not configured
+const ipAttempts = new Map(); // { ip: { count: number, lastAttempt: number, accounts: Set } }
+const accountAttempts = new Map(); // { email: { count: number, lastAttempt: number } }
+
+// Cleanup old in-memory entries every 15 minutes
+if (!redis) {
+  setInterval(() => {
+    const now = Date.now();
+    const maxAge = TRACKING_WINDOW_SECONDS * 1000;
+
+    for (const [ip, data] of ipAttempts.entries()) {
+      if (now - data.lastAttempt > maxAge) {
+        ipAttempts.delete(ip);
+      }
+    }
+
+    for (const [email, data] of accountAttempts.entries()) {
+      if (now - data.lastAttempt > maxAge) {
+        accountAttempts.delete(email);
+      }
+    }
+  }, TRACKING_WINDOW_SECONDS * 1000).unref();
+}
+
+const isLive = (data) => data && Date.now() - data.lastAttempt <= TRACKING_WINDOW_SECONDS * 1000;
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+async function recordFailedAttempt(ipAddress, email) {
   const now = Date.now();
-  const maxAge = 15 * 60 * 1000; // 15 minutes
-  
-  for (const [ip, data] of ipAttempts.entries()) {
-    if (now - data.lastAttempt > maxAge) {
-      ipAttempts.delete(ip);
+
+  if (redis) {
+    const multi = redis.multi();
+    if (ipAddress) {
+      multi.hincrby(`${FAILED_IP_PREFIX}${ipAddress}`, 'count', 1)
+        .hset(`${FAILED_IP_PREFIX}${ipAddress}`, 'lastAttempt', now)
+        .expire(`${FAILED_IP_PREFIX}${ipAddress}`, TRACKING_WINDOW_SECONDS)
+        .zadd(TRACKED_IPS_KEY, now, ipAddress);
+      if (email) {
+        multi.sadd(`${FAILED_IP_ACCOUNTS_PREFIX}${ipAddress}`, email)
+          .expire(`${FAILED_IP_ACCOUNTS_PREFIX}${ipAddress}`, TRACKING_WINDOW_SECONDS);
+      }
     }
-  }
-  
-  for (const [email, data] of accountAttempts.entries()) {
-    if (now - data.lastAttempt > maxAge) {
-      accountAttempts.delete(email);
+    if (email) {
+      multi.hincrby(`${FAILED_ACCOUNT_PREFIX}${email}`, 'count', 1)
+        .hset(`${FAILED_ACCOUNT_PREFIX}${email}`, 'lastAttempt', now)
+        .expire(`${FAILED_ACCOUNT_PREFIX}${email}`, TRACKING_WINDOW_SECONDS)
+        .zadd(TRACKED_ACCOUNTS_KEY, now, email);
     }
+    await multi.exec();
+    return;
   }
-}, 15 * 60 * 1000);
 
-/**
- * Track failed login attempt
- * @param {string} email - User email
- * @param {string} ipAddress - IP address
- * @param {string} userAgent - User agent
- */
-async function trackFailedLogin(email, ipAddress, userAgent) {
-  const now = Date.now();
-  
-  // Track by IP
   if (ipAddress) {
-    if (!ipAttempts.has(ipAddress)) {
+    if (!isLive(ipAttempts.get(ipAddress))) {
       ipAttempts.set(ipAddress, { count: 0, lastAttempt: now, accounts: new Set() });
     }
     const ipData = ipAttempts.get(ipAddress);
     ipData.count++;
     ipData.lastAttempt = now;
-    ipData.accounts.add(email);
+    if (email) {
+      ipData.accounts.add(email);
+    }
   }
-  
-  // Track by account
+
   if (email) {
-    if (!accountAttempts.has(email)) {
+    if (!isLive(accountAttempts.get(email))) {
       accountAttempts.set(email, { count: 0, lastAttempt: now });
     }
     const accountData = accountAttempts.get(email);
     accountData.count++;
     accountData.lastAttempt = now;
   }
+}
+
+/**
+ * Failed attempts from an IP in the current window
+ * @param {string} ipAddress
+ * @returns {Promise<{ count: number, lastAttempt: number, accounts: string[] }|null>}
+ */
+async function getIpAttempts(ipAddress) {
+  if (!ipAddress) return null;
+
+  if (redis) {
+    const [[, data], [, accounts]] = await redis.multi()
+      .hgetall(`${FAILED_IP_PREFIX}${ipAddress}`)
+      .smembers(`${FAILED_IP_ACCOUNTS_PREFIX}${ipAddress}`)
+      .exec();
+    if (!data || !data.count) return null;
+    return { count: parseInt(data.count, 10), lastAttempt: parseInt(data.lastAttempt, 10), accounts };
+  }
+
+  const data = ipAttempts.get(ipAddress);
+  if (!isLive(data)) return null;
+  return { count: data.count, lastAttempt: data.lastAttempt, accounts: Array.from(data.accounts) };
+}
+
+/**
+ * Failed attempts on an account in the current window
+ * @param {string} email
+ * @returns {Promise<{ count: number, lastAttempt: number }|null>}
+ */
+async function getAccountAttempts(email) {
+  if (!email) return null;
+
+  if (redis) {
+    const data = await redis.hgetall(`${FAILED_ACCOUNT_PREFIX}${email}`);
+    if (!data || !data.count) return null;
+    return { count: parseInt(data.count, 10), lastAttempt: parseInt(data.lastAttempt, 10) };
+  }
+
+  const data = accountAttempts.get(email);
+  if (!isLive(data)) return null;
+  return { count: data.count, lastAttempt: data.lastAttempt };
+}
+
+async function listTracked(setKey, memoryMap) {
+  if (redis) {
+    await redis.zremrangebyscore(setKey, '-inf', Date.now() - TRACKING_WINDOW_SECONDS * 1000);
+    return redis.zrevrange(setKey, 0, -1);
+  }
+  return Array.from(memoryMap.entries())
+    .filter(([, data]) => isLive(data))
+    .sort(([, a], [, b]) => b.lastAttempt - a.lastAttempt)
+    .map(([key]) => key);
+}
+
+/**
+ * IPs and accounts with failed logins in the current window, most recent first
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Per list
+ * @returns {Promise<{ ips: Array<Object>, accounts: Array<Object>, windowMinutes: number }>}
+ */
+async function getFailedLoginTracking({ limit = 100 } = {}) {
+  const [ipAddresses, emails] = await Promise.all([
+    listTracked(TRACKED_IPS_KEY, ipAttempts),
+    listTracked(TRACKED_ACCOUNTS_KEY, accountAttempts)
+  ]);
+
+  const ips = [];
+  for (const ipAddress of ipAddresses.slice(0, limit)) {
+    const data = await getIpAttempts(ipAddress);
+    if (data) {
+      ips.push({ ipAddress, ...data, lastAttempt: new Date(data.lastAttempt).toISOString() });
+    }
+  }
+
+  const accounts = [];
+  for (const email of emails.slice(0, limit)) {
+    const data = await getAccountAttempts(email);
+    if (data) {
+      accounts.push({ email, ...data, lastAttempt: new Date(data.lastAttempt).toISOString() });
+    }
+  }
+
+  return {
+    ips,
+    accounts,
+    totalIps: ipAddresses.length,
+    totalAccounts: emails.length,
+    windowMinutes: TRACKING_WINDOW_SECONDS / 60
+  };
+}
+
+/**
+ * Forget the failed attempts from an IP and/or on an account
+ * @param {Object} target
+ * @param {string} [target.ipAddress]
+ * @param {string} [target.email]
+ */
+async function clearFailedLoginTracking({ ipAddress, email } = {}) {
+  if (redis) {
+    const multi = redis.multi();
+    if (ipAddress) {
+      multi.del(`${FAILED_IP_PREFIX}${ipAddress}`, `${FAILED_IP_ACCOUNTS_PREFIX}${ipAddress}`)
+        .zrem(TRACKED_IPS_KEY, ipAddress);
+    }
+    if (email) {
+      multi.del(`${FAILED_ACCOUNT_PREFIX}${email}`)
+        .zrem(TRACKED_ACCOUNTS_KEY, email);
+    }
+    await multi.exec();
+    return;
+  }
+
+  if (ipAddress) ipAttempts.delete(ipAddress);
+  if (email) accountAttempts.delete(email);
+}
+
+// ---------------------------------------------------------------------------
+// Detection
+// ---------------------------------------------------------------------------
+
+/**
+ * Track failed login attempt
+ * @param {string} email - User email
+ * @param {string} ipAddress - IP address
+ * @param {string} userAgent - User agent
+ */
+async function trackFailedLogin(email, ipAddress, userAgent) {
+  try {
+    await recordFailedAttempt(ipAddress, email);
+  } catch (error) {
+    console.error('Error tracking failed login:', error);
+    return;
+  }
   
   // Check for suspicious patterns
   await checkSuspiciousPatterns(ipAddress, email);
@@ -83,10 +258,11 @@ async function checkSuspiciousPatterns(ipAddress, email) {
     const RAPID_ACCOUNTS_THRESHOLD = 5; // 5 different accounts from same IP in short time
     const ACCOUNT_FAILED_THRESHOLD = 5; // 5 failed attempts on same account
     
+    const ipData = await getIpAttempts(ipAddress);
+    const accountData = await getAccountAttempts(email);
+    
     // Check IP-based patterns
-    if (ipAddress && ipAttempts.has(ipAddress)) {
-      const ipData = ipAttempts.get(ipAddress);
-      
+    if (ipData) {
       // Multiple failed attempts from same IP
       if (ipData.count >= IP_FAILED_THRESHOLD) {
         await logActivity({
@@ -96,7 +272,7 @@ async function checkSuspiciousPatterns(ipAddress, email) {
           details: {
             ipAddress: ipAddress,
             failedAttempts: ipData.count,
-            uniqueAccounts: Array.from(ipData.accounts),
+            uniqueAccounts: ipData.accounts,
             threshold: IP_FAILED_THRESHOLD
           },
           ipAddress: ipAddress,
@@ -107,20 +283,20 @@ async function checkSuspiciousPatterns(ipAddress, email) {
         await sendSecurityAlert('ip_brute_force', {
           ipAddress: ipAddress,
           failedAttempts: ipData.count,
-          uniqueAccounts: Array.from(ipData.accounts),
+          uniqueAccounts: ipData.accounts,
           threshold: IP_FAILED_THRESHOLD
         });
       }
       
       // Rapid attempts across different accounts (potential credential stuffing)
-      if (ipData.accounts.size >= RAPID_ACCOUNTS_THRESHOLD) {
+      if (ipData.accounts.length >= RAPID_ACCOUNTS_THRESHOLD) {
         await logActivity({
           type: ActivityType.BRUTE_FORCE_DETECTED,
           userEmail: null,
           action: `Rapid login attempts across multiple accounts from IP ${ipAddress}`,
           details: {
             ipAddress: ipAddress,
-            uniqueAccounts: Array.from(ipData.accounts),
+            uniqueAccounts: ipData.accounts,
             threshold: RAPID_ACCOUNTS_THRESHOLD
           },
           ipAddress: ipAddress,
@@ -129,16 +305,14 @@ async function checkSuspiciousPatterns(ipAddress, email) {
         
         await sendSecurityAlert('credential_stuffing', {
           ipAddress: ipAddress,
-          uniqueAccounts: Array.from(ipData.accounts),
+          uniqueAccounts: ipData.accounts,
           threshold: RAPID_ACCOUNTS_THRESHOLD
         });
       }
     }
     
     // Check account-based patterns
-    if (email && accountAttempts.has(email)) {
-      const accountData = accountAttempts.get(email);
-      
+    if (accountData) {
       if (accountData.count >= ACCOUNT_FAILED_THRESHOLD) {
         await logActivity({
           type: ActivityType.BRUTE_FORCE_DETECTED,
@@ -308,11 +482,13 @@ async function getSecurityStats() {
       limit: 100
     });
     
+    const tracking = await getFailedLoginTracking({ limit: 0 });
+    
     return {
       recentBruteForceAttempts: recentLogs.logs.length,
       recentLockouts: lockoutLogs.logs.length,
-      activeIPTracking: ipAttempts.size,
-      activeAccountTracking: accountAttempts.size
+      activeIPTracking: tracking.totalIps,
+      activeAccountTracking: tracking.totalAccounts
     };
   } catch (error) {
     console.error('Error getting security stats:', error);
@@ -330,5 +506,9 @@ module.exports = {
   trackAccountLockout,
   checkSuspiciousPatterns,
   sendSecurityAlert,
-  getSecurityStats
+  getSecurityStats,
+  getIpAttempts,
+  getAccountAttempts,
+  getFailedLoginTracking,
+  clearFailedLoginTracking
 };
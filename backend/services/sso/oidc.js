@@ -0,0 +1,204 @@
+/**
+ * OpenID Connect client
+ *
+ * Authorization code flow with PKCE (S256) against the provider configured in
+ * Settings > Single Sign-On. The provider is found through its discovery
+ * document; ID tokens are verified against its published JWKS (issuer,
+ * audience, expiry and nonce), and the userinfo endpoint is merged in so role
+ * and group claims the provider leaves out of the ID token are still seen.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { putState, takeState } = require('./ssoState');
+
+// Time allowed between leaving for the provider and coming back
+const LOGIN_STATE_TTL_SECONDS = 10 * 60;
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10000;
+
+const SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Fetch (and cache) the provider's discovery document
+ * @param {string} issuer - Issuer URL from settings
+ * @returns {Promise<Object>}
+ */
+async function getDiscovery(issuer) {
+  const normalizedIssuer = String(issuer || '').replace(/\/+$/, '');
+  if (!normalizedIssuer) {
+    throw new Error('OpenID Connect issuer URL is not configured');
+  }
+
+  const cached = discoveryCache.get(normalizedIssuer);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_CACHE_MS) {
+    return cached.document;
+  }
+
+  const response = await axios.get(`${normalizedIssuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+  const document = response.data;
+  for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!document?.[field]) {
+      throw new Error(`OpenID Connect discovery document is missing ${field}`);
+    }
+  }
+
+  discoveryCache.set(normalizedIssuer, { document, fetchedAt: Date.now() });
+  return document;
+}
+
+/**
+ * Find the public key for a token's kid, refetching the JWKS once if the
+ * provider has rotated keys since it was cached
+ */
+async function getSigningKey(jwksUri, kid) {
+  const findKey = (keys) => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+  let keys = jwksCache.get(jwksUri);
+  let jwk = keys && findKey(keys);
+  if (!jwk) {
+    const response = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    keys = response.data?.keys || [];
+    jwksCache.set(jwksUri, keys);
+    jwk = findKey(keys);
+  }
+  if (!jwk) {
+    throw new Error('No matching signing key found for the ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Start a login: remember PKCE verifier, nonce and where to go afterwards,
+ * and build the provider's authorization URL
+ * @param {Object} config - settings.sso.oidc
+ * @param {Object} options
+ * @param {string} options.redirectUri - This portal's callback URL
+ * @param {string} [options.returnTo] - Portal path to open after login
+ * @returns {Promise<string>} Authorization URL to send the browser to
+ */
+async function createAuthorizationUrl(config, { redirectUri, returnTo = '/' }) {
+  const discovery = await getDiscovery(config.issuer);
+
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  const nonce = base64url(crypto.randomBytes(16));
+
+  const state = await putState('oidc-login', { codeVerifier, nonce, returnTo, redirectUri }, LOGIN_STATE_TTL_SECONDS);
+
+  const url = new URL(discovery.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', config.scopes || 'openid profile email');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+}
+
+/**
+ * Finish a login: exchange the code, verify the ID token and collect claims
+ * @param {Object} config - settings.sso.oidc
+ * @param {Object} params - Callback query ({ code, state })
+ * @returns {Promise<{ claims: Object, returnTo: string }>}
+ * @throws {Error} If the state is unknown/expired or any verification fails
+ */
+async function completeAuthorization(config, { code, state }) {
+  const loginState = await takeState('oidc-login', state);
+  if (!loginState) {
+    throw new Error('Sign-in request has expired or was already used. Please try again.');
+  }
+  if (!code) {
+    throw new Error('Identity provider did not return an authorization code');
+  }
+
+  const discovery = await getDiscovery(config.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: loginState.redirectUri,
+    code_verifier: loginState.codeVerifier,
+    client_id: config.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  // client_secret_basic is the spec default; fall back to client_secret_post
+  // for providers that only advertise that
+  if (config.clientSecret) {
+    const methods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+    if (methods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      body.set('client_secret', config.clientSecret);
+    }
+  }
+
+  let tokenResponse;
+  try {
+    tokenResponse = await axios.post(discovery.token_endpoint, body.toString(), { headers, timeout: HTTP_TIMEOUT_MS });
+  } catch (error) {
+    const providerError = error.response?.data?.error_description || error.response?.data?.error;
+    throw new Error(`Token exchange failed${providerError ? `: ${providerError}` : ''}`);
+  }
+
+  const { id_token: idToken, access_token: accessToken } = tokenResponse.data || {};
+  if (!idToken) {
+    throw new Error('Identity provider did not return an ID token');
+  }
+
+  const decodedHeader = jwt.decode(idToken, { complete: true })?.header;
+  if (!decodedHeader || !SIGNING_ALGORITHMS.includes(decodedHeader.alg)) {
+    throw new Error(`Unsupported ID token signing algorithm: ${decodedHeader?.alg || 'unknown'}`);
+  }
+
+  const key = await getSigningKey(discovery.jwks_uri, decodedHeader.kid);
+  const idClaims = jwt.verify(idToken, key, {
+    algorithms: SIGNING_ALGORITHMS,
+    issuer: discovery.issuer,
+    audience: config.clientId,
+    clockTolerance: 60
+  });
+
+  if (idClaims.nonce !== loginState.nonce) {
+    throw new Error('ID token nonce does not match the sign-in request');
+  }
+
+  // Userinfo is optional; the ID token's subject always wins
+  let userInfo = {};
+  if (discovery.userinfo_endpoint && accessToken) {
+    try {
+      const response = await axios.get(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: HTTP_TIMEOUT_MS
+      });
+      if (response.data?.sub === idClaims.sub) {
+        userInfo = response.data;
+      }
+    } catch (error) {
+      console.warn('OIDC userinfo request failed, using ID token claims only:', error.message);
+    }
+  }
+
+  return {
+    claims: { ...userInfo, ...idClaims },
+    returnTo: loginState.returnTo
+  };
+}
+
+module.exports = {
+  getDiscovery,
+  createAuthorizationUrl,
+  completeAuthorization
+};
@@ -0,0 +1,226 @@
+/**
+ * Single sign-on account provisioning
+ *
+ * Turns an identity asserted by the identity provider into a portal user:
+ * maps claims to a role and company assignments, links the identity to an
+ * existing account by email the first time, creates the account just in time
+ * when allowed, and keeps role and companies in step with the provider on
+ * every sign-in.
+ */
+
+const { User, Company, Sequelize } = require('../../models');
+const { Op } = Sequelize;
+const { ROLE_HIERARCHY } = require('../../utils/roleHierarchy');
+const { revokeAllSessions } = require('../../utils/authSessions');
+const { logActivity, ActivityType } = require('../activityLogger');
+
+// Roles OpenID Connect sign-in can grant. Global Administrators keep
+// password sign-in so a misconfigured provider can't lock everyone out.
+const OIDC_ROLES = ['administrator', 'manager', 'credit_senior', 'credit_controller'];
+
+// Company mapping value that grants All Companies
+const ALL_COMPANIES = '*';
+
+/**
+ * Read a claim as a list of strings. Supports dot paths for nested claims
+ * (e.g. realm_access.roles) and space- or comma-separated strings.
+ * @param {Object} claims
+ * @param {string} path
+ * @returns {string[]}
+ */
+function getClaimValues(claims, path) {
+  if (!path) return [];
+
+  const value = String(path).split('.').reduce((current, key) => (current == null ? undefined : current[key]), claims);
+  if (value == null) return [];
+  if (Array.isArray(value)) return value.map(item => String(item));
+  if (typeof value === 'string') return value.split(/[\s,]+/).filter(Boolean);
+  return [String(value)];
+}
+
+/**
+ * Pick the portal role for a set of claims - the highest mapped role wins
+ * @param {Object} config - { roleClaim, roleMappings: [{ value, role }], defaultRole }
+ * @param {Object} claims
+ * @param {string[]} allowedRoles
+ * @returns {string|null} Role, or null when nothing maps and there is no default
+ */
+function resolveRole(config, claims, allowedRoles) {
+  const values = getClaimValues(claims, config.roleClaim);
+  const mappedRoles = (config.roleMappings || [])
+    .filter(mapping => mapping?.value && values.includes(String(mapping.value)) && allowedRoles.includes(mapping.role))
+    .map(mapping => mapping.role)
+    .sort((a, b) => ROLE_HIERARCHY[b] - ROLE_HIERARCHY[a]);
+
+  if (mappedRoles.length > 0) return mappedRoles[0];
+  return allowedRoles.includes(config.defaultRole) ? config.defaultRole : null;
+}
+
+/**
+ * Work out company assignments for a set of claims
+ * @param {Object} config - { companyClaim, companyMappings: [{ value, companyId }], matchCompanyReferenceNo }
+ * @param {Object} claims
+ * @returns {Promise<{ allCompanies: boolean, companyIds: string[] }|null>} null when no company claim is configured
+ */
+async function resolveCompanies(config, claims) {
+  if (!config.companyClaim) return null;
+
+  const values = getClaimValues(claims, config.companyClaim);
+  const companyIds = new Set();
+  let allCompanies = false;
+
+  for (const mapping of config.companyMappings || []) {
+    if (!mapping?.value || !values.includes(String(mapping.value))) continue;
+    if (mapping.companyId === ALL_COMPANIES) {
+      allCompanies = true;
+    } else if (mapping.companyId) {
+      companyIds.add(mapping.companyId);
+    }
+  }
+
+  if (config.matchCompanyReferenceNo) {
+    const referenceNos = values.filter(value => /^\d+$/.test(value)).map(Number);
+    if (referenceNos.length > 0) {
+      const companies = await Company.findAll({
+        where: { referenceNo: { [Op.in]: referenceNos } },
+        attributes: ['id']
+      });
+      companies.forEach(company => companyIds.add(company.id));
+    }
+  }
+
+  return { allCompanies, companyIds: Array.from(companyIds) };
+}
+
+/**
+ * Find, link or create the portal user for an SSO identity and bring their
+ * role and companies up to date
+ * @param {Object} identity
+ * @param {string} identity.provider - e.g. 'oidc'
+ * @param {string} identity.subject - Stable subject id from the provider
+ * @param {string} identity.email
+ * @param {boolean} identity.emailVerified - Only `true` lets the email link to
+ *   or create a portal account
+ * @param {string} [identity.name]
+ * @param {string|null} identity.role - Mapped role (null = no role)
+ * @param {Object|null} identity.companies - From resolveCompanies (null = leave alone)
+ * @param {Object} options
+ * @param {string[]} options.allowedRoles - Roles this provider may sign in as
+ * @param {boolean} options.autoProvision - Create missing users
+ * @param {Object} [options.req] - For activity logging
+ * @returns {Promise<User>}
+ * @throws {Error} With a message suitable for the login page
+ */
+async function provisionSsoUser(identity, { allowedRoles, autoProvision, req = null }) {
+  const email = identity.email ? String(identity.email).toLowerCase().trim() : null;
+
+  let user = await User.findOne({
+    where: { ssoProvider: identity.provider, ssoSubject: identity.subject }
+  });
+
+  // Anything short of an explicit `true` (a missing claim, "true" as a string)
+  // counts as unverified, so it can't claim someone else's account
+  if (!user && email) {
+    if (identity.emailVerified !== true) {
+      throw new Error('Your identity provider has not verified your email address');
+    }
+    user = await User.findOne({ where: { email } });
+    if (user && user.ssoSubject && (user.ssoProvider !== identity.provider || user.ssoSubject !== identity.subject)) {
+      throw new Error('This portal account is linked to a different single sign-on identity');
+    }
+  }
+
+  if (user && !allowedRoles.includes(user.role)) {
+    throw new Error('Your portal account cannot sign in with single sign-on. Please sign in with your password.');
+  }
+
+  if (!identity.role) {
+    throw new Error('Your account has not been assigned a portal role. Please contact your administrator.');
+  }
+
+  let created = false;
+  if (!user) {
+    if (!autoProvision) {
+      throw new Error('No portal account exists for your email address. Please contact your administrator.');
+    }
+    if (!email) {
+      throw new Error('Your identity provider did not supply an email address');
+    }
+    user = await User.create({
+      name: identity.name || email,
+      email,
+      password: null,
+      role: identity.role,
+      ssoProvider: identity.provider,
+      ssoSubject: identity.subject,
+      allCompanies: identity.companies?.allCompanies || false
+    });
+    created = true;
+  }
+
+  if (!user.isActive) {
+    throw new Error('Your portal account is deactivated. Please contact your administrator.');
+  }
+
+  const roleChanged = !created && user.role !== identity.role;
+  user.ssoProvider = identity.provider;
+  user.ssoSubject = identity.subject;
+  user.role = identity.role;
+  if (identity.name && !created) user.name = identity.name;
+  if (identity.companies) user.allCompanies = identity.companies.allCompanies;
+  user.lastLogin = new Date();
+  await user.save();
+
+  if (identity.companies) {
+    const companies = identity.companies.companyIds.length > 0
+      ? await Company.findAll({ where: { id: { [Op.in]: identity.companies.companyIds } } })
+      : [];
+    await user.setCompanies(companies);
+  }
+
+  // Sessions carry the role, so a change at the provider signs out the old ones
+  if (roleChanged) {
+    await revokeAllSessions(user.id, { reason: 'role changed by single sign-on' });
+  }
+
+  if (created) {
+    await logActivity({
+      type: ActivityType.USER_CREATED,
+      userId: user.id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: `User ${user.email} created by single sign-on`,
+      details: {
+        provider: identity.provider,
+        role: user.role,
+        allCompanies: user.allCompanies,
+        companyIds: identity.companies?.companyIds || []
+      },
+      ipAddress: req ? (req.ip || req.connection?.remoteAddress) : null,
+      userAgent: req ? req.get('user-agent') : null
+    });
+  }
+
+  return user;
+}
+
+/**
+ * Whether password sign-in is switched off for a role
+ * @param {Object} settings - Settings instance
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isPasswordLoginDisabled(settings, role) {
+  const sso = settings?.sso;
+  return Boolean(sso?.oidc?.enabled && (sso.passwordLoginDisabledRoles || []).includes(role));
+}
+
+module.exports = {
+  OIDC_ROLES,
+  ALL_COMPANIES,
+  getClaimValues,
+  resolveRole,
+  resolveCompanies,
+  provisionSsoUser,
+  isPasswordLoginDisabled
+};
@@ -0,0 +1,313 @@
+/**
+ * SAML 2.0 service provider for CORP customers
+ *
+ * Each CORP company can bring its own identity provider (CompanySamlConfig).
+ * Users are routed to it by the domain of the email address they type on the
+ * login page; the response must come back signed by one of the configured
+ * certificates, answer a request this portal sent, and assert an email
+ * address in one of the company's domains.
+ *
+ * Only the HTTP-Redirect binding is used for sending requests, and
+ * IdP-initiated sign-in is not accepted.
+ */
+
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const { SAML, generateServiceProviderMetadata } = require('@node-saml/node-saml');
+const { CompanySamlConfig, Company, Sequelize } = require('../../models');
+const { Op } = Sequelize;
+const { getBackendUrl } = require('../../utils/urlConfig');
+const { createRequestIdCache } = require('./ssoState');
+
+// Time allowed between leaving for the identity provider and coming back
+const REQUEST_TTL_SECONDS = 10 * 60;
+
+const BINDING_REDIRECT = 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect';
+const NAMEID_EMAIL = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+const NAMEID_TRANSIENT = 'urn:oasis:names:tc:SAML:2.0:nameid-format:transient';
+
+// Where IdPs commonly put the email address, in order of preference
+const EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'urn:oid:0.9.2342.19200300.100.1.3',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/upn'
+];
+const NAME_ATTRIBUTES = [
+  'displayName',
+  'name',
+  'urn:oid:2.16.840.1.113730.3.1.241',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+  'http://schemas.microsoft.com/identity/claims/displayname'
+];
+const GIVEN_NAME_ATTRIBUTES = ['givenName', 'urn:oid:2.5.4.42', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname'];
+const SURNAME_ATTRIBUTES = ['sn', 'surname', 'urn:oid:2.5.4.4', 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname'];
+
+const requestIdCache = createRequestIdCache('saml-request', REQUEST_TTL_SECONDS);
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+const asArray = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Domain part of an email address, lower-cased
+ * @param {string} email
+ * @returns {string|null}
+ */
+function getEmailDomain(email) {
+  const match = /^[^@\s]+@([^@\s]+)$/.exec(String(email || '').trim().toLowerCase());
+  return match ? match[1] : null;
+}
+
+/**
+ * Clean up a list of email domains entered by an administrator
+ * @param {string[]|string} domains
+ * @returns {{ domains: string[], invalid: string[] }}
+ */
+function normalizeEmailDomains(domains) {
+  const list = Array.isArray(domains) ? domains : String(domains || '').split(/[\s,;]+/);
+  const cleaned = list
+    .map(domain => String(domain || '').trim().toLowerCase().replace(/^@/, ''))
+    .filter(Boolean);
+  const unique = [...new Set(cleaned)];
+  return {
+    domains: unique.filter(domain => DOMAIN_PATTERN.test(domain)),
+    invalid: unique.filter(domain => !DOMAIN_PATTERN.test(domain))
+  };
+}
+
+/**
+ * Reduce a PEM or bare base64 certificate to its base64 body and check it
+ * parses as X.509
+ * @param {string} certificate
+ * @returns {{ certificate: string, subject: string, validTo: string, fingerprint: string }}
+ * @throws {Error} If it isn't a certificate
+ */
+function normalizeCertificate(certificate) {
+  const body = String(certificate || '')
+    .replace(/-----(BEGIN|END) CERTIFICATE-----/g, '')
+    .replace(/\s+/g, '');
+  if (!body) {
+    throw new Error('Certificate is empty');
+  }
+
+  let x509;
+  try {
+    x509 = new crypto.X509Certificate(toPem(body));
+  } catch (error) {
+    throw new Error('Certificate is not a valid X.509 certificate');
+  }
+
+  return {
+    certificate: body,
+    subject: x509.subject,
+    validTo: new Date(x509.validTo).toISOString(),
+    fingerprint: x509.fingerprint256
+  };
+}
+
+const toPem = (body) => `-----BEGIN CERTIFICATE-----\n${body.match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+
+/**
+ * Read entity ID, redirect-binding SSO URL and signing certificates from
+ * identity provider metadata
+ * @param {string} xml - EntityDescriptor (or EntitiesDescriptor holding one IdP)
+ * @returns {{ entityId: string, ssoUrl: string, certificates: string[] }}
+ * @throws {Error} If the metadata is unusable
+ */
+function parseIdpMetadata(xml) {
+  let document;
+  try {
+    document = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      removeNSPrefix: true,
+      parseTagValue: false
+    }).parse(String(xml || ''));
+  } catch (error) {
+    throw new Error('Metadata is not valid XML');
+  }
+
+  const entities = document.EntityDescriptor
+    ? asArray(document.EntityDescriptor)
+    : asArray(document.EntitiesDescriptor?.EntityDescriptor);
+  const entity = entities.find(candidate => candidate?.IDPSSODescriptor);
+  if (!entity) {
+    throw new Error('Metadata does not describe a SAML identity provider (no IDPSSODescriptor)');
+  }
+
+  const descriptor = asArray(entity.IDPSSODescriptor)[0];
+  const redirectService = asArray(descriptor.SingleSignOnService)
+    .find(service => service?.['@_Binding'] === BINDING_REDIRECT);
+  if (!redirectService?.['@_Location']) {
+    throw new Error('Identity provider does not offer the HTTP-Redirect binding for single sign-on');
+  }
+
+  const certificates = asArray(descriptor.KeyDescriptor)
+    .filter(key => !key['@_use'] || key['@_use'] === 'signing')
+    .flatMap(key => asArray(key.KeyInfo?.X509Data).flatMap(data => asArray(data.X509Certificate)))
+    .map(certificate => (typeof certificate === 'object' ? certificate['#text'] : certificate))
+    .filter(Boolean)
+    .map(certificate => normalizeCertificate(certificate).certificate);
+  if (certificates.length === 0) {
+    throw new Error('Metadata does not contain a signing certificate');
+  }
+
+  return {
+    entityId: entity['@_entityID'],
+    ssoUrl: redirectService['@_Location'],
+    certificates: [...new Set(certificates)]
+  };
+}
+
+/**
+ * Service provider URLs for a company - customers register these with their IdP
+ * @param {string} companyId
+ * @returns {{ entityId: string, acsUrl: string, metadataUrl: string }}
+ */
+function getServiceProviderUrls(companyId) {
+  const base = `${getBackendUrl().replace(/\/+$/, '')}/api/sso/saml/${companyId}`;
+  return {
+    entityId: `${base}/metadata`,
+    acsUrl: `${base}/acs`,
+    metadataUrl: `${base}/metadata`
+  };
+}
+
+function createServiceProvider(config) {
+  const { entityId, acsUrl } = getServiceProviderUrls(config.companyId);
+  return new SAML({
+    entryPoint: config.idpSsoUrl,
+    issuer: entityId,
+    audience: entityId,
+    callbackUrl: acsUrl,
+    idpIssuer: config.idpEntityId || undefined,
+    idpCert: (config.idpCertificates || []).map(toPem),
+    identifierFormat: null,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: false,
+    validateInResponseTo: 'always',
+    requestIdExpirationPeriodMs: REQUEST_TTL_SECONDS * 1000,
+    cacheProvider: requestIdCache,
+    acceptedClockSkewMs: 60 * 1000,
+    disableRequestedAuthnContext: true
+  });
+}
+
+/**
+ * Find the enabled identity provider for an email address
+ * @param {string} email
+ * @returns {Promise<CompanySamlConfig|null>} With `company` included
+ */
+async function findConfigForEmail(email) {
+  const domain = getEmailDomain(email);
+  if (!domain) return null;
+
+  return CompanySamlConfig.findOne({
+    where: {
+      enabled: true,
+      emailDomains: { [Op.contains]: [domain] }
+    },
+    include: [{
+      model: Company,
+      as: 'company',
+      where: { type: 'CORP', isActive: true },
+      attributes: ['id', 'name', 'type']
+    }]
+  });
+}
+
+/**
+ * Whether a user must sign in through their organisation's identity provider
+ * rather than with a portal password
+ * @param {User} user
+ * @returns {Promise<boolean>}
+ */
+async function requiresSamlLogin(user) {
+  if (!user || user.role !== 'external_user') return false;
+  const config = await findConfigForEmail(user.email);
+  return Boolean(config && !config.allowPasswordLogin);
+}
+
+/**
+ * Build the identity provider URL that starts a sign-in
+ * @param {CompanySamlConfig} config
+ * @param {string} relayState - Opaque key for where to go afterwards
+ * @returns {Promise<string>}
+ */
+async function createLoginUrl(config, relayState) {
+  return createServiceProvider(config).getAuthorizeUrlAsync(relayState, undefined, {});
+}
+
+/**
+ * Validate a response posted to the ACS URL and pull out the user's identity
+ * @param {CompanySamlConfig} config
+ * @param {Object} body - POST body ({ SAMLResponse, RelayState })
+ * @returns {Promise<{ subject: string, email: string, name: string|null }>}
+ * @throws {Error} If the response fails validation or the email is outside the company's domains
+ */
+async function validateLoginResponse(config, body) {
+  const { profile } = await createServiceProvider(config).validatePostResponseAsync({
+    SAMLResponse: body.SAMLResponse
+  });
+  if (!profile?.nameID) {
+    throw new Error('Identity provider response did not identify the user');
+  }
+
+  const firstAttribute = (names) => names
+    .map(name => asArray(profile[name])[0])
+    .find(value => typeof value === 'string' && value.trim());
+
+  const emailAttributes = config.emailAttribute ? [config.emailAttribute] : EMAIL_ATTRIBUTES;
+  let email = firstAttribute(emailAttributes);
+  if (!email && (profile.nameIDFormat === NAMEID_EMAIL || getEmailDomain(profile.nameID))) {
+    email = profile.nameID;
+  }
+  email = email ? email.trim().toLowerCase() : null;
+
+  // A customer's IdP may only sign people in for its own domains
+  if (!email || !config.emailDomains.includes(getEmailDomain(email))) {
+    throw new Error('Your identity provider did not supply an email address for this organisation');
+  }
+
+  const name = firstAttribute(NAME_ATTRIBUTES) ||
+    [firstAttribute(GIVEN_NAME_ATTRIBUTES), firstAttribute(SURNAME_ATTRIBUTES)].filter(Boolean).join(' ') ||
+    null;
+
+  // Transient NameIDs change every sign-in, so fall back to the email address
+  let subject = profile.nameIDFormat === NAMEID_TRANSIENT ? `email:${email}` : profile.nameID;
+  if (subject.length > 255) {
+    subject = crypto.createHash('sha256').update(subject).digest('hex');
+  }
+
+  return { subject, email, name };
+}
+
+/**
+ * Service provider metadata XML for a company
+ * @param {string} companyId
+ * @returns {string}
+ */
+function getServiceProviderMetadata(companyId) {
+  const { entityId, acsUrl } = getServiceProviderUrls(companyId);
+  return generateServiceProviderMetadata({
+    issuer: entityId,
+    callbackUrl: acsUrl,
+    identifierFormat: NAMEID_EMAIL,
+    wantAssertionsSigned: true
+  });
+}
+
+module.exports = {
+  getEmailDomain,
+  normalizeEmailDomains,
+  normalizeCertificate,
+  parseIdpMetadata,
+  getServiceProviderUrls,
+  getServiceProviderMetadata,
+  findConfigForEmail,
+  requiresSamlLogin,
+  createLoginUrl,
+  validateLoginResponse
+};
@@ -0,0 +1,118 @@
+/**
+ * Short-lived, single-use state for single sign-on round trips
+ *
+ * Holds the PKCE verifier/nonce between the redirect to the identity provider
+ * and its callback, the IDs of outstanding SAML requests, and the hand-off
+ * code the portal exchanges for tokens afterwards. WebAuthn challenges
+ * (services/webauthn.js) are kept here for the same reason. Stored in Redis when
+ * configured (so any backend instance can finish a login another one
+ * started), otherwise in memory.
+ */
+
+const crypto = require('crypto');
+const { redis } = require('../../config/redis');
+
+const memoryState = new Map();
+
+const storageKey = (kind, key) => `sso:${kind}:${key}`;
+
+/**
+ * Store state under a new random key
+ * @param {string} kind - Namespace, e.g. 'oidc-login' or 'handoff'
+ * @param {Object} data - JSON-serialisable data
+ * @param {number} ttlSeconds - Lifetime
+ * @returns {Promise<string>} The key
+ */
+async function putState(kind, data, ttlSeconds) {
+  const key = crypto.randomBytes(32).toString('base64url');
+
+  if (redis) {
+    await redis.setex(storageKey(kind, key), ttlSeconds, JSON.stringify(data));
+    return key;
+  }
+
+  memoryState.set(storageKey(kind, key), { data, expiresAt: Date.now() + ttlSeconds * 1000 });
+  for (const [storedKey, entry] of memoryState) {
+    if (entry.expiresAt < Date.now()) memoryState.delete(storedKey);
+  }
+  return key;
+}
+
+/**
+ * Read and delete state - each key works once
+ * @param {string} kind
+ * @param {string} key
+ * @returns {Promise<Object|null>} The data, or null if unknown or expired
+ */
+async function takeState(kind, key) {
+  if (!key || typeof key !== 'string') {
+    return null;
+  }
+
+  if (redis) {
+    const [[, data]] = await redis.multi()
+      .get(storageKey(kind, key))
+      .del(storageKey(kind, key))
+      .exec();
+    return data ? JSON.parse(data) : null;
+  }
+
+  const entry = memoryState.get(storageKey(kind, key));
+  memoryState.delete(storageKey(kind, key));
+  if (!entry || entry.expiresAt < Date.now()) {
+    return null;
+  }
+  return entry.data;
+}
+
+/**
+ * Cache of outstanding request IDs in the shape node-saml expects, so a SAML
+ * response is only accepted for a request this portal actually sent
+ * @param {string} kind - Namespace, e.g. 'saml-request'
+ * @param {number} ttlSeconds - How long a request stays answerable
+ * @returns {{ saveAsync: Function, getAsync: Function, removeAsync: Function }}
+ */
+function createRequestIdCache(kind, ttlSeconds) {
+  return {
+    async saveAsync(key, value) {
+      const createdAt = Date.now();
+      if (redis) {
+        const saved = await redis.set(storageKey(kind, key), value, 'EX', ttlSeconds, 'NX');
+        return saved ? { value, createdAt } : null;
+      }
+
+      const existing = memoryState.get(storageKey(kind, key));
+      if (existing && existing.expiresAt >= createdAt) {
+        return null;
+      }
+      memoryState.set(storageKey(kind, key), { data: value, expiresAt: createdAt + ttlSeconds * 1000 });
+      return { value, createdAt };
+    },
+
+    async getAsync(key) {
+      if (redis) {
+        return redis.get(storageKey(kind, key));
+      }
+
+      const entry = memoryState.get(storageKey(kind, key));
+      return entry && entry.expiresAt >= Date.now() ? entry.data : null;
+    },
+
+    async removeAsync(key) {
+      if (!key) return null;
+      if (redis) {
+        await redis.del(storageKey(kind, key));
+        return key;
+      }
+
+      memoryState.delete(storageKey(kind, key));
+      return key;
+    }
+  };
+}
+
+module.exports = {
+  putState,
+  takeState,
+  createRequestIdCache
+};
@@ -0,0 +1,223 @@
+/**
+ * WebAuthn (security key / passkey) ceremonies
+ *
+ * Wraps @simplewebauthn/server for the 'webauthn' two-factor method. The
+ * relying party is the portal itself: its ID is the FRONTEND_URL host name
+ * and responses must come from the FRONTEND_URL origin, so credentials
+ * registered on one deployment cannot be replayed against another.
+ *
+ * Each options call stores its challenge under a single-use key that the
+ * browser sends back with the authenticator's response.
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, isoUint8Array } = require('@simplewebauthn/server/helpers');
+const { WebAuthnCredential } = require('../models');
+const { getFrontendUrl } = require('../utils/urlConfig');
+const { putState, takeState } = require('./sso/ssoState');
+
+// Time allowed to touch the security key or confirm the passkey prompt
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Relying party ID and expected origin, both taken from FRONTEND_URL
+ * @returns {{ rpID: string, origin: string }}
+ */
+function getRelyingParty() {
+  const url = new URL(getFrontendUrl());
+  return { rpID: url.hostname, origin: url.origin };
+}
+
+const toDescriptor = (credential) => ({
+  id: credential.credentialId,
+  transports: credential.transports || []
+});
+
+/**
+ * Options for navigator.credentials.create() to register another
+ * authenticator for a user
+ * @param {User} user
+ * @param {WebAuthnCredential[]} existingCredentials - Excluded so the same key isn't registered twice
+ * @param {string} rpName - Name shown by the browser (the 2FA issuer name)
+ * @returns {Promise<{ options: Object, challengeKey: string }>}
+ */
+async function createRegistrationOptions(user, existingCredentials, rpName) {
+  const { rpID } = getRelyingParty();
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: user.name || user.email,
+    userID: isoUint8Array.fromUTF8String(user.id),
+    timeout: TIMEOUT_MS,
+    attestationType: 'none',
+    excludeCredentials: existingCredentials.map(toDescriptor),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+
+  const challengeKey = await putState('webauthn-registration', {
+    userId: user.id,
+    challenge: options.challenge
+  }, CHALLENGE_TTL_SECONDS);
+
+  return { options, challengeKey };
+}
+
+/**
+ * Check a registration response and return the credential to store
+ * @param {User} user
+ * @param {string} challengeKey - From createRegistrationOptions
+ * @param {Object} response - RegistrationResponseJSON from the browser
+ * @returns {Promise<Object>} WebAuthnCredential attributes (without userId/name)
+ * @throws {Error} If the challenge has expired or the response doesn't verify
+ */
+async function verifyRegistration(user, challengeKey, response) {
+  const state = await takeState('webauthn-registration', challengeKey);
+  if (!state || state.userId !== user.id) {
+    throw new Error('Security key registration has expired. Please try again.');
+  }
+
+  const { rpID, origin } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: state.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      requireUserVerification: false
+    });
+  } catch (error) {
+    throw new Error(`Security key could not be registered: ${error.message}`);
+  }
+  if (!verification.verified || !verification.registrationInfo) {
+    throw new Error('Security key could not be registered');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  return {
+    credentialId: credential.id,
+    publicKey: isoBase64URL.fromBuffer(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    // Reported by the browser (credProps), only used to label the credential
+    discoverable: response.clientExtensionResults?.credProps?.rk === true
+  };
+}
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {Object} params
+ * @param {string|null} params.userId - User signing in, or null for passwordless
+ *   sign-in where the browser offers any passkey it holds for this site
+ * @param {WebAuthnCredential[]} [params.credentials] - The user's credentials (second factor only)
+ * @returns {Promise<{ options: Object, challengeKey: string }>}
+ */
+async function createAuthenticationOptions({ userId, credentials = [] }) {
+  const { rpID } = getRelyingParty();
+  const options = await generateAuthenticationOptions({
+    rpID,
+    timeout: TIMEOUT_MS,
+    allowCredentials: userId ? credentials.map(toDescriptor) : [],
+    // Without a password the passkey itself has to prove who is present
+    userVerification: userId ? 'preferred' : 'required'
+  });
+
+  const challengeKey = await putState('webauthn-authentication', {
+    userId: userId || null,
+    challenge: options.challenge
+  }, CHALLENGE_TTL_SECONDS);
+
+  return { options, challengeKey };
+}
+
+/**
+ * Check an authentication response against the stored credential and bump
+ * its signature counter
+ * @param {string} challengeKey - From createAuthenticationOptions
+ * @param {Object} response - AuthenticationResponseJSON from the browser
+ * @param {Object} [expected]
+ * @param {string} [expected.userId] - Required owner of the credential (second factor)
+ * @returns {Promise<WebAuthnCredential>} The credential used
+ * @throws {Error} If the challenge has expired, the credential is unknown or the response doesn't verify
+ */
+async function verifyAuthentication(challengeKey, response, { userId } = {}) {
+  const state = await takeState('webauthn-authentication', challengeKey);
+  if (!state || (state.userId || null) !== (userId || null)) {
+    throw new Error('Security key sign-in has expired. Please try again.');
+  }
+
+  const credential = response?.id
+    ? await WebAuthnCredential.findOne({ where: { credentialId: response.id } })
+    : null;
+  if (!credential || (userId && credential.userId !== userId)) {
+    throw new Error('This security key is not registered for your account');
+  }
+
+  const { rpID, origin } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: state.challenge,
+      expectedOrigin: origin,
+      expectedRPID: rpID,
+      credential: {
+        id: credential.credentialId,
+        publicKey: isoBase64URL.toBuffer(credential.publicKey),
+        counter: Number(credential.counter),
+        transports: credential.transports || []
+      },
+      requireUserVerification: !userId
+    });
+  } catch (error) {
+    throw new Error(`Security key could not be verified: ${error.message}`);
+  }
+  if (!verification.verified) {
+    throw new Error('Security key could not be verified');
+  }
+
+  credential.counter = verification.authenticationInfo.newCounter;
+  credential.lastUsedAt = new Date();
+  await credential.save();
+
+  return credential;
+}
+
+/**
+ * Credential details that are safe to show the user
+ * @param {WebAuthnCredential} credential
+ * @returns {Object}
+ */
+function toCredentialResponse(credential) {
+  return {
+    id: credential.id,
+    name: credential.name,
+    deviceType: credential.deviceType,
+    backedUp: credential.backedUp,
+    discoverable: credential.discoverable,
+    transports: credential.transports || [],
+    lastUsedAt: credential.lastUsedAt,
+    createdAt: credential.createdAt
+  };
+}
+
+module.exports = {
+  getRelyingParty,
+  createRegistrationOptions,
+  verifyRegistration,
+  createAuthenticationOptions,
+  verifyAuthentication,
+  toCredentialResponse
+};
@@ -0,0 +1,238 @@
+/**
+ * Outbound webhooks
+ *
+ * Document lifecycle events are offered to every enabled endpoint that
+ * subscribes to them: global endpoints get events for all companies, company
+ * endpoints only for their company and the companies below it. Each match
+ * becomes a WebhookDelivery row and a job on the webhook queue; the queue
+ * worker sends it (jobs/webhookDelivery.js) and retries failures.
+ *
+ * Most events come from the activity log - anything logActivity() records
+ * for a document is also a webhook event (see ACTIVITY_EVENTS). Events that
+ * have no activity of their own, such as documents created by an import, are
+ * emitted directly with emitWebhookEvent().
+ *
+ * Every request is signed: X-Webhook-Signature is "t=<unix time>,v1=<hex>"
+ * where <hex> is the HMAC-SHA256 of "<unix time>.<raw body>" keyed with the
+ * endpoint's secret.
+ */
+
+const crypto = require('crypto');
+const { WebhookEndpoint, WebhookDelivery, Company } = require('../models');
+const { webhookQueue } = require('../config/queue');
+
+const DOCUMENT_TYPES = ['invoice', 'credit_note', 'statement'];
+const DOCUMENT_ACTIONS = ['created', 'viewed', 'downloaded', 'queried', 'edited', 'deleted'];
+
+const WEBHOOK_EVENTS = [
+  ...DOCUMENT_TYPES.flatMap(type => DOCUMENT_ACTIONS.map(action => `${type}.${action}`)),
+  'query.replied',
+  'import.completed'
+];
+
+// Activity types (services/activityLogger.js) that are also webhook events.
+// DOCUMENT_QUERIED covers all three document types, so its event is worked
+// out from the activity details.
+const ACTIVITY_EVENTS = {
+  invoice_viewed: 'invoice.viewed',
+  invoice_downloaded: 'invoice.downloaded',
+  invoice_edited: 'invoice.edited',
+  invoice_deleted: 'invoice.deleted',
+  credit_note_viewed: 'credit_note.viewed',
+  credit_note_downloaded: 'credit_note.downloaded',
+  credit_note_edited: 'credit_note.edited',
+  credit_note_deleted: 'credit_note.deleted',
+  statement_viewed: 'statement.viewed',
+  statement_downloaded: 'statement.downloaded',
+  statement_edited: 'statement.edited',
+  statement_deleted: 'statement.deleted',
+  document_queried: (details) => DOCUMENT_TYPES.includes(details.documentType) ? `${details.documentType}.queried` : null,
+  document_query_replied: () => 'query.replied'
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret - Endpoint secret
+ * @param {string} body - Raw JSON body
+ * @param {number} [timestamp] - Unix time in seconds (default: now)
+ * @returns {string} "t=<timestamp>,v1=<hex hmac>"
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * The company and all of its parents, nearest first
+ * @param {string} companyId
+ * @returns {Promise<string[]>}
+ */
+async function getCompanyAndAncestorIds(companyId) {
+  const ids = [];
+  let currentId = companyId;
+  // The hierarchy is at most CORP > SUB > BRANCH; the limit only guards against cycles
+  while (currentId && ids.length < 10 && !ids.includes(currentId)) {
+    ids.push(currentId);
+    const company = await Company.findByPk(currentId, { attributes: ['id', 'parentId'] });
+    currentId = company?.parentId || null;
+  }
+  return ids;
+}
+
+/**
+ * Queue a delivery of an existing payload to one endpoint
+ * @param {WebhookEndpoint} endpoint
+ * @param {string} event
+ * @param {Object} payload
+ * @param {string} [redeliveryOfId]
+ * @returns {Promise<WebhookDelivery>}
+ */
+async function queueDelivery(endpoint, event, payload, redeliveryOfId = null) {
+  const delivery = await WebhookDelivery.create({
+    endpointId: endpoint.id,
+    event,
+    payload,
+    redeliveryOfId
+  });
+  await webhookQueue.add('deliver', { deliveryId: delivery.id }, { jobId: `webhook-${delivery.id}` });
+  return delivery;
+}
+
+/**
+ * Send an event to every endpoint subscribed to it. Never throws - webhooks
+ * must not break the action that triggered them.
+ * @param {string} event - One of WEBHOOK_EVENTS (or 'ping' with params.endpoint)
+ * @param {Object} params
+ * @param {string|null} [params.companyId] - Company the event is about (null: global endpoints only)
+ * @param {Object} [params.data] - Event data
+ * @param {WebhookEndpoint} [params.endpoint] - Send to this endpoint only, whatever it subscribes to
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(event, { companyId = null, data = {}, endpoint = null } = {}) {
+  try {
+    let endpoints;
+    if (endpoint) {
+      endpoints = [endpoint];
+    } else {
+      const companyIds = companyId ? await getCompanyAndAncestorIds(companyId) : [];
+      const candidates = await WebhookEndpoint.findAll({ where: { enabled: true } });
+      endpoints = candidates.filter(candidate =>
+        (candidate.events || []).includes(event) &&
+        (!candidate.companyId || companyIds.includes(candidate.companyId))
+      );
+    }
+    if (endpoints.length === 0) return 0;
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      companyId,
+      data
+    };
+    for (const target of endpoints) {
+      await queueDelivery(target, event, payload);
+    }
+    return endpoints.length;
+  } catch (error) {
+    console.error(`Error queueing webhook event ${event}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Turn an activity log entry into a webhook event, if it is one. Called by
+ * logActivity() for every activity.
+ * @param {Object} activity - As passed to logActivity()
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitActivityWebhook(activity) {
+  const mapping = ACTIVITY_EVENTS[activity.type];
+  if (!mapping) return 0;
+
+  const details = activity.details || {};
+  const event = typeof mapping === 'function' ? mapping(details) : mapping;
+  if (!event) return 0;
+
+  const documentType = event.startsWith('query.') ? details.documentType : event.split('.')[0];
+  return emitWebhookEvent(event, {
+    companyId: activity.companyId || details.companyId || null,
+    data: {
+      documentType,
+      documentId: details.documentId || details.invoiceId || details.creditNoteId || details.statementId || null,
+      documentNumber: details.documentNumber || details.invoiceNumber || details.creditNoteNumber || details.statementNumber || null,
+      companyName: activity.companyName || null,
+      user: activity.userId ? {
+        id: activity.userId,
+        email: activity.userEmail || null,
+        role: activity.userRole || null
+      } : null,
+      ...(details.format ? { format: details.format } : {}),
+      ...(details.reason ? { reason: details.reason } : {}),
+      ...(details.queryId ? { queryId: details.queryId } : {})
+    }
+  });
+}
+
+/**
+ * Emit <type>.created for a new document
+ * @param {string} documentType - invoice, credit_note or statement
+ * @param {Object} document - Invoice, CreditNote or Statement (or plain attributes)
+ * @param {Object} [extra] - Extra event data, e.g. { source: 'import' }
+ */
+async function emitDocumentCreated(documentType, document, extra = {}) {
+  const numberField = { invoice: 'invoiceNumber', credit_note: 'creditNoteNumber', statement: 'statementNumber' }[documentType];
+  return emitWebhookEvent(`${documentType}.created`, {
+    companyId: document.companyId || null,
+    data: {
+      documentType,
+      documentId: document.id,
+      documentNumber: document[numberField] || null,
+      companyName: document.company?.name || null,
+      ...extra
+    }
+  });
+}
+
+/**
+ * Send a delivery's payload again, as a new delivery
+ * @param {WebhookDelivery} delivery - With its endpoint loaded
+ * @returns {Promise<WebhookDelivery>}
+ */
+async function redeliver(delivery) {
+  return queueDelivery(delivery.endpoint, delivery.event, delivery.payload, delivery.id);
+}
+
+/**
+ * Endpoint details for the settings page (the secret is only shown once)
+ * @param {WebhookEndpoint} endpoint
+ * @returns {Object}
+ */
+function toEndpointResponse(endpoint) {
+  return {
+    id: endpoint.id,
+    name: endpoint.name,
+    url: endpoint.url,
+    companyId: endpoint.companyId,
+    company: endpoint.company ? { id: endpoint.company.id, name: endpoint.company.name } : null,
+    events: endpoint.events || [],
+    enabled: endpoint.enabled,
+    secretHint: `${endpoint.secret.slice(0, 10)}…`,
+    lastDeliveryAt: endpoint.lastDeliveryAt,
+    lastDeliveryStatus: endpoint.lastDeliveryStatus,
+    createdAt: endpoint.createdAt
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  signPayload,
+  emitWebhookEvent,
+  emitActivityWebhook,
+  emitDocumentCreated,
+  redeliver,
+  toEndpointResponse
+};
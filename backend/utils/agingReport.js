@@ -0,0 +1,358 @@
+/**
+ * Aged Debt (Aging) Report Utilities
+ * Persists the aging buckets from the ACR11P export per company per statement
+ * date, and builds the CORP -> SUB -> BRANCH roll-up for the aging report.
+ *
+ * Roll-ups use the nested-set left/right columns: a company's rolled-up
+ * balance is the sum of every snapshot whose company sits inside its
+ * [left, right] range (itself included).
+ */
+
+const XLSX = require('xlsx');
+const { AgingSnapshot, Company, Sequelize } = require('../models');
+const { Op } = Sequelize;
+
+// Snapshot columns in display order
+const AGING_BUCKETS = [
+  { key: 'currentAmount', label: 'Current' },
+  { key: 'overdue1To30', label: '1-30 Days' },
+  { key: 'overdue31To60', label: '31-60 Days' },
+  { key: 'overdue61To90', label: '61-90 Days' },
+  { key: 'overdue91Plus', label: '91+ Days' },
+  { key: 'totalBalance', label: 'Total Balance' }
+];
+
+const OVERDUE_KEYS = ['overdue1To30', 'overdue31To60', 'overdue61To90', 'overdue91Plus'];
+
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+function emptyBuckets() {
+  const buckets = {};
+  for (const { key } of AGING_BUCKETS) buckets[key] = 0;
+  return buckets;
+}
+
+function addBuckets(target, source) {
+  for (const { key } of AGING_BUCKETS) {
+    target[key] = round2(target[key] + (parseFloat(source[key]) || 0));
+  }
+  return target;
+}
+
+function overdueTotal(buckets) {
+  return round2(OVERDUE_KEYS.reduce((sum, key) => sum + (buckets[key] || 0), 0));
+}
+
+/**
+ * Save (or overwrite) the aging snapshot for a company on a statement date
+ * @param {Object} data
+ * @param {string} data.companyId
+ * @param {string} data.statementDate - YYYY-MM-DD
+ * @param {Object} data.aging - Parser aging block { current, od1_30, od31_60, od61_90, od91, totalBal }
+ * @param {string} data.accountNumber
+ * @param {string} data.statementId
+ * @param {string} data.importId
+ * @param {string} data.source
+ * @returns {Promise<Object>} The snapshot
+ */
+async function recordAgingSnapshot({ companyId, statementDate, aging = {}, accountNumber = null, statementId = null, importId = null, source = 'statement_generate' }) {
+  if (!companyId || !statementDate) {
+    throw new Error('recordAgingSnapshot: companyId and statementDate are required');
+  }
+
+  const values = {
+    accountNumber,
+    currentAmount: aging.current || 0,
+    overdue1To30: aging.od1_30 || 0,
+    overdue31To60: aging.od31_60 || 0,
+    overdue61To90: aging.od61_90 || 0,
+    overdue91Plus: aging.od91 || 0,
+    totalBalance: aging.totalBal || 0,
+    importId,
+    source
+  };
+
+  const existing = await AgingSnapshot.findOne({ where: { companyId, statementDate } });
+  if (existing) {
+    // Keep the statement link from an earlier run if this one didn't produce a row
+    await existing.update({ ...values, statementId: statementId || existing.statementId });
+    return existing;
+  }
+
+  return AgingSnapshot.create({ ...values, companyId, statementDate, statementId });
+}
+
+/**
+ * Statement dates that have aging data, newest first
+ * @returns {Promise<string[]>} YYYY-MM-DD strings
+ */
+async function getAgingStatementDates() {
+  const rows = await AgingSnapshot.findAll({
+    attributes: [[Sequelize.fn('DISTINCT', Sequelize.col('statementDate')), 'statementDate']],
+    order: [[Sequelize.col('statementDate'), 'DESC']],
+    raw: true
+  });
+  return rows.map(r => r.statementDate);
+}
+
+/**
+ * Roll snapshot buckets up the hierarchy for one statement date
+ * @param {Object[]} companies - Companies sorted by left (id, left, right)
+ * @param {Map<string, Object>} snapshotsByCompany - companyId -> snapshot
+ * @returns {Map<string, Object>} companyId -> rolled-up buckets
+ */
+function rollUp(companies, snapshotsByCompany) {
+  // Companies holding a snapshot, ordered by left, with prefix sums so each
+  // [left, right] range is answered with two binary searches
+  const holders = companies
+    .filter(c => snapshotsByCompany.has(c.id) && c.left != null)
+    .sort((a, b) => a.left - b.left);
+  const lefts = holders.map(c => c.left);
+  const prefix = [emptyBuckets()];
+  for (const holder of holders) {
+    prefix.push(addBuckets({ ...prefix[prefix.length - 1] }, snapshotsByCompany.get(holder.id)));
+  }
+
+  const lowerBound = (value) => {
+    let lo = 0;
+    let hi = lefts.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (lefts[mid] < value) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  };
+
+  const rolled = new Map();
+  for (const company of companies) {
+    if (company.left == null || company.right == null) {
+      // Not yet placed in the tree - only its own figures are known
+      const own = snapshotsByCompany.get(company.id);
+      rolled.set(company.id, own ? addBuckets(emptyBuckets(), own) : emptyBuckets());
+      continue;
+    }
+    const from = lowerBound(company.left);
+    const to = lowerBound(company.right + 1);
+    const buckets = emptyBuckets();
+    for (const { key } of AGING_BUCKETS) {
+      buckets[key] = round2(prefix[to][key] - prefix[from][key]);
+    }
+    rolled.set(company.id, buckets);
+  }
+  return rolled;
+}
+
+/**
+ * Build the aging report for a statement date
+ *
+ * Rows come back in tree order (by nested-set left) with a depth so the UI
+ * and export can indent SUBs and BRANCHes under their CORP. Branches of the
+ * tree with no balance at either date are left out.
+ *
+ * @param {Object} options
+ * @param {string} options.statementDate - YYYY-MM-DD (defaults to the latest available)
+ * @param {string} options.companyId - Restrict to this company and its descendants
+ * @param {string[]|null} options.accessibleCompanyIds - From checkDocumentAccess (null = all)
+ * @returns {Promise<Object>} { statementDate, previousStatementDate, availableDates, buckets, rows, totals }
+ */
+async function buildAgingReport({ statementDate = null, companyId = null, accessibleCompanyIds = null } = {}) {
+  const availableDates = await getAgingStatementDates();
+  const reportDate = statementDate || availableDates[0] || null;
+  const previousStatementDate = reportDate
+    ? availableDates.find(d => d < reportDate) || null
+    : null;
+
+  const report = {
+    statementDate: reportDate,
+    previousStatementDate,
+    availableDates,
+    buckets: AGING_BUCKETS,
+    rows: [],
+    totals: emptyBuckets(),
+    previousTotals: emptyBuckets()
+  };
+
+  if (!reportDate) {
+    return report;
+  }
+
+  const companyWhere = {};
+  if (companyId) {
+    const root = await Company.findByPk(companyId, { attributes: ['id', 'left', 'right'] });
+    if (!root) {
+      throw new Error('Company not found');
+    }
+    if (root.left != null && root.right != null) {
+      companyWhere.left = { [Op.gte]: root.left };
+      companyWhere.right = { [Op.lte]: root.right };
+    } else {
+      companyWhere.id = root.id;
+    }
+  }
+  if (accessibleCompanyIds !== null) {
+    companyWhere.id = companyWhere.id
+      ? (accessibleCompanyIds.includes(companyWhere.id) ? companyWhere.id : { [Op.in]: [] })
+      : { [Op.in]: accessibleCompanyIds };
+  }
+
+  const companies = await Company.findAll({
+    where: companyWhere,
+    attributes: ['id', 'name', 'referenceNo', 'type', 'parentId', 'left', 'right'],
+    raw: true
+  });
+  if (companies.length === 0) {
+    return report;
+  }
+
+  const companyIds = companies.map(c => c.id);
+  const dates = previousStatementDate ? [reportDate, previousStatementDate] : [reportDate];
+  const snapshots = await AgingSnapshot.findAll({
+    where: {
+      companyId: { [Op.in]: companyIds },
+      statementDate: { [Op.in]: dates }
+    },
+    raw: true
+  });
+
+  const current = new Map();
+  const previous = new Map();
+  for (const snapshot of snapshots) {
+    (snapshot.statementDate === reportDate ? current : previous).set(snapshot.companyId, snapshot);
+  }
+
+  const rolled = rollUp(companies, current);
+  const rolledPrevious = rollUp(companies, previous);
+
+  // Tree order; companies without nested-set values go last by name
+  const ordered = [...companies].sort((a, b) => {
+    if (a.left == null && b.left == null) return a.name.localeCompare(b.name);
+    if (a.left == null) return 1;
+    if (b.left == null) return -1;
+    return a.left - b.left;
+  });
+
+  // Depth relative to the shallowest company in scope
+  const stack = [];
+  for (const company of ordered) {
+    while (stack.length > 0 && (company.left == null || stack[stack.length - 1].right < company.left)) {
+      stack.pop();
+    }
+    const depth = company.left == null ? 0 : stack.length;
+    if (company.left != null) stack.push(company);
+
+    const totals = rolled.get(company.id);
+    const previousTotals = rolledPrevious.get(company.id);
+    if (!current.has(company.id) && !previous.has(company.id) && totals.totalBalance === 0 && previousTotals.totalBalance === 0) {
+      continue;
+    }
+
+    const own = current.get(company.id);
+    const overdue = overdueTotal(totals);
+    const previousOverdue = overdueTotal(previousTotals);
+    report.rows.push({
+      companyId: company.id,
+      name: company.name,
+      referenceNo: company.referenceNo,
+      type: company.type,
+      parentId: company.parentId,
+      depth,
+      hasSnapshot: !!own,
+      own: own ? addBuckets(emptyBuckets(), own) : null,
+      totals,
+      overdue,
+      overduePercent: totals.totalBalance > 0 ? round2((overdue / totals.totalBalance) * 100) : 0,
+      previous: previousStatementDate ? {
+        totalBalance: previousTotals.totalBalance,
+        overdue: previousOverdue,
+        change: round2(totals.totalBalance - previousTotals.totalBalance),
+        overdueChange: round2(overdue - previousOverdue)
+      } : null
+    });
+  }
+
+  // Grand totals are the plain sum of snapshots in scope (summing roll-ups
+  // would double count every level of the tree)
+  for (const snapshot of current.values()) addBuckets(report.totals, snapshot);
+  for (const snapshot of previous.values()) addBuckets(report.previousTotals, snapshot);
+
+  return report;
+}
+
+/**
+ * Render an aging report as an XLSX workbook buffer
+ * @param {Object} report - Output of buildAgingReport
+ * @returns {Buffer}
+ */
+function buildAgingWorkbook(report) {
+  const header = [
+    'Company',
+    'Account No',
+    'Type',
+    ...AGING_BUCKETS.map(b => b.label),
+    'Overdue',
+    'Overdue %'
+  ];
+  if (report.previousStatementDate) {
+    header.push(`Balance ${report.previousStatementDate}`, 'Balance Change', 'Overdue Change');
+  }
+
+  const rows = [
+    [`Aged Debt Report - ${report.statementDate || 'no data'}`],
+    [],
+    header
+  ];
+
+  for (const row of report.rows) {
+    const line = [
+      `${'    '.repeat(row.depth)}${row.name}`,
+      row.referenceNo != null ? String(row.referenceNo) : '',
+      row.type || '',
+      ...AGING_BUCKETS.map(b => row.totals[b.key]),
+      row.overdue,
+      row.overduePercent / 100
+    ];
+    if (report.previousStatementDate) {
+      line.push(row.previous.totalBalance, row.previous.change, row.previous.overdueChange);
+    }
+    rows.push(line);
+  }
+
+  rows.push([]);
+  rows.push([
+    'Total',
+    '',
+    '',
+    ...AGING_BUCKETS.map(b => report.totals[b.key]),
+    overdueTotal(report.totals),
+    report.totals.totalBalance > 0 ? overdueTotal(report.totals) / report.totals.totalBalance : 0
+  ]);
+
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  worksheet['!cols'] = [{ wch: 45 }, { wch: 12 }, { wch: 8 }, ...header.slice(3).map(() => ({ wch: 14 }))];
+
+  // Currency / percentage formats on the numeric columns
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  const percentCol = 3 + AGING_BUCKETS.length + 1;
+  for (let r = 3; r <= range.e.r; r++) {
+    for (let c = 3; c <= range.e.c; c++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === 'n') {
+        cell.z = c === percentCol ? '0.0%' : '#,##0.00';
+      }
+    }
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Aged Debt');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  recordAgingSnapshot,
+  getAgingStatementDates,
+  buildAgingReport,
+  buildAgingWorkbook
+};
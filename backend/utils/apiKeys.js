@@ -0,0 +1,141 @@
+/**
+ * Personal API keys
+ *
+ * Keys look like "ipk_<id>_<secret>". The "ipk_<id>" part is stored as the
+ * key's prefix so it can be looked up and shown in lists and logs; the whole
+ * key is only ever stored as a SHA-256 hash, so a lost key has to be revoked
+ * and replaced rather than recovered.
+ *
+ * A key acts as its owner with the owner's current role, narrowed to the
+ * scopes picked when it was created. Disabling the user, revoking the key or
+ * letting it expire stops it working on the next request.
+ */
+
+const crypto = require('crypto');
+const { ApiKey, User } = require('../models');
+const { getApiKeyScopesForRole } = require('./permissions');
+
+const KEY_PREFIX = 'ipk_';
+const KEY_PATTERN = /^ipk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/;
+
+// Where API keys are accepted; everywhere else still needs a signed-in session
+const PUBLIC_API_PATH = '/api/v1';
+
+const EXPIRY_DAYS_OPTIONS = [30, 90, 180, 365];
+const MAX_ACTIVE_KEYS_PER_USER = 10;
+
+// lastUsedAt/lastUsedIp are written at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const apiKeyError = (message) => {
+  const error = new Error(message);
+  error.name = 'ApiKeyError';
+  return error;
+};
+
+/**
+ * Whether a bearer token is an API key rather than an access token
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Generate a new key
+ * @returns {{ key: string, prefix: string, keyHash: string }} The full key is
+ *   only returned here - store the prefix and hash
+ */
+function generateApiKey() {
+  const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, keyHash: hashKey(key) };
+}
+
+/**
+ * Check an API key and work out what it may do
+ * @param {string} key - Full key from the request
+ * @param {Object} [req] - Express request, used to record where the key was last used
+ * @returns {Promise<{ userId: string, role: string, apiKeyId: string, apiKeyPrefix: string, scopes: string[] }>}
+ * @throws {Error} ApiKeyError if the key is unknown, revoked, expired or its user is disabled
+ */
+async function authenticateApiKey(key, req = null) {
+  if (!KEY_PATTERN.test(key)) {
+    throw apiKeyError('Invalid API key');
+  }
+
+  // The secret is base64url, so it can contain underscores too
+  const prefix = key.slice(0, key.indexOf('_', KEY_PREFIX.length));
+  const apiKey = await ApiKey.findOne({
+    where: { prefix },
+    include: [{ model: User, as: 'user', attributes: ['id', 'role', 'isActive'] }]
+  });
+
+  const expected = Buffer.from(apiKey ? apiKey.keyHash : hashKey(''), 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!apiKey || !crypto.timingSafeEqual(expected, actual)) {
+    throw apiKeyError('Invalid API key');
+  }
+  if (apiKey.revokedAt) {
+    throw apiKeyError('This API key has been revoked');
+  }
+  if (new Date(apiKey.expiresAt) <= new Date()) {
+    throw apiKeyError('This API key has expired');
+  }
+  if (!apiKey.user || !apiKey.user.isActive) {
+    throw apiKeyError('The account this API key belongs to is disabled');
+  }
+
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > TOUCH_INTERVAL_MS) {
+    apiKey.lastUsedAt = new Date();
+    if (req) {
+      apiKey.lastUsedIp = req.ip || req.connection?.remoteAddress || apiKey.lastUsedIp;
+    }
+    apiKey.save().catch(error => {
+      console.warn('Could not update API key last used:', error.message);
+    });
+  }
+
+  // The owner may have lost permissions since the key was created
+  const allowedScopes = getApiKeyScopesForRole(apiKey.user.role);
+  return {
+    userId: apiKey.userId,
+    role: apiKey.user.role,
+    apiKeyId: apiKey.id,
+    apiKeyPrefix: apiKey.prefix,
+    scopes: (apiKey.scopes || []).filter(scope => allowedScopes.includes(scope))
+  };
+}
+
+/**
+ * Key details that are safe to show the user (never the hash)
+ * @param {ApiKey} apiKey
+ * @returns {Object}
+ */
+function toApiKeyResponse(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes || [],
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    revokedAt: apiKey.revokedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+module.exports = {
+  PUBLIC_API_PATH,
+  EXPIRY_DAYS_OPTIONS,
+  MAX_ACTIVE_KEYS_PER_USER,
+  isApiKey,
+  generateApiKey,
+  authenticateApiKey,
+  toApiKeyResponse
+};
@@ -0,0 +1,487 @@
+/**
+ * Server-side login sessions
+ *
+ * Access tokens are short-lived JWTs carrying the session id (sid). Every
+ * authenticated request checks that the session still exists, so revoking a
+ * session - or all of a user's sessions when they are disabled, change role
+ * or get a new password - takes effect on the next request instead of when
+ * the JWT expires.
+ *
+ * Refresh tokens are opaque "<sid>.<secret>" strings, rotated on every use.
+ * Only a hash of the current secret is stored; presenting an older secret
+ * (outside a short grace period) is treated as token theft and ends the
+ * session.
+ *
+ * Creating or refreshing a session applies the IP allowlists in
+ * services/loginPolicy.js, so they hold for every way of signing in.
+ *
+ * Impersonation sessions ("view as user") belong to the impersonated user but
+ * record the admin who started them. They can't be refreshed, end after
+ * IMPERSONATION_TTL_MINUTES, and end early if the admin's own session does.
+ *
+ * Sessions live in Redis (auth:session:<sid>, with each user's session ids in
+ * the set auth:user-sessions:<userId>). Without Redis configured they are held
+ * in memory, which only suits a single development process.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { redis } = require('../config/redis');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+const SESSION_TTL_SECONDS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30;
+
+// Two tabs refreshing at the same moment both present the same token; the
+// one that loses the race is let through rather than ending the session
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// lastSeenAt/ipAddress are written at most this often per session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const SESSION_PREFIX = 'auth:session:';
+const USER_SESSIONS_PREFIX = 'auth:user-sessions:';
+
+// Fallback when Redis is not configured
+const memorySessions = new Map();
+const memoryUserSessions = new Map();
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.name = 'SessionRevokedError';
+  return error;
+};
+
+/**
+ * Short description of the browser and OS from a user-agent string
+ * @param {string} userAgent
+ * @returns {string} e.g. "Chrome on Windows"
+ */
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : /curl|PostmanRuntime|axios|node-fetch/i.test(userAgent) ? 'API client'
+    : 'Unknown browser';
+
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+    : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+async function readSession(sessionId) {
+  if (redis) {
+    const data = await redis.get(`${SESSION_PREFIX}${sessionId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  const session = memorySessions.get(sessionId);
+  if (session && new Date(session.expiresAt).getTime() < Date.now()) {
+    memorySessions.delete(sessionId);
+    return null;
+  }
+  return session || null;
+}
+
+async function writeSession(session) {
+  if (redis) {
+    const ttl = Math.max(1, Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000));
+    await redis.multi()
+      .setex(`${SESSION_PREFIX}${session.id}`, ttl, JSON.stringify(session))
+      .sadd(`${USER_SESSIONS_PREFIX}${session.userId}`, session.id)
+      .expire(`${USER_SESSIONS_PREFIX}${session.userId}`, SESSION_TTL_SECONDS)
+      .exec();
+    return;
+  }
+
+  memorySessions.set(session.id, session);
+  if (!memoryUserSessions.has(session.userId)) {
+    memoryUserSessions.set(session.userId, new Set());
+  }
+  memoryUserSessions.get(session.userId).add(session.id);
+}
+
+async function deleteSession(session) {
+  if (redis) {
+    await redis.multi()
+      .del(`${SESSION_PREFIX}${session.id}`)
+      .srem(`${USER_SESSIONS_PREFIX}${session.userId}`, session.id)
+      .exec();
+    return;
+  }
+
+  memorySessions.delete(session.id);
+  memoryUserSessions.get(session.userId)?.delete(session.id);
+}
+
+async function listSessionIds(userId) {
+  if (redis) {
+    return redis.smembers(`${USER_SESSIONS_PREFIX}${userId}`);
+  }
+  return Array.from(memoryUserSessions.get(userId) || []);
+}
+
+// ---------------------------------------------------------------------------
+// Tokens
+// ---------------------------------------------------------------------------
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+}
+
+/**
+ * Start a session for a user who has just authenticated
+ * @param {Object} user - User instance
+ * @param {Object} req - Express request (for device and IP)
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ * @throws {Error} LoginPolicyError when the user may not sign in from this IP
+ */
+async function createSession(user, req) {
+  const { assertLoginAllowed, rememberDevice } = require('../services/loginPolicy');
+  await assertLoginAllowed(user, req);
+
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const userAgent = req?.get ? req.get('user-agent') || null : null;
+
+  await writeSession({
+    id: sessionId,
+    userId: user.id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_TTL_SECONDS * 1000).toISOString(),
+    refreshHash: hashSecret(secret),
+    previousRefreshHash: null,
+    rotatedAt: null
+  });
+
+  await rememberDevice(user, req).catch(error => {
+    console.warn('Could not record sign-in device:', error.message);
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    sessionId
+  };
+}
+
+/**
+ * Start a read-only impersonation session ("view as user")
+ * @param {Object} admin - User instance starting it
+ * @param {string} adminSessionId - The admin's own session; ending it ends this one
+ * @param {Object} target - User instance to view as
+ * @param {Object} req - Express request (for device and IP)
+ * @param {string} [reason] - Why (e.g. support ticket), for the log
+ * @returns {Promise<{ token: string, sessionId: string, expiresAt: string }>}
+ */
+async function createImpersonationSession(admin, adminSessionId, target, req, reason = null) {
+  const sessionId = crypto.randomUUID();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + IMPERSONATION_TTL_MINUTES * 60 * 1000).toISOString();
+  const userAgent = req?.get ? req.get('user-agent') || null : null;
+
+  await writeSession({
+    id: sessionId,
+    userId: target.id,
+    userAgent,
+    device: describeDevice(userAgent),
+    ipAddress: req ? (req.ip || req.connection?.remoteAddress || null) : null,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt,
+    refreshHash: null,
+    previousRefreshHash: null,
+    rotatedAt: null,
+    impersonatorId: admin.id,
+    impersonatorEmail: admin.email,
+    impersonatorName: admin.name,
+    impersonatorRole: admin.role,
+    impersonatorSessionId: adminSessionId,
+    targetEmail: target.email,
+    reason
+  });
+
+  const token = jwt.sign(
+    {
+      userId: target.id,
+      role: target.role,
+      sid: sessionId,
+      // Read by middleware/impersonation.js before the route's auth runs
+      imp: {
+        impersonatorId: admin.id,
+        impersonatorEmail: admin.email,
+        impersonatorRole: admin.role,
+        targetEmail: target.email
+      }
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` }
+  );
+
+  return { token, sessionId, expiresAt };
+}
+
+/**
+ * End an impersonation session
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} The session that was ended
+ */
+async function endImpersonationSession(sessionId) {
+  const session = await readSession(sessionId);
+  if (!session || !session.impersonatorId) {
+    return null;
+  }
+  await deleteSession(session);
+  return session;
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - "<sid>.<secret>"
+ * @param {Object} req - Express request
+ * @returns {Promise<{ token: string, refreshToken: string, user: Object }>}
+ * @throws {Error} SessionRevokedError when the token is unknown, stale or the user can no longer sign in
+ *   (including from this IP)
+ */
+async function refreshSession(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = await readSession(sessionId);
+  if (!session) {
+    throw sessionError('Session has expired or been revoked');
+  }
+  if (session.impersonatorId) {
+    throw sessionError('Impersonation sessions cannot be refreshed');
+  }
+
+  const presentedHash = hashSecret(secret);
+  const isCurrent = presentedHash === session.refreshHash;
+  const isRecentlyRotated = presentedHash === session.previousRefreshHash &&
+    session.rotatedAt && Date.now() - new Date(session.rotatedAt).getTime() < ROTATION_GRACE_MS;
+
+  if (!isCurrent && !isRecentlyRotated) {
+    // An old refresh token being replayed - someone else may hold a copy
+    console.warn(`⚠️  Refresh token reuse detected for session ${sessionId} (user ${session.userId}) - revoking session`);
+    await deleteSession(session);
+    throw sessionError('Session has been revoked');
+  }
+
+  const { User } = require('../models');
+  const user = await User.findByPk(session.userId);
+  if (!user || user.isActive === false) {
+    await deleteSession(session);
+    throw sessionError('Account is no longer active');
+  }
+
+  const { assertLoginAllowed } = require('../services/loginPolicy');
+  try {
+    await assertLoginAllowed(user, req);
+  } catch (error) {
+    if (error.name !== 'LoginPolicyError') throw error;
+    await deleteSession(session);
+    throw sessionError(error.message);
+  }
+
+  const newSecret = crypto.randomBytes(32).toString('hex');
+  await writeSession({
+    ...session,
+    refreshHash: hashSecret(newSecret),
+    previousRefreshHash: session.refreshHash,
+    rotatedAt: new Date().toISOString(),
+    lastSeenAt: new Date().toISOString(),
+    // Sessions in use stay signed in; idle ones lapse after REFRESH_TOKEN_TTL_DAYS
+    expiresAt: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString(),
+    ipAddress: req ? (req.ip || req.connection?.remoteAddress || session.ipAddress) : session.ipAddress
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${newSecret}`,
+    user
+  };
+}
+
+/**
+ * Verify an access token and check its session is still live
+ * @param {string} token - Access token (JWT)
+ * @param {Object} [req] - Express request, to record last seen time and IP
+ * @returns {Promise<Object>} Decoded token ({ userId, role, sid }), plus
+ *   impersonation details when an admin is viewing as this user
+ * @throws {Error} JsonWebTokenError / TokenExpiredError / SessionRevokedError
+ */
+async function verifyAccessToken(token, req = null) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before server-side sessions can't be revoked
+  if (!decoded.sid) {
+    throw sessionError('Session has expired, please sign in again');
+  }
+
+  const session = await readSession(decoded.sid);
+  if (!session || session.userId !== decoded.userId) {
+    throw sessionError('Session has expired or been revoked');
+  }
+
+  if (session.impersonatorId) {
+    const adminSession = await readSession(session.impersonatorSessionId);
+    if (!adminSession || adminSession.userId !== session.impersonatorId) {
+      await deleteSession(session);
+      throw sessionError('Impersonation ended because the admin session has ended');
+    }
+    decoded.impersonation = {
+      sessionId: session.id,
+      impersonatorId: session.impersonatorId,
+      impersonatorEmail: session.impersonatorEmail,
+      impersonatorName: session.impersonatorName,
+      impersonatorRole: session.impersonatorRole,
+      targetEmail: session.targetEmail,
+      startedAt: session.createdAt,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  const lastSeen = new Date(session.lastSeenAt).getTime();
+  if (Date.now() - lastSeen > TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date().toISOString();
+    if (req) {
+      session.ipAddress = req.ip || req.connection?.remoteAddress || session.ipAddress;
+    }
+    writeSession(session).catch(error => {
+      console.warn('Could not update session last seen:', error.message);
+    });
+  }
+
+  return decoded;
+}
+
+/**
+ * Read the bearer token from a request and verify it (see verifyAccessToken)
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Decoded token, or null when no token was sent
+ */
+async function authenticateRequest(req) {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return null;
+  }
+  return verifyAccessToken(token, req);
+}
+
+// ---------------------------------------------------------------------------
+// Listing and revocation
+// ---------------------------------------------------------------------------
+
+/**
+ * A user's live sessions, most recently active first
+ * @param {string} userId
+ * @param {string} [currentSessionId] - Marked with current: true
+ * @returns {Promise<Array<Object>>} Sessions without token hashes
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const sessionIds = await listSessionIds(userId);
+  const sessions = [];
+
+  for (const sessionId of sessionIds) {
+    const session = await readSession(sessionId);
+    if (!session) {
+      // Expired - drop it from the user's set
+      await deleteSession({ id: sessionId, userId });
+      continue;
+    }
+    sessions.push({
+      id: session.id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      impersonatedBy: session.impersonatorEmail || null,
+      current: session.id === currentSessionId
+    });
+  }
+
+  return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+}
+
+/**
+ * Revoke one session
+ * @param {string} userId - Owner (a session id for another user is ignored)
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+async function revokeSession(userId, sessionId) {
+  const session = await readSession(sessionId);
+  if (!session || session.userId !== userId) {
+    return false;
+  }
+  await deleteSession(session);
+  return true;
+}
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session id to keep (e.g. the one making the request)
+ * @param {string} [options.reason] - For the log
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, { except = null, reason = null } = {}) {
+  const sessionIds = await listSessionIds(userId);
+  let revoked = 0;
+
+  for (const sessionId of sessionIds) {
+    if (sessionId === except) continue;
+    await deleteSession({ id: sessionId, userId });
+    revoked++;
+  }
+
+  if (revoked > 0) {
+    console.log(`🔒 Revoked ${revoked} session(s) for user ${userId}${reason ? ` (${reason})` : ''}`);
+  }
+  return revoked;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  IMPERSONATION_TTL_MINUTES,
+  describeDevice,
+  createSession,
+  createImpersonationSession,
+  endImpersonationSession,
+  refreshSession,
+  verifyAccessToken,
+  authenticateRequest,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
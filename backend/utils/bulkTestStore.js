@@ -28,7 +28,7 @@ class BulkTestStore {
       processedFiles: 0,
       results: [],
       filePaths: filePaths, // Store all original file paths for cleanup
-      source: source, // 'upload' or 'ftp' - indicates where files came from
+      source: source, // 'upload', 'ftp' or 'regression' - indicates where files came from
       status: 'processing', // 'processing', 'completed', 'failed'
       createdAt: new Date().toISOString(),
       completedAt: null,
@@ -106,6 +106,13 @@ class BulkTestStore {
       return [];
     }
     
+    // Regression runs read a template's pinned samples in place - they are
+    // not temp files and must not be cleaned up with the test
+    if (test.source === 'regression') {
+      this.tests.delete(testId);
+      return [];
+    }
+    
     // Collect all file paths:
     // 1. From original upload (filePaths array)
     // 2. From results (in case some files were processed)
@@ -0,0 +1,255 @@
+/**
+ * Company Alias Utility
+ * Remembers how a company appears on documents that didn't match its
+ * account number, so the next one is allocated automatically.
+ *
+ * When a user allocates an unallocated file by hand, learnCompanyAliases()
+ * stores the account number the document was originally parsed with, the
+ * customer name printed on it and the prefix of its PO number against the
+ * company it was allocated to. The import jobs call findCompanyByAlias()
+ * after the account number lookup fails, before the file is left unallocated.
+ *
+ * An alias only ever points at one company. If a value was learned for a
+ * different company it's reported as a conflict and left alone - prune the
+ * wrong one on the aliases screen.
+ */
+
+const { CompanyAlias, Company } = require('../models');
+const { Op } = require('sequelize');
+const { getParsedValue } = require('./parsedDataHelper');
+
+const ALIAS_TYPES = ['account_number', 'customer_name', 'po_prefix'];
+
+// Tried in this order - the most specific identifier wins
+const MATCH_ORDER = ['account_number', 'po_prefix', 'customer_name'];
+
+// Legal suffixes dropped from customer names ("Acme Ltd" = "Acme Limited" = "ACME")
+const NAME_SUFFIXES = /\s+(ltd|limited|plc|llp|llc|inc|co|company|group|uk)$/;
+
+// PO prefixes too generic to identify a customer
+const GENERIC_PO_PREFIXES = ['PO', 'P', 'ORD', 'ORDER', 'PORD', 'PORDER', 'REF', 'NO', 'NUM'];
+
+/**
+ * Normalise an alias value into its lookup key
+ * @param {string} type - Alias type
+ * @param {*} value - Value from the document (or entered by hand)
+ * @returns {string|null} Key, or null when nothing usable is left
+ */
+function normalizeAliasValue(type, value) {
+  if (value === null || value === undefined) return null;
+  let key = String(value).trim();
+
+  if (type === 'account_number') {
+    // Same account however it's punctuated, with or without leading zeros
+    key = key.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+(?=\d)/, '');
+    return key || null;
+  }
+
+  if (type === 'customer_name') {
+    key = key.toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    let previous;
+    do {
+      previous = key;
+      key = key.replace(NAME_SUFFIXES, '');
+    } while (key !== previous);
+    key = key.replace(/^the\s+/, '');
+    return key.length >= 3 ? key : null;
+  }
+
+  if (type === 'po_prefix') {
+    key = key.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return key.length >= 2 && !GENERIC_PO_PREFIXES.includes(key) ? key : null;
+  }
+
+  return null;
+}
+
+/**
+ * Work out the customer's prefix from a PO number, e.g. "ACME-10442" -> "ACME",
+ * "PO-TSC/8812" -> "TSC". Purely numeric POs have no prefix.
+ * @param {*} poNumber - PO number from the document
+ * @returns {string|null}
+ */
+function getPoPrefix(poNumber) {
+  if (poNumber === null || poNumber === undefined) return null;
+  const words = String(poNumber).toUpperCase().match(/[A-Z0-9]+/g) || [];
+  for (const word of words) {
+    const letters = word.match(/^[A-Z]+/);
+    if (!letters) break; // Reached the number
+    const prefix = normalizeAliasValue('po_prefix', letters[0]);
+    if (prefix) return prefix;
+    if (letters[0] !== word) break; // e.g. "PO123" - generic prefix glued to the number
+  }
+  return null;
+}
+
+/**
+ * Read a standard field from parsed data (mapped template field or plain key)
+ */
+function readField(parsedData, field, fallbacks = []) {
+  const value = getParsedValue(parsedData, field) ?? parsedData[field];
+  if (value !== undefined && value !== null && String(value).trim() !== '') return value;
+  for (const key of fallbacks) {
+    if (parsedData[key] !== undefined && parsedData[key] !== null && String(parsedData[key]).trim() !== '') {
+      return parsedData[key];
+    }
+  }
+  return null;
+}
+
+/**
+ * Alias values a document carries
+ * @param {Object} parsedData - Parsed data from the document
+ * @param {Object} [options]
+ * @param {*} [options.accountNumber] - Account number to use instead of the parsed one
+ * @returns {Array<{type: string, value: string, normalizedValue: string}>}
+ */
+function getAliasCandidates(parsedData, { accountNumber } = {}) {
+  const data = parsedData || {};
+  const candidates = [];
+  const add = (type, value, normalizedValue) => {
+    if (normalizedValue) candidates.push({ type, value: String(value).trim().slice(0, 255), normalizedValue: normalizedValue.slice(0, 255) });
+  };
+
+  const account = accountNumber ?? readField(data, 'accountNumber', ['customerNumber', 'account_no', 'accountNo', 'customer_number']);
+  if (account !== null && account !== undefined) {
+    add('account_number', account, normalizeAliasValue('account_number', account));
+  }
+
+  const po = readField(data, 'customerPO', ['poNumber', 'purchaseOrder', 'customer_po', 'po_number']);
+  if (po !== null) {
+    const prefix = getPoPrefix(po);
+    add('po_prefix', prefix, prefix);
+  }
+
+  const name = readField(data, 'customerName', ['customer_name', 'companyName', 'company_name']);
+  if (name !== null) {
+    add('customer_name', name, normalizeAliasValue('customer_name', name));
+  }
+
+  return candidates;
+}
+
+/**
+ * Account number a file was imported with, before anyone edited it
+ * (PUT /api/unallocated/:id records the change in the file's editLog)
+ * @param {Object} file - File record
+ * @returns {*} Account number, or null
+ */
+function getOriginalAccountNumber(file) {
+  const edit = (file.editLog || []).find(entry => entry.accountNumber && entry.accountNumber.from);
+  if (edit) return edit.accountNumber.from;
+  const parsedData = file.parsedData || {};
+  return readField(parsedData, 'accountNumber', ['customerNumber', 'account_no', 'accountNo', 'customer_number']);
+}
+
+/**
+ * Aliases a document carries, best match first (match counts are not updated)
+ * @param {Object} parsedData - Parsed data from the document
+ * @param {Object} [options]
+ * @param {boolean} [options.corpOnly] - Only CORP companies (statements)
+ * @returns {Promise<Object[]>} CompanyAlias records with their active company
+ */
+async function findAliasMatches(parsedData, { corpOnly = false } = {}) {
+  const candidates = getAliasCandidates(parsedData);
+  if (candidates.length === 0) return [];
+
+  const aliases = await CompanyAlias.findAll({
+    where: {
+      [Op.or]: candidates.map(({ type, normalizedValue }) => ({ type, normalizedValue }))
+    },
+    include: [{ model: Company, as: 'company', where: { isActive: true } }]
+  });
+
+  return aliases
+    .filter(alias => !corpOnly || alias.company.type === 'CORP')
+    .sort((a, b) => MATCH_ORDER.indexOf(a.type) - MATCH_ORDER.indexOf(b.type));
+}
+
+/**
+ * Find the company a document belongs to from learned aliases
+ * @param {Object} parsedData - Parsed data from the document
+ * @param {Object} [options]
+ * @param {boolean} [options.corpOnly] - Only match CORP companies (statements)
+ * @returns {Promise<{company: Object, alias: Object}|null>}
+ */
+async function findCompanyByAlias(parsedData, { corpOnly = false } = {}) {
+  try {
+    const [alias] = await findAliasMatches(parsedData, { corpOnly });
+    if (!alias) return null;
+
+    await alias.update({ matchCount: alias.matchCount + 1, lastMatchedAt: new Date() });
+    return { company: alias.company, alias };
+  } catch (error) {
+    // Never fail an import over aliases (e.g. table not created yet)
+    console.error('Error matching company by alias:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Remember how a manually allocated file identified its company
+ * @param {Object} params
+ * @param {Object} params.file - File record that was allocated
+ * @param {Object} params.company - Company it was allocated to
+ * @param {string} [params.userId] - User who allocated it
+ * @returns {Promise<{learned: Object[], conflicts: Object[]}>}
+ */
+async function learnCompanyAliases({ file, company, userId = null }) {
+  const result = { learned: [], conflicts: [] };
+  const candidates = getAliasCandidates(file.parsedData, { accountNumber: getOriginalAccountNumber(file) });
+
+  // The company's own account number and code already match - no alias needed
+  const ownAccounts = [company.referenceNo, company.code]
+    .map(value => normalizeAliasValue('account_number', value))
+    .filter(Boolean);
+
+  for (const candidate of candidates) {
+    if (candidate.type === 'account_number' && ownAccounts.includes(candidate.normalizedValue)) continue;
+
+    try {
+      const [alias, created] = await CompanyAlias.findOrCreate({
+        where: { type: candidate.type, normalizedValue: candidate.normalizedValue },
+        defaults: {
+          ...candidate,
+          companyId: company.id,
+          source: 'allocation',
+          createdById: userId,
+          sourceFileId: file.id
+        }
+      });
+
+      if (created) {
+        result.learned.push({ type: alias.type, value: alias.value });
+      } else if (alias.companyId !== company.id) {
+        result.conflicts.push({ type: alias.type, value: alias.value, companyId: alias.companyId });
+      }
+    } catch (error) {
+      console.error(`Error learning ${candidate.type} alias "${candidate.value}":`, error.message);
+    }
+  }
+
+  if (result.learned.length > 0) {
+    console.log(`🧠 Learned ${result.learned.length} alias(es) for ${company.name}: ${result.learned.map(a => `${a.type}="${a.value}"`).join(', ')}`);
+  }
+  if (result.conflicts.length > 0) {
+    console.log(`⚠️  ${result.conflicts.length} alias(es) already belong to another company: ${result.conflicts.map(a => `${a.type}="${a.value}"`).join(', ')}`);
+  }
+
+  return result;
+}
+
+module.exports = {
+  ALIAS_TYPES,
+  normalizeAliasValue,
+  getPoPrefix,
+  getAliasCandidates,
+  getOriginalAccountNumber,
+  readField,
+  findAliasMatches,
+  findCompanyByAlias,
+  learnCompanyAliases
+};
@@ -0,0 +1,208 @@
+/**
+ * Company Suggestion Utility
+ * Ranks the companies an unallocated document most likely belongs to, for
+ * staff allocating it by hand (GET /api/unallocated/:id/suggestions).
+ *
+ * Each active company is scored on the evidence the document carries - a VAT
+ * number, the account number or part of it, an alias learned from an earlier
+ * allocation, the postcode of the invoice/delivery address and how closely
+ * the customer name matches (string-similarity, as in supplierMatcher.js).
+ * Every suggestion explains its score, e.g. "postcode match + 0.86 name
+ * similarity", so nothing is allocated on a number alone.
+ */
+
+const stringSimilarity = require('string-similarity');
+const { Company } = require('../models');
+const {
+  normalizeAliasValue,
+  getAliasCandidates,
+  readField,
+  findAliasMatches
+} = require('./companyAliases');
+
+// How much each piece of evidence adds to a company's score (capped at 1)
+const WEIGHTS = {
+  vatNumber: 0.6,
+  accountNumber: 0.6,
+  accountFragment: 0.25,
+  alias: 0.5,
+  postcode: 0.25,
+  name: 0.6 // Multiplied by the similarity
+};
+
+const MIN_NAME_SIMILARITY = 0.5;
+const MIN_SCORE = 0.35;
+
+const ALIAS_LABELS = {
+  account_number: 'account number',
+  customer_name: 'customer name',
+  po_prefix: 'PO prefix'
+};
+
+// UK postcode, e.g. "SW1A 1AA", "M1 1AE"
+const POSTCODE_PATTERN = /\b([A-Z]{1,2}\d[A-Z\d]?)\s*(\d[A-Z]{2})\b/gi;
+
+// A UK VAT number printed after "VAT" (e.g. "VAT Reg No: GB 123 4567 89")
+const VAT_PATTERN = /VAT[^\n\d]{0,30}?((?:GB|XI)?\s?\d[\d ]{7,14}\d)/gi;
+
+/**
+ * Compare VAT numbers with or without spaces and the GB/XI prefix
+ */
+function normalizeVat(value) {
+  if (value === null || value === undefined) return null;
+  const key = String(value).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^(GB|XI)/, '');
+  return key.length >= 8 ? key : null;
+}
+
+function extractPostcodes(text) {
+  const postcodes = new Set();
+  for (const match of String(text || '').matchAll(POSTCODE_PATTERN)) {
+    postcodes.add(`${match[1]}${match[2]}`.toUpperCase());
+  }
+  return postcodes;
+}
+
+/**
+ * What the document says about its customer
+ * @param {Object} parsedData - Parsed data from the document
+ * @returns {{customerName: string|null, accountNumber: string|null, postcodes: string[], vatNumbers: string[]}}
+ */
+function getSuggestionBasis(parsedData) {
+  const data = parsedData || {};
+  const candidates = getAliasCandidates(data);
+  const account = candidates.find(c => c.type === 'account_number');
+  const addressText = ['invoiceTo', 'deliveryAddress', 'customerAddress']
+    .map(field => readField(data, field))
+    .filter(value => value !== null)
+    .map(String)
+    .join('\n');
+
+  // Statements and some templates only map an address - its first line is the name
+  let customerName = readField(data, 'customerName', ['customer_name', 'companyName', 'company_name']);
+  if (customerName === null && addressText) {
+    customerName = addressText.split(/\r?\n|,/)[0];
+  }
+
+  // Only fall back to the whole text for the postcode when no address was mapped,
+  // otherwise our own letterhead postcode would count on every document
+  const postcodes = extractPostcodes(addressText || data.fullText);
+
+  const vatNumbers = new Set();
+  const vatField = readField(data, 'customerVatNumber', ['vatNumber', 'vatNo', 'vat_number', 'customerVat']);
+  if (normalizeVat(vatField)) vatNumbers.add(normalizeVat(vatField));
+  for (const match of String(data.fullText || '').matchAll(VAT_PATTERN)) {
+    const vat = normalizeVat(match[1]);
+    if (vat) vatNumbers.add(vat);
+  }
+
+  return {
+    customerName: customerName !== null ? String(customerName).trim() : null,
+    accountNumber: account ? account.normalizedValue : null,
+    postcodes: [...postcodes],
+    vatNumbers: [...vatNumbers]
+  };
+}
+
+/**
+ * Score the companies an unallocated document could belong to
+ * @param {Object} parsedData - Parsed data from the document
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Maximum suggestions returned
+ * @returns {Promise<{suggestions: Array<{company: Object, score: number, reasons: string[], reason: string}>, basis: Object}>}
+ */
+async function suggestCompanies(parsedData, { limit = 5 } = {}) {
+  const basis = getSuggestionBasis(parsedData);
+  const name = basis.customerName ? normalizeAliasValue('customer_name', basis.customerName) : null;
+
+  if (!name && !basis.accountNumber && basis.postcodes.length === 0 && basis.vatNumbers.length === 0) {
+    return { suggestions: [], basis };
+  }
+
+  const companies = await Company.findAll({
+    where: { isActive: true },
+    attributes: ['id', 'name', 'referenceNo', 'code', 'type', 'address', 'vatNumber']
+  });
+
+  // Aliases are a bonus - don't lose the suggestions if the lookup fails
+  const aliasesByCompany = new Map();
+  try {
+    for (const alias of await findAliasMatches(parsedData)) {
+      if (!aliasesByCompany.has(alias.companyId)) aliasesByCompany.set(alias.companyId, alias);
+    }
+  } catch (error) {
+    console.error('Error checking company aliases for suggestions:', error.message);
+  }
+
+  const suggestions = [];
+
+  for (const company of companies) {
+    const evidence = [];
+
+    const companyVat = normalizeVat(company.vatNumber);
+    if (companyVat && basis.vatNumbers.includes(companyVat)) {
+      evidence.push({ weight: WEIGHTS.vatNumber, reason: 'VAT number match' });
+    }
+
+    if (basis.accountNumber) {
+      const accounts = [company.referenceNo, company.code]
+        .map(value => normalizeAliasValue('account_number', value))
+        .filter(Boolean);
+      if (accounts.includes(basis.accountNumber)) {
+        evidence.push({ weight: WEIGHTS.accountNumber, reason: 'account number match' });
+      } else if (accounts.some(account => {
+        const [shorter, longer] = [account, basis.accountNumber].sort((a, b) => a.length - b.length);
+        return shorter.length >= 4 && longer.includes(shorter);
+      })) {
+        evidence.push({ weight: WEIGHTS.accountFragment, reason: 'partial account number match' });
+      }
+    }
+
+    const alias = aliasesByCompany.get(company.id);
+    if (alias) {
+      evidence.push({ weight: WEIGHTS.alias, reason: `learned ${ALIAS_LABELS[alias.type]} "${alias.value}"` });
+    }
+
+    const zip = company.address && company.address.zip;
+    if (zip && [...extractPostcodes(zip)].some(postcode => basis.postcodes.includes(postcode))) {
+      evidence.push({ weight: WEIGHTS.postcode, reason: 'postcode match' });
+    }
+
+    const companyName = normalizeAliasValue('customer_name', company.name);
+    if (name && companyName) {
+      const similarity = name === companyName ? 1 : stringSimilarity.compareTwoStrings(name, companyName);
+      if (similarity >= MIN_NAME_SIMILARITY) {
+        evidence.push({
+          weight: WEIGHTS.name * similarity,
+          reason: similarity === 1 ? 'exact name match' : `${similarity.toFixed(2)} name similarity`
+        });
+      }
+    }
+
+    const score = Math.min(evidence.reduce((total, item) => total + item.weight, 0), 1);
+    if (score < MIN_SCORE) continue;
+
+    const reasons = evidence.map(item => item.reason);
+    suggestions.push({
+      company: {
+        id: company.id,
+        name: company.name,
+        referenceNo: company.referenceNo,
+        code: company.code,
+        type: company.type,
+        postcode: zip || null
+      },
+      score: Math.round(score * 100) / 100,
+      reasons,
+      reason: reasons.join(' + ')
+    });
+  }
+
+  suggestions.sort((a, b) => b.score - a.score || a.company.name.localeCompare(b.company.name));
+
+  return { suggestions: suggestions.slice(0, limit), basis };
+}
+
+module.exports = {
+  getSuggestionBasis,
+  suggestCompanies
+};
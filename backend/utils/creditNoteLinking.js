@@ -0,0 +1,444 @@
+/**
+ * Credit Note Linking Utility
+ * Works out which invoice a credit note credits and keeps CreditNote.invoiceId
+ * populated, and builds the report of credit notes that aren't linked.
+ *
+ * A credit note names the invoice it credits in a mapped template field
+ * (invoiceReference), in an e-invoice's BillingReference, or in its text
+ * ("Original Invoice No: 90106524", "Re inv. 90106524"). Invoices sometimes
+ * cite the credit note instead, in their line items ("CONTRA CREDIT NOTE
+ * 90106524"). Links are only made between documents of the same company, an
+ * existing link is never replaced automatically, and a credit note someone
+ * unlinked by hand (metadata.invoiceUnlinked) is left for them to link.
+ *
+ * The reference is kept on the credit note (invoiceReference) even when the
+ * invoice hasn't been imported yet, so importing the invoice later links it,
+ * and the report can show which invoice the credit note was looking for.
+ */
+
+const XLSX = require('xlsx');
+const { Invoice, CreditNote, Company, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const { getParsedValue } = require('./parsedDataHelper');
+const { roundMoney, getOutstandingAmount, getRemainingCredit } = require('./paymentAllocation');
+
+// Parsed fields holding the credited invoice number, most specific first
+const REFERENCE_FIELDS = [
+  'invoiceReference',
+  'billingReference', // UBL / CII credit notes (services/eInvoice/ingest.js)
+  'originalInvoiceNumber',
+  'originalInvoice',
+  'relatedInvoice',
+  'invoice_reference',
+  'original_invoice'
+];
+
+// "Original Invoice No: 90106524", "Re inv. 90106524", "Invoice Ref #A-2024/0113".
+// "INVOICE TO:" (reused invoice layouts) never matches - the reference must contain a digit.
+const INVOICE_REFERENCE_PATTERN = /\bINV(?:OICE)?\.?\s*(?:NO\.?|NUMBER|NUM|REF(?:ERENCE)?)?\s*[:#.-]?\s*([A-Z]{0,4}[-/]?\d[A-Z0-9\-/]{2,})/gi;
+
+// Invoice numbers that carry their own prefix, e.g. "INV-20415"
+const INVOICE_NUMBER_PATTERN = /\bINV[-/]?\d[A-Z0-9\-/]{2,}/gi;
+
+// "CONTRA CREDIT NOTE 90106524", "Credit No. CN-1182" on an invoice
+const CREDIT_NOTE_REFERENCE_PATTERN = /\bCREDIT\s*(?:NOTE)?\s*(?:NO\.?|NUMBER|NUM|REF(?:ERENCE)?)?\s*[:#.-]?\s*([A-Z]{0,4}[-/]?\d[A-Z0-9\-/]{2,})/gi;
+
+const MAX_REFERENCES = 10;
+
+function cleanReference(value) {
+  if (value === null || value === undefined) return null;
+  const reference = String(value).trim().replace(/[-/.,;:]+$/, '');
+  return reference.length >= 3 && /\d/.test(reference) ? reference.slice(0, 255) : null;
+}
+
+// Both spellings, so "inv-204" finds "INV-204" without a case-insensitive scan
+function referenceVariants(references) {
+  return [...new Set(references.flatMap(reference => [reference, reference.toUpperCase()]))];
+}
+
+/**
+ * Text the references are searched in: line item values, then the full text
+ */
+function getSearchText(parsedData) {
+  const items = Array.isArray(parsedData.items) ? parsedData.items : [];
+  const itemText = items
+    .map(item => (item && typeof item === 'object' ? Object.values(item) : [item])
+      .filter(value => typeof value === 'string' || typeof value === 'number')
+      .join(' '))
+    .join('\n');
+  return [itemText, parsedData.fullText || ''].filter(Boolean).join('\n');
+}
+
+function collectReferences(candidates, exclude) {
+  const excluded = new Set(exclude.filter(Boolean).map(value => String(value).trim().toUpperCase()));
+  const seen = new Set();
+  const references = [];
+  for (const { value, source } of candidates) {
+    const reference = cleanReference(value);
+    if (!reference) continue;
+    const key = reference.toUpperCase();
+    if (excluded.has(key) || seen.has(key)) continue;
+    seen.add(key);
+    references.push({ reference, source });
+    if (references.length >= MAX_REFERENCES) break;
+  }
+  return references;
+}
+
+/**
+ * Invoice numbers a credit note refers to, best first
+ * @param {Object} parsedData - Parsed data from the credit note
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Values that are not invoice references (the credit note's own number)
+ * @returns {Array<{reference: string, source: string}>} source is 'field' or 'text'
+ */
+function getInvoiceReferences(parsedData, { exclude = [] } = {}) {
+  const data = parsedData || {};
+  const candidates = [];
+
+  for (const field of REFERENCE_FIELDS) {
+    const value = getParsedValue(data, field) ?? data[field];
+    if (value !== undefined && value !== null && value !== '') {
+      candidates.push({ value, source: 'field' });
+    }
+  }
+
+  // Prefixed numbers first, so "INV-20415" is kept whole rather than as "20415"
+  const text = getSearchText(data);
+  for (const match of text.matchAll(INVOICE_NUMBER_PATTERN)) {
+    candidates.push({ value: match[0], source: 'text' });
+  }
+  for (const match of text.matchAll(INVOICE_REFERENCE_PATTERN)) {
+    candidates.push({ value: match[1], source: 'text' });
+  }
+
+  return collectReferences(candidates, exclude);
+}
+
+/**
+ * Credit note numbers an invoice refers to ("CONTRA CREDIT NOTE 90106524")
+ * @param {Object} parsedData - Parsed data from the invoice
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Values to ignore (the invoice's own number)
+ * @returns {string[]}
+ */
+function getCreditNoteReferences(parsedData, { exclude = [] } = {}) {
+  const text = getSearchText(parsedData || {});
+  const candidates = [...text.matchAll(CREDIT_NOTE_REFERENCE_PATTERN)].map(match => ({ value: match[1], source: 'text' }));
+  return collectReferences(candidates, exclude).map(({ reference }) => reference);
+}
+
+/**
+ * First of the references that is an invoice of the company
+ * @param {string} companyId
+ * @param {Array<{reference: string}>} references - From getInvoiceReferences()
+ * @returns {Promise<{invoice: Object, reference: string}|null>}
+ */
+async function findInvoiceByReference(companyId, references) {
+  if (!companyId || references.length === 0) return null;
+
+  const invoices = await Invoice.findAll({
+    where: {
+      companyId,
+      deletedAt: null,
+      invoiceNumber: { [Op.in]: referenceVariants(references.map(r => r.reference)) }
+    },
+    attributes: ['id', 'invoiceNumber', 'companyId']
+  });
+
+  for (const { reference } of references) {
+    const invoice = invoices.find(inv => inv.invoiceNumber.toUpperCase() === reference.toUpperCase());
+    if (invoice) return { invoice, reference };
+  }
+  return null;
+}
+
+function linkMetadata(metadata, link) {
+  return { ...(metadata || {}), invoiceLink: { ...link, linkedAt: new Date().toISOString() } };
+}
+
+/**
+ * Link a newly created credit note to the invoice it refers to, and remember
+ * the reference if that invoice isn't in the system yet.
+ * Never throws - a failed link must not fail the import.
+ * @param {Object} creditNote - CreditNote instance
+ * @param {Object} parsedData - Parsed data the credit note was created from
+ * @returns {Promise<Object|null>} Linked invoice
+ */
+async function linkCreditNoteOnImport(creditNote, parsedData) {
+  if (!creditNote || !creditNote.companyId || creditNote.invoiceId) return null;
+  if (creditNote.metadata?.invoiceUnlinked) return null;
+
+  try {
+    const references = getInvoiceReferences(parsedData, { exclude: [creditNote.creditNoteNumber] });
+    if (references.length === 0) return null;
+
+    const match = await findInvoiceByReference(creditNote.companyId, references);
+    creditNote.invoiceReference = match ? match.reference : references[0].reference;
+    if (match) {
+      creditNote.invoiceId = match.invoice.id;
+      creditNote.metadata = linkMetadata(creditNote.metadata, { source: 'import', reference: match.reference });
+    }
+    await creditNote.save();
+
+    if (match) {
+      console.log(`🔗 Linked credit note ${creditNote.creditNoteNumber} to invoice ${match.invoice.invoiceNumber}`);
+      return match.invoice;
+    }
+    console.log(`🔗 Credit note ${creditNote.creditNoteNumber} refers to invoice ${creditNote.invoiceReference} - not imported yet`);
+    return null;
+  } catch (error) {
+    console.error(`Error linking credit note ${creditNote.creditNoteNumber} to an invoice:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Link unlinked credit notes of the same company to a newly created invoice:
+ * those that refer to its number, and those it cites itself.
+ * Never throws - a failed link must not fail the import.
+ * @param {Object} invoice - Invoice instance
+ * @param {Object} parsedData - Parsed data the invoice was created from
+ * @returns {Promise<Object[]>} Credit notes linked
+ */
+async function linkCreditNotesToInvoice(invoice, parsedData) {
+  if (!invoice || !invoice.companyId || !invoice.invoiceNumber) return [];
+
+  try {
+    const cited = getCreditNoteReferences(parsedData, { exclude: [invoice.invoiceNumber] });
+    const matches = [{ invoiceReference: { [Op.in]: referenceVariants([invoice.invoiceNumber]) } }];
+    if (cited.length > 0) {
+      matches.push({ creditNoteNumber: { [Op.in]: referenceVariants(cited) } });
+    }
+
+    const creditNotes = (await CreditNote.findAll({
+      where: {
+        companyId: invoice.companyId,
+        invoiceId: null,
+        [Op.or]: matches
+      }
+    })).filter(creditNote => !creditNote.metadata?.invoiceUnlinked);
+
+    for (const creditNote of creditNotes) {
+      const citedByInvoice = cited.some(reference => reference.toUpperCase() === creditNote.creditNoteNumber.toUpperCase());
+      creditNote.invoiceId = invoice.id;
+      creditNote.invoiceReference = creditNote.invoiceReference || invoice.invoiceNumber;
+      creditNote.metadata = linkMetadata(creditNote.metadata, {
+        source: 'import',
+        reference: citedByInvoice ? creditNote.creditNoteNumber : creditNote.invoiceReference,
+        citedByInvoice
+      });
+      await creditNote.save();
+      console.log(`🔗 Linked credit note ${creditNote.creditNoteNumber} to invoice ${invoice.invoiceNumber}`);
+    }
+
+    return creditNotes;
+  } catch (error) {
+    console.error(`Error linking credit notes to invoice ${invoice.invoiceNumber}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Outstanding balance on an invoice after the credit still left on its linked
+ * credit notes. Credit already taken through payment allocations is in
+ * amountPaid, so only the remaining credit is deducted.
+ * @param {Object} invoice - Invoice with amount/amountPaid
+ * @param {Object[]} creditNotes - Credit notes linked to it
+ * @returns {{outstanding: number, linkedCredit: number, netOutstanding: number}}
+ */
+function getNetOutstanding(invoice, creditNotes) {
+  const outstanding = getOutstandingAmount(invoice);
+  const linkedCredit = roundMoney(creditNotes
+    .filter(creditNote => creditNote.status !== 'cancelled')
+    .reduce((total, creditNote) => total + getRemainingCredit(creditNote), 0));
+  return {
+    outstanding,
+    linkedCredit,
+    netOutstanding: Math.max(0, roundMoney(outstanding - linkedCredit))
+  };
+}
+
+function getUnlinkedReason(creditNote) {
+  if (creditNote.invoice) return `Linked invoice ${creditNote.invoice.invoiceNumber} was deleted`;
+  if (creditNote.get('unlinkedByHand')) return 'Unlinked by hand';
+  if (creditNote.invoiceReference) return `Invoice ${creditNote.invoiceReference} not found for this account`;
+  return 'No invoice reference found on the credit note';
+}
+
+/**
+ * Credit notes not linked to an invoice (or linked to one that was deleted)
+ * @param {Object} options
+ * @param {string} [options.companyId] - Only this company
+ * @param {string} [options.search] - Credit note number, invoice reference or company name
+ * @param {string} [options.from] - Issued on or after (YYYY-MM-DD)
+ * @param {string} [options.to] - Issued on or before (YYYY-MM-DD)
+ * @param {string[]|null} [options.accessibleCompanyIds] - From checkDocumentAccess (null = all)
+ * @param {number} [options.page]
+ * @param {number|null} [options.limit] - null for every row (exports)
+ * @returns {Promise<Object>} { rows, summary, pagination }
+ */
+async function buildUnlinkedCreditNotesReport({
+  companyId = null,
+  search = '',
+  from = null,
+  to = null,
+  accessibleCompanyIds = null,
+  page = 1,
+  limit = 50
+} = {}) {
+  const where = {
+    status: { [Op.ne]: 'cancelled' },
+    [Op.and]: [{
+      [Op.or]: [
+        { invoiceId: null },
+        { '$invoice.deletedAt$': { [Op.ne]: null } }
+      ]
+    }]
+  };
+
+  if (companyId) {
+    where.companyId = accessibleCompanyIds === null || accessibleCompanyIds.includes(companyId)
+      ? companyId
+      : { [Op.in]: [] };
+  } else if (accessibleCompanyIds !== null) {
+    where.companyId = { [Op.in]: accessibleCompanyIds };
+  }
+
+  if (from || to) {
+    where.issueDate = {};
+    if (from) where.issueDate[Op.gte] = new Date(`${from}T00:00:00`);
+    if (to) where.issueDate[Op.lte] = new Date(`${to}T23:59:59.999`);
+  }
+
+  if (search && search.trim()) {
+    const term = `%${search.trim()}%`;
+    where[Op.and].push({
+      [Op.or]: [
+        { creditNoteNumber: { [Op.iLike]: term } },
+        { invoiceReference: { [Op.iLike]: term } },
+        { '$company.name$': { [Op.iLike]: term } }
+      ]
+    });
+  }
+
+  const include = [
+    {
+      model: Company,
+      as: 'company',
+      attributes: ['id', 'name', 'referenceNo', 'type'],
+      required: false
+    },
+    {
+      model: Invoice,
+      as: 'invoice',
+      attributes: ['id', 'invoiceNumber', 'deletedAt'],
+      required: false
+    }
+  ];
+
+  const { count, rows } = await CreditNote.findAndCountAll({
+    where,
+    include,
+    attributes: [
+      'id', 'creditNoteNumber', 'companyId', 'invoiceId', 'invoiceReference', 'issueDate', 'amount', 'amountApplied', 'status',
+      // Not the whole metadata - it holds the parsed text of the document
+      [Sequelize.literal(`"CreditNote"."metadata" ? 'invoiceUnlinked'`), 'unlinkedByHand']
+    ],
+    order: [['issueDate', 'DESC']],
+    ...(limit ? { limit, offset: (page - 1) * limit } : {})
+  });
+
+  const [totals] = await CreditNote.findAll({
+    where,
+    include: include.map(inc => ({ ...inc, attributes: [] })),
+    attributes: [
+      [Sequelize.fn('COUNT', Sequelize.col('CreditNote.id')), 'count'],
+      [Sequelize.fn('COUNT', Sequelize.col('CreditNote.invoiceReference')), 'withReference'],
+      [Sequelize.fn('SUM', Sequelize.fn('ABS', Sequelize.col('CreditNote.amount'))), 'totalAmount']
+    ],
+    raw: true
+  });
+
+  const total = parseInt(totals?.count || 0);
+  const withReference = parseInt(totals?.withReference || 0);
+
+  return {
+    rows: rows.map(creditNote => ({
+      id: creditNote.id,
+      creditNoteNumber: creditNote.creditNoteNumber,
+      issueDate: creditNote.issueDate,
+      amount: roundMoney(creditNote.amount),
+      remainingCredit: getRemainingCredit(creditNote),
+      status: creditNote.status,
+      invoiceReference: creditNote.invoiceReference,
+      reason: getUnlinkedReason(creditNote),
+      company: creditNote.company
+    })),
+    summary: {
+      count: total,
+      withReference,
+      withoutReference: total - withReference,
+      totalAmount: roundMoney(totals?.totalAmount || 0)
+    },
+    pagination: limit ? {
+      page,
+      limit,
+      total: count,
+      pages: Math.ceil(count / limit)
+    } : null
+  };
+}
+
+/**
+ * The unlinked credit notes report as an XLSX workbook
+ * @param {Object} report - From buildUnlinkedCreditNotesReport() with limit null
+ * @returns {Buffer}
+ */
+function buildUnlinkedCreditNotesWorkbook(report) {
+  const rows = [
+    ['Credit Notes Without an Invoice'],
+    [],
+    ['Credit Note', 'Date', 'Company', 'Account No', 'Amount', 'Remaining Credit', 'Status', 'Invoice Reference', 'Reason']
+  ];
+
+  for (const row of report.rows) {
+    rows.push([
+      row.creditNoteNumber,
+      row.issueDate ? new Date(row.issueDate).toISOString().slice(0, 10) : '',
+      row.company?.name || '',
+      row.company?.referenceNo != null ? String(row.company.referenceNo) : '',
+      row.amount,
+      row.remainingCredit,
+      row.status,
+      row.invoiceReference || '',
+      row.reason
+    ]);
+  }
+
+  const worksheet = XLSX.utils.aoa_to_sheet(rows);
+  worksheet['!cols'] = [{ wch: 18 }, { wch: 12 }, { wch: 40 }, { wch: 12 }, { wch: 14 }, { wch: 16 }, { wch: 10 }, { wch: 18 }, { wch: 50 }];
+
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  for (let r = 3; r <= range.e.r; r++) {
+    for (const c of [4, 5]) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === 'n') cell.z = '#,##0.00';
+    }
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Unlinked Credit Notes');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  getInvoiceReferences,
+  getCreditNoteReferences,
+  findInvoiceByReference,
+  linkCreditNoteOnImport,
+  linkCreditNotesToInvoice,
+  getNetOutstanding,
+  buildUnlinkedCreditNotesReport,
+  buildUnlinkedCreditNotesWorkbook
+};
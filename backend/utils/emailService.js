@@ -349,11 +349,12 @@ function isEmailEnabled(settings) {
  * @param {string} options.html - HTML email body
  * @param {string} options.text - Plain text email body (optional)
  * @param {Array} options.attachments - Array of attachment objects (optional)
+ * @param {string} options.replyTo - Reply-To address (optional)
  * @param {Object} settings - Settings object with email configuration
  * @returns {Promise<Object>} - Result object with success status and message
  */
 async function sendEmail(options, settings) {
-  let { to, cc, subject, html, text, attachments = [] } = options;
+  let { to, cc, subject, html, text, attachments = [], replyTo } = options;
   
   // EMAIL TEST MODE: Redirect all emails to a single test address
   const testMode = settings?.emailProvider?.testMode;
@@ -377,7 +378,7 @@ async function sendEmail(options, settings) {
   const startTime = Date.now();
   
   // Build the final options (may have modified to/subject from test mode)
-  const finalOptions = { to, cc, subject, html, text, attachments };
+  const finalOptions = { to, cc, subject, html, text, attachments, replyTo };
 
   try {
     let result;
@@ -439,6 +440,7 @@ async function sendViaSMTP(options, smtpConfig) {
     from: `"${fromName}" <${fromEmail}>`,
     to: options.to,
     cc: options.cc, // CC recipients if provided
+    replyTo: options.replyTo,
     subject: options.subject,
     html: options.html,
     text: options.text || options.html.replace(/<[^>]*>/g, ''), // Strip HTML for text version
@@ -529,6 +531,14 @@ async function sendViaOffice365(options, config) {
     }));
   }
 
+  if (options.replyTo) {
+    message.message.replyTo = [{
+      emailAddress: {
+        address: options.replyTo
+      }
+    }];
+  }
+
   // Add attachments if provided
   if (options.attachments && options.attachments.length > 0) {
     message.message.attachments = await Promise.all(
@@ -654,7 +664,8 @@ async function sendViaResend(options, config) {
     to: options.to,
     subject: options.subject,
     html: options.html,
-    ...(options.text && { text: options.text })
+    ...(options.text && { text: options.text }),
+    ...(options.replyTo && { reply_to: options.replyTo })
   };
 
   // Add attachments if provided
@@ -728,7 +739,8 @@ async function sendViaSMTP2Go(options, config) {
     sender: config.fromEmail || 'noreply@smtp2go.com',
     subject: options.subject,
     html_body: options.html,
-    ...(options.text && { text_body: options.text })
+    ...(options.text && { text_body: options.text }),
+    ...(options.replyTo && { custom_headers: [{ header: 'Reply-To', value: options.replyTo }] })
   };
 
   // Add attachments if provided
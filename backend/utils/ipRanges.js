@@ -0,0 +1,100 @@
+/**
+ * IP address / CIDR range helpers for login allowlists
+ * Ranges are strings: a single address ("203.0.113.7", "2001:db8::1") or a
+ * CIDR block ("203.0.113.0/24", "2001:db8::/32").
+ */
+
+const net = require('net');
+
+/**
+ * Normalise an address from req.ip (IPv4-mapped IPv6 becomes plain IPv4)
+ * @param {string} ip
+ * @returns {string|null}
+ */
+function normalizeIp(ip) {
+  if (!ip) return null;
+  let address = String(ip).trim().split('%')[0];
+  if (address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.substring(7))) {
+    address = address.substring(7);
+  }
+  return net.isIP(address) ? address : null;
+}
+
+/**
+ * Parse a range string
+ * @param {string} value
+ * @returns {{ address: string, prefix: number, type: 'ipv4'|'ipv6', text: string }|null} null if invalid
+ */
+function parseIpRange(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const [addressPart, prefixPart, extra] = text.split('/');
+  if (extra !== undefined) return null;
+
+  const address = normalizeIp(addressPart);
+  if (!address) return null;
+
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  const maxPrefix = type === 'ipv4' ? 32 : 128;
+  let prefix = maxPrefix;
+  if (prefixPart !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixPart)) return null;
+    prefix = parseInt(prefixPart, 10);
+    if (prefix > maxPrefix) return null;
+  }
+
+  return {
+    address,
+    prefix,
+    type,
+    text: prefix === maxPrefix ? address : `${address}/${prefix}`
+  };
+}
+
+/**
+ * Validate a list of range strings
+ * @param {string[]} values
+ * @returns {{ ranges: string[], invalid: string[] }} Normalised valid ranges and the rejected input
+ */
+function normalizeIpRanges(values) {
+  const ranges = [];
+  const invalid = [];
+  for (const value of Array.isArray(values) ? values : []) {
+    if (!String(value || '').trim()) continue;
+    const range = parseIpRange(value);
+    if (range) {
+      if (!ranges.includes(range.text)) ranges.push(range.text);
+    } else {
+      invalid.push(String(value));
+    }
+  }
+  return { ranges, invalid };
+}
+
+/**
+ * Whether an address falls inside any of the ranges
+ * @param {string} ip
+ * @param {string[]} ranges
+ * @returns {boolean}
+ */
+function isIpInRanges(ip, ranges) {
+  const address = normalizeIp(ip);
+  if (!address) return false;
+
+  const blockList = new net.BlockList();
+  for (const value of ranges || []) {
+    const range = parseIpRange(value);
+    if (range) {
+      blockList.addSubnet(range.address, range.prefix, range.type);
+    }
+  }
+  return blockList.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  normalizeIp,
+  parseIpRange,
+  normalizeIpRanges,
+  isIpInRanges
+};
@@ -0,0 +1,181 @@
+/**
+ * Line-item table extraction for PDF templates
+ * Reads the repeating rows of the table region defined in the template
+ * builder (template.lineItemTable) and returns them in the Invoice/CreditNote
+ * items shape: { description, productCode, quantity, unitCode, unitPrice,
+ * lineTotal, vatRate, vatAmount }.
+ *
+ * Text items are grouped into visual lines by baseline, then split into
+ * columns by the x-boundaries the user drew. A line with a value in the
+ * anchor column (net amount, or the first numeric column if there is none)
+ * starts a new row; a line with only description text directly below a row
+ * is a wrapped description and is appended to it. Header rows above the
+ * first item therefore drop out without needing their own setting.
+ */
+
+const { getCachedPageData } = require('./pdfCoordinates');
+
+const LINE_ITEM_FIELDS = ['description', 'productCode', 'quantity', 'unitCode', 'unitPrice', 'lineTotal', 'vatRate', 'vatAmount'];
+const NUMERIC_FIELDS = ['quantity', 'unitPrice', 'lineTotal', 'vatRate', 'vatAmount'];
+const ANCHOR_PRIORITY = ['lineTotal', 'unitPrice', 'quantity', 'vatAmount'];
+
+// Items whose baselines are within this many points share a line
+const MIN_LINE_TOLERANCE = 2;
+// A description-only line further than this many line heights below the
+// previous row is not a wrapped description (e.g. "Carried forward")
+const MAX_WRAP_GAP_LINES = 2.5;
+
+/**
+ * Parse a printed number: "£1,234.56", "12.00-", "(12.00)", "20%"
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (value === null || value === undefined) return null;
+  let text = String(value).trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/-$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  const cleaned = text.replace(/[£$€¥₹%,\s]/g, '');
+  if (!/^-?\d*\.?\d+$/.test(cleaned)) return null;
+
+  const number = parseFloat(cleaned);
+  return negative ? -Math.abs(number) : number;
+}
+
+function regionForPage(table, pageNum) {
+  const base = table.normalized;
+  if (pageNum === (table.page || 1)) {
+    return base;
+  }
+  return {
+    left: base.left,
+    right: base.right,
+    top: table.continuation?.top ?? base.top,
+    bottom: table.continuation?.bottom ?? base.bottom
+  };
+}
+
+/**
+ * Group the text items inside a region into lines, top to bottom
+ */
+function readLines(textContent, viewport, region, columns) {
+  const pageWidth = viewport.width;
+  const pageHeight = viewport.height;
+
+  const items = textContent.items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const x = item.transform[4] / pageWidth;
+      const y = 1 - (item.transform[5] / pageHeight);
+      const centre = (item.transform[4] + (item.width || 0) / 2) / pageWidth;
+      const height = Math.abs(item.height || item.transform[3] || 0);
+      return { str: item.str, x, y, centre, baseline: item.transform[5], height };
+    })
+    .filter(item => item.x >= region.left && item.x <= region.right && item.y >= region.top && item.y <= region.bottom)
+    .sort((a, b) => b.baseline - a.baseline || a.x - b.x);
+
+  const lines = [];
+  for (const item of items) {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(MIN_LINE_TOLERANCE, item.height * 0.4);
+    if (line && Math.abs(line.baseline - item.baseline) <= tolerance) {
+      line.items.push(item);
+      line.height = Math.max(line.height, item.height);
+    } else {
+      lines.push({ baseline: item.baseline, height: item.height, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const cells = {};
+    line.items.sort((a, b) => a.x - b.x);
+    for (const item of line.items) {
+      const column = columns.find(col => item.centre >= col.left && item.centre < col.right);
+      if (!column || !column.field) continue;
+      cells[column.field] = cells[column.field] ? `${cells[column.field]} ${item.str.trim()}` : item.str.trim();
+    }
+    return { baseline: line.baseline, height: line.height || 10, cells };
+  });
+}
+
+function toItem(cells) {
+  const item = {};
+  for (const field of LINE_ITEM_FIELDS) {
+    if (cells[field] === undefined) continue;
+    item[field] = NUMERIC_FIELDS.includes(field) ? parseNumber(cells[field]) : cells[field];
+  }
+  return item;
+}
+
+/**
+ * Extract line-item rows using the template's table definition
+ * @param {Object} pdf - Loaded pdfjs document
+ * @param {Object} table - template.lineItemTable
+ * @returns {Promise<Array<Object>>} - Items in Invoice.items shape
+ */
+async function extractLineItems(pdf, table) {
+  if (!table || !table.normalized || !Array.isArray(table.columns) || table.columns.length === 0) {
+    return [];
+  }
+
+  const columns = table.columns
+    .filter(col => col && col.field && LINE_ITEM_FIELDS.includes(col.field))
+    .map(col => ({ field: col.field, left: parseFloat(col.left), right: parseFloat(col.right) }));
+  const anchorField = ANCHOR_PRIORITY.find(field => columns.some(col => col.field === field));
+  if (!anchorField) {
+    console.warn('⚠️  Line-item table has no numeric column to detect rows by - skipping');
+    return [];
+  }
+
+  const firstPage = table.page || 1;
+  const lastPage = table.multiPage === false ? firstPage : pdf.numPages;
+  const rows = [];
+
+  for (let pageNum = firstPage; pageNum <= lastPage; pageNum++) {
+    const { viewport, textContent } = await getCachedPageData(pdf, pageNum);
+    const lines = readLines(textContent, viewport, regionForPage(table, pageNum), columns);
+
+    // Wrapped descriptions never continue a row from the previous page
+    let current = null;
+    let previousBaseline = null;
+
+    for (const line of lines) {
+      if (parseNumber(line.cells[anchorField]) !== null) {
+        current = { cells: { ...line.cells } };
+        rows.push(current);
+        previousBaseline = line.baseline;
+        continue;
+      }
+
+      const description = line.cells.description;
+      const closeToPrevious = previousBaseline !== null &&
+        (previousBaseline - line.baseline) <= line.height * MAX_WRAP_GAP_LINES;
+      if (current && description && closeToPrevious) {
+        current.cells.description = current.cells.description
+          ? `${current.cells.description} ${description}`
+          : description;
+        previousBaseline = line.baseline;
+      }
+    }
+  }
+
+  const items = rows.map(row => toItem(row.cells));
+  console.log(`📋 Line-item table: ${items.length} row(s) from page(s) ${firstPage}-${lastPage}`);
+  return items;
+}
+
+module.exports = {
+  LINE_ITEM_FIELDS,
+  parseNumber,
+  extractLineItems
+};
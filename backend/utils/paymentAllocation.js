@@ -0,0 +1,357 @@
+/**
+ * Payment Allocation Utilities
+ * Records payments against invoices / credit notes and keeps the derived
+ * balance columns (Invoice.amountPaid, CreditNote.amountApplied) and the
+ * invoice payment status (paid / overdue) in step with the allocations.
+ *
+ * Allocation amounts follow the sign convention documented on the
+ * PaymentAllocation model: positive against invoices, negative against
+ * credit notes.
+ */
+
+const { Payment, PaymentAllocation, Invoice, CreditNote, sequelize, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const { getDescendantCompanyIds } = require('./companyHierarchy');
+
+// Anything within a penny is treated as settled - remittances are frequently
+// keyed by hand and rounding on the customer's side is common.
+const SETTLEMENT_TOLERANCE = 0.005;
+
+// Invoice statuses that payment tracking is allowed to move between.
+// draft/cancelled invoices are never touched.
+const SETTLEABLE_STATUSES = ['ready', 'sent', 'paid', 'overdue'];
+
+const PAYMENT_METHODS = ['bank_transfer', 'cheque', 'card', 'direct_debit', 'cash', 'credit_note', 'other'];
+
+/**
+ * Round to 2dp without floating point drift (0.1 + 0.2 style)
+ * @param {number|string} value
+ * @returns {number}
+ */
+function roundMoney(value) {
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  if (!Number.isFinite(num)) return 0;
+  return Math.round((num + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Outstanding balance on an invoice (never negative)
+ * @param {Object} invoice - Invoice instance or plain object with amount/amountPaid
+ * @returns {number}
+ */
+function getOutstandingAmount(invoice) {
+  return Math.max(0, roundMoney(roundMoney(invoice.amount) - roundMoney(invoice.amountPaid || 0)));
+}
+
+/**
+ * Remaining unapplied credit on a credit note
+ * @param {Object} creditNote - CreditNote instance or plain object with amount/amountApplied
+ * @returns {number}
+ */
+function getRemainingCredit(creditNote) {
+  return Math.max(0, roundMoney(Math.abs(roundMoney(creditNote.amount)) - roundMoney(creditNote.amountApplied || 0)));
+}
+
+/**
+ * Work out which payment status an invoice should be in
+ * @param {Object} invoice - Invoice with amount, dueDate, status, lastNotifiedAt
+ * @param {number} amountPaid - Total allocated to the invoice
+ * @param {Date} now - Reference time (injectable for the scheduled job)
+ * @returns {string} Invoice status
+ */
+function resolveSettlementStatus(invoice, amountPaid, now = new Date()) {
+  if (!SETTLEABLE_STATUSES.includes(invoice.status)) {
+    return invoice.status;
+  }
+
+  const outstanding = roundMoney(roundMoney(invoice.amount) - roundMoney(amountPaid));
+  if (roundMoney(amountPaid) > 0 && outstanding <= SETTLEMENT_TOLERANCE) {
+    return 'paid';
+  }
+
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  if (invoice.dueDate && new Date(invoice.dueDate) < startOfToday) {
+    return 'overdue';
+  }
+
+  // No longer paid/overdue (payment removed, due date moved) - fall back to
+  // the status the import/notification pipeline would have left it in.
+  if (invoice.status === 'paid' || invoice.status === 'overdue') {
+    return invoice.lastNotifiedAt ? 'sent' : 'ready';
+  }
+
+  return invoice.status;
+}
+
+/**
+ * Recalculate amountPaid / paidAt / status for an invoice from its allocations
+ * @param {string} invoiceId
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object|null>} Updated invoice
+ */
+async function recalculateInvoiceBalance(invoiceId, { transaction } = {}) {
+  const invoice = await Invoice.findByPk(invoiceId, { transaction });
+  if (!invoice) return null;
+
+  const allocations = await PaymentAllocation.findAll({
+    where: { invoiceId },
+    include: [{ model: Payment, as: 'payment', attributes: ['paymentDate'] }],
+    transaction
+  });
+
+  const amountPaid = roundMoney(allocations.reduce((sum, a) => sum + parseFloat(a.amount), 0));
+  const status = resolveSettlementStatus(invoice, amountPaid);
+
+  let paidAt = null;
+  if (status === 'paid') {
+    const dates = allocations
+      .map(a => a.payment?.paymentDate)
+      .filter(Boolean)
+      .map(d => new Date(d).getTime());
+    paidAt = dates.length > 0 ? new Date(Math.max(...dates)) : new Date();
+  }
+
+  await invoice.update({ amountPaid, status, paidAt }, { transaction });
+  return invoice;
+}
+
+/**
+ * Recalculate amountApplied / status for a credit note from its allocations
+ * @param {string} creditNoteId
+ * @param {Object} options
+ * @param {Object} options.transaction - Sequelize transaction (optional)
+ * @returns {Promise<Object|null>} Updated credit note
+ */
+async function recalculateCreditNoteApplied(creditNoteId, { transaction } = {}) {
+  const creditNote = await CreditNote.findByPk(creditNoteId, { transaction });
+  if (!creditNote) return null;
+
+  const total = await PaymentAllocation.sum('amount', { where: { creditNoteId }, transaction });
+  const amountApplied = roundMoney(Math.abs(total || 0));
+
+  let status = creditNote.status;
+  const fullyApplied = amountApplied > 0 && getRemainingCredit({ amount: creditNote.amount, amountApplied }) <= SETTLEMENT_TOLERANCE;
+  if (fullyApplied && ['ready', 'sent'].includes(status)) {
+    status = 'applied';
+  } else if (!fullyApplied && status === 'applied') {
+    status = creditNote.lastNotifiedAt ? 'sent' : 'ready';
+  }
+
+  await creditNote.update({ amountApplied, status }, { transaction });
+  return creditNote;
+}
+
+/**
+ * Record a payment and its allocations atomically
+ *
+ * Validation:
+ * - every allocated document must belong to the paying company or one of its
+ *   descendants (a CORP head office commonly pays for its branches)
+ * - an invoice cannot be allocated more than its outstanding balance
+ * - a credit note cannot be consumed beyond its remaining credit
+ * - the net of all allocations cannot exceed the cash amount (any remainder
+ *   stays "on account")
+ *
+ * @param {Object} data
+ * @param {string} data.companyId
+ * @param {Date|string} data.paymentDate
+ * @param {number} data.amount - Cash received
+ * @param {string} data.method
+ * @param {string} data.reference
+ * @param {string} data.source - 'manual' | 'remittance_import'
+ * @param {string} data.importBatchId
+ * @param {string} data.notes
+ * @param {Object} data.metadata
+ * @param {string} data.createdById
+ * @param {Array<{invoiceId?: string, creditNoteId?: string, amount: number}>} data.allocations
+ * @returns {Promise<Object>} Created payment with allocations
+ */
+async function recordPayment(data) {
+  const allocations = Array.isArray(data.allocations) ? data.allocations : [];
+  const amount = roundMoney(data.amount);
+  const method = data.method || 'bank_transfer';
+
+  if (!data.companyId) {
+    throw new Error('companyId is required');
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new Error(`Invalid payment method: ${method}`);
+  }
+  if (amount < 0) {
+    throw new Error('Payment amount cannot be negative');
+  }
+  const paymentDate = data.paymentDate ? new Date(data.paymentDate) : new Date();
+  if (Number.isNaN(paymentDate.getTime())) {
+    throw new Error('Invalid payment date');
+  }
+
+  const allowedCompanyIds = new Set(await getDescendantCompanyIds(data.companyId, true));
+  allowedCompanyIds.add(data.companyId);
+
+  const transaction = await sequelize.transaction();
+  try {
+    let allocatedTotal = 0;
+    const normalised = [];
+    // Running total per document so two lines against the same invoice in
+    // one remittance can't each pass the outstanding-balance check
+    const pending = new Map();
+
+    for (const allocation of allocations) {
+      const allocAmount = roundMoney(Math.abs(allocation.amount));
+      if (allocAmount === 0) continue;
+
+      if (allocation.invoiceId) {
+        const invoice = await Invoice.findByPk(allocation.invoiceId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!invoice || invoice.deletedAt) {
+          throw new Error(`Invoice ${allocation.invoiceId} not found`);
+        }
+        if (!allowedCompanyIds.has(invoice.companyId)) {
+          throw new Error(`Invoice ${invoice.invoiceNumber} does not belong to the paying account`);
+        }
+        const invoiceTotal = roundMoney((pending.get(invoice.id) || 0) + allocAmount);
+        if (invoiceTotal - getOutstandingAmount(invoice) > SETTLEMENT_TOLERANCE) {
+          throw new Error(`Allocation of ${invoiceTotal.toFixed(2)} exceeds outstanding balance ${getOutstandingAmount(invoice).toFixed(2)} on invoice ${invoice.invoiceNumber}`);
+        }
+        pending.set(invoice.id, invoiceTotal);
+        normalised.push({ invoiceId: invoice.id, amount: allocAmount });
+        allocatedTotal += allocAmount;
+      } else if (allocation.creditNoteId) {
+        const creditNote = await CreditNote.findByPk(allocation.creditNoteId, { transaction, lock: transaction.LOCK.UPDATE });
+        if (!creditNote) {
+          throw new Error(`Credit note ${allocation.creditNoteId} not found`);
+        }
+        if (!allowedCompanyIds.has(creditNote.companyId)) {
+          throw new Error(`Credit note ${creditNote.creditNoteNumber} does not belong to the paying account`);
+        }
+        const creditTotal = roundMoney((pending.get(creditNote.id) || 0) + allocAmount);
+        if (creditTotal - getRemainingCredit(creditNote) > SETTLEMENT_TOLERANCE) {
+          throw new Error(`Allocation of ${creditTotal.toFixed(2)} exceeds remaining credit ${getRemainingCredit(creditNote).toFixed(2)} on credit note ${creditNote.creditNoteNumber}`);
+        }
+        pending.set(creditNote.id, creditTotal);
+        normalised.push({ creditNoteId: creditNote.id, amount: -allocAmount });
+        allocatedTotal -= allocAmount;
+      } else {
+        throw new Error('Each allocation must reference an invoiceId or creditNoteId');
+      }
+    }
+
+    if (roundMoney(allocatedTotal) - amount > SETTLEMENT_TOLERANCE) {
+      throw new Error(`Allocations (${roundMoney(allocatedTotal).toFixed(2)}) exceed the payment amount (${amount.toFixed(2)})`);
+    }
+
+    const payment = await Payment.create({
+      companyId: data.companyId,
+      paymentDate,
+      amount,
+      method,
+      reference: data.reference || null,
+      source: data.source || 'manual',
+      importBatchId: data.importBatchId || null,
+      notes: data.notes || null,
+      metadata: data.metadata || {},
+      createdById: data.createdById || null
+    }, { transaction });
+
+    for (const allocation of normalised) {
+      await PaymentAllocation.create({ ...allocation, paymentId: payment.id }, { transaction });
+    }
+
+    for (const documentId of pending.keys()) {
+      const allocation = normalised.find(a => a.invoiceId === documentId || a.creditNoteId === documentId);
+      if (allocation.invoiceId) {
+        await recalculateInvoiceBalance(allocation.invoiceId, { transaction });
+      } else {
+        await recalculateCreditNoteApplied(allocation.creditNoteId, { transaction });
+      }
+    }
+
+    await transaction.commit();
+
+    return Payment.findByPk(payment.id, {
+      include: [{ model: PaymentAllocation, as: 'allocations' }]
+    });
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Delete a payment and re-derive balances on everything it touched
+ * @param {string} paymentId
+ * @returns {Promise<Object|null>} The deleted payment (plain object) or null if not found
+ */
+async function deletePayment(paymentId) {
+  const transaction = await sequelize.transaction();
+  try {
+    const payment = await Payment.findByPk(paymentId, {
+      include: [{ model: PaymentAllocation, as: 'allocations' }],
+      transaction
+    });
+    if (!payment) {
+      await transaction.rollback();
+      return null;
+    }
+
+    const snapshot = payment.toJSON();
+    await PaymentAllocation.destroy({ where: { paymentId }, transaction });
+    await payment.destroy({ transaction });
+
+    for (const allocation of snapshot.allocations) {
+      if (allocation.invoiceId) {
+        await recalculateInvoiceBalance(allocation.invoiceId, { transaction });
+      } else if (allocation.creditNoteId) {
+        await recalculateCreditNoteApplied(allocation.creditNoteId, { transaction });
+      }
+    }
+
+    await transaction.commit();
+    return snapshot;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+}
+
+/**
+ * Move unpaid invoices past their due date to 'overdue'
+ * Run daily by the scheduler (task: invoice-overdue-check)
+ * @param {Date} now - Reference time
+ * @returns {Promise<{ updated: number }>}
+ */
+async function markOverdueInvoices(now = new Date()) {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+
+  const [updated] = await Invoice.update(
+    { status: 'overdue' },
+    {
+      where: {
+        status: { [Op.in]: ['ready', 'sent'] },
+        deletedAt: null,
+        dueDate: { [Op.lt]: startOfToday },
+        [Op.and]: [
+          sequelize.where(sequelize.col('amount'), Op.gt, sequelize.col('amountPaid'))
+        ]
+      }
+    }
+  );
+
+  return { updated };
+}
+
+module.exports = {
+  SETTLEMENT_TOLERANCE,
+  PAYMENT_METHODS,
+  roundMoney,
+  getOutstandingAmount,
+  getRemainingCredit,
+  resolveSettlementStatus,
+  recalculateInvoiceBalance,
+  recalculateCreditNoteApplied,
+  recordPayment,
+  deletePayment,
+  markOverdueInvoices
+};
@@ -59,6 +59,8 @@ const pageCache = new Map();
 
 /**
  * Get cached page data (page object, viewport, textContent)
+ * Pages without a text layer (scans) are OCR'd when an OCR provider is
+ * selected in Settings; textContent.ocr is then true.
  * @param {Object} pdf - PDF document object from pdfjs-dist
  * @param {number} pageNum - Page number (1-indexed)
  * @returns {Promise<Object>} - { page, viewport, textContent }
@@ -73,13 +75,47 @@ async function getCachedPageData(pdf, pageNum) {
   if (!pageCache.has(cacheKey)) {
     const page = await pdf.getPage(pageNum);
     const viewport = page.getViewport({ scale: 1.0 });
-    const textContent = await page.getTextContent();
+    let textContent = await page.getTextContent();
+    
+    const pageText = textContent.items.map(item => item.str || '').join('');
+    const { hasTextLayer, getOcrConfig, recognizePage } = require('../services/ocr');
+    if (!hasTextLayer(pageText)) {
+      try {
+        const ocrConfig = await getOcrConfig();
+        if (ocrConfig) {
+          const ocr = await recognizePage(pdf, pageNum, ocrConfig);
+          console.log(`🔎 Page ${pageNum} has no text layer - OCR found ${ocr.items.length} word(s) (confidence ${ocr.confidence.toFixed(0)}%)`);
+          textContent = { items: ocr.items, styles: {}, ocr: true, confidence: ocr.confidence };
+        }
+      } catch (error) {
+        console.warn(`⚠️  OCR failed for page ${pageNum}:`, error.message);
+      }
+    }
+    
     pageCache.set(cacheKey, { page, viewport, textContent });
   }
   
   return pageCache.get(cacheKey);
 }
 
+/**
+ * Whether any cached page of this PDF was read by OCR
+ * @param {Object} pdf - PDF document object from pdfjs-dist
+ * @returns {boolean}
+ */
+function usedOcr(pdf) {
+  const pdfFingerprint = pdf.fingerprints && pdf.fingerprints.length > 0 ? pdf.fingerprints[0] : null;
+  if (!pdfFingerprint) {
+    return false;
+  }
+  for (const [cacheKey, pageData] of pageCache) {
+    if (cacheKey.startsWith(`${pdfFingerprint}-`) && pageData.textContent.ocr) {
+      return true;
+    }
+  }
+  return false;
+}
+
 /**
  * Extract text from a specific region in a PDF using normalized coordinates (0-1 system)
  * This is the bulletproof approach - converts text item coordinates to normalized and compares
@@ -274,5 +310,7 @@ module.exports = {
   extractTextFromNormalizedRegion, // New bulletproof function (normalized 0-1)
   getPageDimensions,
   renderPageAsImage,
-  getCachedPageData // Export for use in SupplierTemplate.js
+  getCachedPageData, // Export for use in SupplierTemplate.js
+  getPdfjsLib,
+  usedOcr
 };
@@ -1,6 +1,7 @@
 /**
  * Local PDF text extraction using pdf-parse
- * No cloud costs - extracts embedded text directly from PDFs
+ * No cloud costs - extracts embedded text directly from PDFs, falling back to
+ * the OCR provider selected in Settings for scans (see services/ocr)
  */
 
 const pdfParse = require('pdf-parse');
@@ -9,20 +10,34 @@ const fs = require('fs');
 /**
  * Extract text from PDF file
  * @param {string} filePath - Path to PDF file
- * @returns {Promise<Object>} - Extracted text and metadata
+ * @returns {Promise<Object>} - Extracted text and metadata (ocr: true when the text came from OCR)
  */
 async function extractTextFromPDF(filePath) {
   try {
     const dataBuffer = fs.readFileSync(filePath);
     const data = await pdfParse(dataBuffer);
     
-    return {
+    const result = {
       text: data.text,
       numPages: data.numpages,
       info: data.info,
       metadata: data.metadata,
-      version: data.version
+      version: data.version,
+      ocr: false
     };
+    
+    const { hasTextLayer, getOcrConfig, recognizePdf } = require('../services/ocr');
+    if (!hasTextLayer(data.text)) {
+      const ocrConfig = await getOcrConfig();
+      if (ocrConfig) {
+        const ocr = await recognizePdf(dataBuffer, ocrConfig);
+        result.text = ocr.text;
+        result.ocr = true;
+        result.ocrConfidence = ocr.confidence;
+      }
+    }
+    
+    return result;
   } catch (error) {
     throw new Error(`Failed to extract text from PDF: ${error.message}`);
   }
@@ -60,7 +75,8 @@ async function extractInvoiceData(filePath) {
     vatAmount,
     numPages: extracted.numPages,
     metadata: extracted.metadata,
-    rawText: text
+    rawText: text,
+    ocr: extracted.ocr
   };
 }
 
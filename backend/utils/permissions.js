@@ -3,9 +3,17 @@
  * 
  * Centralized permission system for role-based access control.
  * Each permission maps to an array of roles that have that permission.
+ *
+ * Roles and their permission sets live in the roles table and can be edited
+ * in Settings > Roles & Permissions. PERMISSIONS is the list of permissions
+ * that exist and the default grants for the built-in roles; the checks below
+ * go through utils/roleRegistry.js, which applies any changes made there.
  */
 
-// All available roles
+// Loaded lazily - roleRegistry reads the defaults from this module
+const roleRegistry = () => require('./roleRegistry');
+
+// Built-in roles (custom roles are added in the roles table)
 const ALL_ROLES = ['global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller', 'external_user', 'notification_contact'];
 
 // Staff roles (internal users, not external customers)
@@ -33,6 +41,12 @@ const PERMISSIONS = {
   
   FTP_CONFIGURE: ['global_admin'],
   
+  WEBHOOKS_MANAGE: ['global_admin'],
+  
+  ROLES_MANAGE: ['global_admin'],
+  
+  SECURITY_MANAGE: ['global_admin'], // Security dashboard and login policies (IP allowlists, step-up)
+  
   // =====================
   // PROFILE
   // =====================
@@ -67,6 +81,15 @@ const PERMISSIONS = {
   STATEMENTS_DELETE: ['global_admin', 'administrator'],
   STATEMENTS_DOWNLOAD: PORTAL_ROLES,
   
+  // =====================
+  // PAYMENTS & REMITTANCES
+  // Credit control staff reconcile payments; removal is limited to managers+.
+  // =====================
+  PAYMENTS_VIEW: STAFF_ROLES,
+  PAYMENTS_RECORD: STAFF_ROLES,
+  PAYMENTS_IMPORT: STAFF_ROLES,
+  PAYMENTS_DELETE: ['global_admin', 'administrator', 'manager'],
+  
   // =====================
   // UNALLOCATED DOCUMENTS
   // =====================
@@ -75,6 +98,7 @@ const PERMISSIONS = {
   UNALLOCATED_DELETE: ['global_admin', 'administrator', 'manager'],
   UNALLOCATED_REALLOCATE: ['global_admin', 'administrator', 'manager'],
   UNALLOCATED_DOWNLOAD: ['global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller'],
+  UNALLOCATED_ALIASES_MANAGE: ['global_admin', 'administrator', 'manager'], // Review and prune company aliases learned from manual allocation
   
   // =====================
   // FAILED DOCUMENTS
@@ -103,12 +127,14 @@ const PERMISSIONS = {
   USERS_DELETE: ['global_admin', 'administrator', 'manager'],
   USERS_DEACTIVATE: ['global_admin', 'administrator', 'manager'],
   USERS_IMPORT: ['global_admin', 'administrator', 'manager'],
+  USERS_IMPERSONATE: ['global_admin'], // Read-only "view as user"
   
   // =====================
   // ACTIVITY LOGS
   // =====================
   ACTIVITY_LOGS_VIEW: ['global_admin', 'administrator'],
   ACTIVITY_LOGS_DELETE: ['global_admin', 'administrator'],
+  AUDIT_TRAIL_VIEW: ['global_admin', 'administrator'], // Audit trail: browse, verify the hash chain, export for auditors
   
   // =====================
   // DOCUMENT QUERIES
@@ -117,11 +143,13 @@ const PERMISSIONS = {
   QUERIES_CREATE: ['global_admin'],
   QUERIES_RESPOND: ['global_admin'],
   QUERIES_RESOLVE: ['global_admin'],
+  QUERIES_MANAGE: ['global_admin'], // Query desk: queue across companies, assignment, categories, internal notes
   
   // =====================
   // REPORTS
   // =====================
   REPORTS_VIEW: ['global_admin'],
+  REPORTS_AGING_VIEW: STAFF_ROLES,
   
   // =====================
   // FILES
@@ -130,6 +158,39 @@ const PERMISSIONS = {
   FILES_DELETE: ['global_admin'],
 };
 
+/**
+ * Permissions an API key can be granted. Read-only: keys are for pulling
+ * documents into other systems, never for changing anything in the portal.
+ */
+const API_KEY_SCOPES = [
+  'INVOICES_VIEW',
+  'INVOICES_DOWNLOAD',
+  'CREDIT_NOTES_VIEW',
+  'CREDIT_NOTES_DOWNLOAD',
+  'STATEMENTS_VIEW',
+  'STATEMENTS_DOWNLOAD'
+];
+
+/**
+ * Permissions grouped for the role editor, in the order of PERMISSIONS
+ */
+const PERMISSION_GROUPS = [
+  { label: 'Settings & System', permissions: ['SETTINGS_VIEW', 'SETTINGS_EDIT', 'IMPORT_DATA_VIEW', 'IMPORT_DATA_MANAGE', 'TEMPLATES_VIEW', 'TEMPLATES_EDIT', 'FTP_CONFIGURE', 'WEBHOOKS_MANAGE', 'ROLES_MANAGE', 'SECURITY_MANAGE'] },
+  { label: 'Profile', permissions: ['PROFILE_VIEW_OWN', 'PROFILE_EDIT_OWN'] },
+  { label: 'Invoices', permissions: ['INVOICES_VIEW', 'INVOICES_IMPORT', 'INVOICES_EDIT', 'INVOICES_DELETE', 'INVOICES_DOWNLOAD'] },
+  { label: 'Credit Notes', permissions: ['CREDIT_NOTES_VIEW', 'CREDIT_NOTES_IMPORT', 'CREDIT_NOTES_EDIT', 'CREDIT_NOTES_DELETE', 'CREDIT_NOTES_DOWNLOAD'] },
+  { label: 'Statements', permissions: ['STATEMENTS_VIEW', 'STATEMENTS_IMPORT', 'STATEMENTS_EDIT', 'STATEMENTS_DELETE', 'STATEMENTS_DOWNLOAD'] },
+  { label: 'Payments & Remittances', permissions: ['PAYMENTS_VIEW', 'PAYMENTS_RECORD', 'PAYMENTS_IMPORT', 'PAYMENTS_DELETE'] },
+  { label: 'Unallocated Documents', permissions: ['UNALLOCATED_VIEW', 'UNALLOCATED_EDIT', 'UNALLOCATED_DELETE', 'UNALLOCATED_REALLOCATE', 'UNALLOCATED_DOWNLOAD', 'UNALLOCATED_ALIASES_MANAGE'] },
+  { label: 'Failed Documents', permissions: ['FAILED_VIEW', 'FAILED_DELETE', 'FAILED_DOWNLOAD', 'FAILED_REQUEUE'] },
+  { label: 'Companies', permissions: ['COMPANIES_VIEW', 'COMPANIES_CREATE', 'COMPANIES_EDIT', 'COMPANIES_DELETE', 'COMPANIES_DEACTIVATE', 'COMPANIES_VIEW_HIERARCHY'] },
+  { label: 'Users', permissions: ['USERS_VIEW', 'USERS_CREATE', 'USERS_EDIT', 'USERS_DELETE', 'USERS_DEACTIVATE', 'USERS_IMPORT', 'USERS_IMPERSONATE'] },
+  { label: 'Activity Logs', permissions: ['ACTIVITY_LOGS_VIEW', 'ACTIVITY_LOGS_DELETE', 'AUDIT_TRAIL_VIEW'] },
+  { label: 'Document Queries', permissions: ['QUERIES_VIEW', 'QUERIES_CREATE', 'QUERIES_RESPOND', 'QUERIES_RESOLVE', 'QUERIES_MANAGE'] },
+  { label: 'Reports', permissions: ['REPORTS_VIEW', 'REPORTS_AGING_VIEW'] },
+  { label: 'Files', permissions: ['FILES_VIEW', 'FILES_DELETE'] }
+];
+
 /**
  * Check if a role has a specific permission
  * @param {string} role - User's role
@@ -137,12 +198,11 @@ const PERMISSIONS = {
  * @returns {boolean}
  */
 function hasPermission(role, permission) {
-  const allowedRoles = PERMISSIONS[permission];
-  if (!allowedRoles) {
+  if (!PERMISSIONS[permission]) {
     console.warn(`Unknown permission: ${permission}`);
     return false;
   }
-  return allowedRoles.includes(role);
+  return roleRegistry().roleHasPermission(role, permission);
 }
 
 /**
@@ -171,9 +231,16 @@ function hasAllPermissions(role, permissions) {
  * @returns {string[]} Array of permission names
  */
 function getPermissionsForRole(role) {
-  return Object.entries(PERMISSIONS)
-    .filter(([_, roles]) => roles.includes(role))
-    .map(([permission]) => permission);
+  return Object.keys(PERMISSIONS).filter(permission => roleRegistry().roleHasPermission(role, permission));
+}
+
+/**
+ * API key scopes a role may grant (a key can never do more than its owner)
+ * @param {string} role - User's role
+ * @returns {string[]} Array of permission names
+ */
+function getApiKeyScopesForRole(role) {
+  return API_KEY_SCOPES.filter(scope => hasPermission(role, scope));
 }
 
 /**
@@ -182,7 +249,7 @@ function getPermissionsForRole(role) {
  * @returns {boolean}
  */
 function isStaffRole(role) {
-  return STAFF_ROLES.includes(role);
+  return roleRegistry().getRole(role)?.isStaff || false;
 }
 
 /**
@@ -191,7 +258,7 @@ function isStaffRole(role) {
  * @returns {boolean}
  */
 function hasPortalAccess(role) {
-  return PORTAL_ROLES.includes(role);
+  return roleRegistry().getRole(role)?.hasPortalAccess || false;
 }
 
 module.exports = {
@@ -199,10 +266,13 @@ module.exports = {
   ALL_ROLES,
   STAFF_ROLES,
   PORTAL_ROLES,
+  API_KEY_SCOPES,
+  PERMISSION_GROUPS,
   hasPermission,
   hasAnyPermission,
   hasAllPermissions,
   getPermissionsForRole,
+  getApiKeyScopesForRole,
   isStaffRole,
   hasPortalAccess
 };
@@ -0,0 +1,384 @@
+/**
+ * Remittance Import
+ * Parses CSV/XLSX remittance advices, bank statement exports and BPCS cash
+ * files into payment lines, matches each line to an invoice / credit note /
+ * customer account, and groups the lines into payments ready for
+ * utils/paymentAllocation.recordPayment().
+ *
+ * Column names are matched loosely (case, spaces and punctuation ignored) so
+ * both human-edited spreadsheets and the fixed BPCS field names work without
+ * a mapping step.
+ */
+
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const { Invoice, CreditNote, Company, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const { parseDate } = require('./parseDate');
+const { roundMoney, getOutstandingAmount, getRemainingCredit, SETTLEMENT_TOLERANCE } = require('./paymentAllocation');
+
+// Accepted header aliases per logical column. BPCS cash file names (CUSNO,
+// RINVN, RAMT, ...) sit alongside the usual bank / remittance headings.
+const COLUMN_ALIASES = {
+  account: ['Account', 'Account No', 'Account Number', 'Customer No', 'Customer Number', 'Cust No', 'CUSNO', 'RCUST', 'Reference No'],
+  document: ['Invoice', 'Invoice No', 'Invoice Number', 'Document', 'Document No', 'Document Number', 'Doc No', 'Credit Note', 'Credit Note Number', 'Transaction Number', 'RINVN', 'INVNO'],
+  amount: ['Amount', 'Amount Paid', 'Paid', 'Payment', 'Payment Amount', 'Value', 'Credit', 'RAMT', 'AMT'],
+  date: ['Date', 'Payment Date', 'Value Date', 'Transaction Date', 'Receipt Date', 'RDATE'],
+  reference: ['Reference', 'Payment Reference', 'Remittance', 'Remittance Reference', 'Bank Reference', 'Narrative', 'Cheque No', 'RREF'],
+  method: ['Method', 'Payment Method', 'Payment Type']
+};
+
+const METHOD_ALIASES = {
+  bank_transfer: ['bacs', 'bank', 'bank transfer', 'transfer', 'chaps', 'faster payment', 'fps', 'bgc'],
+  cheque: ['cheque', 'check', 'chq'],
+  card: ['card', 'credit card', 'debit card'],
+  direct_debit: ['direct debit', 'dd'],
+  cash: ['cash']
+};
+
+/**
+ * Parse an uploaded remittance file (multer memory storage) into raw rows
+ * @param {Object} file - multer file with buffer and originalname
+ * @returns {Promise<Object[]>} Array of row objects keyed by header
+ */
+async function parseRemittanceFile(file) {
+  const fileExtension = file.originalname.split('.').pop().toLowerCase();
+  let rows = [];
+
+  if (fileExtension === 'csv' || fileExtension === 'txt') {
+    const csvText = file.buffer.toString('utf8');
+    const result = Papa.parse(csvText, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: (header) => header.trim()
+    });
+
+    if (result.errors.length > 0) {
+      throw new Error(`CSV parsing errors: ${result.errors.map(e => e.message).join(', ')}`);
+    }
+
+    rows = result.data;
+  } else if (fileExtension === 'xls' || fileExtension === 'xlsx') {
+    const workbook = XLSX.read(file.buffer, { type: 'buffer' });
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    rows = XLSX.utils.sheet_to_json(worksheet, {
+      defval: null,
+      raw: false
+    });
+  } else {
+    throw new Error('Unsupported file format');
+  }
+
+  if (rows.length === 0) {
+    throw new Error('File contains no data rows');
+  }
+
+  return rows;
+}
+
+/**
+ * Normalize column name for flexible mapping
+ */
+function normalizeColumnName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Get value from row with flexible column matching
+ */
+function getRowValue(row, possibleNames) {
+  for (const name of possibleNames) {
+    const normalized = normalizeColumnName(name);
+    for (const key of Object.keys(row)) {
+      if (normalizeColumnName(key) === normalized) {
+        const value = row[key];
+        return value == null ? null : String(value).trim();
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * "£1,234.50" -> 1234.5, "(100.00)" / "100.00-" / "-100" -> -100
+ * @param {string|null} raw
+ * @returns {number|null} null when the value isn't a number
+ */
+function parseAmount(raw) {
+  if (raw == null || raw === '') return null;
+  let str = String(raw).trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  if (str.endsWith('-')) {
+    negative = true;
+    str = str.slice(0, -1);
+  }
+  str = str.replace(/[£$€,\s]/g, '');
+  const num = parseFloat(str);
+  if (!Number.isFinite(num)) return null;
+  return roundMoney(negative ? -Math.abs(num) : num);
+}
+
+/**
+ * Parse remittance dates, including the BPCS YYYYMMDD form
+ * @param {string|null} raw
+ * @returns {Date|null}
+ */
+function parseRemittanceDate(raw) {
+  if (!raw) return null;
+  const str = String(raw).trim();
+  if (/^\d{8}$/.test(str)) {
+    return parseDate(`${str.slice(0, 4)}-${str.slice(4, 6)}-${str.slice(6, 8)}`);
+  }
+  return parseDate(str);
+}
+
+/**
+ * Map free-text payment type to a Payment.method value
+ * @param {string|null} raw
+ * @returns {string}
+ */
+function parseMethod(raw) {
+  if (!raw) return 'bank_transfer';
+  const value = String(raw).trim().toLowerCase();
+  for (const [method, aliases] of Object.entries(METHOD_ALIASES)) {
+    if (aliases.includes(value)) return method;
+  }
+  return 'other';
+}
+
+/**
+ * Turn a raw row into a normalised remittance line
+ * @param {Object} row
+ * @param {number} rowNum - 1-based row number for error reporting
+ * @returns {Object}
+ */
+function normaliseRow(row, rowNum) {
+  return {
+    rowNum,
+    account: getRowValue(row, COLUMN_ALIASES.account),
+    documentNumber: getRowValue(row, COLUMN_ALIASES.document),
+    amount: parseAmount(getRowValue(row, COLUMN_ALIASES.amount)),
+    rawDate: getRowValue(row, COLUMN_ALIASES.date),
+    paymentDate: parseRemittanceDate(getRowValue(row, COLUMN_ALIASES.date)),
+    reference: getRowValue(row, COLUMN_ALIASES.reference),
+    method: parseMethod(getRowValue(row, COLUMN_ALIASES.method))
+  };
+}
+
+/**
+ * Match remittance rows to documents / accounts and group them into payments.
+ * Does not write anything - the same plan is used for the preview and the
+ * commit so what the user saw is what gets recorded.
+ *
+ * Lines are grouped into one payment per (paying account, date, reference).
+ *
+ * @param {Object[]} rows - Raw rows from parseRemittanceFile
+ * @param {Object} options
+ * @param {string[]|null} options.accessibleCompanyIds - From checkDocumentAccess (null = all)
+ * @returns {Promise<{ lines: Object[], payments: Object[], summary: Object }>}
+ */
+async function buildRemittancePlan(rows, { accessibleCompanyIds = null } = {}) {
+  const lines = rows.map((row, i) => normaliseRow(row, i + 1));
+
+  const documentNumbers = [...new Set(lines.map(l => l.documentNumber).filter(Boolean))];
+  const accounts = [...new Set(lines.map(l => l.account).filter(Boolean))];
+
+  const [invoices, creditNotes] = documentNumbers.length > 0
+    ? await Promise.all([
+      Invoice.findAll({
+        where: { invoiceNumber: { [Op.in]: documentNumbers }, deletedAt: null },
+        attributes: ['id', 'invoiceNumber', 'companyId', 'amount', 'amountPaid', 'status']
+      }),
+      CreditNote.findAll({
+        where: { creditNoteNumber: { [Op.in]: documentNumbers } },
+        attributes: ['id', 'creditNoteNumber', 'companyId', 'amount', 'amountApplied', 'status']
+      })
+    ])
+    : [[], []];
+
+  const numericAccounts = accounts.map(a => parseInt(a, 10)).filter(n => Number.isInteger(n));
+  const companies = accounts.length > 0
+    ? await Company.findAll({
+      where: {
+        [Op.or]: [
+          ...(numericAccounts.length > 0 ? [{ referenceNo: { [Op.in]: numericAccounts } }] : []),
+          { code: { [Op.in]: accounts } }
+        ]
+      },
+      attributes: ['id', 'name', 'referenceNo', 'code']
+    })
+    : [];
+
+  const invoiceMap = new Map(invoices.map(i => [i.invoiceNumber, i]));
+  const creditNoteMap = new Map(creditNotes.map(c => [c.creditNoteNumber, c]));
+  const companyMap = new Map();
+  for (const company of companies) {
+    if (company.referenceNo != null) companyMap.set(String(company.referenceNo), company);
+    if (company.code) companyMap.set(company.code, company);
+  }
+
+  const canAccess = (companyId) => accessibleCompanyIds === null || accessibleCompanyIds.includes(companyId);
+
+  // Track balance consumed by earlier lines so a file that mentions the same
+  // invoice twice is checked against what would really be left
+  const consumed = new Map();
+
+  for (const line of lines) {
+    line.errors = [];
+    line.warnings = [];
+    line.status = 'error';
+
+    if (line.amount === null) {
+      line.errors.push('Amount is missing or not a number');
+    } else if (line.amount === 0) {
+      line.errors.push('Amount is zero');
+    }
+    if (!line.paymentDate) {
+      line.errors.push(line.rawDate ? `Unrecognised date "${line.rawDate}"` : 'Payment date is missing');
+    }
+
+    const accountCompany = line.account ? companyMap.get(String(parseInt(line.account, 10))) || companyMap.get(line.account) : null;
+    if (line.account && !accountCompany) {
+      line.warnings.push(`Account ${line.account} not found`);
+    }
+
+    const invoice = line.documentNumber ? invoiceMap.get(line.documentNumber) : null;
+    const creditNote = !invoice && line.documentNumber ? creditNoteMap.get(line.documentNumber) : null;
+    const document = invoice || creditNote;
+
+    if (line.documentNumber && !document) {
+      line.warnings.push(`Document ${line.documentNumber} not found - amount will be held on account`);
+    }
+    if (document && !canAccess(document.companyId)) {
+      line.errors.push(`You do not have access to document ${line.documentNumber}`);
+    }
+
+    line.companyId = accountCompany ? accountCompany.id : (document ? document.companyId : null);
+    line.companyName = accountCompany ? accountCompany.name : null;
+    if (accountCompany && document && document.companyId !== accountCompany.id) {
+      // Head offices often remit for their branches with their own account
+      // number; book the payment against the document's own account
+      line.warnings.push(`Document ${line.documentNumber} belongs to a different account than ${line.account} - booked to the document's account`);
+      line.companyId = document.companyId;
+      line.companyName = null;
+    }
+    if (!line.companyId) {
+      line.errors.push('Could not identify the paying account (no matching account or document)');
+    } else if (!canAccess(line.companyId)) {
+      line.errors.push('You do not have access to this account');
+    }
+
+    if (line.errors.length > 0) continue;
+
+    if (invoice) {
+      if (line.amount < 0) {
+        line.errors.push(`Negative amount against invoice ${invoice.invoiceNumber}`);
+        continue;
+      }
+      const available = roundMoney(getOutstandingAmount(invoice) - (consumed.get(invoice.id) || 0));
+      const allocate = Math.min(line.amount, Math.max(0, available));
+      if (line.amount - available > SETTLEMENT_TOLERANCE) {
+        line.warnings.push(`Amount exceeds outstanding balance ${available.toFixed(2)} - excess held on account`);
+      }
+      consumed.set(invoice.id, roundMoney((consumed.get(invoice.id) || 0) + allocate));
+      line.status = 'matched';
+      line.documentType = 'invoice';
+      line.invoiceId = invoice.id;
+      line.allocatedAmount = roundMoney(allocate);
+    } else if (creditNote) {
+      const credit = Math.abs(line.amount);
+      const available = roundMoney(getRemainingCredit(creditNote) - (consumed.get(creditNote.id) || 0));
+      if (credit - available > SETTLEMENT_TOLERANCE) {
+        line.errors.push(`Credit taken (${credit.toFixed(2)}) exceeds remaining credit ${available.toFixed(2)} on ${creditNote.creditNoteNumber}`);
+        continue;
+      }
+      consumed.set(creditNote.id, roundMoney((consumed.get(creditNote.id) || 0) + credit));
+      line.status = 'matched';
+      line.documentType = 'credit_note';
+      line.creditNoteId = creditNote.id;
+      // Credit lines always reduce the cash received, whichever sign the
+      // file used for them
+      line.amount = -credit;
+      line.allocatedAmount = -credit;
+    } else {
+      if (line.amount < 0) {
+        line.errors.push('Negative amount with no matching credit note');
+        continue;
+      }
+      line.status = 'on_account';
+      line.allocatedAmount = 0;
+    }
+  }
+
+  // Group valid lines into payments
+  const paymentMap = new Map();
+  for (const line of lines) {
+    if (line.status === 'error') continue;
+    const dateKey = line.paymentDate.toISOString().slice(0, 10);
+    const key = `${line.companyId}|${dateKey}|${line.reference || ''}`;
+    if (!paymentMap.has(key)) {
+      paymentMap.set(key, {
+        companyId: line.companyId,
+        paymentDate: line.paymentDate,
+        reference: line.reference,
+        method: line.method,
+        amount: 0,
+        allocations: [],
+        rowNums: []
+      });
+    }
+    const payment = paymentMap.get(key);
+    payment.amount = roundMoney(payment.amount + line.amount);
+    payment.rowNums.push(line.rowNum);
+    if (line.invoiceId && line.allocatedAmount > 0) {
+      payment.allocations.push({ invoiceId: line.invoiceId, amount: line.allocatedAmount });
+    } else if (line.creditNoteId) {
+      payment.allocations.push({ creditNoteId: line.creditNoteId, amount: line.allocatedAmount });
+    }
+  }
+
+  const payments = [];
+  for (const payment of paymentMap.values()) {
+    if (payment.amount < 0) {
+      // Credits taken exceed cash paid - reject the whole group rather than
+      // record a negative receipt
+      for (const line of lines) {
+        if (payment.rowNums.includes(line.rowNum)) {
+          line.status = 'error';
+          line.errors.push('Credits in this payment exceed the amount paid');
+        }
+      }
+      continue;
+    }
+    if (payment.amount === 0) {
+      // Invoices settled purely by credits taken - no cash changed hands
+      payment.method = 'credit_note';
+    }
+    payments.push(payment);
+  }
+
+  const summary = {
+    totalRows: lines.length,
+    matched: lines.filter(l => l.status === 'matched').length,
+    onAccount: lines.filter(l => l.status === 'on_account').length,
+    errors: lines.filter(l => l.status === 'error').length,
+    warnings: lines.filter(l => l.warnings.length > 0).length,
+    payments: payments.length,
+    totalReceived: roundMoney(payments.reduce((sum, p) => sum + p.amount, 0))
+  };
+
+  return { lines, payments, summary };
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  parseRemittanceFile,
+  parseAmount,
+  parseRemittanceDate,
+  normaliseRow,
+  buildRemittancePlan
+};
@@ -0,0 +1,589 @@
+/**
+ * Report Builder
+ * Runs saved report definitions server-side against Sequelize.
+ *
+ * A definition (stored in Report.data.definition) picks a document source,
+ * filters it, groups it and aggregates it:
+ *
+ *   {
+ *     source: 'invoices',
+ *     filters: {
+ *       companyIds, includeDescendants,     // companies, optionally with their subtrees
+ *       dateField, dateFrom, dateTo,        // date range on any of the source's date fields
+ *       documentStatus: [], status: [],     // enum filters
+ *       retention: 'active' | 'expiring' | 'expired' | 'all', expiringWithinDays,
+ *       supplierId, documentType            // supplier documents only
+ *     },
+ *     groupBy: [{ field: 'companyId' }, { field: 'issueDate', interval: 'month' }],
+ *     aggregates: [{ fn: 'count' }, { fn: 'sum', field: 'amount' }],
+ *     chart: { type: 'bar' | 'line' | 'pie' | 'none' }
+ *   }
+ *
+ * Every field name is checked against the source registry below before it
+ * reaches a query, so definitions can be edited freely by users.
+ */
+
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const {
+  Invoice,
+  CreditNote,
+  Statement,
+  SupplierDocument,
+  EmailLog,
+  Company,
+  Supplier,
+  sequelize,
+  Sequelize
+} = require('../models');
+const { Op } = Sequelize;
+const { getDescendantCompanyIds } = require('./companyHierarchy');
+const { buildTablePdf } = require('./reportPdf');
+
+const DOCUMENT_STATUSES = ['ready', 'review', 'viewed', 'downloaded', 'queried'];
+
+/**
+ * Document sources a report can run against.
+ * companyField is null for sources that are not owned by a customer company.
+ */
+const SOURCES = {
+  invoices: {
+    label: 'Invoices',
+    model: () => Invoice,
+    companyField: 'companyId',
+    dateFields: ['issueDate', 'dueDate', 'paidAt', 'createdAt', 'retentionExpiryDate'],
+    numericFields: ['amount', 'taxAmount', 'amountPaid'],
+    groupFields: ['companyId', 'status', 'documentStatus'],
+    statuses: ['draft', 'ready', 'sent', 'paid', 'overdue', 'cancelled'],
+    documentStatuses: DOCUMENT_STATUSES,
+    hasRetention: true,
+    baseWhere: { deletedAt: null }
+  },
+  credit_notes: {
+    label: 'Credit Notes',
+    model: () => CreditNote,
+    companyField: 'companyId',
+    dateFields: ['issueDate', 'createdAt', 'retentionExpiryDate'],
+    numericFields: ['amount', 'taxAmount', 'amountApplied'],
+    groupFields: ['companyId', 'status', 'documentStatus'],
+    statuses: ['draft', 'ready', 'sent', 'applied', 'cancelled'],
+    documentStatuses: DOCUMENT_STATUSES,
+    hasRetention: true,
+    baseWhere: {}
+  },
+  statements: {
+    label: 'Statements',
+    model: () => Statement,
+    companyField: 'companyId',
+    dateFields: ['periodStart', 'periodEnd', 'createdAt', 'retentionExpiryDate'],
+    numericFields: ['openingBalance', 'closingBalance', 'totalDebits', 'totalCredits'],
+    groupFields: ['companyId', 'status', 'documentStatus'],
+    statuses: ['draft', 'sent', 'acknowledged', 'disputed'],
+    documentStatuses: DOCUMENT_STATUSES,
+    hasRetention: true,
+    baseWhere: {}
+  },
+  supplier_documents: {
+    label: 'Supplier Documents',
+    model: () => SupplierDocument,
+    companyField: null,
+    dateFields: ['documentDate', 'dueDate', 'createdAt'],
+    numericFields: ['amount', 'taxAmount', 'vatAmount'],
+    groupFields: ['supplierId', 'documentType', 'status', 'documentStatus'],
+    statuses: ['ready', 'processed', 'archived', 'failed'],
+    documentStatuses: ['ready', 'review', 'queried'],
+    hasRetention: false,
+    baseWhere: { deletedAt: null }
+  },
+  email_logs: {
+    label: 'Email Logs',
+    model: () => EmailLog,
+    companyField: 'companyId',
+    dateFields: ['createdAt', 'sentAt'],
+    numericFields: ['attempts', 'recipientCount'],
+    groupFields: ['companyId', 'status', 'templateName', 'provider', 'errorType'],
+    statuses: ['QUEUED', 'SENDING', 'SENT', 'DEFERRED', 'FAILED_PERMANENT'],
+    documentStatuses: [],
+    hasRetention: false,
+    baseWhere: {}
+  }
+};
+
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+const DATE_INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+const RETENTION_MODES = ['all', 'active', 'expiring', 'expired'];
+const CHART_TYPES = ['none', 'bar', 'line', 'pie'];
+const MAX_GROUP_BY = 2;
+const MAX_ROWS = 5000;
+
+const FIELD_LABELS = {
+  companyId: 'Company',
+  supplierId: 'Supplier',
+  documentType: 'Document Type',
+  documentStatus: 'Document Status',
+  status: 'Status',
+  templateName: 'Template',
+  provider: 'Provider',
+  errorType: 'Error Type',
+  issueDate: 'Issue Date',
+  dueDate: 'Due Date',
+  paidAt: 'Paid Date',
+  createdAt: 'Created',
+  sentAt: 'Sent',
+  periodStart: 'Period Start',
+  periodEnd: 'Period End',
+  documentDate: 'Document Date',
+  retentionExpiryDate: 'Retention Expiry',
+  amount: 'Amount',
+  taxAmount: 'Tax',
+  vatAmount: 'VAT',
+  amountPaid: 'Amount Paid',
+  amountApplied: 'Amount Applied',
+  openingBalance: 'Opening Balance',
+  closingBalance: 'Closing Balance',
+  totalDebits: 'Total Debits',
+  totalCredits: 'Total Credits',
+  attempts: 'Attempts',
+  recipientCount: 'Recipients'
+};
+
+const labelFor = (field) => FIELD_LABELS[field] || field;
+
+/**
+ * Describe the sources for the builder UI (no model references)
+ */
+function getReportSources() {
+  return Object.entries(SOURCES).map(([key, source]) => ({
+    key,
+    label: source.label,
+    hasCompany: !!source.companyField,
+    hasRetention: source.hasRetention,
+    dateFields: source.dateFields.map(field => ({ key: field, label: labelFor(field) })),
+    numericFields: source.numericFields.map(field => ({ key: field, label: labelFor(field) })),
+    groupFields: source.groupFields.map(field => ({ key: field, label: labelFor(field) })),
+    statuses: source.statuses,
+    documentStatuses: source.documentStatuses,
+    aggregates: AGGREGATE_FUNCTIONS,
+    intervals: DATE_INTERVALS,
+    retentionModes: RETENTION_MODES,
+    chartTypes: CHART_TYPES
+  }));
+}
+
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+/**
+ * Validate a definition and return a normalised copy.
+ * Throws an Error with status 400 describing the first problem found.
+ *
+ * @param {Object} definition
+ * @returns {Object} normalised definition
+ */
+function normalizeDefinition(definition) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  if (!definition || typeof definition !== 'object') {
+    fail('Report definition is required');
+  }
+
+  const source = SOURCES[definition.source];
+  if (!source) {
+    fail(`Unknown report source "${definition.source}". Expected one of: ${Object.keys(SOURCES).join(', ')}`);
+  }
+
+  const rawFilters = definition.filters || {};
+  const filters = {};
+
+  const companyIds = toArray(rawFilters.companyIds || rawFilters.companyId).map(String);
+  if (companyIds.length) {
+    if (!source.companyField) fail(`${source.label} cannot be filtered by company`);
+    filters.companyIds = companyIds;
+    filters.includeDescendants = rawFilters.includeDescendants !== false;
+  }
+
+  if (rawFilters.dateFrom || rawFilters.dateTo) {
+    const dateField = rawFilters.dateField || source.dateFields[0];
+    if (!source.dateFields.includes(dateField)) fail(`Invalid date field "${dateField}" for ${source.label}`);
+    if (rawFilters.dateFrom && !isDateString(rawFilters.dateFrom)) fail('dateFrom must be in YYYY-MM-DD format');
+    if (rawFilters.dateTo && !isDateString(rawFilters.dateTo)) fail('dateTo must be in YYYY-MM-DD format');
+    filters.dateField = dateField;
+    filters.dateFrom = rawFilters.dateFrom || null;
+    filters.dateTo = rawFilters.dateTo || null;
+  }
+
+  const statuses = toArray(rawFilters.status);
+  statuses.forEach(value => {
+    if (!source.statuses.includes(value)) fail(`Invalid status "${value}" for ${source.label}`);
+  });
+  if (statuses.length) filters.status = statuses;
+
+  const documentStatuses = toArray(rawFilters.documentStatus);
+  documentStatuses.forEach(value => {
+    if (!source.documentStatuses.includes(value)) fail(`Invalid document status "${value}" for ${source.label}`);
+  });
+  if (documentStatuses.length) filters.documentStatus = documentStatuses;
+
+  if (rawFilters.retention && rawFilters.retention !== 'all') {
+    if (!source.hasRetention) fail(`${source.label} do not have retention dates`);
+    if (!RETENTION_MODES.includes(rawFilters.retention)) fail(`Invalid retention filter "${rawFilters.retention}"`);
+    filters.retention = rawFilters.retention;
+    if (rawFilters.retention === 'expiring') {
+      const days = parseInt(rawFilters.expiringWithinDays, 10);
+      filters.expiringWithinDays = days > 0 ? days : 30;
+    }
+  }
+
+  if (definition.source === 'supplier_documents') {
+    if (rawFilters.supplierId) filters.supplierId = String(rawFilters.supplierId);
+    if (rawFilters.documentType) {
+      if (!['invoice', 'credit_note', 'statement'].includes(rawFilters.documentType)) {
+        fail(`Invalid document type "${rawFilters.documentType}"`);
+      }
+      filters.documentType = rawFilters.documentType;
+    }
+  }
+
+  const groupBy = toArray(definition.groupBy).map(group => {
+    const field = typeof group === 'string' ? group : group && group.field;
+    if (source.groupFields.includes(field)) {
+      return { field };
+    }
+    if (source.dateFields.includes(field)) {
+      const interval = (group && group.interval) || 'month';
+      if (!DATE_INTERVALS.includes(interval)) fail(`Invalid date interval "${interval}"`);
+      return { field, interval };
+    }
+    return fail(`Cannot group ${source.label} by "${field}"`);
+  });
+  if (groupBy.length > MAX_GROUP_BY) fail(`A report can group by at most ${MAX_GROUP_BY} fields`);
+
+  let aggregates = toArray(definition.aggregates).map(aggregate => {
+    const fn = aggregate && aggregate.fn;
+    if (!AGGREGATE_FUNCTIONS.includes(fn)) fail(`Invalid aggregate "${fn}"`);
+    if (fn === 'count') return { fn };
+    if (!source.numericFields.includes(aggregate.field)) {
+      fail(`Cannot ${fn} ${source.label} by "${aggregate.field}"`);
+    }
+    return { fn, field: aggregate.field };
+  });
+  if (aggregates.length === 0) aggregates = [{ fn: 'count' }];
+
+  const chartType = (definition.chart && definition.chart.type) || 'none';
+  if (!CHART_TYPES.includes(chartType)) fail(`Invalid chart type "${chartType}"`);
+
+  return {
+    source: definition.source,
+    filters,
+    groupBy,
+    aggregates,
+    chart: { type: chartType }
+  };
+}
+
+const aggregateKey = (aggregate) => aggregate.fn === 'count' ? 'count' : `${aggregate.fn}_${aggregate.field}`;
+
+const aggregateLabel = (aggregate) => {
+  if (aggregate.fn === 'count') return 'Count';
+  const names = { sum: 'Total', avg: 'Average', min: 'Min', max: 'Max' };
+  return `${names[aggregate.fn]} ${labelFor(aggregate.field)}`;
+};
+
+const groupKey = (group) => group.interval ? `${group.field}_${group.interval}` : group.field;
+
+const groupLabel = (group) => group.interval
+  ? `${labelFor(group.field)} (${group.interval})`
+  : labelFor(group.field);
+
+/**
+ * Build the WHERE clause for a normalised definition, scoped to the
+ * companies the user can see.
+ */
+async function buildWhere(source, filters, accessibleCompanyIds) {
+  const conditions = [{ ...source.baseWhere }];
+
+  if (source.companyField) {
+    if (accessibleCompanyIds !== null && accessibleCompanyIds !== undefined) {
+      conditions.push({ [source.companyField]: { [Op.in]: accessibleCompanyIds } });
+    }
+    if (filters.companyIds) {
+      const companyIds = new Set(filters.companyIds);
+      if (filters.includeDescendants) {
+        for (const companyId of filters.companyIds) {
+          (await getDescendantCompanyIds(companyId, false)).forEach(id => companyIds.add(id));
+        }
+      }
+      conditions.push({ [source.companyField]: { [Op.in]: [...companyIds] } });
+    }
+  }
+
+  if (filters.dateFrom || filters.dateTo) {
+    const range = {};
+    if (filters.dateFrom) range[Op.gte] = filters.dateFrom;
+    // Inclusive of the whole "to" day for timestamp columns
+    if (filters.dateTo) range[Op.lt] = sequelize.literal(`DATE '${filters.dateTo}' + INTERVAL '1 day'`);
+    conditions.push({ [filters.dateField]: range });
+  }
+
+  if (filters.status) conditions.push({ status: { [Op.in]: filters.status } });
+  if (filters.documentStatus) conditions.push({ documentStatus: { [Op.in]: filters.documentStatus } });
+  if (filters.supplierId) conditions.push({ supplierId: filters.supplierId });
+  if (filters.documentType) conditions.push({ documentType: filters.documentType });
+
+  if (filters.retention === 'active') {
+    conditions.push({ retentionDeletedAt: null });
+  } else if (filters.retention === 'expired') {
+    conditions.push({ retentionDeletedAt: { [Op.ne]: null } });
+  } else if (filters.retention === 'expiring') {
+    const now = new Date();
+    const until = new Date(now.getTime() + filters.expiringWithinDays * 24 * 60 * 60 * 1000);
+    conditions.push({
+      retentionDeletedAt: null,
+      retentionExpiryDate: { [Op.between]: [now, until] }
+    });
+  } else if (source.hasRetention) {
+    // Default: purged documents no longer exist as far as users are concerned
+    conditions.push({ retentionDeletedAt: null });
+  }
+
+  return { [Op.and]: conditions };
+}
+
+/**
+ * Turn raw group values into display labels (company / supplier names,
+ * formatted periods)
+ */
+async function resolveGroupLabels(groupBy, rows) {
+  const lookups = {};
+
+  for (const group of groupBy) {
+    const key = groupKey(group);
+    const ids = [...new Set(rows.map(row => row[key]).filter(Boolean))];
+    if (group.field === 'companyId' && ids.length) {
+      const companies = await Company.findAll({
+        where: { id: { [Op.in]: ids } },
+        attributes: ['id', 'name', 'referenceNo']
+      });
+      lookups[key] = new Map(companies.map(c => [c.id, c.referenceNo ? `${c.name} (${c.referenceNo})` : c.name]));
+    } else if (group.field === 'supplierId' && ids.length) {
+      const suppliers = await Supplier.findAll({
+        where: { id: { [Op.in]: ids } },
+        attributes: ['id', 'name']
+      });
+      lookups[key] = new Map(suppliers.map(s => [s.id, s.name]));
+    }
+  }
+
+  const formatPeriod = (value, interval) => {
+    if (!value) return null;
+    const date = new Date(value);
+    const iso = date.toISOString().slice(0, 10);
+    if (interval === 'year') return iso.slice(0, 4);
+    if (interval === 'quarter') return `${iso.slice(0, 4)}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+    if (interval === 'month') return iso.slice(0, 7);
+    return iso;
+  };
+
+  return rows.map(row => {
+    const labels = {};
+    groupBy.forEach(group => {
+      const key = groupKey(group);
+      const value = row[key];
+      if (group.interval) {
+        labels[key] = formatPeriod(value, group.interval) || '(none)';
+      } else if (lookups[key]) {
+        labels[key] = lookups[key].get(value) || (value ? 'Unknown' : '(none)');
+      } else {
+        labels[key] = value === null || value === undefined || value === '' ? '(none)' : String(value);
+      }
+    });
+    return labels;
+  });
+}
+
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+};
+
+/**
+ * Run a report definition.
+ *
+ * @param {Object} definition - raw or normalised definition
+ * @param {Object} [options]
+ * @param {string[]|null} [options.accessibleCompanyIds] - from checkDocumentAccess (null = all)
+ * @returns {Promise<Object>} { definition, columns, rows, totals, truncated, generatedAt }
+ */
+async function runReport(definition, options = {}) {
+  const normalized = normalizeDefinition(definition);
+  const source = SOURCES[normalized.source];
+  const Model = source.model();
+  const accessibleCompanyIds = options.accessibleCompanyIds === undefined ? null : options.accessibleCompanyIds;
+
+  const where = await buildWhere(source, normalized.filters, accessibleCompanyIds);
+
+  const groupAttributes = normalized.groupBy.map(group => {
+    const column = sequelize.col(`${Model.name}.${group.field}`);
+    return group.interval
+      ? [sequelize.fn('date_trunc', group.interval, column), groupKey(group)]
+      : [column, groupKey(group)];
+  });
+
+  const aggregateAttributes = normalized.aggregates.map(aggregate => {
+    if (aggregate.fn === 'count') {
+      return [sequelize.fn('COUNT', sequelize.col(`${Model.name}.id`)), aggregateKey(aggregate)];
+    }
+    return [
+      sequelize.fn(aggregate.fn.toUpperCase(), sequelize.col(`${Model.name}.${aggregate.field}`)),
+      aggregateKey(aggregate)
+    ];
+  });
+
+  const groupColumns = normalized.groupBy.map((group, index) => sequelize.literal(String(index + 1)));
+
+  const rawRows = await Model.findAll({
+    attributes: [...groupAttributes, ...aggregateAttributes],
+    where,
+    group: groupColumns.length ? groupColumns : undefined,
+    order: groupColumns.length ? groupColumns.map(column => [column, 'ASC']) : undefined,
+    limit: groupColumns.length ? MAX_ROWS + 1 : undefined,
+    raw: true
+  });
+
+  const truncated = rawRows.length > MAX_ROWS;
+  const limitedRows = truncated ? rawRows.slice(0, MAX_ROWS) : rawRows;
+  const labels = await resolveGroupLabels(normalized.groupBy, limitedRows);
+
+  const rows = limitedRows.map((row, index) => {
+    const out = { ...labels[index] };
+    normalized.aggregates.forEach(aggregate => {
+      const key = aggregateKey(aggregate);
+      out[key] = aggregate.fn === 'count' ? parseInt(row[key], 10) || 0 : toNumber(row[key]);
+    });
+    return out;
+  });
+
+  const columns = [
+    ...normalized.groupBy.map(group => ({ key: groupKey(group), label: groupLabel(group), type: 'group' })),
+    ...normalized.aggregates.map(aggregate => ({
+      key: aggregateKey(aggregate),
+      label: aggregateLabel(aggregate),
+      type: aggregate.fn === 'count' ? 'count' : 'number'
+    }))
+  ];
+
+  // Totals only make sense for additive aggregates
+  const totals = {};
+  normalized.aggregates.forEach(aggregate => {
+    if (aggregate.fn === 'count' || aggregate.fn === 'sum') {
+      const key = aggregateKey(aggregate);
+      totals[key] = toNumber(rows.reduce((sum, row) => sum + (row[key] || 0), 0));
+    }
+  });
+
+  return {
+    definition: normalized,
+    sourceLabel: source.label,
+    columns,
+    rows,
+    totals,
+    truncated,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Flatten a result into a header row + data rows (plus a totals row)
+ */
+function resultToTable(result) {
+  const header = result.columns.map(column => column.label);
+  const body = result.rows.map(row => result.columns.map(column => row[column.key] ?? ''));
+  if (result.rows.length > 1 && Object.keys(result.totals).length) {
+    body.push(result.columns.map((column, index) => {
+      if (index === 0) return 'Total';
+      return result.totals[column.key] ?? '';
+    }));
+  }
+  return { header, body };
+}
+
+/**
+ * Export a report result as csv, xlsx or pdf
+ *
+ * @param {Object} result - from runReport
+ * @param {string} format - csv | xlsx | pdf
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {{ buffer: Buffer, contentType: string, extension: string }}
+ */
+function exportReport(result, format, options = {}) {
+  const { header, body } = resultToTable(result);
+  const title = options.title || `${result.sourceLabel} report`;
+
+  if (format === 'csv') {
+    const csv = Papa.unparse({ fields: header, data: body });
+    return { buffer: Buffer.from(csv, 'utf8'), contentType: 'text/csv', extension: 'csv' };
+  }
+
+  if (format === 'xlsx') {
+    const sheet = XLSX.utils.aoa_to_sheet([header, ...body]);
+    sheet['!cols'] = result.columns.map(column => ({ wch: column.type === 'group' ? 32 : 16 }));
+    result.columns.forEach((column, columnIndex) => {
+      if (column.type !== 'number') return;
+      for (let rowIndex = 1; rowIndex <= body.length; rowIndex++) {
+        const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+        if (cell && cell.t === 'n') cell.z = '#,##0.00';
+      }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Report');
+    return {
+      buffer: XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+
+  if (format === 'pdf') {
+    const formatCell = (value, column) => {
+      if (value === '' || value === null || value === undefined) return '';
+      if (column && column.type === 'number' && typeof value === 'number') {
+        return value.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      }
+      return String(value);
+    };
+    return {
+      buffer: buildTablePdf({
+        title,
+        subtitle: `Generated ${new Date(result.generatedAt).toLocaleString('en-GB')}${result.truncated ? ` - first ${MAX_ROWS} rows only` : ''}`,
+        header,
+        rows: body.map(row => row.map((value, index) => formatCell(value, result.columns[index]))),
+        alignRight: result.columns.map(column => column.type !== 'group')
+      }),
+      contentType: 'application/pdf',
+      extension: 'pdf'
+    };
+  }
+
+  const error = new Error(`Unsupported export format "${format}". Expected csv, xlsx or pdf`);
+  error.status = 400;
+  throw error;
+}
+
+module.exports = {
+  SOURCES,
+  EXPORT_FORMATS: ['csv', 'xlsx', 'pdf'],
+  getReportSources,
+  normalizeDefinition,
+  runReport,
+  exportReport
+};
@@ -0,0 +1,332 @@
+/**
+ * Scheduled Report Delivery
+ * Emails saved report builder output (XLSX/PDF attachment) to chosen staff
+ * users on a daily / weekly / monthly schedule.
+ *
+ * The scheduler runs 'report-delivery' hourly; each run sends every report
+ * whose nextRunAt has passed. nextRunAt is advanced BEFORE sending so a
+ * retried or overlapping job never mails the same run twice.
+ *
+ * Each recipient gets the report run against the companies they can see,
+ * exactly as if they had run it themselves, and one queued email (and so one
+ * EmailLog row) of their own.
+ */
+
+const { Report, User, Company, Settings, Sequelize } = require('../models');
+const { Op } = Sequelize;
+const { runReport, exportReport } = require('./reportBuilder');
+const { getAccessibleCompanyIds } = require('./companyHierarchy');
+const { isStaffRole } = require('./permissions');
+const { refreshRoles } = require('./roleRegistry');
+const { queueEmail } = require('./emailQueue');
+const { renderEmailTemplate } = require('./sendTemplatedEmail');
+const { getFrontendUrl } = require('./urlConfig');
+const { logActivity, ActivityType } = require('../services/activityLogger');
+
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const SCHEDULE_FORMATS = ['xlsx', 'pdf'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_RECIPIENTS = 50;
+
+/**
+ * Validate a schedule from the API and return a normalised copy.
+ * Throws an Error with status 400 on invalid input.
+ *
+ * @param {Object} schedule
+ * @returns {Object} { enabled, frequency, hour, dayOfWeek, dayOfMonth, format, recipientUserIds }
+ */
+function normalizeSchedule(schedule) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  if (!schedule || typeof schedule !== 'object') fail('Schedule is required');
+
+  const frequency = schedule.frequency || 'weekly';
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    fail(`frequency must be one of: ${SCHEDULE_FREQUENCIES.join(', ')}`);
+  }
+
+  const hour = schedule.hour === undefined ? 7 : parseInt(schedule.hour, 10);
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) fail('hour must be between 0 and 23');
+
+  const dayOfWeek = schedule.dayOfWeek === undefined ? 1 : parseInt(schedule.dayOfWeek, 10);
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) fail('dayOfWeek must be between 0 (Sunday) and 6');
+
+  // Capped at 28 so every month has the day
+  const dayOfMonth = schedule.dayOfMonth === undefined ? 1 : parseInt(schedule.dayOfMonth, 10);
+  if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28) fail('dayOfMonth must be between 1 and 28');
+
+  const format = schedule.format || 'xlsx';
+  if (!SCHEDULE_FORMATS.includes(format)) fail(`format must be one of: ${SCHEDULE_FORMATS.join(', ')}`);
+
+  const recipientUserIds = [...new Set((schedule.recipientUserIds || []).map(String))];
+  if (schedule.enabled !== false && recipientUserIds.length === 0) fail('Choose at least one recipient');
+  if (recipientUserIds.length > MAX_RECIPIENTS) fail(`A report can be sent to at most ${MAX_RECIPIENTS} users`);
+
+  return {
+    enabled: schedule.enabled !== false,
+    frequency,
+    hour,
+    dayOfWeek,
+    dayOfMonth,
+    format,
+    recipientUserIds
+  };
+}
+
+/**
+ * Work out when a schedule next fires after `from` (server local time,
+ * matching the scheduler's TZ)
+ *
+ * @param {Object} schedule - normalised schedule
+ * @param {Date} [from]
+ * @returns {Date|null} null when the schedule is disabled
+ */
+function computeNextRunAt(schedule, from = new Date()) {
+  if (!schedule || !schedule.enabled) return null;
+
+  const next = new Date(from);
+  next.setMinutes(0, 0, 0);
+  next.setHours(schedule.hour);
+
+  if (schedule.frequency === 'daily') {
+    if (next <= from) next.setDate(next.getDate() + 1);
+  } else if (schedule.frequency === 'weekly') {
+    const daysAhead = (schedule.dayOfWeek - next.getDay() + 7) % 7;
+    next.setDate(next.getDate() + daysAhead);
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else {
+    next.setDate(schedule.dayOfMonth);
+    if (next <= from) {
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      next.setDate(schedule.dayOfMonth);
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Human-readable schedule, e.g. "Weekly on Monday at 07:00"
+ */
+function describeSchedule(schedule) {
+  if (!schedule) return 'Not scheduled';
+  const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+  if (schedule.frequency === 'daily') return `Daily at ${time}`;
+  if (schedule.frequency === 'weekly') return `Weekly on ${DAY_NAMES[schedule.dayOfWeek]} at ${time}`;
+  return `Monthly on day ${schedule.dayOfMonth} at ${time}`;
+}
+
+/**
+ * Same access rules as checkDocumentAccess, for a user loaded with companies
+ * @returns {Promise<string[]|null>} null = all companies
+ */
+async function getUserAccessibleCompanyIds(user) {
+  if (user.role === 'global_admin' || user.role === 'administrator' || user.allCompanies) {
+    return null;
+  }
+  const assignedCompanyIds = (user.companies || []).map(c => c.id);
+  return getAccessibleCompanyIds(assignedCompanyIds);
+}
+
+/**
+ * Active staff users who may receive scheduled reports
+ */
+async function getEligibleRecipients(userIds) {
+  const where = { isActive: true };
+  if (userIds) where.id = { [Op.in]: userIds };
+  const users = await User.findAll({
+    where,
+    attributes: ['id', 'name', 'email', 'role', 'allCompanies'],
+    include: [{
+      model: Company,
+      as: 'companies',
+      attributes: ['id'],
+      through: { attributes: [] }
+    }],
+    order: [['name', 'ASC']]
+  });
+  // Runs in the queue worker too, which has no request middleware to refresh roles
+  await refreshRoles();
+  return users.filter(user => user.email && isStaffRole(user.role));
+}
+
+/**
+ * Run a report and email it to its scheduled recipients.
+ *
+ * @param {Object} report - Report instance with data.definition and schedule
+ * @param {Object} [options]
+ * @param {string} [options.trigger] - 'schedule' | 'manual'
+ * @param {Object} [options.triggeredBy] - { userId, email, role } for manual sends
+ * @returns {Promise<Object>} { sent, failed, skipped, errors }
+ */
+async function deliverReport(report, options = {}) {
+  const { trigger = 'schedule', triggeredBy = null } = options;
+  const schedule = report.schedule;
+  const definition = report.data && report.data.definition;
+
+  if (!definition) {
+    throw new Error('Report has no builder definition to deliver');
+  }
+  if (!schedule || !schedule.recipientUserIds || schedule.recipientUserIds.length === 0) {
+    throw new Error('Report has no recipients');
+  }
+
+  const settings = await Settings.getSettings();
+  const recipients = await getEligibleRecipients(schedule.recipientUserIds);
+  const result = {
+    sent: 0,
+    failed: 0,
+    skipped: schedule.recipientUserIds.length - recipients.length,
+    errors: []
+  };
+
+  // Recipients with the same company access share one run/export
+  const exportsByScope = new Map();
+  const generatedDate = new Date().toLocaleString('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  for (const recipient of recipients) {
+    try {
+      const accessibleCompanyIds = await getUserAccessibleCompanyIds(recipient);
+      const scopeKey = accessibleCompanyIds === null ? 'all' : [...accessibleCompanyIds].sort().join(',');
+
+      if (!exportsByScope.has(scopeKey)) {
+        const reportResult = await runReport(definition, { accessibleCompanyIds });
+        const file = exportReport(reportResult, schedule.format, { title: report.title });
+        exportsByScope.set(scopeKey, { reportResult, file });
+      }
+      const { reportResult, file } = exportsByScope.get(scopeKey);
+
+      const safeTitle = report.title.replace(/[^a-z0-9-_]+/gi, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'report';
+      const rendered = renderEmailTemplate('scheduled-report', {
+        userName: recipient.name || recipient.email,
+        reportTitle: report.title,
+        reportDescription: report.description || '',
+        scheduleLabel: describeSchedule(schedule),
+        generatedDate,
+        rowCount: String(reportResult.rows.length),
+        sourceLabel: reportResult.sourceLabel,
+        formatLabel: schedule.format.toUpperCase(),
+        reportsUrl: `${getFrontendUrl()}/reports`
+      }, settings);
+
+      await queueEmail({
+        to: recipient.email,
+        subject: rendered.subject,
+        html: rendered.html,
+        text: rendered.text,
+        attachments: [{
+          filename: `${safeTitle}-${new Date().toISOString().slice(0, 10)}.${file.extension}`,
+          content: file.buffer.toString('base64'),
+          encoding: 'base64',
+          contentType: file.contentType
+        }],
+        templateName: 'scheduled-report',
+        settings,
+        metadata: {
+          userId: triggeredBy ? triggeredBy.userId : null,
+          userEmail: triggeredBy ? triggeredBy.email : 'system',
+          reportId: report.id,
+          trigger
+        }
+      });
+      result.sent++;
+    } catch (error) {
+      console.error(`❌ [ReportDelivery] Failed to send "${report.title}" to ${recipient.email}:`, error.message);
+      result.failed++;
+      result.errors.push(`${recipient.email}: ${error.message}`);
+    }
+  }
+
+  const status = result.failed === 0 && result.sent > 0 ? 'sent' : (result.sent > 0 ? 'partial' : 'failed');
+  await report.update({
+    lastRunAt: new Date(),
+    lastRunStatus: status,
+    lastRunError: result.errors.length
+      ? result.errors.join('\n')
+      : (result.sent === 0 ? 'No eligible recipients (inactive, no email, or not staff)' : null)
+  });
+
+  await logActivity({
+    type: ActivityType.REPORT_DELIVERED,
+    userId: triggeredBy ? triggeredBy.userId : 'system',
+    userEmail: triggeredBy ? triggeredBy.email : 'report-delivery@system',
+    userRole: triggeredBy ? triggeredBy.role : 'global_admin',
+    action: `Report "${report.title}" emailed to ${result.sent} recipient(s)${result.failed ? `, ${result.failed} failed` : ''}`,
+    details: {
+      reportId: report.id,
+      trigger,
+      format: schedule.format,
+      ...result
+    },
+    ipAddress: triggeredBy ? triggeredBy.ipAddress : 'system',
+    userAgent: triggeredBy ? triggeredBy.userAgent : 'report-delivery'
+  });
+
+  return result;
+}
+
+/**
+ * Send every report whose scheduled run is due. Called by the hourly
+ * 'report-delivery' scheduled task.
+ *
+ * @returns {Promise<Object>} { due, delivered, failed }
+ */
+async function deliverDueReports() {
+  const now = new Date();
+  const dueReports = await Report.findAll({
+    where: {
+      nextRunAt: { [Op.lte]: now }
+    },
+    order: [['nextRunAt', 'ASC']]
+  });
+
+  const summary = { due: dueReports.length, delivered: 0, failed: 0 };
+
+  for (const report of dueReports) {
+    // Advance first so a crash or retry doesn't resend this run
+    await report.update({ nextRunAt: computeNextRunAt(report.schedule, now) });
+
+    if (report.status === 'archived') {
+      console.log(`ℹ️  [ReportDelivery] Skipping archived report "${report.title}"`);
+      continue;
+    }
+
+    try {
+      const result = await deliverReport(report, { trigger: 'schedule' });
+      if (result.sent > 0) summary.delivered++;
+      else summary.failed++;
+    } catch (error) {
+      console.error(`❌ [ReportDelivery] Report "${report.title}" (${report.id}) failed:`, error.message);
+      summary.failed++;
+      await report.update({
+        lastRunAt: new Date(),
+        lastRunStatus: 'failed',
+        lastRunError: error.message
+      });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  SCHEDULE_FREQUENCIES,
+  SCHEDULE_FORMATS,
+  normalizeSchedule,
+  computeNextRunAt,
+  describeSchedule,
+  getEligibleRecipients,
+  deliverReport,
+  deliverDueReports
+};
@@ -0,0 +1,147 @@
+/**
+ * Report PDF Writer
+ * Renders a plain table (title, header row, data rows) to a PDF without any
+ * external renderer. Report exports need to work on the API box, which does
+ * not have the LibreOffice sidecar the statement generator uses.
+ *
+ * Output is landscape A4 with the standard Helvetica fonts, paginated, with
+ * the header row repeated on every page. Text is WinAnsi encoded; characters
+ * outside Latin-1 are replaced with '?'.
+ */
+
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const ROW_HEIGHT = 14;
+const CELL_PADDING = 4;
+// Rough Helvetica advance width as a fraction of the font size - good enough
+// to size columns and truncate text without embedding font metrics
+const CHAR_WIDTH = 0.52;
+
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const textWidth = (text, size = FONT_SIZE) => String(text).length * size * CHAR_WIDTH;
+
+const fitText = (text, width, size = FONT_SIZE) => {
+  const value = String(text);
+  const maxChars = Math.floor(width / (size * CHAR_WIDTH));
+  if (value.length <= maxChars) return value;
+  return maxChars > 3 ? `${value.slice(0, maxChars - 3)}...` : value.slice(0, Math.max(maxChars, 0));
+};
+
+/**
+ * Work out column widths from content, shrinking proportionally to fit the page
+ */
+function layoutColumns(header, rows) {
+  const available = PAGE_WIDTH - MARGIN * 2;
+  const natural = header.map((label, index) => {
+    let width = textWidth(label);
+    rows.forEach(row => { width = Math.max(width, textWidth(row[index] ?? '')); });
+    return Math.min(width, 260) + CELL_PADDING * 2;
+  });
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  const scale = total > available ? available / total : 1;
+  return natural.map(width => width * scale);
+}
+
+/**
+ * Build a PDF containing a single table
+ *
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {string} [options.subtitle]
+ * @param {string[]} options.header
+ * @param {Array<Array<string|number>>} options.rows
+ * @param {boolean[]} [options.alignRight] - per column
+ * @returns {Buffer}
+ */
+function buildTablePdf({ title, subtitle, header, rows, alignRight = [] }) {
+  const widths = layoutColumns(header, rows);
+  const pages = [];
+
+  const firstRowY = PAGE_HEIGHT - MARGIN - 44;
+  const rowsPerPage = Math.max(1, Math.floor((firstRowY - MARGIN) / ROW_HEIGHT) - 1);
+
+  const drawRow = (ops, cells, y, bold) => {
+    let x = MARGIN;
+    cells.forEach((cell, index) => {
+      const innerWidth = widths[index] - CELL_PADDING * 2;
+      const text = fitText(cell ?? '', innerWidth);
+      const offset = alignRight[index] ? innerWidth - textWidth(text) : 0;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf ${(x + CELL_PADDING + offset).toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+      x += widths[index];
+    });
+  };
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / rowsPerPage));
+  for (let page = 0; page < pageCount; page++) {
+    const ops = [];
+    ops.push(`BT /F2 14 Tf ${MARGIN} ${PAGE_HEIGHT - MARGIN - 10} Td (${escapeText(title)}) Tj ET`);
+    if (subtitle) {
+      ops.push(`BT /F1 ${FONT_SIZE} Tf ${MARGIN} ${PAGE_HEIGHT - MARGIN - 24} Td (${escapeText(subtitle)}) Tj ET`);
+    }
+    ops.push(`BT /F1 ${FONT_SIZE} Tf ${PAGE_WIDTH - MARGIN - 60} ${MARGIN - 16} Td (Page ${page + 1} of ${pageCount}) Tj ET`);
+
+    let y = firstRowY;
+    drawRow(ops, header, y, true);
+    ops.push(`0.5 w ${MARGIN} ${(y - 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(y - 4).toFixed(2)} l S`);
+
+    rows.slice(page * rowsPerPage, (page + 1) * rowsPerPage).forEach(row => {
+      y -= ROW_HEIGHT;
+      drawRow(ops, row, y, row[0] === 'Total');
+    });
+    pages.push(ops.join('\n'));
+  }
+
+  // Object layout: 1 catalog, 2 pages tree, 3-4 fonts, then (page, content) pairs
+  const objects = [];
+  const pageObjectIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageObjectIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  pages.forEach((content, index) => {
+    const pageId = pageObjectIds[index];
+    const stream = Buffer.from(content, 'latin1');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = { stream };
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    const object = objects[id];
+    const chunk = typeof object === 'string'
+      ? Buffer.from(`${id} 0 obj\n${object}\nendobj\n`, 'latin1')
+      : Buffer.concat([
+        Buffer.from(`${id} 0 obj\n<< /Length ${object.stream.length} >>\nstream\n`, 'latin1'),
+        object.stream,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+      ]);
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n'];
+  for (let id = 1; id < objects.length; id++) {
+    xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  chunks.push(Buffer.from(
+    `${xref.join('')}trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`,
+    'latin1'
+  ));
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  buildTablePdf
+};
@@ -0,0 +1,31 @@
+/**
+ * Per-request context that code without access to `req` can read
+ * (e.g. the activity logger). Set by middleware with runWithRequestContext();
+ * everything called from inside - including awaited work - sees the same
+ * context.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given context
+ * @param {Object} context - e.g. { impersonation }
+ * @param {Function} fn
+ */
+function runWithRequestContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * @returns {Object|null} Context of the request being handled, if any
+ */
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+module.exports = {
+  runWithRequestContext,
+  getRequestContext
+};
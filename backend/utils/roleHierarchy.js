@@ -10,8 +10,15 @@
  * 3 - Credit Controller: Standard credit team, view and download
  * 2 - External User: Customer access, own company documents only
  * 1 - Notification Contact: Email notifications only, no portal access
+ *
+ * These are the built-in roles. Custom roles (roles table) rank at one of the
+ * same levels, so the functions below read levels and labels through
+ * utils/roleRegistry.js rather than ROLE_HIERARCHY directly.
  */
 
+// Loaded lazily - roleRegistry reads the defaults from this module
+const roleRegistry = () => require('./roleRegistry');
+
 const ROLE_HIERARCHY = {
   global_admin: 7,
   administrator: 6,
@@ -51,16 +58,16 @@ function canManageRole(userRole, targetRole) {
   
   // Administrators can manage other Administrators and roles below
   if (userRole === 'administrator') {
-    return ROLE_HIERARCHY[userRole] >= ROLE_HIERARCHY[targetRole];
+    return getRoleLevel(userRole) >= getRoleLevel(targetRole);
   }
 
   // Managers can manage other Managers and roles below
   if (userRole === 'manager') {
-    return ROLE_HIERARCHY[userRole] >= ROLE_HIERARCHY[targetRole];
+    return getRoleLevel(userRole) >= getRoleLevel(targetRole);
   }
   
   // Other roles can only manage roles below their level
-  return ROLE_HIERARCHY[userRole] > ROLE_HIERARCHY[targetRole];
+  return getRoleLevel(userRole) > getRoleLevel(targetRole);
 }
 
 /**
@@ -69,32 +76,22 @@ function canManageRole(userRole, targetRole) {
  * Administrators can manage other Administrators and roles below
  */
 function getManageableRoles(userRole) {
+  const roles = roleRegistry().getRoles();
+
   // Global admins can manage all roles including other global admins
   if (userRole === 'global_admin') {
-    return Object.keys(ROLE_HIERARCHY);
+    return roles.map(role => role.key);
   }
   
   // Administrators can manage other Administrators and roles below
-  if (userRole === 'administrator') {
-    const userLevel = ROLE_HIERARCHY[userRole];
-    return Object.keys(ROLE_HIERARCHY).filter(
-      role => ROLE_HIERARCHY[role] <= userLevel
-    );
-  }
-
   // Managers can manage other Managers and roles below (e.g. for bulk import)
-  if (userRole === 'manager') {
-    const userLevel = ROLE_HIERARCHY[userRole];
-    return Object.keys(ROLE_HIERARCHY).filter(
-      role => ROLE_HIERARCHY[role] <= userLevel
-    );
+  const userLevel = getRoleLevel(userRole);
+  if (userRole === 'administrator' || userRole === 'manager') {
+    return roles.filter(role => role.level <= userLevel).map(role => role.key);
   }
   
   // Other roles can only manage roles below their level
-  const userLevel = ROLE_HIERARCHY[userRole];
-  return Object.keys(ROLE_HIERARCHY).filter(
-    role => ROLE_HIERARCHY[role] < userLevel
-  );
+  return roles.filter(role => role.level < userLevel).map(role => role.key);
 }
 
 /**
@@ -126,28 +123,28 @@ function canDeleteUsers(userRole) {
  * Check if role is internal staff
  */
 function isInternalRole(role) {
-  return INTERNAL_ROLES.includes(role);
+  return roleRegistry().getRole(role)?.isStaff || false;
 }
 
 /**
  * Check if role has portal access
  */
 function hasPortalAccess(role) {
-  return PORTAL_ACCESS_ROLES.includes(role);
+  return roleRegistry().getRole(role)?.hasPortalAccess || false;
 }
 
 /**
  * Get role label
  */
 function getRoleLabel(role) {
-  return ROLE_LABELS[role] || role;
+  return roleRegistry().getRole(role)?.name || ROLE_LABELS[role] || role;
 }
 
 /**
  * Get role level
  */
 function getRoleLevel(role) {
-  return ROLE_HIERARCHY[role] || 0;
+  return roleRegistry().getRole(role)?.level || 0;
 }
 
 module.exports = {
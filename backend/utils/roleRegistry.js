@@ -0,0 +1,169 @@
+/**
+ * Role Registry
+ * In-memory copy of the roles table (models/Role.js) that the synchronous
+ * permission helpers in utils/permissions.js and utils/roleHierarchy.js read.
+ *
+ * Until the table has been loaded - or if it doesn't exist yet - the built-in
+ * roles and PERMISSIONS defaults are used, so nothing changes until an admin
+ * edits a role.
+ *
+ * Each process (backend, queue worker) keeps its own copy. refreshRoles() is
+ * called by the auth/permission middleware and reloads when the copy is older
+ * than MAX_AGE_MS or when another process has bumped the Redis version key
+ * (checked at most every CHECK_INTERVAL_MS). invalidateRolesCache() bumps the
+ * key and reloads straight away after a change.
+ */
+
+const { redis } = require('../config/redis');
+const { PERMISSIONS, STAFF_ROLES, PORTAL_ROLES } = require('./permissions');
+const { ROLE_HIERARCHY, ROLE_LABELS } = require('./roleHierarchy');
+
+const ROLES_VERSION_KEY = 'cache:roles:version';
+const CHECK_INTERVAL_MS = 5000;
+const MAX_AGE_MS = 5 * 60 * 1000;
+
+// Highest role - always has every permission so it can't be locked out
+const SUPER_ROLE = 'global_admin';
+
+/**
+ * Code defaults for the built-in roles (also used to seed the roles table)
+ * @returns {Object[]} Role attributes
+ */
+function getDefaultRoles() {
+  return Object.keys(ROLE_HIERARCHY).map(key => ({
+    key,
+    name: ROLE_LABELS[key],
+    description: null,
+    level: ROLE_HIERARCHY[key],
+    isStaff: STAFF_ROLES.includes(key),
+    hasPortalAccess: PORTAL_ROLES.includes(key),
+    isSystem: true,
+    permissions: Object.fromEntries(
+      Object.entries(PERMISSIONS).map(([permission, roles]) => [permission, roles.includes(key)])
+    )
+  }));
+}
+
+/**
+ * Work out a role's granted permissions (see Role model for the fallback rules)
+ * @param {Object} role - Role attributes
+ * @returns {Set<string>}
+ */
+function resolvePermissions(role) {
+  const granted = new Set();
+  for (const [permission, defaultRoles] of Object.entries(PERMISSIONS)) {
+    const stored = role.permissions?.[permission];
+    const allowed = role.key === SUPER_ROLE
+      || stored === true
+      || (stored === undefined && role.isSystem && defaultRoles.includes(role.key));
+    if (allowed) granted.add(permission);
+  }
+  return granted;
+}
+
+function buildRoleMap(roles) {
+  const map = new Map();
+  for (const role of roles) {
+    map.set(role.key, {
+      key: role.key,
+      name: role.name,
+      description: role.description || null,
+      level: role.level,
+      isStaff: role.isStaff,
+      hasPortalAccess: role.hasPortalAccess,
+      isSystem: role.isSystem,
+      permissions: resolvePermissions(role)
+    });
+  }
+  return map;
+}
+
+const state = {
+  roles: buildRoleMap(getDefaultRoles()),
+  version: null,
+  loadedAt: 0,
+  checkedAt: 0
+};
+
+async function loadRoles(version) {
+  const { Role } = require('../models');
+  const rows = await Role.findAll({ raw: true });
+  // An empty table means the migration hasn't seeded it yet - keep the defaults
+  state.roles = buildRoleMap(rows.length > 0 ? rows : getDefaultRoles());
+  state.version = version;
+  state.loadedAt = Date.now();
+}
+
+/**
+ * Reload roles from the database if this process's copy may be stale
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Reload regardless of age
+ */
+async function refreshRoles({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && state.loadedAt && now - state.checkedAt < CHECK_INTERVAL_MS) return;
+  state.checkedAt = now;
+
+  try {
+    let version = null;
+    if (redis) {
+      version = await redis.get(ROLES_VERSION_KEY).catch(() => null);
+    }
+    if (force || !state.loadedAt || now - state.loadedAt > MAX_AGE_MS || version !== state.version) {
+      await loadRoles(version);
+    }
+  } catch (error) {
+    // Table missing (migration not run) or database unavailable - keep what we have
+    console.warn('⚠️  Could not load roles, using cached/default roles:', error.message);
+    state.loadedAt = now;
+  }
+}
+
+/**
+ * Tell every process to reload roles (call after creating/updating/deleting a role)
+ */
+async function invalidateRolesCache() {
+  if (redis) {
+    try {
+      await redis.incr(ROLES_VERSION_KEY);
+    } catch (error) {
+      console.warn('⚠️  Roles cache invalidation error:', error.message);
+    }
+  }
+  await refreshRoles({ force: true });
+}
+
+/**
+ * @param {string} key - Role key
+ * @returns {Object|null} Role with permissions as a Set
+ */
+function getRole(key) {
+  return state.roles.get(key) || null;
+}
+
+/**
+ * All roles, highest level first
+ * @returns {Object[]}
+ */
+function getRoles() {
+  return [...state.roles.values()].sort((a, b) => b.level - a.level || a.name.localeCompare(b.name));
+}
+
+function isKnownRole(key) {
+  return state.roles.has(key);
+}
+
+function roleHasPermission(key, permission) {
+  return getRole(key)?.permissions.has(permission) || false;
+}
+
+module.exports = {
+  SUPER_ROLE,
+  getDefaultRoles,
+  refreshRoles,
+  invalidateRolesCache,
+  getRole,
+  getRoles,
+  isKnownRole,
+  roleHasPermission
+};
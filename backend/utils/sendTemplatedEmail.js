@@ -251,7 +251,7 @@ async function sendTemplatedEmail(templateName, to, data, settings, requestConte
       category = 'auth';
     } else if (['document-notification', 'document-summary', 'document-deleted', 'query-notification'].includes(templateName)) {
       category = 'document';
-    } else if (['import-summary', 'retention-cleanup-summary'].includes(templateName)) {
+    } else if (['import-summary', 'retention-cleanup-summary', 'scheduled-report'].includes(templateName)) {
       category = 'notification';
     }
     
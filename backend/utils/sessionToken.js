@@ -7,16 +7,27 @@ const { redis } = require('../config/redis');
 const useRedis = process.env.REDIS_HOST || process.env.REDIS_URL;
 const sessionTokens = new Map(); // Fallback for when Redis is unavailable
 
+// What a session token was issued for. Every one of them only proves the
+// password, so a token for a 2FA or step-up challenge must not be usable to
+// set up a 2FA method (which signs the user in) instead of answering it.
+const SESSION_TOKEN_PURPOSES = {
+  TWO_FACTOR_SETUP: '2fa_setup',
+  TWO_FACTOR_VERIFY: '2fa_verify',
+  PASSWORD_CHANGE: 'password_change'
+};
+
 /**
- * Generate a temporary session token for 2FA setup
+ * Generate a temporary session token for 2FA setup, a 2FA challenge or a
+ * forced password change
  * This allows us to avoid passing passwords around
  */
-const generateSessionToken = async (userId, email) => {
+const generateSessionToken = async (userId, email, purpose) => {
   const token = crypto.randomBytes(32).toString('hex');
   const expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
   const sessionData = {
     userId,
     email,
+    purpose,
     expiresAt,
     createdAt: Date.now()
   };
@@ -42,9 +53,10 @@ const generateSessionToken = async (userId, email) => {
 
 /**
  * Verify a session token (without consuming it)
- * Returns user data if valid, null if invalid/expired
+ * Returns user data if valid, null if invalid/expired or, when purpose is
+ * given, issued for something else (the token is then left alone)
  */
-const verifySessionToken = async (token, consume = false) => {
+const verifySessionToken = async (token, consume = false, purpose = null) => {
   let session = null;
   
   if (useRedis) {
@@ -58,6 +70,10 @@ const verifySessionToken = async (token, consume = false) => {
           await redis.del(`session:${token}`);
           return null;
         }
+
+        if (purpose && session.purpose !== purpose) {
+          return null;
+        }
         
         // Consume token if requested
         if (consume) {
@@ -66,7 +82,8 @@ const verifySessionToken = async (token, consume = false) => {
         
         return {
           userId: session.userId,
-          email: session.email
+          email: session.email,
+          purpose: session.purpose
         };
       }
       return null;
@@ -87,6 +104,10 @@ const verifySessionToken = async (token, consume = false) => {
     sessionTokens.delete(token);
     return null;
   }
+
+  if (purpose && session.purpose !== purpose) {
+    return null;
+  }
   
   // Only consume token if requested (for one-time use scenarios)
   if (consume) {
@@ -95,7 +116,8 @@ const verifySessionToken = async (token, consume = false) => {
   
   return {
     userId: session.userId,
-    email: session.email
+    email: session.email,
+    purpose: session.purpose
   };
 };
 
@@ -115,6 +137,7 @@ const cleanupExpiredTokens = () => {
 setInterval(cleanupExpiredTokens, 5 * 60 * 1000);
 
 module.exports = {
+  SESSION_TOKEN_PURPOSES,
   generateSessionToken,
   verifySessionToken
 };
@@ -0,0 +1,157 @@
+/**
+ * Template Versioning
+ * Helpers for the immutable template version history (models/TemplateVersion.js)
+ * and for comparing what two versions extract from the same document during a
+ * regression run (jobs/bulkParsingTest.js).
+ */
+
+const { Template, TemplateVersion, sequelize } = require('../models');
+
+// Versioned fields that are maps of fieldId -> definition; these are diffed
+// per key so a nudge to one region shows as one change
+const KEYED_FIELDS = ['coordinates', 'patterns', 'markers', 'excelCells', 'transformations', 'customFields'];
+
+// Extraction output that is not a document field
+const IGNORED_RESULT_KEYS = ['fullText', 'fieldLabels', 'ocrConfidence', 'ocr', '_warning'];
+
+// JSONB does not keep key order, so compare with keys sorted
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const isEqual = (a, b) => stableStringify(a ?? null) === stableStringify(b ?? null);
+
+/**
+ * Record a new version of a template
+ * @param {Object} template - Template instance (values may be unsaved for candidates)
+ * @param {Object} options
+ * @param {Object} [options.user] - req.user ({ userId, email })
+ * @param {string} [options.note] - Change note
+ * @param {'saved'|'candidate'} [options.status='saved']
+ * @param {Object} [options.transaction]
+ * @returns {Promise<TemplateVersion>}
+ */
+async function createTemplateVersion(template, { user = null, note = null, status = 'saved', transaction = null } = {}) {
+  const latest = await TemplateVersion.max('version', {
+    where: { templateId: template.id },
+    transaction
+  });
+
+  return TemplateVersion.create({
+    templateId: template.id,
+    version: (latest || 0) + 1,
+    snapshot: template.toVersionSnapshot(),
+    status,
+    note: note ? String(note).trim() || null : null,
+    createdById: user?.userId || null,
+    createdByEmail: user?.email || null
+  }, { transaction });
+}
+
+/**
+ * Save a template and record the saved state as its new active version
+ * @returns {Promise<TemplateVersion>}
+ */
+async function saveTemplateWithVersion(template, { user = null, note = null } = {}) {
+  return sequelize.transaction(async (transaction) => {
+    // A new template has to exist before a version can reference it
+    if (template.isNewRecord) {
+      await template.save({ transaction });
+    }
+    const version = await createTemplateVersion(template, { user, note, status: 'saved', transaction });
+    template.activeVersion = version.version;
+    await template.save({ transaction });
+    return version;
+  });
+}
+
+/**
+ * Build an unsaved template instance that parses with a version's snapshot
+ * @param {Object} template - Live template instance
+ * @param {Object} snapshot - TemplateVersion.snapshot
+ * @returns {Template}
+ */
+function buildTemplateForVersion(template, snapshot) {
+  const candidate = Template.build(template.get({ plain: true }), { isNewRecord: false });
+  candidate.applyVersionSnapshot(snapshot);
+  return candidate;
+}
+
+/**
+ * List configuration changes between two snapshots
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<{ field: string, key: string|null, change: 'added'|'removed'|'changed', before: *, after: * }>}
+ */
+function diffSnapshots(before = {}, after = {}) {
+  const changes = [];
+
+  for (const field of Template.VERSIONED_FIELDS) {
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+    if (isEqual(oldValue, newValue)) continue;
+
+    if (KEYED_FIELDS.includes(field)) {
+      const oldMap = oldValue || {};
+      const newMap = newValue || {};
+      const keys = new Set([...Object.keys(oldMap), ...Object.keys(newMap)]);
+      for (const key of keys) {
+        if (isEqual(oldMap[key], newMap[key])) continue;
+        changes.push({
+          field,
+          key,
+          change: !(key in oldMap) ? 'added' : !(key in newMap) ? 'removed' : 'changed',
+          before: oldMap[key] ?? null,
+          after: newMap[key] ?? null
+        });
+      }
+      continue;
+    }
+
+    changes.push({
+      field,
+      key: null,
+      change: oldValue === null ? 'added' : newValue === null ? 'removed' : 'changed',
+      before: oldValue,
+      after: newValue
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Compare what the active and candidate versions extracted from one document
+ * @param {Object} activeData - Extraction result with the active version
+ * @param {Object} candidateData - Extraction result with the candidate version
+ * @returns {Array<{ field: string, active: *, candidate: * }>}
+ */
+function compareExtractedFields(activeData = {}, candidateData = {}) {
+  const fields = new Set([...Object.keys(activeData || {}), ...Object.keys(candidateData || {})]);
+  const differences = [];
+
+  for (const field of fields) {
+    if (IGNORED_RESULT_KEYS.includes(field)) continue;
+    const activeValue = activeData?.[field] ?? null;
+    const candidateValue = candidateData?.[field] ?? null;
+    if (!isEqual(activeValue, candidateValue)) {
+      differences.push({ field, active: activeValue, candidate: candidateValue });
+    }
+  }
+
+  return differences;
+}
+
+module.exports = {
+  createTemplateVersion,
+  saveTemplateWithVersion,
+  buildTemplateForVersion,
+  diffSnapshots,
+  compareExtractedFields
+};
@@ -21,6 +21,7 @@ const { processInvoiceImport } = require('../jobs/invoiceImport');
 const { processStatementGenerate } = require('../jobs/statementGenerate');
 const { processSupplierDocumentImportJob } = require('../jobs/supplierDocumentImport');
 const { processEmailJob } = require('../jobs/emailJob');
+const { processWebhookDelivery } = require('../jobs/webhookDelivery');
 const { cleanupOldFiles } = require('../jobs/fileCleanup');
 const { processLocalFolderScan } = require('../jobs/localFolderScanner');
 const { 
@@ -31,6 +32,7 @@ const {
   supplierDocumentQueue,
   emailQueue,
   scheduledTasksQueue,
+  webhookQueue,
   EMAIL_RATE_MAX,
   EMAIL_RATE_DURATION_MS,
   EMAIL_WORKER_CONCURRENCY_OFFICE365,
@@ -185,6 +187,7 @@ async function monitorQueueHealth() {
       { name: 'invoice-import', queue: invoiceImportQueue },
       { name: 'statement-generate', queue: statementGenerateQueue },
       { name: 'email', queue: emailQueue },
+      { name: 'webhook', queue: webhookQueue },
       { name: 'scheduled-tasks', queue: scheduledTasksQueue }
     ];
     
@@ -240,6 +243,7 @@ async function getHealthStatus() {
       { name: 'statement-generate', queue: statementGenerateQueue },
       { name: 'supplier-document-import', queue: supplierDocumentQueue },
       { name: 'email', queue: emailQueue },
+      { name: 'webhook', queue: webhookQueue },
       { name: 'scheduled-tasks', queue: scheduledTasksQueue }
     ];
     
@@ -562,6 +566,42 @@ emailWorker.on('stalled', (jobId) => {
 workers.push(emailWorker);
 console.log(`✅ Email worker initialized (concurrency=${EMAIL_WORKER_CONCURRENCY}, rate=${EMAIL_RATE_MAX}/${EMAIL_RATE_DURATION_MS}ms)`);
 
+// Webhook delivery worker - requests are short and independent, so run several at once
+const webhookWorker = new Worker('webhook', async (job) => {
+  return await processWebhookDelivery(job);
+}, {
+  ...commonWorkerOptions,
+  concurrency: 5
+});
+
+webhookWorker.on('completed', (job, result) => {
+  if (result?.skipped) {
+    console.log(`🔗 Webhook job ${job.id} skipped: ${result.reason}`);
+  } else {
+    console.log(`✅ Webhook job ${job.id} delivered event=${result?.event} status=${result?.status}`);
+  }
+});
+
+webhookWorker.on('failed', async (job, err) => {
+  const attemptsMade = job.attemptsMade || 0;
+  const maxAttempts = job.opts?.attempts || 1;
+  const isPermanent = err.message?.includes('Permanent failure') || attemptsMade >= maxAttempts;
+
+  if (isPermanent) {
+    console.error(`❌ Webhook job ${job.id} PERMANENT FAILURE attempts=${attemptsMade}/${maxAttempts}: ${err.message}`);
+    await moveToDeadLetterQueue(job, err, 'webhook');
+  } else {
+    console.warn(`⚠️  Webhook job ${job.id} will retry attempt=${attemptsMade}/${maxAttempts}: ${err.message}`);
+  }
+});
+
+webhookWorker.on('error', (error) => {
+  console.error('❌ Webhook worker error:', error.message);
+});
+
+workers.push(webhookWorker);
+console.log('✅ Webhook worker initialized');
+
 // Scheduled tasks worker (for cron-like jobs)
 const scheduledTasksWorker = new Worker('scheduled-tasks', async (job) => {
   console.log(`🔄 Processing scheduled task: ${job.name} (${job.id})`);
@@ -635,6 +675,69 @@ const scheduledTasksWorker = new Worker('scheduled-tasks', async (job) => {
       return pruneResult;
     }
     
+    case 'audit-trail-retention': {
+      // Retention is fixed by policy (AUDIT_RETENTION_DAYS), not by settings
+      // admins can change; the removed range is recorded as a checkpoint so
+      // the remaining chain still verifies.
+      const { pruneAuditTrail } = require('../services/auditTrail');
+      const { logActivity, ActivityType } = require('../services/activityLogger');
+      const auditResult = await pruneAuditTrail();
+      if (auditResult.removed > 0) {
+        await logActivity({
+          type: ActivityType.AUDIT_TRAIL_PRUNED,
+          userId: 'system',
+          userEmail: 'audit-retention@system',
+          userRole: 'global_admin',
+          action: `Removed ${auditResult.removed} audit trail entr${auditResult.removed === 1 ? 'y' : 'ies'} older than ${auditResult.retentionDays} days`,
+          details: {
+            removed: auditResult.removed,
+            retentionDays: auditResult.retentionDays,
+            cutoff: auditResult.cutoff,
+            throughEntryId: auditResult.checkpoint.throughEntryId,
+            throughHash: auditResult.checkpoint.throughHash
+          },
+          userAgent: 'scheduled-job (audit-trail-retention)'
+        });
+      }
+      console.log(`✅ Audit trail retention completed: ${auditResult.removed} removed (kept ${auditResult.retentionDays}d)`);
+      return { removed: auditResult.removed, retentionDays: auditResult.retentionDays };
+    }
+    
+    case 'query-sla-escalation': {
+      const { escalateOverdueQueries } = require('../services/queryDesk');
+      const escalationResult = await escalateOverdueQueries();
+      if (escalationResult.escalated > 0) {
+        console.log(`✅ Query SLA escalation completed: ${escalationResult.escalated} quer${escalationResult.escalated === 1 ? 'y' : 'ies'} escalated`);
+      }
+      return escalationResult;
+    }
+    
+    case 'query-email-replies': {
+      const { pollQueryReplies } = require('../services/queryEmailReplies');
+      const replyResult = await pollQueryReplies();
+      if (replyResult.fetched > 0) {
+        console.log(`✅ Query email replies: ${replyResult.added} added, ${replyResult.rejected} rejected, ${replyResult.ignored} ignored, ${replyResult.failed} failed`);
+      }
+      return replyResult;
+    }
+    
+    case 'invoice-overdue-check': {
+      const { markOverdueInvoices } = require('../utils/paymentAllocation');
+      console.log('⏰ Running invoice overdue check...');
+      const overdueResult = await markOverdueInvoices();
+      console.log(`✅ Invoice overdue check completed: ${overdueResult.updated} invoice(s) marked overdue`);
+      return overdueResult;
+    }
+    
+    case 'report-delivery': {
+      const { deliverDueReports } = require('../utils/reportDelivery');
+      const deliveryResult = await deliverDueReports();
+      if (deliveryResult.due > 0) {
+        console.log(`✅ Report delivery completed: ${deliveryResult.delivered} delivered, ${deliveryResult.failed} failed`);
+      }
+      return deliveryResult;
+    }
+    
     default:
       console.warn(`⚠️  Unknown scheduled task: ${job.name}`);
       return { success: false, message: 'Unknown task' };
@@ -751,6 +854,9 @@ async function gracefulShutdown(signal) {
     await Promise.all(workers.map(worker => worker.close()));
     console.log('   ✅ Workers closed');
     
+    // Stop OCR workers (no-op unless a scan was OCR'd)
+    await require('../services/ocr/tesseractProvider').terminate();
+    
     // Close dead letter queue
     if (deadLetterQueue) {
       await deadLetterQueue.close();
@@ -251,6 +251,110 @@ async function setupScheduledJobs() {
     );
     console.log('✅ Activity log purge scheduled: Daily at midnight (00:00)');
     
+    // Schedule audit trail retention - daily; removes entries older than AUDIT_RETENTION_DAYS
+    await scheduledTasksQueue.add(
+      'audit-trail-retention',
+      { task: 'audit-trail-retention' },
+      {
+        repeat: {
+          pattern: '0 1 * * *', // Daily at 01:00
+          tz: process.env.TZ || 'Europe/London'
+        },
+        removeOnComplete: {
+          age: 30 * 24 * 3600,
+          count: 30
+        },
+        removeOnFail: {
+          age: 30 * 24 * 3600
+        }
+      }
+    );
+    console.log('✅ Audit trail retention scheduled: Daily at 01:00');
+    
+    // Schedule overdue check - daily just after midnight so invoices past their due date show as overdue
+    await scheduledTasksQueue.add(
+      'invoice-overdue-check',
+      { task: 'invoice-overdue-check' },
+      {
+        repeat: {
+          pattern: '30 0 * * *', // Daily at 00:30
+          tz: process.env.TZ || 'Europe/London'
+        },
+        removeOnComplete: {
+          age: 30 * 24 * 3600,
+          count: 30
+        },
+        removeOnFail: {
+          age: 30 * 24 * 3600
+        }
+      }
+    );
+    console.log('✅ Invoice overdue check scheduled: Daily at 00:30');
+    
+    // Schedule report delivery - hourly; the job sends whichever saved reports are due
+    await scheduledTasksQueue.add(
+      'report-delivery',
+      { task: 'report-delivery' },
+      {
+        repeat: {
+          pattern: '5 * * * *', // Every hour at :05
+          tz: process.env.TZ || 'Europe/London'
+        },
+        removeOnComplete: {
+          age: 7 * 24 * 3600,
+          count: 200
+        },
+        removeOnFail: {
+          age: 30 * 24 * 3600
+        }
+      }
+    );
+    console.log('✅ Scheduled report delivery: Hourly at :05');
+    
+    // Schedule query SLA escalation - hourly; emails about open queries past their SLA
+    await scheduledTasksQueue.add(
+      'query-sla-escalation',
+      { task: 'query-sla-escalation' },
+      {
+        repeat: {
+          pattern: '20 * * * *', // Every hour at :20
+          tz: process.env.TZ || 'Europe/London'
+        },
+        removeOnComplete: {
+          age: 7 * 24 * 3600,
+          count: 200
+        },
+        removeOnFail: {
+          age: 30 * 24 * 3600
+        }
+      }
+    );
+    console.log('✅ Query SLA escalation scheduled: Hourly at :20');
+    
+    // Schedule reading emailed replies to queries - only when a reply mailbox is configured
+    if (process.env.QUERY_REPLY_ADDRESS && process.env.QUERY_REPLY_IMAP_HOST) {
+      await scheduledTasksQueue.add(
+        'query-email-replies',
+        { task: 'query-email-replies' },
+        {
+          repeat: {
+            pattern: '*/2 * * * *', // Every 2 minutes
+            tz: process.env.TZ || 'Europe/London'
+          },
+          removeOnComplete: {
+            age: 24 * 3600,
+            count: 100
+          },
+          removeOnFail: {
+            age: 7 * 24 * 3600
+          }
+        }
+      );
+      console.log('✅ Query email replies scheduled: Every 2 minutes');
+    } else {
+      console.log('ℹ️  Query email replies not configured (QUERY_REPLY_ADDRESS, QUERY_REPLY_IMAP_HOST)');
+    }
+    
     // Get import frequency from settings
     let frequencyMinutes = 60; // Default: hourly
     let importEnabled = true;
@@ -11,8 +11,10 @@ import ValidateEmailChange from './pages/ValidateEmailChange';
 import TwoFactorSetup from './pages/TwoFactorSetup';
 import TwoFactorVerify from './pages/TwoFactorVerify';
 import TwoFactorMethodSelect from './pages/TwoFactorMethodSelect';
+import SsoCallback from './pages/SsoCallback';
 import ChangePassword from './pages/ChangePassword';
 import Settings from './pages/Settings';
+import Security from './pages/Security';
 import UserManagement from './pages/UserManagement';
 import UserView from './pages/UserView';
 import PendingAccounts from './pages/PendingAccounts';
@@ -29,12 +31,16 @@ import InvoiceEdit from './pages/InvoiceEdit';
 import CreditNotes from './pages/CreditNotes';
 import CreditNoteView from './pages/CreditNoteView';
 import CreditNoteEdit from './pages/CreditNoteEdit';
+import Payments from './pages/Payments';
 import Statements from './pages/Statements';
 import StatementView from './pages/StatementView';
 import StatementEdit from './pages/StatementEdit';
 import Unallocated from './pages/Unallocated';
 import UnallocatedView from './pages/UnallocatedView';
 import ActivityLogs from './pages/ActivityLogs';
+import AuditTrail from './pages/AuditTrail';
+import QueryDesk from './pages/QueryDesk';
+import CompanyAliases from './pages/CompanyAliases';
 import ImportData from './pages/ImportData';
 import Suppliers from './pages/Suppliers';
 import SupplierView from './pages/SupplierView';
@@ -151,6 +157,7 @@ function AppRoutes() {
       <Route path="/two-factor-setup" element={<TwoFactorSetup />} />
       <Route path="/two-factor-verify" element={<TwoFactorVerify />} />
       <Route path="/two-factor-method-select" element={<TwoFactorMethodSelect />} />
+      <Route path="/sso/callback" element={<SsoCallback />} />
       {/* Aliases for shorter 2FA routes */}
       <Route path="/2fa-setup" element={<TwoFactorSetup />} />
       <Route path="/2fa-verify" element={<TwoFactorVerify />} />
@@ -176,12 +183,15 @@ function AppRoutes() {
         
         {/* Settings - GA only */}
         <Route path="settings" element={<PermissionRoute permission="SETTINGS_VIEW"><Settings /></PermissionRoute>} />
+
+        {/* Security dashboard and login policies - GA only */}
+        <Route path="security" element={<PermissionRoute permission="SECURITY_MANAGE"><Security /></PermissionRoute>} />
         
         {/* Templates - GA only */}
         <Route path="templates" element={<PermissionRoute permission="TEMPLATES_VIEW"><Templates /></PermissionRoute>} />
         
-        {/* Reports - GA only */}
-        <Route path="reports" element={<PermissionRoute permission="REPORTS_VIEW"><Reports /></PermissionRoute>} />
+        {/* Reports - aged debt for staff, saved reports GA only */}
+        <Route path="reports" element={<PermissionRoute anyOf={['REPORTS_VIEW', 'REPORTS_AGING_VIEW']}><Reports /></PermissionRoute>} />
         
         {/* Import Data - Managers and above can import Accounts & Users */}
         <Route path="import-data" element={<PermissionRoute permission="IMPORT_DATA_VIEW"><ImportData /></PermissionRoute>} />
@@ -209,6 +219,9 @@ function AppRoutes() {
         <Route path="credit-notes/:id/view" element={<CreditNoteView />} />
         <Route path="credit-notes/:id/edit" element={<PermissionRoute permission="CREDIT_NOTES_EDIT"><CreditNoteEdit /></PermissionRoute>} />
         
+        {/* Payments - Staff roles */}
+        <Route path="payments" element={<PermissionRoute permission="PAYMENTS_VIEW"><Payments /></PermissionRoute>} />
+        
         {/* Statements - gated by STATEMENTS_ENABLED. When off, any bookmarked
             /statements URL redirects to the dashboard so users don't land on
             a blank layout outlet. Backend routes stay online for the sandbox. */}
@@ -217,13 +230,20 @@ function AppRoutes() {
         {STATEMENTS_ENABLED && <Route path="statements/:id/edit" element={<PermissionRoute permission="STATEMENTS_EDIT"><StatementEdit /></PermissionRoute>} />}
         {!STATEMENTS_ENABLED && <Route path="statements/*" element={<Navigate to="/" replace />} />}
         
+        {/* Query Desk - QUERIES_MANAGE */}
+        <Route path="queries" element={<PermissionRoute permission="QUERIES_MANAGE"><QueryDesk /></PermissionRoute>} />
+        
         {/* Unallocated - GA, Admin, Manager */}
         <Route path="unallocated" element={<PermissionRoute permission="UNALLOCATED_VIEW"><Unallocated /></PermissionRoute>} />
         <Route path="unallocated/:id/view" element={<PermissionRoute permission="UNALLOCATED_VIEW"><UnallocatedView /></PermissionRoute>} />
+        <Route path="unallocated/aliases" element={<PermissionRoute permission="UNALLOCATED_ALIASES_MANAGE"><CompanyAliases /></PermissionRoute>} />
         
         {/* Activity Logs - GA, Admin */}
         <Route path="activity-logs" element={<PermissionRoute permission="ACTIVITY_LOGS_VIEW"><ActivityLogs /></PermissionRoute>} />
         
+        {/* Audit Trail - GA, Admin */}
+        <Route path="audit-trail" element={<PermissionRoute permission="AUDIT_TRAIL_VIEW"><AuditTrail /></PermissionRoute>} />
+        
         {/* Suppliers - Staff roles (only if module enabled) */}
         <Route path="suppliers" element={<Suppliers />} />
         <Route path="suppliers/:id/edit" element={<AdminRoute><EditSupplier /></AdminRoute>} />
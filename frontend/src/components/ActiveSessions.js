@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+
+const formatDateTime = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleString('en-GB');
+};
+
+/**
+ * Active Sessions Component
+ * Lists a user's signed-in sessions (device, IP, last seen) and lets them be
+ * signed out one at a time or all together. The session making the request is
+ * marked "This device" and is never signed out from here.
+ *
+ * @param {string} endpoint - Sessions API, e.g. /api/profile/sessions or /api/users/:id/sessions
+ * @param {boolean} own - Viewing your own sessions (changes the wording)
+ */
+const ActiveSessions = ({ endpoint, own = false }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(endpoint);
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [endpoint]);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (!window.confirm(`Sign out ${session.device}${session.ipAddress ? ` (${session.ipAddress})` : ''}?`)) return;
+    try {
+      setRevoking(session.id);
+      await api.delete(`${endpoint}/${session.id}`);
+      toast.success('Session signed out');
+      fetchSessions();
+    } catch (error) {
+      toast.error('Error signing out session: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    const prompt = own
+      ? 'Sign out all other sessions? This device stays signed in.'
+      : 'Sign this user out of all sessions?';
+    if (!window.confirm(prompt)) return;
+    try {
+      setRevoking('all');
+      const response = await api.delete(endpoint);
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      toast.error('Error signing out sessions: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">Active Sessions</h3>
+        <div className="card-actions">
+          <button
+            type="button"
+            className="btn btn-outline-danger btn-sm"
+            onClick={handleRevokeAll}
+            disabled={loading || revoking !== null || otherSessions.length === 0}
+          >
+            {revoking === 'all' ? 'Signing out...' : own ? 'Sign Out Other Sessions' : 'Sign Out All'}
+          </button>
+        </div>
+      </div>
+      {loading ? (
+        <div className="card-body text-center py-4">
+          <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+        </div>
+      ) : sessions.length === 0 ? (
+        <div className="card-body text-center text-muted py-4">
+          <p className="mb-0">No active sessions</p>
+        </div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-vcenter card-table">
+            <thead>
+              <tr>
+                <th>Device</th>
+                <th>IP Address</th>
+                <th>Signed In</th>
+                <th>Last Seen</th>
+                <th className="w-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sessions.map((session) => (
+                <tr key={session.id}>
+                  <td>
+                    <div className="fw-medium">
+                      {session.device}
+                      {session.current && <span className="badge bg-success-lt ms-2">This device</span>}
+                      {session.impersonatedBy && (
+                        <span className="badge bg-warning-lt ms-2">Admin viewing as this user: {session.impersonatedBy}</span>
+                      )}
+                    </div>
+                    {session.userAgent && (
+                      <small className="text-muted text-truncate d-block" style={{ maxWidth: '320px' }} title={session.userAgent}>
+                        {session.userAgent}
+                      </small>
+                    )}
+                  </td>
+                  <td>{session.ipAddress || '-'}</td>
+                  <td>{formatDateTime(session.createdAt)}</td>
+                  <td>{formatDateTime(session.lastSeenAt)}</td>
+                  <td>
+                    {!session.current && (
+                      <button
+                        type="button"
+                        className="btn btn-ghost-danger btn-sm"
+                        onClick={() => handleRevoke(session)}
+                        disabled={revoking !== null}
+                      >
+                        {revoking === session.id ? 'Signing out...' : 'Sign Out'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
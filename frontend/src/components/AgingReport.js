@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import api, { API_BASE_URL } from '../services/api';
+import toast from '../utils/toast';
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const TYPE_BADGES = {
+  CORP: 'bg-primary-lt',
+  SUB: 'bg-azure-lt',
+  BRANCH: 'bg-secondary-lt'
+};
+
+/**
+ * Aging Report Component
+ * Aged-debt buckets per company as at a statement date, rolled up
+ * CORP -> SUB -> BRANCH. Each row shows the total for that company and
+ * everything beneath it; collapse a group to see its headline figures only.
+ */
+const AgingReport = () => {
+  const [dates, setDates] = useState([]);
+  const [statementDate, setStatementDate] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [collapsedIds, setCollapsedIds] = useState(new Set());
+  const [search, setSearch] = useState('');
+  const [driftingOnly, setDriftingOnly] = useState(false);
+
+  useEffect(() => {
+    const fetchDates = async () => {
+      try {
+        const response = await api.get('/api/reports/aging/dates');
+        setDates(response.data.dates || []);
+      } catch (error) {
+        console.error('Error fetching aging dates:', error);
+      }
+    };
+    fetchDates();
+  }, []);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/reports/aging', {
+        params: statementDate ? { statementDate } : {}
+      });
+      setReport(response.data);
+      // Start with every group collapsed to its CORP line
+      setCollapsedIds(new Set(
+        (response.data.rows || []).filter(r => r.depth === 0).map(r => r.companyId)
+      ));
+    } catch (error) {
+      console.error('Error fetching aging report:', error);
+      toast.error('Error loading aging report: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [statementDate]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const rowsById = useMemo(() => {
+    const map = new Map();
+    (report?.rows || []).forEach(row => map.set(row.companyId, row));
+    return map;
+  }, [report]);
+
+  const childCounts = useMemo(() => {
+    const counts = new Map();
+    (report?.rows || []).forEach(row => {
+      if (row.parentId && rowsById.has(row.parentId)) {
+        counts.set(row.parentId, (counts.get(row.parentId) || 0) + 1);
+      }
+    });
+    return counts;
+  }, [report, rowsById]);
+
+  const isHidden = useCallback((row) => {
+    let parentId = row.parentId;
+    while (parentId && rowsById.has(parentId)) {
+      if (collapsedIds.has(parentId)) return true;
+      parentId = rowsById.get(parentId).parentId;
+    }
+    return false;
+  }, [rowsById, collapsedIds]);
+
+  const visibleRows = useMemo(() => {
+    const rows = report?.rows || [];
+    const query = search.trim().toLowerCase();
+    if (query || driftingOnly) {
+      // Filtering shows matching rows flat, ignoring collapse state
+      return rows.filter(row => {
+        if (driftingOnly && !(row.previous && row.previous.overdueChange > 0)) return false;
+        if (query) {
+          return row.name.toLowerCase().includes(query) ||
+            String(row.referenceNo || '').includes(query);
+        }
+        return true;
+      });
+    }
+    return rows.filter(row => !isHidden(row));
+  }, [report, search, driftingOnly, isHidden]);
+
+  const toggleCollapsed = (companyId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(companyId)) next.delete(companyId); else next.add(companyId);
+      return next;
+    });
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const token = localStorage.getItem('token');
+      const params = new URLSearchParams({ format: 'xlsx' });
+      if (report?.statementDate) params.set('statementDate', report.statementDate);
+
+      const response = await fetch(`${API_BASE_URL}/api/reports/aging?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Export failed');
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = `aged-debt-${report?.statementDate || 'report'}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(downloadUrl);
+      document.body.removeChild(a);
+    } catch (error) {
+      toast.error('Error exporting aging report: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderChange = (value) => {
+    if (!value) return <span className="text-muted">-</span>;
+    // Rising debt is bad news, so up is red
+    return (
+      <span className={value > 0 ? 'text-danger' : 'text-success'}>
+        {value > 0 ? '▲' : '▼'} {formatCurrency(Math.abs(value))}
+      </span>
+    );
+  };
+
+  const buckets = report?.buckets || [];
+  const hasPrevious = !!report?.previousStatementDate;
+
+  return (
+    <>
+      <div className="row g-2 mb-3 align-items-end">
+        <div className="col-md-3">
+          <label className="form-label">Statement Date</label>
+          <select
+            className="form-select"
+            value={statementDate}
+            onChange={(e) => setStatementDate(e.target.value)}
+          >
+            <option value="">Latest{dates[0] ? ` (${formatDate(dates[0])})` : ''}</option>
+            {dates.map(date => (
+              <option key={date} value={date}>{formatDate(date)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-4">
+          <label className="form-label">Search</label>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Company name or account number..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+        <div className="col-md-3">
+          <label className="form-check form-switch mb-2">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              checked={driftingOnly}
+              onChange={(e) => setDriftingOnly(e.target.checked)}
+              disabled={!hasPrevious}
+            />
+            <span className="form-check-label">Overdue increasing only</span>
+          </label>
+        </div>
+        <div className="col-md-2 text-end">
+          <button
+            className="btn btn-outline-primary"
+            onClick={handleExport}
+            disabled={exporting || !report?.statementDate}
+          >
+            {exporting ? 'Exporting...' : 'Export XLSX'}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : !report?.statementDate ? (
+        <div className="empty">
+          <p className="empty-title">No aging data yet</p>
+          <p className="empty-text">Aging figures are captured when statements are generated from the ACR11P export.</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-muted">
+            As at {formatDate(report.statementDate)}
+            {hasPrevious && <> &middot; changes compared with {formatDate(report.previousStatementDate)}</>}
+          </p>
+          <div className="table-responsive">
+            <table className="table table-vcenter table-sm table-hover">
+              <thead>
+                <tr>
+                  <th>Company</th>
+                  {buckets.map(bucket => (
+                    <th key={bucket.key} className="text-end">{bucket.label}</th>
+                  ))}
+                  <th className="text-end">Overdue %</th>
+                  {hasPrevious && <th className="text-end">Balance Change</th>}
+                  {hasPrevious && <th className="text-end">Overdue Change</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.length === 0 ? (
+                  <tr>
+                    <td colSpan={buckets.length + (hasPrevious ? 4 : 2)} className="text-center text-muted py-4">
+                      No companies match
+                    </td>
+                  </tr>
+                ) : visibleRows.map(row => {
+                  const hasChildren = childCounts.has(row.companyId);
+                  const flat = search.trim() || driftingOnly;
+                  return (
+                    <tr key={row.companyId}>
+                      <td style={{ paddingLeft: flat ? undefined : `${0.5 + row.depth * 1.5}rem` }}>
+                        {hasChildren && !flat ? (
+                          <button
+                            type="button"
+                            className="btn btn-sm btn-ghost-secondary px-1 me-1"
+                            onClick={() => toggleCollapsed(row.companyId)}
+                            title={collapsedIds.has(row.companyId) ? 'Expand' : 'Collapse'}
+                          >
+                            {collapsedIds.has(row.companyId) ? '+' : '−'}
+                          </button>
+                        ) : null}
+                        <span className={row.depth === 0 ? 'fw-bold' : ''}>{row.name}</span>
+                        {row.type && <span className={`badge ${TYPE_BADGES[row.type] || 'bg-secondary-lt'} ms-2`}>{row.type}</span>}
+                        {row.referenceNo && <span className="text-muted small ms-2">{row.referenceNo}</span>}
+                      </td>
+                      {buckets.map(bucket => (
+                        <td key={bucket.key} className={`text-end ${bucket.key === 'totalBalance' ? 'fw-bold' : ''} ${bucket.key === 'overdue91Plus' && row.totals[bucket.key] > 0 ? 'text-danger' : ''}`}>
+                          {formatCurrency(row.totals[bucket.key])}
+                        </td>
+                      ))}
+                      <td className="text-end">{row.overduePercent.toFixed(1)}%</td>
+                      {hasPrevious && <td className="text-end">{renderChange(row.previous.change)}</td>}
+                      {hasPrevious && <td className="text-end">{renderChange(row.previous.overdueChange)}</td>}
+                    </tr>
+                  );
+                })}
+              </tbody>
+              <tfoot>
+                <tr className="fw-bold">
+                  <td>Total</td>
+                  {buckets.map(bucket => (
+                    <td key={bucket.key} className="text-end">{formatCurrency(report.totals[bucket.key])}</td>
+                  ))}
+                  <td></td>
+                  {hasPrevious && <td className="text-end">{renderChange(Math.round((report.totals.totalBalance - report.previousTotals.totalBalance) * 100) / 100)}</td>}
+                  {hasPrevious && <td></td>}
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        </>
+      )}
+    </>
+  );
+};
+
+export default AgingReport;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+
+const SCOPE_LABELS = {
+  INVOICES_VIEW: 'List invoices',
+  INVOICES_DOWNLOAD: 'Download invoices',
+  CREDIT_NOTES_VIEW: 'List credit notes',
+  CREDIT_NOTES_DOWNLOAD: 'Download credit notes',
+  STATEMENTS_VIEW: 'List statements',
+  STATEMENTS_DOWNLOAD: 'Download statements'
+};
+
+const formatDate = (date) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const getKeyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', className: 'bg-secondary-lt' };
+  if (new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', className: 'bg-warning-lt' };
+  return { label: 'Active', className: 'bg-success-lt' };
+};
+
+/**
+ * API Keys Component
+ * Personal API keys for the read-only public API (/api/v1). Each key acts as
+ * the signed-in user, limited to the scopes picked here and to the companies
+ * the user can see. The full key is only shown once, straight after creation.
+ */
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [availableScopes, setAvailableScopes] = useState([]);
+  const [expiryDaysOptions, setExpiryDaysOptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [form, setForm] = useState({ name: '', scopes: [], expiresInDays: 90 });
+  const [createdKey, setCreatedKey] = useState(null);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/profile/api-keys');
+      setApiKeys(response.data.apiKeys);
+      setAvailableScopes(response.data.availableScopes);
+      setExpiryDaysOptions(response.data.expiryDaysOptions);
+    } catch (error) {
+      console.error('Error fetching API keys:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy('create');
+      const response = await api.post('/api/profile/api-keys', {
+        name: form.name.trim(),
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays
+      });
+      setCreatedKey({ name: response.data.apiKey.name, key: response.data.key });
+      setForm({ name: '', scopes: [], expiresInDays: form.expiresInDays });
+      fetchApiKeys();
+    } catch (error) {
+      toast.error('Error creating API key: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey.key);
+      toast.success('API key copied to clipboard');
+    } catch (error) {
+      toast.error('Could not copy - select the key and copy it manually');
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Anything using it will stop working straight away.`)) return;
+    try {
+      setBusy(apiKey.id);
+      await api.delete(`/api/profile/api-keys/${apiKey.id}`);
+      toast.success('API key revoked');
+      fetchApiKeys();
+    } catch (error) {
+      toast.error('Error revoking API key: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {createdKey && (
+        <div className="alert alert-success" role="alert">
+          <h4 className="alert-title">API key "{createdKey.name}" created</h4>
+          <div className="text-secondary mb-2">Copy it now and store it somewhere safe. It will not be shown again.</div>
+          <div className="input-group">
+            <input type="text" className="form-control font-monospace" value={createdKey.key} readOnly onFocus={(e) => e.target.select()} />
+            <button type="button" className="btn btn-primary" onClick={handleCopy}>Copy</button>
+          </div>
+          <button type="button" className="btn btn-link px-0 mt-2" onClick={() => setCreatedKey(null)}>
+            I have copied the key
+          </button>
+        </div>
+      )}
+
+      <div className="card mb-4">
+        <div className="table-responsive">
+          <table className="table table-vcenter card-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Key</th>
+                <th>Scopes</th>
+                <th>Expires</th>
+                <th>Last Used</th>
+                <th>Status</th>
+                <th className="w-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {apiKeys.length === 0 ? (
+                <tr>
+                  <td colSpan="7" className="text-center text-muted py-4">No API keys yet</td>
+                </tr>
+              ) : apiKeys.map((apiKey) => {
+                const status = getKeyStatus(apiKey);
+                return (
+                  <tr key={apiKey.id}>
+                    <td className="fw-medium">{apiKey.name}</td>
+                    <td><code>{apiKey.prefix}_…</code></td>
+                    <td className="small">
+                      {apiKey.scopes.map(scope => SCOPE_LABELS[scope] || scope).join(', ')}
+                    </td>
+                    <td>{formatDate(apiKey.expiresAt)}</td>
+                    <td>
+                      {formatDate(apiKey.lastUsedAt)}
+                      {apiKey.lastUsedIp && <div className="small text-muted">{apiKey.lastUsedIp}</div>}
+                    </td>
+                    <td><span className={`badge ${status.className}`}>{status.label}</span></td>
+                    <td>
+                      {status.label === 'Active' && (
+                        <button
+                          type="button"
+                          className="btn btn-ghost-danger btn-sm"
+                          onClick={() => handleRevoke(apiKey)}
+                          disabled={busy !== null}
+                        >
+                          {busy === apiKey.id ? 'Revoking...' : 'Revoke'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {availableScopes.length === 0 ? (
+        <div className="text-muted">Your role cannot create API keys.</div>
+      ) : (
+        <form onSubmit={handleCreate}>
+          <h3 className="mb-3">Create API Key</h3>
+          <div className="row g-3 mb-3">
+            <div className="col-md-8">
+              <label className="form-label required">Name</label>
+              <input
+                type="text"
+                className="form-control"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="What will use this key, e.g. SAP invoice sync"
+                maxLength="100"
+                required
+              />
+            </div>
+            <div className="col-md-4">
+              <label className="form-label">Expires After</label>
+              <select
+                className="form-select"
+                value={form.expiresInDays}
+                onChange={(e) => setForm({ ...form, expiresInDays: parseInt(e.target.value, 10) })}
+              >
+                {expiryDaysOptions.map(days => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="mb-3">
+            <label className="form-label required">Scopes</label>
+            <div className="row">
+              {availableScopes.map(scope => (
+                <div key={scope} className="col-md-4">
+                  <label className="form-check">
+                    <input
+                      className="form-check-input"
+                      type="checkbox"
+                      checked={form.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                    />
+                    <span className="form-check-label">{SCOPE_LABELS[scope] || scope}</span>
+                  </label>
+                </div>
+              ))}
+            </div>
+            <small className="form-hint">API keys are read-only and only see the companies you can see.</small>
+          </div>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={busy !== null || !form.name.trim() || form.scopes.length === 0}
+          >
+            {busy === 'create' ? 'Creating...' : 'Create API Key'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ApiKeys;
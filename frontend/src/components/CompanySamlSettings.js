@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const toForm = (config) => ({
+  enabled: config.enabled,
+  emailDomains: (config.emailDomains || []).join(', '),
+  idpEntityId: config.idpEntityId || '',
+  idpSsoUrl: config.idpSsoUrl || '',
+  newCertificate: '',
+  emailAttribute: config.emailAttribute || '',
+  autoProvision: config.autoProvision,
+  allowPasswordLogin: config.allowPasswordLogin
+});
+
+/**
+ * Company SAML Settings Component
+ * SAML 2.0 single sign-on for a CORP customer: their identity provider
+ * (from uploaded metadata or entered by hand), the email domains routed to
+ * it, and the service provider details to give the customer's IT team.
+ * Users who sign in this way become External Users of the company and
+ * everything below it.
+ *
+ * @param {string} companyId - CORP company ID
+ */
+const CompanySamlSettings = ({ companyId }) => {
+  const [config, setConfig] = useState(null);
+  const [form, setForm] = useState(null);
+  const [metadataFile, setMetadataFile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchConfig = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/sso/saml/companies/${companyId}`);
+      setConfig(response.data);
+      setForm(toForm(response.data));
+      setMetadataFile(null);
+    } catch (error) {
+      console.error('Error fetching SAML configuration:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [companyId]);
+
+  useEffect(() => {
+    fetchConfig();
+  }, [fetchConfig]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleMetadataFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      setMetadataFile(null);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setMetadataFile({ name: file.name, xml: reader.result });
+    reader.onerror = () => toast.error('Could not read the metadata file');
+    reader.readAsText(file);
+  };
+
+  const handleSave = async () => {
+    const body = {
+      enabled: form.enabled,
+      emailDomains: form.emailDomains,
+      emailAttribute: form.emailAttribute,
+      autoProvision: form.autoProvision,
+      allowPasswordLogin: form.allowPasswordLogin
+    };
+    if (metadataFile) {
+      body.metadataXml = metadataFile.xml;
+    } else {
+      body.idpEntityId = form.idpEntityId;
+      body.idpSsoUrl = form.idpSsoUrl;
+      if (form.newCertificate.trim()) {
+        body.certificates = [form.newCertificate];
+      }
+    }
+
+    try {
+      setSaving(true);
+      const response = await api.put(`/api/sso/saml/companies/${companyId}`, body);
+      setConfig(response.data);
+      setForm(toForm(response.data));
+      setMetadataFile(null);
+      toast.success('Single sign-on settings saved');
+    } catch (error) {
+      toast.error('Error saving single sign-on settings: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Remove single sign-on for this company? Its users will need a portal password to sign in.')) return;
+    try {
+      setSaving(true);
+      const response = await api.delete(`/api/sso/saml/companies/${companyId}`);
+      setConfig(response.data);
+      setForm(toForm(response.data));
+      setMetadataFile(null);
+      toast.success('Single sign-on removed');
+    } catch (error) {
+      toast.error('Error removing single sign-on: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !form) {
+    return (
+      <div className="card mt-3">
+        <div className="card-body text-center py-4">
+          <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+        </div>
+      </div>
+    );
+  }
+
+  const serviceProvider = config.serviceProvider || {};
+
+  return (
+    <div className="card mt-3">
+      <div className="card-header">
+        <h3 className="card-title">Single Sign-On (SAML)</h3>
+        <div className="card-actions">
+          {config.enabled ? (
+            <span className="badge bg-success-lt">Enabled</span>
+          ) : (
+            <span className="badge bg-secondary-lt">{config.configured ? 'Disabled' : 'Not set up'}</span>
+          )}
+        </div>
+      </div>
+      <div className="card-body">
+        <p className="text-muted">
+          Users with these email domains sign in through the customer's own identity provider and are
+          added as External Users of this company and all of its subsidiaries and branches.
+        </p>
+
+        <div className="mb-3">
+          <label className="form-check form-switch">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => handleChange('enabled', e.target.checked)}
+            />
+            <span className="form-check-label">Enable SAML sign-in</span>
+          </label>
+        </div>
+
+        <div className="mb-3">
+          <label className="form-label required">Email Domains</label>
+          <input
+            type="text"
+            className="form-control"
+            value={form.emailDomains}
+            onChange={(e) => handleChange('emailDomains', e.target.value)}
+            placeholder="customer.co.uk, customer-group.com"
+          />
+          <small className="form-hint">Comma-separated. Each domain can only belong to one company.</small>
+        </div>
+
+        <h4 className="mt-4">Identity Provider</h4>
+        <div className="mb-3">
+          <label className="form-label">Metadata XML</label>
+          <input
+            type="file"
+            className="form-control"
+            accept=".xml,application/xml,text/xml"
+            onChange={handleMetadataFile}
+          />
+          <small className="form-hint">
+            {metadataFile
+              ? `${metadataFile.name} will replace the identity provider details below when saved.`
+              : 'Upload the metadata file from the customer, or enter the details by hand.'}
+          </small>
+        </div>
+        <div className="row g-3 mb-3">
+          <div className="col-md-6">
+            <label className="form-label">Entity ID</label>
+            <input
+              type="text"
+              className="form-control"
+              value={form.idpEntityId}
+              onChange={(e) => handleChange('idpEntityId', e.target.value)}
+              disabled={!!metadataFile}
+            />
+          </div>
+          <div className="col-md-6">
+            <label className="form-label">SSO URL (HTTP-Redirect)</label>
+            <input
+              type="url"
+              className="form-control"
+              value={form.idpSsoUrl}
+              onChange={(e) => handleChange('idpSsoUrl', e.target.value)}
+              disabled={!!metadataFile}
+            />
+          </div>
+        </div>
+        <div className="mb-3">
+          <label className="form-label">Signing Certificates</label>
+          {config.certificates?.length > 0 ? (
+            <div className="list-group list-group-flush mb-2">
+              {config.certificates.map((certificate, index) => (
+                <div key={index} className="list-group-item px-0 py-2">
+                  {certificate.invalid ? (
+                    <span className="text-danger">Unreadable certificate</span>
+                  ) : (
+                    <>
+                      <div className="fw-bold small">{certificate.subject}</div>
+                      <div className={`small ${new Date(certificate.validTo) < new Date() ? 'text-danger' : 'text-muted'}`}>
+                        Expires {formatDate(certificate.validTo)}
+                      </div>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-muted small mb-2">No certificate yet</div>
+          )}
+          <textarea
+            className="form-control font-monospace"
+            rows={3}
+            value={form.newCertificate}
+            onChange={(e) => handleChange('newCertificate', e.target.value)}
+            placeholder="-----BEGIN CERTIFICATE----- (replaces the certificates above)"
+            disabled={!!metadataFile}
+          />
+        </div>
+        <div className="mb-3">
+          <label className="form-label">Email Attribute</label>
+          <input
+            type="text"
+            className="form-control"
+            value={form.emailAttribute}
+            onChange={(e) => handleChange('emailAttribute', e.target.value)}
+            placeholder="Automatic (email, mail, or an email NameID)"
+          />
+        </div>
+
+        <h4 className="mt-4">Accounts</h4>
+        <div className="mb-2">
+          <label className="form-check form-switch">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              checked={form.autoProvision}
+              onChange={(e) => handleChange('autoProvision', e.target.checked)}
+            />
+            <span className="form-check-label">Create accounts on first sign-in</span>
+          </label>
+        </div>
+        <div className="mb-3">
+          <label className="form-check form-switch">
+            <input
+              className="form-check-input"
+              type="checkbox"
+              checked={form.allowPasswordLogin}
+              onChange={(e) => handleChange('allowPasswordLogin', e.target.checked)}
+            />
+            <span className="form-check-label">Still allow portal passwords for these domains</span>
+          </label>
+        </div>
+
+        <h4 className="mt-4">Details for the Customer's IT Team</h4>
+        <div className="row mb-2">
+          <div className="col-md-4 text-muted">Entity ID</div>
+          <div className="col-md-8"><code className="text-break">{serviceProvider.entityId}</code></div>
+        </div>
+        <div className="row mb-2">
+          <div className="col-md-4 text-muted">ACS URL</div>
+          <div className="col-md-8"><code className="text-break">{serviceProvider.acsUrl}</code></div>
+        </div>
+        {config.configured && (
+          <div className="row mb-2">
+            <div className="col-md-4 text-muted">Metadata</div>
+            <div className="col-md-8">
+              <a href={serviceProvider.metadataUrl} target="_blank" rel="noopener noreferrer">Download SP metadata</a>
+            </div>
+          </div>
+        )}
+      </div>
+      <div className="card-footer">
+        <div className="btn-list justify-content-end">
+          {config.configured && (
+            <button className="btn btn-outline-danger" onClick={handleRemove} disabled={saving}>
+              Remove
+            </button>
+          )}
+          <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompanySamlSettings;
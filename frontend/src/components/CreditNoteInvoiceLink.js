@@ -0,0 +1,329 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { usePermissions } from '../context/PermissionContext';
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const describeLink = (link) => {
+  if (!link) return null;
+  if (link.source === 'manual') {
+    return `Linked by ${link.linkedByName || 'a user'} on ${formatDate(link.linkedAt)}`;
+  }
+  return link.citedByInvoice
+    ? 'Matched on import - the invoice refers to this credit note'
+    : `Matched on import from reference ${link.reference}`;
+};
+
+/**
+ * Credit Note Invoice Link Component
+ * Shows the invoice a credit note credits. Users with CREDIT_NOTES_EDIT can
+ * link it to an invoice of the same company, change the link or remove it.
+ *
+ * @param {Object} creditNote - Credit note being viewed (needs id)
+ */
+const CreditNoteInvoiceLink = ({ creditNote }) => {
+  const { hasPermission } = usePermissions();
+  const [linkInfo, setLinkInfo] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [search, setSearch] = useState('');
+  const [candidates, setCandidates] = useState([]);
+  const [loadingCandidates, setLoadingCandidates] = useState(false);
+  const [selectedInvoiceId, setSelectedInvoiceId] = useState('');
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = hasPermission('CREDIT_NOTES_EDIT');
+
+  const fetchLink = useCallback(async () => {
+    if (!creditNote?.id) return;
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/credit-notes/${creditNote.id}/invoice-link`);
+      setLinkInfo(response.data);
+    } catch (error) {
+      console.error('Error fetching credit note invoice link:', error);
+      setLinkInfo(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [creditNote?.id]);
+
+  useEffect(() => {
+    fetchLink();
+  }, [fetchLink]);
+
+  const fetchCandidates = async (term) => {
+    try {
+      setLoadingCandidates(true);
+      const response = await api.get(`/api/credit-notes/${creditNote.id}/invoice-candidates`, {
+        params: { search: term || undefined }
+      });
+      setCandidates(response.data.invoices || []);
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      toast.error('Error loading invoices: ' + (error.response?.data?.message || error.message));
+      setCandidates([]);
+    } finally {
+      setLoadingCandidates(false);
+    }
+  };
+
+  const openModal = () => {
+    setSearch('');
+    setSelectedInvoiceId('');
+    setReason('');
+    setShowModal(true);
+    fetchCandidates('');
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    fetchCandidates(search.trim());
+  };
+
+  const handleLink = async () => {
+    if (!selectedInvoiceId) {
+      toast.error('Please select an invoice');
+      return;
+    }
+    try {
+      setSaving(true);
+      const response = await api.put(`/api/credit-notes/${creditNote.id}/invoice-link`, {
+        invoiceId: selectedInvoiceId,
+        reason: reason.trim() || undefined
+      });
+      toast.success(response.data.message || 'Credit note linked');
+      setShowModal(false);
+      await fetchLink();
+    } catch (error) {
+      console.error('Error linking credit note:', error);
+      toast.error('Error linking credit note: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnlink = async () => {
+    if (!window.confirm(`Unlink this credit note from invoice ${linkInfo.invoice.invoiceNumber}? It won't be linked again automatically.`)) {
+      return;
+    }
+    try {
+      const response = await api.delete(`/api/credit-notes/${creditNote.id}/invoice-link`);
+      toast.success(response.data.message || 'Credit note unlinked');
+      await fetchLink();
+    } catch (error) {
+      console.error('Error unlinking credit note:', error);
+      toast.error('Error unlinking credit note: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  if (!creditNote) return null;
+
+  const invoice = linkInfo?.invoice;
+
+  return (
+    <div className="card mt-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h3 className="card-title">Credited Invoice</h3>
+        {canEdit && linkInfo && creditNote.companyId && (
+          <div className="btn-list">
+            <button className="btn btn-sm btn-primary" onClick={openModal}>
+              {invoice ? 'Change' : 'Link Invoice'}
+            </button>
+            {invoice && (
+              <button className="btn btn-sm btn-ghost-danger" onClick={handleUnlink}>
+                Unlink
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="text-center py-4">
+            <div className="spinner-border spinner-border-sm" role="status">
+              <span className="visually-hidden">Loading...</span>
+            </div>
+          </div>
+        ) : !linkInfo ? (
+          <p className="text-muted mb-0">Invoice link unavailable</p>
+        ) : invoice ? (
+          <>
+            <div className="list-group list-group-flush">
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Invoice</span>
+                  {invoice.deleted ? (
+                    <span>{invoice.invoiceNumber} <span className="badge bg-red-lt ms-1">Deleted</span></span>
+                  ) : (
+                    <Link to={`/invoices/${invoice.id}/view`}>{invoice.invoiceNumber}</Link>
+                  )}
+                </div>
+              </div>
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Invoice Date</span>
+                  <span>{formatDate(invoice.issueDate)}</span>
+                </div>
+              </div>
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Invoice Amount</span>
+                  <span>{formatCurrency(invoice.amount)}</span>
+                </div>
+              </div>
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Outstanding</span>
+                  <span>{formatCurrency(invoice.outstanding)}</span>
+                </div>
+              </div>
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Credit Not Yet Applied</span>
+                  <span>{formatCurrency(linkInfo.remainingCredit)}</span>
+                </div>
+              </div>
+            </div>
+            {linkInfo.link && (
+              <small className="text-muted d-block mt-2">{describeLink(linkInfo.link)}</small>
+            )}
+          </>
+        ) : (
+          <p className="text-muted mb-0">
+            Not linked to an invoice.
+            {linkInfo.invoiceReference && (
+              <> The credit note refers to invoice <strong>{linkInfo.invoiceReference}</strong>, which hasn't been found for this account.</>
+            )}
+          </p>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog modal-lg">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Link to Invoice</h5>
+                <button type="button" className="btn-close" onClick={() => setShowModal(false)}></button>
+              </div>
+              <div className="modal-body">
+                <form className="input-group mb-3" onSubmit={handleSearch}>
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Search invoice number..."
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    disabled={saving}
+                  />
+                  <button type="submit" className="btn btn-outline-primary" disabled={loadingCandidates || saving}>
+                    Search
+                  </button>
+                </form>
+
+                {loadingCandidates ? (
+                  <div className="text-center py-4">
+                    <div className="spinner-border spinner-border-sm" role="status">
+                      <span className="visually-hidden">Loading...</span>
+                    </div>
+                  </div>
+                ) : candidates.length === 0 ? (
+                  <p className="text-muted">No invoices found for this account</p>
+                ) : (
+                  <div className="table-responsive mb-3" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+                    <table className="table table-sm table-vcenter table-hover mb-0">
+                      <thead>
+                        <tr>
+                          <th></th>
+                          <th>Invoice</th>
+                          <th>Date</th>
+                          <th className="text-end">Amount</th>
+                          <th className="text-end">Outstanding</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {candidates.map(candidate => (
+                          <tr
+                            key={candidate.id}
+                            onClick={() => !saving && candidate.id !== invoice?.id && setSelectedInvoiceId(candidate.id)}
+                            style={{ cursor: 'pointer' }}
+                            className={selectedInvoiceId === candidate.id ? 'table-active' : ''}
+                          >
+                            <td>
+                              <input
+                                type="radio"
+                                className="form-check-input"
+                                name="invoice-link"
+                                checked={selectedInvoiceId === candidate.id}
+                                onChange={() => setSelectedInvoiceId(candidate.id)}
+                                disabled={saving || candidate.id === invoice?.id}
+                              />
+                            </td>
+                            <td>
+                              {candidate.invoiceNumber}
+                              {candidate.referenced && (
+                                <span className="badge bg-green-lt ms-2" title="This invoice number appears on the credit note">Referenced</span>
+                              )}
+                              {candidate.id === invoice?.id && (
+                                <span className="badge bg-secondary-lt ms-2">Current</span>
+                              )}
+                            </td>
+                            <td>{formatDate(candidate.issueDate)}</td>
+                            <td className="text-end">{formatCurrency(candidate.amount)}</td>
+                            <td className="text-end">{formatCurrency(candidate.outstanding)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+
+                <div>
+                  <label className="form-label">Reason</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Optional - recorded in the edit history"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    disabled={saving}
+                  />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)} disabled={saving}>
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-primary"
+                  onClick={handleLink}
+                  disabled={saving || !selectedInvoiceId || selectedInvoiceId === invoice?.id}
+                >
+                  {saving ? 'Linking...' : 'Link Invoice'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CreditNoteInvoiceLink;
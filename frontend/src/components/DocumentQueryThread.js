@@ -0,0 +1,555 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { useAuth } from '../context/AuthContext';
+import { usePermissions } from '../context/PermissionContext';
+
+export const CATEGORY_LABELS = {
+  pricing: 'Pricing',
+  delivery: 'Delivery',
+  duplicate: 'Duplicate',
+  short_shipment: 'Short shipment',
+  other: 'Other'
+};
+
+export const SLA_BADGES = {
+  breached: { label: 'SLA breached', className: 'bg-danger' },
+  due_soon: { label: 'Due soon', className: 'bg-warning' },
+  on_track: { label: 'On track', className: 'bg-success-lt' }
+};
+
+const formatMessageTime = (timestamp) => {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  return date.toLocaleString('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Document Query Thread Component
+ * The query conversation on an invoice or credit note: messages with
+ * attachments, sending and replying, resolving, and for the query desk
+ * (QUERIES_MANAGE) assignment, category, SLA and internal notes.
+ *
+ * @param {string} documentType - 'invoice' or 'credit_note'
+ * @param {string} documentId
+ * @param {string} documentLabel - e.g. 'invoice', used in prompts
+ * @param {Object|null} thread - Query from GET /api/document-queries/:type/:id
+ * @param {Object[]} messages - Messages from the same response
+ * @param {boolean} loading
+ * @param {Function} onChange - Called with 'message', 'resolved' or 'updated' after a change
+ */
+const DocumentQueryThread = ({ documentType, documentId, documentLabel, thread, messages, loading, onChange }) => {
+  const { user: currentUser } = useAuth();
+  const { hasPermission } = usePermissions();
+  const [newMessage, setNewMessage] = useState('');
+  const [sendingMessage, setSendingMessage] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null); // Message ID being replied to
+  const [files, setFiles] = useState([]);
+  const [internal, setInternal] = useState(false);
+  const [newCategory, setNewCategory] = useState('');
+  const [showResolveModal, setShowResolveModal] = useState(false);
+  const [resolutionReason, setResolutionReason] = useState('');
+  const [resolving, setResolving] = useState(false);
+  const [assignees, setAssignees] = useState([]);
+  const [updatingDesk, setUpdatingDesk] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const isCustomer = currentUser?.role === 'external_user';
+  const canManage = hasPermission('QUERIES_MANAGE');
+  const canResolve = hasPermission('QUERIES_RESOLVE');
+  const baseUrl = `/api/document-queries/${documentType}/${documentId}`;
+
+  useEffect(() => {
+    if (!canManage) return;
+    api.get('/api/document-queries/assignees')
+      .then(response => setAssignees(response.data.users || []))
+      .catch(() => setAssignees([]));
+  }, [canManage]);
+
+  // Scroll to the newest message when the thread loads
+  useEffect(() => {
+    const container = document.getElementById('query-messages-container');
+    if (container) {
+      container.scrollTop = container.scrollHeight;
+    }
+  }, [messages]);
+
+  // Helper to find message by ID (for threading display)
+  const findMessageById = (messageId) => {
+    return messages.find(m => m.id === messageId);
+  };
+
+  const resetComposer = () => {
+    setNewMessage('');
+    setReplyingTo(null);
+    setFiles([]);
+    setInternal(false);
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleSend = async () => {
+    if (!newMessage.trim()) {
+      toast.error('Please enter a message');
+      return;
+    }
+
+    // Both customers and staff can send messages (creates or adds to thread);
+    // replies to a specific message go to /reply
+    const formData = new FormData();
+    formData.append('message', newMessage.trim());
+    if (replyingTo) formData.append('replyTo', replyingTo);
+    if (internal) formData.append('internal', 'true');
+    if (!thread && newCategory) formData.append('category', newCategory);
+    files.forEach(file => formData.append('attachments', file));
+
+    try {
+      setSendingMessage(true);
+      const response = await api.post(thread && replyingTo ? `${baseUrl}/reply` : baseUrl, formData);
+
+      if (response.data.success) {
+        toast.success(internal ? 'Internal note added' : 'Message sent successfully');
+        resetComposer();
+        setNewCategory('');
+        onChange('message');
+      }
+    } catch (error) {
+      console.error('Error sending query message:', error);
+      toast.error('Error sending message: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSendingMessage(false);
+    }
+  };
+
+  const handleResolveQuery = async () => {
+    if (!resolutionReason.trim()) {
+      toast.error('Please provide a resolution reason');
+      return;
+    }
+
+    try {
+      setResolving(true);
+      const response = await api.post(`${baseUrl}/resolve`, {
+        resolutionReason: resolutionReason.trim()
+      });
+
+      if (response.data.success) {
+        toast.success('Query resolved successfully');
+        setShowResolveModal(false);
+        setResolutionReason('');
+        onChange('resolved');
+      }
+    } catch (error) {
+      console.error('Error resolving query:', error);
+      toast.error('Error resolving query: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleDeskChange = async (changes) => {
+    try {
+      setUpdatingDesk(true);
+      await api.put(`${baseUrl}/desk`, changes);
+      toast.success('Query updated');
+      onChange('updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error updating query');
+    } finally {
+      setUpdatingDesk(false);
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      const response = await api.get(`${baseUrl}/attachments/${attachment.id}`, { responseType: 'blob' });
+      const blobUrl = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.setAttribute('download', attachment.fileName);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      toast.error('Error downloading attachment');
+    }
+  };
+
+  const slaBadge = thread?.slaState ? SLA_BADGES[thread.slaState] : null;
+
+  return (
+    <>
+      <div className="card mt-3">
+        <div className="card-header d-flex justify-content-between align-items-center">
+          <h3 className="card-title">
+            Queries
+            {thread?.category && (
+              <span className="badge bg-azure-lt ms-2">{CATEGORY_LABELS[thread.category]}</span>
+            )}
+          </h3>
+          <div className="d-flex align-items-center gap-2">
+            {slaBadge && (
+              <span className={`badge ${slaBadge.className}`} title={thread.slaDueAt ? `Due ${formatMessageTime(thread.slaDueAt)}` : ''}>
+                {slaBadge.label}
+              </span>
+            )}
+            {thread?.status === 'resolved' && (
+              <span className="badge bg-success">Resolved</span>
+            )}
+            {thread && thread.status !== 'resolved' && canResolve && (
+              <button
+                className="btn btn-sm btn-success"
+                onClick={() => setShowResolveModal(true)}
+              >
+                Resolve Query
+              </button>
+            )}
+          </div>
+        </div>
+        {canManage && thread && (
+          <div className="card-body border-bottom py-2">
+            <div className="row g-2 align-items-center">
+              <div className="col-md-4">
+                <label className="form-label small text-secondary mb-1">Assigned to</label>
+                <select
+                  className="form-select form-select-sm"
+                  value={thread.assignedTo || ''}
+                  onChange={(e) => handleDeskChange({ assignedTo: e.target.value || null })}
+                  disabled={updatingDesk}
+                >
+                  <option value="">Unassigned</option>
+                  {assignees.map(user => (
+                    <option key={user.id} value={user.id}>{user.name || user.email}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-4">
+                <label className="form-label small text-secondary mb-1">Category</label>
+                <select
+                  className="form-select form-select-sm"
+                  value={thread.category || ''}
+                  onChange={(e) => handleDeskChange({ category: e.target.value || null })}
+                  disabled={updatingDesk}
+                >
+                  <option value="">Uncategorised</option>
+                  {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-4 small">
+                <div className="text-secondary">SLA</div>
+                {thread.slaDueAt ? (
+                  <div>
+                    Due {formatMessageTime(thread.slaDueAt)}
+                    {thread.escalationLevel > 0 && (
+                      <span className="badge bg-danger-lt ms-1">Escalated{thread.escalationLevel > 1 ? ' ×2' : ''}</span>
+                    )}
+                  </div>
+                ) : (
+                  <div className="text-secondary">No SLA</div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+        <div className="card-body">
+          {loading ? (
+            <div className="text-center py-4">
+              <div className="spinner-border spinner-border-sm" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+            </div>
+          ) : (
+            <>
+              <div
+                className="chat-bubbles"
+                id="query-messages-container"
+                style={{ maxHeight: '400px', overflowY: 'auto', padding: '1rem', marginBottom: '1rem' }}
+              >
+                {thread?.status === 'resolved' && (
+                  <div className="alert alert-info mb-3">
+                    <strong>This query has been resolved.</strong>
+                    {thread.resolutionReason && (
+                      <div className="mt-2">
+                        <strong>Resolution:</strong> {thread.resolutionReason}
+                      </div>
+                    )}
+                    {thread.resolvedAt && (
+                      <div className="mt-1 text-muted" style={{ fontSize: '0.875rem' }}>
+                        Resolved on {formatMessageTime(thread.resolvedAt)}
+                      </div>
+                    )}
+                    {isCustomer && (
+                      <div className="mt-2">
+                        <em>This conversation is closed. For further questions, please contact support via email.</em>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {messages.length === 0 ? (
+                  <div className="text-center text-muted py-4">
+                    {isCustomer ? (
+                      <p>No queries yet. Start a conversation below.</p>
+                    ) : (
+                      <p>No queries yet. You can start a conversation with the customer below.</p>
+                    )}
+                  </div>
+                ) : (
+                  messages.map((msg) => {
+                    const isCurrentUser = msg.userId === currentUser?.id;
+                    const repliedToMessage = msg.replyTo ? findMessageById(msg.replyTo) : null;
+                    return (
+                      <div key={msg.id} className="chat-item mb-3">
+                        <div className={`row align-items-end ${isCurrentUser ? 'justify-content-end' : ''}`}>
+                          <div className={`col col-lg-8 ${isCurrentUser ? 'order-2' : ''}`}>
+                            {repliedToMessage && (
+                              <div className="mb-1" style={{ fontSize: '0.875rem', opacity: 0.7, paddingLeft: '1rem', borderLeft: '2px solid #ccc' }}>
+                                <em>Replying to: {repliedToMessage.userName || repliedToMessage.userEmail}</em>
+                                <div style={{ fontSize: '0.75rem', marginTop: '0.25rem' }}>
+                                  {repliedToMessage.message.substring(0, 100)}{repliedToMessage.message.length > 100 ? '...' : ''}
+                                </div>
+                              </div>
+                            )}
+                            <div
+                              className={`chat-bubble ${isCurrentUser && !msg.internal ? 'chat-bubble-me' : ''}`}
+                              style={msg.internal ? { backgroundColor: 'var(--tblr-yellow-lt)', border: '1px dashed var(--tblr-yellow)' } : undefined}
+                            >
+                              <div className="chat-bubble-title">
+                                <div className="row">
+                                  <div className="col chat-bubble-author">
+                                    {msg.userName || msg.userEmail || 'Unknown User'}
+                                    {msg.userRole && (
+                                      <span className="badge bg-secondary-lt ms-2" style={{ fontSize: '0.7rem' }}>
+                                        {msg.userRole === 'external_user' ? 'Customer' : 'Staff'}
+                                      </span>
+                                    )}
+                                    {msg.internal && (
+                                      <span className="badge bg-yellow ms-2" style={{ fontSize: '0.7rem' }}>Internal note</span>
+                                    )}
+                                    {msg.source === 'email' && (
+                                      <span className="badge bg-azure-lt ms-2" style={{ fontSize: '0.7rem' }} title="Sent as a reply to a notification email">By email</span>
+                                    )}
+                                  </div>
+                                  <div className="col-auto chat-bubble-date">
+                                    {formatMessageTime(msg.createdAt)}
+                                  </div>
+                                </div>
+                              </div>
+                              <div className="chat-bubble-body">
+                                <p style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{msg.message}</p>
+                                {msg.attachments?.length > 0 && (
+                                  <div className="mt-2 d-flex flex-wrap gap-1">
+                                    {msg.attachments.map(attachment => (
+                                      <button
+                                        key={attachment.id}
+                                        type="button"
+                                        className="btn btn-sm btn-outline-secondary"
+                                        onClick={() => handleDownloadAttachment(attachment)}
+                                        title={`Download ${attachment.fileName}`}
+                                      >
+                                        📎 {attachment.fileName}
+                                        <span className="text-secondary ms-1">({formatFileSize(attachment.size)})</span>
+                                      </button>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+                            {!isCurrentUser && !msg.internal && thread?.status !== 'resolved' && (
+                              <button
+                                className="btn btn-sm btn-link p-0 mt-1"
+                                style={{ fontSize: '0.75rem' }}
+                                onClick={() => {
+                                  setReplyingTo(msg.id);
+                                  document.getElementById('query-message-input')?.focus();
+                                }}
+                              >
+                                Reply
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })
+                )}
+              </div>
+              {thread?.status !== 'resolved' && (
+                <div className="border-top pt-3">
+                  {replyingTo && (
+                    <div className="alert alert-info mb-2 py-2">
+                      <div className="d-flex justify-content-between align-items-center">
+                        <small>
+                          <strong>Replying to:</strong> {findMessageById(replyingTo)?.userName || findMessageById(replyingTo)?.userEmail}
+                          <button
+                            className="btn btn-sm btn-link p-0 ms-2"
+                            onClick={() => setReplyingTo(null)}
+                          >
+                            Cancel
+                          </button>
+                        </small>
+                      </div>
+                    </div>
+                  )}
+                  {!thread && (
+                    <div className="mb-2">
+                      <label className="form-label">What is the query about?</label>
+                      <select className="form-select" value={newCategory} onChange={(e) => setNewCategory(e.target.value)} disabled={sendingMessage}>
+                        <option value="">Choose a category (optional)</option>
+                        {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  <div className="mb-2">
+                    <label className="form-label">
+                      {messages.length === 0
+                        ? (isCustomer ? `Send a query about this ${documentLabel}` : 'Send a query to customer')
+                        : internal ? 'Internal note (staff only - not sent to the customer)'
+                          : replyingTo ? 'Reply to message' : 'Send a message'}
+                    </label>
+                    <textarea
+                      id="query-message-input"
+                      className="form-control"
+                      rows="3"
+                      placeholder={messages.length === 0
+                        ? (isCustomer
+                          ? `Enter your question or concern about this ${documentLabel}...`
+                          : 'Enter your question for the customer...')
+                        : internal ? 'Enter a note for colleagues...'
+                          : replyingTo ? 'Enter your reply...' : 'Enter your message...'}
+                      value={newMessage}
+                      onChange={(e) => setNewMessage(e.target.value)}
+                      disabled={sendingMessage}
+                    />
+                  </div>
+                  <div className="d-flex justify-content-between align-items-center gap-2 flex-wrap">
+                    <div className="d-flex align-items-center gap-3">
+                      <input
+                        ref={fileInputRef}
+                        type="file"
+                        className="form-control form-control-sm"
+                        multiple
+                        accept=".pdf,.png,.jpg,.jpeg,.gif,.webp,.csv,.xlsx,.xls,.doc,.docx,.txt,.eml,.msg"
+                        onChange={(e) => setFiles(Array.from(e.target.files).slice(0, 5))}
+                        disabled={sendingMessage}
+                        style={{ maxWidth: '280px' }}
+                      />
+                      {canManage && thread && (
+                        <label className="form-check form-switch mb-0">
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            checked={internal}
+                            onChange={(e) => setInternal(e.target.checked)}
+                            disabled={sendingMessage}
+                          />
+                          <span className="form-check-label">Internal note</span>
+                        </label>
+                      )}
+                    </div>
+                    <button
+                      type="button"
+                      className={`btn ${internal ? 'btn-warning' : 'btn-primary'}`}
+                      onClick={handleSend}
+                      disabled={sendingMessage || !newMessage.trim()}
+                    >
+                      {sendingMessage
+                        ? 'Sending...'
+                        : internal ? 'Add Note'
+                          : (messages.length === 0 ? 'Send Query' : replyingTo ? 'Reply' : 'Send Message')}
+                    </button>
+                  </div>
+                  {files.length > 0 && (
+                    <div className="text-secondary small mt-1">
+                      {files.length} file{files.length === 1 ? '' : 's'} attached (up to 5, 10MB each)
+                    </div>
+                  )}
+                </div>
+              )}
+              {thread?.status === 'resolved' && isCustomer && (
+                <div className="border-top pt-3">
+                  <div className="alert alert-warning mb-0">
+                    <em>This query has been resolved and is closed. For further questions, please contact support via email.</em>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Resolve Query Modal */}
+      {showResolveModal && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Resolve Query</h5>
+                <button
+                  type="button"
+                  className="btn-close"
+                  onClick={() => {
+                    setShowResolveModal(false);
+                    setResolutionReason('');
+                  }}
+                ></button>
+              </div>
+              <div className="modal-body">
+                <p>Please provide a reason for resolving this query. Once resolved, external users will not be able to reply.</p>
+                <div className="mb-3">
+                  <label className="form-label">Resolution Reason *</label>
+                  <textarea
+                    className="form-control"
+                    rows="4"
+                    placeholder="Enter the reason for resolving this query..."
+                    value={resolutionReason}
+                    onChange={(e) => setResolutionReason(e.target.value)}
+                    disabled={resolving}
+                  />
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => {
+                    setShowResolveModal(false);
+                    setResolutionReason('');
+                  }}
+                  disabled={resolving}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-success"
+                  onClick={handleResolveQuery}
+                  disabled={resolving || !resolutionReason.trim()}
+                >
+                  {resolving ? 'Resolving...' : 'Resolve Query'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default DocumentQueryThread;
@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+const getMinutesLeft = (expiresAt) => Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 60000));
+
+/**
+ * Impersonation Banner Component
+ * Shown on every page while an admin is viewing as another user. The session
+ * is read-only and ends by itself at expiresAt (the next request then returns
+ * the admin to their own session).
+ */
+const ImpersonationBanner = () => {
+  const { user, impersonation, stopImpersonation } = useAuth();
+  const [minutesLeft, setMinutesLeft] = useState(() => impersonation ? getMinutesLeft(impersonation.expiresAt) : 0);
+  const [stopping, setStopping] = useState(false);
+
+  useEffect(() => {
+    if (!impersonation) return undefined;
+    setMinutesLeft(getMinutesLeft(impersonation.expiresAt));
+    const timer = setInterval(() => setMinutesLeft(getMinutesLeft(impersonation.expiresAt)), 30000);
+    return () => clearInterval(timer);
+  }, [impersonation]);
+
+  if (!impersonation) {
+    return null;
+  }
+
+  const handleStop = async () => {
+    setStopping(true);
+    await stopImpersonation();
+  };
+
+  return (
+    <div className="alert alert-warning alert-important rounded-0 mb-0 d-flex align-items-center sticky-top" role="alert">
+      <div className="flex-fill">
+        <strong>Viewing as {user?.name} ({user?.email})</strong> - read-only. Everything you open is recorded in the activity log.
+        {' '}{minutesLeft > 0 ? `Ends in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.` : 'Ending...'}
+      </div>
+      <button className="btn btn-sm btn-dark ms-3" onClick={handleStop} disabled={stopping}>
+        {stopping ? 'Stopping...' : 'Stop Viewing'}
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
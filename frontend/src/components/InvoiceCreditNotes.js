@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { usePermissions } from '../context/PermissionContext';
+
+const STATUS_BADGES = {
+  draft: 'bg-secondary-lt',
+  ready: 'bg-blue-lt',
+  sent: 'bg-azure-lt',
+  applied: 'bg-green-lt',
+  cancelled: 'bg-red-lt'
+};
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+/**
+ * Invoice Credit Notes Component
+ * Renders nothing unless the user has CREDIT_NOTES_VIEW and credit notes are
+ * linked to the invoice.
+ * Lists the credit notes raised against an invoice and the outstanding balance
+ * once the credit still left on them is taken off.
+ *
+ * @param {Object} invoice - Invoice being viewed (needs id; amountPaid refreshes the balance)
+ */
+const InvoiceCreditNotes = ({ invoice }) => {
+  const { hasPermission } = usePermissions();
+  const [summary, setSummary] = useState(null);
+
+  const canView = hasPermission('CREDIT_NOTES_VIEW');
+
+  const fetchCreditNotes = useCallback(async () => {
+    if (!invoice?.id || !canView) return;
+    try {
+      const response = await api.get(`/api/invoices/${invoice.id}/credit-notes`);
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Error fetching invoice credit notes:', error);
+      setSummary(null);
+    }
+  }, [invoice?.id, canView]);
+
+  useEffect(() => {
+    fetchCreditNotes();
+  }, [fetchCreditNotes, invoice?.amountPaid]);
+
+  if (!invoice || !canView || !summary || summary.creditNotes.length === 0) return null;
+
+  return (
+    <div className="card mt-3">
+      <div className="card-header">
+        <h3 className="card-title">Credit Notes</h3>
+      </div>
+      <div className="card-body">
+        <div className="list-group list-group-flush mb-3">
+          <div className="list-group-item px-0 py-2">
+            <div className="d-flex justify-content-between">
+              <span className="text-muted">Outstanding</span>
+              <span>{formatCurrency(summary.outstanding)}</span>
+            </div>
+          </div>
+          <div className="list-group-item px-0 py-2">
+            <div className="d-flex justify-content-between">
+              <span className="text-muted">Credit Not Yet Applied</span>
+              <span>{summary.linkedCredit > 0 ? `- ${formatCurrency(summary.linkedCredit)}` : formatCurrency(0)}</span>
+            </div>
+          </div>
+          <div className="list-group-item px-0 py-2">
+            <div className="d-flex justify-content-between">
+              <span className="text-muted">Net Outstanding</span>
+              <strong className={summary.netOutstanding > 0 ? '' : 'text-success'}>
+                {formatCurrency(summary.netOutstanding)}
+              </strong>
+            </div>
+          </div>
+        </div>
+
+        <div className="table-responsive">
+          <table className="table table-sm table-vcenter mb-0">
+            <thead>
+              <tr>
+                <th>Credit Note</th>
+                <th>Date</th>
+                <th>Status</th>
+                <th className="text-end">Remaining</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.creditNotes.map(creditNote => (
+                <tr key={creditNote.id}>
+                  <td>
+                    <Link to={`/credit-notes/${creditNote.id}/view`}>{creditNote.creditNoteNumber}</Link>
+                    <div className="text-muted small">{formatCurrency(Math.abs(creditNote.amount))}</div>
+                  </td>
+                  <td>{formatDate(creditNote.issueDate)}</td>
+                  <td>
+                    <span className={`badge ${STATUS_BADGES[creditNote.status] || 'bg-secondary-lt'}`}>
+                      {creditNote.status}
+                    </span>
+                  </td>
+                  <td className="text-end">{formatCurrency(creditNote.remainingCredit)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InvoiceCreditNotes;
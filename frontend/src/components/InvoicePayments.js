@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { usePermissions } from '../context/PermissionContext';
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  card: 'Card',
+  direct_debit: 'Direct Debit',
+  cash: 'Cash',
+  credit_note: 'Credit Note',
+  other: 'Other'
+};
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const emptyForm = () => ({
+  amount: '',
+  paymentDate: new Date().toISOString().slice(0, 10),
+  method: 'bank_transfer',
+  reference: '',
+  notes: '',
+  creditNoteId: ''
+});
+
+/**
+ * Invoice Payments Component
+ * Renders nothing unless the user has PAYMENTS_VIEW.
+ * Shows the outstanding balance and payment history for an invoice, and lets
+ * staff record or remove payments.
+ *
+ * @param {Object} invoice - Invoice being viewed (needs id and companyId)
+ * @param {Function} onChange - Called after a payment is recorded or removed
+ */
+const InvoicePayments = ({ invoice, onChange }) => {
+  const { hasPermission } = usePermissions();
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [form, setForm] = useState(emptyForm());
+  const [saving, setSaving] = useState(false);
+  const [creditNotes, setCreditNotes] = useState([]);
+
+  const canView = hasPermission('PAYMENTS_VIEW');
+  const canRecord = hasPermission('PAYMENTS_RECORD');
+  const canDelete = hasPermission('PAYMENTS_DELETE');
+
+  const fetchPayments = useCallback(async () => {
+    if (!invoice?.id || !canView) return;
+    try {
+      setLoading(true);
+      const response = await api.get(`/api/invoices/${invoice.id}/payments`);
+      setSummary(response.data);
+    } catch (error) {
+      console.error('Error fetching invoice payments:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [invoice?.id, canView]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  const openModal = async () => {
+    setForm({ ...emptyForm(), amount: summary ? summary.outstanding.toFixed(2) : '' });
+    setShowModal(true);
+    try {
+      const response = await api.get('/api/credit-notes', {
+        params: { companyId: invoice.companyId, limit: 100 }
+      });
+      const available = (response.data.data || []).filter(cn =>
+        ['ready', 'sent'].includes(cn.status) &&
+        Math.abs(parseFloat(cn.amount) || 0) - (parseFloat(cn.amountApplied) || 0) > 0.005
+      );
+      setCreditNotes(available);
+    } catch (error) {
+      console.error('Error fetching credit notes:', error);
+      setCreditNotes([]);
+    }
+  };
+
+  const handleRecord = async () => {
+    if (!form.amount || parseFloat(form.amount) <= 0) {
+      toast.error('Please enter an amount greater than zero');
+      return;
+    }
+    if (form.method === 'credit_note' && !form.creditNoteId) {
+      toast.error('Please select a credit note');
+      return;
+    }
+    try {
+      setSaving(true);
+      await api.post(`/api/invoices/${invoice.id}/payments`, {
+        amount: parseFloat(form.amount),
+        paymentDate: form.paymentDate,
+        method: form.method,
+        reference: form.reference || null,
+        notes: form.notes || null,
+        creditNoteId: form.method === 'credit_note' ? form.creditNoteId : null
+      });
+      toast.success('Payment recorded');
+      setShowModal(false);
+      await fetchPayments();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      toast.error('Error recording payment: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (paymentId) => {
+    if (!window.confirm('Remove this payment? Any other invoices or credit notes on the same payment will also be reversed.')) {
+      return;
+    }
+    try {
+      await api.delete(`/api/invoices/${invoice.id}/payments/${paymentId}`);
+      toast.success('Payment removed');
+      await fetchPayments();
+      if (onChange) onChange();
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      toast.error('Error removing payment: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  if (!invoice || !canView) return null;
+
+  return (
+    <div className="card mt-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h3 className="card-title">Payments</h3>
+        {canRecord && summary && summary.outstanding > 0 && (
+          <button className="btn btn-sm btn-primary" onClick={openModal}>
+            Record Payment
+          </button>
+        )}
+      </div>
+      <div className="card-body">
+        {loading ? (
+          <div className="text-center py-4">
+            <div className="spinner-border spinner-border-sm" role="status">
+              <span className="visually-hidden">Loading...</span>
+            </div>
+          </div>
+        ) : !summary ? (
+          <p className="text-muted mb-0">Payment information unavailable</p>
+        ) : (
+          <>
+            <div className="list-group list-group-flush mb-3">
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Paid</span>
+                  <span>{formatCurrency(summary.amountPaid)}</span>
+                </div>
+              </div>
+              <div className="list-group-item px-0 py-2">
+                <div className="d-flex justify-content-between">
+                  <span className="text-muted">Outstanding</span>
+                  <strong className={summary.outstanding > 0 ? (summary.status === 'overdue' ? 'text-danger' : '') : 'text-success'}>
+                    {formatCurrency(summary.outstanding)}
+                  </strong>
+                </div>
+              </div>
+              {summary.paidAt && (
+                <div className="list-group-item px-0 py-2">
+                  <div className="d-flex justify-content-between">
+                    <span className="text-muted">Paid On</span>
+                    <span>{formatDate(summary.paidAt)}</span>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            {summary.allocations.length === 0 ? (
+              <p className="text-muted mb-0">No payments recorded</p>
+            ) : (
+              <div className="table-responsive">
+                <table className="table table-sm table-vcenter mb-0">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Method</th>
+                      <th>Reference</th>
+                      <th className="text-end">Amount</th>
+                      {canDelete && <th></th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.allocations.map(allocation => (
+                      <tr key={allocation.id}>
+                        <td>{formatDate(allocation.payment?.paymentDate)}</td>
+                        <td>{METHOD_LABELS[allocation.payment?.method] || allocation.payment?.method}</td>
+                        <td className="text-muted">{allocation.payment?.reference || '-'}</td>
+                        <td className="text-end">{formatCurrency(allocation.amount)}</td>
+                        {canDelete && (
+                          <td className="text-end">
+                            <button
+                              className="btn btn-sm btn-ghost-danger"
+                              onClick={() => handleDelete(allocation.paymentId)}
+                              title="Remove payment"
+                            >
+                              Remove
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {showModal && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Record Payment</h5>
+                <button type="button" className="btn-close" onClick={() => setShowModal(false)}></button>
+              </div>
+              <div className="modal-body">
+                <div className="mb-3">
+                  <label className="form-label">Method</label>
+                  <select
+                    className="form-select"
+                    value={form.method}
+                    onChange={(e) => setForm({ ...form, method: e.target.value })}
+                    disabled={saving}
+                  >
+                    {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                {form.method === 'credit_note' && (
+                  <div className="mb-3">
+                    <label className="form-label">Credit Note *</label>
+                    <select
+                      className="form-select"
+                      value={form.creditNoteId}
+                      onChange={(e) => setForm({ ...form, creditNoteId: e.target.value })}
+                      disabled={saving}
+                    >
+                      <option value="">Select a credit note...</option>
+                      {creditNotes.map(cn => (
+                        <option key={cn.id} value={cn.id}>
+                          {cn.creditNoteNumber} ({formatCurrency(Math.abs(parseFloat(cn.amount) || 0) - (parseFloat(cn.amountApplied) || 0))} remaining)
+                        </option>
+                      ))}
+                    </select>
+                    {creditNotes.length === 0 && (
+                      <small className="form-hint">No credit notes with remaining credit for this account</small>
+                    )}
+                  </div>
+                )}
+                <div className="row">
+                  <div className="col-md-6 mb-3">
+                    <label className="form-label">Amount *</label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      min="0"
+                      className="form-control"
+                      value={form.amount}
+                      onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                      disabled={saving}
+                    />
+                  </div>
+                  <div className="col-md-6 mb-3">
+                    <label className="form-label">Payment Date *</label>
+                    <input
+                      type="date"
+                      className="form-control"
+                      value={form.paymentDate}
+                      onChange={(e) => setForm({ ...form, paymentDate: e.target.value })}
+                      disabled={saving}
+                    />
+                  </div>
+                </div>
+                <div className="mb-3">
+                  <label className="form-label">Reference</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="e.g. BACS reference or cheque number"
+                    value={form.reference}
+                    onChange={(e) => setForm({ ...form, reference: e.target.value })}
+                    disabled={saving}
+                  />
+                </div>
+                <div className="mb-3">
+                  <label className="form-label">Notes</label>
+                  <textarea
+                    className="form-control"
+                    rows="2"
+                    value={form.notes}
+                    onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                    disabled={saving}
+                  />
+                </div>
+                {summary && parseFloat(form.amount) > summary.outstanding && form.method !== 'credit_note' && (
+                  <div className="alert alert-info mb-0">
+                    {formatCurrency(parseFloat(form.amount) - summary.outstanding)} exceeds the outstanding balance and will be held on account.
+                  </div>
+                )}
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowModal(false)} disabled={saving}>
+                  Cancel
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleRecord} disabled={saving}>
+                  {saving ? 'Saving...' : 'Record Payment'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InvoicePayments;
@@ -6,6 +6,7 @@ import { usePermissions } from '../../context/PermissionContext';
 import { getRoleLabel } from '../../utils/roleLabels';
 import { getInitials, getAvatarColorClass } from '../../utils/avatar';
 import PageTitle from '../PageTitle';
+import ImpersonationBanner from '../ImpersonationBanner';
 import { API_BASE_URL } from '../../services/api';
 import { STATEMENTS_ENABLED } from '../../config/featureFlags';
 
@@ -69,6 +70,20 @@ const Layout = () => {
           <span className="nav-link-title">Credit Notes</span>
         </Link>
       </li>
+      {/* Payments - Staff roles */}
+      {hasPermission('PAYMENTS_VIEW') && (
+        <li className={`nav-item ${location.pathname === '/payments' ? 'active' : ''}`}>
+          <Link to="/payments" className="nav-link">
+            <span className="nav-link-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor" className="icon icon-tabler icons-tabler-filled icon-tabler-coin-pound">
+                <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                <path d="M17 3.34a10 10 0 1 1 -15 8.66l.005 -.324a10 10 0 0 1 14.995 -8.336m-3.5 3.66h-1.5a2.5 2.5 0 0 0 -2.495 2.336l-.005 .164v2.5h-1.5a1 1 0 0 0 0 2h1.5v.5a1.5 1.5 0 0 1 -1.356 1.493l-.144 .007a1 1 0 0 0 0 2h6a1 1 0 0 0 0 -2h-2.171l.038 -.106a3.5 3.5 0 0 0 .133 -.894v-.5h1.5a1 1 0 0 0 0 -2h-1.5v-2.5a.5 .5 0 0 1 .5 -.5h1.5a1 1 0 0 0 0 -2" />
+              </svg>
+            </span>
+            <span className="nav-link-title">Payments</span>
+          </Link>
+        </li>
+      )}
       {STATEMENTS_ENABLED && (
         <li className={`nav-item ${location.pathname === '/statements' ? 'active' : ''}`}>
           <Link to="/statements" className="nav-link">
@@ -84,6 +99,24 @@ const Layout = () => {
           </Link>
         </li>
       )}
+      {/* Query Desk - QUERIES_MANAGE (only if queries are enabled) */}
+      {hasPermission('QUERIES_MANAGE') && settings?.queriesEnabled !== false && (
+        <li className={`nav-item ${location.pathname === '/queries' ? 'active' : ''}`}>
+          <Link to="/queries" className="nav-link">
+            <span className="nav-link-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="icon icon-tabler icons-tabler-outline icon-tabler-message-question">
+                <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                <path d="M8 9h8" />
+                <path d="M8 13h6" />
+                <path d="M14 18h-1l-5 3v-3h-2a3 3 0 0 1 -3 -3v-8a3 3 0 0 1 3 -3h12a3 3 0 0 1 3 3v4.5" />
+                <path d="M19 22v.01" />
+                <path d="M19 19a2.003 2.003 0 0 0 .914 -3.782a1.98 1.98 0 0 0 -2.414 .483" />
+              </svg>
+            </span>
+            <span className="nav-link-title">Queries</span>
+          </Link>
+        </li>
+      )}
       {/* Unallocated - GA, Admin, Manager */}
       {hasPermission('UNALLOCATED_VIEW') && (
         <li className={`nav-item ${location.pathname === '/unallocated' ? 'active' : ''}`}>
@@ -98,6 +131,21 @@ const Layout = () => {
           </Link>
         </li>
       )}
+      {/* Reports - Staff roles (aged debt) */}
+      {(hasPermission('REPORTS_AGING_VIEW') || hasPermission('REPORTS_VIEW')) && (
+        <li className={`nav-item ${location.pathname === '/reports' ? 'active' : ''}`}>
+          <Link to="/reports" className="nav-link">
+            <span className="nav-link-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="currentColor" className="icon icon-tabler icons-tabler-filled icon-tabler-chart-pie">
+                <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                <path d="M9.883 2.207a1.9 1.9 0 0 1 2.087 1.522l.025 .167l.005 .104v7a1 1 0 0 0 .883 .993l.117 .007h6.8a2 2 0 0 1 2 2a1 1 0 0 1 -.026 .226a10 10 0 1 1 -12.27 -11.933l.27 -.067l.109 -.019z" />
+                <path d="M14 3.5v5.5a1 1 0 0 0 1 1h5.5a1 1 0 0 0 .943 -1.332a10 10 0 0 0 -6.11 -6.111a1 1 0 0 0 -1.333 .943z" />
+              </svg>
+            </span>
+            <span className="nav-link-title">Reports</span>
+          </Link>
+        </li>
+      )}
       {/* Suppliers Dropdown - Staff roles (only if module enabled) */}
       {settings?.suppliersEnabled !== false && isStaff() && (
         <li className={`nav-item dropdown ${location.pathname.startsWith('/suppliers') || location.pathname.startsWith('/supplier-') ? 'active' : ''}`}>
@@ -179,6 +227,21 @@ const Layout = () => {
           </Link>
         </li>
       )}
+      {/* Audit Trail - GA, Admin */}
+      {hasPermission('AUDIT_TRAIL_VIEW') && (
+        <li className={`nav-item ${location.pathname === '/audit-trail' ? 'active' : ''}`}>
+          <Link to="/audit-trail" className="nav-link">
+            <span className="nav-link-icon">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="icon icon-tabler icons-tabler-outline icon-tabler-shield-check">
+                <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                <path d="M11.46 20.846a12 12 0 0 1 -7.96 -14.846a12 12 0 0 0 8.5 -3a12 12 0 0 0 8.5 3a12 12 0 0 1 -.09 7.06" />
+                <path d="M15 19l2 2l4 -4" />
+              </svg>
+            </span>
+            <span className="nav-link-title">Audit Trail</span>
+          </Link>
+        </li>
+      )}
     </ul>
   );
 
@@ -348,6 +411,9 @@ const Layout = () => {
                 {hasPermission('SETTINGS_VIEW') && (
                   <Link to="/settings" className="dropdown-item">Settings</Link>
                 )}
+                {hasPermission('SECURITY_MANAGE') && (
+                  <Link to="/security" className="dropdown-item">Security</Link>
+                )}
                 {hasPermission('TEMPLATES_VIEW') && (
                   <Link to="/templates" className="dropdown-item">Customer Templates</Link>
                 )}
@@ -361,6 +427,7 @@ const Layout = () => {
 
       {/* Main Content */}
       <div className="page-wrapper">
+        <ImpersonationBanner />
         {/* Page header is handled by individual pages, not here */}
         <div className="page-body">
           <div className="container-fluid">
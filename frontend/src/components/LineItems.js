@@ -0,0 +1,146 @@
+import React from 'react';
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Rounding on the printed lines can leave a penny either way
+const TOLERANCE = 0.01;
+
+const COLUMNS = [
+  { field: 'productCode', label: 'Product Code' },
+  { field: 'description', label: 'Description' },
+  { field: 'quantity', label: 'Qty', numeric: true },
+  { field: 'unitCode', label: 'Unit' },
+  { field: 'unitPrice', label: 'Unit Price', numeric: true, currency: true },
+  { field: 'vatRate', label: 'VAT %', numeric: true },
+  { field: 'lineTotal', label: 'Net', numeric: true, currency: true },
+  { field: 'vatAmount', label: 'VAT', numeric: true, currency: true }
+];
+
+/**
+ * Compare the lines with the document totals. Lines carrying VAT are checked
+ * against the gross amount, otherwise the net lines are checked against
+ * amount - taxAmount. Credit notes may print lines as negatives, so signs are
+ * ignored.
+ */
+const checkTotals = (items, amount, taxAmount) => {
+  const total = toNumber(amount);
+  if (total === null) return null;
+
+  const netLines = items.map(item => toNumber(item.lineTotal)).filter(value => value !== null);
+  if (netLines.length === 0) return null;
+
+  const linesNet = netLines.reduce((sum, value) => sum + value, 0);
+  const vatLines = items.map(item => toNumber(item.vatAmount)).filter(value => value !== null);
+
+  if (vatLines.length > 0) {
+    const linesGross = linesNet + vatLines.reduce((sum, value) => sum + value, 0);
+    return {
+      label: 'total',
+      linesTotal: linesNet,
+      expected: total,
+      matches: Math.abs(Math.abs(linesGross) - Math.abs(total)) < TOLERANCE
+    };
+  }
+
+  const expectedNet = Math.abs(total) - Math.abs(toNumber(taxAmount) || 0);
+  return {
+    label: 'net',
+    linesTotal: linesNet,
+    expected: expectedNet,
+    matches: Math.abs(Math.abs(linesNet) - expectedNet) < TOLERANCE
+  };
+};
+
+/**
+ * Line Items Component
+ * Shows the lines extracted from the document (template line-item table or
+ * e-invoice XML) and whether they add up to the document total.
+ * Renders nothing when the document has no lines.
+ */
+const LineItems = ({ items, amount, taxAmount }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return null;
+  }
+
+  const columns = COLUMNS.filter(col => items.some(item => item[col.field] !== undefined && item[col.field] !== null && item[col.field] !== ''));
+  const check = checkTotals(items, amount, taxAmount);
+  const netTotal = items.reduce((sum, item) => sum + (toNumber(item.lineTotal) || 0), 0);
+  const vatTotal = items.reduce((sum, item) => sum + (toNumber(item.vatAmount) || 0), 0);
+
+  const renderCell = (item, col) => {
+    const value = item[col.field];
+    if (value === undefined || value === null || value === '') return '-';
+    if (col.currency) return formatCurrency(value);
+    return String(value);
+  };
+
+  return (
+    <div className="card mt-3">
+      <div className="card-header d-flex justify-content-between align-items-center">
+        <h3 className="card-title">Line Items ({items.length})</h3>
+        {check && (
+          check.matches ? (
+            <span className="badge bg-success-lt" title={`Lines add up to the invoice ${check.label}`}>
+              ✓ Lines match {check.label}
+            </span>
+          ) : (
+            <span className="badge bg-warning-lt" title="Check the PDF - a line may have been missed or misread">
+              ⚠ Lines total {formatCurrency(check.linesTotal)}, {check.label} is {formatCurrency(check.expected)}
+            </span>
+          )
+        )}
+      </div>
+      <div className="table-responsive">
+        <table className="table table-vcenter card-table table-sm">
+          <thead>
+            <tr>
+              {columns.map(col => (
+                <th key={col.field} className={col.numeric ? 'text-end' : ''}>{col.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((item, index) => (
+              <tr key={index}>
+                {columns.map(col => (
+                  <td key={col.field} className={col.numeric ? 'text-end' : ''}>
+                    {renderCell(item, col)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          {columns.some(col => col.field === 'lineTotal' || col.field === 'vatAmount') && (
+            <tfoot>
+              <tr>
+                {columns.map((col, index) => (
+                  <td key={col.field} className={`fw-semibold ${col.numeric ? 'text-end' : ''}`}>
+                    {col.field === 'lineTotal'
+                      ? formatCurrency(netTotal)
+                      : col.field === 'vatAmount'
+                      ? formatCurrency(vatTotal)
+                      : index === 0 ? 'Total' : ''}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LineItems;
@@ -20,6 +20,7 @@ const getPageTitleFromPath = (pathname) => {
     '/': 'Dashboard',
     '/invoices': 'Invoices',
     '/credit-notes': 'Credit Notes',
+    '/payments': 'Payments',
     '/statements': 'Statements',
     '/companies': 'Companies',
     '/branches': 'Branches',
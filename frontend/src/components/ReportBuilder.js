@@ -0,0 +1,550 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import api, { API_BASE_URL } from '../services/api';
+import toast from '../utils/toast';
+import HierarchicalCompanyFilter from './HierarchicalCompanyFilter';
+import ReportResult from './ReportResult';
+
+const REPORT_TYPES = ['financial', 'operational', 'analytical', 'custom'];
+
+const RETENTION_LABELS = {
+  all: 'Any (excluding purged)',
+  active: 'Not purged',
+  expiring: 'Expiring soon',
+  expired: 'Purged by retention'
+};
+
+const humanize = (value) => String(value)
+  .replace(/_/g, ' ')
+  .toLowerCase()
+  .replace(/^\w/, c => c.toUpperCase());
+
+const emptyDefinition = (source = 'invoices') => ({
+  source,
+  filters: {},
+  groupBy: [],
+  aggregates: [{ fn: 'count' }],
+  chart: { type: 'none' }
+});
+
+/**
+ * Download a report export as a file (the API responds with the file body)
+ */
+export const downloadReportFile = async (path, options, fallbackName) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      ...(options && options.body ? { 'Content-Type': 'application/json' } : {})
+    }
+  });
+
+  if (!response.ok) {
+    let message = 'Export failed';
+    try {
+      message = (await response.json()).message || message;
+    } catch (_) {
+      // Not JSON - keep the generic message
+    }
+    throw new Error(message);
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="([^"]+)"/);
+  const blob = await response.blob();
+  const downloadUrl = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = downloadUrl;
+  a.download = match ? match[1] : fallbackName;
+  document.body.appendChild(a);
+  a.click();
+  window.URL.revokeObjectURL(downloadUrl);
+  document.body.removeChild(a);
+};
+
+/**
+ * Report Builder Component
+ * Create or edit a saved report definition: pick a document source, filter
+ * it, group and aggregate it, preview the result and save it.
+ *
+ * @param {Object} report - Existing report to edit (null for a new report)
+ * @param {Function} onSaved - Called with the saved report
+ * @param {Function} onCancel - Called when the user backs out
+ */
+const ReportBuilder = ({ report, onSaved, onCancel }) => {
+  const [sources, setSources] = useState([]);
+  const [exportFormats, setExportFormats] = useState([]);
+  const [title, setTitle] = useState(report?.title || '');
+  const [description, setDescription] = useState(report?.description || '');
+  const [type, setType] = useState(report?.type || 'custom');
+  const [status, setStatus] = useState(report?.status || 'draft');
+  const [definition, setDefinition] = useState(report?.data?.definition || emptyDefinition());
+  const [suppliers, setSuppliers] = useState([]);
+  const [showCompanyFilter, setShowCompanyFilter] = useState(false);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  useEffect(() => {
+    const fetchSources = async () => {
+      try {
+        const response = await api.get('/api/reports/sources');
+        setSources(response.data.sources || []);
+        setExportFormats(response.data.exportFormats || []);
+      } catch (error) {
+        console.error('Error fetching report sources:', error);
+        toast.error('Error loading report builder: ' + (error.response?.data?.message || error.message));
+      }
+    };
+    fetchSources();
+  }, []);
+
+  const source = useMemo(
+    () => sources.find(s => s.key === definition.source),
+    [sources, definition.source]
+  );
+
+  useEffect(() => {
+    if (definition.source !== 'supplier_documents' || suppliers.length > 0) return;
+    const fetchSuppliers = async () => {
+      try {
+        const response = await api.get('/api/suppliers', { params: { limit: 1000, isActive: true } });
+        setSuppliers(response.data.suppliers || []);
+      } catch (error) {
+        console.error('Error fetching suppliers:', error);
+      }
+    };
+    fetchSuppliers();
+  }, [definition.source, suppliers.length]);
+
+  const filters = definition.filters || {};
+
+  const updateFilters = (changes) => {
+    setDefinition(prev => ({ ...prev, filters: { ...prev.filters, ...changes } }));
+  };
+
+  const toggleFilterValue = (key, value) => {
+    const current = filters[key] || [];
+    updateFilters({
+      [key]: current.includes(value) ? current.filter(v => v !== value) : [...current, value]
+    });
+  };
+
+  const handleSourceChange = (newSource) => {
+    // Fields differ per source, so start the definition again
+    setDefinition(prev => ({ ...emptyDefinition(newSource), chart: prev.chart }));
+    setResult(null);
+  };
+
+  const groupOptions = source ? [
+    ...source.groupFields.map(field => ({ value: field.key, label: field.label })),
+    ...source.dateFields.map(field => ({ value: `date:${field.key}`, label: `${field.label} (by period)` }))
+  ] : [];
+
+  const groupValue = (group) => {
+    if (!group) return '';
+    return source?.dateFields.some(f => f.key === group.field) ? `date:${group.field}` : group.field;
+  };
+
+  const setGroup = (index, value) => {
+    setDefinition(prev => {
+      const groupBy = [...(prev.groupBy || [])];
+      if (!value) {
+        groupBy.splice(index);
+      } else if (value.startsWith('date:')) {
+        groupBy[index] = { field: value.slice(5), interval: groupBy[index]?.interval || 'month' };
+      } else {
+        groupBy[index] = { field: value };
+      }
+      return { ...prev, groupBy };
+    });
+  };
+
+  const setGroupInterval = (index, interval) => {
+    setDefinition(prev => {
+      const groupBy = [...prev.groupBy];
+      groupBy[index] = { ...groupBy[index], interval };
+      return { ...prev, groupBy };
+    });
+  };
+
+  const setAggregate = (index, changes) => {
+    setDefinition(prev => {
+      const aggregates = [...prev.aggregates];
+      const next = { ...aggregates[index], ...changes };
+      if (next.fn === 'count') {
+        delete next.field;
+      } else if (!next.field) {
+        next.field = source?.numericFields[0]?.key;
+      }
+      aggregates[index] = next;
+      return { ...prev, aggregates };
+    });
+  };
+
+  const addAggregate = () => {
+    setDefinition(prev => ({
+      ...prev,
+      aggregates: [...prev.aggregates, { fn: 'sum', field: source?.numericFields[0]?.key }]
+    }));
+  };
+
+  const removeAggregate = (index) => {
+    setDefinition(prev => ({ ...prev, aggregates: prev.aggregates.filter((_, i) => i !== index) }));
+  };
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      const response = await api.post('/api/reports/run', { definition });
+      setResult(response.data);
+    } catch (error) {
+      toast.error('Error running report: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      await downloadReportFile('/api/reports/run', {
+        method: 'POST',
+        body: JSON.stringify({ definition, format, title: title || 'report' })
+      }, `report.${format}`);
+    } catch (error) {
+      toast.error('Error exporting report: ' + error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!title.trim()) {
+      toast.error('Please enter a report title');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const payload = {
+        title: title.trim(),
+        description,
+        type,
+        status,
+        data: { ...(report?.data || {}), definition }
+      };
+      const response = report?.id
+        ? await api.put(`/api/reports/${report.id}`, payload)
+        : await api.post('/api/reports', payload);
+      toast.success('Report saved');
+      onSaved(response.data);
+    } catch (error) {
+      toast.error('Error saving report: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!source) {
+    return (
+      <div className="text-center py-5">
+        <div className="spinner-border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </div>
+      </div>
+    );
+  }
+
+  const companyCount = (filters.companyIds || []).length;
+
+  return (
+    <>
+      <div className="row g-3 mb-3">
+        <div className="col-md-4">
+          <label className="form-label required">Title</label>
+          <input
+            type="text"
+            className="form-control"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="e.g. Overdue invoices by branch"
+          />
+        </div>
+        <div className="col-md-4">
+          <label className="form-label">Description</label>
+          <input
+            type="text"
+            className="form-control"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label">Type</label>
+          <select className="form-select" value={type} onChange={(e) => setType(e.target.value)}>
+            {REPORT_TYPES.map(t => <option key={t} value={t}>{humanize(t)}</option>)}
+          </select>
+        </div>
+        <div className="col-md-2">
+          <label className="form-label">Status</label>
+          <select className="form-select" value={status} onChange={(e) => setStatus(e.target.value)}>
+            <option value="draft">Draft</option>
+            <option value="published">Published</option>
+            <option value="archived">Archived</option>
+          </select>
+        </div>
+      </div>
+
+      <h4 className="mb-2">Data</h4>
+      <div className="row g-3 mb-3">
+        <div className="col-md-3">
+          <label className="form-label">Documents</label>
+          <select className="form-select" value={definition.source} onChange={(e) => handleSourceChange(e.target.value)}>
+            {sources.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+          </select>
+        </div>
+        {source.hasCompany && (
+          <div className="col-md-3">
+            <label className="form-label">Companies</label>
+            <button type="button" className="btn w-100" onClick={() => setShowCompanyFilter(true)}>
+              {companyCount === 0 ? 'All companies' : `${companyCount} selected`}
+            </button>
+            <label className="form-check mt-2">
+              <input
+                className="form-check-input"
+                type="checkbox"
+                checked={filters.includeDescendants !== false}
+                onChange={(e) => updateFilters({ includeDescendants: e.target.checked })}
+                disabled={companyCount === 0}
+              />
+              <span className="form-check-label">Include subsidiaries and branches</span>
+            </label>
+          </div>
+        )}
+        {definition.source === 'supplier_documents' && (
+          <>
+            <div className="col-md-3">
+              <label className="form-label">Supplier</label>
+              <select
+                className="form-select"
+                value={filters.supplierId || ''}
+                onChange={(e) => updateFilters({ supplierId: e.target.value || undefined })}
+              >
+                <option value="">All suppliers</option>
+                {suppliers.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </div>
+            <div className="col-md-3">
+              <label className="form-label">Document Type</label>
+              <select
+                className="form-select"
+                value={filters.documentType || ''}
+                onChange={(e) => updateFilters({ documentType: e.target.value || undefined })}
+              >
+                <option value="">All types</option>
+                <option value="invoice">Invoice</option>
+                <option value="credit_note">Credit Note</option>
+                <option value="statement">Statement</option>
+              </select>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="row g-3 mb-3">
+        <div className="col-md-3">
+          <label className="form-label">Date Field</label>
+          <select
+            className="form-select"
+            value={filters.dateField || source.dateFields[0].key}
+            onChange={(e) => updateFilters({ dateField: e.target.value })}
+          >
+            {source.dateFields.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+          </select>
+        </div>
+        <div className="col-md-3">
+          <label className="form-label">From</label>
+          <input
+            type="date"
+            className="form-control"
+            value={filters.dateFrom || ''}
+            onChange={(e) => updateFilters({ dateFrom: e.target.value || undefined })}
+          />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label">To</label>
+          <input
+            type="date"
+            className="form-control"
+            value={filters.dateTo || ''}
+            onChange={(e) => updateFilters({ dateTo: e.target.value || undefined })}
+          />
+        </div>
+        {source.hasRetention && (
+          <div className="col-md-3">
+            <label className="form-label">Retention</label>
+            <div className="input-group">
+              <select
+                className="form-select"
+                value={filters.retention || 'all'}
+                onChange={(e) => updateFilters({ retention: e.target.value })}
+              >
+                {source.retentionModes.map(mode => <option key={mode} value={mode}>{RETENTION_LABELS[mode]}</option>)}
+              </select>
+              {filters.retention === 'expiring' && (
+                <>
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-control"
+                    style={{ maxWidth: '5rem' }}
+                    value={filters.expiringWithinDays || 30}
+                    onChange={(e) => updateFilters({ expiringWithinDays: e.target.value })}
+                  />
+                  <span className="input-group-text">days</span>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="row g-3 mb-3">
+        <div className="col-md-6">
+          <label className="form-label">Status</label>
+          <div>
+            {source.statuses.map(value => (
+              <label key={value} className="form-check form-check-inline">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  checked={(filters.status || []).includes(value)}
+                  onChange={() => toggleFilterValue('status', value)}
+                />
+                <span className="form-check-label">{humanize(value)}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+        {source.documentStatuses.length > 0 && (
+          <div className="col-md-6">
+            <label className="form-label">Document Status</label>
+            <div>
+              {source.documentStatuses.map(value => (
+                <label key={value} className="form-check form-check-inline">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    checked={(filters.documentStatus || []).includes(value)}
+                    onChange={() => toggleFilterValue('documentStatus', value)}
+                  />
+                  <span className="form-check-label">{humanize(value)}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <h4 className="mb-2">Layout</h4>
+      <div className="row g-3 mb-3">
+        {[0, 1].map(index => {
+          const group = definition.groupBy?.[index];
+          // Only offer a second grouping once the first is chosen
+          if (index === 1 && !definition.groupBy?.[0]) return null;
+          return (
+            <div className="col-md-3" key={index}>
+              <label className="form-label">{index === 0 ? 'Group By' : 'Then By'}</label>
+              <div className="input-group">
+                <select className="form-select" value={groupValue(group)} onChange={(e) => setGroup(index, e.target.value)}>
+                  <option value="">None</option>
+                  {groupOptions.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                {group?.interval && (
+                  <select className="form-select" value={group.interval} onChange={(e) => setGroupInterval(index, e.target.value)}>
+                    {source.intervals.map(interval => <option key={interval} value={interval}>{humanize(interval)}</option>)}
+                  </select>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        <div className="col-md-3">
+          <label className="form-label">Chart</label>
+          <select
+            className="form-select"
+            value={definition.chart?.type || 'none'}
+            onChange={(e) => setDefinition(prev => ({ ...prev, chart: { type: e.target.value } }))}
+          >
+            {source.chartTypes.map(chartType => (
+              <option key={chartType} value={chartType}>{chartType === 'none' ? 'Table only' : humanize(chartType)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mb-3">
+        <label className="form-label">Values</label>
+        {definition.aggregates.map((aggregate, index) => (
+          <div className="input-group mb-2" key={index} style={{ maxWidth: '32rem' }}>
+            <select className="form-select" value={aggregate.fn} onChange={(e) => setAggregate(index, { fn: e.target.value })}>
+              {source.aggregates.map(fn => <option key={fn} value={fn}>{fn === 'avg' ? 'Average' : humanize(fn)}</option>)}
+            </select>
+            {aggregate.fn !== 'count' && (
+              <select className="form-select" value={aggregate.field || ''} onChange={(e) => setAggregate(index, { field: e.target.value })}>
+                {source.numericFields.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+              </select>
+            )}
+            <button
+              type="button"
+              className="btn btn-outline-danger"
+              onClick={() => removeAggregate(index)}
+              disabled={definition.aggregates.length === 1}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button type="button" className="btn btn-sm" onClick={addAggregate}>Add Value</button>
+      </div>
+
+      <div className="d-flex gap-2 mb-3 flex-wrap">
+        <button type="button" className="btn btn-primary" onClick={handleRun} disabled={running}>
+          {running ? 'Running...' : 'Run Preview'}
+        </button>
+        {exportFormats.map(format => (
+          <button
+            key={format}
+            type="button"
+            className="btn btn-outline-primary"
+            onClick={() => handleExport(format)}
+            disabled={!!exporting}
+          >
+            {exporting === format ? 'Exporting...' : `Export ${format.toUpperCase()}`}
+          </button>
+        ))}
+        <div className="ms-auto d-flex gap-2">
+          <button type="button" className="btn" onClick={onCancel}>Cancel</button>
+          <button type="button" className="btn btn-success" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : 'Save Report'}
+          </button>
+        </div>
+      </div>
+
+      {result && <ReportResult result={result} />}
+
+      {showCompanyFilter && (
+        <HierarchicalCompanyFilter
+          selectedCompanyIds={filters.companyIds || []}
+          onSelectionChange={(ids) => updateFilters({ companyIds: ids.length ? ids : undefined })}
+          onClose={() => setShowCompanyFilter(false)}
+          onApply={() => setShowCompanyFilter(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ReportBuilder;
@@ -0,0 +1,143 @@
+import React, { useEffect, useRef } from 'react';
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined || value === '') return '-';
+  return new Intl.NumberFormat('en-GB', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(value);
+};
+
+const formatCell = (value, column) => {
+  if (column.type === 'number') return formatNumber(value);
+  if (column.type === 'count') return value ?? 0;
+  return value;
+};
+
+/**
+ * Report Chart
+ * Draws the first aggregate against the first grouping using the vendored
+ * ApexCharts (loaded globally from public/index.html). A second grouping
+ * becomes one series per value.
+ */
+const ReportChart = ({ result, type }) => {
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    const groupColumns = result.columns.filter(column => column.type === 'group');
+    const valueColumn = result.columns.find(column => column.type !== 'group');
+    if (!window.ApexCharts || !chartRef.current || !groupColumns.length || !valueColumn) {
+      return undefined;
+    }
+
+    const [primary, secondary] = groupColumns;
+    const categories = [...new Set(result.rows.map(row => row[primary.key]))];
+    let series;
+    if (secondary && type !== 'pie') {
+      const seriesNames = [...new Set(result.rows.map(row => row[secondary.key]))];
+      series = seriesNames.map(name => ({
+        name,
+        data: categories.map(category => {
+          const match = result.rows.find(row => row[primary.key] === category && row[secondary.key] === name);
+          return match ? match[valueColumn.key] || 0 : 0;
+        })
+      }));
+    } else {
+      const totals = categories.map(category => result.rows
+        .filter(row => row[primary.key] === category)
+        .reduce((sum, row) => sum + (row[valueColumn.key] || 0), 0));
+      series = type === 'pie' ? totals : [{ name: valueColumn.label, data: totals }];
+    }
+
+    const options = type === 'pie'
+      ? { chart: { type: 'pie', height: 320 }, series, labels: categories.map(String), legend: { position: 'right' } }
+      : {
+        chart: { type, height: 320, stacked: type === 'bar' && !!secondary, toolbar: { show: false } },
+        series,
+        xaxis: { categories: categories.map(String) },
+        dataLabels: { enabled: false },
+        yaxis: { title: { text: valueColumn.label } }
+      };
+
+    const chart = new window.ApexCharts(chartRef.current, options);
+    chart.render();
+    return () => chart.destroy();
+  }, [result, type]);
+
+  if (!window.ApexCharts) {
+    return <div className="text-muted small mb-3">Charts are unavailable (ApexCharts not loaded).</div>;
+  }
+
+  return <div ref={chartRef} className="mb-3" />;
+};
+
+/**
+ * Report Result Component
+ * Renders the output of a report run as an optional chart plus a table.
+ *
+ * @param {Object} result - Response from /api/reports/run or /api/reports/:id/run
+ */
+const ReportResult = ({ result }) => {
+  if (!result) return null;
+
+  const chartType = result.definition?.chart?.type || 'none';
+  const hasGroups = result.columns.some(column => column.type === 'group');
+  const hasTotals = result.rows.length > 1 && Object.keys(result.totals || {}).length > 0;
+
+  return (
+    <>
+      {chartType !== 'none' && hasGroups && result.rows.length > 0 && (
+        <ReportChart result={result} type={chartType} />
+      )}
+      {result.truncated && (
+        <div className="alert alert-warning">
+          This report returned too many groups; only the first {result.rows.length} are shown. Narrow the filters or group by fewer fields.
+        </div>
+      )}
+      <div className="table-responsive">
+        <table className="table table-vcenter table-sm table-hover">
+          <thead>
+            <tr>
+              {result.columns.map(column => (
+                <th key={column.key} className={column.type === 'group' ? '' : 'text-end'}>{column.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {result.rows.length === 0 ? (
+              <tr>
+                <td colSpan={result.columns.length} className="text-center text-muted py-4">
+                  No documents match this report
+                </td>
+              </tr>
+            ) : result.rows.map((row, index) => (
+              <tr key={index}>
+                {result.columns.map(column => (
+                  <td key={column.key} className={column.type === 'group' ? '' : 'text-end'}>
+                    {formatCell(row[column.key], column)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+          {hasTotals && (
+            <tfoot>
+              <tr className="fw-bold">
+                {result.columns.map((column, index) => (
+                  <td key={column.key} className={column.type === 'group' ? '' : 'text-end'}>
+                    {index === 0 ? 'Total' : (column.key in result.totals ? formatCell(result.totals[column.key], column) : '')}
+                  </td>
+                ))}
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+      <div className="text-muted small">
+        {result.sourceLabel} &middot; generated {new Date(result.generatedAt).toLocaleString('en-GB')}
+      </div>
+    </>
+  );
+};
+
+export default ReportResult;
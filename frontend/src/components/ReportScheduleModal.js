@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+import UserMultiSelectFilter from './UserMultiSelectFilter';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const defaultSchedule = () => ({
+  enabled: true,
+  frequency: 'weekly',
+  hour: 7,
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  format: 'xlsx',
+  recipientUserIds: []
+});
+
+/**
+ * Describe a schedule the same way the server does, e.g. "Weekly on Monday at 07:00"
+ */
+export const describeSchedule = (schedule) => {
+  if (!schedule) return 'Not scheduled';
+  const time = `${String(schedule.hour).padStart(2, '0')}:00`;
+  if (schedule.frequency === 'daily') return `Daily at ${time}`;
+  if (schedule.frequency === 'weekly') return `Weekly on ${DAY_NAMES[schedule.dayOfWeek]} at ${time}`;
+  return `Monthly on day ${schedule.dayOfMonth} at ${time}`;
+};
+
+/**
+ * Report Schedule Modal
+ * Set up email delivery of a saved report to staff users.
+ *
+ * @param {Object} report - Saved report (with schedule, if any)
+ * @param {Function} onClose - Called when the modal is dismissed
+ * @param {Function} onSaved - Called with the updated report
+ */
+const ReportScheduleModal = ({ report, onClose, onSaved }) => {
+  const [schedule, setSchedule] = useState({ ...defaultSchedule(), ...(report.schedule || {}) });
+  const [users, setUsers] = useState([]);
+  const [showRecipients, setShowRecipients] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    const fetchRecipients = async () => {
+      try {
+        const response = await api.get('/api/reports/recipients');
+        setUsers(response.data || []);
+      } catch (error) {
+        console.error('Error fetching report recipients:', error);
+      }
+    };
+    fetchRecipients();
+  }, []);
+
+  const update = (changes) => setSchedule(prev => ({ ...prev, ...changes }));
+
+  const selectedUsers = schedule.recipientUserIds
+    .map(id => users.find(u => String(u.id) === String(id)))
+    .filter(Boolean);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put(`/api/reports/${report.id}/schedule`, { schedule });
+      toast.success(schedule.enabled ? 'Schedule saved' : 'Schedule paused');
+      onSaved(response.data);
+    } catch (error) {
+      toast.error('Error saving schedule: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm('Stop emailing this report?')) return;
+    try {
+      setSaving(true);
+      const response = await api.put(`/api/reports/${report.id}/schedule`, { schedule: null });
+      toast.success('Schedule removed');
+      onSaved(response.data);
+    } catch (error) {
+      toast.error('Error removing schedule: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendNow = async () => {
+    try {
+      setSending(true);
+      const response = await api.post(`/api/reports/${report.id}/deliver`);
+      const { sent, failed, skipped } = response.data;
+      if (sent > 0) {
+        toast.success(`Report queued for ${sent} recipient(s)${failed ? `, ${failed} failed` : ''}${skipped ? `, ${skipped} skipped` : ''}`);
+      } else {
+        toast.error('Report was not sent to anyone: ' + (response.data.report?.lastRunError || 'no eligible recipients'));
+      }
+      onSaved(response.data.report);
+    } catch (error) {
+      toast.error('Error sending report: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+        <div className="modal-dialog">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title">Email Schedule - {report.title}</h5>
+              <button type="button" className="btn-close" onClick={onClose}></button>
+            </div>
+            <div className="modal-body">
+              <label className="form-check form-switch mb-3">
+                <input
+                  className="form-check-input"
+                  type="checkbox"
+                  checked={schedule.enabled}
+                  onChange={(e) => update({ enabled: e.target.checked })}
+                />
+                <span className="form-check-label">Send this report automatically</span>
+              </label>
+
+              <div className="row g-2 mb-3">
+                <div className="col-md-4">
+                  <label className="form-label">Frequency</label>
+                  <select className="form-select" value={schedule.frequency} onChange={(e) => update({ frequency: e.target.value })}>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="monthly">Monthly</option>
+                  </select>
+                </div>
+                {schedule.frequency === 'weekly' && (
+                  <div className="col-md-4">
+                    <label className="form-label">Day</label>
+                    <select className="form-select" value={schedule.dayOfWeek} onChange={(e) => update({ dayOfWeek: parseInt(e.target.value, 10) })}>
+                      {DAY_NAMES.map((day, index) => <option key={day} value={index}>{day}</option>)}
+                    </select>
+                  </div>
+                )}
+                {schedule.frequency === 'monthly' && (
+                  <div className="col-md-4">
+                    <label className="form-label">Day of Month</label>
+                    <select className="form-select" value={schedule.dayOfMonth} onChange={(e) => update({ dayOfMonth: parseInt(e.target.value, 10) })}>
+                      {Array.from({ length: 28 }, (_, i) => i + 1).map(day => <option key={day} value={day}>{day}</option>)}
+                    </select>
+                  </div>
+                )}
+                <div className="col-md-4">
+                  <label className="form-label">Time</label>
+                  <select className="form-select" value={schedule.hour} onChange={(e) => update({ hour: parseInt(e.target.value, 10) })}>
+                    {Array.from({ length: 24 }, (_, i) => i).map(hour => (
+                      <option key={hour} value={hour}>{`${String(hour).padStart(2, '0')}:00`}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              <div className="mb-3">
+                <label className="form-label">Attachment</label>
+                <div>
+                  {['xlsx', 'pdf'].map(format => (
+                    <label key={format} className="form-check form-check-inline">
+                      <input
+                        className="form-check-input"
+                        type="radio"
+                        name="report-schedule-format"
+                        checked={schedule.format === format}
+                        onChange={() => update({ format })}
+                      />
+                      <span className="form-check-label">{format.toUpperCase()}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="mb-3">
+                <label className="form-label">Recipients</label>
+                <div className="mb-2">
+                  {selectedUsers.length === 0 ? (
+                    <span className="text-muted">No recipients selected</span>
+                  ) : selectedUsers.map(user => (
+                    <span key={user.id} className="badge bg-blue-lt me-1 mb-1">{user.name || user.email}</span>
+                  ))}
+                </div>
+                <button type="button" className="btn btn-sm" onClick={() => setShowRecipients(true)}>
+                  Choose Recipients
+                </button>
+                <div className="form-hint">
+                  Staff users only. Each recipient only sees figures for the companies they have access to.
+                </div>
+              </div>
+
+              {report.lastRunAt && (
+                <div className="text-muted small">
+                  Last sent {new Date(report.lastRunAt).toLocaleString('en-GB')} ({report.lastRunStatus})
+                  {report.lastRunError && <div className="text-danger">{report.lastRunError}</div>}
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              {report.schedule && (
+                <button type="button" className="btn btn-outline-danger me-auto" onClick={handleRemove} disabled={saving}>
+                  Remove Schedule
+                </button>
+              )}
+              {report.schedule && (
+                <button type="button" className="btn" onClick={handleSendNow} disabled={sending || saving}>
+                  {sending ? 'Sending...' : 'Send Now'}
+                </button>
+              )}
+              <button type="button" className="btn" onClick={onClose}>Cancel</button>
+              <button type="button" className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Schedule'}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {showRecipients && (
+        <UserMultiSelectFilter
+          users={users}
+          selectedUserIds={schedule.recipientUserIds}
+          onSelectionChange={(ids) => update({ recipientUserIds: ids })}
+          onClose={() => setShowRecipients(false)}
+          onApply={() => setShowRecipients(false)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ReportScheduleModal;
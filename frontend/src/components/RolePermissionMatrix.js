@@ -0,0 +1,341 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { usePermissions } from '../context/PermissionContext';
+
+// Levels a custom role can rank alongside (Global Administrator is always the top role)
+const RANK_OPTIONS = [
+  { level: 6, label: 'Administrator' },
+  { level: 5, label: 'Manager' },
+  { level: 4, label: 'Credit Senior' },
+  { level: 3, label: 'Credit Controller' },
+  { level: 2, label: 'External User' },
+  { level: 1, label: 'Notification Contact' }
+];
+
+const SUPER_ROLE = 'global_admin';
+
+const EMPTY_FORM = { name: '', description: '', level: 3, isStaff: true, hasPortalAccess: true, copyFrom: '' };
+
+// INVOICES_VIEW -> "Invoices view"
+const getPermissionLabel = (permission) => {
+  const text = permission.toLowerCase().replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Role Permission Matrix Component
+ * Roles and their permissions (Settings > Roles & Permissions). Permissions
+ * are rows, roles are columns; ticking boxes changes a role's permission set
+ * once that role is saved. Custom roles can be added (ranked alongside a
+ * built-in role for user management) and deleted when nobody has them.
+ * Global Administrator always has every permission.
+ */
+const RolePermissionMatrix = () => {
+  const { roles, permissionGroups, grantablePermissions, refreshRoles } = usePermissions();
+  const [drafts, setDrafts] = useState({});
+  const [busy, setBusy] = useState(null);
+  const [form, setForm] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
+
+  const getGranted = (role) => drafts[role.key] || role.permissions;
+
+  const isDirty = (role) => Boolean(drafts[role.key]);
+
+  const canToggle = (role, permission) => {
+    if (!role.editable) return false;
+    // Permissions you don't have can be removed from a role but not granted
+    return grantablePermissions.includes(permission) || getGranted(role).includes(permission);
+  };
+
+  const togglePermission = (role, permission) => {
+    const granted = getGranted(role);
+    const next = granted.includes(permission)
+      ? granted.filter(p => p !== permission)
+      : [...granted, permission];
+    setDrafts(prev => ({ ...prev, [role.key]: next }));
+  };
+
+  const discardChanges = (role) => {
+    setDrafts(prev => {
+      const next = { ...prev };
+      delete next[role.key];
+      return next;
+    });
+  };
+
+  const saveRole = async (role) => {
+    try {
+      setBusy(role.key);
+      await api.put(`/api/roles/${role.key}`, { permissions: drafts[role.key] });
+      discardChanges(role);
+      await refreshRoles();
+      toast.success(`${role.name} permissions saved`);
+    } catch (error) {
+      toast.error('Error saving role: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingKey(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const openEditForm = (role) => {
+    setEditingKey(role.key);
+    setForm({
+      name: role.name,
+      description: role.description || '',
+      level: role.level,
+      isStaff: role.isStaff,
+      hasPortalAccess: role.hasPortalAccess,
+      isSystem: role.isSystem,
+      copyFrom: ''
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = {
+      name: form.name.trim(),
+      description: form.description.trim()
+    };
+    if (!form.isSystem) {
+      body.level = parseInt(form.level, 10);
+      body.isStaff = form.isStaff;
+      body.hasPortalAccess = form.hasPortalAccess;
+    }
+    try {
+      setBusy('form');
+      if (editingKey) {
+        await api.put(`/api/roles/${editingKey}`, body);
+        toast.success('Role updated');
+      } else {
+        const source = roles.find(role => role.key === form.copyFrom);
+        body.permissions = source
+          ? source.permissions.filter(permission => grantablePermissions.includes(permission))
+          : [];
+        await api.post('/api/roles', body);
+        toast.success('Role created - tick its permissions below and save');
+      }
+      setForm(null);
+      setEditingKey(null);
+      await refreshRoles();
+    } catch (error) {
+      toast.error('Error saving role: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the "${role.name}" role? This cannot be undone.`)) return;
+    try {
+      setBusy(role.key);
+      await api.delete(`/api/roles/${role.key}`);
+      discardChanges(role);
+      await refreshRoles();
+      toast.success('Role deleted');
+    } catch (error) {
+      toast.error('Error deleting role: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (roles.length === 0 || permissionGroups.length === 0) {
+    return <div className="text-muted">Loading roles...</div>;
+  }
+
+  return (
+    <>
+      <div className="d-flex justify-content-end mb-3">
+        <button className="btn btn-primary" onClick={openCreateForm} disabled={Boolean(form)}>
+          Add Custom Role
+        </button>
+      </div>
+
+      {form && (
+        <form className="card mb-4" onSubmit={handleSubmit}>
+          <div className="card-header">
+            <h3 className="card-title">{editingKey ? `Edit ${form.name || 'Role'}` : 'New Custom Role'}</h3>
+          </div>
+          <div className="card-body">
+            <div className="row g-3">
+              <div className="col-md-6">
+                <label className="form-label required">Name</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={form.name}
+                  maxLength={100}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Description</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={form.description}
+                  maxLength={255}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                />
+              </div>
+              {!form.isSystem && (
+                <>
+                  <div className="col-md-6">
+                    <label className="form-label">Ranks Like</label>
+                    <select
+                      className="form-select"
+                      value={form.level}
+                      onChange={(e) => setForm({ ...form, level: e.target.value })}
+                    >
+                      {RANK_OPTIONS.map(option => (
+                        <option key={option.level} value={option.level}>{option.label}</option>
+                      ))}
+                    </select>
+                    <small className="form-hint">Decides which users can manage users with this role, and which roles they can manage</small>
+                  </div>
+                  <div className="col-md-6">
+                    <label className="form-label">Access</label>
+                    <label className="form-check">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        checked={form.isStaff}
+                        onChange={(e) => setForm({ ...form, isStaff: e.target.checked })}
+                      />
+                      <span className="form-check-label">Internal staff (not a customer)</span>
+                    </label>
+                    <label className="form-check">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        checked={form.hasPortalAccess}
+                        onChange={(e) => setForm({ ...form, hasPortalAccess: e.target.checked })}
+                      />
+                      <span className="form-check-label">Can sign in to the portal (untick for email notifications only)</span>
+                    </label>
+                  </div>
+                </>
+              )}
+              {!editingKey && (
+                <div className="col-md-6">
+                  <label className="form-label">Copy Permissions From</label>
+                  <select
+                    className="form-select"
+                    value={form.copyFrom}
+                    onChange={(e) => setForm({ ...form, copyFrom: e.target.value })}
+                  >
+                    <option value="">None - start with no permissions</option>
+                    {roles.map(role => (
+                      <option key={role.key} value={role.key}>{role.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="card-footer">
+            <div className="btn-list justify-content-end">
+              <button type="button" className="btn" onClick={() => { setForm(null); setEditingKey(null); }}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={busy === 'form'}>
+                {busy === 'form' ? 'Saving...' : (editingKey ? 'Save Role' : 'Create Role')}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      <div className="table-responsive">
+        <table className="table table-sm table-vcenter card-table">
+          <thead>
+            <tr>
+              <th>Permission</th>
+              {roles.map(role => (
+                <th key={role.key} className="text-center" style={{ minWidth: '120px' }}>
+                  <div>{role.name}</div>
+                  <div className="text-muted small fw-normal">
+                    {role.userCount ?? 0} user{role.userCount === 1 ? '' : 's'}
+                    {!role.isSystem && <span className="badge bg-azure-lt ms-1">Custom</span>}
+                  </div>
+                  {role.editable && (
+                    <div className="mt-1">
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-link p-0"
+                        onClick={() => openEditForm(role)}
+                        disabled={Boolean(form)}
+                      >
+                        Edit
+                      </button>
+                      {!role.isSystem && (
+                        <button
+                          type="button"
+                          className="btn btn-sm btn-link text-danger p-0 ms-2"
+                          onClick={() => handleDelete(role)}
+                          disabled={busy === role.key || role.userCount > 0}
+                          title={role.userCount > 0 ? 'Give its users another role first' : undefined}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  )}
+                  {isDirty(role) && (
+                    <div className="btn-list justify-content-center mt-1">
+                      <button
+                        type="button"
+                        className="btn btn-sm btn-primary"
+                        onClick={() => saveRole(role)}
+                        disabled={busy === role.key}
+                      >
+                        {busy === role.key ? 'Saving...' : 'Save'}
+                      </button>
+                      <button type="button" className="btn btn-sm" onClick={() => discardChanges(role)}>
+                        Undo
+                      </button>
+                    </div>
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {permissionGroups.map(group => (
+              <React.Fragment key={group.label}>
+                <tr className="bg-light">
+                  <td colSpan={roles.length + 1} className="fw-bold">{group.label}</td>
+                </tr>
+                {group.permissions.map(permission => (
+                  <tr key={permission}>
+                    <td title={permission}>{getPermissionLabel(permission)}</td>
+                    {roles.map(role => (
+                      <td key={role.key} className="text-center">
+                        <input
+                          className="form-check-input"
+                          type="checkbox"
+                          checked={role.key === SUPER_ROLE || getGranted(role).includes(permission)}
+                          disabled={role.key === SUPER_ROLE || !canToggle(role, permission)}
+                          onChange={() => togglePermission(role, permission)}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+};
+
+export default RolePermissionMatrix;
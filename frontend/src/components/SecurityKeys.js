@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { startRegistration } from '@simplewebauthn/browser';
+import api from '../services/api';
+import toast from '../utils/toast';
+
+const formatDateTime = (date) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleString('en-GB');
+};
+
+const getKeyType = (credential) => {
+  if (credential.deviceType === 'multiDevice') return 'Synced passkey';
+  if (credential.discoverable) return 'Passkey';
+  return 'Security key';
+};
+
+/**
+ * Security Keys Component
+ * Lists the signed-in user's security keys and passkeys for the 'webauthn'
+ * 2FA method, and lets them add, rename and remove them. The last key can
+ * only be removed by resetting 2FA.
+ */
+const SecurityKeys = () => {
+  const [credentials, setCredentials] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [newKeyName, setNewKeyName] = useState('');
+  const [editing, setEditing] = useState(null);
+
+  const fetchCredentials = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/two-factor/webauthn/credentials');
+      setCredentials(response.data);
+    } catch (error) {
+      console.error('Error fetching security keys:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCredentials();
+  }, [fetchCredentials]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy('add');
+      const optionsResponse = await api.post('/api/two-factor/webauthn/registration-options', {});
+      const attestation = await startRegistration({ optionsJSON: optionsResponse.data.options });
+      await api.post('/api/two-factor/webauthn/verify-registration', {
+        challengeKey: optionsResponse.data.challengeKey,
+        response: attestation,
+        name: newKeyName.trim()
+      });
+      toast.success('Security key added');
+      setNewKeyName('');
+      fetchCredentials();
+    } catch (error) {
+      if (error.name === 'NotAllowedError' || error.name === 'AbortError') {
+        toast.error('The security key prompt was cancelled or timed out');
+      } else if (error.name === 'InvalidStateError') {
+        toast.error('This security key is already registered');
+      } else {
+        toast.error('Error adding security key: ' + (error.response?.data?.message || error.message));
+      }
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(editing.id);
+      await api.patch(`/api/two-factor/webauthn/credentials/${editing.id}`, { name: editing.name.trim() });
+      toast.success('Security key renamed');
+      setEditing(null);
+      fetchCredentials();
+    } catch (error) {
+      toast.error('Error renaming security key: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRemove = async (credential) => {
+    if (!window.confirm(`Remove "${credential.name}"? It will no longer work for signing in.`)) return;
+    try {
+      setBusy(credential.id);
+      await api.delete(`/api/two-factor/webauthn/credentials/${credential.id}`);
+      toast.success('Security key removed');
+      fetchCredentials();
+    } catch (error) {
+      toast.error('Error removing security key: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="card-title">Security Keys and Passkeys</h3>
+      </div>
+      {loading ? (
+        <div className="card-body text-center py-4">
+          <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+        </div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-vcenter card-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Type</th>
+                <th>Added</th>
+                <th>Last Used</th>
+                <th className="w-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {credentials.map((credential) => (
+                <tr key={credential.id}>
+                  <td>
+                    {editing?.id === credential.id ? (
+                      <form className="d-flex gap-2" onSubmit={handleRename}>
+                        <input
+                          type="text"
+                          className="form-control form-control-sm"
+                          value={editing.name}
+                          onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                          maxLength="100"
+                          required
+                          autoFocus
+                        />
+                        <button type="submit" className="btn btn-primary btn-sm" disabled={busy !== null || !editing.name.trim()}>
+                          Save
+                        </button>
+                        <button type="button" className="btn btn-sm" onClick={() => setEditing(null)}>
+                          Cancel
+                        </button>
+                      </form>
+                    ) : (
+                      <span className="fw-medium">{credential.name}</span>
+                    )}
+                  </td>
+                  <td>{getKeyType(credential)}</td>
+                  <td>{formatDateTime(credential.createdAt)}</td>
+                  <td>{formatDateTime(credential.lastUsedAt)}</td>
+                  <td>
+                    {editing?.id !== credential.id && (
+                      <div className="btn-list flex-nowrap">
+                        <button
+                          type="button"
+                          className="btn btn-ghost-secondary btn-sm"
+                          onClick={() => setEditing({ id: credential.id, name: credential.name })}
+                          disabled={busy !== null}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-ghost-danger btn-sm"
+                          onClick={() => handleRemove(credential)}
+                          disabled={busy !== null || credentials.length <= 1}
+                          title={credentials.length <= 1 ? 'Reset 2FA to remove your only security key' : undefined}
+                        >
+                          {busy === credential.id ? 'Removing...' : 'Remove'}
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="card-footer">
+        <form className="row g-2 align-items-center" onSubmit={handleAdd}>
+          <div className="col">
+            <input
+              type="text"
+              className="form-control"
+              value={newKeyName}
+              onChange={(e) => setNewKeyName(e.target.value)}
+              placeholder="Name for a new key, e.g. Backup YubiKey"
+              maxLength="100"
+              required
+            />
+          </div>
+          <div className="col-auto">
+            <button type="submit" className="btn btn-primary" disabled={busy !== null || !newKeyName.trim()}>
+              {busy === 'add' ? 'Waiting for security key...' : 'Add Security Key'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SecurityKeys;
@@ -7,6 +7,18 @@ import { getAvailableFields } from '../utils/standardFields';
 // Set up pdfjs worker - use local file from public folder
 pdfjsLib.GlobalWorkerOptions.workerSrc = `${process.env.PUBLIC_URL || ''}/pdf.worker.js`;
 
+// Line-item table column mappings (keys match Invoice/CreditNote items)
+const LINE_ITEM_COLUMN_FIELDS = [
+  { value: 'description', label: 'Description' },
+  { value: 'productCode', label: 'Product Code' },
+  { value: 'quantity', label: 'Quantity' },
+  { value: 'unitCode', label: 'Unit' },
+  { value: 'unitPrice', label: 'Unit Price' },
+  { value: 'lineTotal', label: 'Net Amount' },
+  { value: 'vatRate', label: 'VAT Rate (%)' },
+  { value: 'vatAmount', label: 'VAT Amount' }
+];
+
 // Suppress font warnings from pdfjs (harmless but annoying)
 if (typeof window !== 'undefined') {
   const originalWarn = console.warn;
@@ -125,6 +137,12 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
   const [startPos, setStartPos] = useState(null);
   const [extractingRegion, setExtractingRegion] = useState(false);
   
+  // Line-item table: region + column boundaries (all normalized 0-1)
+  const [lineItemTable, setLineItemTable] = useState(template?.lineItemTable || null);
+  const [tableDrawMode, setTableDrawMode] = useState(null); // 'region' | 'continuation' while drawing
+  const [columnMode, setColumnMode] = useState(false); // Clicking the table adds column dividers
+  const supportsLineItems = templateType === 'invoice' || templateType === 'credit_note';
+  
   // Test Parse modal state
   const [showTestModal, setShowTestModal] = useState(false);
   const [testFile, setTestFile] = useState(null);
@@ -376,6 +394,11 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
     
     // Only process if we actually drew a box
     if (drawingBox.width > 5 && drawingBox.height > 5) {
+      if (tableDrawMode) {
+        handleTableAreaDrawn();
+        return;
+      }
+      
       // Use pendingFieldLabel (set from table button)
       const fieldLabel = pendingFieldLabel;
       
@@ -543,11 +566,97 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
       setDrawingBox(null);
       setStartPos(null);
       setPendingFieldLabel(null);
+      setTableDrawMode(null);
     }
   };
   
+  // Store the drawn line-item table area (no text extraction needed)
+  const handleTableAreaDrawn = () => {
+    const canvasRect = canvasRef.current.getBoundingClientRect();
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    const area = {
+      left: clamp(drawingBox.x / canvasRect.width),
+      top: clamp(drawingBox.y / canvasRect.height),
+      right: clamp((drawingBox.x + drawingBox.width) / canvasRect.width),
+      bottom: clamp((drawingBox.y + drawingBox.height) / canvasRect.height)
+    };
+    
+    if (tableDrawMode === 'continuation') {
+      setLineItemTable(prev => ({ ...prev, continuation: { top: area.top, bottom: area.bottom } }));
+      toast.success('Continuation area defined for following pages');
+    } else {
+      // Columns are kept when redrawing, clipped to the new area
+      setLineItemTable(prev => {
+        const previousColumns = (prev?.columns || [])
+          .map(col => ({ ...col, left: Math.max(col.left, area.left), right: Math.min(col.right, area.right) }))
+          .filter(col => col.left < col.right);
+        const columns = previousColumns.length > 0
+          ? previousColumns.map((col, index) => ({
+            ...col,
+            left: index === 0 ? area.left : col.left,
+            right: index === previousColumns.length - 1 ? area.right : col.right
+          }))
+          : [{ field: 'description', left: area.left, right: area.right }];
+        return {
+          page: currentPage,
+          normalized: area,
+          continuation: prev?.continuation || null,
+          multiPage: prev?.multiPage !== false,
+          columns
+        };
+      });
+      toast.success('Table area defined. Click inside it to add column dividers.');
+    }
+    
+    setDrawingMode(false);
+    setDrawingBox(null);
+    setStartPos(null);
+    setTableDrawMode(null);
+  };
+  
+  // Split the column under the click into two
+  const handleColumnClick = (e) => {
+    if (!columnMode || !lineItemTable || !canvasRef.current || currentPage !== lineItemTable.page) return;
+    const canvasRect = canvasRef.current.getBoundingClientRect();
+    const x = (e.clientX - canvasRect.left) / canvasRect.width;
+    const { left, right } = lineItemTable.normalized;
+    if (x <= left || x >= right) return;
+    
+    setLineItemTable(prev => ({
+      ...prev,
+      columns: prev.columns.flatMap(col => (
+        x > col.left + 0.005 && x < col.right - 0.005
+          ? [{ ...col, right: x }, { field: null, left: x, right: col.right }]
+          : [col]
+      ))
+    }));
+  };
+  
+  const setColumnField = (index, field) => {
+    setLineItemTable(prev => ({
+      ...prev,
+      columns: prev.columns.map((col, i) => (i === index ? { ...col, field: field || null } : col))
+    }));
+  };
+  
+  const resetColumns = () => {
+    setLineItemTable(prev => ({
+      ...prev,
+      columns: [{ field: 'description', left: prev.normalized.left, right: prev.normalized.right }]
+    }));
+  };
+  
+  // Only send a table that can actually produce rows
+  const lineItemTableForSave = useCallback(() => {
+    if (!supportsLineItems || !lineItemTable?.normalized) return null;
+    if (!lineItemTable.columns.some(col => col.field)) return null;
+    return lineItemTable;
+  }, [supportsLineItems, lineItemTable]);
+  
   // Save template
-  const handleSave = async () => {
+  // activate: false records the changes as a candidate version to regression
+  // test from the Versions dialog; the live template is unchanged
+  const handleSave = async ({ activate = true } = {}) => {
     if (!templateData.name.trim()) {
       toast.error('Template name is required');
       return;
@@ -642,6 +751,10 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
     formData.append('fileType', 'pdf');
     formData.append('coordinates', JSON.stringify(coordinates));
     formData.append('isDefault', templateData.isDefault || false);
+    formData.append('lineItemTable', JSON.stringify(lineItemTableForSave()));
+    if (template?.id && !activate) {
+      formData.append('activate', 'false');
+    }
     
     if (pdfFile) {
       // POST route expects 'sampleExcel', PUT route expects 'samplePdf'
@@ -655,19 +768,22 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
     try {
       const baseEndpoint = '/api/templates';
       
+      let response;
       if (template?.id) {
-        await api.put(`${baseEndpoint}/${template.id}`, formData, {
+        response = await api.put(`${baseEndpoint}/${template.id}`, formData, {
           headers: { 'Content-Type': 'multipart/form-data' }
         });
-        toast.success('Template updated successfully');
+        toast.success(response.data?.candidateVersion
+          ? `Saved as candidate version ${response.data.candidateVersion}`
+          : 'Template updated successfully');
       } else {
-        await api.post(baseEndpoint, formData, {
+        response = await api.post(baseEndpoint, formData, {
           headers: { 'Content-Type': 'multipart/form-data' }
         });
         toast.success('Template created successfully');
       }
       
-      if (onSave) onSave();
+      if (onSave) onSave(response.data);
     } catch (err) {
       console.error('Error saving template:', err);
       console.error('Error response:', err.response?.data);
@@ -747,7 +863,8 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
         name: templateData.name || 'Test Template',
         templateType: templateData.templateType,
         fileType: 'pdf',
-        coordinates: coordinates
+        coordinates: coordinates,
+        lineItemTable: lineItemTableForSave()
       }));
       
       const response = await api.post('/api/parsing/test-parse', formData, {
@@ -777,7 +894,7 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
     } finally {
       setTesting(false);
     }
-  }, [pdfFile, testFile, templateData, template, pdfPage, pdfDimensions, generateTemplateCode]);
+  }, [pdfFile, testFile, templateData, template, pdfPage, pdfDimensions, generateTemplateCode, lineItemTableForSave]);
   
   // Store handleTestParse in ref so it can be called from useImperativeHandle
   useEffect(() => {
@@ -786,7 +903,7 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
   
   // Expose methods to parent via ref
   useImperativeHandle(ref, () => ({
-    handleSave: () => handleSave(),
+    handleSave: (options) => handleSave(options),
     handleTestParse: () => {
       if (!pdfFile) {
         toast.error('Please upload a PDF file first');
@@ -980,6 +1097,172 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
               </div>
             )}
             
+            {supportsLineItems && (
+              <>
+                <hr />
+                
+                <h4 className="card-title mb-2">Line Items</h4>
+                <p className="text-muted small mb-3">
+                  Draw the table body (below its header row), then click inside it to place column dividers and map each column.
+                  Rows are read on every page from the table page onwards and stored as the document's line items.
+                </p>
+                
+                <div className="d-flex flex-wrap gap-2 mb-3">
+                  <button
+                    className="btn btn-sm btn-primary"
+                    onClick={() => {
+                      setColumnMode(false);
+                      setTableDrawMode('region');
+                      setDrawingMode(true);
+                      if (lineItemTable?.page && lineItemTable.page !== currentPage) {
+                        goToPage(lineItemTable.page);
+                      }
+                    }}
+                    disabled={!pdfDoc || drawingMode || extractingRegion}
+                  >
+                    {lineItemTable ? 'Redraw Table Area' : 'Define Table Area'}
+                  </button>
+                  {lineItemTable && (
+                    <>
+                      <button
+                        className={`btn btn-sm ${columnMode ? 'btn-success' : 'btn-outline-primary'}`}
+                        onClick={() => {
+                          if (!columnMode && lineItemTable.page !== currentPage) {
+                            goToPage(lineItemTable.page);
+                          }
+                          setColumnMode(!columnMode);
+                        }}
+                        disabled={drawingMode}
+                      >
+                        {columnMode ? 'Done Adding Dividers' : 'Add Column Dividers'}
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={resetColumns}
+                        disabled={drawingMode}
+                      >
+                        Reset Columns
+                      </button>
+                      <button
+                        className="btn btn-sm btn-outline-danger"
+                        onClick={() => {
+                          setColumnMode(false);
+                          setLineItemTable(null);
+                        }}
+                        disabled={drawingMode}
+                      >
+                        Remove Table
+                      </button>
+                    </>
+                  )}
+                </div>
+                
+                {tableDrawMode && (
+                  <div className="alert alert-info">
+                    <strong>Drawing mode active</strong>
+                    <p className="mb-0 mt-1">
+                      {tableDrawMode === 'continuation'
+                        ? 'Drag over the area the table occupies on following pages'
+                        : 'Drag over the table rows (exclude the header row)'}
+                    </p>
+                    <button
+                      className="btn btn-sm btn-secondary mt-2"
+                      onClick={() => {
+                        setDrawingMode(false);
+                        setDrawingBox(null);
+                        setStartPos(null);
+                        setTableDrawMode(null);
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                )}
+                
+                {lineItemTable && (
+                  <>
+                    <div className="mb-2">
+                      <span className="badge bg-info-lt me-2">Page {lineItemTable.page}</span>
+                      {lineItemTable.continuation && (
+                        <span className="badge bg-info-lt">Custom area on following pages</span>
+                      )}
+                    </div>
+                    
+                    <label className="form-check form-switch mb-2">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        checked={lineItemTable.multiPage !== false}
+                        onChange={(e) => setLineItemTable(prev => ({ ...prev, multiPage: e.target.checked }))}
+                      />
+                      <span className="form-check-label">Table continues onto following pages</span>
+                    </label>
+                    
+                    {lineItemTable.multiPage !== false && (
+                      <div className="d-flex gap-2 mb-3">
+                        <button
+                          className="btn btn-sm btn-outline-primary"
+                          onClick={() => {
+                            setColumnMode(false);
+                            setTableDrawMode('continuation');
+                            setDrawingMode(true);
+                            if (currentPage === lineItemTable.page && currentPage < totalPages) {
+                              goToPage(currentPage + 1);
+                            }
+                          }}
+                          disabled={!pdfDoc || drawingMode}
+                          title="Only needed when the table starts higher or ends lower on following pages"
+                        >
+                          {lineItemTable.continuation ? 'Redraw Following-Page Area' : 'Set Following-Page Area'}
+                        </button>
+                        {lineItemTable.continuation && (
+                          <button
+                            className="btn btn-sm btn-outline-secondary"
+                            onClick={() => setLineItemTable(prev => ({ ...prev, continuation: null }))}
+                          >
+                            Use Same Area
+                          </button>
+                        )}
+                      </div>
+                    )}
+                    
+                    <table className="table table-sm">
+                      <thead>
+                        <tr>
+                          <th>Column</th>
+                          <th>Maps To</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {lineItemTable.columns.map((col, index) => (
+                          <tr key={`${col.left}-${col.right}`}>
+                            <td>{index + 1}</td>
+                            <td>
+                              <select
+                                className="form-select form-select-sm"
+                                value={col.field || ''}
+                                onChange={(e) => setColumnField(index, e.target.value)}
+                              >
+                                <option value="">(ignore)</option>
+                                {LINE_ITEM_COLUMN_FIELDS.map(option => (
+                                  <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                              </select>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {!lineItemTable.columns.some(col => ['lineTotal', 'unitPrice', 'quantity', 'vatAmount'].includes(col.field)) && (
+                      <div className="form-hint text-warning">
+                        Map at least one amount or quantity column - rows are detected by it.
+                      </div>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+            
           </div>
         </div>
       </div>
@@ -1200,6 +1483,83 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
                     );
                   })}
                   
+                  {/* Line-item table area and column dividers */}
+                  {lineItemTable?.normalized && (() => {
+                    const canvasRect = canvasRef.current?.getBoundingClientRect();
+                    if (!canvasRect) return null;
+                    const onTablePage = currentPage === lineItemTable.page;
+                    const onFollowingPage = currentPage > lineItemTable.page && lineItemTable.multiPage !== false;
+                    if (!onTablePage && !onFollowingPage) return null;
+                    
+                    const area = onTablePage || !lineItemTable.continuation
+                      ? lineItemTable.normalized
+                      : { ...lineItemTable.normalized, ...lineItemTable.continuation };
+                    const opacity = drawingMode ? 0.3 : 1;
+                    
+                    return (
+                      <div
+                        style={{
+                          position: 'absolute',
+                          left: `${area.left * canvasRect.width}px`,
+                          top: `${area.top * canvasRect.height}px`,
+                          width: `${(area.right - area.left) * canvasRect.width}px`,
+                          height: `${(area.bottom - area.top) * canvasRect.height}px`,
+                          border: `2px dashed rgba(47, 179, 68, ${opacity})`,
+                          backgroundColor: `rgba(47, 179, 68, ${0.08 * opacity})`,
+                          pointerEvents: 'none',
+                          zIndex: 11
+                        }}
+                      >
+                        <span style={{
+                          position: 'absolute',
+                          top: '-25px',
+                          right: 0,
+                          fontSize: '11px',
+                          backgroundColor: `rgba(47, 179, 68, ${opacity})`,
+                          color: 'white',
+                          padding: '2px 6px',
+                          borderRadius: '3px',
+                          whiteSpace: 'nowrap'
+                        }}>
+                          Line Items{onFollowingPage ? ' (continued)' : ''}
+                        </span>
+                        {lineItemTable.columns.map((col, index) => (
+                          <div
+                            key={`${col.left}-${col.right}`}
+                            style={{
+                              position: 'absolute',
+                              top: 0,
+                              bottom: 0,
+                              left: `${((col.left - area.left) / (area.right - area.left)) * 100}%`,
+                              width: `${((col.right - col.left) / (area.right - area.left)) * 100}%`,
+                              borderLeft: index > 0 ? `2px solid rgba(47, 179, 68, ${opacity})` : 'none'
+                            }}
+                          >
+                            <span style={{ fontSize: '10px', color: '#2fb344', padding: '0 4px' }}>
+                              {LINE_ITEM_COLUMN_FIELDS.find(option => option.value === col.field)?.label || ''}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    );
+                  })()}
+                  
+                  {/* Column divider overlay - click inside the table to split a column */}
+                  {columnMode && !drawingMode && (
+                    <div
+                      style={{
+                        position: 'absolute',
+                        top: 0,
+                        left: 0,
+                        right: 0,
+                        bottom: 0,
+                        cursor: 'col-resize',
+                        zIndex: 15
+                      }}
+                      onClick={handleColumnClick}
+                    />
+                  )}
+                  
                   {/* Drawing box - positioned relative to canvas wrapper */}
                   {drawingBox && (drawingBox.width > 0 || drawingBox.height > 0) && (
                     <div
@@ -1328,7 +1688,7 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
                             </thead>
                             <tbody>
                               {Object.entries(testResults.extractedFields || {})
-                                .filter(([key]) => !['fullText', 'fieldLabels', 'templateId', 'templateName', 'templateCode'].includes(key))
+                                .filter(([key]) => !['fullText', 'fieldLabels', 'templateId', 'templateName', 'templateCode', 'items'].includes(key))
                                 .map(([key, value]) => (
                                   <tr key={key}>
                                     <td><strong>{key}</strong></td>
@@ -1345,6 +1705,42 @@ const TemplateBuilder = forwardRef(({ template, onSave, onCancel }, ref) => {
                           </table>
                         </div>
                         
+                        {Array.isArray(testResults.extractedFields?.items) && (
+                          <>
+                            <h6 className="mt-3 mb-2">Line Items ({testResults.extractedFields.items.length})</h6>
+                            {testResults.extractedFields.items.length === 0 ? (
+                              <div className="text-muted small">No rows found in the table area</div>
+                            ) : (
+                              <div className="table-responsive" style={{ maxHeight: '300px', overflowY: 'auto' }}>
+                                <table className="table table-sm table-bordered">
+                                  <thead className="table-light sticky-top">
+                                    <tr>
+                                      {LINE_ITEM_COLUMN_FIELDS
+                                        .filter(option => testResults.extractedFields.items.some(item => item[option.value] !== undefined))
+                                        .map(option => <th key={option.value}>{option.label}</th>)}
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {testResults.extractedFields.items.map((item, index) => (
+                                      <tr key={index}>
+                                        {LINE_ITEM_COLUMN_FIELDS
+                                          .filter(option => testResults.extractedFields.items.some(row => row[option.value] !== undefined))
+                                          .map(option => (
+                                            <td key={option.value}>
+                                              {item[option.value] === null || item[option.value] === undefined
+                                                ? <span className="text-muted">-</span>
+                                                : String(item[option.value])}
+                                            </td>
+                                          ))}
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              </div>
+                            )}
+                          </>
+                        )}
+                        
                         <details className="mt-3">
                           <summary className="cursor-pointer text-muted">View Raw JSON</summary>
                           <pre style={{ 
@@ -0,0 +1,461 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+
+const POLL_INTERVAL = 2000;
+
+const formatDateTime = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleString('en-GB');
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return <span className="text-muted">(empty)</span>;
+  if (typeof value === 'object') {
+    return <code style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-all' }}>{JSON.stringify(value)}</code>;
+  }
+  return String(value);
+};
+
+const CHANGE_BADGES = {
+  added: 'bg-success-lt',
+  removed: 'bg-danger-lt',
+  changed: 'bg-warning-lt'
+};
+
+/**
+ * Template Versions Modal
+ * Version history for a customer template: diff any version against the
+ * active one, re-parse the pinned sample PDFs with it (regression run) and
+ * activate it - activating an older version is a rollback.
+ *
+ * @param {Object} template - Template (id, name, fileType)
+ * @param {number} [initialVersion] - Version to select when opened (e.g. a candidate just saved)
+ * @param {Function} onClose - Called when the modal is dismissed
+ * @param {Function} onActivated - Called after a version is activated
+ */
+const TemplateVersionsModal = ({ template, initialVersion, onClose, onActivated }) => {
+  const [versions, setVersions] = useState([]);
+  const [activeVersion, setActiveVersion] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(initialVersion || null);
+  const [diff, setDiff] = useState(null);
+  const [samples, setSamples] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [activating, setActivating] = useState(false);
+  const [regression, setRegression] = useState(null); // { testId, version, status, progress, results, summary }
+  const pollRef = useRef(null);
+  const testIdRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const isPdf = template.fileType === 'pdf';
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      const response = await api.get(`/api/templates/${template.id}/versions`);
+      setVersions(response.data.versions || []);
+      setActiveVersion(response.data.activeVersion);
+      setSelectedVersion(prev => prev || response.data.versions?.[0]?.version || null);
+    } catch (error) {
+      toast.error('Failed to load versions: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [template.id]);
+
+  const fetchSamples = useCallback(async () => {
+    if (!isPdf) return;
+    try {
+      const response = await api.get(`/api/templates/${template.id}/regression-samples`);
+      setSamples(response.data || []);
+    } catch (error) {
+      console.error('Error fetching regression samples:', error);
+    }
+  }, [template.id, isPdf]);
+
+  // Regression results live in the bulk test store until finished
+  const finishRegression = useCallback(async () => {
+    if (pollRef.current) {
+      clearInterval(pollRef.current);
+      pollRef.current = null;
+    }
+    const testId = testIdRef.current;
+    testIdRef.current = null;
+    if (testId) {
+      try {
+        await api.delete(`/api/parsing/test-parse-bulk/${testId}`);
+      } catch (error) {
+        // Test store entries expire on their own
+      }
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVersions();
+    fetchSamples();
+    return () => {
+      finishRegression();
+    };
+  }, [fetchVersions, fetchSamples, finishRegression]);
+
+  useEffect(() => {
+    if (!selectedVersion) {
+      setDiff(null);
+      return;
+    }
+    const fetchDiff = async () => {
+      try {
+        const response = await api.get(`/api/templates/${template.id}/versions/${selectedVersion}/diff`);
+        setDiff(response.data);
+      } catch (error) {
+        setDiff(null);
+        toast.error('Failed to load changes: ' + (error.response?.data?.message || error.message));
+      }
+    };
+    fetchDiff();
+  }, [template.id, selectedVersion]);
+
+  const handleUploadSamples = async (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length === 0) return;
+
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+
+    setUploading(true);
+    try {
+      const response = await api.post(`/api/templates/${template.id}/regression-samples`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      setSamples(response.data || []);
+      toast.success(`Pinned ${files.length} sample${files.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      toast.error('Failed to pin samples: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const handleRemoveSample = async (sample) => {
+    if (!window.confirm(`Unpin ${sample.fileName}?`)) return;
+    try {
+      await api.delete(`/api/templates/${template.id}/regression-samples/${sample.id}`);
+      setSamples(prev => prev.filter(s => s.id !== sample.id));
+    } catch (error) {
+      toast.error('Failed to unpin sample: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleRunRegression = async (version) => {
+    await finishRegression();
+    try {
+      const response = await api.post(`/api/templates/${template.id}/versions/${version}/regression`);
+      const { testId, totalFiles } = response.data;
+      testIdRef.current = testId;
+      setRegression({ testId, version, status: 'processing', progress: 0, totalFiles, results: [], summary: null });
+
+      pollRef.current = setInterval(async () => {
+        try {
+          const statusResponse = await api.get(`/api/parsing/test-parse-bulk/${testId}`);
+          const test = statusResponse.data.test;
+          if (test.status !== 'completed' && test.status !== 'failed') {
+            setRegression(prev => prev && prev.testId === testId ? { ...prev, progress: test.progress } : prev);
+            return;
+          }
+
+          clearInterval(pollRef.current);
+          pollRef.current = null;
+          const resultsResponse = await api.get(`/api/parsing/test-parse-bulk/${testId}/results`);
+          const results = resultsResponse.data.test;
+          setRegression(prev => prev && prev.testId === testId
+            ? { ...prev, status: test.status, progress: 100, results: results.results || [], summary: results.summary }
+            : prev);
+        } catch (error) {
+          clearInterval(pollRef.current);
+          pollRef.current = null;
+          setRegression(prev => prev ? { ...prev, status: 'failed' } : prev);
+          toast.error('Regression run failed: ' + (error.response?.data?.message || error.message));
+        }
+      }, POLL_INTERVAL);
+    } catch (error) {
+      toast.error('Failed to start regression run: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleActivate = async (version) => {
+    const isRollback = activeVersion && version < activeVersion;
+    const ranRegression = regression?.version === version && regression.status === 'completed';
+    const prompt = isRollback
+      ? `Roll back "${template.name}" to version ${version}? Documents imported from now on will be parsed with it.`
+      : `Activate version ${version} of "${template.name}"?${isPdf && !ranRegression ? ' No regression run has been done for this version.' : ''}`;
+    if (!window.confirm(prompt)) return;
+
+    setActivating(true);
+    try {
+      await api.post(`/api/templates/${template.id}/versions/${version}/activate`, {
+        regressionTestId: ranRegression ? regression.testId : null
+      });
+      toast.success(isRollback ? `Rolled back to version ${version}` : `Version ${version} activated`);
+      await fetchVersions();
+      if (onActivated) onActivated();
+    } catch (error) {
+      toast.error('Failed to activate version: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setActivating(false);
+    }
+  };
+
+  const selected = versions.find(v => v.version === selectedVersion);
+
+  return (
+    <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+      <div className="modal-dialog modal-xl modal-dialog-scrollable">
+        <div className="modal-content">
+          <div className="modal-header">
+            <h5 className="modal-title">Versions - {template.name}</h5>
+            <button type="button" className="btn-close" onClick={onClose}></button>
+          </div>
+          <div className="modal-body">
+            {loading ? (
+              <div className="text-center py-4">
+                <div className="spinner-border" role="status">
+                  <span className="visually-hidden">Loading...</span>
+                </div>
+              </div>
+            ) : versions.length === 0 ? (
+              <p className="text-muted">No versions recorded yet. The next save will create version 1.</p>
+            ) : (
+              <div className="row">
+                <div className="col-lg-5">
+                  <div className="table-responsive">
+                    <table className="table table-sm table-vcenter">
+                      <thead>
+                        <tr>
+                          <th>Version</th>
+                          <th>Saved</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {versions.map(version => (
+                          <tr
+                            key={version.id}
+                            className={version.version === selectedVersion ? 'table-active' : ''}
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => setSelectedVersion(version.version)}
+                          >
+                            <td>
+                              <strong>v{version.version}</strong>
+                              {version.version === activeVersion && (
+                                <span className="badge bg-success-lt ms-2">Active</span>
+                              )}
+                              {version.status === 'candidate' && version.version !== activeVersion && (
+                                <span className="badge bg-info-lt ms-2">Candidate</span>
+                              )}
+                              {version.note && (
+                                <div className="small text-muted">{version.note}</div>
+                              )}
+                            </td>
+                            <td className="small">
+                              {formatDateTime(version.createdAt)}
+                              <div className="text-muted">{version.createdByEmail || '-'}</div>
+                            </td>
+                            <td className="text-end">
+                              {version.version !== activeVersion && (
+                                <button
+                                  className="btn btn-sm btn-outline-primary"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleActivate(version.version);
+                                  }}
+                                  disabled={activating}
+                                >
+                                  {activeVersion && version.version < activeVersion ? 'Roll Back' : 'Activate'}
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+
+                  {isPdf && (
+                    <div className="mt-3">
+                      <div className="d-flex justify-content-between align-items-center mb-2">
+                        <h4 className="mb-0">Regression Samples</h4>
+                        <label className={`btn btn-sm btn-outline-primary mb-0 ${uploading ? 'disabled' : ''}`}>
+                          {uploading ? 'Uploading...' : '+ Pin PDFs'}
+                          <input
+                            ref={fileInputRef}
+                            type="file"
+                            accept=".pdf"
+                            multiple
+                            hidden
+                            onChange={handleUploadSamples}
+                            disabled={uploading}
+                          />
+                        </label>
+                      </div>
+                      <p className="small text-muted">
+                        Pinned PDFs are re-parsed with a version before you activate it, so you can see which fields it changes.
+                      </p>
+                      {samples.length === 0 ? (
+                        <p className="text-muted small">No samples pinned.</p>
+                      ) : (
+                        <ul className="list-group list-group-flush">
+                          {samples.map(sample => (
+                            <li key={sample.id} className="list-group-item px-0 py-1 d-flex justify-content-between align-items-center">
+                              <span className="small">
+                                {sample.fileName}
+                                {sample.missing && <span className="badge bg-danger-lt ms-2">File missing</span>}
+                              </span>
+                              <button
+                                className="btn btn-sm btn-ghost-danger"
+                                onClick={() => handleRemoveSample(sample)}
+                                title="Unpin"
+                              >
+                                ×
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div className="col-lg-7">
+                  {selected && (
+                    <>
+                      <div className="d-flex justify-content-between align-items-center mb-2">
+                        <h4 className="mb-0">
+                          Changes in v{selected.version}
+                          {diff?.against ? <span className="text-muted"> vs v{diff.against}</span> : null}
+                        </h4>
+                        {isPdf && (
+                          <button
+                            className="btn btn-sm btn-info"
+                            onClick={() => handleRunRegression(selected.version)}
+                            disabled={samples.length === 0 || regression?.status === 'processing'}
+                            title={samples.length === 0 ? 'Pin sample PDFs first' : 'Re-parse the pinned samples with this version'}
+                          >
+                            Run Regression
+                          </button>
+                        )}
+                      </div>
+                      {!diff ? null : diff.changes.length === 0 ? (
+                        <p className="text-muted small">No configuration changes.</p>
+                      ) : (
+                        <div className="table-responsive mb-3">
+                          <table className="table table-sm">
+                            <thead>
+                              <tr>
+                                <th>Setting</th>
+                                <th>Before</th>
+                                <th>After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {diff.changes.map((change, index) => (
+                                <tr key={index}>
+                                  <td className="small">
+                                    <span className={`badge ${CHANGE_BADGES[change.change]} me-1`}>{change.change}</span>
+                                    {change.field}{change.key ? ` › ${change.key}` : ''}
+                                  </td>
+                                  <td className="small">{formatValue(change.before)}</td>
+                                  <td className="small">{formatValue(change.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )}
+                    </>
+                  )}
+
+                  {regression && (
+                    <div className="card">
+                      <div className="card-header d-flex justify-content-between align-items-center">
+                        <h3 className="card-title">
+                          Regression: v{regression.version} vs active v{activeVersion || '-'}
+                        </h3>
+                        {regression.status === 'processing' ? (
+                          <span className="text-muted small">{regression.progress || 0}%</span>
+                        ) : regression.summary && (
+                          <span className={`badge ${regression.summary.filesChanged > 0 ? 'bg-warning-lt' : 'bg-success-lt'}`}>
+                            {regression.summary.filesChanged || 0} of {regression.results.length} changed
+                          </span>
+                        )}
+                      </div>
+                      <div className="card-body">
+                        {regression.status === 'processing' ? (
+                          <div className="progress">
+                            <div className="progress-bar" style={{ width: `${regression.progress || 0}%` }}></div>
+                          </div>
+                        ) : regression.results.length === 0 ? (
+                          <p className="text-muted small mb-0">No results.</p>
+                        ) : (
+                          regression.results.map((result, index) => (
+                            <div key={index} className="mb-3">
+                              <div className="d-flex align-items-center gap-2 mb-1">
+                                <strong className="small">{result.fileName}</strong>
+                                {!result.success ? (
+                                  <span className="badge bg-danger-lt">Error</span>
+                                ) : result.regression?.changed ? (
+                                  <span className="badge bg-warning-lt">{result.regression.differences.length} field(s) differ</span>
+                                ) : (
+                                  <span className="badge bg-success-lt">No change</span>
+                                )}
+                              </div>
+                              {!result.success && <div className="text-danger small">{result.error}</div>}
+                              {result.regression?.changed && (
+                                <table className="table table-sm mb-0">
+                                  <thead>
+                                    <tr>
+                                      <th>Field</th>
+                                      <th>Active (v{result.regression.activeVersion || '-'})</th>
+                                      <th>Candidate (v{result.regression.candidateVersion})</th>
+                                    </tr>
+                                  </thead>
+                                  <tbody>
+                                    {result.regression.differences.map(difference => (
+                                      <tr key={difference.field}>
+                                        <td className="small">{result.fieldLabels?.[difference.field] || difference.field}</td>
+                                        <td className="small">{formatValue(difference.active)}</td>
+                                        <td className="small">{formatValue(difference.candidate)}</td>
+                                      </tr>
+                                    ))}
+                                  </tbody>
+                                </table>
+                              )}
+                            </div>
+                          ))
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn" onClick={onClose}>Close</button>
+            {regression?.status === 'completed' && regression.version !== activeVersion && (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={() => handleActivate(regression.version)}
+                disabled={activating}
+              >
+                {activating ? 'Activating...' : `Activate v${regression.version}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateVersionsModal;
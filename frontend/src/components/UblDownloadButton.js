@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { API_BASE_URL } from '../services/api';
+import toast from '../utils/toast';
+
+const FORMATS = {
+  ubl: { label: 'Download UBL', name: 'UBL e-invoice', extension: 'xml', validation: 'Peppol Validation Failed' },
+  facturx: { label: 'Download Factur-X', name: 'Factur-X PDF', extension: 'pdf', validation: 'Factur-X Validation Failed' }
+};
+
+/**
+ * UBL Download Button
+ * Downloads a Peppol BIS 3.0 UBL export (or, with format="facturx", a
+ * Factur-X hybrid PDF) of an invoice or credit note. If the document is
+ * missing mandatory data the server answers 422 with the failed business
+ * rules, which are listed in a modal so they can be fixed.
+ *
+ * @param {string} endpoint - 'invoices' or 'credit-notes'
+ * @param {string} documentId
+ * @param {string} documentNumber - Used for the fallback filename
+ * @param {string} [format] - 'ubl' (default) or 'facturx'
+ * @param {Function} [onDownloaded] - Called after a successful download
+ */
+const UblDownloadButton = ({ endpoint, documentId, documentNumber, format = 'ubl', onDownloaded }) => {
+  const formatConfig = FORMATS[format] || FORMATS.ubl;
+  const [downloading, setDownloading] = useState(false);
+  const [validation, setValidation] = useState(null);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}/api/${endpoint}/${documentId}/download?format=${format}`, {
+        method: 'GET',
+        headers: { Authorization: `Bearer ${token}` }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ message: 'Download failed' }));
+        if (response.status === 422 && Array.isArray(errorData.errors)) {
+          setValidation(errorData);
+          return;
+        }
+        throw new Error(errorData.message || 'Download failed');
+      }
+
+      const blob = await response.blob();
+      const blobUrl = window.URL.createObjectURL(blob);
+      const contentDisposition = response.headers.get('Content-Disposition');
+      let filename = `${documentNumber || documentId}.${formatConfig.extension}`;
+      if (contentDisposition) {
+        const m = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
+        if (m && m[1]) filename = m[1].replace(/['"]/g, '');
+      }
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(blobUrl);
+
+      toast.success(`${formatConfig.name} downloaded`);
+      if (onDownloaded) onDownloaded();
+    } catch (error) {
+      console.error(`Error downloading ${formatConfig.name}:`, error);
+      toast.error(`Error downloading ${formatConfig.name}: ` + (error.message || 'Unknown error'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <>
+      <button className="btn btn-outline-primary me-2" onClick={handleDownload} disabled={downloading}>
+        {downloading ? 'Exporting...' : formatConfig.label}
+      </button>
+
+      {validation && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog modal-lg">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">{formatConfig.validation}</h5>
+                <button type="button" className="btn-close" onClick={() => setValidation(null)}></button>
+              </div>
+              <div className="modal-body">
+                <p>{validation.message}. Fix the following and try again:</p>
+                <div className="table-responsive">
+                  <table className="table table-vcenter table-sm">
+                    <thead>
+                      <tr>
+                        <th>Rule</th>
+                        <th>Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {validation.errors.map((error, index) => (
+                        <tr key={index}>
+                          <td className="text-nowrap"><code>{error.rule}</code></td>
+                          <td>{error.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn" onClick={() => setValidation(null)}>Close</button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default UblDownloadButton;
@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api, { API_BASE_URL } from '../services/api';
+import toast from '../utils/toast';
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const emptyFilters = () => ({ search: '', from: '', to: '' });
+
+/**
+ * Unlinked Credit Notes Report Component
+ * Credit notes that aren't linked to the invoice they credit, with the invoice
+ * number read from the document where there was one. Open a credit note to
+ * link it by hand.
+ */
+const UnlinkedCreditNotesReport = () => {
+  const [filters, setFilters] = useState(emptyFilters());
+  const [applied, setApplied] = useState(emptyFilters());
+  const [page, setPage] = useState(1);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const buildParams = useCallback(() => {
+    const params = {};
+    if (applied.search.trim()) params.search = applied.search.trim();
+    if (applied.from) params.from = applied.from;
+    if (applied.to) params.to = applied.to;
+    return params;
+  }, [applied]);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/reports/unlinked-credit-notes', {
+        params: { ...buildParams(), page }
+      });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error fetching unlinked credit notes:', error);
+      toast.error('Error loading unlinked credit notes: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }, [buildParams, page]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setApplied(filters);
+  };
+
+  const handleClear = () => {
+    setFilters(emptyFilters());
+    setPage(1);
+    setApplied(emptyFilters());
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const token = localStorage.getItem('token');
+      const params = new URLSearchParams({ ...buildParams(), format: 'xlsx' });
+
+      const response = await fetch(`${API_BASE_URL}/api/reports/unlinked-credit-notes?${params.toString()}`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Export failed');
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = `unlinked-credit-notes-${new Date().toISOString().slice(0, 10)}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(downloadUrl);
+      document.body.removeChild(a);
+    } catch (error) {
+      toast.error('Error exporting unlinked credit notes: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const summary = report?.summary;
+  const pagination = report?.pagination;
+
+  return (
+    <>
+      <form className="row g-2 mb-3 align-items-end" onSubmit={handleApply}>
+        <div className="col-md-4">
+          <label className="form-label">Search</label>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Credit note, invoice reference or company..."
+            value={filters.search}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label">Issued From</label>
+          <input
+            type="date"
+            className="form-control"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label">Issued To</label>
+          <input
+            type="date"
+            className="form-control"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+          />
+        </div>
+        <div className="col-md-2">
+          <div className="btn-list">
+            <button type="submit" className="btn btn-primary">Apply</button>
+            <button type="button" className="btn btn-ghost-secondary" onClick={handleClear}>Clear</button>
+          </div>
+        </div>
+        <div className="col-md-2 text-end">
+          <button
+            type="button"
+            className="btn btn-outline-primary"
+            onClick={handleExport}
+            disabled={exporting || !summary?.count}
+          >
+            {exporting ? 'Exporting...' : 'Export XLSX'}
+          </button>
+        </div>
+      </form>
+
+      {loading && !report ? (
+        <div className="text-center py-5">
+          <div className="spinner-border" role="status">
+            <span className="visually-hidden">Loading...</span>
+          </div>
+        </div>
+      ) : !summary || summary.count === 0 ? (
+        <div className="empty">
+          <p className="empty-title">No unlinked credit notes</p>
+          <p className="empty-text">Every credit note matching these filters is linked to the invoice it credits.</p>
+        </div>
+      ) : (
+        <>
+          <p className="text-muted">
+            {summary.count} credit note{summary.count === 1 ? '' : 's'} totalling {formatCurrency(summary.totalAmount)}
+            {' '}&middot; {summary.withReference} refer to an invoice that wasn't found, {summary.withoutReference} have no invoice reference
+          </p>
+          <div className="table-responsive">
+            <table className="table table-vcenter table-sm table-hover">
+              <thead>
+                <tr>
+                  <th>Credit Note</th>
+                  <th>Date</th>
+                  <th>Company</th>
+                  <th className="text-end">Amount</th>
+                  <th className="text-end">Remaining Credit</th>
+                  <th>Invoice Reference</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.id}>
+                    <td>
+                      <Link to={`/credit-notes/${row.id}/view`}>{row.creditNoteNumber}</Link>
+                    </td>
+                    <td>{formatDate(row.issueDate)}</td>
+                    <td>
+                      {row.company?.name || <span className="text-muted">Unallocated</span>}
+                      {row.company?.referenceNo && <span className="text-muted small ms-2">{row.company.referenceNo}</span>}
+                    </td>
+                    <td className="text-end">{formatCurrency(Math.abs(row.amount))}</td>
+                    <td className="text-end">{formatCurrency(row.remainingCredit)}</td>
+                    <td>{row.invoiceReference || <span className="text-muted">-</span>}</td>
+                    <td className="text-muted small">{row.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {pagination && pagination.pages > 1 && (
+            <div className="d-flex justify-content-between align-items-center mt-3">
+              <span className="text-muted">Page {pagination.page} of {pagination.pages}</span>
+              <div className="btn-list">
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => setPage(page - 1)}
+                  disabled={loading || page <= 1}
+                >
+                  Previous
+                </button>
+                <button
+                  className="btn btn-sm btn-outline-secondary"
+                  onClick={() => setPage(page + 1)}
+                  disabled={loading || page >= pagination.pages}
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </>
+  );
+};
+
+export default UnlinkedCreditNotesReport;
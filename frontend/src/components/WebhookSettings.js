@@ -0,0 +1,582 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+
+const EVENT_GROUPS = [
+  { prefix: 'invoice.', label: 'Invoices' },
+  { prefix: 'credit_note.', label: 'Credit Notes' },
+  { prefix: 'statement.', label: 'Statements' },
+  { prefix: '', label: 'Other' }
+];
+
+const EVENT_LABELS = {
+  'query.replied': 'Query replied to',
+  'import.completed': 'Import batch completed (global endpoints only)'
+};
+
+const DELIVERY_STATUS_BADGES = {
+  pending: 'bg-secondary-lt',
+  retrying: 'bg-warning-lt',
+  succeeded: 'bg-success-lt',
+  failed: 'bg-danger-lt'
+};
+
+const EMPTY_FORM = { name: '', url: '', companyId: '', events: [], enabled: true };
+
+const getEventLabel = (event) => {
+  if (EVENT_LABELS[event]) return EVENT_LABELS[event];
+  const action = event.split('.')[1];
+  return action.charAt(0).toUpperCase() + action.slice(1);
+};
+
+const groupEvents = (events) => EVENT_GROUPS.map(group => ({
+  ...group,
+  events: events.filter(event => group.prefix
+    ? event.startsWith(group.prefix)
+    : !EVENT_GROUPS.some(g => g.prefix && event.startsWith(g.prefix)))
+})).filter(group => group.events.length > 0);
+
+const formatDateTime = (date) => {
+  if (!date) return 'Never';
+  return new Date(date).toLocaleString('en-GB');
+};
+
+/**
+ * Webhook Settings Component
+ * Outbound webhook endpoints (Settings > Webhooks). Each endpoint receives
+ * signed JSON POSTs for the events it subscribes to; the delivery log shows
+ * every attempt and lets an admin redeliver one. The signing secret is only
+ * shown when an endpoint is created or its secret is rotated.
+ */
+const WebhookSettings = ({ companies = [] }) => {
+  const [endpoints, setEndpoints] = useState([]);
+  const [availableEvents, setAvailableEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [selectedEndpoint, setSelectedEndpoint] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [deliveryPage, setDeliveryPage] = useState(1);
+  const [deliveryPages, setDeliveryPages] = useState(1);
+  const [loadingDeliveries, setLoadingDeliveries] = useState(false);
+  const [deliveryDetail, setDeliveryDetail] = useState(null);
+
+  const fetchEndpoints = useCallback(async () => {
+    try {
+      const response = await api.get('/api/webhooks');
+      setEndpoints(response.data.endpoints);
+      setAvailableEvents(response.data.availableEvents);
+    } catch (error) {
+      console.error('Error fetching webhook endpoints:', error);
+      toast.error('Error loading webhook endpoints');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async (endpointId, page = 1) => {
+    try {
+      setLoadingDeliveries(true);
+      const response = await api.get(`/api/webhooks/${endpointId}/deliveries?page=${page}&limit=25`);
+      setDeliveries(response.data.deliveries);
+      setDeliveryPage(response.data.pagination.page);
+      setDeliveryPages(Math.max(response.data.pagination.pages, 1));
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+      toast.error('Error loading delivery log');
+    } finally {
+      setLoadingDeliveries(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchEndpoints();
+  }, [fetchEndpoints]);
+
+  useEffect(() => {
+    if (selectedEndpoint) {
+      setDeliveryDetail(null);
+      fetchDeliveries(selectedEndpoint.id, 1);
+    }
+  }, [selectedEndpoint, fetchDeliveries]);
+
+  const openCreateForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const openEditForm = (endpoint) => {
+    setEditingId(endpoint.id);
+    setForm({
+      name: endpoint.name,
+      url: endpoint.url,
+      companyId: endpoint.companyId || '',
+      events: endpoint.events,
+      enabled: endpoint.enabled
+    });
+  };
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event)
+        ? prev.events.filter(e => e !== event)
+        : [...prev.events, event]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const body = {
+      name: form.name.trim(),
+      url: form.url.trim(),
+      companyId: form.companyId || null,
+      events: form.events,
+      enabled: form.enabled
+    };
+    try {
+      setBusy('save');
+      if (editingId) {
+        await api.put(`/api/webhooks/${editingId}`, body);
+        toast.success('Webhook endpoint updated');
+      } else {
+        const response = await api.post('/api/webhooks', body);
+        setRevealedSecret({ name: response.data.endpoint.name, secret: response.data.secret });
+        toast.success('Webhook endpoint created');
+      }
+      setForm(null);
+      setEditingId(null);
+      fetchEndpoints();
+    } catch (error) {
+      toast.error('Error saving webhook endpoint: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleToggleEnabled = async (endpoint) => {
+    try {
+      setBusy(endpoint.id);
+      await api.put(`/api/webhooks/${endpoint.id}`, { enabled: !endpoint.enabled });
+      fetchEndpoints();
+    } catch (error) {
+      toast.error('Error updating webhook endpoint: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleTest = async (endpoint) => {
+    try {
+      setBusy(endpoint.id);
+      await api.post(`/api/webhooks/${endpoint.id}/test`);
+      toast.success('Test event queued - check the delivery log');
+      if (selectedEndpoint?.id === endpoint.id) {
+        fetchDeliveries(endpoint.id, 1);
+      }
+    } catch (error) {
+      toast.error('Error sending test event: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRotateSecret = async (endpoint) => {
+    if (!window.confirm(`Rotate the signing secret for "${endpoint.name}"? The receiver must be updated with the new secret before it can verify further deliveries.`)) return;
+    try {
+      setBusy(endpoint.id);
+      const response = await api.post(`/api/webhooks/${endpoint.id}/rotate-secret`);
+      setRevealedSecret({ name: endpoint.name, secret: response.data.secret });
+      fetchEndpoints();
+    } catch (error) {
+      toast.error('Error rotating secret: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete "${endpoint.name}"? Its delivery log will be deleted too.`)) return;
+    try {
+      setBusy(endpoint.id);
+      await api.delete(`/api/webhooks/${endpoint.id}`);
+      toast.success('Webhook endpoint deleted');
+      if (selectedEndpoint?.id === endpoint.id) {
+        setSelectedEndpoint(null);
+      }
+      fetchEndpoints();
+    } catch (error) {
+      toast.error('Error deleting webhook endpoint: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleViewDelivery = async (delivery) => {
+    if (deliveryDetail?.id === delivery.id) {
+      setDeliveryDetail(null);
+      return;
+    }
+    try {
+      const response = await api.get(`/api/webhooks/deliveries/${delivery.id}`);
+      setDeliveryDetail(response.data.delivery);
+    } catch (error) {
+      toast.error('Error loading delivery: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      setBusy(delivery.id);
+      await api.post(`/api/webhooks/deliveries/${delivery.id}/redeliver`);
+      toast.success('Redelivery queued');
+      fetchDeliveries(selectedEndpoint.id, 1);
+    } catch (error) {
+      toast.error('Error redelivering: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCopySecret = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedSecret.secret);
+      toast.success('Secret copied to clipboard');
+    } catch (error) {
+      toast.error('Could not copy - select the secret and copy it manually');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-4">
+        <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {revealedSecret && (
+        <div className="alert alert-success" role="alert">
+          <h4 className="alert-title">Signing secret for "{revealedSecret.name}"</h4>
+          <div className="text-secondary mb-2">Copy it now and add it to the receiving system. It will not be shown again.</div>
+          <div className="input-group">
+            <input type="text" className="form-control font-monospace" value={revealedSecret.secret} readOnly onFocus={(e) => e.target.select()} />
+            <button type="button" className="btn btn-primary" onClick={handleCopySecret}>Copy</button>
+          </div>
+          <button type="button" className="btn btn-link px-0 mt-2" onClick={() => setRevealedSecret(null)}>
+            I have copied the secret
+          </button>
+        </div>
+      )}
+
+      <div className="card mb-4">
+        <div className="card-header">
+          <h3 className="card-title">Endpoints</h3>
+          <div className="card-actions">
+            <button type="button" className="btn btn-primary btn-sm" onClick={openCreateForm} disabled={form !== null}>
+              Add Endpoint
+            </button>
+          </div>
+        </div>
+        <div className="table-responsive">
+          <table className="table table-vcenter card-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Companies</th>
+                <th>Events</th>
+                <th>Last Delivery</th>
+                <th>Enabled</th>
+                <th className="w-1"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {endpoints.length === 0 ? (
+                <tr>
+                  <td colSpan="6" className="text-center text-muted py-4">No webhook endpoints yet</td>
+                </tr>
+              ) : endpoints.map((endpoint) => (
+                <tr key={endpoint.id} className={selectedEndpoint?.id === endpoint.id ? 'table-active' : ''}>
+                  <td>
+                    <div className="fw-medium">{endpoint.name}</div>
+                    <div className="small text-muted text-truncate" style={{ maxWidth: '280px' }} title={endpoint.url}>{endpoint.url}</div>
+                  </td>
+                  <td>{endpoint.company ? endpoint.company.name : 'All companies'}</td>
+                  <td>{endpoint.events.length}</td>
+                  <td>
+                    {formatDateTime(endpoint.lastDeliveryAt)}
+                    {endpoint.lastDeliveryStatus && (
+                      <div>
+                        <span className={`badge ${DELIVERY_STATUS_BADGES[endpoint.lastDeliveryStatus] || 'bg-secondary-lt'}`}>
+                          {endpoint.lastDeliveryStatus}
+                        </span>
+                      </div>
+                    )}
+                  </td>
+                  <td>
+                    <label className="form-check form-switch mb-0">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        checked={endpoint.enabled}
+                        onChange={() => handleToggleEnabled(endpoint)}
+                        disabled={busy !== null}
+                      />
+                    </label>
+                  </td>
+                  <td>
+                    <div className="btn-list flex-nowrap">
+                      <button type="button" className="btn btn-sm" onClick={() => setSelectedEndpoint(endpoint)}>
+                        Deliveries
+                      </button>
+                      <button type="button" className="btn btn-sm" onClick={() => handleTest(endpoint)} disabled={busy !== null}>
+                        Send Test
+                      </button>
+                      <button type="button" className="btn btn-sm" onClick={() => openEditForm(endpoint)} disabled={form !== null}>
+                        Edit
+                      </button>
+                      <button type="button" className="btn btn-sm" onClick={() => handleRotateSecret(endpoint)} disabled={busy !== null}>
+                        Rotate Secret
+                      </button>
+                      <button type="button" className="btn btn-ghost-danger btn-sm" onClick={() => handleDelete(endpoint)} disabled={busy !== null}>
+                        Delete
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {form && (
+        <form className="card mb-4" onSubmit={handleSubmit}>
+          <div className="card-header">
+            <h3 className="card-title">{editingId ? 'Edit Endpoint' : 'Add Endpoint'}</h3>
+          </div>
+          <div className="card-body">
+            <div className="row g-3 mb-3">
+              <div className="col-md-4">
+                <label className="form-label required">Name</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  placeholder="e.g. ERP document sync"
+                  maxLength="100"
+                  required
+                />
+              </div>
+              <div className="col-md-8">
+                <label className="form-label required">URL</label>
+                <input
+                  type="url"
+                  className="form-control"
+                  value={form.url}
+                  onChange={(e) => setForm({ ...form, url: e.target.value })}
+                  placeholder="https://example.com/webhooks/invoice-portal"
+                  maxLength="2048"
+                  required
+                />
+              </div>
+              <div className="col-md-8">
+                <label className="form-label">Companies</label>
+                <select
+                  className="form-select"
+                  value={form.companyId}
+                  onChange={(e) => setForm({ ...form, companyId: e.target.value })}
+                >
+                  <option value="">All companies</option>
+                  {companies.map(company => (
+                    <option key={company.id} value={company.id}>
+                      {company.name} {company.referenceNo ? `(${company.referenceNo})` : ''}
+                    </option>
+                  ))}
+                </select>
+                <small className="form-hint">A company endpoint also receives events for the companies below it in the hierarchy.</small>
+              </div>
+              <div className="col-md-4 d-flex align-items-center">
+                <label className="form-check form-switch mb-0">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    checked={form.enabled}
+                    onChange={(e) => setForm({ ...form, enabled: e.target.checked })}
+                  />
+                  <span className="form-check-label">Enabled</span>
+                </label>
+              </div>
+            </div>
+            <label className="form-label required">Events</label>
+            <div className="row">
+              {groupEvents(availableEvents).map(group => (
+                <div key={group.label} className="col-md-3 mb-2">
+                  <div className="fw-medium mb-1">{group.label}</div>
+                  {group.events.map(event => (
+                    <label key={event} className="form-check">
+                      <input
+                        className="form-check-input"
+                        type="checkbox"
+                        checked={form.events.includes(event)}
+                        onChange={() => toggleEvent(event)}
+                      />
+                      <span className="form-check-label">{getEventLabel(event)}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+            </div>
+            <small className="form-hint">
+              Each request is a JSON POST with an X-Webhook-Signature header: t=&lt;unix time&gt;,v1=&lt;HMAC-SHA256 of "&lt;unix time&gt;.&lt;body&gt;" using the signing secret&gt;.
+            </small>
+          </div>
+          <div className="card-footer text-end">
+            <div className="btn-list justify-content-end">
+              <button type="button" className="btn" onClick={() => { setForm(null); setEditingId(null); }}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={busy !== null || !form.name.trim() || !form.url.trim() || form.events.length === 0}
+              >
+                {busy === 'save' ? 'Saving...' : (editingId ? 'Save Endpoint' : 'Create Endpoint')}
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {selectedEndpoint && (
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Delivery Log - {selectedEndpoint.name}</h3>
+            <div className="card-actions btn-list">
+              <button
+                type="button"
+                className="btn btn-sm"
+                onClick={() => fetchDeliveries(selectedEndpoint.id, deliveryPage)}
+                disabled={loadingDeliveries}
+              >
+                {loadingDeliveries ? 'Refreshing...' : 'Refresh'}
+              </button>
+              <button type="button" className="btn btn-sm" onClick={() => setSelectedEndpoint(null)}>
+                Close
+              </button>
+            </div>
+          </div>
+          <div className="table-responsive">
+            <table className="table table-vcenter card-table">
+              <thead>
+                <tr>
+                  <th>Event</th>
+                  <th>Status</th>
+                  <th>Attempts</th>
+                  <th>Response</th>
+                  <th>Created</th>
+                  <th>Last Attempt</th>
+                  <th className="w-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {deliveries.length === 0 ? (
+                  <tr>
+                    <td colSpan="7" className="text-center text-muted py-4">
+                      {loadingDeliveries ? 'Loading...' : 'No deliveries yet'}
+                    </td>
+                  </tr>
+                ) : deliveries.map((delivery) => (
+                  <React.Fragment key={delivery.id}>
+                    <tr>
+                      <td>
+                        <code>{delivery.event}</code>
+                        {delivery.redeliveryOfId && <span className="badge bg-azure-lt ms-2">Redelivery</span>}
+                      </td>
+                      <td>
+                        <span className={`badge ${DELIVERY_STATUS_BADGES[delivery.status] || 'bg-secondary-lt'}`}>{delivery.status}</span>
+                      </td>
+                      <td>{delivery.attempts}</td>
+                      <td>
+                        {delivery.responseStatus || '-'}
+                        {delivery.error && <div className="small text-danger">{delivery.error}</div>}
+                        {delivery.durationMs !== null && <div className="small text-muted">{delivery.durationMs} ms</div>}
+                      </td>
+                      <td>{formatDateTime(delivery.createdAt)}</td>
+                      <td>{formatDateTime(delivery.lastAttemptAt)}</td>
+                      <td>
+                        <div className="btn-list flex-nowrap">
+                          <button type="button" className="btn btn-sm" onClick={() => handleViewDelivery(delivery)}>
+                            {deliveryDetail?.id === delivery.id ? 'Hide' : 'View'}
+                          </button>
+                          <button
+                            type="button"
+                            className="btn btn-sm"
+                            onClick={() => handleRedeliver(delivery)}
+                            disabled={busy !== null || delivery.status === 'pending' || delivery.status === 'retrying'}
+                          >
+                            {busy === delivery.id ? 'Queueing...' : 'Redeliver'}
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                    {deliveryDetail?.id === delivery.id && (
+                      <tr>
+                        <td colSpan="7" className="bg-light">
+                          <div className="row">
+                            <div className="col-md-6">
+                              <div className="fw-medium mb-1">Payload</div>
+                              <pre className="small mb-0" style={{ maxHeight: '300px', overflow: 'auto' }}>
+                                {JSON.stringify(deliveryDetail.payload, null, 2)}
+                              </pre>
+                            </div>
+                            <div className="col-md-6">
+                              <div className="fw-medium mb-1">Response{deliveryDetail.responseStatus ? ` (HTTP ${deliveryDetail.responseStatus})` : ''}</div>
+                              <pre className="small mb-0" style={{ maxHeight: '300px', overflow: 'auto' }}>
+                                {deliveryDetail.responseBody || deliveryDetail.error || 'No response yet'}
+                              </pre>
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {deliveryPages > 1 && (
+            <div className="card-footer d-flex align-items-center">
+              <p className="m-0 text-muted">Page {deliveryPage} of {deliveryPages}</p>
+              <div className="ms-auto btn-list">
+                <button
+                  type="button"
+                  className="btn btn-sm"
+                  onClick={() => fetchDeliveries(selectedEndpoint.id, deliveryPage - 1)}
+                  disabled={deliveryPage <= 1 || loadingDeliveries}
+                >
+                  Previous
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm"
+                  onClick={() => fetchDeliveries(selectedEndpoint.id, deliveryPage + 1)}
+                  disabled={deliveryPage >= deliveryPages || loadingDeliveries}
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookSettings;
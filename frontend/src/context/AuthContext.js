@@ -1,5 +1,12 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import api from '../services/api';
+import api, {
+  setAuthTokens,
+  clearAuthTokens,
+  endSession,
+  isImpersonating,
+  startImpersonationTokens,
+  endImpersonation
+} from '../services/api';
 
 const AuthContext = createContext();
 
@@ -32,7 +39,7 @@ export const AuthProvider = ({ children }) => {
       setUser(response.data);
       setIsAuthenticated(true);
     } catch (error) {
-      localStorage.removeItem('token');
+      clearAuthTokens();
       setIsAuthenticated(false);
       setUser(null);
     } finally {
@@ -68,6 +75,7 @@ export const AuthProvider = ({ children }) => {
           user: response.data.user,
           sessionToken: response.data.sessionToken,
           twoFactorMethod: response.data.twoFactorMethod || 'authenticator',
+          webauthn: response.data.webauthn, // Challenge for the security key prompt
           emailSendFailed: response.data.emailSendFailed || false,
           message: response.data.message
         };
@@ -84,7 +92,7 @@ export const AuthProvider = ({ children }) => {
         };
       }
       
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       
       if (!token || !user) {
         return {
@@ -93,7 +101,7 @@ export const AuthProvider = ({ children }) => {
         };
       }
       
-      localStorage.setItem('token', token);
+      setAuthTokens({ token, refreshToken });
       setUser(user);
       setIsAuthenticated(true);
       return { success: true };
@@ -107,7 +115,10 @@ export const AuthProvider = ({ children }) => {
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
+    if (isImpersonating()) {
+      endImpersonation();
+    }
+    endSession();
     setUser(null);
     setIsAuthenticated(false);
   };
@@ -116,13 +127,35 @@ export const AuthProvider = ({ children }) => {
     await fetchUser();
   };
 
+  /**
+   * View the portal as another user (read-only). Reloads the app as that user.
+   * @param {string} userId
+   * @param {string} [reason] - e.g. support ticket reference, for the activity log
+   * @param {string} [returnPath] - Where to come back to afterwards
+   */
+  const startImpersonation = async (userId, reason = null, returnPath = window.location.pathname) => {
+    const response = await api.post('/api/impersonation/start', { userId, reason });
+    startImpersonationTokens(response.data.token, returnPath);
+    window.location.href = '/';
+  };
+
+  /**
+   * Stop viewing as another user and go back to where impersonation started
+   */
+  const stopImpersonation = async () => {
+    window.location.href = await endImpersonation();
+  };
+
   const value = {
     user,
     isAuthenticated,
     loading,
     login,
     logout,
-    refreshUser
+    refreshUser,
+    impersonation: user?.impersonation || null,
+    startImpersonation,
+    stopImpersonation
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
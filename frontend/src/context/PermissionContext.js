@@ -1,9 +1,13 @@
-import React, { createContext, useContext, useMemo } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import { useAuth } from './AuthContext';
+import api from '../services/api';
+import { setRoleLabels } from '../utils/roleLabels';
 
 /**
  * Permission Definitions
- * Must match backend/utils/permissions.js
+ * Built-in defaults - must match backend/utils/permissions.js.
+ * Roles and permission sets are editable in Settings > Roles & Permissions,
+ * so once signed in these are replaced by the roles loaded from /api/roles.
  */
 
 // All available roles
@@ -32,6 +36,10 @@ const PERMISSIONS = {
   
   FTP_CONFIGURE: ['global_admin'],
   
+  WEBHOOKS_MANAGE: ['global_admin'],
+  ROLES_MANAGE: ['global_admin'],
+  SECURITY_MANAGE: ['global_admin'],
+  
   // PROFILE
   PROFILE_VIEW_OWN: PORTAL_ROLES,
   PROFILE_EDIT_OWN: PORTAL_ROLES,
@@ -57,12 +65,19 @@ const PERMISSIONS = {
   STATEMENTS_DELETE: ['global_admin', 'administrator'],
   STATEMENTS_DOWNLOAD: PORTAL_ROLES,
   
+  // PAYMENTS & REMITTANCES
+  PAYMENTS_VIEW: STAFF_ROLES,
+  PAYMENTS_RECORD: STAFF_ROLES,
+  PAYMENTS_IMPORT: STAFF_ROLES,
+  PAYMENTS_DELETE: ['global_admin', 'administrator', 'manager'],
+  
   // UNALLOCATED DOCUMENTS
   UNALLOCATED_VIEW: ['global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller'],
   UNALLOCATED_EDIT: ['global_admin', 'administrator', 'manager'],
   UNALLOCATED_DELETE: ['global_admin', 'administrator', 'manager'],
   UNALLOCATED_REALLOCATE: ['global_admin', 'administrator', 'manager'],
   UNALLOCATED_DOWNLOAD: ['global_admin', 'administrator', 'manager', 'credit_senior', 'credit_controller'],
+  UNALLOCATED_ALIASES_MANAGE: ['global_admin', 'administrator', 'manager'],
   
   // FAILED DOCUMENTS
   FAILED_VIEW: ['global_admin', 'administrator', 'manager'],
@@ -85,19 +100,23 @@ const PERMISSIONS = {
   USERS_DELETE: ['global_admin', 'administrator', 'manager'],
   USERS_DEACTIVATE: ['global_admin', 'administrator', 'manager'],
   USERS_IMPORT: ['global_admin', 'administrator', 'manager'],
+  USERS_IMPERSONATE: ['global_admin'],
   
   // ACTIVITY LOGS
   ACTIVITY_LOGS_VIEW: ['global_admin', 'administrator'],
   ACTIVITY_LOGS_DELETE: ['global_admin', 'administrator'],
+  AUDIT_TRAIL_VIEW: ['global_admin', 'administrator'],
   
   // DOCUMENT QUERIES
   QUERIES_VIEW: ['global_admin'],
   QUERIES_CREATE: ['global_admin'],
   QUERIES_RESPOND: ['global_admin'],
   QUERIES_RESOLVE: ['global_admin'],
+  QUERIES_MANAGE: ['global_admin'],
   
   // REPORTS
   REPORTS_VIEW: ['global_admin'],
+  REPORTS_AGING_VIEW: STAFF_ROLES,
   
   // FILES
   FILES_VIEW: ['global_admin'],
@@ -130,20 +149,71 @@ const ROLE_LABELS = {
   notification_contact: 'Notification Contact'
 };
 
+/**
+ * Build the PERMISSIONS-style map (permission -> role keys) from loaded roles
+ * @param {Object[]} roles - Roles from /api/roles
+ * @returns {Object}
+ */
+const buildPermissionMap = (roles) => {
+  const names = new Set(Object.keys(PERMISSIONS));
+  roles.forEach(role => role.permissions.forEach(permission => names.add(permission)));
+  const map = {};
+  names.forEach(permission => {
+    map[permission] = roles.filter(role => role.permissions.includes(permission)).map(role => role.key);
+  });
+  return map;
+};
+
 const PermissionContext = createContext(null);
 
 export const PermissionProvider = ({ children }) => {
   const { user } = useAuth();
   const userRole = user?.role || 'notification_contact';
+  const userId = user?.id;
+  const [roleData, setRoleData] = useState(null);
+
+  /**
+   * Reload roles from the server (call after changing a role)
+   */
+  const refreshRoles = useCallback(async () => {
+    try {
+      const response = await api.get('/api/roles');
+      setRoleData(response.data);
+      setRoleLabels(Object.fromEntries(response.data.roles.map(role => [role.key, role.name])));
+    } catch (error) {
+      // Keep the built-in defaults
+      console.error('Error loading roles:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userId) {
+      refreshRoles();
+    } else {
+      setRoleData(null);
+    }
+  }, [userId, refreshRoles]);
 
   const value = useMemo(() => {
+    const roles = roleData?.roles || null;
+    const permissionMap = roles ? buildPermissionMap(roles) : PERMISSIONS;
+    const roleHierarchy = roles
+      ? Object.fromEntries(roles.map(role => [role.key, role.level]))
+      : ROLE_HIERARCHY;
+    const roleLabels = roles
+      ? { ...ROLE_LABELS, ...Object.fromEntries(roles.map(role => [role.key, role.name])) }
+      : ROLE_LABELS;
+    const staffRoles = roles ? roles.filter(role => role.isStaff).map(role => role.key) : STAFF_ROLES;
+    const portalRoles = roles ? roles.filter(role => role.hasPortalAccess).map(role => role.key) : PORTAL_ROLES;
+    const allRoles = roles ? roles.map(role => role.key) : ALL_ROLES;
+
     /**
      * Check if current user has a specific permission
      * @param {string} permission - Permission to check
      * @returns {boolean}
      */
     const hasPermission = (permission) => {
-      const allowedRoles = PERMISSIONS[permission];
+      const allowedRoles = permissionMap[permission];
       if (!allowedRoles) {
         console.warn(`Unknown permission: ${permission}`);
         return false;
@@ -175,8 +245,8 @@ export const PermissionProvider = ({ children }) => {
      * @returns {boolean}
      */
     const isAtLeastRole = (minRole) => {
-      const userLevel = ROLE_HIERARCHY[userRole] || 0;
-      const minLevel = ROLE_HIERARCHY[minRole] || 0;
+      const userLevel = roleHierarchy[userRole] || 0;
+      const minLevel = roleHierarchy[minRole] || 0;
       return userLevel >= minLevel;
     };
 
@@ -185,7 +255,7 @@ export const PermissionProvider = ({ children }) => {
      * @returns {boolean}
      */
     const isStaff = () => {
-      return STAFF_ROLES.includes(userRole);
+      return staffRoles.includes(userRole);
     };
 
     /**
@@ -221,8 +291,8 @@ export const PermissionProvider = ({ children }) => {
       if (userRole === 'global_admin') {
         return true;
       }
-      const userLevel = ROLE_HIERARCHY[userRole] || 0;
-      const targetLevel = ROLE_HIERARCHY[targetRole] || 0;
+      const userLevel = roleHierarchy[userRole] || 0;
+      const targetLevel = roleHierarchy[targetRole] || 0;
       return userLevel > targetLevel;
     };
 
@@ -232,11 +302,11 @@ export const PermissionProvider = ({ children }) => {
      */
     const getManageableRoles = () => {
       if (userRole === 'global_admin') {
-        return Object.keys(ROLE_HIERARCHY);
+        return Object.keys(roleHierarchy);
       }
-      const userLevel = ROLE_HIERARCHY[userRole] || 0;
-      return Object.keys(ROLE_HIERARCHY).filter(
-        role => ROLE_HIERARCHY[role] < userLevel
+      const userLevel = roleHierarchy[userRole] || 0;
+      return Object.keys(roleHierarchy).filter(
+        role => roleHierarchy[role] < userLevel
       );
     };
 
@@ -246,7 +316,7 @@ export const PermissionProvider = ({ children }) => {
      * @returns {string}
      */
     const getRoleLabel = (role) => {
-      return ROLE_LABELS[role] || role;
+      return roleLabels[role] || role;
     };
 
     return {
@@ -262,14 +332,18 @@ export const PermissionProvider = ({ children }) => {
       canManageRole,
       getManageableRoles,
       getRoleLabel,
-      PERMISSIONS,
-      ROLE_HIERARCHY,
-      ROLE_LABELS,
-      STAFF_ROLES,
-      PORTAL_ROLES,
-      ALL_ROLES
+      refreshRoles,
+      roles: roles || [],
+      permissionGroups: roleData?.permissionGroups || [],
+      grantablePermissions: roleData?.grantablePermissions || [],
+      PERMISSIONS: permissionMap,
+      ROLE_HIERARCHY: roleHierarchy,
+      ROLE_LABELS: roleLabels,
+      STAFF_ROLES: staffRoles,
+      PORTAL_ROLES: portalRoles,
+      ALL_ROLES: allRoles
     };
-  }, [userRole]);
+  }, [userRole, roleData, refreshRoles]);
 
   return (
     <PermissionContext.Provider value={value}>
@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { useDebounce } from '../hooks/useDebounce';
+
+const ISSUE_LABELS = {
+  broken_link: 'Broken link',
+  altered: 'Altered',
+  unverifiable: 'Unverifiable',
+  missing_tail: 'Missing entries'
+};
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+  : '-';
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-';
+
+const shortHash = (hash) => hash ? `${hash.slice(0, 12)}…` : '-';
+
+/**
+ * Audit Trail Page
+ * The append-only, hash-chained audit trail kept in the database for audits:
+ * browse entries, verify that none were altered or removed, and export them
+ * (with their hashes) as CSV or JSON. Entries can't be deleted here - old
+ * entries are removed only by the retention policy.
+ */
+const AuditTrail = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0, pages: 0 });
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [activityTypes, setActivityTypes] = useState([]);
+  const [filters, setFilters] = useState({ startDate: '', endDate: '', type: '' });
+  const [search, setSearch] = useState('');
+  const debouncedSearch = useDebounce(search, 400);
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [exporting, setExporting] = useState(null);
+
+  const buildParams = useCallback(() => {
+    const params = {};
+    if (filters.startDate) params.startDate = filters.startDate;
+    if (filters.endDate) params.endDate = filters.endDate;
+    if (filters.type) params.type = filters.type;
+    if (debouncedSearch) params.search = debouncedSearch;
+    return params;
+  }, [filters, debouncedSearch]);
+
+  const fetchEntries = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const response = await api.get('/api/audit-trail', {
+        params: { ...buildParams(), page, limit: 50 }
+      });
+      setEntries(response.data.entries);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading audit trail');
+    } finally {
+      setLoading(false);
+    }
+  }, [buildParams]);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await api.get('/api/audit-trail/summary');
+      setSummary(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading audit trail summary');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSummary();
+    api.get('/api/activity-logs/types')
+      .then(response => setActivityTypes(response.data.types || []))
+      .catch(() => setActivityTypes([]));
+  }, [fetchSummary]);
+
+  useEffect(() => {
+    fetchEntries(1);
+  }, [fetchEntries]);
+
+  const handleVerify = async () => {
+    try {
+      setVerifying(true);
+      const response = await api.get('/api/audit-trail/verify');
+      setVerification(response.data);
+      if (response.data.valid) {
+        toast.success(`Audit trail verified: ${response.data.checked} entries intact`);
+      } else {
+        toast.error(`Audit trail verification found ${response.data.problemCount} problem(s)`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error verifying audit trail');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const response = await api.get('/api/audit-trail/export', {
+        params: { ...buildParams(), format },
+        responseType: 'blob'
+      });
+
+      let filename = `audit-trail-${new Date().toISOString().split('T')[0]}.${format}`;
+      const contentDisposition = response.headers['content-disposition'];
+      const filenameMatch = contentDisposition?.match(/filename="?([^";]+)"?/);
+      if (filenameMatch) {
+        filename = filenameMatch[1];
+      }
+
+      const blobUrl = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.setAttribute('download', filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      toast.error('Error exporting audit trail');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const latestCheckpoint = summary?.checkpoints?.[0];
+
+  return (
+    <div className="page-body">
+      <div className="container-xl">
+        <div className="row row-cards mb-3">
+          <div className="col-sm-6 col-lg-3">
+            <div className="card card-sm">
+              <div className="card-body">
+                <div className="text-secondary small">Entries</div>
+                <div className="h2 mb-0">{summary?.total ?? 0}</div>
+                <div className="text-secondary small">
+                  {formatDate(summary?.oldestEntryAt)} – {formatDate(summary?.newestEntryAt)}
+                </div>
+              </div>
+            </div>
+          </div>
+          <div className="col-sm-6 col-lg-3">
+            <div className="card card-sm">
+              <div className="card-body">
+                <div className="text-secondary small">Retention</div>
+                <div className="h2 mb-0">{summary?.retentionDays ?? '-'} days</div>
+                <div className="text-secondary small">
+                  {latestCheckpoint
+                    ? `Last pruned ${formatDate(latestCheckpoint.createdAt)} (${latestCheckpoint.entriesRemoved} removed)`
+                    : 'Nothing removed yet'}
+                </div>
+              </div>
+            </div>
+          </div>
+          <div className="col-sm-6 col-lg-3">
+            <div className="card card-sm">
+              <div className="card-body">
+                <div className="text-secondary small">Head of chain</div>
+                <div className="h2 mb-0">#{summary?.headEntryId ?? '-'}</div>
+                <div className="text-secondary small" title={summary?.headHash || ''}>
+                  <code>{shortHash(summary?.headHash)}</code> ({summary?.hashAlgorithm || 'sha256'})
+                </div>
+              </div>
+            </div>
+          </div>
+          <div className="col-sm-6 col-lg-3">
+            <div className="card card-sm">
+              <div className="card-body d-flex flex-column gap-2">
+                <button className="btn btn-primary" onClick={handleVerify} disabled={verifying}>
+                  {verifying && <span className="spinner-border spinner-border-sm me-2" role="status"></span>}
+                  Verify chain
+                </button>
+                <div className="btn-group w-100">
+                  <button className="btn btn-outline-secondary" onClick={() => handleExport('csv')} disabled={exporting !== null}>
+                    {exporting === 'csv' ? 'Exporting…' : 'Export CSV'}
+                  </button>
+                  <button className="btn btn-outline-secondary" onClick={() => handleExport('json')} disabled={exporting !== null}>
+                    {exporting === 'json' ? 'Exporting…' : 'Export JSON'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {verification && (
+          <div className={`alert ${verification.valid ? 'alert-success' : 'alert-danger'} mb-3`}>
+            <h4 className="alert-title">
+              {verification.valid
+                ? `Chain intact: ${verification.checked} entries verified`
+                : `${verification.problemCount} problem(s) found in ${verification.checked} entries`}
+            </h4>
+            <div className="text-secondary small">
+              Verified {formatDateTime(verification.verifiedAt)}
+              {verification.lastEntryId && ` · entries #${verification.firstEntryId}–#${verification.lastEntryId}`}
+              {verification.checkpoint && ` · from retention checkpoint after #${verification.checkpoint.throughEntryId}`}
+              {' · head '}<code title={verification.headHash}>{shortHash(verification.headHash)}</code>
+            </div>
+            {verification.problems.length > 0 && (
+              <ul className="mt-2 mb-0">
+                {verification.problems.map(problem => (
+                  <li key={`${problem.entryId}-${problem.issue}`}>
+                    <strong>#{problem.entryId}</strong> {ISSUE_LABELS[problem.issue] || problem.issue}: {problem.message}
+                  </li>
+                ))}
+                {verification.problemCount > verification.problems.length && (
+                  <li>…and {verification.problemCount - verification.problems.length} more</li>
+                )}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Audit trail</h3>
+            <div className="card-actions text-secondary small">
+              Exports include the filters below
+            </div>
+          </div>
+          <div className="card-body border-bottom py-3">
+            <div className="row g-2">
+              <div className="col-md-4">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Search action, user or company..."
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+              </div>
+              <div className="col-md-3">
+                <select className="form-select" value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+                  <option value="">All types</option>
+                  {activityTypes.map(type => (
+                    <option key={type} value={type}>{type.replace(/_/g, ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <input type="date" className="form-control" value={filters.startDate} onChange={(e) => updateFilter('startDate', e.target.value)} />
+              </div>
+              <div className="col-md-2">
+                <input type="date" className="form-control" value={filters.endDate} onChange={(e) => updateFilter('endDate', e.target.value)} />
+              </div>
+              <div className="col-md-1">
+                <button
+                  className="btn btn-ghost-secondary w-100"
+                  onClick={() => { setFilters({ startDate: '', endDate: '', type: '' }); setSearch(''); }}
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+          </div>
+          <div className="table-responsive">
+            <table className="table table-vcenter card-table table-sm">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Time</th>
+                  <th>Type</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Company</th>
+                  <th>Hash</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="text-center py-4">
+                      <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+                    </td>
+                  </tr>
+                ) : entries.length === 0 ? (
+                  <tr><td colSpan="7" className="text-center text-secondary py-4">No audit entries</td></tr>
+                ) : entries.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="text-secondary">{entry.id}</td>
+                    <td className="text-nowrap">{formatDateTime(entry.occurredAt)}</td>
+                    <td><span className="badge bg-secondary-lt">{entry.type.replace(/_/g, ' ')}</span></td>
+                    <td>
+                      <div>{entry.userEmail || entry.userId || '-'}</div>
+                      {entry.ipAddress && <div className="text-secondary small">{entry.ipAddress}</div>}
+                    </td>
+                    <td>{entry.action}</td>
+                    <td>{entry.companyName || '-'}</td>
+                    <td title={`${entry.hash}\nprevious: ${entry.previousHash}`}>
+                      <code>{shortHash(entry.hash)}</code>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {pagination.pages > 1 && (
+            <div className="card-footer d-flex align-items-center">
+              <p className="m-0 text-secondary">
+                Page {pagination.page} of {pagination.pages} ({pagination.total} entries)
+              </p>
+              <ul className="pagination m-0 ms-auto">
+                <li className={`page-item ${pagination.page <= 1 ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => fetchEntries(pagination.page - 1)} disabled={pagination.page <= 1}>
+                    Previous
+                  </button>
+                </li>
+                <li className={`page-item ${pagination.page >= pagination.pages ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => fetchEntries(pagination.page + 1)} disabled={pagination.page >= pagination.pages}>
+                    Next
+                  </button>
+                </li>
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditTrail;
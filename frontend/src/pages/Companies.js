@@ -80,6 +80,7 @@ const Companies = () => {
     primaryContact: null,
     sendInvoiceEmail: false,
     sendInvoiceAttachment: false,
+    sendFacturXAttachment: false,
     sendStatementEmail: false,
     sendStatementPdfAttachment: false,
     sendStatementXlsAttachment: false,
@@ -663,6 +664,7 @@ const Companies = () => {
     primaryContact: null,
     sendInvoiceEmail: false,
     sendInvoiceAttachment: false,
+    sendFacturXAttachment: false,
     sendStatementEmail: false,
     sendStatementPdfAttachment: false,
     sendStatementXlsAttachment: false,
@@ -700,6 +702,7 @@ const Companies = () => {
       primaryContact: company.primaryContact || null,
       sendInvoiceEmail: company.sendInvoiceEmail || false,
       sendInvoiceAttachment: company.sendInvoiceAttachment || false,
+      sendFacturXAttachment: company.sendFacturXAttachment || false,
       sendStatementEmail: company.sendStatementEmail || false,
       sendStatementPdfAttachment: company.sendStatementPdfAttachment || false,
       sendStatementXlsAttachment: company.sendStatementXlsAttachment || false,
@@ -747,6 +750,7 @@ const Companies = () => {
         primaryContactId: companyFormData.primaryContactId || null,
         sendInvoiceEmail: companyFormData.sendInvoiceEmail || false,
         sendInvoiceAttachment: companyFormData.sendInvoiceAttachment || false,
+        sendFacturXAttachment: companyFormData.sendFacturXAttachment || false,
         sendStatementEmail: companyFormData.sendStatementEmail || false,
         sendStatementPdfAttachment: companyFormData.sendStatementPdfAttachment || false,
         sendStatementXlsAttachment: companyFormData.sendStatementXlsAttachment || false,
@@ -978,6 +982,22 @@ const Companies = () => {
                                   </span>
                                 </label>
                               </div>
+                              <div className="mb-3">
+                                <label className="row">
+                                  <span className="col">Factur-X Attachments</span>
+                                  <span className="col-auto">
+                                    <label className="form-check form-check-single form-switch">
+                                      <input
+                                        type="checkbox"
+                                        className="form-check-input"
+                                        checked={formData.sendFacturXAttachment || false}
+                                        onChange={(e) => setFormData(prev => ({ ...prev, sendFacturXAttachment: e.target.checked }))}
+                                      />
+                                    </label>
+                                  </span>
+                                </label>
+                                <small className="form-hint">Attach invoices and credit notes as Factur-X PDFs (PDF/A-3 with embedded EN 16931 XML) for automated AP ingestion</small>
+                              </div>
                               {isEditing && (
                                 <div className="mb-3">
                                   <label className="row">
@@ -0,0 +1,437 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { useDebounce } from '../hooks/useDebounce';
+
+const ALIAS_TYPES = {
+  account_number: { label: 'Account number', className: 'bg-blue-lt', hint: 'e.g. an old or mistyped account number' },
+  customer_name: { label: 'Customer name', className: 'bg-green-lt', hint: 'As printed on the document, e.g. "Acme Trading Ltd"' },
+  po_prefix: { label: 'PO prefix', className: 'bg-purple-lt', hint: 'Letters the customer\'s PO numbers start with, e.g. "ACME" for ACME-10442' }
+};
+
+const UNUSED_OPTIONS = [
+  { value: '', label: 'Any usage' },
+  { value: '90', label: 'Unused for 90 days' },
+  { value: '180', label: 'Unused for 180 days' },
+  { value: '365', label: 'Unused for a year' }
+];
+
+const DEFAULT_FILTERS = { type: '', source: '', unusedForDays: '' };
+
+const EMPTY_FORM = { type: 'account_number', value: '', companyId: '', companyLabel: '' };
+
+const formatDate = (value) => value
+  ? new Date(value).toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' })
+  : '-';
+
+/**
+ * Company Aliases Page
+ * Account numbers, customer names and PO prefixes learned when documents were
+ * allocated by hand from Unallocated. Imports use them to match documents the
+ * account number alone didn't; wrong or stale ones are pruned here.
+ */
+const CompanyAliases = () => {
+  const [aliases, setAliases] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [search, setSearch] = useState('');
+  const debouncedSearch = useDebounce(search, 400);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [deleting, setDeleting] = useState(false);
+  const [showAddModal, setShowAddModal] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [companySearch, setCompanySearch] = useState('');
+  const debouncedCompanySearch = useDebounce(companySearch, 300);
+  const [companyResults, setCompanyResults] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const fetchAliases = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 50 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      if (debouncedSearch) params.search = debouncedSearch;
+
+      const response = await api.get('/api/company-aliases', { params });
+      setAliases(response.data.data);
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+      setSelectedIds(new Set());
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading aliases');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, debouncedSearch]);
+
+  useEffect(() => {
+    fetchAliases(1);
+  }, [fetchAliases]);
+
+  useEffect(() => {
+    if (!showAddModal || debouncedCompanySearch.trim().length < 2) {
+      setCompanyResults([]);
+      return;
+    }
+    api.get('/api/companies', { params: { search: debouncedCompanySearch.trim(), page: 1, limit: 10 } })
+      .then(response => setCompanyResults(response.data.data || []))
+      .catch(() => setCompanyResults([]));
+  }, [showAddModal, debouncedCompanySearch]);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(prev => prev.size === aliases.length ? new Set() : new Set(aliases.map(alias => alias.id)));
+  };
+
+  const handleDelete = async (alias) => {
+    if (!window.confirm(`Delete the ${ALIAS_TYPES[alias.type].label.toLowerCase()} alias "${alias.value}" for ${alias.company?.name}? Documents carrying it will go to Unallocated again.`)) return;
+    try {
+      await api.delete(`/api/company-aliases/${alias.id}`);
+      toast.success('Alias deleted');
+      fetchAliases(pagination.page);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting alias');
+    }
+  };
+
+  const handleBulkDelete = async (body, confirmMessage) => {
+    if (!window.confirm(confirmMessage)) return;
+    try {
+      setDeleting(true);
+      const response = await api.delete('/api/company-aliases/bulk', { data: body });
+      toast.success(response.data.message);
+      fetchAliases(1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error deleting aliases');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const openAddModal = () => {
+    setForm(EMPTY_FORM);
+    setCompanySearch('');
+    setCompanyResults([]);
+    setShowAddModal(true);
+  };
+
+  const handleAdd = async () => {
+    if (!form.companyId || !form.value.trim()) {
+      toast.error('Choose a company and enter a value');
+      return;
+    }
+    try {
+      setSaving(true);
+      await api.post('/api/company-aliases', {
+        companyId: form.companyId,
+        type: form.type,
+        value: form.value
+      });
+      toast.success('Alias added');
+      setShowAddModal(false);
+      fetchAliases(1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error adding alias');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const hasActiveFilters = search || Object.values(filters).some(Boolean);
+
+  return (
+    <div className="page-body">
+      <div className="container-xl">
+        <div className="row row-cards mb-3">
+          {Object.entries(ALIAS_TYPES).map(([type, { label }]) => (
+            <div className="col-sm-4" key={type}>
+              <div className="card card-sm card-link" style={{ cursor: 'pointer' }} onClick={() => setFilters({ ...DEFAULT_FILTERS, type })}>
+                <div className="card-body">
+                  <div className="text-secondary small">{label} aliases</div>
+                  <div className="h2 mb-0">{summary?.[type] ?? 0}</div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <div>
+              <h3 className="card-title mb-0">Company aliases</h3>
+              <p className="text-secondary m-0">
+                Learned when documents are allocated by hand from <Link to="/unallocated">Unallocated</Link>, and used to match later imports
+              </p>
+            </div>
+            <div className="card-actions btn-list">
+              {selectedIds.size > 0 && (
+                <button
+                  className="btn btn-danger btn-sm"
+                  disabled={deleting}
+                  onClick={() => handleBulkDelete({ ids: [...selectedIds] }, `Delete ${selectedIds.size} selected alias(es)?`)}
+                >
+                  Delete selected ({selectedIds.size})
+                </button>
+              )}
+              {filters.unusedForDays && !search && selectedIds.size === 0 && pagination.total > 0 && (
+                <button
+                  className="btn btn-outline-danger btn-sm"
+                  disabled={deleting}
+                  onClick={() => handleBulkDelete(
+                    filters,
+                    `Delete all ${pagination.total} alias(es) listed - none has matched a document in ${filters.unusedForDays} days?`
+                  )}
+                >
+                  Prune unused ({pagination.total})
+                </button>
+              )}
+              <button className="btn btn-primary btn-sm" onClick={openAddModal}>
+                Add alias
+              </button>
+            </div>
+          </div>
+          <div className="card-body border-bottom py-3">
+            <div className="row g-2">
+              <div className="col-md-4">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Search value, company or account number..."
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+              </div>
+              <div className="col-md-2">
+                <select className="form-select" value={filters.type} onChange={(e) => updateFilter('type', e.target.value)}>
+                  <option value="">All types</option>
+                  {Object.entries(ALIAS_TYPES).map(([type, { label }]) => (
+                    <option key={type} value={type}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-2">
+                <select className="form-select" value={filters.source} onChange={(e) => updateFilter('source', e.target.value)}>
+                  <option value="">Any source</option>
+                  <option value="allocation">Learned</option>
+                  <option value="manual">Added by hand</option>
+                </select>
+              </div>
+              <div className="col-md-2">
+                <select className="form-select" value={filters.unusedForDays} onChange={(e) => updateFilter('unusedForDays', e.target.value)}>
+                  {UNUSED_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              {hasActiveFilters && (
+                <div className="col-md-2">
+                  <button className="btn btn-warning w-100" onClick={() => { setFilters(DEFAULT_FILTERS); setSearch(''); }}>
+                    Reset
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="table-responsive">
+            <table className="table table-vcenter card-table table-sm">
+              <thead>
+                <tr>
+                  <th className="w-1">
+                    <input
+                      type="checkbox"
+                      className="form-check-input m-0 align-middle"
+                      checked={aliases.length > 0 && selectedIds.size === aliases.length}
+                      onChange={toggleAll}
+                      aria-label="Select all aliases"
+                    />
+                  </th>
+                  <th>Type</th>
+                  <th>Value</th>
+                  <th>Company</th>
+                  <th>Source</th>
+                  <th>Matches</th>
+                  <th>Last matched</th>
+                  <th>Added</th>
+                  <th className="w-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="9" className="text-center py-4">
+                      <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+                    </td>
+                  </tr>
+                ) : aliases.length === 0 ? (
+                  <tr><td colSpan="9" className="text-center text-secondary py-4">No aliases</td></tr>
+                ) : aliases.map(alias => (
+                  <tr key={alias.id}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        className="form-check-input m-0 align-middle"
+                        checked={selectedIds.has(alias.id)}
+                        onChange={() => toggleSelected(alias.id)}
+                        aria-label="Select alias"
+                      />
+                    </td>
+                    <td>
+                      <span className={`badge ${ALIAS_TYPES[alias.type]?.className || 'bg-secondary-lt'}`}>
+                        {ALIAS_TYPES[alias.type]?.label || alias.type}
+                      </span>
+                    </td>
+                    <td className="fw-medium">{alias.value}</td>
+                    <td>
+                      {alias.company ? (
+                        <>
+                          <Link to={`/companies/${alias.company.id}/view`}>{alias.company.name}</Link>
+                          {!alias.company.isActive && <span className="badge bg-secondary-lt ms-1">Inactive</span>}
+                          {alias.company.referenceNo && <div className="text-secondary small">{alias.company.referenceNo}</div>}
+                        </>
+                      ) : '-'}
+                    </td>
+                    <td>
+                      {alias.source === 'manual' ? 'Added by hand' : 'Learned'}
+                      {alias.createdBy && <div className="text-secondary small">{alias.createdBy.name || alias.createdBy.email}</div>}
+                    </td>
+                    <td>{alias.matchCount}</td>
+                    <td className="text-nowrap">{formatDate(alias.lastMatchedAt)}</td>
+                    <td className="text-nowrap">{formatDate(alias.createdAt)}</td>
+                    <td>
+                      <button className="btn btn-ghost-danger btn-sm" onClick={() => handleDelete(alias)}>
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {pagination.pages > 1 && (
+            <div className="card-footer d-flex align-items-center">
+              <p className="m-0 text-secondary">
+                Page {pagination.page} of {pagination.pages} ({pagination.total} aliases)
+              </p>
+              <ul className="pagination m-0 ms-auto">
+                <li className={`page-item ${pagination.page <= 1 ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => fetchAliases(pagination.page - 1)} disabled={pagination.page <= 1}>
+                    Previous
+                  </button>
+                </li>
+                <li className={`page-item ${pagination.page >= pagination.pages ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => fetchAliases(pagination.page + 1)} disabled={pagination.page >= pagination.pages}>
+                    Next
+                  </button>
+                </li>
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Add Alias Modal */}
+      {showAddModal && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Add alias</h5>
+                <button type="button" className="btn-close" onClick={() => setShowAddModal(false)}></button>
+              </div>
+              <div className="modal-body">
+                <div className="mb-3">
+                  <label className="form-label required">Company</label>
+                  {form.companyId ? (
+                    <div className="input-group">
+                      <input type="text" className="form-control" value={form.companyLabel} readOnly />
+                      <button className="btn" type="button" onClick={() => setForm(prev => ({ ...prev, companyId: '', companyLabel: '' }))}>
+                        Change
+                      </button>
+                    </div>
+                  ) : (
+                    <>
+                      <input
+                        type="text"
+                        className="form-control"
+                        placeholder="Search by name or account number"
+                        value={companySearch}
+                        onChange={(e) => setCompanySearch(e.target.value)}
+                        autoFocus
+                      />
+                      {companyResults.length > 0 && (
+                        <div className="list-group list-group-flush border rounded mt-1" style={{ maxHeight: '220px', overflowY: 'auto' }}>
+                          {companyResults.map(company => (
+                            <button
+                              type="button"
+                              key={company.id}
+                              className="list-group-item list-group-item-action py-2"
+                              onClick={() => setForm(prev => ({
+                                ...prev,
+                                companyId: company.id,
+                                companyLabel: `${company.name}${company.referenceNo ? ` (${company.referenceNo})` : ''}`
+                              }))}
+                            >
+                              {company.name}
+                              {company.referenceNo && <span className="text-secondary ms-2">{company.referenceNo}</span>}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </>
+                  )}
+                </div>
+                <div className="mb-3">
+                  <label className="form-label required">Type</label>
+                  <select className="form-select" value={form.type} onChange={(e) => setForm(prev => ({ ...prev, type: e.target.value }))}>
+                    {Object.entries(ALIAS_TYPES).map(([type, { label }]) => (
+                      <option key={type} value={type}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="mb-1">
+                  <label className="form-label required">Value</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    maxLength="255"
+                    value={form.value}
+                    onChange={(e) => setForm(prev => ({ ...prev, value: e.target.value }))}
+                  />
+                  <small className="form-hint">{ALIAS_TYPES[form.type].hint}. Case, spacing and punctuation are ignored when matching.</small>
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowAddModal(false)} disabled={saving}>
+                  Cancel
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleAdd} disabled={saving}>
+                  {saving ? 'Saving...' : 'Add alias'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CompanyAliases;
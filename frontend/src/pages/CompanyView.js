@@ -2,10 +2,13 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import api from '../services/api';
 import toast from '../utils/toast';
+import { useAuth } from '../context/AuthContext';
+import CompanySamlSettings from '../components/CompanySamlSettings';
 const CompanyView = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
+  const { user: currentUser } = useAuth();
   const listPage = location.state?.listPage ?? 1;
   const returnQueryRef = useRef(null);
   if (returnQueryRef.current === null && typeof window !== 'undefined') {
@@ -411,6 +414,11 @@ const CompanyView = () => {
                   </div>
                 </div>
               </div>
+
+              {/* SAML single sign-on (CORP customers, Global Admin only) */}
+              {company.type === 'CORP' && currentUser?.role === 'global_admin' && (
+                <CompanySamlSettings companyId={company.id} />
+              )}
             </div>
 
             {/* Right Column - Company Hierarchy (33%) */}
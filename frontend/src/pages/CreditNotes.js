@@ -465,7 +465,7 @@ const CreditNotes = () => {
     }
   };
 
-  const handleBulkDownload = async () => {
+  const handleBulkDownload = async (includeUbl = false) => {
     if (selectedCreditNotes.length === 0) {
       toast.info('Please select at least one credit note to download');
       return;
@@ -481,7 +481,7 @@ const CreditNotes = () => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ creditNoteIds: selectedCreditNotes })
+        body: JSON.stringify({ creditNoteIds: selectedCreditNotes, includeUbl: includeUbl === true })
       });
 
       if (!response.ok) {
@@ -869,7 +869,7 @@ const CreditNotes = () => {
                           ref={fileInputRef}
                           type="file"
                           multiple
-                          accept=".pdf"
+                          accept=".pdf,.xml"
                           onChange={handleFileSelect}
                           style={{ display: 'none' }}
                         />
@@ -899,6 +899,14 @@ const CreditNotes = () => {
                         >
                           Download ({selectedCreditNotes.length})
                         </button>
+                        <button 
+                          className="btn btn-sm btn-outline-primary" 
+                          onClick={() => handleBulkDownload(true)}
+                          disabled={bulkDeleting}
+                          title="Download PDFs plus Peppol UBL e-invoices"
+                        >
+                          Download + UBL
+                        </button>
                         <button 
                           className="btn btn-sm btn-danger" 
                           onClick={() => {
@@ -912,12 +920,21 @@ const CreditNotes = () => {
                       </>
                     )}
                     {selectedCreditNotes.length > 0 && (currentUser?.role !== 'global_admin' && currentUser?.role !== 'administrator') && (
-                      <button 
-                        className="btn btn-sm btn-primary" 
-                        onClick={handleBulkDownload}
-                      >
-                        Download ({selectedCreditNotes.length})
-                      </button>
+                      <>
+                        <button 
+                          className="btn btn-sm btn-primary" 
+                          onClick={handleBulkDownload}
+                        >
+                          Download ({selectedCreditNotes.length})
+                        </button>
+                        <button 
+                          className="btn btn-sm btn-outline-primary" 
+                          onClick={() => handleBulkDownload(true)}
+                          title="Download PDFs plus Peppol UBL e-invoices"
+                        >
+                          Download + UBL
+                        </button>
+                      </>
                     )}
                   </div>
                 </div>
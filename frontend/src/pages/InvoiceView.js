@@ -5,6 +5,11 @@ import toast from '../utils/toast';
 import { useAuth } from '../context/AuthContext';
 import { useSettings } from '../context/SettingsContext';
 import DocumentRetentionTimer from '../components/DocumentRetentionTimer';
+import InvoicePayments from '../components/InvoicePayments';
+import InvoiceCreditNotes from '../components/InvoiceCreditNotes';
+import DocumentQueryThread from '../components/DocumentQueryThread';
+import UblDownloadButton from '../components/UblDownloadButton';
+import LineItems from '../components/LineItems';
 import { getAvailableFields } from '../utils/fieldDiscovery';
 import * as pdfjsLib from 'pdfjs-dist';
 
@@ -62,13 +67,7 @@ const InvoiceView = () => {
   // Query states
   const [queryMessages, setQueryMessages] = useState([]);
   const [queryThread, setQueryThread] = useState(null);
-  const [newMessage, setNewMessage] = useState('');
-  const [sendingMessage, setSendingMessage] = useState(false);
   const [loadingQuery, setLoadingQuery] = useState(false);
-  const [replyingTo, setReplyingTo] = useState(null); // Message ID being replied to
-  const [showResolveModal, setShowResolveModal] = useState(false);
-  const [resolutionReason, setResolutionReason] = useState('');
-  const [resolving, setResolving] = useState(false);
   
   // Check if queries are enabled
   const queriesEnabled = settings?.queriesEnabled !== false; // Default to true if not set
@@ -357,13 +356,6 @@ const InvoiceView = () => {
         setQueryThread(response.data.query);
         const messages = response.data.messages || [];
         setQueryMessages(messages);
-        // Scroll to bottom after messages load
-        setTimeout(() => {
-          const container = document.getElementById('query-messages-container');
-          if (container) {
-            container.scrollTop = container.scrollHeight;
-          }
-        }, 100);
       } else {
         setQueryThread(null);
         setQueryMessages([]);
@@ -384,111 +376,14 @@ const InvoiceView = () => {
     }
   };
 
-  const handleSendQuery = async () => {
-    if (!newMessage.trim()) {
-      toast.error('Please enter a message');
-      return;
-    }
-
-    try {
-      setSendingMessage(true);
-      const response = await api.post(`/api/document-queries/invoice/${id}`, {
-        message: newMessage.trim(),
-        replyTo: replyingTo || null
-      });
-
-      if (response.data.success) {
-        toast.success('Message sent successfully');
-        setNewMessage('');
-        setReplyingTo(null);
-        // Refresh query history with a small delay to ensure backend has saved
-        setTimeout(async () => {
-          await fetchQueryHistory();
-        }, 100);
-        // Refresh invoice to update status
-        await fetchInvoice();
-      }
-    } catch (error) {
-      console.error('Error sending query:', error);
-      toast.error('Error sending message: ' + (error.response?.data?.message || error.message));
-    } finally {
-      setSendingMessage(false);
-    }
-  };
-
-  const handleReplyToQuery = async () => {
-    if (!newMessage.trim()) {
-      toast.error('Please enter a message');
-      return;
-    }
-
-    try {
-      setSendingMessage(true);
-      const response = await api.post(`/api/document-queries/invoice/${id}/reply`, {
-        message: newMessage.trim(),
-        replyTo: replyingTo || null
-      });
-
-      if (response.data.success) {
-        toast.success('Reply sent successfully');
-        setNewMessage('');
-        setReplyingTo(null);
-        // Refresh query history with a small delay to ensure backend has saved
-        setTimeout(async () => {
-          await fetchQueryHistory();
-        }, 100);
-      }
-    } catch (error) {
-      console.error('Error replying to query:', error);
-      toast.error('Error replying to query: ' + (error.response?.data?.message || error.message));
-    } finally {
-      setSendingMessage(false);
-    }
-  };
-
-  const handleResolveQuery = async () => {
-    if (!resolutionReason.trim()) {
-      toast.error('Please provide a resolution reason');
-      return;
-    }
-
-    try {
-      setResolving(true);
-      const response = await api.post(`/api/document-queries/invoice/${id}/resolve`, {
-        resolutionReason: resolutionReason.trim()
-      });
-
-      if (response.data.success) {
-        toast.success('Query resolved successfully');
-        setShowResolveModal(false);
-        setResolutionReason('');
-        await fetchQueryHistory();
-      }
-    } catch (error) {
-      console.error('Error resolving query:', error);
-      toast.error('Error resolving query: ' + (error.response?.data?.message || error.message));
-    } finally {
-      setResolving(false);
+  const handleQueryChange = (reason) => {
+    fetchQueryHistory();
+    if (reason === 'message') {
+      // Refresh to update the queried status
+      fetchInvoice();
     }
   };
 
-  // Helper to find message by ID (for threading display)
-  const findMessageById = (messageId) => {
-    return queryMessages.find(m => m.id === messageId);
-  };
-
-  const formatMessageTime = (timestamp) => {
-    if (!timestamp) return '';
-    const date = new Date(timestamp);
-    return date.toLocaleString('en-GB', {
-      day: '2-digit',
-      month: '2-digit',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
-
 
   if (loading) {
     return (
@@ -557,6 +452,19 @@ const InvoiceView = () => {
               >
                 Back to Invoices
               </button>
+              <UblDownloadButton
+                endpoint="invoices"
+                documentId={id}
+                documentNumber={invoice.invoiceNumber}
+                onDownloaded={fetchInvoice}
+              />
+              <UblDownloadButton
+                endpoint="invoices"
+                documentId={id}
+                format="facturx"
+                documentNumber={invoice.invoiceNumber}
+                onDownloaded={fetchInvoice}
+              />
               <button 
                 className="btn btn-primary"
                 onClick={handleDownload}
@@ -609,6 +517,9 @@ const InvoiceView = () => {
                   )}
                 </div>
               </div>
+
+              {/* Line Items - Below PDF Preview (only when lines were extracted) */}
+              <LineItems items={invoice.items} amount={invoice.amount} taxAmount={invoice.taxAmount} />
             </div>
 
             {/* Invoice Information - Right Side (33%) */}
@@ -781,7 +692,7 @@ const InvoiceView = () => {
                             }
                             
                             // Determine status based on who sent the last message
-                            const lastMessage = queryMessages[queryMessages.length - 1];
+                            const lastMessage = [...queryMessages].reverse().find(message => !message.internal);
                             const isCurrentUserLastSender = lastMessage?.userId === currentUser?.id;
                             const statusText = isCurrentUserLastSender 
                               ? 'Awaiting Reply' 
@@ -843,247 +754,23 @@ const InvoiceView = () => {
                 </div>
               </div>
 
+              {/* Payments - Below Invoice Information (staff only) */}
+              <InvoicePayments invoice={invoice} onChange={fetchInvoice} />
+
+              {/* Credit notes raised against this invoice (hidden when there are none) */}
+              <InvoiceCreditNotes invoice={invoice} />
+
               {/* Query Section - Below Invoice Information (only if enabled) */}
               {queriesEnabled && (
-              <div className="card mt-3">
-                <div className="card-header d-flex justify-content-between align-items-center">
-                  <h3 className="card-title">Queries</h3>
-                  {queryThread?.status === 'resolved' && (
-                    <span className="badge bg-success">Resolved</span>
-                  )}
-                  {queryThread && queryThread.status !== 'resolved' && 
-                   ['administrator', 'global_admin'].includes(currentUser?.role) && (
-                    <button
-                      className="btn btn-sm btn-success"
-                      onClick={() => setShowResolveModal(true)}
-                    >
-                      Resolve Query
-                    </button>
-                  )}
-                </div>
-                <div className="card-body">
-                  {loadingQuery ? (
-                    <div className="text-center py-4">
-                      <div className="spinner-border spinner-border-sm" role="status">
-                        <span className="visually-hidden">Loading...</span>
-                      </div>
-                    </div>
-                  ) : (
-                    <>
-                      <div 
-                        className="chat-bubbles" 
-                        id="query-messages-container"
-                        style={{ maxHeight: '400px', overflowY: 'auto', padding: '1rem', marginBottom: '1rem' }}
-                      >
-                        {queryThread?.status === 'resolved' && (
-                          <div className="alert alert-info mb-3">
-                            <strong>This query has been resolved.</strong>
-                            {queryThread.resolutionReason && (
-                              <div className="mt-2">
-                                <strong>Resolution:</strong> {queryThread.resolutionReason}
-                              </div>
-                            )}
-                            {queryThread.resolvedAt && (
-                              <div className="mt-1 text-muted" style={{ fontSize: '0.875rem' }}>
-                                Resolved on {formatMessageTime(queryThread.resolvedAt)}
-                              </div>
-                            )}
-                            {currentUser?.role === 'external_user' && (
-                              <div className="mt-2">
-                                <em>This conversation is closed. For further questions, please contact support via email.</em>
-                              </div>
-                            )}
-                          </div>
-                        )}
-                        {queryMessages.length === 0 ? (
-                          <div className="text-center text-muted py-4">
-                            {currentUser?.role === 'external_user' ? (
-                              <p>No queries yet. Start a conversation below.</p>
-                            ) : (
-                              <p>No queries yet. You can start a conversation with the customer below.</p>
-                            )}
-                          </div>
-                        ) : (
-                          queryMessages.map((msg) => {
-                            const isCurrentUser = msg.userId === currentUser?.id;
-                            const repliedToMessage = msg.replyTo ? findMessageById(msg.replyTo) : null;
-                            return (
-                              <div key={msg.id} className="chat-item mb-3">
-                                <div className={`row align-items-end ${isCurrentUser ? 'justify-content-end' : ''}`}>
-                                  <div className={`col col-lg-8 ${isCurrentUser ? 'order-2' : ''}`}>
-                                    {repliedToMessage && (
-                                      <div className="mb-1" style={{ fontSize: '0.875rem', opacity: 0.7, paddingLeft: '1rem', borderLeft: '2px solid #ccc' }}>
-                                        <em>Replying to: {repliedToMessage.userName || repliedToMessage.userEmail}</em>
-                                        <div style={{ fontSize: '0.75rem', marginTop: '0.25rem' }}>
-                                          {repliedToMessage.message.substring(0, 100)}{repliedToMessage.message.length > 100 ? '...' : ''}
-                                        </div>
-                                      </div>
-                                    )}
-                                    <div className={`chat-bubble ${isCurrentUser ? 'chat-bubble-me' : ''}`}>
-                                      <div className="chat-bubble-title">
-                                        <div className="row">
-                                          <div className="col chat-bubble-author">
-                                            {msg.userName || msg.userEmail || 'Unknown User'}
-                                            {msg.userRole && (
-                                              <span className="badge bg-secondary-lt ms-2" style={{ fontSize: '0.7rem' }}>
-                                                {msg.userRole === 'external_user' ? 'Customer' : 'Staff'}
-                                              </span>
-                                            )}
-                                          </div>
-                                          <div className="col-auto chat-bubble-date">
-                                            {formatMessageTime(msg.createdAt)}
-                                          </div>
-                                        </div>
-                                      </div>
-                                      <div className="chat-bubble-body">
-                                        <p style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{msg.message}</p>
-                                      </div>
-                                    </div>
-                                    {!isCurrentUser && queryThread?.status !== 'resolved' && (
-                                      <button
-                                        className="btn btn-sm btn-link p-0 mt-1"
-                                        style={{ fontSize: '0.75rem' }}
-                                        onClick={() => {
-                                          setReplyingTo(msg.id);
-                                          document.getElementById('query-message-input')?.focus();
-                                        }}
-                                      >
-                                        Reply
-                                      </button>
-                                    )}
-                                  </div>
-                                </div>
-                              </div>
-                            );
-                          })
-                        )}
-                      </div>
-                      {queryThread?.status !== 'resolved' && (
-                      <div className="border-top pt-3">
-                        {replyingTo && (
-                          <div className="alert alert-info mb-2 py-2">
-                            <div className="d-flex justify-content-between align-items-center">
-                              <small>
-                                <strong>Replying to:</strong> {findMessageById(replyingTo)?.userName || findMessageById(replyingTo)?.userEmail}
-                                <button
-                                  className="btn btn-sm btn-link p-0 ms-2"
-                                  onClick={() => setReplyingTo(null)}
-                                >
-                                  Cancel
-                                </button>
-                              </small>
-                            </div>
-                          </div>
-                        )}
-                        <div className="mb-2">
-                          <label className="form-label">
-                            {queryMessages.length === 0 
-                              ? (currentUser?.role === 'external_user' ? 'Send a query about this invoice' : 'Send a query to customer')
-                              : replyingTo ? 'Reply to message' : 'Send a message'}
-                          </label>
-                          <textarea
-                            id="query-message-input"
-                            className="form-control"
-                            rows="3"
-                            placeholder={queryMessages.length === 0
-                              ? (currentUser?.role === 'external_user' 
-                                ? 'Enter your question or concern about this invoice...'
-                                : 'Enter your question for the customer...')
-                              : replyingTo ? 'Enter your reply...' : 'Enter your message...'}
-                            value={newMessage}
-                            onChange={(e) => setNewMessage(e.target.value)}
-                            disabled={sendingMessage}
-                          />
-                        </div>
-                        <div className="d-flex justify-content-end">
-                          <button
-                            type="button"
-                            className="btn btn-primary"
-                            onClick={() => {
-                              // Both customers and staff can send messages (creates or adds to thread)
-                              // Use handleSendQuery for new messages, handleReplyToQuery for replies
-                              if (queryThread && replyingTo) {
-                                handleReplyToQuery();
-                              } else {
-                                handleSendQuery();
-                              }
-                            }}
-                            disabled={sendingMessage || !newMessage.trim()}
-                          >
-                            {sendingMessage 
-                              ? 'Sending...' 
-                              : (queryMessages.length === 0 ? 'Send Query' : replyingTo ? 'Reply' : 'Send Message')}
-                          </button>
-                        </div>
-                      </div>
-                      )}
-                      {queryThread?.status === 'resolved' && currentUser?.role === 'external_user' && (
-                        <div className="border-top pt-3">
-                          <div className="alert alert-warning mb-0">
-                            <em>This query has been resolved and is closed. For further questions, please contact support via email.</em>
-                          </div>
-                        </div>
-                      )}
-                    </>
-                  )}
-                </div>
-              </div>
-              )}
-
-              {/* Resolve Query Modal */}
-              {showResolveModal && (
-                <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
-                  <div className="modal-dialog">
-                    <div className="modal-content">
-                      <div className="modal-header">
-                        <h5 className="modal-title">Resolve Query</h5>
-                        <button
-                          type="button"
-                          className="btn-close"
-                          onClick={() => {
-                            setShowResolveModal(false);
-                            setResolutionReason('');
-                          }}
-                        ></button>
-                      </div>
-                      <div className="modal-body">
-                        <p>Please provide a reason for resolving this query. Once resolved, external users will not be able to reply.</p>
-                        <div className="mb-3">
-                          <label className="form-label">Resolution Reason *</label>
-                          <textarea
-                            className="form-control"
-                            rows="4"
-                            placeholder="Enter the reason for resolving this query..."
-                            value={resolutionReason}
-                            onChange={(e) => setResolutionReason(e.target.value)}
-                            disabled={resolving}
-                          />
-                        </div>
-                      </div>
-                      <div className="modal-footer">
-                        <button
-                          type="button"
-                          className="btn btn-secondary"
-                          onClick={() => {
-                            setShowResolveModal(false);
-                            setResolutionReason('');
-                          }}
-                          disabled={resolving}
-                        >
-                          Cancel
-                        </button>
-                        <button
-                          type="button"
-                          className="btn btn-success"
-                          onClick={handleResolveQuery}
-                          disabled={resolving || !resolutionReason.trim()}
-                        >
-                          {resolving ? 'Resolving...' : 'Resolve Query'}
-                        </button>
-                      </div>
-                    </div>
-                  </div>
-                </div>
+                <DocumentQueryThread
+                  documentType="invoice"
+                  documentId={id}
+                  documentLabel="invoice"
+                  thread={queryThread}
+                  messages={queryMessages}
+                  loading={loadingQuery}
+                  onChange={handleQueryChange}
+                />
               )}
             </div>
           </div>
@@ -530,7 +530,7 @@ const Invoices = () => {
     }
   };
 
-  const handleBulkDownload = async () => {
+  const handleBulkDownload = async (includeUbl = false) => {
     if (selectedInvoices.length === 0) {
       toast.info('Please select at least one invoice to download');
       return;
@@ -546,7 +546,7 @@ const Invoices = () => {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ invoiceIds: selectedInvoices })
+        body: JSON.stringify({ invoiceIds: selectedInvoices, includeUbl: includeUbl === true })
       });
 
       if (!response.ok) {
@@ -940,7 +940,7 @@ const Invoices = () => {
                           ref={fileInputRef}
                           type="file"
                           multiple
-                          accept=".pdf"
+                          accept=".pdf,.xml"
                           onChange={handleFileSelect}
                           style={{ display: 'none' }}
                         />
@@ -970,6 +970,14 @@ const Invoices = () => {
                         >
                           Download ({selectedInvoices.length})
                         </button>
+                        <button 
+                          className="btn btn-sm btn-outline-primary" 
+                          onClick={() => handleBulkDownload(true)}
+                          disabled={bulkDeleting}
+                          title="Download PDFs plus Peppol UBL e-invoices"
+                        >
+                          Download + UBL
+                        </button>
                         <button 
                           className="btn btn-sm btn-danger" 
                           onClick={() => {
@@ -983,12 +991,21 @@ const Invoices = () => {
                       </>
                     )}
                     {selectedInvoices.length > 0 && (currentUser?.role !== 'global_admin' && currentUser?.role !== 'administrator') && (
-                      <button 
-                        className="btn btn-sm btn-primary" 
-                        onClick={handleBulkDownload}
-                      >
-                        Download ({selectedInvoices.length})
-                      </button>
+                      <>
+                        <button 
+                          className="btn btn-sm btn-primary" 
+                          onClick={handleBulkDownload}
+                        >
+                          Download ({selectedInvoices.length})
+                        </button>
+                        <button 
+                          className="btn btn-sm btn-outline-primary" 
+                          onClick={() => handleBulkDownload(true)}
+                          title="Download PDFs plus Peppol UBL e-invoices"
+                        >
+                          Download + UBL
+                        </button>
+                      </>
                     )}
                   </div>
                 </div>
@@ -2,8 +2,9 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useSettings } from '../context/SettingsContext';
+import { startAuthentication, browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import PageTitle from '../components/PageTitle';
-import { API_BASE_URL } from '../services/api';
+import api, { API_BASE_URL, setAuthTokens } from '../services/api';
 
 const Login = () => {
   const { settings } = useSettings();
@@ -15,7 +16,11 @@ const Login = () => {
   const [accountLocked, setAccountLocked] = useState(false);
   const [lockedUntil, setLockedUntil] = useState(null);
   const [remainingMinutes, setRemainingMinutes] = useState(null);
-  const { login } = useAuth();
+  const [ssoLoading, setSsoLoading] = useState(false);
+  // Email domain belongs to a customer that signs in with its own SAML IdP
+  const [samlLogin, setSamlLogin] = useState(false);
+  const [passkeyLoading, setPasskeyLoading] = useState(false);
+  const { login, refreshUser } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [searchParams] = useSearchParams();
@@ -49,7 +54,7 @@ const Login = () => {
     }
     
     // Must not be an auth page (to prevent redirect loops)
-    const authPages = ['/login', '/forgot-password', '/reset-password', '/register', '/two-factor'];
+    const authPages = ['/login', '/forgot-password', '/reset-password', '/register', '/two-factor', '/sso'];
     if (authPages.some(page => path.startsWith(page))) {
       return false;
     }
@@ -57,6 +62,14 @@ const Login = () => {
     return true;
   };
 
+  // Show errors handed back from a single sign-on attempt
+  useEffect(() => {
+    const ssoError = searchParams.get('ssoError');
+    if (ssoError) {
+      setError(ssoError);
+    }
+  }, [searchParams]);
+
   // Load reCAPTCHA script
   useEffect(() => {
     if (!recaptchaSiteKey || recaptchaSiteKey === '') {
@@ -131,8 +144,39 @@ const Login = () => {
     return '/';
   };
 
+  const checkSamlLogin = async () => {
+    if (!email.includes('@')) {
+      setSamlLogin(false);
+      return;
+    }
+    try {
+      const response = await api.get('/api/sso/saml/lookup', { params: { email } });
+      setSamlLogin(response.data.saml === true);
+    } catch (err) {
+      setSamlLogin(false);
+    }
+  };
+
+  const handleSamlLogin = async () => {
+    setSsoLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/api/sso/saml/start', {
+        params: { email, redirect: getRedirectPath() }
+      });
+      window.location.href = response.data.url;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Single sign-on is not available right now. Please try again.');
+      setSsoLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+    if (samlLogin) {
+      handleSamlLogin();
+      return;
+    }
     setLoading(true);
     setError('');
     setAccountLocked(false);
@@ -171,8 +215,10 @@ const Login = () => {
             sessionToken: result.sessionToken,
             password: password,
             twoFactorMethod: result.twoFactorMethod || 'authenticator',
+            webauthn: result.webauthn,
             maskedEmail: result.user?.maskedEmail,
             emailSendFailed: result.emailSendFailed || false,
+            stepUp: result.stepUp || null,
             from: getRedirectPath()
           }
         });
@@ -218,6 +264,66 @@ const Login = () => {
     }
   };
 
+  // Single sign-on - the backend builds the identity provider URL, then the
+  // browser leaves the portal and comes back through /sso/callback
+  const handleSsoLogin = async () => {
+    setSsoLoading(true);
+    setError('');
+    try {
+      const response = await api.get('/api/sso/oidc/start', {
+        params: { redirect: getRedirectPath() }
+      });
+      window.location.href = response.data.url;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Single sign-on is not available right now. Please try again.');
+      setSsoLoading(false);
+    }
+  };
+
+  // Passwordless sign-in - the browser offers any passkey it holds for this site
+  const handlePasskeyLogin = async () => {
+    setPasskeyLoading(true);
+    setError('');
+    try {
+      const optionsResponse = await api.post('/api/auth/passkey/options');
+      const assertion = await startAuthentication({ optionsJSON: optionsResponse.data.options });
+      const response = await api.post('/api/auth/passkey/login', {
+        challengeKey: optionsResponse.data.challengeKey,
+        response: assertion
+      });
+
+      if (response.data.mustChangePassword) {
+        navigate('/change-password', {
+          state: {
+            user: response.data.user,
+            sessionToken: response.data.sessionToken,
+            isFirstTime: true,
+            from: getRedirectPath()
+          }
+        });
+        return;
+      }
+
+      setAuthTokens(response.data);
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+      await refreshUser();
+      navigate(getRedirectPath());
+    } catch (err) {
+      if (err.name === 'NotAllowedError' || err.name === 'AbortError') {
+        setError('Passkey sign-in was cancelled or timed out.');
+      } else {
+        setError(err.response?.data?.message || err.message || 'Passkey sign-in failed. Please try again.');
+      }
+      setPasskeyLoading(false);
+    }
+  };
+
+  const ssoEnabled = settings?.sso?.oidc?.enabled;
+  const passkeyEnabled = settings?.twoFactorAuth?.enabled &&
+    settings?.twoFactorAuth?.passkeyLogin &&
+    (settings.twoFactorAuth.allowedMethods || []).includes('webauthn') &&
+    browserSupportsWebAuthn();
+
   const loginStyle = settings?.loginBackgroundImage ? {
     backgroundImage: `url(${API_BASE_URL}${settings.loginBackgroundImage})`,
     backgroundSize: 'cover',
@@ -274,60 +380,95 @@ const Login = () => {
                   className="form-control"
                   placeholder="your@email.com"
                   value={email}
-                  onChange={(e) => setEmail(e.target.value)}
+                  onChange={(e) => {
+                    setEmail(e.target.value);
+                    setSamlLogin(false);
+                  }}
+                  onBlur={checkSamlLogin}
                   autoComplete="off"
                   required
                 />
               </div>
-              <div className="mb-2">
-                <label className="form-label">Password</label>
-                <div className="input-group input-group-flat">
-                  <input
-                    type={showPassword ? 'text' : 'password'}
-                    className="form-control"
-                    placeholder="Your password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    autoComplete="off"
-                    required
-                  />
-                  <span className="input-group-text" style={{ padding: 0 }}>
-                    <a
-                      href="#"
-                      className="link-secondary d-flex align-items-center justify-content-center"
-                      style={{ padding: '0.5rem 0.75rem', cursor: 'pointer' }}
-                      title={showPassword ? 'Hide password' : 'Show password'}
-                      onClick={(e) => {
-                        e.preventDefault();
-                        setShowPassword(!showPassword);
-                      }}
-                    >
-                      {showPassword ? (
-                        <svg xmlns="http://www.w3.org/2000/svg" className="icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                          <path d="M10.585 10.587a2 2 0 0 0 2.829 2.828" />
-                          <path d="M16.681 16.673a8.717 8.717 0 0 1 -4.681 1.327c-3.6 0 -6.6 -2 -9 -6c1.272 -2.12 2.712 -3.678 4.32 -4.674m2.86 -1.146a9.055 9.055 0 0 1 1.82 -.18c3.6 0 6.6 2 9 6c-.666 1.11 -1.379 2.067 -2.138 2.87" />
-                          <path d="M3 3l18 18" />
-                        </svg>
-                      ) : (
-                        <svg xmlns="http://www.w3.org/2000/svg" className="icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                          <path d="M10 12a2 2 0 1 0 4 0a2 2 0 0 0 -4 0" />
-                          <path d="M21 12c-2.4 4 -5.4 6 -9 6c-3.6 0 -6.6 -2 -9 -6c2.4 -4 5.4 -6 9 -6c3.6 0 6.6 2 9 6" />
-                        </svg>
-                      )}
-                    </a>
-                  </span>
+              {samlLogin ? (
+                <div className="text-secondary mb-2">
+                  Your organisation signs in through its own identity provider. You won't need a portal password.
                 </div>
-              </div>
+              ) : (
+                <div className="mb-2">
+                  <label className="form-label">Password</label>
+                  <div className="input-group input-group-flat">
+                    <input
+                      type={showPassword ? 'text' : 'password'}
+                      className="form-control"
+                      placeholder="Your password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      autoComplete="off"
+                      required
+                    />
+                    <span className="input-group-text" style={{ padding: 0 }}>
+                      <a
+                        href="#"
+                        className="link-secondary d-flex align-items-center justify-content-center"
+                        style={{ padding: '0.5rem 0.75rem', cursor: 'pointer' }}
+                        title={showPassword ? 'Hide password' : 'Show password'}
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setShowPassword(!showPassword);
+                        }}
+                      >
+                        {showPassword ? (
+                          <svg xmlns="http://www.w3.org/2000/svg" className="icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M10.585 10.587a2 2 0 0 0 2.829 2.828" />
+                            <path d="M16.681 16.673a8.717 8.717 0 0 1 -4.681 1.327c-3.6 0 -6.6 -2 -9 -6c1.272 -2.12 2.712 -3.678 4.32 -4.674m2.86 -1.146a9.055 9.055 0 0 1 1.82 -.18c3.6 0 6.6 2 9 6c-.666 1.11 -1.379 2.067 -2.138 2.87" />
+                            <path d="M3 3l18 18" />
+                          </svg>
+                        ) : (
+                          <svg xmlns="http://www.w3.org/2000/svg" className="icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                            <path d="M10 12a2 2 0 1 0 4 0a2 2 0 0 0 -4 0" />
+                            <path d="M21 12c-2.4 4 -5.4 6 -9 6c-3.6 0 -6.6 -2 -9 -6c2.4 -4 5.4 -6 9 -6c3.6 0 6.6 2 9 6" />
+                          </svg>
+                        )}
+                      </a>
+                    </span>
+                  </div>
+                </div>
+              )}
               <div className="form-footer">
                 <button
                   type="submit"
                   className="btn btn-primary w-100"
-                  disabled={loading}
+                  disabled={loading || ssoLoading}
                 >
-                  {loading ? 'Signing in...' : 'Sign in'}
+                  {samlLogin
+                    ? (ssoLoading ? 'Redirecting...' : 'Continue with your organisation')
+                    : (loading ? 'Signing in...' : 'Sign in')}
                 </button>
               </div>
             </form>
+            {(ssoEnabled || passkeyEnabled) && (
+              <div className="hr-text">or</div>
+            )}
+            {ssoEnabled && (
+              <button
+                type="button"
+                className="btn w-100"
+                onClick={handleSsoLogin}
+                disabled={ssoLoading || loading || passkeyLoading}
+              >
+                {ssoLoading ? 'Redirecting...' : (settings.sso.oidc.displayName || 'Sign in with SSO')}
+              </button>
+            )}
+            {passkeyEnabled && (
+              <button
+                type="button"
+                className={`btn w-100 ${ssoEnabled ? 'mt-2' : ''}`}
+                onClick={handlePasskeyLogin}
+                disabled={passkeyLoading || loading || ssoLoading}
+              >
+                {passkeyLoading ? 'Waiting for passkey...' : 'Sign in with a passkey'}
+              </button>
+            )}
             <div className="text-center text-secondary mt-3">
               <Link to="/forgot-password">I forgot password</Link>
             </div>
@@ -438,6 +438,7 @@ const ParsingLog = () => {
                             {file.processingMethod ? (
                               <span className="badge bg-info-lt">
                                 {file.processingMethod === 'documentai' ? 'Document AI' : 
+                                 file.processingMethod.startsWith('local_ocr') ? 'Local OCR' : 
                                  file.processingMethod.startsWith('local') ? 'Local' : 
                                  'Manual'}
                               </span>
@@ -550,6 +551,7 @@ const ParsingLog = () => {
                       {viewFile.processingMethod ? (
                         <span className="badge bg-info-lt">
                           {viewFile.processingMethod === 'documentai' ? 'Document AI' : 
+                           viewFile.processingMethod.startsWith('local_ocr') ? 'Local OCR' : 
                            viewFile.processingMethod.startsWith('local') ? 'Local' : 
                            'Manual'}
                         </span>
@@ -0,0 +1,549 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api, { API_BASE_URL } from '../services/api';
+import toast from '../utils/toast';
+import { usePermissions } from '../context/PermissionContext';
+import PageTitle from '../components/PageTitle';
+
+const METHOD_LABELS = {
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  card: 'Card',
+  direct_debit: 'Direct Debit',
+  cash: 'Cash',
+  credit_note: 'Credit Note',
+  other: 'Other'
+};
+
+const formatCurrency = (amount) => {
+  const numAmount = typeof amount === 'number' ? amount : parseFloat(amount) || 0;
+  return new Intl.NumberFormat('en-GB', {
+    style: 'currency',
+    currency: 'GBP'
+  }).format(numAmount);
+};
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-GB');
+};
+
+const getLineStatusBadge = (status) => {
+  const badges = {
+    matched: <span className="badge bg-success-lt">Matched</span>,
+    on_account: <span className="badge bg-blue-lt">On Account</span>,
+    error: <span className="badge bg-danger-lt">Error</span>
+  };
+  return badges[status] || <span className="badge bg-secondary-lt">{status}</span>;
+};
+
+const Payments = () => {
+  const { hasPermission } = usePermissions();
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0, pages: 0 });
+  const [filters, setFilters] = useState({ search: '', method: '', source: '' });
+
+  // Remittance import
+  const [showImport, setShowImport] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [importStep, setImportStep] = useState('upload'); // 'upload', 'preview', 'complete'
+  const [importPreview, setImportPreview] = useState(null);
+  const [importResults, setImportResults] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [previewFilter, setPreviewFilter] = useState('all'); // 'all', 'matched', 'on_account', 'error'
+
+  const canImport = hasPermission('PAYMENTS_IMPORT');
+  const canDelete = hasPermission('PAYMENTS_DELETE');
+
+  const fetchPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {
+        page: pagination.page,
+        limit: pagination.limit,
+        ...filters
+      };
+      const response = await api.get('/api/payments', { params });
+      setPayments(response.data.data || []);
+      setPagination(prev => ({ ...prev, ...(response.data.pagination || {}) }));
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      toast.error('Error fetching payments');
+    } finally {
+      setLoading(false);
+    }
+  }, [pagination.page, pagination.limit, filters]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments]);
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const handleDelete = async (payment) => {
+    const label = payment.reference || formatCurrency(payment.amount);
+    if (!window.confirm(`Delete payment ${label}? All of its invoice and credit note allocations will be reversed.`)) {
+      return;
+    }
+    try {
+      await api.delete(`/api/payments/${payment.id}`);
+      toast.success('Payment deleted');
+      fetchPayments();
+    } catch (error) {
+      toast.error('Error deleting payment: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const resetImport = () => {
+    setImportFile(null);
+    setImportStep('upload');
+    setImportPreview(null);
+    setImportResults(null);
+    setPreviewFilter('all');
+  };
+
+  const closeImport = () => {
+    setShowImport(false);
+    resetImport();
+  };
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setImportFile(file);
+    try {
+      setImporting(true);
+      const formData = new FormData();
+      formData.append('file', file);
+      const response = await api.post('/api/payments/remittance/preview', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      setImportPreview(response.data);
+      setImportStep('preview');
+    } catch (error) {
+      toast.error('Error previewing remittance: ' + (error.response?.data?.message || error.message));
+      resetImport();
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    if (!importFile) {
+      toast.error('Please select a file');
+      return;
+    }
+    try {
+      setImporting(true);
+      const formData = new FormData();
+      formData.append('file', importFile);
+      const response = await api.post('/api/payments/remittance', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      const { results } = response.data;
+      setImportResults(results);
+      setImportStep('complete');
+      if (results.errors.length > 0) {
+        toast.warning(`Remittance imported with errors: ${results.recorded} payments recorded, ${results.errors.length} failed`);
+      } else {
+        toast.success(`Remittance imported: ${results.recorded} payments totalling ${formatCurrency(results.totalReceived)}`);
+      }
+      fetchPayments();
+    } catch (error) {
+      toast.error('Error importing remittance: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await fetch(`${API_BASE_URL}/api/payments/remittance/template`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Download failed');
+      }
+
+      const blob = await response.blob();
+      const downloadUrl = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = downloadUrl;
+      a.download = 'remittance_import_template.csv';
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(downloadUrl);
+      document.body.removeChild(a);
+    } catch (error) {
+      toast.error('Error downloading template: ' + error.message);
+    }
+  };
+
+  const filteredPreview = (importPreview?.preview || []).filter(line =>
+    previewFilter === 'all' || line.status === previewFilter
+  );
+
+  const describeAllocations = (payment) => {
+    if (!payment.allocations || payment.allocations.length === 0) {
+      return <span className="text-muted">On account</span>;
+    }
+    return payment.allocations.map(allocation => (
+      <div key={allocation.id} className="small">
+        {allocation.invoice ? (
+          <Link to={`/invoices/${allocation.invoice.id}/view`}>
+            {allocation.invoice.invoiceNumber}
+          </Link>
+        ) : allocation.creditNote ? (
+          <Link to={`/credit-notes/${allocation.creditNote.id}/view`}>
+            {allocation.creditNote.creditNoteNumber}
+          </Link>
+        ) : (
+          <span className="text-muted">Removed document</span>
+        )}
+        <span className="text-muted ms-1">{formatCurrency(allocation.amount)}</span>
+      </div>
+    ));
+  };
+
+  return (
+    <div className="page">
+      <PageTitle title="Payments" />
+      <div className="page-header">
+        <div className="container-fluid">
+          <div className="row g-2 align-items-center">
+            <div className="col">
+              <div className="page-pretitle">Accounts</div>
+              <h2 className="page-title">Payments</h2>
+            </div>
+            {canImport && (
+              <div className="col-auto ms-auto">
+                <button className="btn btn-primary" onClick={() => setShowImport(true)}>
+                  Import Remittance
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="page-body">
+        <div className="container-fluid">
+          <div className="card">
+            <div className="card-header">
+              <div className="row g-2 w-100">
+                <div className="col-md-6">
+                  <input
+                    type="text"
+                    className="form-control"
+                    placeholder="Search reference, notes or company..."
+                    value={filters.search}
+                    onChange={(e) => handleFilterChange('search', e.target.value)}
+                  />
+                </div>
+                <div className="col-md-3">
+                  <select
+                    className="form-select"
+                    value={filters.method}
+                    onChange={(e) => handleFilterChange('method', e.target.value)}
+                  >
+                    <option value="">All methods</option>
+                    {Object.entries(METHOD_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-3">
+                  <select
+                    className="form-select"
+                    value={filters.source}
+                    onChange={(e) => handleFilterChange('source', e.target.value)}
+                  >
+                    <option value="">All sources</option>
+                    <option value="manual">Manual</option>
+                    <option value="remittance_import">Remittance Import</option>
+                  </select>
+                </div>
+              </div>
+            </div>
+            <div className="card-body">
+              {loading ? (
+                <div className="text-center py-5">
+                  <div className="spinner-border" role="status">
+                    <span className="visually-hidden">Loading...</span>
+                  </div>
+                </div>
+              ) : payments.length === 0 ? (
+                <div className="text-center text-muted py-5">No payments found</div>
+              ) : (
+                <div className="table-responsive">
+                  <table className="table table-vcenter table-hover">
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Company</th>
+                        <th>Reference</th>
+                        <th>Method</th>
+                        <th className="text-end">Amount</th>
+                        <th>Allocated To</th>
+                        <th>Recorded By</th>
+                        {canDelete && <th></th>}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {payments.map(payment => (
+                        <tr key={payment.id}>
+                          <td>{formatDate(payment.paymentDate)}</td>
+                          <td>
+                            {payment.company ? (
+                              <>
+                                {payment.company.name}
+                                {payment.company.referenceNo && (
+                                  <div className="text-muted small">{payment.company.referenceNo}</div>
+                                )}
+                              </>
+                            ) : '-'}
+                          </td>
+                          <td>{payment.reference || '-'}</td>
+                          <td>
+                            {METHOD_LABELS[payment.method] || payment.method}
+                            {payment.source === 'remittance_import' && (
+                              <div><span className="badge bg-azure-lt">Imported</span></div>
+                            )}
+                          </td>
+                          <td className="text-end">{formatCurrency(payment.amount)}</td>
+                          <td>{describeAllocations(payment)}</td>
+                          <td className="text-muted">{payment.createdBy?.name || payment.createdBy?.email || '-'}</td>
+                          {canDelete && (
+                            <td className="text-end">
+                              <button
+                                className="btn btn-sm btn-ghost-danger"
+                                onClick={() => handleDelete(payment)}
+                              >
+                                Delete
+                              </button>
+                            </td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+            {pagination.pages > 1 && (
+              <div className="card-footer d-flex align-items-center">
+                <p className="m-0 text-muted">
+                  Page {pagination.page} of {pagination.pages} ({pagination.total} payments)
+                </p>
+                <ul className="pagination m-0 ms-auto">
+                  <li className={`page-item ${pagination.page <= 1 ? 'disabled' : ''}`}>
+                    <button
+                      className="page-link"
+                      onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                      disabled={pagination.page <= 1}
+                    >
+                      Prev
+                    </button>
+                  </li>
+                  <li className={`page-item ${pagination.page >= pagination.pages ? 'disabled' : ''}`}>
+                    <button
+                      className="page-link"
+                      onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                      disabled={pagination.page >= pagination.pages}
+                    >
+                      Next
+                    </button>
+                  </li>
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {showImport && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog modal-xl">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Import Remittance</h5>
+                <button type="button" className="btn-close" onClick={closeImport} disabled={importing}></button>
+              </div>
+              <div className="modal-body">
+                {importStep === 'upload' && (
+                  <>
+                    <p className="text-muted">
+                      Upload a remittance advice, bank export or cash file (CSV, XLS or XLSX). Each row needs an amount
+                      and a payment date, plus an invoice / credit note number and/or a customer account number.
+                      Rows sharing an account, date and reference are recorded as one payment.
+                    </p>
+                    <div className="mb-3">
+                      <input
+                        type="file"
+                        className="form-control"
+                        accept=".csv,.txt,.xls,.xlsx"
+                        onChange={handleFileSelect}
+                        disabled={importing}
+                      />
+                    </div>
+                    {importing && (
+                      <div className="text-center py-3">
+                        <div className="spinner-border spinner-border-sm" role="status">
+                          <span className="visually-hidden">Loading...</span>
+                        </div>
+                        <span className="ms-2">Matching rows...</span>
+                      </div>
+                    )}
+                    <button type="button" className="btn btn-link px-0" onClick={handleDownloadTemplate}>
+                      Download template
+                    </button>
+                  </>
+                )}
+
+                {importStep === 'preview' && importPreview && (
+                  <>
+                    <div className="row mb-3">
+                      <div className="col">
+                        <div className="text-muted small">File</div>
+                        <strong>{importPreview.fileName}</strong>
+                      </div>
+                      <div className="col">
+                        <div className="text-muted small">Payments</div>
+                        <strong>{importPreview.summary.payments}</strong>
+                      </div>
+                      <div className="col">
+                        <div className="text-muted small">Total Received</div>
+                        <strong>{formatCurrency(importPreview.summary.totalReceived)}</strong>
+                      </div>
+                      <div className="col">
+                        <div className="text-muted small">Matched / On Account / Errors</div>
+                        <strong>
+                          {importPreview.summary.matched} / {importPreview.summary.onAccount} / <span className={importPreview.summary.errors > 0 ? 'text-danger' : ''}>{importPreview.summary.errors}</span>
+                        </strong>
+                      </div>
+                    </div>
+                    <div className="btn-group mb-3">
+                      {['all', 'matched', 'on_account', 'error'].map(filter => (
+                        <button
+                          key={filter}
+                          type="button"
+                          className={`btn btn-sm ${previewFilter === filter ? 'btn-primary' : 'btn-outline-primary'}`}
+                          onClick={() => setPreviewFilter(filter)}
+                        >
+                          {filter === 'all' ? 'All' : filter === 'matched' ? 'Matched' : filter === 'on_account' ? 'On Account' : 'Errors'}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="table-responsive" style={{ maxHeight: '400px', overflowY: 'auto' }}>
+                      <table className="table table-sm table-vcenter">
+                        <thead>
+                          <tr>
+                            <th>Row</th>
+                            <th>Status</th>
+                            <th>Account</th>
+                            <th>Document</th>
+                            <th>Date</th>
+                            <th>Reference</th>
+                            <th className="text-end">Amount</th>
+                            <th className="text-end">Allocated</th>
+                            <th>Messages</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {filteredPreview.map(line => (
+                            <tr key={line.rowNum}>
+                              <td>{line.rowNum}</td>
+                              <td>{getLineStatusBadge(line.status)}</td>
+                              <td>{line.companyName || line.account || '-'}</td>
+                              <td>{line.documentNumber || '-'}</td>
+                              <td>{formatDate(line.paymentDate)}</td>
+                              <td>{line.reference || '-'}</td>
+                              <td className="text-end">{line.amount !== null ? formatCurrency(line.amount) : '-'}</td>
+                              <td className="text-end">{line.allocatedAmount !== undefined ? formatCurrency(line.allocatedAmount) : '-'}</td>
+                              <td className="small">
+                                {line.errors.map((msg, i) => (
+                                  <div key={`e${i}`} className="text-danger">{msg}</div>
+                                ))}
+                                {line.warnings.map((msg, i) => (
+                                  <div key={`w${i}`} className="text-warning">{msg}</div>
+                                ))}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {importPreview.summary.errors > 0 && (
+                      <div className="alert alert-warning mb-0">
+                        Rows with errors will be skipped. Fix the file and re-upload if they should be included.
+                      </div>
+                    )}
+                  </>
+                )}
+
+                {importStep === 'complete' && importResults && (
+                  <>
+                    <div className="alert alert-success">
+                      Recorded {importResults.recorded} payment{importResults.recorded === 1 ? '' : 's'} totalling {formatCurrency(importResults.totalReceived)} with {importResults.allocations} allocation{importResults.allocations === 1 ? '' : 's'}.
+                    </div>
+                    {importResults.skippedRows.length > 0 && (
+                      <p className="text-muted">{importResults.skippedRows.length} row(s) skipped due to errors.</p>
+                    )}
+                    {importResults.errors.length > 0 && (
+                      <div className="alert alert-danger mb-0">
+                        <strong>Payments not recorded:</strong>
+                        <ul className="mb-0">
+                          {importResults.errors.map((err, i) => (
+                            <li key={i}>Rows {err.rows.join(', ')}{err.reference ? ` (${err.reference})` : ''}: {err.error}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+              <div className="modal-footer">
+                {importStep === 'preview' && (
+                  <>
+                    <button type="button" className="btn btn-secondary" onClick={resetImport} disabled={importing}>
+                      Choose Another File
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-primary"
+                      onClick={handleConfirmImport}
+                      disabled={importing || importPreview?.summary.payments === 0}
+                    >
+                      {importing ? 'Importing...' : `Record ${importPreview?.summary.payments || 0} Payment(s)`}
+                    </button>
+                  </>
+                )}
+                {importStep !== 'preview' && (
+                  <button type="button" className="btn btn-secondary" onClick={closeImport} disabled={importing}>
+                    Close
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Payments;
@@ -5,10 +5,15 @@ import toast from '../utils/toast';
 import { getRoleLabel } from '../utils/roleLabels';
 import { getInitials, getAvatarColorClass } from '../utils/avatar';
 import { useAuth } from '../context/AuthContext';
+import ActiveSessions from '../components/ActiveSessions';
+import SecurityKeys from '../components/SecurityKeys';
+import ApiKeys from '../components/ApiKeys';
+import { useSettings } from '../context/SettingsContext';
 
 const Profile = () => {
   const navigate = useNavigate();
   const { refreshUser } = useAuth();
+  const { settings } = useSettings();
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('profile');
@@ -211,6 +216,22 @@ const Profile = () => {
                         Two-Factor Authentication
                       </button>
                     </li>
+                    <li className="nav-item">
+                      <button
+                        className={`nav-link ${activeTab === 'sessions' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('sessions')}
+                      >
+                        Sessions
+                      </button>
+                    </li>
+                    <li className="nav-item">
+                      <button
+                        className={`nav-link ${activeTab === 'apikeys' ? 'active' : ''}`}
+                        onClick={() => setActiveTab('apikeys')}
+                      >
+                        API Keys
+                      </button>
+                    </li>
                   </ul>
                 </div>
                 <div className="card-body">
@@ -405,6 +426,15 @@ const Profile = () => {
                                   </svg>
                                   Email
                                 </>
+                              ) : profile.twoFactorMethod === 'webauthn' ? (
+                                <>
+                                  <svg xmlns="http://www.w3.org/2000/svg" className="icon icon-sm me-1" width="24" height="24" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" fill="none" strokeLinecap="round" strokeLinejoin="round">
+                                    <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                                    <path d="M16.555 3.843l3.602 3.602a2.877 2.877 0 0 1 0 4.069l-2.643 2.643a2.877 2.877 0 0 1 -4.069 0l-.301 -.301l-6.558 6.558a2 2 0 0 1 -1.239 .578l-.175 .008h-1.172a1 1 0 0 1 -.993 -.883l-.007 -.117v-1.172a2 2 0 0 1 .467 -1.284l.119 -.13l.414 -.414h2v-2h2v-2l2.144 -2.144l-.301 -.301a2.877 2.877 0 0 1 0 -4.069l2.643 -2.643a2.877 2.877 0 0 1 4.069 0z" />
+                                    <path d="M15 9h.01" />
+                                  </svg>
+                                  Security Key or Passkey
+                                </>
                               ) : (
                                 <>
                                   <svg xmlns="http://www.w3.org/2000/svg" className="icon icon-sm me-1" width="24" height="24" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" fill="none" strokeLinecap="round" strokeLinejoin="round">
@@ -421,6 +451,12 @@ const Profile = () => {
                         )}
                       </div>
 
+                      {profile.twoFactorEnabled && profile.twoFactorMethod === 'webauthn' && (
+                        <div className="mb-4">
+                          <SecurityKeys />
+                        </div>
+                      )}
+
                       {profile.twoFactorEnabled && (
                         <div className="mb-4">
                           <div className="alert alert-warning">
@@ -493,6 +529,7 @@ const Profile = () => {
                             onClick={() => navigate('/two-factor-method-select', {
                               state: {
                                 fromProfile: true,
+                                allowedMethods: settings?.twoFactorAuth?.allowedMethods,
                                 user: { id: profile.id, email: profile.email, name: profile.name }
                               }
                             })}
@@ -509,6 +546,27 @@ const Profile = () => {
                       )}
                     </div>
                   )}
+
+                  {activeTab === 'sessions' && (
+                    <div>
+                      <h2 className="mb-2">Sessions</h2>
+                      <p className="text-secondary mb-4">
+                        Devices where you are signed in. Sign out any you don't recognise, then change your password.
+                      </p>
+                      <ActiveSessions endpoint="/api/profile/sessions" own />
+                    </div>
+                  )}
+
+                  {activeTab === 'apikeys' && (
+                    <div>
+                      <h2 className="mb-2">API Keys</h2>
+                      <p className="text-secondary mb-4">
+                        Let your own systems fetch invoices, credit notes and statements from the public API at <code>/api/v1</code>.
+                        Send the key as <code>Authorization: Bearer &lt;key&gt;</code>.
+                      </p>
+                      <ApiKeys />
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { useDebounce } from '../hooks/useDebounce';
+import { usePermissions } from '../context/PermissionContext';
+import { CATEGORY_LABELS, SLA_BADGES } from '../components/DocumentQueryThread';
+
+const DOCUMENT_TYPES = {
+  invoice: { label: 'Invoice', path: 'invoices' },
+  credit_note: { label: 'Credit Note', path: 'credit-notes' },
+  statement: { label: 'Statement', path: 'statements' }
+};
+
+const AGING_BUCKETS = ['0-2', '3-7', '8-14', '15+'];
+
+const DEFAULT_FILTERS = { status: 'open', category: '', assignedTo: '', sla: '', companyId: '', sort: 'oldest' };
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+  : '-';
+
+/**
+ * Query Desk Page
+ * Queries (disputes) across the companies the user can access: who they're
+ * assigned to, their category, how long they've been open and where they
+ * stand against their SLA. Queries are worked on from the document itself.
+ */
+const QueryDesk = () => {
+  const { hasPermission } = usePermissions();
+  const [queries, setQueries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [pagination, setPagination] = useState({ page: 1, limit: 25, total: 0, pages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [companyName, setCompanyName] = useState('');
+  const [search, setSearch] = useState('');
+  const debouncedSearch = useDebounce(search, 400);
+  const [assignees, setAssignees] = useState([]);
+  const [showSlaModal, setShowSlaModal] = useState(false);
+  const [slaForm, setSlaForm] = useState(null);
+  const [savingSla, setSavingSla] = useState(false);
+
+  const fetchQueue = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 25 };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      if (debouncedSearch) params.search = debouncedSearch;
+
+      const response = await api.get('/api/document-queries/queue', { params });
+      setQueries(response.data.queries);
+      setSummary(response.data.summary);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading queries');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, debouncedSearch]);
+
+  useEffect(() => {
+    fetchQueue(1);
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    api.get('/api/document-queries/assignees')
+      .then(response => setAssignees(response.data.users || []))
+      .catch(() => setAssignees([]));
+  }, []);
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const filterByCompany = (query) => {
+    setCompanyName(query.companyName || '');
+    updateFilter('companyId', query.companyId);
+  };
+
+  const openSlaModal = async () => {
+    try {
+      const response = await api.get('/api/document-queries/sla');
+      setSlaForm({
+        hours: response.data.sla.hours,
+        escalationEmails: response.data.sla.escalationEmails.join('\n')
+      });
+      setShowSlaModal(true);
+    } catch (error) {
+      toast.error('Error loading query SLAs');
+    }
+  };
+
+  const handleSaveSla = async () => {
+    try {
+      setSavingSla(true);
+      await api.put('/api/document-queries/sla', {
+        hours: slaForm.hours,
+        escalationEmails: slaForm.escalationEmails.split(/[\s,;]+/).filter(Boolean)
+      });
+      toast.success('Query SLAs saved');
+      setShowSlaModal(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving query SLAs');
+    } finally {
+      setSavingSla(false);
+    }
+  };
+
+  const summaryCards = [
+    { label: 'Open', value: summary?.open, onClick: () => setFilters({ ...DEFAULT_FILTERS }) },
+    { label: 'Assigned to me', value: summary?.mine, onClick: () => setFilters({ ...DEFAULT_FILTERS, assignedTo: 'me' }) },
+    { label: 'Unassigned', value: summary?.unassigned, onClick: () => setFilters({ ...DEFAULT_FILTERS, assignedTo: 'unassigned' }) },
+    { label: 'SLA breached', value: summary?.breached, className: summary?.breached ? 'text-danger' : '', onClick: () => setFilters({ ...DEFAULT_FILTERS, sla: 'breached' }) },
+    { label: 'Due soon', value: summary?.dueSoon, className: summary?.dueSoon ? 'text-warning' : '', onClick: () => setFilters({ ...DEFAULT_FILTERS, sla: 'due_soon' }) }
+  ];
+
+  return (
+    <div className="page-body">
+      <div className="container-xl">
+        <div className="row row-cards mb-3">
+          {summaryCards.map(card => (
+            <div className="col-sm-6 col-lg" key={card.label}>
+              <div className="card card-sm card-link" style={{ cursor: 'pointer' }} onClick={card.onClick}>
+                <div className="card-body">
+                  <div className="text-secondary small">{card.label}</div>
+                  <div className={`h2 mb-0 ${card.className || ''}`}>{card.value ?? 0}</div>
+                </div>
+              </div>
+            </div>
+          ))}
+          <div className="col-12 col-lg-4">
+            <div className="card card-sm">
+              <div className="card-body">
+                <div className="text-secondary small mb-1">Open queries by age (days)</div>
+                <div className="d-flex gap-3">
+                  {AGING_BUCKETS.map(bucket => (
+                    <div key={bucket}>
+                      <div className="h3 mb-0">{summary?.aging?.[bucket] ?? 0}</div>
+                      <div className="text-secondary small">{bucket}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="card-title">Query desk</h3>
+            {hasPermission('SETTINGS_EDIT') && (
+              <div className="card-actions">
+                <button className="btn btn-outline-secondary btn-sm" onClick={openSlaModal}>
+                  SLA settings
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="card-body border-bottom py-3">
+            <div className="row g-2">
+              <div className="col-md-3">
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Search document number..."
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+              </div>
+              <div className="col-md-2">
+                <select className="form-select" value={filters.status} onChange={(e) => updateFilter('status', e.target.value)}>
+                  <option value="open">Open</option>
+                  <option value="resolved">Resolved</option>
+                  <option value="closed">Closed</option>
+                  <option value="all">All statuses</option>
+                </select>
+              </div>
+              <div className="col-md-2">
+                <select className="form-select" value={filters.category} onChange={(e) => updateFilter('category', e.target.value)}>
+                  <option value="">All categories</option>
+                  {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                  <option value="uncategorised">Uncategorised</option>
+                </select>
+              </div>
+              <div className="col-md-2">
+                <select className="form-select" value={filters.assignedTo} onChange={(e) => updateFilter('assignedTo', e.target.value)}>
+                  <option value="">Anyone</option>
+                  <option value="me">Assigned to me</option>
+                  <option value="unassigned">Unassigned</option>
+                  {assignees.map(user => (
+                    <option key={user.id} value={user.id}>{user.name || user.email}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="col-md-1">
+                <select className="form-select" value={filters.sla} onChange={(e) => updateFilter('sla', e.target.value)}>
+                  <option value="">Any SLA</option>
+                  <option value="breached">Breached</option>
+                  <option value="due_soon">Due soon</option>
+                  <option value="on_track">On track</option>
+                </select>
+              </div>
+              <div className="col-md-1">
+                <select className="form-select" value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)}>
+                  <option value="oldest">Oldest</option>
+                  <option value="newest">Newest</option>
+                  <option value="sla">SLA due</option>
+                  <option value="activity">Activity</option>
+                </select>
+              </div>
+              <div className="col-md-1">
+                <button
+                  className="btn btn-ghost-secondary w-100"
+                  onClick={() => { setFilters({ ...DEFAULT_FILTERS }); setSearch(''); setCompanyName(''); }}
+                >
+                  Clear
+                </button>
+              </div>
+            </div>
+            {filters.companyId && (
+              <div className="mt-2">
+                <span className="badge bg-blue-lt">
+                  Company: {companyName || filters.companyId}
+                  <button
+                    type="button"
+                    className="btn-close btn-close-sm ms-2"
+                    style={{ fontSize: '0.6rem' }}
+                    onClick={() => { updateFilter('companyId', ''); setCompanyName(''); }}
+                    aria-label="Remove company filter"
+                  ></button>
+                </span>
+              </div>
+            )}
+          </div>
+          <div className="table-responsive">
+            <table className="table table-vcenter card-table table-sm">
+              <thead>
+                <tr>
+                  <th>Document</th>
+                  <th>Company</th>
+                  <th>Category</th>
+                  <th>Assigned to</th>
+                  <th>Age</th>
+                  <th>SLA</th>
+                  <th>Last message</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="text-center py-4">
+                      <div className="spinner-border spinner-border-sm text-primary" role="status"></div>
+                    </td>
+                  </tr>
+                ) : queries.length === 0 ? (
+                  <tr><td colSpan="7" className="text-center text-secondary py-4">No queries</td></tr>
+                ) : queries.map(query => {
+                  const documentType = DOCUMENT_TYPES[query.documentType];
+                  const slaBadge = query.slaState ? SLA_BADGES[query.slaState] : null;
+                  return (
+                    <tr key={query.id}>
+                      <td>
+                        <Link to={`/${documentType.path}/${query.documentId}/view`}>
+                          {documentType.label} {query.documentNumber}
+                        </Link>
+                        {query.status !== 'open' && (
+                          <span className="badge bg-success-lt ms-2">{query.status}</span>
+                        )}
+                      </td>
+                      <td>
+                        <button type="button" className="btn btn-link p-0 text-reset" onClick={() => filterByCompany(query)} title="Show this company's queries">
+                          {query.companyName || '-'}
+                        </button>
+                        {query.companyReferenceNo && <div className="text-secondary small">{query.companyReferenceNo}</div>}
+                      </td>
+                      <td>{query.category ? CATEGORY_LABELS[query.category] : <span className="text-secondary">Uncategorised</span>}</td>
+                      <td>{query.assignee ? (query.assignee.name || query.assignee.email) : <span className="text-secondary">Unassigned</span>}</td>
+                      <td className="text-nowrap">{query.ageDays} day{query.ageDays === 1 ? '' : 's'}</td>
+                      <td className="text-nowrap">
+                        {slaBadge ? (
+                          <span className={`badge ${slaBadge.className}`} title={`Due ${formatDateTime(query.slaDueAt)}`}>
+                            {slaBadge.label}
+                          </span>
+                        ) : <span className="text-secondary">-</span>}
+                        {query.escalationLevel > 0 && (
+                          <span className="badge bg-danger-lt ms-1">Escalated{query.escalationLevel > 1 ? ' ×2' : ''}</span>
+                        )}
+                      </td>
+                      <td style={{ maxWidth: '320px' }}>
+                        {query.lastMessage ? (
+                          <>
+                            <div className="text-truncate" title={query.lastMessage.message}>
+                              {query.lastMessage.message}
+                            </div>
+                            <div className="text-secondary small">
+                              {query.lastMessage.userName} · {formatDateTime(query.lastMessage.createdAt)}
+                              {query.status === 'open' && query.awaitingStaff && (
+                                <span className="badge bg-orange-lt ms-1">Awaiting reply</span>
+                              )}
+                              {query.noteCount > 0 && (
+                                <span className="badge bg-yellow-lt ms-1">{query.noteCount} note{query.noteCount === 1 ? '' : 's'}</span>
+                              )}
+                            </div>
+                          </>
+                        ) : '-'}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          {pagination.pages > 1 && (
+            <div className="card-footer d-flex align-items-center">
+              <p className="m-0 text-secondary">
+                Page {pagination.page} of {pagination.pages} ({pagination.total} queries)
+              </p>
+              <ul className="pagination m-0 ms-auto">
+                <li className={`page-item ${pagination.page <= 1 ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => fetchQueue(pagination.page - 1)} disabled={pagination.page <= 1}>
+                    Previous
+                  </button>
+                </li>
+                <li className={`page-item ${pagination.page >= pagination.pages ? 'disabled' : ''}`}>
+                  <button className="page-link" onClick={() => fetchQueue(pagination.page + 1)} disabled={pagination.page >= pagination.pages}>
+                    Next
+                  </button>
+                </li>
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* SLA Settings Modal */}
+      {showSlaModal && slaForm && (
+        <div className="modal show d-block" tabIndex="-1" style={{ backgroundColor: 'rgba(0,0,0,0.5)' }}>
+          <div className="modal-dialog">
+            <div className="modal-content">
+              <div className="modal-header">
+                <h5 className="modal-title">Query SLAs</h5>
+                <button type="button" className="btn-close" onClick={() => setShowSlaModal(false)}></button>
+              </div>
+              <div className="modal-body">
+                <p className="text-secondary">
+                  Hours from when a query is raised until it should be resolved. Set 0 for no SLA.
+                  Overdue queries are emailed to the assignee and the recipients below.
+                </p>
+                {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                  <div className="row mb-2 align-items-center" key={key}>
+                    <label className="col-6 col-form-label">{label}</label>
+                    <div className="col-6">
+                      <div className="input-group">
+                        <input
+                          type="number"
+                          className="form-control"
+                          min="0"
+                          max="2160"
+                          value={slaForm.hours[key]}
+                          onChange={(e) => setSlaForm(prev => ({ ...prev, hours: { ...prev.hours, [key]: e.target.value } }))}
+                        />
+                        <span className="input-group-text">hours</span>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+                <div className="mt-3">
+                  <label className="form-label">Escalation recipients</label>
+                  <textarea
+                    className="form-control"
+                    rows="3"
+                    placeholder="One email address per line"
+                    value={slaForm.escalationEmails}
+                    onChange={(e) => setSlaForm(prev => ({ ...prev, escalationEmails: e.target.value }))}
+                  />
+                  <small className="form-hint">When empty, unassigned overdue queries are emailed to global admins.</small>
+                </div>
+              </div>
+              <div className="modal-footer">
+                <button type="button" className="btn btn-secondary" onClick={() => setShowSlaModal(false)} disabled={savingSla}>
+                  Cancel
+                </button>
+                <button type="button" className="btn btn-primary" onClick={handleSaveSla} disabled={savingSla}>
+                  {savingSla ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueryDesk;
@@ -1,9 +1,25 @@
 import React, { useEffect, useState } from 'react';
 import api from '../services/api';
+import toast from '../utils/toast';
+import { usePermissions } from '../context/PermissionContext';
+import PageTitle from '../components/PageTitle';
+import AgingReport from '../components/AgingReport';
+import UnlinkedCreditNotesReport from '../components/UnlinkedCreditNotesReport';
+import ReportBuilder, { downloadReportFile } from '../components/ReportBuilder';
+import ReportResult from '../components/ReportResult';
+import ReportScheduleModal, { describeSchedule } from '../components/ReportScheduleModal';
 
-const Reports = () => {
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const SavedReports = () => {
   const [reports, setReports] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [editingReport, setEditingReport] = useState(null);
+  const [activeReport, setActiveReport] = useState(null);
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [exporting, setExporting] = useState(null);
+  const [schedulingReport, setSchedulingReport] = useState(null);
 
   useEffect(() => {
     fetchReports();
@@ -20,44 +36,115 @@ const Reports = () => {
     }
   };
 
+  const handleRun = async (report) => {
+    try {
+      setActiveReport(report);
+      setResult(null);
+      setRunning(true);
+      const response = await api.post(`/api/reports/${report.id}/run`);
+      setResult(response.data);
+    } catch (error) {
+      toast.error('Error running report: ' + (error.response?.data?.message || error.message));
+      setActiveReport(null);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = async (report, format) => {
+    try {
+      setExporting(`${report.id}:${format}`);
+      await downloadReportFile(`/api/reports/${report.id}/export?format=${format}`, { method: 'GET' }, `report.${format}`);
+    } catch (error) {
+      toast.error('Error exporting report: ' + error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete report "${report.title}"?`)) return;
+    try {
+      await api.delete(`/api/reports/${report.id}`);
+      toast.success('Report deleted');
+      if (activeReport?.id === report.id) {
+        setActiveReport(null);
+        setResult(null);
+      }
+      fetchReports();
+    } catch (error) {
+      toast.error('Error deleting report: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
+  const handleScheduleSaved = (updated) => {
+    setSchedulingReport(null);
+    setReports(prev => prev.map(report => (report.id === updated.id ? updated : report)));
+  };
+
+  const handleSaved = () => {
+    setEditingReport(null);
+    setActiveReport(null);
+    setResult(null);
+    fetchReports();
+  };
+
   if (loading) {
     return <div className="loading">Loading reports...</div>;
   }
 
+  if (editingReport) {
+    return (
+      <ReportBuilder
+        report={editingReport.id ? editingReport : null}
+        onSaved={handleSaved}
+        onCancel={() => setEditingReport(null)}
+      />
+    );
+  }
+
   return (
-    <div className="card">
-      <div className="card-header">
-        <h3 className="card-title">Reports</h3>
+    <>
+      <div className="d-flex justify-content-end mb-3">
+        <button className="btn btn-primary" onClick={() => setEditingReport({})}>
+          New Report
+        </button>
       </div>
-      <div className="card-body">
-        {reports.length === 0 ? (
-          <div className="empty">
-            <div className="empty-icon">
-              <svg xmlns="http://www.w3.org/2000/svg" className="icon" width="24" height="24" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" fill="none" strokeLinecap="round" strokeLinejoin="round">
-                <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
-                <path d="M14 3v4a1 1 0 0 0 1 1h4" />
-                <path d="M17 21h-10a2 2 0 0 1 -2 -2v-14a2 2 0 0 1 2 -2h7l5 5v11a2 2 0 0 1 -2 2z" />
-              </svg>
-            </div>
-            <p className="empty-title">No reports found</p>
-            <p className="empty-text">Get started by creating a new report.</p>
+
+      {reports.length === 0 ? (
+        <div className="empty">
+          <div className="empty-icon">
+            <svg xmlns="http://www.w3.org/2000/svg" className="icon" width="24" height="24" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" fill="none" strokeLinecap="round" strokeLinejoin="round">
+              <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+              <path d="M14 3v4a1 1 0 0 0 1 1h4" />
+              <path d="M17 21h-10a2 2 0 0 1 -2 -2v-14a2 2 0 0 1 2 -2h7l5 5v11a2 2 0 0 1 -2 2z" />
+            </svg>
           </div>
-        ) : (
-          <div className="table-responsive">
-            <table className="table table-vcenter">
-              <thead>
-                <tr>
-                  <th>Title</th>
-                  <th>Type</th>
-                  <th>Status</th>
-                  <th>Created</th>
-                  <th>Actions</th>
-                </tr>
-              </thead>
-              <tbody>
-                {reports.map((report) => (
-                  <tr key={report._id}>
-                    <td>{report.title}</td>
+          <p className="empty-title">No reports found</p>
+          <p className="empty-text">Get started by creating a new report.</p>
+        </div>
+      ) : (
+        <div className="table-responsive">
+          <table className="table table-vcenter">
+            <thead>
+              <tr>
+                <th>Title</th>
+                <th>Type</th>
+                <th>Status</th>
+                <th>Schedule</th>
+                <th>Created</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reports.map((report) => {
+                const hasDefinition = !!report.data?.definition;
+                return (
+                  <tr key={report.id} className={activeReport?.id === report.id ? 'table-active' : ''}>
+                    <td>
+                      {report.title}
+                      {report.description && <div className="text-muted small">{report.description}</div>}
+                    </td>
                     <td>
                       <span className="badge bg-blue-lt">{report.type}</span>
                     </td>
@@ -69,20 +156,151 @@ const Reports = () => {
                         {report.status}
                       </span>
                     </td>
+                    <td>
+                      {report.schedule ? (
+                        <>
+                          <div>
+                            {describeSchedule(report.schedule)}
+                            {!report.schedule.enabled && <span className="badge bg-secondary ms-1">paused</span>}
+                          </div>
+                          {report.nextRunAt && (
+                            <div className="text-muted small">Next: {new Date(report.nextRunAt).toLocaleString('en-GB')}</div>
+                          )}
+                          {report.lastRunStatus && report.lastRunStatus !== 'sent' && (
+                            <div className="text-danger small" title={report.lastRunError || ''}>Last run {report.lastRunStatus}</div>
+                          )}
+                        </>
+                      ) : (
+                        <span className="text-muted">-</span>
+                      )}
+                    </td>
                     <td>{new Date(report.createdAt).toLocaleDateString()}</td>
                     <td>
-                      <button className="btn btn-sm">View</button>
+                      <div className="btn-list flex-nowrap">
+                        <button className="btn btn-sm btn-primary" onClick={() => handleRun(report)} disabled={!hasDefinition || running}>
+                          Run
+                        </button>
+                        <button className="btn btn-sm" onClick={() => setEditingReport(report)}>
+                          Edit
+                        </button>
+                        {EXPORT_FORMATS.map(format => (
+                          <button
+                            key={format}
+                            className="btn btn-sm btn-outline-primary"
+                            onClick={() => handleExport(report, format)}
+                            disabled={!hasDefinition || !!exporting}
+                          >
+                            {exporting === `${report.id}:${format}` ? '...' : format.toUpperCase()}
+                          </button>
+                        ))}
+                        <button className="btn btn-sm" onClick={() => setSchedulingReport(report)} disabled={!hasDefinition}>
+                          Schedule
+                        </button>
+                        <button className="btn btn-sm btn-outline-danger" onClick={() => handleDelete(report)}>
+                          Delete
+                        </button>
+                      </div>
                     </td>
                   </tr>
-                ))}
-              </tbody>
-            </table>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {activeReport && (
+        <div className="mt-4">
+          <h3 className="mb-3">{activeReport.title}</h3>
+          {running ? (
+            <div className="text-center py-5">
+              <div className="spinner-border" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+            </div>
+          ) : (
+            <ReportResult result={result} />
+          )}
+        </div>
+      )}
+
+      {schedulingReport && (
+        <ReportScheduleModal
+          report={schedulingReport}
+          onClose={() => setSchedulingReport(null)}
+          onSaved={handleScheduleSaved}
+        />
+      )}
+    </>
+  );
+};
+
+const Reports = () => {
+  const { hasPermission } = usePermissions();
+  const canViewAging = hasPermission('REPORTS_AGING_VIEW');
+  const canViewSaved = hasPermission('REPORTS_VIEW');
+  const [activeTab, setActiveTab] = useState(canViewAging ? 'aging' : 'saved');
+
+  return (
+    <div className="page">
+      <PageTitle title="Reports" />
+      <div className="page-header">
+        <div className="container-fluid">
+          <div className="row g-2 align-items-center">
+            <div className="col">
+              <h2 className="page-title">Reports</h2>
+            </div>
           </div>
-        )}
+        </div>
+      </div>
+
+      <div className="page-body">
+        <div className="container-fluid">
+          <div className="card">
+            <div className="card-header">
+              <ul className="nav nav-tabs card-header-tabs">
+                {canViewAging && (
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${activeTab === 'aging' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('aging')}
+                    >
+                      Aged Debt
+                    </button>
+                  </li>
+                )}
+                {canViewAging && (
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${activeTab === 'unlinked-credit-notes' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('unlinked-credit-notes')}
+                    >
+                      Unlinked Credit Notes
+                    </button>
+                  </li>
+                )}
+                {canViewSaved && (
+                  <li className="nav-item">
+                    <button
+                      className={`nav-link ${activeTab === 'saved' ? 'active' : ''}`}
+                      onClick={() => setActiveTab('saved')}
+                    >
+                      Saved Reports
+                    </button>
+                  </li>
+                )}
+              </ul>
+            </div>
+            <div className="card-body">
+              {activeTab === 'aging' && canViewAging && <AgingReport />}
+              {activeTab === 'unlinked-credit-notes' && canViewAging && <UnlinkedCreditNotesReport />}
+              {activeTab === 'saved' && canViewSaved && <SavedReports />}
+            </div>
+          </div>
+        </div>
       </div>
     </div>
   );
 };
 
 export default Reports;
-
@@ -0,0 +1,422 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+import toast from '../utils/toast';
+import { usePermissions } from '../context/PermissionContext';
+
+const EVENT_LABELS = {
+  login_blocked_ip: { label: 'Blocked (IP)', badge: 'bg-danger-lt' },
+  step_up_required: { label: 'Step-up', badge: 'bg-warning-lt' },
+  brute_force_detected: { label: 'Brute force', badge: 'bg-danger-lt' },
+  account_locked: { label: 'Locked', badge: 'bg-orange-lt' },
+  security_policy_updated: { label: 'Policy changed', badge: 'bg-blue-lt' }
+};
+
+const formatDateTime = (value) => value
+  ? new Date(value).toLocaleString('en-GB', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })
+  : '-';
+
+// One address or range per line (or comma-separated) <-> array
+const toLines = (ranges) => (ranges || []).join('\n');
+const fromLines = (text) => text.split(/[\n,]/).map(value => value.trim()).filter(Boolean);
+
+/**
+ * Security Page
+ * Failed sign-in tracking and recent security events, plus the login policy:
+ * IP allowlists per role and per company (external users), and step-up
+ * verification when signing in from an IP or device not seen before.
+ */
+const Security = () => {
+  const { ALL_ROLES: allRoles, STAFF_ROLES: staffRoles, getRoleLabel } = usePermissions();
+  const [dashboard, setDashboard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // Allowlists are edited as text, keyed by role / company id
+  const [roleText, setRoleText] = useState({});
+  const [companyText, setCompanyText] = useState({});
+  const [companies, setCompanies] = useState({});
+  const [stepUp, setStepUp] = useState({ enabled: false, newIp: true, newDevice: true, roles: [] });
+  const [companySearch, setCompanySearch] = useState('');
+  const [companyResults, setCompanyResults] = useState([]);
+
+  const fetchDashboard = useCallback(async () => {
+    try {
+      const response = await api.get('/api/security/dashboard');
+      setDashboard(response.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading security dashboard');
+    }
+  }, []);
+
+  const fetchPolicy = useCallback(async () => {
+    try {
+      const response = await api.get('/api/security/policy');
+      const { policy } = response.data;
+      setRoleText(Object.fromEntries(Object.entries(policy.roleAllowlists).map(([role, ranges]) => [role, toLines(ranges)])));
+      setCompanyText(Object.fromEntries(Object.entries(policy.companyAllowlists).map(([id, ranges]) => [id, toLines(ranges)])));
+      setCompanies(Object.fromEntries(response.data.companies.map(company => [company.id, company])));
+      setStepUp(policy.stepUp);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error loading login policy');
+    }
+  }, []);
+
+  useEffect(() => {
+    Promise.all([fetchDashboard(), fetchPolicy()]).finally(() => setLoading(false));
+  }, [fetchDashboard, fetchPolicy]);
+
+  useEffect(() => {
+    if (companySearch.trim().length < 3) {
+      setCompanyResults([]);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/api/companies', { params: { search: companySearch.trim(), limit: 10 } });
+        setCompanyResults(response.data?.data || []);
+      } catch (error) {
+        console.error('Error searching companies:', error);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [companySearch]);
+
+  const handleAddCompany = (company) => {
+    setCompanies(prev => ({ ...prev, [company.id]: company }));
+    setCompanyText(prev => ({ ...prev, [company.id]: prev[company.id] || '' }));
+    setCompanySearch('');
+    setCompanyResults([]);
+  };
+
+  const handleRemoveCompany = (companyId) => {
+    setCompanyText(prev => {
+      const next = { ...prev };
+      delete next[companyId];
+      return next;
+    });
+  };
+
+  const toggleStepUpRole = (role) => {
+    setStepUp(prev => ({
+      ...prev,
+      roles: prev.roles.includes(role) ? prev.roles.filter(r => r !== role) : [...prev.roles, role]
+    }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await api.put('/api/security/policy', {
+        roleAllowlists: Object.fromEntries(Object.entries(roleText).map(([role, text]) => [role, fromLines(text)])),
+        companyAllowlists: Object.fromEntries(Object.entries(companyText).map(([id, text]) => [id, fromLines(text)])),
+        stepUp
+      });
+      toast.success('Login policy saved');
+      await Promise.all([fetchPolicy(), fetchDashboard()]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error saving login policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClearTracking = async (target) => {
+    try {
+      await api.delete('/api/security/tracking', { data: target });
+      toast.success('Tracking cleared');
+      fetchDashboard();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Error clearing tracking');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="page-body">
+        <div className="container-xl">
+          <div className="text-center py-5">
+            <div className="spinner-border text-primary" role="status"></div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const summary = dashboard?.summary || {};
+  const tracking = dashboard?.tracking || { ips: [], accounts: [], windowMinutes: 15 };
+  const summaryCards = [
+    { label: 'IPs with failed sign-ins', value: summary.trackedIps },
+    { label: 'Accounts with failed sign-ins', value: summary.trackedAccounts },
+    { label: 'Locked accounts', value: summary.lockedAccounts },
+    { label: 'Blocked by IP (24h)', value: summary.blockedLast24h },
+    { label: 'Step-up checks (24h)', value: summary.stepUpsLast24h },
+    { label: 'Brute force alerts (24h)', value: summary.bruteForceLast24h }
+  ];
+
+  return (
+    <div className="page-body">
+      <div className="container-xl">
+        <div className="row row-cards mb-3">
+          {summaryCards.map(card => (
+            <div className="col-sm-6 col-lg-2" key={card.label}>
+              <div className="card card-sm">
+                <div className="card-body">
+                  <div className="text-secondary small">{card.label}</div>
+                  <div className="h2 mb-0">{card.value ?? 0}</div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="row row-cards">
+          <div className="col-lg-6">
+            <div className="card">
+              <div className="card-header">
+                <h3 className="card-title">Failed sign-ins by IP</h3>
+                <div className="card-actions text-secondary small">Last {tracking.windowMinutes} minutes</div>
+              </div>
+              <div className="table-responsive">
+                <table className="table table-vcenter card-table table-sm">
+                  <thead>
+                    <tr><th>IP address</th><th>Attempts</th><th>Accounts</th><th>Last</th><th></th></tr>
+                  </thead>
+                  <tbody>
+                    {tracking.ips.length === 0 ? (
+                      <tr><td colSpan="5" className="text-center text-secondary py-3">No failed sign-ins</td></tr>
+                    ) : tracking.ips.map(entry => (
+                      <tr key={entry.ipAddress}>
+                        <td><code>{entry.ipAddress}</code></td>
+                        <td>{entry.count}</td>
+                        <td className="text-truncate" style={{ maxWidth: '200px' }} title={entry.accounts.join(', ')}>
+                          {entry.accounts.length}
+                        </td>
+                        <td>{formatDateTime(entry.lastAttempt)}</td>
+                        <td className="text-end">
+                          <button className="btn btn-sm btn-ghost-secondary" onClick={() => handleClearTracking({ ipAddress: entry.ipAddress })}>
+                            Clear
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+
+          <div className="col-lg-6">
+            <div className="card">
+              <div className="card-header">
+                <h3 className="card-title">Failed sign-ins by account</h3>
+                <div className="card-actions text-secondary small">Last {tracking.windowMinutes} minutes</div>
+              </div>
+              <div className="table-responsive">
+                <table className="table table-vcenter card-table table-sm">
+                  <thead>
+                    <tr><th>Email</th><th>Attempts</th><th>Last</th><th></th></tr>
+                  </thead>
+                  <tbody>
+                    {tracking.accounts.length === 0 ? (
+                      <tr><td colSpan="4" className="text-center text-secondary py-3">No failed sign-ins</td></tr>
+                    ) : tracking.accounts.map(entry => (
+                      <tr key={entry.email}>
+                        <td>{entry.email}</td>
+                        <td>{entry.count}</td>
+                        <td>{formatDateTime(entry.lastAttempt)}</td>
+                        <td className="text-end">
+                          <button className="btn btn-sm btn-ghost-secondary" onClick={() => handleClearTracking({ email: entry.email })}>
+                            Clear
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+
+          <div className="col-12">
+            <div className="card">
+              <div className="card-header">
+                <h3 className="card-title">Login Policy</h3>
+                <div className="card-actions text-secondary small">
+                  Your current IP: <code>{dashboard?.currentIp || 'unknown'}</code>
+                </div>
+              </div>
+              <div className="card-body">
+                <h4>IP Allowlists by Role</h4>
+                <p className="text-secondary small">
+                  Users with a role that has a list can only sign in from those addresses or CIDR ranges
+                  (one per line, e.g. <code>203.0.113.0/24</code>). Leave a role empty to allow any IP.
+                  Sessions are also refused when they are next refreshed from outside the list.
+                </p>
+                <div className="row g-3 mb-4">
+                  {allRoles.map(role => (
+                    <div className="col-md-4" key={role}>
+                      <label className="form-label">{getRoleLabel(role)}</label>
+                      <textarea
+                        className="form-control form-control-sm font-monospace"
+                        rows="3"
+                        placeholder="Any IP"
+                        value={roleText[role] || ''}
+                        onChange={(e) => setRoleText(prev => ({ ...prev, [role]: e.target.value }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <h4>IP Allowlists by Company</h4>
+                <p className="text-secondary small">
+                  External users assigned to a company with a list can only sign in from its addresses.
+                  Users in several restricted companies may use any of their lists. Staff are not affected.
+                </p>
+                <div className="mb-3 position-relative" style={{ maxWidth: '400px' }}>
+                  <input
+                    type="text"
+                    className="form-control form-control-sm"
+                    placeholder="Search companies to add..."
+                    value={companySearch}
+                    onChange={(e) => setCompanySearch(e.target.value)}
+                  />
+                  {companyResults.length > 0 && (
+                    <div className="list-group position-absolute w-100 shadow-sm" style={{ zIndex: 10 }}>
+                      {companyResults.map(company => (
+                        <button
+                          type="button"
+                          key={company.id}
+                          className="list-group-item list-group-item-action py-1"
+                          onClick={() => handleAddCompany(company)}
+                        >
+                          {company.name}
+                          {company.referenceNo && <span className="text-secondary ms-2">{company.referenceNo}</span>}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                <div className="row g-3 mb-4">
+                  {Object.keys(companyText).length === 0 && (
+                    <div className="col-12 text-secondary small">No company allowlists</div>
+                  )}
+                  {Object.keys(companyText).map(companyId => (
+                    <div className="col-md-4" key={companyId}>
+                      <label className="form-label d-flex">
+                        <span className="flex-fill">{companies[companyId]?.name || companyId}</span>
+                        <button type="button" className="btn btn-sm btn-link text-danger p-0" onClick={() => handleRemoveCompany(companyId)}>
+                          Remove
+                        </button>
+                      </label>
+                      <textarea
+                        className="form-control form-control-sm font-monospace"
+                        rows="3"
+                        value={companyText[companyId]}
+                        onChange={(e) => setCompanyText(prev => ({ ...prev, [companyId]: e.target.value }))}
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <h4>Step-up Verification</h4>
+                <p className="text-secondary small">
+                  Ask for a verification code when someone signs in from an IP address or device (browser and
+                  operating system) they haven't used in the last 90 days. Users with 2FA use their own method;
+                  others are sent a code by email. Only applies when 2FA isn't already required for everyone.
+                </p>
+                <label className="form-check form-switch">
+                  <input
+                    className="form-check-input"
+                    type="checkbox"
+                    checked={stepUp.enabled}
+                    onChange={(e) => setStepUp(prev => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                  <span className="form-check-label">Enable step-up verification</span>
+                </label>
+                {stepUp.enabled && (
+                  <>
+                    <div className="mb-2">
+                      <label className="form-check form-check-inline">
+                        <input
+                          className="form-check-input"
+                          type="checkbox"
+                          checked={stepUp.newIp}
+                          onChange={(e) => setStepUp(prev => ({ ...prev, newIp: e.target.checked }))}
+                        />
+                        <span className="form-check-label">New IP address</span>
+                      </label>
+                      <label className="form-check form-check-inline">
+                        <input
+                          className="form-check-input"
+                          type="checkbox"
+                          checked={stepUp.newDevice}
+                          onChange={(e) => setStepUp(prev => ({ ...prev, newDevice: e.target.checked }))}
+                        />
+                        <span className="form-check-label">New device</span>
+                      </label>
+                    </div>
+                    <div className="form-label">Roles (none ticked = all roles)</div>
+                    <div>
+                      {allRoles.map(role => (
+                        <label className="form-check form-check-inline" key={role}>
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            checked={stepUp.roles.includes(role)}
+                            onChange={() => toggleStepUpRole(role)}
+                          />
+                          <span className="form-check-label">
+                            {getRoleLabel(role)}
+                            {staffRoles.includes(role) ? '' : ' (external)'}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </div>
+              <div className="card-footer text-end">
+                <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Policy'}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="col-12">
+            <div className="card">
+              <div className="card-header">
+                <h3 className="card-title">Recent Security Events</h3>
+              </div>
+              <div className="table-responsive">
+                <table className="table table-vcenter card-table table-sm">
+                  <thead>
+                    <tr><th>When</th><th>Type</th><th>User</th><th>Event</th><th>IP</th></tr>
+                  </thead>
+                  <tbody>
+                    {(dashboard?.events || []).length === 0 ? (
+                      <tr><td colSpan="5" className="text-center text-secondary py-3">No recent security events</td></tr>
+                    ) : dashboard.events.map(event => (
+                      <tr key={event.id}>
+                        <td className="text-nowrap">{formatDateTime(event.timestamp)}</td>
+                        <td>
+                          <span className={`badge ${EVENT_LABELS[event.type]?.badge || 'bg-secondary-lt'}`}>
+                            {EVENT_LABELS[event.type]?.label || event.type}
+                          </span>
+                        </td>
+                        <td>{event.userEmail || '-'}</td>
+                        <td>{event.action}</td>
+                        <td><code>{event.ipAddress || '-'}</code></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Security;
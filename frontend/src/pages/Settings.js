@@ -3,6 +3,19 @@ import api, { API_BASE_URL } from '../services/api';
 import toast from '../utils/toast';
 import { useAuth } from '../context/AuthContext';
 import { useSettings } from '../context/SettingsContext';
+import { getRoleLabel } from '../utils/roleLabels';
+import WebhookSettings from '../components/WebhookSettings';
+import RolePermissionMatrix from '../components/RolePermissionMatrix';
+
+// Roles single sign-on can grant (matches OIDC_ROLES on the backend)
+const SSO_ROLES = ['administrator', 'manager', 'credit_senior', 'credit_controller'];
+
+// Second factors users can choose from when setting up 2FA
+const TWO_FACTOR_METHODS = [
+  { value: 'authenticator', label: 'Authenticator app' },
+  { value: 'email', label: 'Email code' },
+  { value: 'webauthn', label: 'Security key or passkey' }
+];
 
 const Settings = () => {
   const { user } = useAuth();
@@ -75,6 +88,10 @@ const Settings = () => {
   const [clearEmailLogsConfirmation, setClearEmailLogsConfirmation] = useState('');
   const [clearEmailLogsReason, setClearEmailLogsReason] = useState('');
 
+  // Single sign-on state
+  const [ssoRedirectUri, setSsoRedirectUri] = useState('');
+  const [testingSso, setTestingSso] = useState(false);
+
   useEffect(() => {
     if (user?.role === 'global_admin') {
       fetchSettings();
@@ -113,6 +130,7 @@ const Settings = () => {
       { id: 'query-notification', name: 'query-notification', description: 'Query Notification', isActive: true },
       { id: 'document-deleted', name: 'document-deleted', description: 'Document Deleted (Retention)', isActive: true },
       { id: 'retention-cleanup-summary', name: 'retention-cleanup-summary', description: 'Retention Cleanup Summary (Admin)', isActive: true },
+      { id: 'scheduled-report', name: 'scheduled-report', description: 'Scheduled Report Delivery', isActive: true },
       { id: 'registration-request', name: 'registration-request', description: 'Registration Request (Admin)', isActive: true },
       { id: 'registration-approved', name: 'registration-approved', description: 'Registration Approved', isActive: true },
       { id: 'registration-rejected', name: 'registration-rejected', description: 'Registration Rejected', isActive: true },
@@ -253,6 +271,15 @@ const Settings = () => {
     }
   }, [activeSection]);
 
+  // Fetch the callback URL to register with the identity provider
+  useEffect(() => {
+    if (activeSection === 'sso' && !ssoRedirectUri) {
+      api.get('/api/sso/oidc/redirect-uri')
+        .then(response => setSsoRedirectUri(response.data.redirectUri))
+        .catch(error => console.error('Error fetching SSO redirect URI:', error));
+    }
+  }, [activeSection, ssoRedirectUri]);
+
   // Trigger manual import
   const handleTriggerImport = async () => {
     setTriggeringImport(true);
@@ -370,6 +397,64 @@ const Settings = () => {
     }));
   };
 
+  const handleSsoChange = (field, value) => {
+    setSettings(prev => ({
+      ...prev,
+      sso: {
+        ...prev.sso,
+        oidc: {
+          ...prev.sso?.oidc,
+          [field]: value
+        }
+      }
+    }));
+  };
+
+  const handleSsoMappingChange = (listName, index, field, value) => {
+    const mappings = [...(settings.sso?.oidc?.[listName] || [])];
+    mappings[index] = { ...mappings[index], [field]: value };
+    handleSsoChange(listName, mappings);
+  };
+
+  const handleSsoMappingAdd = (listName, emptyMapping) => {
+    handleSsoChange(listName, [...(settings.sso?.oidc?.[listName] || []), emptyMapping]);
+  };
+
+  const handleSsoMappingRemove = (listName, index) => {
+    handleSsoChange(listName, (settings.sso?.oidc?.[listName] || []).filter((_, i) => i !== index));
+  };
+
+  const handleSsoPasswordLoginToggle = (role, disabled) => {
+    setSettings(prev => {
+      const roles = prev.sso?.passwordLoginDisabledRoles || [];
+      return {
+        ...prev,
+        sso: {
+          ...prev.sso,
+          passwordLoginDisabledRoles: disabled
+            ? [...roles.filter(r => r !== role), role]
+            : roles.filter(r => r !== role)
+        }
+      };
+    });
+  };
+
+  const handleTestSso = async () => {
+    setTestingSso(true);
+    try {
+      const response = await api.post('/api/sso/oidc/test', { issuer: settings.sso?.oidc?.issuer });
+      if (response.data.pkceSupported) {
+        toast.success(`Identity provider found: ${response.data.issuer}`);
+      } else {
+        toast.warning(`Identity provider found, but it does not advertise PKCE (S256) support: ${response.data.issuer}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not reach the identity provider');
+    } finally {
+      setTestingSso(false);
+    }
+  };
+
   const handleTestEmail = async () => {
     // Handle bulk email test separately
     if (selectedEmailTemplate === 'bulk-email-test') {
@@ -940,6 +1025,12 @@ const Settings = () => {
                     >
                       Two-Factor Authentication
                     </button>
+                    <button
+                      className={`list-group-item list-group-item-action d-flex align-items-center ${activeSection === 'sso' ? 'active' : ''}`}
+                      onClick={() => setActiveSection('sso')}
+                    >
+                      Single Sign-On
+                    </button>
                     <button
                       className={`list-group-item list-group-item-action d-flex align-items-center ${activeSection === 'smtp' ? 'active' : ''}`}
                       onClick={() => setActiveSection('smtp')}
@@ -964,6 +1055,24 @@ const Settings = () => {
                     >
                       Import Settings
                     </button>
+                    <button
+                      className={`list-group-item list-group-item-action d-flex align-items-center ${activeSection === 'e-invoicing' ? 'active' : ''}`}
+                      onClick={() => setActiveSection('e-invoicing')}
+                    >
+                      E-Invoicing
+                    </button>
+                    <button
+                      className={`list-group-item list-group-item-action d-flex align-items-center ${activeSection === 'webhooks' ? 'active' : ''}`}
+                      onClick={() => setActiveSection('webhooks')}
+                    >
+                      Webhooks
+                    </button>
+                    <button
+                      className={`list-group-item list-group-item-action d-flex align-items-center ${activeSection === 'roles' ? 'active' : ''}`}
+                      onClick={() => setActiveSection('roles')}
+                    >
+                      Roles &amp; Permissions
+                    </button>
                     {user?.role === 'global_admin' && (
                       <button
                         className={`list-group-item list-group-item-action d-flex align-items-center ${activeSection === 'admin-tools' ? 'active' : ''}`}
@@ -1646,6 +1755,199 @@ const Settings = () => {
                     </>
                   )}
 
+                  {activeSection === 'e-invoicing' && (
+                    <>
+                      <h2 className="mb-4">E-Invoicing</h2>
+                      <p className="card-subtitle mb-4">
+                        Seller details written into UBL (Peppol BIS Billing 3.0) exports of invoices and credit notes.
+                        Exports are refused with a list of failed rules until the mandatory details here and on each company are filled in.
+                      </p>
+
+                      <h3 className="mb-3">Seller</h3>
+                      <div className="row g-3">
+                        <div className="col-md-6">
+                          <label className="form-label">Legal Name</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.sellerName || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'sellerName', e.target.value)}
+                            placeholder="Makita (U.K.) Ltd"
+                          />
+                          <small className="form-hint">Registered name written as the seller. Defaults to the Site Title.</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Company Registration Number</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.companyNumber || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'companyNumber', e.target.value)}
+                          />
+                          <small className="form-hint">Companies House number (optional)</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Street</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.street || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'street', e.target.value)}
+                          />
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Street (line 2)</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.additionalStreet || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'additionalStreet', e.target.value)}
+                          />
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Town / City</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.city || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'city', e.target.value)}
+                          />
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Postcode</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.postcode || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'postcode', e.target.value)}
+                          />
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Country Code</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.countryCode || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'countryCode', e.target.value)}
+                            placeholder="GB"
+                          />
+                          <small className="form-hint">Two-letter ISO code</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">VAT Number</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.vatNumber || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'vatNumber', e.target.value)}
+                            placeholder="GB123456789"
+                          />
+                          <small className="form-hint">Required for standard and zero rated VAT</small>
+                        </div>
+                      </div>
+
+                      <h3 className="mb-3 mt-4">Peppol</h3>
+                      <div className="row g-3">
+                        <div className="col-md-6">
+                          <label className="form-label">Peppol Endpoint ID</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.endpointId || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'endpointId', e.target.value)}
+                          />
+                          <small className="form-hint">Your Peppol participant identifier, without the scheme</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Endpoint Scheme</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.endpointScheme || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'endpointScheme', e.target.value)}
+                            placeholder="0088"
+                          />
+                          <small className="form-hint">EAS code of the identifier, e.g. 0088 (GLN) or 9932 (UK VAT)</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Accounts Contact Email</label>
+                          <input
+                            type="email"
+                            className="form-control"
+                            value={settings.eInvoicing?.contactEmail || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'contactEmail', e.target.value)}
+                          />
+                          <small className="form-hint">Defaults to the System Email</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Currency</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.currency || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'currency', e.target.value)}
+                            placeholder="GBP"
+                          />
+                        </div>
+                      </div>
+
+                      <h3 className="mb-3 mt-4">Payment</h3>
+                      <div className="row g-3">
+                        <div className="col-md-6">
+                          <label className="form-label">IBAN</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.iban || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'iban', e.target.value)}
+                          />
+                          <small className="form-hint">When set, invoices carry a credit transfer payment instruction</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Account Name</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.accountName || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'accountName', e.target.value)}
+                          />
+                          <small className="form-hint">Defaults to the legal name</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Payment Terms</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.eInvoicing?.paymentTerms || ''}
+                            onChange={(e) => handleNestedChange('eInvoicing', 'paymentTerms', e.target.value)}
+                            placeholder="Payment due within 30 days of invoice date"
+                          />
+                          <small className="form-hint">Used when an invoice has no due date</small>
+                        </div>
+                      </div>
+                      <p className="text-muted mt-3 mb-0">
+                        Buyers are taken from the company record: name, address (including country), VAT number and email address,
+                        which is used as the buyer's electronic address.
+                      </p>
+                    </>
+                  )}
+
+                  {activeSection === 'webhooks' && (
+                    <>
+                      <h2 className="mb-4">Webhooks</h2>
+                      <p className="card-subtitle mb-4">Send signed JSON notifications to other systems when documents are created, viewed, downloaded, queried, edited or deleted, and when imports complete. Changes here are saved straight away.</p>
+                      <WebhookSettings companies={companies} />
+                    </>
+                  )}
+
+                  {activeSection === 'roles' && (
+                    <>
+                      <h2 className="mb-4">Roles &amp; Permissions</h2>
+                      <p className="card-subtitle mb-4">Choose what each role can do, and add custom roles for people who need a different set of permissions. Changes to a role apply to everyone with that role once it is saved.</p>
+                      <RolePermissionMatrix />
+                    </>
+                  )}
+
                   {activeSection === 'admin-tools' && (
                     <>
                       <h2 className="mb-4">Admin Tools</h2>
@@ -2251,6 +2553,316 @@ const Settings = () => {
                     </>
                   )}
 
+                  {activeSection === 'sso' && (
+                    <>
+                      <h2 className="mb-4">Single Sign-On</h2>
+                      <h3 className="card-title">OpenID Connect</h3>
+                      <p className="card-subtitle">
+                        Let staff sign in with your identity provider (Entra ID, Okta, Keycloak, Google Workspace and others).
+                        Roles and companies are taken from the provider's claims on every sign-in, and new staff get an account the first time they sign in.
+                      </p>
+                      <div className="mb-3">
+                        <label className="form-check form-switch">
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            checked={settings.sso?.oidc?.enabled || false}
+                            onChange={(e) => handleSsoChange('enabled', e.target.checked)}
+                          />
+                          <span className="form-check-label">Enable OpenID Connect sign-in</span>
+                        </label>
+                      </div>
+                      <div className="row g-3 mb-3">
+                        <div className="col-md-6">
+                          <label className="form-label">Button Label</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.sso?.oidc?.displayName || ''}
+                            onChange={(e) => handleSsoChange('displayName', e.target.value)}
+                            placeholder="Sign in with SSO"
+                          />
+                          <small className="form-hint">Shown on the login page</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Scopes</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.sso?.oidc?.scopes || ''}
+                            onChange={(e) => handleSsoChange('scopes', e.target.value)}
+                            placeholder="openid profile email"
+                          />
+                        </div>
+                        <div className="col-12">
+                          <label className="form-label required">Issuer URL</label>
+                          <div className="input-group">
+                            <input
+                              type="url"
+                              className="form-control"
+                              value={settings.sso?.oidc?.issuer || ''}
+                              onChange={(e) => handleSsoChange('issuer', e.target.value)}
+                              placeholder="https://login.microsoftonline.com/<tenant-id>/v2.0"
+                            />
+                            <button
+                              type="button"
+                              className="btn"
+                              onClick={handleTestSso}
+                              disabled={testingSso || !settings.sso?.oidc?.issuer}
+                            >
+                              {testingSso ? 'Testing...' : 'Test'}
+                            </button>
+                          </div>
+                          <small className="form-hint">The provider's discovery document is read from &lt;issuer&gt;/.well-known/openid-configuration</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label required">Client ID</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.sso?.oidc?.clientId || ''}
+                            onChange={(e) => handleSsoChange('clientId', e.target.value)}
+                          />
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Client Secret</label>
+                          <input
+                            type="password"
+                            className="form-control"
+                            value={settings.sso?.oidc?.clientSecret || ''}
+                            onChange={(e) => handleSsoChange('clientSecret', e.target.value)}
+                            placeholder="Leave blank for public clients"
+                            autoComplete="new-password"
+                          />
+                        </div>
+                        <div className="col-12">
+                          <label className="form-label">Redirect URI</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={ssoRedirectUri}
+                            readOnly
+                          />
+                          <small className="form-hint">Register this callback URL with your identity provider</small>
+                        </div>
+                      </div>
+
+                      <h3 className="card-title mt-4">Role Mapping</h3>
+                      <p className="card-subtitle">
+                        Map values of a claim (such as group or app role names) to portal roles. When several match, the highest role wins.
+                        Global Administrators always sign in with their password.
+                      </p>
+                      <div className="row g-3 mb-3">
+                        <div className="col-md-6">
+                          <label className="form-label">Role Claim</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.sso?.oidc?.roleClaim || ''}
+                            onChange={(e) => handleSsoChange('roleClaim', e.target.value)}
+                            placeholder="roles"
+                          />
+                          <small className="form-hint">Use dots for nested claims, e.g. realm_access.roles</small>
+                        </div>
+                        <div className="col-md-6">
+                          <label className="form-label">Default Role</label>
+                          <select
+                            className="form-select"
+                            value={settings.sso?.oidc?.defaultRole || ''}
+                            onChange={(e) => handleSsoChange('defaultRole', e.target.value)}
+                          >
+                            <option value="">None - refuse sign-in</option>
+                            {SSO_ROLES.map(role => (
+                              <option key={role} value={role}>{getRoleLabel(role)}</option>
+                            ))}
+                          </select>
+                          <small className="form-hint">Used when no claim value matches a mapping</small>
+                        </div>
+                      </div>
+                      <div className="table-responsive mb-2">
+                        <table className="table table-vcenter">
+                          <thead>
+                            <tr>
+                              <th>Claim Value</th>
+                              <th>Portal Role</th>
+                              <th className="w-1"></th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {(settings.sso?.oidc?.roleMappings || []).map((mapping, index) => (
+                              <tr key={index}>
+                                <td>
+                                  <input
+                                    type="text"
+                                    className="form-control"
+                                    value={mapping.value || ''}
+                                    onChange={(e) => handleSsoMappingChange('roleMappings', index, 'value', e.target.value)}
+                                    placeholder="portal-managers"
+                                  />
+                                </td>
+                                <td>
+                                  <select
+                                    className="form-select"
+                                    value={mapping.role || ''}
+                                    onChange={(e) => handleSsoMappingChange('roleMappings', index, 'role', e.target.value)}
+                                  >
+                                    <option value="">Select role...</option>
+                                    {SSO_ROLES.map(role => (
+                                      <option key={role} value={role}>{getRoleLabel(role)}</option>
+                                    ))}
+                                  </select>
+                                </td>
+                                <td>
+                                  <button
+                                    type="button"
+                                    className="btn btn-ghost-danger btn-sm"
+                                    onClick={() => handleSsoMappingRemove('roleMappings', index)}
+                                  >
+                                    Remove
+                                  </button>
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <button
+                        type="button"
+                        className="btn btn-outline-primary btn-sm mb-4"
+                        onClick={() => handleSsoMappingAdd('roleMappings', { value: '', role: '' })}
+                      >
+                        Add Role Mapping
+                      </button>
+
+                      <h3 className="card-title mt-2">Company Mapping</h3>
+                      <p className="card-subtitle">
+                        Assign companies from a claim. Leave the claim blank to manage company assignments in the portal instead.
+                      </p>
+                      <div className="row g-3 mb-3">
+                        <div className="col-md-6">
+                          <label className="form-label">Company Claim</label>
+                          <input
+                            type="text"
+                            className="form-control"
+                            value={settings.sso?.oidc?.companyClaim || ''}
+                            onChange={(e) => handleSsoChange('companyClaim', e.target.value)}
+                            placeholder="groups"
+                          />
+                        </div>
+                        <div className="col-md-6 d-flex align-items-end">
+                          <label className="form-check form-switch mb-2">
+                            <input
+                              className="form-check-input"
+                              type="checkbox"
+                              checked={settings.sso?.oidc?.matchCompanyReferenceNo || false}
+                              onChange={(e) => handleSsoChange('matchCompanyReferenceNo', e.target.checked)}
+                              disabled={!settings.sso?.oidc?.companyClaim}
+                            />
+                            <span className="form-check-label">Also match numeric values to company account numbers</span>
+                          </label>
+                        </div>
+                      </div>
+                      {settings.sso?.oidc?.companyClaim && (
+                        <>
+                          <div className="table-responsive mb-2">
+                            <table className="table table-vcenter">
+                              <thead>
+                                <tr>
+                                  <th>Claim Value</th>
+                                  <th>Company</th>
+                                  <th className="w-1"></th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {(settings.sso?.oidc?.companyMappings || []).map((mapping, index) => (
+                                  <tr key={index}>
+                                    <td>
+                                      <input
+                                        type="text"
+                                        className="form-control"
+                                        value={mapping.value || ''}
+                                        onChange={(e) => handleSsoMappingChange('companyMappings', index, 'value', e.target.value)}
+                                        placeholder="credit-control-north"
+                                      />
+                                    </td>
+                                    <td>
+                                      <select
+                                        className="form-select"
+                                        value={mapping.companyId || ''}
+                                        onChange={(e) => handleSsoMappingChange('companyMappings', index, 'companyId', e.target.value)}
+                                        disabled={loadingCompanies}
+                                      >
+                                        <option value="">Select company...</option>
+                                        <option value="*">All Companies</option>
+                                        {companies.map(company => (
+                                          <option key={company.id} value={company.id}>
+                                            {company.name}{company.referenceNo ? ` (${company.referenceNo})` : ''}
+                                          </option>
+                                        ))}
+                                      </select>
+                                    </td>
+                                    <td>
+                                      <button
+                                        type="button"
+                                        className="btn btn-ghost-danger btn-sm"
+                                        onClick={() => handleSsoMappingRemove('companyMappings', index)}
+                                      >
+                                        Remove
+                                      </button>
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                          <button
+                            type="button"
+                            className="btn btn-outline-primary btn-sm mb-4"
+                            onClick={() => handleSsoMappingAdd('companyMappings', { value: '', companyId: '' })}
+                          >
+                            Add Company Mapping
+                          </button>
+                        </>
+                      )}
+
+                      <h3 className="card-title mt-2">Accounts</h3>
+                      <div className="mb-3">
+                        <label className="form-check form-switch">
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            checked={settings.sso?.oidc?.autoProvision !== false}
+                            onChange={(e) => handleSsoChange('autoProvision', e.target.checked)}
+                          />
+                          <span className="form-check-label">Create accounts for new staff on first sign-in</span>
+                        </label>
+                        <small className="form-hint">
+                          When off, only existing portal accounts (matched by email address) can sign in with single sign-on.
+                        </small>
+                      </div>
+                      <div className="mb-3">
+                        <label className="form-label">Disable Password Login</label>
+                        {SSO_ROLES.map(role => (
+                          <label key={role} className="form-check">
+                            <input
+                              className="form-check-input"
+                              type="checkbox"
+                              checked={(settings.sso?.passwordLoginDisabledRoles || []).includes(role)}
+                              onChange={(e) => handleSsoPasswordLoginToggle(role, e.target.checked)}
+                            />
+                            <span className="form-check-label">{getRoleLabel(role)}</span>
+                          </label>
+                        ))}
+                        <small className="form-hint">
+                          Users with these roles must use single sign-on and can't reset a portal password. Only applies while single sign-on is enabled.
+                        </small>
+                      </div>
+                      <div className="alert alert-info">
+                        Portal two-factor authentication is not asked for on single sign-on - enforce MFA at your identity provider instead.
+                      </div>
+                    </>
+                  )}
+
                   {activeSection === '2fa' && (
                     <>
                       <h2 className="mb-4">Two-Factor Authentication</h2>
@@ -2290,6 +2902,46 @@ const Settings = () => {
                         />
                         <small className="form-hint">This name will appear in authenticator apps</small>
                       </div>
+                      <div className="mb-3">
+                        <label className="form-label">Allowed Methods</label>
+                        {TWO_FACTOR_METHODS.map(method => {
+                          const allowedMethods = settings.twoFactorAuth?.allowedMethods || ['authenticator', 'email'];
+                          return (
+                            <label key={method.value} className="form-check">
+                              <input
+                                className="form-check-input"
+                                type="checkbox"
+                                checked={allowedMethods.includes(method.value)}
+                                onChange={(e) => handleNestedChange(
+                                  'twoFactorAuth',
+                                  'allowedMethods',
+                                  e.target.checked
+                                    ? [...allowedMethods, method.value]
+                                    : allowedMethods.filter(value => value !== method.value)
+                                )}
+                                disabled={!settings.twoFactorAuth?.enabled}
+                              />
+                              <span className="form-check-label">{method.label}</span>
+                            </label>
+                          );
+                        })}
+                        <small className="form-hint">Users already set up with a method you turn off keep using it until their 2FA is reset</small>
+                      </div>
+                      <div className="mb-3">
+                        <label className="form-check form-switch">
+                          <input
+                            className="form-check-input"
+                            type="checkbox"
+                            checked={settings.twoFactorAuth?.passkeyLogin || false}
+                            onChange={(e) => handleNestedChange('twoFactorAuth', 'passkeyLogin', e.target.checked)}
+                            disabled={!settings.twoFactorAuth?.enabled || !(settings.twoFactorAuth?.allowedMethods || []).includes('webauthn')}
+                          />
+                          <span className="form-check-label">Allow passwordless sign-in with passkeys</span>
+                        </label>
+                        <small className="form-hint">
+                          Adds "Sign in with a passkey" to the login page. Only passkeys that check a PIN or biometric on the device are accepted.
+                        </small>
+                      </div>
                     </>
                   )}
 
@@ -3062,13 +3714,15 @@ const Settings = () => {
                     </>
                   )}
                 </div>
-                <div className="card-footer bg-transparent mt-auto">
-                  <div className="btn-list justify-content-end">
-                    <button onClick={handleSave} className="btn btn-primary" disabled={saving}>
-                      {saving ? 'Saving...' : 'Save Changes'}
-                    </button>
+                {!['webhooks', 'roles'].includes(activeSection) && (
+                  <div className="card-footer bg-transparent mt-auto">
+                    <div className="btn-list justify-content-end">
+                      <button onClick={handleSave} className="btn btn-primary" disabled={saving}>
+                        {saving ? 'Saving...' : 'Save Changes'}
+                      </button>
+                    </div>
                   </div>
-                </div>
+                )}
               </div>
             </div>
           </div>
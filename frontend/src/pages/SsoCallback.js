@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useSettings } from '../context/SettingsContext';
+import { useAuth } from '../context/AuthContext';
+import api, { API_BASE_URL, setAuthTokens } from '../services/api';
+import PageTitle from '../components/PageTitle';
+
+// Landing page after the identity provider sends the user back - swaps the
+// one-time code for session tokens and continues into the portal
+const SsoCallback = () => {
+  const { settings } = useSettings();
+  const { refreshUser } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // The code only works once, so don't exchange it twice on re-render
+  const exchanged = useRef(false);
+
+  useEffect(() => {
+    if (exchanged.current) return;
+    exchanged.current = true;
+
+    const code = searchParams.get('code');
+    const failLogin = (message) => {
+      navigate(`/login?ssoError=${encodeURIComponent(message)}`, { replace: true });
+    };
+
+    if (!code) {
+      failLogin('Single sign-on did not complete. Please try again.');
+      return;
+    }
+
+    const completeSignIn = async () => {
+      try {
+        const response = await api.post('/api/sso/complete', { code });
+        setAuthTokens(response.data);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        await refreshUser();
+
+        const redirectPath = response.data.redirect;
+        const isValidPath = redirectPath &&
+          typeof redirectPath === 'string' &&
+          redirectPath.startsWith('/') &&
+          !redirectPath.startsWith('//') &&
+          !redirectPath.includes('../');
+        navigate(isValidPath ? redirectPath : '/', { replace: true });
+      } catch (error) {
+        failLogin(error.response?.data?.message || 'Single sign-on failed. Please try again.');
+      }
+    };
+
+    completeSignIn();
+  }, [searchParams, navigate, refreshUser]);
+
+  return (
+    <div className="page page-center" style={{ minHeight: '100vh', height: '100%' }}>
+      <PageTitle title="Signing In" />
+      <div className="container container-tight py-4">
+        <div className="card card-md">
+          <div className="card-body text-center">
+            {settings?.logoLight && (
+              <img
+                src={`${API_BASE_URL}${settings.logoLight}`}
+                alt="Makita EDI Portal"
+                style={{ maxHeight: '60px', marginBottom: '1rem' }}
+              />
+            )}
+            <div className="spinner-border text-primary mb-3" role="status"></div>
+            <div className="text-secondary">Signing you in...</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SsoCallback;
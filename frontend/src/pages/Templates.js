@@ -4,6 +4,7 @@ import toast from '../utils/toast';
 import { useAuth } from '../context/AuthContext';
 import ExcelTemplateBuilder from '../components/ExcelTemplateBuilder';
 import TemplateBuilder from '../components/TemplateBuilder';
+import TemplateVersionsModal from '../components/TemplateVersionsModal';
 
 const Templates = () => {
   const { user } = useAuth();
@@ -14,6 +15,7 @@ const Templates = () => {
   const [editingTemplate, setEditingTemplate] = useState(null);
   const [builderType, setBuilderType] = useState(null); // 'excel' or 'pdf'
   const [builderState, setBuilderState] = useState({ hasName: false, hasFields: false, isEditing: false });
+  const [versionsFor, setVersionsFor] = useState(null); // { template, initialVersion }
   const templateBuilderRef = useRef(null);
   
   // Update builder state periodically when builder is shown
@@ -84,6 +86,14 @@ const Templates = () => {
     fetchTemplates();
   };
 
+  // A candidate save goes straight to the Versions dialog to be tested
+  const handleBuilderSaved = (saved) => {
+    handleBuilderClose();
+    if (saved?.candidateVersion) {
+      setVersionsFor({ template: saved, initialVersion: saved.candidateVersion });
+    }
+  };
+
   if (!user || user.role !== 'global_admin') {
     return (
       <div className="page-header d-print-none">
@@ -152,6 +162,16 @@ const Templates = () => {
                   >
                     Test Parse
                   </button>
+                  {builderState.isEditing && (
+                    <button
+                      className="btn btn-outline-success"
+                      onClick={() => templateBuilderRef.current?.handleSave({ activate: false })}
+                      disabled={!builderState.hasName || !builderState.hasFields}
+                      title="Save as a new version without activating it, then run a regression test"
+                    >
+                      Save as Candidate
+                    </button>
+                  )}
                   <button
                     className="btn btn-success"
                     onClick={() => templateBuilderRef.current?.handleSave()}
@@ -182,7 +202,7 @@ const Templates = () => {
               <TemplateBuilder
                 ref={templateBuilderRef}
                 template={editingTemplate}
-                onSave={handleBuilderClose}
+                onSave={handleBuilderSaved}
                 onCancel={handleBuilderClose}
               />
             ) : (
@@ -265,6 +285,11 @@ const Templates = () => {
                                   <div>
                                     <div className="d-flex align-items-center gap-2">
                                       <strong>{template.name}</strong>
+                                      {template.activeVersion && (
+                                        <span className="badge bg-secondary-lt" title="Active version">
+                                          v{template.activeVersion}
+                                        </span>
+                                      )}
                                       {template.isDefault && (
                                         <span className="badge bg-success-lt" title="This is the default template for this type">
                                           Default
@@ -289,6 +314,13 @@ const Templates = () => {
                                     >
                                       Edit
                                     </button>
+                                    <button
+                                      className="btn btn-outline-secondary"
+                                      onClick={() => setVersionsFor({ template })}
+                                      title="Version history, regression runs and rollback"
+                                    >
+                                      Versions
+                                    </button>
                                     <button
                                       className="btn btn-outline-danger"
                                       onClick={() => handleDelete(template.id)}
@@ -338,6 +370,15 @@ const Templates = () => {
           )}
         </div>
       </div>
+
+      {versionsFor && (
+        <TemplateVersionsModal
+          template={versionsFor.template}
+          initialVersion={versionsFor.initialVersion}
+          onClose={() => setVersionsFor(null)}
+          onActivated={fetchTemplates}
+        />
+      )}
     </div>
   );
 };
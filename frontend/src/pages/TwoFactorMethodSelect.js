@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser';
 import { useSettings } from '../context/SettingsContext';
 import api, { API_BASE_URL } from '../services/api';
 import toast from '../utils/toast';
@@ -40,6 +41,20 @@ const TwoFactorMethodSelect = () => {
     });
   };
 
+  const handleSelectSecurityKey = () => {
+    // Navigate to verify page, which registers the key
+    navigate('/2fa-verify', {
+      state: {
+        sessionToken,
+        user: userData,
+        twoFactorMethod: 'webauthn',
+        from: fromProfile ? '/profile' : from,
+        isSetup: true,
+        fromProfile
+      }
+    });
+  };
+
   const handleSelectEmail = async () => {
     setLoading(true);
     setSelectedMethod('email');
@@ -140,6 +155,39 @@ const TwoFactorMethodSelect = () => {
                 </div>
               )}
 
+              {/* Security Key / Passkey Option */}
+              {allowedMethods.includes('webauthn') && browserSupportsWebAuthn() && (
+                <div 
+                  className="card mb-3"
+                  onClick={!loading ? handleSelectSecurityKey : undefined}
+                  style={{ cursor: loading ? 'wait' : 'pointer' }}
+                >
+                  <div className="card-body d-flex align-items-center">
+                    <div className="me-3">
+                      <span className="avatar avatar-lg bg-green-lt">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="icon icon-lg" width="24" height="24" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" fill="none" strokeLinecap="round" strokeLinejoin="round">
+                          <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                          <path d="M16.555 3.843l3.602 3.602a2.877 2.877 0 0 1 0 4.069l-2.643 2.643a2.877 2.877 0 0 1 -4.069 0l-.301 -.301l-6.558 6.558a2 2 0 0 1 -1.239 .578l-.175 .008h-1.172a1 1 0 0 1 -.993 -.883l-.007 -.117v-1.172a2 2 0 0 1 .467 -1.284l.119 -.13l.414 -.414h2v-2h2v-2l2.144 -2.144l-.301 -.301a2.877 2.877 0 0 1 0 -4.069l2.643 -2.643a2.877 2.877 0 0 1 4.069 0z" />
+                          <path d="M15 9h.01" />
+                        </svg>
+                      </span>
+                    </div>
+                    <div className="flex-fill">
+                      <h4 className="mb-1">Security Key or Passkey</h4>
+                      <p className="text-secondary small mb-0">
+                        Use a hardware key such as a YubiKey, or a passkey saved on your device or phone
+                      </p>
+                    </div>
+                    <div className="ms-3">
+                      <svg xmlns="http://www.w3.org/2000/svg" className="icon text-muted" width="24" height="24" viewBox="0 0 24 24" strokeWidth="2" stroke="currentColor" fill="none" strokeLinecap="round" strokeLinejoin="round">
+                        <path stroke="none" d="M0 0h24v24H0z" fill="none"/>
+                        <path d="M9 6l6 6l-6 6" />
+                      </svg>
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Email Option */}
               {allowedMethods.includes('email') && (
                 <div 
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useSettings } from '../context/SettingsContext';
 import { useAuth } from '../context/AuthContext';
-import api, { API_BASE_URL } from '../services/api';
+import api, { API_BASE_URL, setAuthTokens } from '../services/api';
 import toast from '../utils/toast';
 import PageTitle from '../components/PageTitle';
 
@@ -114,7 +114,7 @@ const TwoFactorSetup = () => {
       // Backend now returns JWT token directly after 2FA setup
       if (response.data.token && response.data.user) {
         // Store token and user
-        localStorage.setItem('token', response.data.token);
+        setAuthTokens(response.data);
         localStorage.setItem('user', JSON.stringify(response.data.user));
         
         // Refresh auth context to pick up the new token
@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { startAuthentication, startRegistration } from '@simplewebauthn/browser';
 import { useSettings } from '../context/SettingsContext';
 import { useAuth } from '../context/AuthContext';
-import api, { API_BASE_URL } from '../services/api';
+import api, { API_BASE_URL, setAuthTokens } from '../services/api';
 import toast from '../utils/toast';
 import PageTitle from '../components/PageTitle';
 
@@ -16,6 +17,7 @@ const TwoFactorVerify = () => {
   const [resending, setResending] = useState(false);
   const [error, setError] = useState('');
   const [cooldown, setCooldown] = useState(0);
+  const [keyName, setKeyName] = useState('');
   
   // Get data from location state (passed from login or method select)
   const userData = location.state?.user || {};
@@ -26,7 +28,11 @@ const TwoFactorVerify = () => {
   const isSetup = location.state?.isSetup || false; // True if coming from method selection (first-time setup)
   const fromProfile = location.state?.fromProfile || false; // True if coming from Profile page (already logged in)
   const emailSendFailed = location.state?.emailSendFailed || false;
+  // Reasons when asked because of a new IP address or device ('new_ip', 'new_device')
+  const stepUp = location.state?.stepUp || null;
   const from = location.state?.from;
+  // Security key challenge from the login response - it works once, later attempts fetch a new one
+  const webauthnOptions = useRef(location.state?.webauthn || null);
 
   // Cooldown timer for resend button
   useEffect(() => {
@@ -43,6 +49,57 @@ const TwoFactorVerify = () => {
     }
   }, [emailSendFailed, twoFactorMethod, isSetup]);
 
+  const getRedirectPath = () => {
+    const redirectPath = from || '/';
+    const isValidPath = redirectPath && 
+      typeof redirectPath === 'string' &&
+      redirectPath.startsWith('/') &&
+      !/^https?:\/\//i.test(redirectPath) &&
+      !redirectPath.startsWith('//') &&
+      !/^(javascript|data):/i.test(redirectPath) &&
+      !redirectPath.includes('../');
+    return isValidPath ? redirectPath : '/';
+  };
+
+  // 2FA has just been turned on - sign in (login flow) or go back to the profile
+  const finishSetup = async (data) => {
+    // If coming from Profile, just refresh user and redirect back
+    if (fromProfile) {
+      toast.success('2FA enabled successfully!');
+      await refreshUser();
+      navigate('/profile');
+      return;
+    }
+
+    if (data.token && data.user) {
+      // Store token and user
+      setAuthTokens(data);
+      localStorage.setItem('user', JSON.stringify(data.user));
+      
+      // Refresh auth context
+      await refreshUser();
+      
+      toast.success('2FA enabled successfully!');
+      
+      // Redirect to intended destination or home
+      navigate(getRedirectPath());
+    }
+  };
+
+  // Second factor accepted - complete the login
+  const finishLogin = (data) => {
+    if (data.token) {
+      // Store token and user
+      setAuthTokens(data);
+      localStorage.setItem('user', JSON.stringify(data.user));
+      
+      toast.success('Login successful!');
+      
+      // Redirect to intended destination or home
+      window.location.href = getRedirectPath(); // Force full reload to update auth context
+    }
+  };
+
   const handleVerify = async (e) => {
     e.preventDefault();
     
@@ -68,37 +125,7 @@ const TwoFactorVerify = () => {
         }
         
         const response = await api.post('/api/two-factor/verify-setup', requestBody);
-
-        // If coming from Profile, just refresh user and redirect back
-        if (fromProfile) {
-          toast.success('2FA enabled successfully!');
-          await refreshUser();
-          navigate('/profile');
-          return;
-        }
-
-        if (response.data.token && response.data.user) {
-          // Store token and user
-          localStorage.setItem('token', response.data.token);
-          localStorage.setItem('user', JSON.stringify(response.data.user));
-          
-          // Refresh auth context
-          await refreshUser();
-          
-          toast.success('2FA enabled successfully!');
-          
-          // Redirect to intended destination or home
-          const redirectPath = from || '/';
-          const isValidPath = redirectPath && 
-            typeof redirectPath === 'string' &&
-            redirectPath.startsWith('/') &&
-            !/^https?:\/\//i.test(redirectPath) &&
-            !redirectPath.startsWith('//') &&
-            !/^(javascript|data):/i.test(redirectPath) &&
-            !redirectPath.includes('../');
-          
-          navigate(isValidPath ? redirectPath : '/');
-        }
+        await finishSetup(response.data);
       } else {
         // Login flow - complete login with 2FA code
         if (!userData.email || !location.state?.password) {
@@ -112,26 +139,7 @@ const TwoFactorVerify = () => {
           password: location.state.password,
           twoFactorCode: verificationCode
         });
-
-        if (response.data.token) {
-          // Store token and user
-          localStorage.setItem('token', response.data.token);
-          localStorage.setItem('user', JSON.stringify(response.data.user));
-          
-          toast.success('Login successful!');
-          
-          // Redirect to intended destination or home
-          const redirectPath = from || '/';
-          const isValidPath = redirectPath && 
-            typeof redirectPath === 'string' &&
-            redirectPath.startsWith('/') &&
-            !/^https?:\/\//i.test(redirectPath) &&
-            !redirectPath.startsWith('//') &&
-            !/^(javascript|data):/i.test(redirectPath) &&
-            !redirectPath.includes('../');
-          
-          window.location.href = isValidPath ? redirectPath : '/'; // Force full reload to update auth context
-        }
+        finishLogin(response.data);
       }
     } catch (err) {
       const errorMessage = err.response?.data?.message || 'Invalid verification code. Please try again.';
@@ -171,6 +179,88 @@ const TwoFactorVerify = () => {
     }
   };
 
+  const getWebAuthnError = (err, fallback) => {
+    if (err.name === 'NotAllowedError' || err.name === 'AbortError') {
+      return 'The security key prompt was cancelled or timed out. Please try again.';
+    }
+    if (err.name === 'InvalidStateError') {
+      return 'This security key is already registered.';
+    }
+    return err.response?.data?.message || err.message || fallback;
+  };
+
+  // Register a security key or passkey as the 2FA method
+  const handleRegisterKey = async (e) => {
+    e.preventDefault();
+
+    if (!keyName.trim()) {
+      setError('Please give this security key a name');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      // If coming from Profile (JWT auth), don't pass sessionToken
+      const requestBody = sessionToken ? { sessionToken } : {};
+      const optionsResponse = await api.post('/api/two-factor/webauthn/registration-options', requestBody);
+      const attestation = await startRegistration({ optionsJSON: optionsResponse.data.options });
+
+      const response = await api.post('/api/two-factor/webauthn/verify-registration', {
+        ...requestBody,
+        challengeKey: optionsResponse.data.challengeKey,
+        response: attestation,
+        name: keyName.trim()
+      });
+      await finishSetup(response.data);
+    } catch (err) {
+      const errorMessage = getWebAuthnError(err, 'Security key could not be registered. Please try again.');
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Login flow - complete login with a security key or passkey
+  const handleUseKey = async () => {
+    if (!userData.email || !location.state?.password) {
+      toast.error('Session expired. Please login again.');
+      navigate('/login');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      let challenge = webauthnOptions.current;
+      webauthnOptions.current = null;
+      if (!challenge) {
+        const optionsResponse = await api.post('/api/two-factor/webauthn/authentication-options', { sessionToken });
+        challenge = optionsResponse.data;
+      }
+
+      const assertion = await startAuthentication({ optionsJSON: challenge.options });
+      const response = await api.post('/api/auth/login', {
+        email: userData.email,
+        password: location.state.password,
+        webauthn: {
+          challengeKey: challenge.challengeKey,
+          response: assertion
+        }
+      });
+      finishLogin(response.data);
+    } catch (err) {
+      const errorMessage = getWebAuthnError(err, 'Security key could not be verified. Please try again.');
+      setError(errorMessage);
+      toast.error(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loginStyle = settings?.loginBackgroundImage ? {
     backgroundImage: `url(${API_BASE_URL}${settings.loginBackgroundImage})`,
     backgroundSize: 'cover',
@@ -184,6 +274,7 @@ const TwoFactorVerify = () => {
   };
 
   const isEmailMethod = twoFactorMethod === 'email';
+  const isWebAuthnMethod = twoFactorMethod === 'webauthn';
 
   return (
     <div className="page page-center" style={loginStyle}>
@@ -199,15 +290,29 @@ const TwoFactorVerify = () => {
                   style={{ maxHeight: '50px', marginBottom: '0.5rem' }}
                 />
               )}
-              <h2 className="mb-1">Enter Verification Code</h2>
+              <h2 className="mb-1">
+                {isWebAuthnMethod
+                  ? (isSetup ? 'Register a Security Key' : 'Use Your Security Key')
+                  : 'Enter Verification Code'}
+              </h2>
               <p className="text-secondary small mb-0">
-                {isEmailMethod 
-                  ? `Enter the 6-digit code sent to ${maskedEmail}`
-                  : 'Enter the 6-digit code from your authenticator app'
+                {isWebAuthnMethod
+                  ? (isSetup
+                    ? 'Use a hardware key such as a YubiKey, or a passkey on this device or your phone'
+                    : 'Insert or touch your security key, or confirm with your passkey')
+                  : isEmailMethod 
+                    ? `Enter the 6-digit code sent to ${maskedEmail}`
+                    : 'Enter the 6-digit code from your authenticator app'
                 }
               </p>
             </div>
 
+            {stepUp && (
+              <div className="alert alert-info" role="alert">
+                You're signing in from {stepUp.includes('new_ip') ? 'a network' : 'a device'} we haven't seen you use before, so please confirm it's you.
+              </div>
+            )}
+
             {emailSendFailed && isEmailMethod && !error && (
               <div className="alert alert-warning" role="alert">
                 <strong>Email could not be sent.</strong> Please click "Resend" below to try again.
@@ -220,42 +325,88 @@ const TwoFactorVerify = () => {
               </div>
             )}
 
-            <form onSubmit={handleVerify}>
-              <div className="mb-3">
-                <label className="form-label">Verification Code</label>
-                <input
-                  type="text"
-                  className={`form-control text-center font-monospace ${error ? 'is-invalid' : ''}`}
-                  placeholder="000000"
-                  value={verificationCode}
-                  onChange={(e) => {
-                    const value = e.target.value.replace(/\D/g, '').slice(0, 6);
-                    setVerificationCode(value);
-                    if (error) setError('');
-                  }}
-                  maxLength="6"
-                  required
-                  style={{ fontSize: '1.5rem', letterSpacing: '0.5rem' }}
-                  autoFocus
-                />
-                <small className="form-hint">
-                  {isEmailMethod 
-                    ? 'Code expires in 10 minutes'
-                    : 'Code changes every 30 seconds'
-                  }
-                </small>
-              </div>
+            {isWebAuthnMethod ? (
+              isSetup ? (
+                <form onSubmit={handleRegisterKey}>
+                  <div className="mb-3">
+                    <label className="form-label">Security Key Name</label>
+                    <input
+                      type="text"
+                      className={`form-control ${error ? 'is-invalid' : ''}`}
+                      placeholder="e.g. YubiKey or Work laptop"
+                      value={keyName}
+                      onChange={(e) => {
+                        setKeyName(e.target.value);
+                        if (error) setError('');
+                      }}
+                      maxLength="100"
+                      required
+                      autoFocus
+                    />
+                    <small className="form-hint">You can add more security keys later from your profile</small>
+                  </div>
 
-              <div className="form-footer">
-                <button
-                  type="submit"
-                  className="btn btn-primary w-100"
-                  disabled={loading || verificationCode.length !== 6}
-                >
-                  {loading ? 'Verifying...' : (isSetup ? 'Verify & Enable 2FA' : 'Verify & Login')}
-                </button>
-              </div>
-            </form>
+                  <div className="form-footer">
+                    <button
+                      type="submit"
+                      className="btn btn-primary w-100"
+                      disabled={loading || !keyName.trim()}
+                    >
+                      {loading ? 'Waiting for security key...' : 'Register Security Key & Enable 2FA'}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <div className="form-footer">
+                  <button
+                    type="button"
+                    className="btn btn-primary w-100"
+                    onClick={handleUseKey}
+                    disabled={loading}
+                    autoFocus
+                  >
+                    {loading ? 'Waiting for security key...' : 'Use Security Key & Login'}
+                  </button>
+                </div>
+              )
+            ) : (
+              <form onSubmit={handleVerify}>
+                <div className="mb-3">
+                  <label className="form-label">Verification Code</label>
+                  <input
+                    type="text"
+                    className={`form-control text-center font-monospace ${error ? 'is-invalid' : ''}`}
+                    placeholder="000000"
+                    value={verificationCode}
+                    onChange={(e) => {
+                      const value = e.target.value.replace(/\D/g, '').slice(0, 6);
+                      setVerificationCode(value);
+                      if (error) setError('');
+                    }}
+                    maxLength="6"
+                    required
+                    style={{ fontSize: '1.5rem', letterSpacing: '0.5rem' }}
+                    autoFocus
+                  />
+                  <small className="form-hint">
+                    {isEmailMethod 
+                      ? 'Code expires in 10 minutes'
+                      : 'Code changes every 30 seconds'
+                    }
+                  </small>
+                </div>
+
+                <div className="form-footer">
+                  <button
+                    type="submit"
+                    className="btn btn-primary w-100"
+                    disabled={loading || verificationCode.length !== 6}
+                  >
+                    {loading ? 'Verifying...' : (isSetup ? 'Verify & Enable 2FA' : 'Verify & Login')}
+                  </button>
+                </div>
+              </form>
+            )}
 
             {/* Resend button for email method */}
             {isEmailMethod && (
@@ -739,6 +739,16 @@ const Unallocated = () => {
                         Clear All ({pagination.total})
                       </button>
                     )}
+                    {/* Company aliases learned from manual allocation */}
+                    {hasPermission('UNALLOCATED_ALIASES_MANAGE') && (
+                      <button
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={() => navigate('/unallocated/aliases')}
+                        title="Account numbers, customer names and PO prefixes learned from manual allocation"
+                      >
+                        Aliases
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate, useLocation } from 'react-router-dom';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
 import api, { API_BASE_URL } from '../services/api';
 import toast from '../utils/toast';
 import { useAuth } from '../context/AuthContext';
@@ -52,6 +52,9 @@ const UnallocatedView = () => {
   const [editingData, setEditingData] = useState({});
   const [activeDataTab, setActiveDataTab] = useState('extracted'); // 'extracted' or 'json'
   const [attemptingAllocation, setAttemptingAllocation] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [loadingSuggestions, setLoadingSuggestions] = useState(false);
+  const [allocatingCompanyId, setAllocatingCompanyId] = useState(null);
 
   const excelPreviewStyles = `
     .excel-preview-surface {
@@ -108,6 +111,10 @@ const UnallocatedView = () => {
     }
     
     fetchDocument();
+    setSuggestions([]);
+    if (canAllocate) {
+      fetchSuggestions();
+    }
     
     // Cleanup: reset PDF state when component unmounts
     return () => {
@@ -126,6 +133,20 @@ const UnallocatedView = () => {
     };
   }, [id]);
 
+  const fetchSuggestions = async () => {
+    try {
+      setLoadingSuggestions(true);
+      const response = await api.get(`/api/unallocated/${id}/suggestions`);
+      setSuggestions(response.data.suggestions || []);
+    } catch (error) {
+      // Suggestions are a convenience - the document can still be allocated by hand
+      console.error('Error fetching company suggestions:', error);
+      setSuggestions([]);
+    } finally {
+      setLoadingSuggestions(false);
+    }
+  };
+
   const fetchDocument = async () => {
     try {
       setLoading(true);
@@ -373,12 +394,14 @@ const UnallocatedView = () => {
     }
   };
 
-  const handleAttemptAllocation = async () => {
+  // companyId allocates straight to a suggested company instead of matching the account number
+  const handleAttemptAllocation = async (companyId = null) => {
     if (!unallocatedDocument) return;
 
     // First save any edits
     try {
       setAttemptingAllocation(true);
+      setAllocatingCompanyId(companyId);
       
       // Save the current edits first
       await api.put(`/api/unallocated/${unallocatedDocument.id}`, {
@@ -387,10 +410,14 @@ const UnallocatedView = () => {
       });
 
       // Then attempt allocation
-      const response = await api.post(`/api/unallocated/${unallocatedDocument.id}/attempt-allocation`);
+      const response = await api.post(`/api/unallocated/${unallocatedDocument.id}/attempt-allocation`, companyId ? { companyId } : {});
       
       if (response.data.success) {
         toast.success(`Successfully allocated to ${response.data.company.name}! Created ${response.data.document.type === 'invoice' ? 'Invoice' : 'Credit Note'} ${response.data.document.number}`);
+        const learnedCount = response.data.aliases?.learned?.length || 0;
+        if (learnedCount > 0) {
+          toast.info(`Remembered ${learnedCount} alias${learnedCount === 1 ? '' : 'es'} so similar documents are allocated to ${response.data.company.name} automatically`, 5000);
+        }
         
         // Navigate to the created document
         if (response.data.document.type === 'invoice') {
@@ -407,6 +434,7 @@ const UnallocatedView = () => {
       toast.error('Allocation failed: ' + errorMsg);
     } finally {
       setAttemptingAllocation(false);
+      setAllocatingCompanyId(null);
     }
   };
 
@@ -633,6 +661,56 @@ const UnallocatedView = () => {
                     </div>
                   )}
 
+                  {/* Likely companies from the customer name, postcode, VAT and account number
+                      on the document. Statements are allocated by the import job only. */}
+                  {canAllocate && (editingData.documentType || '').toString().toLowerCase() !== 'statement' && (loadingSuggestions || suggestions.length > 0) && (
+                    <div className="mb-3">
+                      <label className="form-label">Suggested Companies</label>
+                      {loadingSuggestions ? (
+                        <div className="text-muted small">
+                          <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                          Looking for likely companies...
+                        </div>
+                      ) : (
+                        <div className="list-group">
+                          {suggestions.map((suggestion) => (
+                            <div key={suggestion.company.id} className="list-group-item d-flex align-items-center py-2">
+                              <span
+                                className={`badge ${suggestion.score >= 0.75 ? 'bg-success-lt' : suggestion.score >= 0.5 ? 'bg-warning-lt' : 'bg-secondary-lt'} me-3`}
+                                title="Match score"
+                              >
+                                {Math.round(suggestion.score * 100)}%
+                              </span>
+                              <div className="flex-fill" style={{ minWidth: 0 }}>
+                                <div className="text-truncate">
+                                  <Link to={`/companies/${suggestion.company.id}/view`} target="_blank" rel="noopener noreferrer">
+                                    {suggestion.company.name}
+                                  </Link>
+                                  {suggestion.company.referenceNo && (
+                                    <span className="text-muted ms-2">#{suggestion.company.referenceNo}</span>
+                                  )}
+                                </div>
+                                <small className="text-muted">{suggestion.reason}</small>
+                              </div>
+                              <button
+                                className="btn btn-sm btn-outline-success ms-2"
+                                onClick={() => handleAttemptAllocation(suggestion.company.id)}
+                                disabled={saving || attemptingAllocation}
+                                title={`Allocate this document to ${suggestion.company.name}`}
+                              >
+                                {allocatingCompanyId === suggestion.company.id ? (
+                                  <span className="spinner-border spinner-border-sm" role="status"></span>
+                                ) : (
+                                  'Allocate'
+                                )}
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   <div className="mb-3">
                     <label className="form-label">Document Type</label>
                     <input
@@ -658,7 +736,7 @@ const UnallocatedView = () => {
                       readOnly={!canEdit}
                       disabled={!canEdit}
                     />
-                    <small className="form-hint">This must match a company's Account / Company Number</small>
+                    <small className="form-hint">This must match a company's Account / Company Number. When you correct it and allocate, the original number is remembered for next time.</small>
                   </div>
 
                   {/* Document-type-aware fields. Statements use a different set
@@ -991,11 +1069,11 @@ const UnallocatedView = () => {
                         {canAllocate && (
                           <button
                             className="btn btn-success"
-                            onClick={handleAttemptAllocation}
+                            onClick={() => handleAttemptAllocation()}
                             disabled={saving || attemptingAllocation || !editingData.accountNumber}
                             title={!editingData.accountNumber ? 'Account number is required for allocation' : 'Attempt to allocate this document to a company'}
                           >
-                            {attemptingAllocation ? (
+                            {attemptingAllocation && !allocatingCompanyId ? (
                               <>
                                 <span className="spinner-border spinner-border-sm me-2" role="status"></span>
                                 Allocating...
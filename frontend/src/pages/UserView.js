@@ -3,6 +3,9 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import api from '../services/api';
 import toast from '../utils/toast';
 import { getRoleLabel, getRoleBadgeClass } from '../utils/roleLabels';
+import ActiveSessions from '../components/ActiveSessions';
+import { useAuth } from '../context/AuthContext';
+import { usePermissions } from '../context/PermissionContext';
 
 const UserView = () => {
   const { id } = useParams();
@@ -43,6 +46,9 @@ const UserView = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
+  const [startingImpersonation, setStartingImpersonation] = useState(false);
+  const { user: currentUser, startImpersonation } = useAuth();
+  const { hasPermission, userRole, ROLE_HIERARCHY, PORTAL_ROLES } = usePermissions();
 
   useEffect(() => {
     fetchUserDetails();
@@ -247,6 +253,27 @@ const UserView = () => {
     );
   }
 
+  // Read-only "view as user" - for users who can sign in and rank below you
+  const canViewAsUser = hasPermission('USERS_IMPERSONATE') &&
+    user.id !== currentUser?.id &&
+    user.isActive &&
+    PORTAL_ROLES.includes(user.role) &&
+    (ROLE_HIERARCHY[user.role] || 0) < (ROLE_HIERARCHY[userRole] || 0);
+
+  const handleViewAsUser = async () => {
+    const reason = window.prompt(
+      `View the portal as ${user.name}? You will see exactly what they see, read-only, for a limited time. Everything you open is recorded in the activity log.\n\nReason (e.g. support ticket number) - optional:`
+    );
+    if (reason === null) return;
+    try {
+      setStartingImpersonation(true);
+      await startImpersonation(user.id, reason, location.pathname + location.search);
+    } catch (error) {
+      toast.error('Error starting view as user: ' + (error.response?.data?.message || error.message));
+      setStartingImpersonation(false);
+    }
+  };
+
   return (
     <div className="page">
       <div className="page-header">
@@ -278,6 +305,19 @@ const UserView = () => {
                   </svg>
                   Edit
                 </button>
+                {canViewAsUser && (
+                  <button
+                    className="btn btn-warning"
+                    onClick={handleViewAsUser}
+                    disabled={startingImpersonation}
+                  >
+                    <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M10 12a2 2 0 1 0 4 0a2 2 0 0 0 -4 0"></path>
+                      <path d="M21 12c-2.4 4 -5.4 6 -9 6c-3.6 0 -6.6 -2 -9 -6c2.4 -4 5.4 -6 9 -6c3.6 0 6.6 2 9 6"></path>
+                    </svg>
+                    {startingImpersonation ? 'Starting...' : 'View as User'}
+                  </button>
+                )}
               </div>
             </div>
           </div>
@@ -382,6 +422,9 @@ const UserView = () => {
                 </div>
               </div>
 
+              <div className="mt-3">
+                <ActiveSessions endpoint={`/api/users/${id}/sessions`} />
+              </div>
             </div>
 
             {/* Right Column - Assigned Companies (33%) */}
@@ -11,6 +11,190 @@ const api = axios.create({
   },
 });
 
+// Access tokens are short-lived; the refresh token (rotated by the server on
+// every use) gets a new one. Both are kept in localStorage so the many raw
+// fetch() calls that read 'token' keep working.
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// While an admin views as another user, their own tokens wait here and the
+// impersonation token (no refresh token - it just expires) is used instead
+const IMPERSONATOR_TOKEN_KEY = 'impersonatorToken';
+const IMPERSONATOR_REFRESH_TOKEN_KEY = 'impersonatorRefreshToken';
+const IMPERSONATION_RETURN_PATH_KEY = 'impersonationReturnPath';
+
+// Renew this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshPromise = null;
+let refreshTimer = null;
+let endingImpersonation = false;
+
+// Expiry time (ms) from a JWT's payload, or null if it can't be read
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const scheduleTokenRefresh = () => {
+  clearTimeout(refreshTimer);
+  const token = localStorage.getItem(TOKEN_KEY);
+  const expiry = token && getTokenExpiry(token);
+  if (!expiry || !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+    return;
+  }
+  const delay = Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0);
+  refreshTimer = setTimeout(() => {
+    refreshAccessToken().catch(() => {
+      // The next API call gets a 401 and sends the user to login
+    });
+  }, delay);
+};
+
+export const setAuthTokens = ({ token, refreshToken }) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  }
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+  scheduleTokenRefresh();
+};
+
+export const clearAuthTokens = () => {
+  clearTimeout(refreshTimer);
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+export const isImpersonating = () => Boolean(localStorage.getItem(IMPERSONATOR_TOKEN_KEY));
+
+/**
+ * Switch to an impersonation token, keeping the admin's tokens to return to
+ * @param {string} token - Impersonation access token
+ * @param {string} returnPath - Where to go when impersonation ends
+ */
+export const startImpersonationTokens = (token, returnPath) => {
+  clearTimeout(refreshTimer);
+  localStorage.setItem(IMPERSONATOR_TOKEN_KEY, localStorage.getItem(TOKEN_KEY) || '');
+  localStorage.setItem(IMPERSONATOR_REFRESH_TOKEN_KEY, localStorage.getItem(REFRESH_TOKEN_KEY) || '');
+  localStorage.setItem(IMPERSONATION_RETURN_PATH_KEY, returnPath || '/');
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * Go back to the admin's own tokens
+ * @returns {string} Path to return to
+ */
+const endImpersonationTokens = () => {
+  const returnPath = localStorage.getItem(IMPERSONATION_RETURN_PATH_KEY) || '/';
+  clearAuthTokens();
+  setAuthTokens({
+    token: localStorage.getItem(IMPERSONATOR_TOKEN_KEY),
+    refreshToken: localStorage.getItem(IMPERSONATOR_REFRESH_TOKEN_KEY)
+  });
+  localStorage.removeItem(IMPERSONATOR_TOKEN_KEY);
+  localStorage.removeItem(IMPERSONATOR_REFRESH_TOKEN_KEY);
+  localStorage.removeItem(IMPERSONATION_RETURN_PATH_KEY);
+  return returnPath;
+};
+
+/**
+ * Stop viewing as another user: end the impersonation session on the server
+ * and switch back to the admin's own tokens (straight away, so a logout that
+ * follows ends the admin's session).
+ * @returns {Promise<string>} Path to return to
+ */
+export const endImpersonation = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const returnPath = endImpersonationTokens();
+  return axios.post(`${API_BASE_URL}/api/impersonation/stop`, null, {
+    headers: { Authorization: `Bearer ${token}` }
+  }).catch(() => {
+    // Already expired - nothing left to end
+  }).then(() => returnPath);
+};
+
+/**
+ * End the current session on the server and forget the tokens locally.
+ * Sent outside the interceptors so an expired token doesn't trigger a
+ * refresh or a login redirect on the way out.
+ */
+export const endSession = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  clearAuthTokens();
+  if (!token) {
+    return Promise.resolve();
+  }
+  return axios.post(`${API_BASE_URL}/api/auth/logout`, null, {
+    headers: { Authorization: `Bearer ${token}` }
+  }).catch(() => {
+    // Already expired or revoked - nothing left to end
+  });
+};
+
+/**
+ * Get a new access token with the stored refresh token.
+ * Concurrent callers share one request, and if another tab has already
+ * refreshed, its token is used instead of rotating again.
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  const token = localStorage.getItem(TOKEN_KEY);
+  const expiry = token && getTokenExpiry(token);
+  if (expiry && expiry - Date.now() > REFRESH_MARGIN_MS) {
+    scheduleTokenRefresh();
+    return Promise.resolve(token);
+  }
+
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) {
+    return Promise.reject(new Error('No refresh token'));
+  }
+
+  refreshPromise = axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+    .then((response) => {
+      setAuthTokens(response.data);
+      return response.data.token;
+    })
+    .catch((error) => {
+      // Another tab may have rotated the token in the meantime
+      if (localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) {
+        scheduleTokenRefresh();
+        return localStorage.getItem(TOKEN_KEY);
+      }
+      if (error.response?.status === 401) {
+        clearAuthTokens();
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+// Pick up where a previous page load left off
+scheduleTokenRefresh();
+
+// Timers don't run while a laptop sleeps - check again when the tab comes back
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      scheduleTokenRefresh();
+    }
+  });
+}
+
 // Add token to requests if available
 api.interceptors.request.use(
   (config) => {
@@ -28,15 +212,42 @@ api.interceptors.request.use(
 // Handle 401 errors (unauthorized)
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = originalRequest?.url?.includes('/api/auth/login') ||
+      originalRequest?.url?.includes('/api/auth/refresh');
+
+    // Expired or revoked access token - try once with a refreshed one
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry &&
+        !isAuthRequest && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Fall through to the login redirect below
+      }
+    }
+
+    // Impersonation expired or was ended elsewhere - back to the admin's own
+    // session. Left pending so callers don't clear the restored tokens on the way.
+    if (error.response?.status === 401 && (isImpersonating() || endingImpersonation)) {
+      if (!endingImpersonation) {
+        endingImpersonation = true;
+        window.location.href = endImpersonationTokens();
+      }
+      return new Promise(() => {});
+    }
+
     if (error.response?.status === 401) {
       // Don't redirect if we're already on an auth page (login, forgot-password, etc.)
       // This prevents page refresh loops when login fails
-      const authPages = ['/login', '/forgot-password', '/reset-password', '/register', '/two-factor'];
+      const authPages = ['/login', '/forgot-password', '/reset-password', '/register', '/two-factor', '/sso'];
       const isAuthPage = authPages.some(page => window.location.pathname.startsWith(page));
       
       if (!isAuthPage) {
-        localStorage.removeItem('token');
+        clearAuthTokens();
         // Preserve the current URL so user can be redirected back after login
         const currentPath = window.location.pathname + window.location.search;
         window.location.href = `/login?redirect=${encodeURIComponent(currentPath)}`;
@@ -1,7 +1,20 @@
+// Role names loaded from the server (includes custom roles) - see PermissionContext
+let loadedLabels = {};
+
+/**
+ * Set role labels from the roles loaded from /api/roles
+ */
+export const setRoleLabels = (labels) => {
+  loadedLabels = labels || {};
+};
+
 /**
  * Get human-readable label for role
  */
 export const getRoleLabel = (role) => {
+  if (loadedLabels[role]) {
+    return loadedLabels[role];
+  }
   const labels = {
     global_admin: 'Global Administrator',
     administrator: 'Administrator',
@@ -145,6 +145,16 @@ export const STANDARD_FIELDS = {
     templateTypes: ['invoice', 'credit_note'], // Not used on statements
     aliases: ['delivery_address', 'deliveryaddress', 'ship_to', 'shipto', 'shipping_address']
   },
+  invoiceReference: {
+    standardName: 'invoiceReference',
+    displayName: 'Invoice Reference',
+    description: 'Number of the invoice a credit note credits - used to link the credit note to it',
+    isCrucial: false,
+    isMandatory: false,
+    parsingOrder: 13,
+    templateTypes: ['credit_note'],
+    aliases: ['invoice_reference', 'original_invoice', 'original_invoice_number', 'related_invoice', 'credited_invoice']
+  },
 
   // STATEMENT-ONLY FIELDS - Customer statement aging buckets and totals
   // These fields ONLY appear on statement templates and never on invoice/credit_note templates.